@@ -0,0 +1,106 @@
+/* eslint-disable no-restricted-globals */
+// Kitchen tablet service worker (registered by KitchenView, see src/utils/kitchenOffline.js).
+//
+// Keeps the kitchen usable through Wi-Fi drops:
+// - App shell: pages network-first with the cached copy as fallback, static assets
+//   served from cache and refreshed in the background (so a reload works offline).
+// - Order board: GET /admin/orders?status=open is network-first; when the network is
+//   down the last good response is returned with { offline: true, cachedAt } added.
+// Status changes are NOT handled here: KitchenView queues them with idempotency keys
+// and replays them itself once requests get through again.
+
+const SHELL_CACHE = 'savor-kitchen-shell-v1';
+const BOARD_CACHE = 'savor-kitchen-board-v1';
+const KNOWN_CACHES = [SHELL_CACHE, BOARD_CACHE];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(['/', '/index.html', '/manifest.json', '/sounds/mixkitBeep.mp3']))
+      .catch(() => {})
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !KNOWN_CACHES.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isOpenOrdersRequest(url) {
+  return url.pathname.endsWith('/admin/orders') && url.searchParams.get('status') === 'open';
+}
+
+// The board is per restaurant (x-restaurant-id header), so keep one entry per tenant
+function boardCacheKey(request) {
+  const url = new URL(request.url);
+  url.searchParams.set('__restaurant', request.headers.get('x-restaurant-id') || 'default');
+  return url.toString();
+}
+
+async function openOrdersNetworkFirst(request) {
+  const cache = await caches.open(BOARD_CACHE);
+  const cacheKey = boardCacheKey(request);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const body = await response.clone().text();
+      await cache.put(cacheKey, new Response(body, {
+        headers: { 'Content-Type': 'application/json', 'x-cached-at': new Date().toISOString() },
+      }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (!cached) throw error;
+    const data = await cached.json();
+    return new Response(JSON.stringify({ ...data, offline: true, cachedAt: cached.headers.get('x-cached-at') }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+async function pageNetworkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Client-side routes (/rest-001/kitchen) all boot from index.html
+    return (await cache.match(request)) || (await cache.match('/index.html')) || Response.error();
+  }
+}
+
+async function assetStaleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (isOpenOrdersRequest(url)) {
+    event.respondWith(openOrdersNetworkFirst(request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(pageNetworkFirst(request));
+  } else if (url.pathname.startsWith('/static/') || url.pathname.startsWith('/sounds/')) {
+    event.respondWith(assetStaleWhileRevalidate(request));
+  }
+});
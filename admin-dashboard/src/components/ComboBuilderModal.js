@@ -0,0 +1,199 @@
+import React, { useState, useMemo } from 'react';
+import { hasRecipe } from '../utils/pizzaPricing';
+import { toggleOption, defaultSelections, describeLimits, getSelectedModifiers, describeSelectedModifiers } from '../utils/modifierGroups';
+import { findComponentItem, getComponentSize, priceComboSelections } from '../utils/comboItems';
+import './PizzaCustomizerModal.css';
+import './ItemOptionsModal.css';
+
+/**
+ * Starting picks for every unit of every component: recipe toppings for specialty
+ * pizzas, default options for items
+ */
+function initialSelections(combo, menuItems) {
+  const selections = {};
+  for (const component of combo.components || []) {
+    const item = findComponentItem(menuItems, component.type === 'pizza' ? component.pizzaItemId : component.itemId);
+    const units = [];
+    for (let i = 0; i < Math.max(1, component.quantity || 1); i++) {
+      units.push(component.type === 'pizza'
+        ? {
+          crust: item?.allowedCrusts?.[0] || 'Thin',
+          wholeToppings: hasRecipe(item) ? [...item.recipe.includedToppings] : [],
+        }
+        : { modifierSelections: defaultSelections(item) });
+    }
+    selections[component.componentId] = units;
+  }
+  return selections;
+}
+
+/**
+ * Builds one combo: crust and toppings for each pizza, options for each item.
+ * Price is a preview; the server re-prices from comboSelections on submit.
+ */
+function ComboBuilderModal({ menuItem, menuItems, onClose, onAddToCart }) {
+  const [selections, setSelections] = useState(() => initialSelections(menuItem, menuItems));
+  const [quantity, setQuantity] = useState(1);
+
+  const pricing = useMemo(() => priceComboSelections(menuItem, selections, menuItems), [menuItem, selections, menuItems]);
+
+  const formatPrice = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+  const updateUnit = (componentId, index, changes) => {
+    setSelections((prev) => ({
+      ...prev,
+      [componentId]: prev[componentId].map((unit, i) => (i === index ? { ...unit, ...changes } : unit)),
+    }));
+  };
+
+  const toggleTopping = (componentId, index, unit, topping) => {
+    const current = unit.wholeToppings || [];
+    updateUnit(componentId, index, {
+      wholeToppings: current.includes(topping) ? current.filter((t) => t !== topping) : [...current, topping],
+    });
+  };
+
+  const buildSummary = () => (menuItem.components || []).flatMap((component) => {
+    const item = findComponentItem(menuItems, component.type === 'pizza' ? component.pizzaItemId : component.itemId);
+    return (selections[component.componentId] || []).map((unit) => {
+      if (component.type === 'pizza') {
+        return `${getComponentSize(component, item)} ${unit.crust} - ${unit.wholeToppings.join(', ') || 'Cheese'}`;
+      }
+      const options = describeSelectedModifiers(getSelectedModifiers(item, unit.modifierSelections));
+      return options.length > 0 ? `${component.label} (${options.join('; ')})` : component.label;
+    });
+  }).join(' · ');
+
+  const handleAddToCart = () => {
+    if (!pricing.ok) return;
+    onAddToCart({
+      itemId: menuItem.itemId,
+      name: menuItem.name,
+      price: pricing.unitPriceCents / 100,
+      quantity,
+      isPizza: false,
+      comboSelections: selections,
+      comboSummary: buildSummary(),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="pizza-modal-overlay" onClick={onClose}>
+      <div className="pizza-modal item-options-modal" onClick={e => e.stopPropagation()}>
+        <div className="pizza-modal-header">
+          <h2>{menuItem?.name}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="pizza-modal-body">
+          {(menuItem.components || []).map((component) => {
+            const item = findComponentItem(menuItems, component.type === 'pizza' ? component.pizzaItemId : component.itemId);
+            if (!item) return null;
+            return (selections[component.componentId] || []).map((unit, index) => {
+              const heading = component.quantity > 1 ? `${component.label} ${index + 1}` : component.label;
+
+              if (component.type === 'pizza') {
+                return (
+                  <div key={`${component.componentId}-${index}`} className="pizza-section">
+                    <h3>
+                      {heading}
+                      <span className="item-options-limits">
+                        {getComponentSize(component, item)}
+                        {component.includedToppings > 0 ? ` · ${component.includedToppings} topping${component.includedToppings > 1 ? 's' : ''} included` : ''}
+                      </span>
+                    </h3>
+                    <div className="option-buttons">
+                      {(item.allowedCrusts || []).map((c) => (
+                        <button
+                          key={c}
+                          className={`option-btn ${unit.crust === c ? 'selected' : ''}`}
+                          onClick={() => updateUnit(component.componentId, index, { crust: c })}
+                        >
+                          {c}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="toppings-grid">
+                      {(item.allowedToppings || []).map((topping) => (
+                        <button
+                          key={topping}
+                          className={`topping-btn ${unit.wholeToppings.includes(topping) ? 'selected' : ''}`}
+                          onClick={() => toggleTopping(component.componentId, index, unit, topping)}
+                        >
+                          {topping}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                );
+              }
+
+              return (item.modifierGroups || []).map((group) => {
+                const picked = unit.modifierSelections?.[group.groupId] || [];
+                return (
+                  <div key={`${component.componentId}-${index}-${group.groupId}`} className="pizza-section">
+                    <h3>
+                      {heading}: {group.name}
+                      <span className="item-options-limits">{describeLimits(group)}</span>
+                    </h3>
+                    <div className="option-buttons">
+                      {(group.options || []).map((option) => (
+                        <button
+                          key={option.optionId}
+                          className={`option-btn ${picked.includes(option.optionId) ? 'selected' : ''} ${option.available === false ? 'disabled' : ''}`}
+                          disabled={option.available === false}
+                          onClick={() => updateUnit(component.componentId, index, {
+                            modifierSelections: {
+                              ...unit.modifierSelections,
+                              [group.groupId]: toggleOption(group, picked, option.optionId),
+                            },
+                          })}
+                        >
+                          {option.name}
+                          {option.priceDeltaCents > 0 && <span className="option-price">+{formatPrice(option.priceDeltaCents)}</span>}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                );
+              });
+            });
+          })}
+
+          <div className="pizza-section quantity-section">
+            <h3>Quantity</h3>
+            <div className="quantity-controls">
+              <button className="qty-btn" onClick={() => setQuantity(Math.max(1, quantity - 1))}>-</button>
+              <span className="qty-value">{quantity}</span>
+              <button className="qty-btn" onClick={() => setQuantity(quantity + 1)}>+</button>
+            </div>
+          </div>
+        </div>
+
+        <div className="pizza-modal-footer">
+          <div className="price-breakdown">
+            <div className="breakdown-row">
+              <span>Bundle:</span>
+              <span>{formatPrice(menuItem.bundlePriceCents)}</span>
+            </div>
+            {pricing.upchargeCents > 0 && (
+              <div className="breakdown-row">
+                <span>Extras:</span>
+                <span>+{formatPrice(pricing.upchargeCents)}</span>
+              </div>
+            )}
+          </div>
+          {!pricing.ok && (
+            <div className="item-options-errors">{pricing.errors.join(' · ')}</div>
+          )}
+          <button className="add-to-cart-btn" onClick={handleAddToCart} disabled={!pricing.ok}>
+            Add to Cart - {formatPrice(pricing.unitPriceCents * quantity)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComboBuilderModal;
@@ -0,0 +1,120 @@
+import React, { useState, useMemo } from 'react';
+import {
+  defaultSelections,
+  toggleOption,
+  getSelectionLimits,
+  describeLimits,
+  getSelectedModifiers,
+  validateSelections,
+  priceWithModifiersCents,
+  describeSelectedModifiers,
+} from '../utils/modifierGroups';
+import './PizzaCustomizerModal.css';
+import './ItemOptionsModal.css';
+
+/**
+ * Option picker for non-pizza items with modifier groups (wing sauce, dressing, drink size).
+ * Price is a preview; the server re-prices from modifierSelections on submit.
+ */
+function ItemOptionsModal({ menuItem, onClose, onAddToCart }) {
+  const [selections, setSelections] = useState(() => defaultSelections(menuItem));
+  const [quantity, setQuantity] = useState(1);
+
+  const unitCents = useMemo(() => priceWithModifiersCents(menuItem, selections), [menuItem, selections]);
+  const errors = validateSelections(menuItem, selections);
+
+  const formatPrice = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+  const handleToggle = (group, optionId) => {
+    setSelections((prev) => ({
+      ...prev,
+      [group.groupId]: toggleOption(group, prev[group.groupId] || [], optionId),
+    }));
+  };
+
+  const handleAddToCart = () => {
+    if (errors.length > 0) return;
+    const selectedModifiers = getSelectedModifiers(menuItem, selections);
+    onAddToCart({
+      itemId: menuItem.itemId,
+      name: menuItem.name,
+      price: unitCents / 100,
+      quantity,
+      isPizza: false,
+      modifierSelections: selections,
+      selectedModifiers,
+      optionsSummary: describeSelectedModifiers(selectedModifiers).join(' · '),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="pizza-modal-overlay" onClick={onClose}>
+      <div className="pizza-modal item-options-modal" onClick={e => e.stopPropagation()}>
+        <div className="pizza-modal-header">
+          <h2>{menuItem?.name}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="pizza-modal-body">
+          {(menuItem?.modifierGroups || []).map((group) => {
+            const picked = selections[group.groupId] || [];
+            const { max } = getSelectionLimits(group);
+            return (
+              <div key={group.groupId} className="pizza-section">
+                <h3>
+                  {group.name}
+                  <span className="item-options-limits">{describeLimits(group)}</span>
+                </h3>
+                <div className="option-buttons">
+                  {(group.options || []).map((option) => {
+                    const isSelected = picked.includes(option.optionId);
+                    const soldOut = option.available === false;
+                    const full = !isSelected && max > 1 && picked.length >= max;
+                    return (
+                      <button
+                        key={option.optionId}
+                        className={`option-btn ${isSelected ? 'selected' : ''} ${soldOut || full ? 'disabled' : ''}`}
+                        onClick={() => handleToggle(group, option.optionId)}
+                        disabled={soldOut || full}
+                        title={soldOut ? 'Sold out' : ''}
+                      >
+                        {option.name}
+                        {option.priceDeltaCents ? (
+                          <span className="option-price">
+                            {option.priceDeltaCents > 0 ? '+' : '−'}{formatPrice(Math.abs(option.priceDeltaCents))}
+                          </span>
+                        ) : null}
+                        {soldOut && <span className="option-price">sold out</span>}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+
+          <div className="pizza-section quantity-section">
+            <h3>Quantity</h3>
+            <div className="quantity-controls">
+              <button className="qty-btn" onClick={() => setQuantity(Math.max(1, quantity - 1))}>-</button>
+              <span className="qty-value">{quantity}</span>
+              <button className="qty-btn" onClick={() => setQuantity(quantity + 1)}>+</button>
+            </div>
+          </div>
+        </div>
+
+        <div className="pizza-modal-footer">
+          {errors.length > 0 && (
+            <div className="item-options-errors">{errors.join(' · ')}</div>
+          )}
+          <button className="add-to-cart-btn" onClick={handleAddToCart} disabled={errors.length > 0}>
+            Add to Cart - {formatPrice(unitCents * quantity)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ItemOptionsModal;
@@ -1,60 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
+import { calculatePizzaPriceCents, getRecipePriceCents, hasRecipe } from '../utils/pizzaPricing';
 import './PizzaCustomizerModal.css';
 
-/**
- * Calculate pizza price from pizzaDetails and pricingRules (client-side preview).
- * Server will recalculate on order submission for consistency.
- */
-function calculatePizzaPrice(pizzaDetails, pricingRules) {
-  const { size, crust, wholeToppings = [], leftHalfToppings = [], rightHalfToppings = [], modifiers = [] } = pizzaDetails;
-  
-  // Base price
-  let baseCents = pricingRules?.basePriceCentsBySize?.[size] || 1799;
-  let crustSurcharge = pricingRules?.crustSurchargeCentsByCrust?.[crust] || 0;
-  
-  // Gluten-Free special handling
-  if (crust === 'Gluten-Free') {
-    baseCents = pricingRules?.glutenFreeBaseCents || 1600;
-    crustSurcharge = 0;
-  }
-  
-  // Topping price per item
-  const toppingPrice = pricingRules?.toppingPriceCentsBySize?.[size] || 250;
-  const portionMultipliers = pricingRules?.portionMultipliers || { regular: 1, light: 1, extra: 2, no: 0 };
-  
-  // Count toppings (with portion multipliers)
-  const countToppings = (toppings) => {
-    return toppings.reduce((sum, t) => {
-      const portion = typeof t === 'object' ? t.portion : 'regular';
-      const multiplier = portionMultipliers[portion] ?? 1;
-      return sum + multiplier;
-    }, 0);
-  };
-  
-  // Half toppings count as full per the plan
-  const wholeCount = countToppings(wholeToppings);
-  const leftCount = countToppings(leftHalfToppings);
-  const rightCount = countToppings(rightHalfToppings);
-  
-  let toppingsCents = (wholeCount + leftCount + rightCount) * toppingPrice;
-  
-  // Extra cheese modifier counts as a topping
-  const hasExtraCheese = modifiers.includes('extra cheese');
-  if (hasExtraCheese && pricingRules?.extraCheeseCountsAsTopping) {
-    toppingsCents += toppingPrice;
-  }
-  
-  const totalCents = baseCents + crustSurcharge + toppingsCents;
-  
-  return {
-    baseCents,
-    crustSurcharge,
-    toppingsCents,
-    totalCents,
-    price: totalCents / 100,
-  };
-}
-
 function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
   const [size, setSize] = useState('Medium');
   const [crust, setCrust] = useState('Thin');
@@ -75,6 +22,9 @@ function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
       if (defaults.leftHalfToppings) setLeftHalfToppings(defaults.leftHalfToppings.map(t => ({ name: t, portion: 'regular' })));
       if (defaults.rightHalfToppings) setRightHalfToppings(defaults.rightHalfToppings.map(t => ({ name: t, portion: 'regular' })));
       if (defaults.modifiers) setModifiers(defaults.modifiers);
+    } else if (hasRecipe(menuItem)) {
+      // Specialty pizzas start from their recipe; untoggling a topping removes it
+      setWholeToppings(menuItem.recipe.includedToppings.map(t => ({ name: t, portion: 'regular' })));
     }
   }, [menuItem]);
   
@@ -84,6 +34,7 @@ function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
   const allowedModifiers = menuItem?.allowedModifiers || ['well-done', 'light sauce', 'extra sauce', 'no sauce', 'extra cheese'];
   const pricingRules = useMemo(() => menuItem?.pricingRules || {}, [menuItem?.pricingRules]);
   const maxToppings = menuItem?.constraints?.maxToppings || 10;
+  const recipe = hasRecipe(menuItem) ? menuItem.recipe : null;
   
   // Calculate live price
   const pizzaDetails = useMemo(() => ({
@@ -95,7 +46,12 @@ function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
     modifiers,
   }), [size, crust, wholeToppings, leftHalfToppings, rightHalfToppings, modifiers]);
   
-  const pricing = useMemo(() => calculatePizzaPrice(pizzaDetails, pricingRules), [pizzaDetails, pricingRules]);
+  // Server recalculates on order submission; this is the same math for the preview
+  const pricing = useMemo(() => {
+    const result = calculatePizzaPriceCents(pizzaDetails, pricingRules, recipe);
+    return { ...result, price: result.totalCents / 100 };
+  }, [pizzaDetails, pricingRules, recipe]);
+  const recipeChanges = pricing.breakdown.recipe;
   
   // Get all selected toppings across all sections
   const totalToppingCount = wholeToppings.length + leftHalfToppings.length + rightHalfToppings.length;
@@ -247,7 +203,9 @@ function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
                 >
                   {s}
                   <span className="option-price">
-                    {formatPrice(pricingRules?.basePriceCentsBySize?.[s] || 1799)}
+                    {formatPrice(recipe
+                      ? getRecipePriceCents(recipe, s, pricingRules)
+                      : pricingRules?.basePriceCentsBySize?.[s] || 1799)}
                   </span>
                 </button>
               ))}
@@ -335,6 +293,11 @@ function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
             <p className="topping-hint">
               💡 Double-click a selected topping to cycle: Regular → Light → Extra
             </p>
+            {recipe && (
+              <p className="topping-hint">
+                Includes {recipe.includedToppings.join(', ')}. Removing one is free and swaps it for another topping at no charge.
+              </p>
+            )}
           </div>
           
           {/* Modifiers */}
@@ -396,6 +359,12 @@ function PizzaCustomizerModal({ menuItem, onClose, onAddToCart }) {
                 <span>+{formatPrice(pricing.toppingsCents)}</span>
               </div>
             )}
+            {recipeChanges?.removed.length > 0 && (
+              <div className="breakdown-row">
+                <span>No {recipeChanges.removed.join(', ')}</span>
+                <span>{recipeChanges.swapCreditCents > 0 ? `Swap credit ${formatPrice(recipeChanges.swapCreditCents)}` : 'Free'}</span>
+              </div>
+            )}
             <div className="breakdown-row total">
               <span>Total ({quantity}x):</span>
               <span>${(pricing.price * quantity).toFixed(2)}</span>
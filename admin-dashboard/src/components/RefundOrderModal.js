@@ -0,0 +1,203 @@
+import React, { useState, useMemo } from 'react';
+import { refundOrder } from '../services/api';
+import './RefundOrderModal.css';
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Same line key the refund API uses: web orders have lineItemId, phone orders key lines by itemId.
+ */
+function getLineKey(item) {
+  return String(item.lineItemId || item.itemId);
+}
+
+const QUICK_REASONS = ['Burned / wrong item', 'Missing item', 'Late order', 'Customer complaint'];
+
+/**
+ * Refund dialog for TodaysOrders: pick OrderItems (or the whole order) and give a reason.
+ * Amount shown is a preview - the server recomputes it from the stored order.
+ */
+function RefundOrderModal({ order, restaurantId, onClose, onRefunded }) {
+  const [mode, setMode] = useState('items'); // items, full
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const total = toNumber(order.total);
+  const refundedAmount = toNumber(order.refundedAmount);
+  const refundable = Math.max(0, total - refundedAmount);
+
+  // Quantities already refunded per line (from earlier partial refunds)
+  const refundedQuantities = useMemo(() => {
+    const refunded = {};
+    for (const refund of order.refunds || []) {
+      for (const line of refund.items || []) {
+        refunded[line.lineKey] = (refunded[line.lineKey] || 0) + toNumber(line.quantity);
+      }
+    }
+    return refunded;
+  }, [order.refunds]);
+
+  const lines = useMemo(() => (order.orderItems || []).map(item => {
+    const lineKey = getLineKey(item);
+    const unitPrice = item.priceCents != null ? toNumber(item.priceCents) / 100 : toNumber(item.price);
+    return {
+      lineKey,
+      name: item.name,
+      unitPrice,
+      remaining: toNumber(item.quantity, 1) - (refundedQuantities[lineKey] || 0),
+    };
+  }), [order.orderItems, refundedQuantities]);
+
+  const subtotal = toNumber(order.subtotal);
+  // Same as refundOrder: line share of the discount off, tax on
+  const chargeRatio = subtotal > 0 ? (subtotal - toNumber(order.discount) + toNumber(order.tax)) / subtotal : 1;
+
+  const previewAmount = useMemo(() => {
+    if (mode === 'full') return refundable;
+    const itemsTotal = lines.reduce(
+      (sum, line) => sum + line.unitPrice * (quantities[line.lineKey] || 0) * chargeRatio,
+      0
+    );
+    return Math.min(itemsTotal, refundable);
+  }, [mode, lines, quantities, chargeRatio, refundable]);
+
+  const setLineQuantity = (lineKey, quantity, max) => {
+    setQuantities(prev => ({ ...prev, [lineKey]: Math.max(0, Math.min(quantity, max)) }));
+  };
+
+  const selectedItems = lines
+    .filter(line => (quantities[line.lineKey] || 0) > 0)
+    .map(line => ({ lineKey: line.lineKey, quantity: quantities[line.lineKey] }));
+
+  const canSubmit = !isSubmitting
+    && reason.trim().length > 0
+    && previewAmount > 0
+    && (mode === 'full' || selectedItems.length > 0);
+
+  const handleSubmit = async () => {
+    if (!canSubmit) return;
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const result = await refundOrder(order.id, {
+        full: mode === 'full',
+        items: selectedItems,
+        reason: reason.trim(),
+      }, restaurantId);
+      onRefunded(result.order);
+    } catch (err) {
+      setError(err.message || 'Refund failed');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="refund-modal-overlay" onClick={onClose}>
+      <div className="refund-modal" onClick={e => e.stopPropagation()}>
+        <div className="refund-modal-header">
+          <h2>Refund Order #{order.orderNumber || order.id.slice(-6)}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="refund-modal-body">
+          <div className="refund-summary">
+            <span>Charged ${total.toFixed(2)}</span>
+            {refundedAmount > 0 && <span>Already refunded ${refundedAmount.toFixed(2)}</span>}
+            <span>Refundable ${refundable.toFixed(2)}</span>
+          </div>
+
+          <div className="refund-mode">
+            <button
+              className={`refund-mode-btn ${mode === 'items' ? 'selected' : ''}`}
+              onClick={() => setMode('items')}
+            >
+              Pick items
+            </button>
+            <button
+              className={`refund-mode-btn ${mode === 'full' ? 'selected' : ''}`}
+              onClick={() => setMode('full')}
+            >
+              Full refund
+            </button>
+          </div>
+
+          {mode === 'items' && (
+            <div className="refund-lines">
+              {lines.length === 0 && (
+                <div className="refund-empty">No line items on this order - use a full refund.</div>
+              )}
+              {lines.map(line => {
+                const qty = quantities[line.lineKey] || 0;
+                return (
+                  <div key={line.lineKey} className={`refund-line ${line.remaining <= 0 ? 'refunded' : ''}`}>
+                    <div className="refund-line-name">
+                      {line.name}
+                      <span className="refund-line-price">${line.unitPrice.toFixed(2)} each</span>
+                    </div>
+                    {line.remaining > 0 ? (
+                      <div className="refund-line-qty">
+                        <button
+                          className="qty-btn"
+                          onClick={() => setLineQuantity(line.lineKey, qty - 1, line.remaining)}
+                          disabled={qty === 0}
+                        >
+                          −
+                        </button>
+                        <span>{qty} / {line.remaining}</span>
+                        <button
+                          className="qty-btn"
+                          onClick={() => setLineQuantity(line.lineKey, qty + 1, line.remaining)}
+                          disabled={qty >= line.remaining}
+                        >
+                          +
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="refund-line-done">Refunded</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="refund-reason">
+            <label htmlFor="refund-reason">Reason</label>
+            <div className="refund-quick-reasons">
+              {QUICK_REASONS.map(r => (
+                <button key={r} className="quick-reason-btn" onClick={() => setReason(r)}>
+                  {r}
+                </button>
+              ))}
+            </div>
+            <textarea
+              id="refund-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="What went wrong?"
+              rows={2}
+            />
+          </div>
+
+          {error && <div className="refund-error">⚠️ {error}</div>}
+        </div>
+
+        <div className="refund-modal-footer">
+          <button className="refund-cancel-btn" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </button>
+          <button className="refund-submit-btn" onClick={handleSubmit} disabled={!canSubmit}>
+            {isSubmitting ? 'Refunding...' : `Refund $${previewAmount.toFixed(2)}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RefundOrderModal;
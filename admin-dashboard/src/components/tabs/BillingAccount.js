@@ -71,7 +71,8 @@ function BillingAccount({ restaurantId }) {
     try {
       const result = await regenerateKitchenPin(restaurantId);
       setGeneratedPin(result.pinFormatted);
-      setPinStatus({ hasPin: true, lastUpdatedAt: result.lastUpdatedAt });
+      // A new PIN makes any guessing pointless; the server clears the alert too
+      setPinStatus({ hasPin: true, lastUpdatedAt: result.lastUpdatedAt, alert: null });
     } catch (error) {
       console.error('Error regenerating PIN:', error);
       setPinError(error.message);
@@ -174,6 +175,17 @@ function BillingAccount({ restaurantId }) {
             </div>
           </div>
           
+          {pinStatus.alert && !generatedPin && (
+            <div className="pin-alert">
+              <strong>Someone may be guessing your kitchen PIN.</strong>{' '}
+              {pinStatus.alert.failedAttempts} failed attempts
+              {pinStatus.alert.sourceIpCount > 1 ? ` from ${pinStatus.alert.sourceIpCount} different networks` : ''}
+              {pinStatus.alert.lastSeenAt ? `, most recently ${formatDate(pinStatus.alert.lastSeenAt)}` : ''}.
+              {pinStatus.alert.lockedUntil && ` Kitchen logins are paused until ${formatDate(pinStatus.alert.lockedUntil)}.`}
+              {' '}Regenerate the PIN to lock them out and re-pair your tablets.
+            </div>
+          )}
+
           {pinError && (
             <div className="pin-error">
               {pinError}
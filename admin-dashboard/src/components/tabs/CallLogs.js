@@ -1,50 +1,186 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { format } from 'date-fns';
+import { getCallLogs, getCallLog } from '../../services/api';
 import './CallLogs.css';
 
+const SEARCH_DEBOUNCE_MS = 400;
+
+// Vapi endedReason values worth translating; anything else is shown as-is
+const ENDED_REASON_LABELS = {
+  'customer-ended-call': 'Caller hung up',
+  'assistant-ended-call': 'Agent ended call',
+  'assistant-forwarded-call': 'Forwarded to staff',
+  'silence-timed-out': 'Silence timeout',
+  'exceeded-max-duration': 'Max duration reached',
+  'customer-did-not-answer': 'No answer',
+  'customer-busy': 'Busy',
+};
+
+function safeParseDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function formatDate(value) {
+  const d = safeParseDate(value);
+  return d ? format(d, 'MM/dd/yyyy HH:mm') : '—';
+}
+
+function formatDuration(seconds) {
+  if (seconds == null || isNaN(Number(seconds))) return '—';
+  const total = Math.round(Number(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatOffset(seconds) {
+  if (seconds == null) return '';
+  return formatDuration(seconds);
+}
+
+function describeEndedReason(call) {
+  if (call.status && call.status !== 'ended') return 'In progress';
+  if (!call.endedReason) return '—';
+  return ENDED_REASON_LABELS[call.endedReason] || call.endedReason;
+}
+
+// Plain-text transcripts come as "AI: ...\nUser: ..." lines
+function parseTranscript(transcript) {
+  return String(transcript || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const match = line.match(/^(AI|User|Assistant|Bot):\s*(.*)$/i);
+      if (!match) return { role: 'agent', text: line };
+      return { role: match[1].toLowerCase() === 'user' ? 'caller' : 'agent', text: match[2] };
+    });
+}
+
+function CallDetail({ callId, restaurantId, onClose }) {
+  const [call, setCall] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    getCallLog(callId, restaurantId)
+      .then((data) => {
+        if (!cancelled) setCall(data.call);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load call');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [callId, restaurantId]);
+
+  const turns = call
+    ? (Array.isArray(call.messages) && call.messages.length > 0 ? call.messages : parseTranscript(call.transcript))
+    : [];
+
+  return (
+    <div className="call-detail">
+      <div className="call-detail-header">
+        <div>
+          <h3>{call?.callerPhone || 'Unknown caller'}</h3>
+          {call && (
+            <p className="call-detail-meta">
+              {formatDate(call.startedAt)} · {formatDuration(call.durationSeconds)} · {describeEndedReason(call)}
+              {call.orderNumber ? ` · Order #${call.orderNumber}` : ''}
+            </p>
+          )}
+        </div>
+        <button className="close-detail-btn" onClick={onClose} aria-label="Close call details">
+          ✕
+        </button>
+      </div>
+
+      {isLoading && <div className="loading-calls">Loading call...</div>}
+      {error && <div className="error-banner">{error}</div>}
+
+      {call && (
+        <>
+          {call.recordingUrl ? (
+            <audio className="call-audio" controls preload="none" src={call.recordingUrl}>
+              Your browser does not support audio playback.
+            </audio>
+          ) : (
+            <p className="no-recording">No recording for this call.</p>
+          )}
+
+          {call.summary && (
+            <div className="call-summary">
+              <h4>Summary</h4>
+              <p>{call.summary}</p>
+            </div>
+          )}
+
+          <div className="call-transcript">
+            <h4>Transcript</h4>
+            {turns.length === 0 ? (
+              <p className="no-recording">No transcript yet. It arrives a few seconds after the call ends.</p>
+            ) : (
+              turns.map((turn, idx) => (
+                <div key={idx} className={`transcript-turn ${turn.role === 'caller' ? 'caller' : 'agent'}`}>
+                  <span className="transcript-speaker">
+                    {turn.role === 'caller' ? 'Caller' : 'Agent'}
+                    {turn.secondsFromStart != null && (
+                      <span className="transcript-time"> {formatOffset(turn.secondsFromStart)}</span>
+                    )}
+                  </span>
+                  <span className="transcript-text">{turn.text}</span>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
 function CallLogs({ restaurantId }) {
   const [searchTerm, setSearchTerm] = useState('');
-  const [calls] = useState([
-    {
-      id: '1',
-      date: new Date(),
-      phone: '(555) 123-4567',
-      duration: '4:32',
-      orderTotal: 24.99,
-      recordingUrl: '#',
-    },
-    {
-      id: '2',
-      date: new Date(Date.now() - 3600000),
-      phone: '(555) 234-5678',
-      duration: '3:15',
-      orderTotal: 18.50,
-      recordingUrl: '#',
-    },
-    {
-      id: '3',
-      date: new Date(Date.now() - 7200000),
-      phone: '(555) 345-6789',
-      duration: '5:48',
-      orderTotal: 0,
-      recordingUrl: '#',
-    },
-  ]);
-
-  const filteredCalls = calls.filter(
-    (call) =>
-      call.phone.includes(searchTerm) ||
-      format(call.date, 'MM/dd/yyyy HH:mm').includes(searchTerm)
-  );
+  const [query, setQuery] = useState('');
+  const [calls, setCalls] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedCallId, setSelectedCallId] = useState(null);
+
+  // Search server-side once typing settles
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(searchTerm.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const loadCalls = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await getCallLogs({ q: query, cursor }, restaurantId);
+      setCalls((prev) => (cursor ? [...prev, ...(data.calls || [])] : data.calls || []));
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Error loading call logs:', err);
+      setError(err.message || 'Failed to load call logs');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [query, restaurantId]);
 
-  const formatDuration = (duration) => {
-    return duration;
-  };
+  useEffect(() => {
+    loadCalls();
+  }, [loadCalls]);
 
-  const playRecording = (callId) => {
-    // In real app, this would play the recording
-    alert(`Playing recording for call ${callId}`);
-  };
+  const convertedCount = calls.filter((c) => c.orderId && Number(c.orderTotal) > 0).length;
 
   return (
     <div className="call-logs">
@@ -59,12 +195,22 @@ function CallLogs({ restaurantId }) {
         <input
           type="text"
           className="search-input"
-          placeholder="Search by phone number or date..."
+          placeholder="Search by phone number, order ID or anything said on the call..."
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
         />
       </div>
 
+      {error && <div className="error-banner">{error}</div>}
+
+      {selectedCallId && (
+        <CallDetail
+          callId={selectedCallId}
+          restaurantId={restaurantId}
+          onClose={() => setSelectedCallId(null)}
+        />
+      )}
+
       <div className="calls-table-container">
         <table className="calls-table">
           <thead>
@@ -72,32 +218,39 @@ function CallLogs({ restaurantId }) {
               <th>Date</th>
               <th>Phone Number</th>
               <th>Duration</th>
+              <th>Ended</th>
               <th>Order Total</th>
               <th>Recording</th>
             </tr>
           </thead>
           <tbody>
-            {filteredCalls.length === 0 ? (
+            {calls.length === 0 && !isLoading ? (
               <tr>
-                <td colSpan="5" className="no-calls">
-                  No calls found
+                <td colSpan="6" className="no-calls">
+                  {query ? 'No calls match your search' : 'No calls found'}
                 </td>
               </tr>
             ) : (
-              filteredCalls.map((call) => (
-                <tr key={call.id}>
-                  <td>{format(call.date, 'MM/dd/yyyy HH:mm')}</td>
-                  <td className="phone-number">{call.phone}</td>
-                  <td>{formatDuration(call.duration)}</td>
-                  <td className={call.orderTotal > 0 ? 'order-total' : 'no-order'}>
-                    {call.orderTotal > 0 ? `$${call.orderTotal.toFixed(2)}` : 'No order'}
+              calls.map((call) => (
+                <tr
+                  key={call.callId}
+                  className={selectedCallId === call.callId ? 'selected-call' : ''}
+                >
+                  <td>{formatDate(call.startedAt)}</td>
+                  <td className="phone-number">{call.callerPhone || 'Unknown'}</td>
+                  <td>{formatDuration(call.durationSeconds)}</td>
+                  <td>{describeEndedReason(call)}</td>
+                  <td className={Number(call.orderTotal) > 0 ? 'order-total' : 'no-order'}>
+                    {Number(call.orderTotal) > 0
+                      ? `$${Number(call.orderTotal).toFixed(2)}`
+                      : call.orderId ? 'Callback' : 'No order'}
                   </td>
                   <td>
                     <button
                       className="play-btn"
-                      onClick={() => playRecording(call.id)}
+                      onClick={() => setSelectedCallId(call.callId)}
                     >
-                      ▶️ Play Recording
+                      ▶️ Listen & Transcript
                     </button>
                   </td>
                 </tr>
@@ -105,27 +258,27 @@ function CallLogs({ restaurantId }) {
             )}
           </tbody>
         </table>
+        {isLoading && <div className="loading-calls">Loading calls...</div>}
       </div>
 
+      {nextCursor && !isLoading && (
+        <button className="load-more-btn" onClick={() => loadCalls(nextCursor)}>
+          Load more calls
+        </button>
+      )}
+
       <div className="call-stats">
         <div className="stat-card">
           <div className="stat-value">{calls.length}</div>
-          <div className="stat-label">Total Calls</div>
+          <div className="stat-label">Calls Shown</div>
         </div>
         <div className="stat-card">
-          <div className="stat-value">
-            {calls.filter((c) => c.orderTotal > 0).length}
-          </div>
+          <div className="stat-value">{convertedCount}</div>
           <div className="stat-label">Converted to Orders</div>
         </div>
         <div className="stat-card">
           <div className="stat-value">
-            {calls.length > 0
-              ? Math.round(
-                  (calls.filter((c) => c.orderTotal > 0).length / calls.length) * 100
-                )
-              : 0}
-            %
+            {calls.length > 0 ? Math.round((convertedCount / calls.length) * 100) : 0}%
           </div>
           <div className="stat-label">Conversion Rate</div>
         </div>
@@ -135,4 +288,3 @@ function CallLogs({ restaurantId }) {
 }
 
 export default CallLogs;
-
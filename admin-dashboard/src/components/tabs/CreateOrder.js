@@ -1,7 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { getMenu, createOrder, getSettings } from '../../services/api';
+import { getMenu, createOrder, quoteOrder, getSettings } from '../../services/api';
 import { getCachedMenu, setCachedMenu, isCacheValid } from '../../utils/menuCache';
 import PizzaCustomizerModal from '../PizzaCustomizerModal';
+import ItemOptionsModal from '../ItemOptionsModal';
+import ComboBuilderModal from '../ComboBuilderModal';
+import { hasModifierGroups } from '../../utils/modifierGroups';
+import { getRecipePriceCents, hasRecipe } from '../../utils/pizzaPricing';
+import { isComboMenuItem } from '../../utils/comboItems';
 import './CreateOrder.css';
 
 /**
@@ -18,6 +23,40 @@ function generateCartItemId() {
   return `cart-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// Wait for the cart to settle before asking the server for discounts
+const QUOTE_DEBOUNCE_MS = 400;
+
+/**
+ * Cart lines as the API takes them (server re-prices from the picks)
+ */
+function buildOrderItems(cart) {
+  return cart.map(item => {
+    const orderItem = {
+      itemId: item.itemId,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+    };
+    
+    // Include pizza details for server-side pricing
+    if (item.isPizza && item.pizzaDetails) {
+      orderItem.pizzaDetails = item.pizzaDetails;
+    }
+
+    // Include option picks for server-side pricing
+    if (item.modifierSelections) {
+      orderItem.modifierSelections = item.modifierSelections;
+    }
+
+    // Include combo picks for server-side pricing
+    if (item.comboSelections) {
+      orderItem.comboSelections = item.comboSelections;
+    }
+    
+    return orderItem;
+  });
+}
+
 function CreateOrder({ restaurantId }) {
   const [menuItems, setMenuItems] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -30,6 +69,18 @@ function CreateOrder({ restaurantId }) {
   // Pizza customizer modal state
   const [pizzaModalOpen, setPizzaModalOpen] = useState(false);
   const [selectedPizzaItem, setSelectedPizzaItem] = useState(null);
+
+  // Option picker for items with modifier groups (sauce, dressing, size)
+  const [optionsItem, setOptionsItem] = useState(null);
+
+  // Combo builder (pizzas and sides inside a bundle)
+  const [comboItem, setComboItem] = useState(null);
+
+  // Promotions: the applied code, and the server's discount for the current cart
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [promoError, setPromoError] = useState(null);
+  const [promoQuote, setPromoQuote] = useState(null);
   
   const [formData, setFormData] = useState({
     name: '',
@@ -143,6 +194,17 @@ function CreateOrder({ restaurantId }) {
       setPizzaModalOpen(true);
       return;
     }
+
+    if (isComboMenuItem(item)) {
+      setComboItem(item);
+      return;
+    }
+
+    // Items with option groups are picked in the options modal
+    if (hasModifierGroups(item)) {
+      setOptionsItem(item);
+      return;
+    }
     
     // For v1 flat items, use existing logic
     const existingItem = cart.find(cartItem => 
@@ -176,6 +238,28 @@ function CreateOrder({ restaurantId }) {
     }]);
   };
 
+  const addComboToCart = (comboCartItem) => {
+    // Each combo build is its own line, like pizzas
+    setCart([...cart, { ...comboCartItem, cartItemId: generateCartItemId() }]);
+  };
+
+  const addOptionsItemToCart = (optionsCartItem) => {
+    // Same item with the same picks stacks; different picks get their own line
+    const key = JSON.stringify(optionsCartItem.modifierSelections);
+    const existingItem = cart.find(cartItem =>
+      cartItem.itemId === optionsCartItem.itemId && JSON.stringify(cartItem.modifierSelections) === key
+    );
+    if (existingItem) {
+      setCart(cart.map(cartItem =>
+        cartItem.cartItemId === existingItem.cartItemId
+          ? { ...cartItem, quantity: cartItem.quantity + optionsCartItem.quantity }
+          : cartItem
+      ));
+    } else {
+      setCart([...cart, { ...optionsCartItem, cartItemId: generateCartItemId() }]);
+    }
+  };
+
   const updateQuantity = (cartItemId, quantity) => {
     if (quantity <= 0) {
       removeFromCart(cartItemId);
@@ -190,12 +274,58 @@ function CreateOrder({ restaurantId }) {
     setCart(cart.filter(item => item.cartItemId !== cartItemId));
   };
 
+  // Automatic deals and the applied code are priced by the server (same as web and phone orders)
+  useEffect(() => {
+    if (cart.length === 0) {
+      setPromoQuote(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const quote = await quoteOrder({
+          items: buildOrderItems(cart),
+          orderType: formData.orderType,
+          promoCode,
+        }, restaurantId);
+        if (!cancelled) {
+          setPromoQuote(quote);
+          setPromoError(null);
+        }
+      } catch (error) {
+        if (cancelled) return;
+        setPromoQuote(null);
+        if (promoCode && error.code?.startsWith('promo_')) {
+          // Code no longer applies (cart or order type changed): drop it and say why
+          setPromoError(error.message);
+          setPromoCode('');
+        }
+      }
+    }, QUOTE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cart, formData.orderType, promoCode, restaurantId]);
+
+  const handleApplyPromo = () => {
+    setPromoError(null);
+    setPromoCode(promoInput.trim().toUpperCase());
+  };
+
+  const handleRemovePromo = () => {
+    setPromoInput('');
+    setPromoCode('');
+    setPromoError(null);
+  };
+
   const calculateTotals = () => {
     const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const tax = subtotal * (settings.taxRate / 100);
+    const discount = promoQuote?.discount || 0;
+    const tax = (subtotal - discount) * (settings.taxRate / 100);
     const tip = parseFloat(formData.tip) || 0;
-    const total = subtotal + tax + tip;
-    return { subtotal, tax, tip, total };
+    const total = subtotal - discount + tax + tip;
+    return { subtotal, discount, tax, tip, total };
   };
 
   const handleSubmit = async (e) => {
@@ -216,30 +346,14 @@ function CreateOrder({ restaurantId }) {
     try {
       const { subtotal, tax, tip, total } = calculateTotals();
       
-      // Prepare order items - include pizzaDetails for pizza items
-      const orderItems = cart.map(item => {
-        const orderItem = {
-          itemId: item.itemId,
-          name: item.name,
-          price: item.price,
-          quantity: item.quantity,
-        };
-        
-        // Include pizza details for server-side pricing
-        if (item.isPizza && item.pizzaDetails) {
-          orderItem.pizzaDetails = item.pizzaDetails;
-        }
-        
-        return orderItem;
-      });
-      
       const orderData = {
         ...formData,
-        items: orderItems,
+        items: buildOrderItems(cart),
         subtotal,
         tax,
         tip,
         total,
+        promoCode,
         paymentId: null,
         paymentMethod: formData.paymentMethod,
       };
@@ -252,6 +366,7 @@ function CreateOrder({ restaurantId }) {
       
       // Reset form
       setCart([]);
+      handleRemovePromo();
       setFormData({
         name: '',
         phone: '',
@@ -265,7 +380,7 @@ function CreateOrder({ restaurantId }) {
       });
     } catch (error) {
       console.error('Error creating order:', error);
-      alert('Failed to create order. Please try again.');
+      alert(error.code === 'INVALID_MODIFIERS' || error.code?.startsWith('promo_') ? error.message : 'Failed to create order. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -280,9 +395,14 @@ function CreateOrder({ restaurantId }) {
     if (isPizzaItem(item)) {
       // Show starting price for pizzas
       const minSize = item.allowedSizes?.[0] || 'Personal';
-      const basePrice = item.pricingRules?.basePriceCentsBySize?.[minSize] || 1199;
+      const basePrice = hasRecipe(item)
+        ? getRecipePriceCents(item.recipe, minSize, item.pricingRules)
+        : item.pricingRules?.basePriceCentsBySize?.[minSize] || 1199;
       return basePrice / 100;
     }
+    if (isComboMenuItem(item)) {
+      return (item.bundlePriceCents || 0) / 100;
+    }
     return item.price || 0;
   };
 
@@ -344,7 +464,7 @@ function CreateOrder({ restaurantId }) {
                     onClick={() => addToCart(item)}
                     disabled={!item.available}
                   >
-                    {item.available ? (isPizzaItem(item) ? 'Customize' : '+') : 'Unavailable'}
+                    {item.available ? (isPizzaItem(item) || isComboMenuItem(item) || hasModifierGroups(item) ? 'Customize' : '+') : 'Unavailable'}
                   </button>
                 </div>
               ))}
@@ -383,6 +503,18 @@ function CreateOrder({ restaurantId }) {
                           {item.pizzaSummary}
                         </div>
                       )}
+                      {/* Combo components summary */}
+                      {item.comboSummary && (
+                        <div className="cart-item-pizza-summary">
+                          {item.comboSummary}
+                        </div>
+                      )}
+                      {/* Option picks summary */}
+                      {item.optionsSummary && (
+                        <div className="cart-item-pizza-summary">
+                          {item.optionsSummary}
+                        </div>
+                      )}
                       <div className="cart-item-price">${item.price.toFixed(2)}</div>
                     </div>
                     <div className="cart-item-controls">
@@ -415,6 +547,34 @@ function CreateOrder({ restaurantId }) {
                   <span>Subtotal:</span>
                   <span>${subtotal.toFixed(2)}</span>
                 </div>
+                {(promoQuote?.adjustments || []).map((adjustment) => (
+                  <div key={adjustment.adjustmentId} className="total-row discount-row">
+                    <span>{adjustment.name}{adjustment.code ? ` (${adjustment.code})` : ''}:</span>
+                    <span>-${adjustment.amount.toFixed(2)}</span>
+                  </div>
+                ))}
+                <div className="total-row promo-row">
+                  {promoCode ? (
+                    <>
+                      <span>Code {promoCode}</span>
+                      <button type="button" className="promo-remove-btn" onClick={handleRemovePromo}>Remove</button>
+                    </>
+                  ) : (
+                    <>
+                      <input
+                        type="text"
+                        className="promo-input"
+                        value={promoInput}
+                        onChange={(e) => setPromoInput(e.target.value)}
+                        placeholder="Promo code"
+                      />
+                      <button type="button" className="promo-apply-btn" onClick={handleApplyPromo} disabled={!promoInput.trim()}>
+                        Apply
+                      </button>
+                    </>
+                  )}
+                </div>
+                {promoError && <div className="promo-error">{promoError}</div>}
                 <div className="total-row">
                   <span>Tax ({settings.taxRate}%):</span>
                   <span>${tax.toFixed(2)}</span>
@@ -551,6 +711,25 @@ function CreateOrder({ restaurantId }) {
           onAddToCart={addPizzaToCart}
         />
       )}
+
+      {/* Combo Builder Modal */}
+      {comboItem && (
+        <ComboBuilderModal
+          menuItem={comboItem}
+          menuItems={menuItems}
+          onClose={() => setComboItem(null)}
+          onAddToCart={addComboToCart}
+        />
+      )}
+
+      {/* Item Options Modal */}
+      {optionsItem && (
+        <ItemOptionsModal
+          menuItem={optionsItem}
+          onClose={() => setOptionsItem(null)}
+          onAddToCart={addOptionsItemToCart}
+        />
+      )}
     </div>
   );
 }
@@ -1,10 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { getSettings, updateSettings } from '../../services/api';
+import { getAdminSettings, updateSettings } from '../../services/api';
 import { saveStoreHoursLocal } from '../../utils/storeHoursLocal';
 import './HoursSettings.css';
 
 const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
+// Hours are checked server-side in the restaurant's own timezone
+const TIMEZONES = [
+  { value: 'America/New_York', label: 'Eastern' },
+  { value: 'America/Chicago', label: 'Central' },
+  { value: 'America/Denver', label: 'Mountain' },
+  { value: 'America/Phoenix', label: 'Arizona' },
+  { value: 'America/Los_Angeles', label: 'Pacific' },
+  { value: 'America/Anchorage', label: 'Alaska' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii' },
+];
+
 // Rush level labels for the slider
 const RUSH_LABELS = {
   1.0: 'Normal',
@@ -25,7 +36,11 @@ function HoursSettings({ restaurantId }) {
     }, {})
   );
 
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+
   const [settings, setSettings] = useState({
+    timezone: 'America/New_York',
+    holidayClosures: [],
     acceptDelivery: true,
     minDeliveryOrder: 30,
     deliveryFee: 4,
@@ -39,6 +54,17 @@ function HoursSettings({ restaurantId }) {
     etaRushMultiplier: 1.0,
     etaPerPizzaMinutes: 3,
     etaPerSideMinutes: 1,
+    // Scheduled ("for later") orders
+    allowScheduledOrders: true,
+    scheduleMinLeadMinutes: 30,
+    scheduleMaxDaysAhead: 7,
+    scheduleSlotMinutes: 15,
+    schedulePrepWindowMinutes: 45,
+    // Kitchen capacity throttling
+    capacityEnabled: false,
+    capacityUnit: 'pizzas',
+    capacityPerSlot: 12,
+    capacitySlotMinutes: 15,
   });
 
   // Load settings on mount
@@ -47,7 +73,7 @@ function HoursSettings({ restaurantId }) {
       try {
         setLoading(true);
         // Pass restaurantId for multi-tenant isolation
-        const data = await getSettings(restaurantId);
+        const data = await getAdminSettings(restaurantId);
         // Merge loaded settings with defaults
         setSettings(prev => ({
           ...prev,
@@ -91,6 +117,23 @@ function HoursSettings({ restaurantId }) {
     setSettings({ ...settings, [field]: value });
   };
 
+  const handleAddHoliday = () => {
+    if (!newHoliday.date) return;
+    const holidayClosures = [
+      ...(settings.holidayClosures || []).filter((h) => h.date !== newHoliday.date),
+      { date: newHoliday.date, name: newHoliday.name.trim() },
+    ].sort((a, b) => a.date.localeCompare(b.date));
+    setSettings({ ...settings, holidayClosures });
+    setNewHoliday({ date: '', name: '' });
+  };
+
+  const handleRemoveHoliday = (date) => {
+    setSettings({
+      ...settings,
+      holidayClosures: (settings.holidayClosures || []).filter((h) => h.date !== date),
+    });
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -128,8 +171,20 @@ function HoursSettings({ restaurantId }) {
       <div className="section">
         <h2>Business Hours</h2>
         <p className="section-description">
-          The AI phone automatically says "we're closed" outside these hours
+          Phone and online orders are turned away outside these hours
         </p>
+        <div className="setting-row">
+          <label className="setting-label">Timezone</label>
+          <select
+            value={settings.timezone}
+            onChange={(e) => handleSettingChange('timezone', e.target.value)}
+            className="timezone-select"
+          >
+            {TIMEZONES.map((tz) => (
+              <option key={tz.value} value={tz.value}>{tz.label}</option>
+            ))}
+          </select>
+        </div>
         <div className="hours-list">
           {DAYS.map((day) => (
             <div key={day} className="hours-row">
@@ -166,6 +221,42 @@ function HoursSettings({ restaurantId }) {
         </div>
       </div>
 
+      <div className="section">
+        <h2>Holiday Closures</h2>
+        <p className="section-description">
+          Closed all day on these dates, regardless of regular hours
+        </p>
+        <div className="holiday-list">
+          {(settings.holidayClosures || []).map((holiday) => (
+            <div key={holiday.date} className="holiday-row">
+              <span className="holiday-date">{holiday.date}</span>
+              <span className="holiday-name">{holiday.name || 'Closed'}</span>
+              <button className="holiday-remove" onClick={() => handleRemoveHoliday(holiday.date)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <div className="holiday-row">
+            <input
+              type="date"
+              value={newHoliday.date}
+              onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+              className="time-input"
+            />
+            <input
+              type="text"
+              value={newHoliday.name}
+              placeholder="e.g. Thanksgiving"
+              onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+              className="holiday-name-input"
+            />
+            <button className="holiday-add" onClick={handleAddHoliday} disabled={!newHoliday.date}>
+              Add
+            </button>
+          </div>
+        </div>
+      </div>
+
       <div className="section">
         <h2>Delivery Settings</h2>
         <div className="settings-list">
@@ -217,6 +308,91 @@ function HoursSettings({ restaurantId }) {
         </div>
       </div>
 
+      <div className="section">
+        <h2>Orders For Later</h2>
+        <p className="section-description">
+          Let customers schedule pickup or delivery for a later time. Tickets reach the kitchen screen when the prep window opens.
+        </p>
+        <div className="settings-list">
+          <div className="setting-row">
+            <label className="setting-label">Accept scheduled orders?</label>
+            <label className="toggle-switch-large">
+              <input
+                type="checkbox"
+                checked={settings.allowScheduledOrders}
+                onChange={(e) => handleSettingChange('allowScheduledOrders', e.target.checked)}
+              />
+              <span className="toggle-slider"></span>
+            </label>
+          </div>
+
+          {settings.allowScheduledOrders && (
+            <>
+              <div className="setting-row">
+                <label className="setting-label">Minimum notice</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    value={settings.scheduleMinLeadMinutes}
+                    onChange={(e) => handleSettingChange('scheduleMinLeadMinutes', parseInt(e.target.value) || 0)}
+                    className="number-input"
+                    min="0"
+                    max="720"
+                  />
+                  <span className="unit">min</span>
+                </div>
+              </div>
+
+              <div className="setting-row">
+                <label className="setting-label">How far ahead</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    value={settings.scheduleMaxDaysAhead}
+                    onChange={(e) => handleSettingChange('scheduleMaxDaysAhead', parseInt(e.target.value) || 0)}
+                    className="number-input"
+                    min="0"
+                    max="30"
+                  />
+                  <span className="unit">days</span>
+                </div>
+              </div>
+
+              <div className="setting-row">
+                <label className="setting-label">Time slot spacing</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    value={settings.scheduleSlotMinutes}
+                    onChange={(e) => handleSettingChange('scheduleSlotMinutes', parseInt(e.target.value) || 0)}
+                    className="number-input"
+                    min="5"
+                    max="60"
+                    step="5"
+                  />
+                  <span className="unit">min</span>
+                </div>
+              </div>
+
+              <div className="setting-row">
+                <label className="setting-label">Send to kitchen before due time</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    value={settings.schedulePrepWindowMinutes}
+                    onChange={(e) => handleSettingChange('schedulePrepWindowMinutes', parseInt(e.target.value) || 0)}
+                    className="number-input"
+                    min="5"
+                    max="240"
+                  />
+                  <span className="unit">min</span>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
       <div className="section">
         <h2>Payment Settings</h2>
         <div className="settings-list">
@@ -388,6 +564,68 @@ function HoursSettings({ restaurantId }) {
         </details>
       </div>
 
+      <div className="section">
+        <h2>Kitchen Capacity</h2>
+        <p className="section-description">
+          Cap how much food is due at once. When a time slot is full, new orders are quoted for the next slot with room.
+        </p>
+        <div className="settings-list">
+          <div className="setting-row">
+            <label className="setting-label">Limit orders per time slot?</label>
+            <label className="toggle-switch-large">
+              <input
+                type="checkbox"
+                checked={settings.capacityEnabled}
+                onChange={(e) => handleSettingChange('capacityEnabled', e.target.checked)}
+              />
+              <span className="toggle-slider"></span>
+            </label>
+          </div>
+
+          {settings.capacityEnabled && (
+            <>
+              <div className="setting-row">
+                <label className="setting-label">Max per slot</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    value={settings.capacityPerSlot}
+                    onChange={(e) => handleSettingChange('capacityPerSlot', parseInt(e.target.value) || 0)}
+                    className="number-input"
+                    min="1"
+                    max="200"
+                  />
+                  <select
+                    value={settings.capacityUnit}
+                    onChange={(e) => handleSettingChange('capacityUnit', e.target.value)}
+                    className="timezone-select"
+                  >
+                    <option value="pizzas">pizzas</option>
+                    <option value="items">items</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="setting-row">
+                <label className="setting-label">Slot length</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    value={settings.capacitySlotMinutes}
+                    onChange={(e) => handleSettingChange('capacitySlotMinutes', parseInt(e.target.value) || 0)}
+                    className="number-input"
+                    min="5"
+                    max="60"
+                    step="5"
+                  />
+                  <span className="unit">min</span>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
       {error && <div className="error-message">{error}</div>}
 
       <div className="save-section">
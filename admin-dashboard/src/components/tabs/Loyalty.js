@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { getAdminSettings, updateSettings, getLoyaltyMembers, getLoyaltyMember, adjustLoyaltyPoints } from '../../services/api';
+import './EditorLayout.css';
+import './Loyalty.css';
+
+// Program settings kept on the restaurant's settings record (defaults match utils/loyalty.mjs)
+const PROGRAM_DEFAULTS = {
+  loyaltyEnabled: false,
+  loyaltyPointsPerDollar: 1,
+  loyaltyPointValueCents: 5,
+  loyaltyMinRedeemPoints: 100,
+};
+
+const ENTRY_LABELS = {
+  earn: 'Earned',
+  redeem: 'Spent',
+  earn_reversal: 'Refund reversal',
+  redeem_return: 'Returned (cancelled)',
+  adjustment: 'Adjustment',
+};
+
+const formatCents = (cents) => `$${((Number(cents) || 0) / 100).toFixed(2)}`;
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '');
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Points program settings and customer balances. Points are earned when an order
+ * is completed and spent at checkout or by phone; this tab sets the rates and
+ * lets the owner look up a customer's ledger and adjust a balance by hand.
+ */
+function Loyalty({ restaurantId }) {
+  const [settings, setSettings] = useState(null);
+  const [program, setProgram] = useState(PROGRAM_DEFAULTS);
+  const [savingProgram, setSavingProgram] = useState(false);
+  const [programMessage, setProgramMessage] = useState(null);
+
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+
+  const [selectedPhone, setSelectedPhone] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [adjustPoints, setAdjustPoints] = useState('');
+  const [adjustReason, setAdjustReason] = useState('');
+  const [adjusting, setAdjusting] = useState(false);
+  const [adjustError, setAdjustError] = useState(null);
+
+  const loadMembers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getLoyaltyMembers(restaurantId);
+      setMembers(data.members || []);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load loyalty members:', err);
+      setError('Failed to load loyalty members');
+    } finally {
+      setLoading(false);
+    }
+  }, [restaurantId]);
+
+  useEffect(() => {
+    loadMembers();
+    getAdminSettings(restaurantId)
+      .then((data) => {
+        setSettings(data);
+        setProgram(Object.fromEntries(Object.keys(PROGRAM_DEFAULTS).map((key) => [key, data?.[key] ?? PROGRAM_DEFAULTS[key]])));
+      })
+      .catch((err) => console.error('Failed to load settings for loyalty:', err));
+  }, [loadMembers, restaurantId]);
+
+  const filteredMembers = useMemo(() => {
+    const digits = digitsOnly(search);
+    const text = search.trim().toLowerCase();
+    if (!text) return members;
+    return members.filter((m) => (digits && digitsOnly(m.phone).includes(digits)) || (m.name || '').toLowerCase().includes(text));
+  }, [members, search]);
+
+  const updateProgram = (field, value) => {
+    setProgram((prev) => ({ ...prev, [field]: value }));
+    setProgramMessage(null);
+  };
+
+  const programErrors = useMemo(() => {
+    const errors = [];
+    if (!(Number(program.loyaltyPointsPerDollar) >= 0)) errors.push('Points per dollar can\'t be negative');
+    if (!(Number(program.loyaltyPointValueCents) > 0)) errors.push('Point value must be more than 0¢');
+    if (!Number.isInteger(Number(program.loyaltyMinRedeemPoints)) || Number(program.loyaltyMinRedeemPoints) < 0) {
+      errors.push('Minimum to redeem must be a whole number of points');
+    }
+    return errors;
+  }, [program]);
+
+  // Settings are saved as one record, so send everything else back unchanged
+  const handleSaveProgram = async () => {
+    if (!settings || programErrors.length > 0) return;
+    try {
+      setSavingProgram(true);
+      const next = {
+        ...settings,
+        loyaltyEnabled: !!program.loyaltyEnabled,
+        loyaltyPointsPerDollar: Number(program.loyaltyPointsPerDollar),
+        loyaltyPointValueCents: Number(program.loyaltyPointValueCents),
+        loyaltyMinRedeemPoints: Number(program.loyaltyMinRedeemPoints),
+      };
+      await updateSettings(next, restaurantId);
+      setSettings(next);
+      setProgramMessage('Saved');
+    } catch (err) {
+      console.error('Failed to save loyalty settings:', err);
+      setProgramMessage('Failed to save. Please try again.');
+    } finally {
+      setSavingProgram(false);
+    }
+  };
+
+  const selectMember = async (phone) => {
+    setSelectedPhone(phone);
+    setDetail(null);
+    setAdjustPoints('');
+    setAdjustReason('');
+    setAdjustError(null);
+    try {
+      setDetail(await getLoyaltyMember(phone, restaurantId));
+    } catch (err) {
+      console.error('Failed to load loyalty member:', err);
+      setAdjustError(err.message);
+    }
+  };
+
+  const handleAdjust = async () => {
+    const points = Math.trunc(Number(adjustPoints));
+    if (!points || !adjustReason.trim()) return;
+    try {
+      setAdjusting(true);
+      setAdjustError(null);
+      setDetail(await adjustLoyaltyPoints(selectedPhone, { points, reason: adjustReason.trim() }, restaurantId));
+      setAdjustPoints('');
+      setAdjustReason('');
+      await loadMembers();
+    } catch (err) {
+      console.error('Failed to adjust points:', err);
+      setAdjustError(err.message);
+    } finally {
+      setAdjusting(false);
+    }
+  };
+
+  const pointValue = Number(program.loyaltyPointValueCents) || 0;
+
+  return (
+    <div className="menu-management loyalty">
+      <div className="menu-mgmt-list">
+        <h3>Program</h3>
+        <div className="menu-form-grid">
+          <label className="menu-checkbox menu-form-wide">
+            <input type="checkbox" checked={!!program.loyaltyEnabled} onChange={(e) => updateProgram('loyaltyEnabled', e.target.checked)} />
+            Customers earn and spend points
+          </label>
+          <label>
+            Points per $1 spent
+            <input type="number" min="0" step="0.5" value={program.loyaltyPointsPerDollar} onChange={(e) => updateProgram('loyaltyPointsPerDollar', e.target.value)} />
+          </label>
+          <label>
+            Value of 1 point (¢)
+            <input type="number" min="1" value={program.loyaltyPointValueCents} onChange={(e) => updateProgram('loyaltyPointValueCents', e.target.value)} />
+          </label>
+          <label>
+            Minimum points to redeem
+            <input type="number" min="0" step="1" value={program.loyaltyMinRedeemPoints} onChange={(e) => updateProgram('loyaltyMinRedeemPoints', e.target.value)} />
+          </label>
+        </div>
+        <p className="loyalty-hint">
+          {Number(program.loyaltyMinRedeemPoints) > 0 && pointValue > 0
+            ? `${program.loyaltyMinRedeemPoints} points = ${formatCents(program.loyaltyMinRedeemPoints * pointValue)} off. `
+            : ''}
+          Points are earned on the food subtotal after discounts when an order is completed, and taken back on refunds.
+        </p>
+        {programErrors.length > 0 && (
+          <ul className="menu-mgmt-error">
+            {programErrors.map((e) => <li key={e}>{e}</li>)}
+          </ul>
+        )}
+        <div className="menu-editor-actions">
+          {programMessage && <span className="loyalty-hint">{programMessage}</span>}
+          <button className="menu-btn primary" onClick={handleSaveProgram} disabled={!settings || savingProgram || programErrors.length > 0}>
+            {savingProgram ? 'Saving...' : 'Save program'}
+          </button>
+        </div>
+
+        <h3>Members</h3>
+        <div className="menu-mgmt-toolbar">
+          <input
+            type="text"
+            className="loyalty-search"
+            placeholder="Search phone or name"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <button className="menu-btn" onClick={loadMembers} disabled={loading}>↻</button>
+        </div>
+        {error && <div className="menu-mgmt-error">{error}</div>}
+        {loading && members.length === 0 && <p className="menu-mgmt-empty">Loading members...</p>}
+        {!loading && filteredMembers.length === 0 && !error && (
+          <p className="menu-mgmt-empty">
+            {members.length === 0 ? 'No one has earned points yet.' : 'No members match that search.'}
+          </p>
+        )}
+        {digitsOnly(search).length >= 10 && !filteredMembers.length && (
+          <button className="menu-btn small" onClick={() => selectMember(search.trim())}>Open {search.trim()}</button>
+        )}
+
+        {filteredMembers.map((m) => (
+          <div
+            key={m.phone}
+            className={`loyalty-row ${m.phone === selectedPhone ? 'selected' : ''}`}
+            onClick={() => selectMember(m.phone)}
+          >
+            <div className="loyalty-row-main">
+              <div className="loyalty-row-name">{m.name || m.phone}</div>
+              <div className="loyalty-row-summary">
+                {m.name ? `${m.phone} · ` : ''}{m.orderCount} orders{m.lastOrderAt ? ` · last ${formatDate(m.lastOrderAt)}` : ''}
+              </div>
+            </div>
+            <div className="loyalty-row-points">{m.points} pts</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="menu-mgmt-editor">
+        {!selectedPhone ? (
+          <p className="menu-mgmt-empty">Select a member to see their points history.</p>
+        ) : !detail ? (
+          adjustError ? <div className="menu-mgmt-error">{adjustError}</div> : <p className="menu-mgmt-empty">Loading...</p>
+        ) : (
+          <>
+            <h2>{detail.member.name || detail.member.phone}</h2>
+            <div className="loyalty-balance">
+              <div>
+                <span className="loyalty-balance-value">{detail.member.points}</span> points
+                {pointValue > 0 && <span className="loyalty-hint"> (worth {formatCents(detail.member.points * pointValue)})</span>}
+              </div>
+              <div className="loyalty-hint">{detail.member.lifetimePoints} earned all time · {detail.member.phone}</div>
+            </div>
+
+            <h3>Adjust balance</h3>
+            <div className="menu-form-grid">
+              <label>
+                Points (+ to add, − to remove)
+                <input type="number" step="1" value={adjustPoints} onChange={(e) => setAdjustPoints(e.target.value)} />
+              </label>
+              <label>
+                Reason
+                <input type="text" maxLength={200} placeholder="Goodwill for a late order" value={adjustReason} onChange={(e) => setAdjustReason(e.target.value)} />
+              </label>
+            </div>
+            {adjustError && <div className="menu-mgmt-error">{adjustError}</div>}
+            <div className="menu-editor-actions">
+              <button
+                className="menu-btn primary"
+                onClick={handleAdjust}
+                disabled={adjusting || !Math.trunc(Number(adjustPoints)) || !adjustReason.trim()}
+              >
+                {adjusting ? 'Saving...' : 'Apply adjustment'}
+              </button>
+            </div>
+
+            <h3>History</h3>
+            {detail.entries.length === 0 ? (
+              <p className="menu-mgmt-empty">No points activity yet.</p>
+            ) : (
+              <table className="loyalty-ledger">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>What</th>
+                    <th>Details</th>
+                    <th>Points</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detail.entries.map((entry) => (
+                    <tr key={entry.entryId}>
+                      <td>{formatDate(entry.createdAt)}</td>
+                      <td>{ENTRY_LABELS[entry.type] || entry.type}</td>
+                      <td>
+                        {entry.orderId ? `Order ${entry.orderId.slice(-6)}` : ''}
+                        {entry.reason ? `${entry.orderId ? ' · ' : ''}${entry.reason}` : ''}
+                        {entry.by ? ` (${entry.by})` : ''}
+                      </td>
+                      <td className={entry.points < 0 ? 'loyalty-negative' : 'loyalty-positive'}>
+                        {entry.points > 0 ? '+' : ''}{entry.points}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Loyalty;
@@ -0,0 +1,1110 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { getMenu, createMenuItem, updateMenuItem, deleteMenuItem } from '../../services/api';
+import { clearMenuCache } from '../../utils/menuCache';
+import {
+  DEFAULT_PIZZA_PRICING,
+  DEFAULT_ALLOWED_SIZES,
+  DEFAULT_ALLOWED_CRUSTS,
+  DEFAULT_ALLOWED_TOPPINGS,
+  DEFAULT_ALLOWED_MODIFIERS,
+  calculatePizzaPriceCents,
+  getRecipePriceCents,
+  hasRecipe,
+  validatePizzaMenuItem,
+} from '../../utils/pizzaPricing';
+import { validateModifierGroups, describeLimits } from '../../utils/modifierGroups';
+import { isComboMenuItem, normalizeComboComponents, validateComboMenuItem } from '../../utils/comboItems';
+import './EditorLayout.css';
+import './MenuManagement.css';
+
+// Fields the editor may change; everything else on the item (ids, timestamps) is left alone
+const COMMON_FIELDS = ['name', 'description', 'category', 'image', 'available', 'isSpecial', 'sortOrder'];
+const PIZZA_FIELDS = ['allowedSizes', 'allowedCrusts', 'allowedToppings', 'allowedModifiers', 'pricingRules', 'constraints', 'recipe'];
+const COMBO_FIELDS = ['bundlePriceCents', 'components'];
+
+// Preview topping taps cycle: off -> regular -> extra -> off
+function nextPortion(portion) {
+  if (!portion) return 'regular';
+  return portion === 'regular' ? 'extra' : undefined;
+}
+
+const isPizza = (item) => item?.schemaVersion === 2 && (item?.kind || 'pizza') === 'pizza';
+
+// Same rule as the backend: restaurant-prefixed PK "rest-001#pizza-byo" -> "pizza-byo"
+function getBaseItemId(item) {
+  if (item?.baseItemId) return item.baseItemId;
+  const itemId = String(item?.itemId || item?.menuItemId || '');
+  const hashIdx = itemId.indexOf('#');
+  return hashIdx >= 0 ? itemId.slice(hashIdx + 1) : itemId;
+}
+
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const formatCents = (cents) => `$${((Number(cents) || 0) / 100).toFixed(2)}`;
+const centsToDollars = (cents) => (cents === undefined || cents === null || cents === '' ? '' : (Number(cents) / 100).toFixed(2));
+const dollarsToCents = (value) => (value === '' ? undefined : Math.round(Number(value) * 100));
+
+function priceLabel(item) {
+  if (isPizza(item)) {
+    const sizes = item.allowedSizes || [];
+    const prices = sizes
+      .map((s) => (hasRecipe(item) ? getRecipePriceCents(item.recipe, s, item.pricingRules) : item.pricingRules?.basePriceCentsBySize?.[s]))
+      .filter((c) => Number(c) > 0);
+    return prices.length ? `from ${formatCents(Math.min(...prices))}` : '—';
+  }
+  if (isComboMenuItem(item)) return formatCents(item.bundlePriceCents);
+  return `$${(Number(item.price) || 0).toFixed(2)}`;
+}
+
+function sortItems(a, b) {
+  return (Number(a.sortOrder) || 0) - (Number(b.sortOrder) || 0) || String(a.name).localeCompare(String(b.name));
+}
+
+function groupByCategory(items) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const category = item.category || 'Uncategorized';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(item);
+  });
+  return [...groups.entries()]
+    .map(([category, list]) => ({ category, items: list.sort(sortItems) }))
+    .sort((a, b) => sortItems(a.items[0], b.items[0]));
+}
+
+function newDraft(type, category, sortOrder) {
+  const base = {
+    itemId: '',
+    name: '',
+    description: '',
+    category: category || (type === 'pizza' ? 'Pizza' : type === 'combo' ? 'Combos' : ''),
+    image: '',
+    available: true,
+    isSpecial: false,
+    sortOrder,
+  };
+  if (type === 'combo') {
+    return { ...base, schemaVersion: 2, kind: 'combo', bundlePriceCents: undefined, components: [] };
+  }
+  if (type !== 'pizza') {
+    return { ...base, schemaVersion: 1, price: '' };
+  }
+  return {
+    ...base,
+    schemaVersion: 2,
+    kind: 'pizza',
+    allowedSizes: [...DEFAULT_ALLOWED_SIZES],
+    allowedCrusts: [...DEFAULT_ALLOWED_CRUSTS],
+    allowedToppings: [...DEFAULT_ALLOWED_TOPPINGS],
+    allowedModifiers: [...DEFAULT_ALLOWED_MODIFIERS],
+    pricingRules: JSON.parse(JSON.stringify(DEFAULT_PIZZA_PRICING)),
+    constraints: { maxToppings: 10, allowedCrustsBySizes: null },
+  };
+}
+
+/**
+ * Problems that block saving. Pizzas go through validatePizzaMenuItem (the same check
+ * the API runs) plus a price for every offered size.
+ */
+function validateDraft(draft, isNew, existingIds) {
+  const errors = [];
+  if (isNew) {
+    if (!draft.itemId) errors.push('Item ID is required');
+    else if (existingIds.has(draft.itemId)) errors.push(`Item ID "${draft.itemId}" is already used`);
+  }
+  if (!String(draft.name || '').trim()) errors.push('Name is required');
+
+  if (isComboMenuItem(draft)) {
+    const components = normalizeComboComponents(draft.components);
+    errors.push(...validateComboMenuItem({ ...draft, components }).errors);
+    components.forEach((c) => {
+      const target = c.type === 'pizza' ? c.pizzaItemId : c.itemId;
+      if (target && !existingIds.has(target)) errors.push(`${c.label || 'Component'}: "${target}" is not on the menu`);
+    });
+  } else if (isPizza(draft)) {
+    errors.push(...validatePizzaMenuItem(draft).errors);
+    (draft.allowedSizes || []).forEach((size) => {
+      if (!(Number(draft.pricingRules?.basePriceCentsBySize?.[size]) > 0)) {
+        errors.push(`${size}: base price is required`);
+      }
+      if (draft.pricingRules?.toppingPriceCentsBySize?.[size] === undefined) {
+        errors.push(`${size}: topping price is required`);
+      }
+    });
+  } else {
+    if (draft.price === '' || !Number.isFinite(Number(draft.price)) || Number(draft.price) < 0) {
+      errors.push('Price must be a number of 0 or more');
+    }
+    errors.push(...validateModifierGroups(draft.modifierGroups || []).errors);
+  }
+  return errors;
+}
+
+function buildPayload(draft, isNew) {
+  const combo = isComboMenuItem(draft);
+  const typeFields = combo ? COMBO_FIELDS : isPizza(draft) ? PIZZA_FIELDS : ['price', 'modifierGroups'];
+  const fields = [...COMMON_FIELDS, ...typeFields];
+  const payload = {};
+  fields.forEach((field) => {
+    if (draft[field] !== undefined) payload[field] = draft[field];
+  });
+  payload.sortOrder = Number(payload.sortOrder) || 0;
+  if (combo) payload.components = normalizeComboComponents(draft.components);
+  else if (!isPizza(draft)) payload.price = Number(draft.price);
+  if (isNew) {
+    payload.itemId = draft.itemId;
+    payload.schemaVersion = draft.schemaVersion;
+    if (isPizza(draft)) payload.kind = 'pizza';
+    if (combo) payload.kind = 'combo';
+  }
+  return payload;
+}
+
+// Chips with remove buttons plus an input to add more (sizes, crusts, toppings, modifiers)
+function TagListEditor({ values, onChange, placeholder }) {
+  const [input, setInput] = useState('');
+
+  const add = () => {
+    const value = input.trim();
+    if (value && !values.includes(value)) onChange([...values, value]);
+    setInput('');
+  };
+
+  return (
+    <div className="menu-tag-list">
+      {values.map((value) => (
+        <span key={value} className="menu-tag">
+          {value}
+          <button type="button" onClick={() => onChange(values.filter((v) => v !== value))} aria-label={`Remove ${value}`}>
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={input}
+        placeholder={placeholder}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            add();
+          }
+        }}
+        onBlur={add}
+        className="menu-tag-input"
+      />
+    </div>
+  );
+}
+
+// Option groups for non-pizza items (wing sauce, dressing, drink size).
+// New groups/options get their ids from their names on the server.
+function ModifierGroupsEditor({ groups, onChange }) {
+  const updateGroup = (index, changes) => onChange(groups.map((g, i) => (i === index ? { ...g, ...changes } : g)));
+  const updateOption = (groupIndex, optionIndex, changes) => updateGroup(groupIndex, {
+    options: groups[groupIndex].options.map((o, i) => (i === optionIndex ? { ...o, ...changes } : o)),
+  });
+  const removeOption = (groupIndex, optionIndex) => updateGroup(groupIndex, {
+    options: groups[groupIndex].options.filter((_, i) => i !== optionIndex),
+  });
+  const toNumberOrUndefined = (value) => (value === '' ? undefined : Number(value));
+
+  return (
+    <div className="menu-modifier-groups">
+      {groups.length === 0 && (
+        <p className="menu-preview-empty">No options. Add a group for choices like sauce, dressing or size.</p>
+      )}
+      {groups.map((group, groupIndex) => (
+        <div key={group.groupId || `new-${groupIndex}`} className="menu-modifier-group">
+          <div className="menu-modifier-group-header">
+            <input
+              type="text"
+              value={group.name || ''}
+              placeholder="Group name (e.g. Sauce)"
+              onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+            />
+            <span className="menu-modifier-limits">{describeLimits(group)}</span>
+            <button
+              type="button"
+              className="menu-btn small danger"
+              onClick={() => onChange(groups.filter((_, i) => i !== groupIndex))}
+            >
+              Remove group
+            </button>
+          </div>
+          <div className="menu-inline-checks">
+            <label className="menu-checkbox">
+              <input type="checkbox" checked={!!group.required} onChange={(e) => updateGroup(groupIndex, { required: e.target.checked })} />
+              Required
+            </label>
+            <label>
+              Min picks
+              <input
+                type="number"
+                min="0"
+                value={group.minSelections ?? ''}
+                onChange={(e) => updateGroup(groupIndex, { minSelections: toNumberOrUndefined(e.target.value) })}
+              />
+            </label>
+            <label>
+              Max picks
+              <input
+                type="number"
+                min="1"
+                value={group.maxSelections ?? ''}
+                placeholder="any"
+                onChange={(e) => updateGroup(groupIndex, { maxSelections: toNumberOrUndefined(e.target.value) })}
+              />
+            </label>
+          </div>
+          <table className="menu-pricing-table">
+            <thead>
+              <tr><th>Option</th><th>Price change ($)</th><th>In stock</th><th>Default</th><th /></tr>
+            </thead>
+            <tbody>
+              {(group.options || []).map((option, optionIndex) => (
+                <tr key={option.optionId || `new-${optionIndex}`}>
+                  <td>
+                    <input
+                      type="text"
+                      value={option.name || ''}
+                      onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={centsToDollars(option.priceDeltaCents ?? 0)}
+                      onChange={(e) => updateOption(groupIndex, optionIndex, { priceDeltaCents: dollarsToCents(e.target.value) ?? 0 })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={option.available !== false}
+                      onChange={(e) => updateOption(groupIndex, optionIndex, { available: e.target.checked })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={!!option.isDefault}
+                      onChange={(e) => updateOption(groupIndex, optionIndex, { isDefault: e.target.checked })}
+                    />
+                  </td>
+                  <td>
+                    <button type="button" className="menu-btn small" onClick={() => removeOption(groupIndex, optionIndex)} aria-label="Remove option">
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            className="menu-btn small"
+            onClick={() => updateGroup(groupIndex, { options: [...(group.options || []), { name: '', priceDeltaCents: 0, available: true }] })}
+          >
+            + Option
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="menu-btn"
+        onClick={() => onChange([...groups, { name: '', required: false, minSelections: 0, options: [] }])}
+      >
+        + Option Group
+      </button>
+    </div>
+  );
+}
+
+// Specialty recipe: toppings the price includes, and an optional set price per size
+// (blank = base price plus the included toppings)
+function RecipeEditor({ draft, onChange }) {
+  const included = draft.recipe?.includedToppings || [];
+  const priceBySize = draft.recipe?.priceCentsBySize || {};
+
+  const update = (nextIncluded, nextPrices) => {
+    const prices = Object.fromEntries(Object.entries(nextPrices).filter(([, cents]) => cents !== undefined && !Number.isNaN(cents)));
+    onChange(nextIncluded.length > 0
+      ? { includedToppings: nextIncluded, ...(Object.keys(prices).length > 0 ? { priceCentsBySize: prices } : {}) }
+      : null);
+  };
+
+  return (
+    <div>
+      <p className="menu-preview-empty">
+        Tap the toppings this specialty comes with. Customers can remove them for free, and a removed topping pays for one swap.
+      </p>
+      <div className="menu-preview-toppings">
+        {(draft.allowedToppings || []).map((name) => (
+          <button
+            key={name}
+            type="button"
+            className={`menu-preview-topping ${included.includes(name) ? 'regular' : ''}`}
+            onClick={() => update(
+              included.includes(name) ? included.filter((t) => t !== name) : [...included, name],
+              priceBySize
+            )}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      {included.length > 0 && (
+        <table className="menu-pricing-table">
+          <thead>
+            <tr><th>Size</th><th>Specialty price ($)</th><th>Default</th></tr>
+          </thead>
+          <tbody>
+            {(draft.allowedSizes || []).map((size) => (
+              <tr key={size}>
+                <td>{size}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={centsToDollars(priceBySize[size])}
+                    onChange={(e) => update(included, { ...priceBySize, [size]: dollarsToCents(e.target.value) })}
+                  />
+                </td>
+                <td>{formatCents(getRecipePriceCents({ includedToppings: included }, size, draft.pricingRules))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// What a combo contains: pizzas (from a pizza item, at a size, with N toppings included) and items
+function ComboComponentsEditor({ components, menuItems, onChange }) {
+  const pizzaItems = menuItems.filter(isPizza);
+  const otherItems = menuItems.filter((it) => !isPizza(it) && !isComboMenuItem(it));
+  const update = (index, changes) => onChange(components.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+
+  return (
+    <div className="menu-modifier-groups">
+      {components.length === 0 && (
+        <p className="menu-preview-empty">No components yet. Add the pizzas and items this deal includes.</p>
+      )}
+      {components.map((component, index) => {
+        const pizzaItem = pizzaItems.find((it) => getBaseItemId(it) === component.pizzaItemId);
+        return (
+          <div key={index} className="menu-modifier-group">
+            <div className="menu-form-grid">
+              <label>
+                Label
+                <input
+                  type="text"
+                  value={component.label || ''}
+                  placeholder="Large 1-Topping Pizza"
+                  onChange={(e) => update(index, { label: e.target.value })}
+                />
+              </label>
+              <label>
+                Type
+                <select value={component.type || 'item'} onChange={(e) => update(index, { type: e.target.value })}>
+                  <option value="pizza">Pizza</option>
+                  <option value="item">Item</option>
+                </select>
+              </label>
+              {component.type === 'pizza' ? (
+                <>
+                  <label>
+                    Pizza
+                    <select value={component.pizzaItemId || ''} onChange={(e) => update(index, { pizzaItemId: e.target.value })}>
+                      <option value="">Choose...</option>
+                      {pizzaItems.map((it) => <option key={getBaseItemId(it)} value={getBaseItemId(it)}>{it.name}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    Size
+                    <select value={component.size || ''} onChange={(e) => update(index, { size: e.target.value || undefined })}>
+                      <option value="">Any</option>
+                      {(pizzaItem?.allowedSizes || []).map((size) => <option key={size} value={size}>{size}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    Toppings included
+                    <input
+                      type="number"
+                      min="0"
+                      value={component.includedToppings ?? 0}
+                      onChange={(e) => update(index, { includedToppings: Number(e.target.value) || 0 })}
+                    />
+                  </label>
+                </>
+              ) : (
+                <label>
+                  Item
+                  <select value={component.itemId || ''} onChange={(e) => update(index, { itemId: e.target.value })}>
+                    <option value="">Choose...</option>
+                    {otherItems.map((it) => <option key={getBaseItemId(it)} value={getBaseItemId(it)}>{it.name}</option>)}
+                  </select>
+                </label>
+              )}
+              <label>
+                Quantity
+                <input
+                  type="number"
+                  min="1"
+                  value={component.quantity ?? 1}
+                  onChange={(e) => update(index, { quantity: Number(e.target.value) || 1 })}
+                />
+              </label>
+            </div>
+            <button
+              type="button"
+              className="menu-btn small danger"
+              onClick={() => onChange(components.filter((_, i) => i !== index))}
+            >
+              Remove
+            </button>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        className="menu-btn"
+        onClick={() => onChange([...components, { label: '', type: 'pizza', quantity: 1, pizzaItemId: 'pizza-byo', includedToppings: 1 }])}
+      >
+        + Component
+      </button>
+    </div>
+  );
+}
+
+// Live price check for a pizza draft, priced exactly like an order would be
+function PizzaPricePreview({ draft }) {
+  const sizes = draft.allowedSizes || [];
+  const crusts = draft.allowedCrusts || [];
+  const [size, setSize] = useState(sizes[0] || '');
+  const [crust, setCrust] = useState(crusts[0] || '');
+  const [portions, setPortions] = useState({});
+  const [extraCheese, setExtraCheese] = useState(false);
+
+  const activeSize = sizes.includes(size) ? size : sizes[0];
+  const activeCrust = crusts.includes(crust) ? crust : crusts[0];
+  const wholeToppings = Object.entries(portions)
+    .filter(([name, portion]) => portion && (draft.allowedToppings || []).includes(name))
+    .map(([name, portion]) => (portion === 'regular' ? name : `${name}|${portion}`));
+
+  const pricing = calculatePizzaPriceCents({
+    size: activeSize,
+    crust: activeCrust,
+    wholeToppings,
+    modifiers: extraCheese ? ['extra cheese'] : [],
+  }, draft.pricingRules, hasRecipe(draft) ? draft.recipe : null);
+
+  if (!activeSize || !activeCrust) {
+    return <p className="menu-preview-empty">Add at least one size and crust to preview prices.</p>;
+  }
+
+  return (
+    <div className="menu-preview">
+      <div className="menu-preview-controls">
+        <select value={activeSize} onChange={(e) => setSize(e.target.value)}>
+          {sizes.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={activeCrust} onChange={(e) => setCrust(e.target.value)}>
+          {crusts.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <label className="menu-checkbox">
+          <input type="checkbox" checked={extraCheese} onChange={(e) => setExtraCheese(e.target.checked)} />
+          Extra cheese
+        </label>
+      </div>
+      <div className="menu-preview-toppings">
+        {(draft.allowedToppings || []).map((name) => (
+          <button
+            key={name}
+            type="button"
+            className={`menu-preview-topping ${portions[name] || ''}`}
+            onClick={() => setPortions((prev) => ({ ...prev, [name]: nextPortion(prev[name]) }))}
+          >
+            {name}{portions[name] === 'extra' ? ' ×2' : ''}
+          </button>
+        ))}
+      </div>
+      <div className="menu-preview-breakdown">
+        <div><span>{pricing.breakdown.size} base{activeCrust === 'Gluten-Free' ? ' (gluten-free)' : ''}</span><span>{formatCents(pricing.baseCents)}</span></div>
+        {pricing.crustSurcharge > 0 && (
+          <div><span>{activeCrust} crust</span><span>+{formatCents(pricing.crustSurcharge)}</span></div>
+        )}
+        {pricing.breakdown.toppings.map((t) => (
+          <div key={`${t.topping}-${t.portion}`}>
+            <span>{t.topping}{t.portion !== 'regular' && t.portion !== 'swap' ? ` (${t.portion})` : ''}{t.included ? ' (included)' : ''}</span>
+            <span>{t.cents < 0 ? `-${formatCents(-t.cents)}` : `+${formatCents(t.cents)}`}</span>
+          </div>
+        ))}
+        <div className="menu-preview-total"><span>Total</span><span>{formatCents(pricing.totalCents)}</span></div>
+      </div>
+      <table className="menu-preview-grid">
+        <thead>
+          {hasRecipe(draft)
+            ? <tr><th>Size</th><th>As made</th><th>+1 topping</th><th>+3 toppings</th></tr>
+            : <tr><th>Size</th><th>Cheese</th><th>1 topping</th><th>3 toppings</th></tr>}
+        </thead>
+        <tbody>
+          {sizes.map((s) => {
+            const price = (count) => calculatePizzaPriceCents({
+              size: s,
+              crust: activeCrust === 'Gluten-Free' ? crusts.find((c) => c !== 'Gluten-Free') : activeCrust,
+              wholeToppings: [
+                ...(hasRecipe(draft) ? draft.recipe.includedToppings : []),
+                ...Array.from({ length: count }, (_, i) => `Topping ${i}`),
+              ],
+            }, draft.pricingRules, hasRecipe(draft) ? draft.recipe : null).totalCents;
+            return (
+              <tr key={s}>
+                <td>{s}</td><td>{formatCents(price(0))}</td><td>{formatCents(price(1))}</td><td>{formatCents(price(3))}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function MenuManagement({ restaurantId }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null); // base item id, or null for a new item
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadMenu = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getMenu(restaurantId);
+      setItems(Array.isArray(data) ? data : []);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load menu:', err);
+      setError('Failed to load menu');
+    } finally {
+      setLoading(false);
+    }
+  }, [restaurantId]);
+
+  useEffect(() => {
+    loadMenu();
+  }, [loadMenu]);
+
+  const groups = useMemo(() => groupByCategory(items), [items]);
+  const categories = useMemo(() => groups.map((g) => g.category), [groups]);
+  const existingIds = useMemo(() => new Set(items.map(getBaseItemId)), [items]);
+  const isNew = !!draft && selectedId === null;
+  const draftErrors = useMemo(
+    () => (draft ? validateDraft(draft, isNew, existingIds) : []),
+    [draft, isNew, existingIds]
+  );
+
+  // Dashboard's Create Order tab caches the menu; drop it after any change
+  const afterChange = useCallback(async () => {
+    clearMenuCache(restaurantId);
+    await loadMenu();
+  }, [restaurantId, loadMenu]);
+
+  const selectItem = (item) => {
+    setSelectedId(getBaseItemId(item));
+    setDraft(JSON.parse(JSON.stringify(item)));
+    setSaveErrors([]);
+  };
+
+  const startNew = (type, category) => {
+    const maxSort = items.reduce((max, it) => Math.max(max, Number(it.sortOrder) || 0), 0);
+    setSelectedId(null);
+    setDraft(newDraft(type, category, maxSort + 1));
+    setSaveErrors([]);
+  };
+
+  const handleNewCategory = () => {
+    const name = window.prompt('New category name');
+    if (name && name.trim()) startNew('item', name.trim());
+  };
+
+  const updateDraft = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const updatePricing = (field, value) => setDraft((prev) => ({
+    ...prev,
+    pricingRules: { ...prev.pricingRules, [field]: value },
+  }));
+
+  const updatePricingMap = (mapName, key, cents) => setDraft((prev) => {
+    const map = { ...(prev.pricingRules?.[mapName] || {}) };
+    if (cents === undefined || Number.isNaN(cents)) delete map[key];
+    else map[key] = cents;
+    return { ...prev, pricingRules: { ...prev.pricingRules, [mapName]: map } };
+  });
+
+  const handleSave = async () => {
+    if (draftErrors.length > 0) return;
+    try {
+      setSaving(true);
+      setSaveErrors([]);
+      const payload = buildPayload(draft, isNew);
+      if (isNew) {
+        await createMenuItem(payload, restaurantId);
+        setSelectedId(draft.itemId);
+      } else {
+        await updateMenuItem(selectedId, payload, restaurantId);
+      }
+      await afterChange();
+    } catch (err) {
+      console.error('Failed to save menu item:', err);
+      setSaveErrors([err.message, ...(err.details || [])]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (isNew || !window.confirm(`Delete "${draft.name}" from the menu?`)) return;
+    try {
+      setSaving(true);
+      await deleteMenuItem(selectedId, restaurantId);
+      setSelectedId(null);
+      setDraft(null);
+      await afterChange();
+    } catch (err) {
+      console.error('Failed to delete menu item:', err);
+      setSaveErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleAvailable = async (item) => {
+    const id = getBaseItemId(item);
+    try {
+      setBusyId(id);
+      await updateMenuItem(id, { available: !item.available }, restaurantId);
+      if (id === selectedId) updateDraft('available', !item.available);
+      await afterChange();
+    } catch (err) {
+      console.error('Failed to update availability:', err);
+      alert('Failed to update availability. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Swap places with the neighbour in the same category
+  const handleMove = async (list, index, direction) => {
+    const item = list[index];
+    const other = list[index + direction];
+    if (!other) return;
+    const itemSort = Number(item.sortOrder) || 0;
+    let otherSort = Number(other.sortOrder) || 0;
+    if (itemSort === otherSort) otherSort = itemSort + direction;
+    try {
+      setBusyId(getBaseItemId(item));
+      await updateMenuItem(getBaseItemId(item), { sortOrder: otherSort }, restaurantId);
+      await updateMenuItem(getBaseItemId(other), { sortOrder: itemSort }, restaurantId);
+      await afterChange();
+    } catch (err) {
+      console.error('Failed to reorder menu:', err);
+      alert('Failed to reorder. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRenameCategory = async (group) => {
+    const name = window.prompt(`Rename "${group.category}" to`, group.category);
+    if (!name || !name.trim() || name.trim() === group.category) return;
+    try {
+      setBusyId(group.category);
+      for (const item of group.items) {
+        await updateMenuItem(getBaseItemId(item), { category: name.trim() }, restaurantId);
+      }
+      if (draft && draft.category === group.category) updateDraft('category', name.trim());
+      await afterChange();
+    } catch (err) {
+      console.error('Failed to rename category:', err);
+      alert('Some items could not be moved. Please refresh and try again.');
+      await loadMenu();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && items.length === 0) {
+    return <div className="menu-management"><p>Loading menu...</p></div>;
+  }
+
+  return (
+    <div className="menu-management">
+      <div className="menu-mgmt-list">
+        <div className="menu-mgmt-toolbar">
+          <button className="menu-btn primary" onClick={() => startNew('item')}>+ Item</button>
+          <button className="menu-btn primary" onClick={() => startNew('pizza')}>+ Pizza</button>
+          <button className="menu-btn primary" onClick={() => startNew('combo')}>+ Combo</button>
+          <button className="menu-btn" onClick={handleNewCategory}>+ Category</button>
+          <button className="menu-btn" onClick={loadMenu} disabled={loading}>↻</button>
+        </div>
+        {error && <div className="menu-mgmt-error">{error}</div>}
+        {groups.length === 0 && !error && <p className="menu-mgmt-empty">No menu items yet.</p>}
+
+        {groups.map((group) => (
+          <div key={group.category} className="menu-mgmt-category">
+            <div className="menu-mgmt-category-header">
+              <h3>{group.category} <span>({group.items.length})</span></h3>
+              <div>
+                <button className="menu-btn small" onClick={() => startNew('item', group.category)}>+ Add</button>
+                <button className="menu-btn small" onClick={() => handleRenameCategory(group)} disabled={busyId === group.category}>
+                  Rename
+                </button>
+              </div>
+            </div>
+            {group.items.map((item, index) => {
+              const id = getBaseItemId(item);
+              return (
+                <div
+                  key={id}
+                  className={`menu-mgmt-row ${id === selectedId ? 'selected' : ''} ${item.available === false ? 'unavailable' : ''}`}
+                  onClick={() => selectItem(item)}
+                >
+                  <div className="menu-mgmt-move" onClick={(e) => e.stopPropagation()}>
+                    <button onClick={() => handleMove(group.items, index, -1)} disabled={index === 0 || !!busyId}>↑</button>
+                    <button onClick={() => handleMove(group.items, index, 1)} disabled={index === group.items.length - 1 || !!busyId}>↓</button>
+                  </div>
+                  {item.image && <img className="menu-mgmt-thumb" src={item.image} alt="" />}
+                  <div className="menu-mgmt-name">
+                    {item.name}
+                    {isPizza(item) && <span className="menu-badge">{hasRecipe(item) ? 'specialty' : 'pizza'}</span>}
+                    {isComboMenuItem(item) && <span className="menu-badge">combo</span>}
+                    {item.isSpecial && <span className="menu-badge special">special</span>}
+                  </div>
+                  <div className="menu-mgmt-price">{priceLabel(item)}</div>
+                  <label className="menu-switch" onClick={(e) => e.stopPropagation()} title="Available">
+                    <input
+                      type="checkbox"
+                      checked={item.available !== false}
+                      disabled={busyId === id}
+                      onChange={() => handleToggleAvailable(item)}
+                    />
+                    <span>{item.available !== false ? 'On' : 'Off'}</span>
+                  </label>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <div className="menu-mgmt-editor">
+        {!draft ? (
+          <p className="menu-mgmt-empty">Select an item to edit, or add a new one.</p>
+        ) : (
+          <>
+            <h2>{isNew ? `New ${isPizza(draft) ? 'pizza' : isComboMenuItem(draft) ? 'combo' : 'item'}` : draft.name || 'Untitled'}</h2>
+
+            <div className="menu-form-grid">
+              <label>
+                Name
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => {
+                    const name = e.target.value;
+                    setDraft((prev) => ({
+                      ...prev,
+                      name,
+                      // Suggest an id from the name until the owner types one
+                      itemId: isNew && (!prev.itemId || prev.itemId === slugify(prev.name)) ? slugify(name) : prev.itemId,
+                    }));
+                  }}
+                />
+              </label>
+              <label>
+                Item ID
+                <input
+                  type="text"
+                  value={isNew ? draft.itemId : selectedId}
+                  disabled={!isNew}
+                  onChange={(e) => updateDraft('itemId', slugify(e.target.value))}
+                />
+              </label>
+              <label>
+                Category
+                <input
+                  type="text"
+                  list="menu-categories"
+                  value={draft.category || ''}
+                  onChange={(e) => updateDraft('category', e.target.value)}
+                />
+                <datalist id="menu-categories">
+                  {categories.map((c) => <option key={c} value={c} />)}
+                </datalist>
+              </label>
+              <label>
+                Sort order
+                <input
+                  type="number"
+                  value={draft.sortOrder ?? ''}
+                  onChange={(e) => updateDraft('sortOrder', e.target.value === '' ? '' : Number(e.target.value))}
+                />
+              </label>
+              {isComboMenuItem(draft) && (
+                <label>
+                  Bundle price ($)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={centsToDollars(draft.bundlePriceCents)}
+                    onChange={(e) => updateDraft('bundlePriceCents', dollarsToCents(e.target.value))}
+                  />
+                </label>
+              )}
+              {!isPizza(draft) && !isComboMenuItem(draft) && (
+                <label>
+                  Price ($)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={draft.price}
+                    onChange={(e) => updateDraft('price', e.target.value)}
+                  />
+                </label>
+              )}
+              <label className="menu-form-wide">
+                Description
+                <textarea
+                  rows={2}
+                  value={draft.description || ''}
+                  onChange={(e) => updateDraft('description', e.target.value)}
+                />
+              </label>
+              <label className="menu-form-wide">
+                Image URL
+                <div className="menu-image-row">
+                  <input
+                    type="url"
+                    value={draft.image || ''}
+                    placeholder="https://..."
+                    onChange={(e) => updateDraft('image', e.target.value)}
+                  />
+                  {draft.image && <img className="menu-image-preview" src={draft.image} alt="" />}
+                </div>
+              </label>
+              <label className="menu-checkbox">
+                <input type="checkbox" checked={draft.available !== false} onChange={(e) => updateDraft('available', e.target.checked)} />
+                Available
+              </label>
+              <label className="menu-checkbox">
+                <input type="checkbox" checked={!!draft.isSpecial} onChange={(e) => updateDraft('isSpecial', e.target.checked)} />
+                Today's special (offered by the phone agent)
+              </label>
+            </div>
+
+            {isComboMenuItem(draft) && (
+              <>
+                <h3>Includes</h3>
+                <ComboComponentsEditor
+                  components={draft.components || []}
+                  menuItems={items}
+                  onChange={(v) => updateDraft('components', v)}
+                />
+              </>
+            )}
+
+            {!isPizza(draft) && !isComboMenuItem(draft) && (
+              <>
+                <h3>Options</h3>
+                <ModifierGroupsEditor groups={draft.modifierGroups || []} onChange={(v) => updateDraft('modifierGroups', v)} />
+              </>
+            )}
+
+            {isPizza(draft) && (
+              <>
+                <h3>Sizes</h3>
+                <TagListEditor values={draft.allowedSizes || []} onChange={(v) => updateDraft('allowedSizes', v)} placeholder="Add size" />
+
+                <h3>Crusts</h3>
+                <TagListEditor values={draft.allowedCrusts || []} onChange={(v) => updateDraft('allowedCrusts', v)} placeholder="Add crust" />
+
+                <h3>Toppings</h3>
+                <TagListEditor values={draft.allowedToppings || []} onChange={(v) => updateDraft('allowedToppings', v)} placeholder="Add topping" />
+
+                <h3>Modifiers</h3>
+                <TagListEditor values={draft.allowedModifiers || []} onChange={(v) => updateDraft('allowedModifiers', v)} placeholder="Add modifier" />
+
+                <h3>Pricing</h3>
+                <table className="menu-pricing-table">
+                  <thead>
+                    <tr><th>Size</th><th>Base ($)</th><th>Per topping ($)</th></tr>
+                  </thead>
+                  <tbody>
+                    {(draft.allowedSizes || []).map((size) => (
+                      <tr key={size}>
+                        <td>{size}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={centsToDollars(draft.pricingRules?.basePriceCentsBySize?.[size])}
+                            onChange={(e) => updatePricingMap('basePriceCentsBySize', size, dollarsToCents(e.target.value))}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={centsToDollars(draft.pricingRules?.toppingPriceCentsBySize?.[size])}
+                            onChange={(e) => updatePricingMap('toppingPriceCentsBySize', size, dollarsToCents(e.target.value))}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <table className="menu-pricing-table">
+                  <thead>
+                    <tr><th>Crust</th><th>Surcharge ($)</th></tr>
+                  </thead>
+                  <tbody>
+                    {(draft.allowedCrusts || []).filter((c) => c !== 'Gluten-Free').map((crust) => (
+                      <tr key={crust}>
+                        <td>{crust}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={centsToDollars(draft.pricingRules?.crustSurchargeCentsByCrust?.[crust] ?? 0)}
+                            onChange={(e) => updatePricingMap('crustSurchargeCentsByCrust', crust, dollarsToCents(e.target.value))}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="menu-form-grid">
+                  {(draft.allowedCrusts || []).includes('Gluten-Free') && (
+                    <>
+                      <label>
+                        Gluten-free price ($)
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={centsToDollars(draft.pricingRules?.glutenFreeBaseCents)}
+                          onChange={(e) => updatePricing('glutenFreeBaseCents', dollarsToCents(e.target.value))}
+                        />
+                      </label>
+                      <label>
+                        Gluten-free sizes
+                        <div className="menu-inline-checks">
+                          {(draft.allowedSizes || []).map((size) => {
+                            const gfSizes = draft.pricingRules?.glutenFreeAllowedSizes || [];
+                            return (
+                              <label key={size} className="menu-checkbox">
+                                <input
+                                  type="checkbox"
+                                  checked={gfSizes.includes(size)}
+                                  onChange={(e) => updatePricing(
+                                    'glutenFreeAllowedSizes',
+                                    e.target.checked ? [...gfSizes, size] : gfSizes.filter((s) => s !== size)
+                                  )}
+                                />
+                                {size}
+                              </label>
+                            );
+                          })}
+                        </div>
+                      </label>
+                    </>
+                  )}
+                  <label>
+                    "Extra" topping counts as
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.5"
+                      value={draft.pricingRules?.portionMultipliers?.extra ?? 2}
+                      onChange={(e) => updatePricing('portionMultipliers', {
+                        ...(draft.pricingRules?.portionMultipliers || DEFAULT_PIZZA_PRICING.portionMultipliers),
+                        extra: Number(e.target.value) || 1,
+                      })}
+                    />
+                  </label>
+                  <label>
+                    Max toppings
+                    <input
+                      type="number"
+                      min="1"
+                      value={draft.constraints?.maxToppings ?? ''}
+                      onChange={(e) => updateDraft('constraints', {
+                        ...(draft.constraints || {}),
+                        maxToppings: e.target.value === '' ? undefined : Number(e.target.value),
+                      })}
+                    />
+                  </label>
+                  <label className="menu-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={!!draft.pricingRules?.extraCheeseCountsAsTopping}
+                      onChange={(e) => updatePricing('extraCheeseCountsAsTopping', e.target.checked)}
+                    />
+                    Extra cheese is charged as a topping
+                  </label>
+                </div>
+
+                <h3>Specialty Recipe</h3>
+                <RecipeEditor draft={draft} onChange={(v) => updateDraft('recipe', v)} />
+
+                <h3>Price Preview</h3>
+                <PizzaPricePreview draft={draft} />
+              </>
+            )}
+
+            {(draftErrors.length > 0 || saveErrors.length > 0) && (
+              <ul className="menu-mgmt-error">
+                {[...draftErrors, ...saveErrors].map((msg) => <li key={msg}>{msg}</li>)}
+              </ul>
+            )}
+
+            <div className="menu-editor-actions">
+              {!isNew && (
+                <button className="menu-btn danger" onClick={handleDelete} disabled={saving}>Delete</button>
+              )}
+              <button className="menu-btn" onClick={() => { setDraft(null); setSelectedId(null); }} disabled={saving}>
+                Close
+              </button>
+              <button className="menu-btn primary" onClick={handleSave} disabled={saving || draftErrors.length > 0}>
+                {saving ? 'Saving...' : isNew ? 'Create Item' : 'Save Changes'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MenuManagement;
@@ -0,0 +1,406 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { getMenu, getPromotions, createPromotion, updatePromotion, deletePromotion } from '../../services/api';
+import './EditorLayout.css';
+import './Promotions.css';
+
+const PROMOTION_TYPES = [
+  { id: 'percent_off', label: '% off' },
+  { id: 'amount_off', label: '$ off' },
+  { id: 'bogo', label: 'Buy X get Y' },
+  { id: 'bundle_price', label: 'Bundle price ("2 for $25")' },
+];
+const ORDER_TYPES = ['pickup', 'delivery', 'dine-in'];
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Fields sent to the API; redemptionCount and timestamps are the server's
+const PROMOTION_FIELDS = [
+  'name', 'description', 'code', 'active', 'type', 'appliesTo', 'percentOff', 'amountOffCents',
+  'buyQuantity', 'getQuantity', 'getPercentOff', 'bundleQuantity', 'bundlePriceCents',
+  'minSubtotalCents', 'orderTypes', 'daysOfWeek', 'startDate', 'endDate', 'startTime', 'endTime',
+  'maxUsesPerCustomer',
+];
+
+const formatCents = (cents) => `$${((Number(cents) || 0) / 100).toFixed(2)}`;
+const centsToDollars = (cents) => (cents === undefined || cents === null || cents === '' ? '' : (Number(cents) / 100).toFixed(2));
+const dollarsToCents = (value) => (value === '' ? undefined : Math.round(Number(value) * 100));
+const toIntOrUndefined = (value) => (value === '' ? undefined : Math.trunc(Number(value)));
+
+// Same rule as the backend: restaurant-prefixed PK "rest-001#pizza-byo" -> "pizza-byo"
+function getBaseItemId(item) {
+  if (item?.baseItemId) return item.baseItemId;
+  const itemId = String(item?.itemId || item?.menuItemId || '');
+  const hashIdx = itemId.indexOf('#');
+  return hashIdx >= 0 ? itemId.slice(hashIdx + 1) : itemId;
+}
+
+function newDraft() {
+  return { name: '', code: '', active: true, type: 'percent_off', percentOff: 10, appliesTo: {}, orderTypes: [], daysOfWeek: [] };
+}
+
+/**
+ * One-line summary for the list ("10% off · code WELCOME10 · Tuesdays")
+ */
+function describePromotion(p) {
+  const deal = {
+    percent_off: `${p.percentOff}% off`,
+    amount_off: `${formatCents(p.amountOffCents)} off`,
+    bogo: `Buy ${p.buyQuantity} get ${p.getQuantity}${p.getPercentOff < 100 ? ` ${p.getPercentOff}% off` : ' free'}`,
+    bundle_price: `${p.bundleQuantity} for ${formatCents(p.bundlePriceCents)}`,
+  }[p.type] || p.type;
+  const parts = [deal, p.code ? `code ${p.code}` : 'automatic'];
+  if (p.daysOfWeek?.length) parts.push(p.daysOfWeek.map((d) => `${d.slice(0, 3)}`).join('/'));
+  if (p.minSubtotalCents) parts.push(`min ${formatCents(p.minSubtotalCents)}`);
+  return parts.join(' · ');
+}
+
+function isExpired(p) {
+  return !!p.endDate && p.endDate < new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Light checks before saving; the server validates again
+ */
+function validateDraft(draft) {
+  const errors = [];
+  if (!draft.name?.trim()) errors.push('Name is required');
+  if (draft.type === 'percent_off' && !(draft.percentOff >= 1 && draft.percentOff <= 100)) errors.push('Percent off must be 1-100');
+  if (draft.type === 'amount_off' && !(draft.amountOffCents > 0)) errors.push('Amount off is required');
+  if (draft.type === 'bundle_price') {
+    if (!(draft.bundleQuantity >= 2)) errors.push('Bundle needs at least 2 items');
+    if (!(draft.bundlePriceCents > 0)) errors.push('Bundle price is required');
+  }
+  const hasTarget = ['categories', 'itemIds', 'sizes'].some((k) => draft.appliesTo?.[k]?.length > 0);
+  if ((draft.type === 'bogo' || draft.type === 'bundle_price') && !hasTarget) {
+    errors.push('Pick which items the deal applies to');
+  }
+  if (draft.startDate && draft.endDate && draft.endDate < draft.startDate) errors.push('End date is before start date');
+  if (!!draft.startTime !== !!draft.endTime) errors.push('Set both a start and end time, or neither');
+  return errors;
+}
+
+function buildPayload(draft) {
+  const payload = {};
+  for (const field of PROMOTION_FIELDS) {
+    if (draft[field] !== undefined && draft[field] !== '') payload[field] = draft[field];
+  }
+  return payload;
+}
+
+function CheckList({ options, values = [], onChange, labelFor = (v) => v }) {
+  const toggle = (value) => onChange(values.includes(value) ? values.filter((v) => v !== value) : [...values, value]);
+  return (
+    <div className="promo-checks">
+      {options.map((option) => (
+        <label key={option}>
+          <input type="checkbox" checked={values.includes(option)} onChange={() => toggle(option)} />
+          {labelFor(option)}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Promo codes and automatic deals. Every order path (web, Create Order, phone agent)
+ * prices them on the server; this tab only edits the rules.
+ */
+function Promotions({ restaurantId }) {
+  const [promotions, setPromotions] = useState([]);
+  const [menuItems, setMenuItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null); // promotionId, or null for a new one
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveErrors, setSaveErrors] = useState([]);
+
+  const loadPromotions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getPromotions(restaurantId);
+      setPromotions(data.promotions || []);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load promotions:', err);
+      setError('Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  }, [restaurantId]);
+
+  useEffect(() => {
+    loadPromotions();
+    getMenu(restaurantId)
+      .then((data) => setMenuItems(Array.isArray(data) ? data : []))
+      .catch((err) => console.error('Failed to load menu for promotions:', err));
+  }, [loadPromotions, restaurantId]);
+
+  // Targets come from the live menu
+  const categories = useMemo(() => [...new Set(menuItems.map((it) => it.category).filter(Boolean))].sort(), [menuItems]);
+  const sizes = useMemo(() => [...new Set(menuItems.flatMap((it) => it.allowedSizes || []))], [menuItems]);
+  const itemNames = useMemo(
+    () => Object.fromEntries(menuItems.map((it) => [getBaseItemId(it), it.name])),
+    [menuItems]
+  );
+
+  const isNew = !!draft && selectedId === null;
+  const draftErrors = useMemo(() => (draft ? validateDraft(draft) : []), [draft]);
+
+  const selectPromotion = (promotion) => {
+    setSelectedId(promotion.promotionId);
+    setDraft(JSON.parse(JSON.stringify({ ...newDraft(), ...promotion })));
+    setSaveErrors([]);
+  };
+
+  const startNew = () => {
+    setSelectedId(null);
+    setDraft(newDraft());
+    setSaveErrors([]);
+  };
+
+  const updateDraft = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+  const updateTarget = (field, value) => setDraft((prev) => ({ ...prev, appliesTo: { ...prev.appliesTo, [field]: value } }));
+
+  const handleSave = async () => {
+    if (draftErrors.length > 0) return;
+    try {
+      setSaving(true);
+      setSaveErrors([]);
+      const payload = buildPayload(draft);
+      if (isNew) {
+        const result = await createPromotion(payload, restaurantId);
+        setSelectedId(result.promotion.promotionId);
+      } else {
+        await updatePromotion(selectedId, payload, restaurantId);
+      }
+      await loadPromotions();
+    } catch (err) {
+      console.error('Failed to save promotion:', err);
+      setSaveErrors([err.message, ...(err.details || [])]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (isNew || !window.confirm(`Delete "${draft.name}"? Orders that already used it keep their discount.`)) return;
+    try {
+      setSaving(true);
+      await deletePromotion(selectedId, restaurantId);
+      setSelectedId(null);
+      setDraft(null);
+      await loadPromotions();
+    } catch (err) {
+      console.error('Failed to delete promotion:', err);
+      setSaveErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      await updatePromotion(promotion.promotionId, buildPayload({ ...promotion, active: promotion.active === false }), restaurantId);
+      if (promotion.promotionId === selectedId) updateDraft('active', promotion.active === false);
+      await loadPromotions();
+    } catch (err) {
+      console.error('Failed to update promotion:', err);
+      alert('Failed to update promotion. Please try again.');
+    }
+  };
+
+  if (loading && promotions.length === 0) {
+    return <div className="menu-management promotions"><p>Loading promotions...</p></div>;
+  }
+
+  return (
+    <div className="menu-management promotions">
+      <div className="menu-mgmt-list">
+        <div className="menu-mgmt-toolbar">
+          <button className="menu-btn primary" onClick={startNew}>+ Promotion</button>
+          <button className="menu-btn" onClick={loadPromotions} disabled={loading}>↻</button>
+        </div>
+        {error && <div className="menu-mgmt-error">{error}</div>}
+        {promotions.length === 0 && !error && (
+          <p className="menu-mgmt-empty">No promotions yet. Add a promo code or an automatic deal like a Tuesday special.</p>
+        )}
+
+        {promotions.map((p) => (
+          <div
+            key={p.promotionId}
+            className={`promo-row ${p.promotionId === selectedId ? 'selected' : ''} ${p.active === false || isExpired(p) ? 'inactive' : ''}`}
+            onClick={() => selectPromotion(p)}
+          >
+            <div className="promo-row-main">
+              <div className="promo-row-name">
+                {p.name}
+                {isExpired(p) && <span className="menu-badge">ended</span>}
+              </div>
+              <div className="promo-row-summary">{describePromotion(p)}</div>
+            </div>
+            <div className="promo-row-uses" title="Orders that used it">{p.redemptionCount || 0} used</div>
+            <label className="menu-switch" onClick={(e) => e.stopPropagation()} title="Active">
+              <input type="checkbox" checked={p.active !== false} onChange={() => handleToggleActive(p)} />
+              <span>{p.active !== false ? 'On' : 'Off'}</span>
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <div className="menu-mgmt-editor">
+        {!draft ? (
+          <p className="menu-mgmt-empty">Select a promotion to edit, or add a new one.</p>
+        ) : (
+          <>
+            <h2>{isNew ? 'New promotion' : draft.name || 'Untitled'}</h2>
+
+            <div className="menu-form-grid">
+              <label>
+                Name
+                <input type="text" value={draft.name} onChange={(e) => updateDraft('name', e.target.value)} />
+              </label>
+              <label>
+                Code (blank = automatic)
+                <input
+                  type="text"
+                  value={draft.code || ''}
+                  placeholder="WELCOME10"
+                  onChange={(e) => updateDraft('code', e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''))}
+                />
+              </label>
+              <label className="menu-form-wide">
+                Description
+                <textarea rows={2} value={draft.description || ''} onChange={(e) => updateDraft('description', e.target.value)} />
+              </label>
+              <label>
+                Deal
+                <select value={draft.type} onChange={(e) => updateDraft('type', e.target.value)}>
+                  {PROMOTION_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                </select>
+              </label>
+
+              {draft.type === 'percent_off' && (
+                <label>
+                  Percent off
+                  <input type="number" min="1" max="100" value={draft.percentOff ?? ''} onChange={(e) => updateDraft('percentOff', toIntOrUndefined(e.target.value))} />
+                </label>
+              )}
+              {draft.type === 'amount_off' && (
+                <label>
+                  Amount off ($)
+                  <input type="number" min="0" step="0.01" value={centsToDollars(draft.amountOffCents)} onChange={(e) => updateDraft('amountOffCents', dollarsToCents(e.target.value))} />
+                </label>
+              )}
+              {draft.type === 'bogo' && (
+                <>
+                  <label>
+                    Buy
+                    <input type="number" min="1" value={draft.buyQuantity ?? 1} onChange={(e) => updateDraft('buyQuantity', toIntOrUndefined(e.target.value))} />
+                  </label>
+                  <label>
+                    Get
+                    <input type="number" min="1" value={draft.getQuantity ?? 1} onChange={(e) => updateDraft('getQuantity', toIntOrUndefined(e.target.value))} />
+                  </label>
+                  <label>
+                    % off the cheaper ones (100 = free)
+                    <input type="number" min="1" max="100" value={draft.getPercentOff ?? 100} onChange={(e) => updateDraft('getPercentOff', toIntOrUndefined(e.target.value))} />
+                  </label>
+                </>
+              )}
+              {draft.type === 'bundle_price' && (
+                <>
+                  <label>
+                    Items in bundle
+                    <input type="number" min="2" value={draft.bundleQuantity ?? ''} onChange={(e) => updateDraft('bundleQuantity', toIntOrUndefined(e.target.value))} />
+                  </label>
+                  <label>
+                    Bundle price ($)
+                    <input type="number" min="0" step="0.01" value={centsToDollars(draft.bundlePriceCents)} onChange={(e) => updateDraft('bundlePriceCents', dollarsToCents(e.target.value))} />
+                  </label>
+                </>
+              )}
+
+              <label className="menu-checkbox menu-form-wide">
+                <input type="checkbox" checked={draft.active !== false} onChange={(e) => updateDraft('active', e.target.checked)} />
+                Active
+              </label>
+            </div>
+
+            <h3>Applies to</h3>
+            <p className="promo-hint">
+              {draft.type === 'percent_off' || draft.type === 'amount_off'
+                ? 'Leave everything unchecked to discount the whole order.'
+                : 'Items must match every list you check (e.g. category Pizza and size Large).'}
+            </p>
+            {categories.length > 0 && (
+              <>
+                <h4>Categories</h4>
+                <CheckList options={categories} values={draft.appliesTo?.categories} onChange={(v) => updateTarget('categories', v)} />
+              </>
+            )}
+            {sizes.length > 0 && (
+              <>
+                <h4>Pizza sizes</h4>
+                <CheckList options={sizes} values={draft.appliesTo?.sizes} onChange={(v) => updateTarget('sizes', v)} />
+              </>
+            )}
+            <h4>Items</h4>
+            <CheckList
+              options={Object.keys(itemNames)}
+              values={draft.appliesTo?.itemIds}
+              onChange={(v) => updateTarget('itemIds', v)}
+              labelFor={(id) => itemNames[id] || id}
+            />
+
+            <h3>Conditions</h3>
+            <div className="menu-form-grid">
+              <label>
+                Minimum food subtotal ($)
+                <input type="number" min="0" step="0.01" value={centsToDollars(draft.minSubtotalCents)} onChange={(e) => updateDraft('minSubtotalCents', dollarsToCents(e.target.value))} />
+              </label>
+              <label>
+                Uses per customer (blank = unlimited)
+                <input type="number" min="1" value={draft.maxUsesPerCustomer ?? ''} onChange={(e) => updateDraft('maxUsesPerCustomer', toIntOrUndefined(e.target.value))} />
+              </label>
+              <label>
+                Starts
+                <input type="date" value={draft.startDate || ''} onChange={(e) => updateDraft('startDate', e.target.value || undefined)} />
+              </label>
+              <label>
+                Ends
+                <input type="date" value={draft.endDate || ''} onChange={(e) => updateDraft('endDate', e.target.value || undefined)} />
+              </label>
+              <label>
+                From (time)
+                <input type="time" value={draft.startTime || ''} onChange={(e) => updateDraft('startTime', e.target.value || undefined)} />
+              </label>
+              <label>
+                Until (time)
+                <input type="time" value={draft.endTime || ''} onChange={(e) => updateDraft('endTime', e.target.value || undefined)} />
+              </label>
+            </div>
+            <h4>Days (none = every day)</h4>
+            <CheckList options={DAYS} values={draft.daysOfWeek} onChange={(v) => updateDraft('daysOfWeek', v)} />
+            <h4>Order types (none = all)</h4>
+            <CheckList options={ORDER_TYPES} values={draft.orderTypes} onChange={(v) => updateDraft('orderTypes', v)} />
+
+            {(draftErrors.length > 0 || saveErrors.length > 0) && (
+              <ul className="menu-mgmt-error">
+                {[...draftErrors, ...saveErrors].map((e, i) => <li key={i}>{e}</li>)}
+              </ul>
+            )}
+
+            <div className="menu-editor-actions">
+              {!isNew && <button className="menu-btn danger" onClick={handleDelete} disabled={saving}>Delete</button>}
+              <button className="menu-btn primary" onClick={handleSave} disabled={saving || draftErrors.length > 0}>
+                {saving ? 'Saving...' : isNew ? 'Create promotion' : 'Save changes'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Promotions;
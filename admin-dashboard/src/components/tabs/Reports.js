@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   LineChart,
   Line,
@@ -10,43 +10,73 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from 'recharts';
+import { format } from 'date-fns';
+import { getReports } from '../../services/api';
 import './Reports.css';
 
+const RANGE_DAYS = { '7days': 7, '30days': 30, '90days': 90 };
+
+// Heatmap rows come Monday-first from the API
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOUR_LABELS = Array.from({ length: 24 }, (_, h) => (h % 12 || 12) + (h < 12 ? 'a' : 'p'));
+
+function formatMinutes(minutes) {
+  return minutes == null ? '--' : `${Math.round(minutes)} min`;
+}
+
+function formatMoney(amount) {
+  return `$${Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// "2026-01-05" -> "01/05" without shifting through the browser's timezone
+function formatDayLabel(dateKey) {
+  const [, month, day] = String(dateKey).split('-');
+  return `${month}/${day}`;
+}
+
 function Reports({ restaurantId }) {
   const [timeRange, setTimeRange] = useState('30days');
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
 
-  // Mock data - replace with real API calls
-  const revenueData = [
-    { date: '11/01', revenue: 3200 },
-    { date: '11/05', revenue: 4100 },
-    { date: '11/10', revenue: 3800 },
-    { date: '11/15', revenue: 4500 },
-    { date: '11/20', revenue: 4200 },
-    { date: '11/25', revenue: 4800 },
-    { date: '11/30', revenue: 4185 },
-  ];
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    getReports({ days: RANGE_DAYS[timeRange] }, restaurantId)
+      .then(data => {
+        if (!cancelled) setReport(data);
+      })
+      .catch(err => {
+        console.error('Error loading reports:', err);
+        if (!cancelled) setError(err.message || 'Failed to load reports');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [timeRange, restaurantId]);
 
-  const topItems = [
-    { name: 'Large Pepperoni', sales: 245, revenue: 4655 },
-    { name: 'Wings (12pc)', sales: 189, revenue: 2831 },
-    { name: 'Large Supreme', sales: 156, revenue: 3587 },
-    { name: '2-Liter Coke', sales: 312, revenue: 1557 },
-    { name: 'Garlic Bread', sales: 98, revenue: 490 },
-  ];
+  const revenueData = (report?.daily || []).map(day => ({
+    date: formatDayLabel(day.date),
+    revenue: day.revenue,
+    orders: day.orders,
+  }));
+  const topItems = report?.topItems || [];
+  const topToppings = report?.topToppings || [];
+  const heatmap = report?.heatmap || [];
+  const heatmapMax = Math.max(1, ...heatmap.flat());
+  const kitchen = report?.kitchen;
+  const phoneHours = report ? report.calls.totalSeconds / 3600 : 0;
 
-  const conversionRate = 89;
-  const laborSaved = 6820;
-
-  const peakHours = [
-    { hour: '11am', calls: 12, orders: 10 },
-    { hour: '12pm', calls: 28, orders: 25 },
-    { hour: '1pm', calls: 22, orders: 20 },
-    { hour: '2pm', calls: 15, orders: 13 },
-    { hour: '5pm', calls: 18, orders: 16 },
-    { hour: '6pm', calls: 35, orders: 32 },
-    { hour: '7pm', calls: 42, orders: 38 },
-    { hour: '8pm', calls: 38, orders: 35 },
-    { hour: '9pm', calls: 25, orders: 22 },
+  const typeSplit = [
+    { key: 'pickup', label: 'Pickup' },
+    { key: 'delivery', label: 'Delivery' },
+  ];
+  const sourceSplit = [
+    { key: 'phone', label: 'Phone (AI agent)' },
+    { key: 'web', label: 'Web' },
   ];
 
   return (
@@ -75,87 +105,188 @@ function Reports({ restaurantId }) {
         </div>
       </div>
 
-      <div className="reports-grid">
-        <div className="report-card chart-card">
-          <h3>Revenue Last 30 Days</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={revenueData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="date" />
-              <YAxis />
-              <Tooltip />
-              <Line
-                type="monotone"
-                dataKey="revenue"
-                stroke="#10b981"
-                strokeWidth={3}
-                dot={{ fill: '#10b981', r: 4 }}
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-
-        <div className="report-card chart-card">
-          <h3>Top Selling Items</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={topItems}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="name" angle={-45} textAnchor="end" height={100} />
-              <YAxis />
-              <Tooltip />
-              <Bar dataKey="sales" fill="#3b82f6" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
+      {error && <div className="error-banner">{error}</div>}
+      {isLoading && !report && <div className="reports-loading">Loading reports...</div>}
 
-        <div className="report-card">
-          <h3>Conversion Rate</h3>
-          <div className="conversion-display">
-            <div className="conversion-value">{conversionRate}%</div>
-            <div className="conversion-label">
-              of calls converted to orders
-              <br />
-              <span className="conversion-note">(Usually 87-94%)</span>
+      {report && (
+        <>
+          <div className="reports-summary">
+            <div className="summary-stat">
+              <div className="summary-value">{formatMoney(report.revenue)}</div>
+              <div className="summary-label">Revenue</div>
+            </div>
+            <div className="summary-stat">
+              <div className="summary-value">{report.orderCount}</div>
+              <div className="summary-label">Orders</div>
+            </div>
+            <div className="summary-stat">
+              <div className="summary-value">{formatMoney(report.averageTicket)}</div>
+              <div className="summary-label">Average Ticket</div>
+            </div>
+            <div className="summary-stat">
+              <div className="summary-value">{formatMoney(report.refunded)}</div>
+              <div className="summary-label">Refunded</div>
             </div>
           </div>
-        </div>
 
-        <div className="report-card">
-          <h3>Peak Hours Heatmap</h3>
-          <div className="peak-hours-grid">
-            {peakHours.map((hour) => {
-              const intensity = (hour.orders / hour.calls) * 100;
-              return (
-                <div key={hour.hour} className="peak-hour-item">
-                  <div className="peak-hour-label">{hour.hour}</div>
-                  <div
-                    className="peak-hour-bar"
-                    style={{
-                      height: `${intensity}%`,
-                      backgroundColor: `rgba(16, 185, 129, ${intensity / 100})`,
-                    }}
-                  >
-                    <span className="peak-hour-value">{hour.orders}</span>
+          <div className="reports-grid">
+            <div className="report-card chart-card">
+              <h3>Revenue Last {RANGE_DAYS[timeRange]} Days</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={revenueData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis />
+                  <Tooltip formatter={(value, name) => (name === 'revenue' ? formatMoney(value) : value)} />
+                  <Line
+                    type="monotone"
+                    dataKey="revenue"
+                    stroke="#10b981"
+                    strokeWidth={3}
+                    dot={{ fill: '#10b981', r: 4 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="report-card chart-card">
+              <h3>Top Selling Items</h3>
+              {topItems.length === 0 ? (
+                <p className="report-empty">No sales in this range yet.</p>
+              ) : (
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={topItems}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" angle={-45} textAnchor="end" height={100} />
+                    <YAxis />
+                    <Tooltip />
+                    <Bar dataKey="quantity" name="sold" fill="#3b82f6" />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+
+            <div className="report-card">
+              <h3>Top Toppings</h3>
+              {topToppings.length === 0 ? (
+                <p className="report-empty">No toppings ordered in this range yet.</p>
+              ) : (
+                <ol className="topping-list">
+                  {topToppings.map(topping => (
+                    <li key={topping.name}>
+                      <span>{topping.name}</span>
+                      <span className="topping-count">{topping.count}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            <div className="report-card">
+              <h3>Order Mix</h3>
+              {[typeSplit, sourceSplit].map((split, idx) => (
+                <div key={idx} className="mix-group">
+                  {split.map(({ key, label }) => {
+                    const share = report[idx === 0 ? 'byType' : 'bySource'][key]?.share || 0;
+                    return (
+                      <div key={key} className="mix-row">
+                        <div className="mix-label">
+                          <span>{label}</span>
+                          <span>{share}%</span>
+                        </div>
+                        <div className="mix-track">
+                          <div className="mix-fill" style={{ width: `${share}%` }} />
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+
+            <div className="report-card">
+              <h3>Conversion Rate</h3>
+              <div className="conversion-display">
+                <div className="conversion-value">
+                  {report.calls.conversionRate == null ? '--' : `${Math.round(report.calls.conversionRate)}%`}
+                </div>
+                <div className="conversion-label">
+                  of calls converted to orders
+                  <br />
+                  <span className="conversion-note">
+                    ({report.calls.withOrder} of {report.calls.total} calls)
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            <div className="report-card chart-card">
+              <h3>Peak Hours Heatmap</h3>
+              <div className="heatmap">
+                <div className="heatmap-row heatmap-hours">
+                  <span className="heatmap-day" />
+                  {HOUR_LABELS.map(label => (
+                    <span key={label} className="heatmap-hour">{label}</span>
+                  ))}
+                </div>
+                {heatmap.map((hours, dayIdx) => (
+                  <div key={WEEKDAY_LABELS[dayIdx]} className="heatmap-row">
+                    <span className="heatmap-day">{WEEKDAY_LABELS[dayIdx]}</span>
+                    {hours.map((orders, hour) => (
+                      <span
+                        key={hour}
+                        className="heatmap-cell"
+                        title={`${WEEKDAY_LABELS[dayIdx]} ${HOUR_LABELS[hour]}: ${orders} orders`}
+                        style={{ backgroundColor: `rgba(16, 185, 129, ${orders > 0 ? 0.15 + 0.85 * (orders / heatmapMax) : 0.04})` }}
+                      />
+                    ))}
                   </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="report-card">
+              <h3>⏱️ Kitchen Speed</h3>
+              <div className="kitchen-times">
+                <div className="kitchen-time">
+                  <div className="kitchen-time-value">{formatMinutes(kitchen?.acceptToReady.minutes)}</div>
+                  <div className="kitchen-time-label">Accept → ready</div>
+                  <div className="kitchen-time-count">{kitchen?.acceptToReady.count || 0} orders</div>
                 </div>
-              );
-            })}
-          </div>
-        </div>
+                <div className="kitchen-time">
+                  <div className="kitchen-time-value">{formatMinutes(kitchen?.readyToPickup.minutes)}</div>
+                  <div className="kitchen-time-label">Ready → picked up</div>
+                  <div className="kitchen-time-count">{kitchen?.readyToPickup.count || 0} orders</div>
+                </div>
+                <div className="kitchen-time">
+                  <div className="kitchen-time-value">{formatMinutes(kitchen?.readyToDriver.minutes)}</div>
+                  <div className="kitchen-time-label">Ready → out for delivery</div>
+                  <div className="kitchen-time-count">{kitchen?.readyToDriver.count || 0} orders</div>
+                </div>
+              </div>
+            </div>
 
-        <div className="report-card highlight-card">
-          <h3>💰 Money Saved on Labor</h3>
-          <div className="labor-saved">
-            <div className="labor-amount">${laborSaved.toLocaleString()}</div>
-            <div className="labor-label">
-              saved this month vs hiring a phone person
+            <div className="report-card highlight-card">
+              <h3>📞 Phone Time Handled</h3>
+              <div className="labor-saved">
+                <div className="labor-amount">{phoneHours.toFixed(1)} hrs</div>
+                <div className="labor-label">
+                  of calls answered by the AI agent instead of staff
+                </div>
+              </div>
             </div>
           </div>
-        </div>
-      </div>
+
+          <p className="reports-updated">
+            {report.lastBuiltAt
+              ? `Updated ${format(new Date(report.lastBuiltAt), 'MM/dd/yyyy HH:mm')} · refreshed hourly`
+              : 'Reports are built hourly; nothing has been built for this range yet.'}
+            {report.timeZone ? ` · ${report.timeZone}` : ''}
+          </p>
+        </>
+      )}
     </div>
   );
 }
 
 export default Reports;
-
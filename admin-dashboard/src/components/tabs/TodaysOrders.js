@@ -1,18 +1,22 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { format, isValid } from 'date-fns';
 import { getOrders, updateOrderStatus } from '../../services/api';
+import RefundOrderModal from '../RefundOrderModal';
 import './TodaysOrders.css';
 
 // Status workflow order for sorting (lower = earlier in workflow)
 const STATUS_ORDER = {
   needs_callback: -1,
+  pending_payment: 0,
+  payment_failed: 0,
   new: 0,
   paid: 1,
   accepted: 2,
   preparing: 3,
   ready: 4,
-  completed: 5,
-  cancelled: 6,
+  out_for_delivery: 5,
+  completed: 6,
+  cancelled: 7,
 };
 
 /**
@@ -75,17 +79,22 @@ function TodaysOrders({ restaurantId }) {
   const [dateRange, setDateRange] = useState('30d'); // today, 7d, 30d, all
   const [totalRevenue, setTotalRevenue] = useState(0);
   const [orderCount, setOrderCount] = useState(0);
+  // Totals over a very long range stop at the server's read cap
+  const [summaryTruncated, setSummaryTruncated] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pullStartY, setPullStartY] = useState(null);
   const [pullDistance, setPullDistance] = useState(0);
+  const [refundingOrder, setRefundingOrder] = useState(null);
   
   // Sorting state - default to newest first (time descending)
   const [sortKey, setSortKey] = useState('time');
   const [sortDir, setSortDir] = useState('desc');
 
-  const loadOrders = useCallback(async () => {
+  // Without a cursor this reloads the first page (and the range totals)
+  const loadOrders = useCallback(async (cursor = null) => {
     try {
       setIsLoading(true);
       setError(null);
@@ -104,6 +113,7 @@ function TodaysOrders({ restaurantId }) {
       // Apply type filter (handled server-side)
       if (typeFilter === 'pickup') filters.orderType = 'pickup';
       if (typeFilter === 'delivery') filters.orderType = 'delivery';
+      if (cursor) filters.cursor = cursor;
       
       // Pass restaurantId for multi-tenant isolation
       const data = await getOrders(filters, restaurantId);
@@ -143,21 +153,39 @@ function TodaysOrders({ restaurantId }) {
           address: order.address || '',
           table: order.table || '',
           instructions: order.instructions || '',
+          scheduledFor: safeParseDate(order.scheduledFor),
+          subtotal: safeNumber(order.subtotal, 0),
+          discount: safeNumber(order.discount, 0), // Promotions and loyalty points (refunds give back the discounted price)
+          adjustments: order.adjustments || [],
+          loyaltyPointsEarned: safeNumber(order.loyaltyPointsEarned, 0),
+          tax: safeNumber(order.tax, 0),
+          orderItems: order.orderItems || [],
+          paymentId: order.paymentId || null,
+          paymentStatus: order.paymentStatus || null,
+          refundedAmount: safeNumber(order.refundedAmount, 0),
+          refundStatus: order.refundStatus || null,
+          refunds: order.refunds || [],
         };
       });
       
+      setNextCursor(data.nextCursor || null);
+      if (cursor) {
+        setOrders(prev => [...prev, ...transformedOrders]);
+        return;
+      }
       setOrders(transformedOrders);
       setTotalRevenue(safeNumber(data.totalRevenue, 0));
-      setOrderCount(data.count || transformedOrders.length);
+      setOrderCount(data.count ?? transformedOrders.length);
+      setSummaryTruncated(!!data.summaryTruncated);
     } catch (err) {
       console.error('Error loading orders:', err);
       setError(err.message || 'Failed to load orders');
       
       // Handle different error types
       if (err.message?.includes('Failed to fetch') || err.message?.includes('CORS')) {
-        console.warn('⚠️ GET /orders endpoint not available. Please deploy the backend.');
-      } else if (err.status === 403 || err.message?.includes('403')) {
-        console.warn('⚠️ GET /orders endpoint returned 403. Please deploy the backend.');
+        console.warn('⚠️ GET /admin/orders endpoint not available. Please deploy the backend.');
+      } else if (err.status === 401 || err.status === 403) {
+        console.warn('⚠️ GET /admin/orders rejected the session. Please sign in again.');
       }
       
       // Don't clear existing orders on error - let user see stale data
@@ -312,10 +340,35 @@ function TodaysOrders({ restaurantId }) {
     } catch (err) {
       console.error('Error updating order status:', err);
       // Revert on error by reloading
-      loadOrders();
+      await loadOrders();
+      // Illegal transitions come back as 409 with the reason (e.g. "Next: ready, cancelled")
+      if (err.status === 409) {
+        setError(err.message);
+      }
     }
   };
 
+  const handleRefunded = (updated) => {
+    setOrders(prevOrders => prevOrders.map(order =>
+      order.id === updated.orderId
+        ? {
+            ...order,
+            refundedAmount: safeNumber(updated.refundedAmount, 0),
+            refundStatus: updated.refundStatus,
+            refunds: updated.refunds || [],
+          }
+        : order
+    ));
+    setTotalRevenue(prev => prev - (safeNumber(updated.refundedAmount, 0) - safeNumber(refundingOrder?.refundedAmount, 0)));
+    setRefundingOrder(null);
+  };
+
+  // Only card payments that went through can be refunded from here
+  const canRefund = (order) =>
+    !!order.paymentId
+    && (!order.paymentStatus || order.paymentStatus === 'paid')
+    && order.refundStatus !== 'full';
+
   const exportToCSV = () => {
     // Export in current sorted order, using display order number
     const csvContent = [
@@ -349,11 +402,14 @@ function TodaysOrders({ restaurantId }) {
 
   const statusColors = {
     needs_callback: '#dc2626',
+    pending_payment: '#9ca3af',
+    payment_failed: '#dc2626',
     new: '#3b82f6',
     paid: '#8b5cf6',
     accepted: '#f59e0b',
     preparing: '#f59e0b',
     ready: '#10b981',
+    out_for_delivery: '#0ea5e9',
     completed: '#6b7280',
     cancelled: '#ef4444',
   };
@@ -389,9 +445,9 @@ function TodaysOrders({ restaurantId }) {
       )}
       
       <div className="revenue-banner">
-        <div className="revenue-amount">${safeNumber(totalRevenue, 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
+        <div className="revenue-amount">${safeNumber(totalRevenue, 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}{summaryTruncated ? '+' : ''}</div>
         <div className="revenue-label">{getRevenueLabel()}</div>
-        <div className="order-count">{orderCount} order{orderCount !== 1 ? 's' : ''}</div>
+        <div className="order-count">{orderCount}{summaryTruncated ? '+' : ''} order{orderCount !== 1 ? 's' : ''}</div>
       </div>
 
       <div className="orders-controls">
@@ -450,7 +506,7 @@ function TodaysOrders({ restaurantId }) {
       {error && (
         <div className="error-banner">
           <span>⚠️ {error}</span>
-          <button onClick={loadOrders}>Retry</button>
+          <button onClick={() => loadOrders()}>Retry</button>
         </div>
       )}
 
@@ -538,8 +594,35 @@ function TodaysOrders({ restaurantId }) {
                     <td>{safeFormatDate(order.time, 'HH:mm', '--')}</td>
                     <td>{safeFormatDate(order.time, 'MMM d', '--')}</td>
                     <td className="order-id">#{order.orderNumber || order.id.slice(-6)}</td>
-                    <td className="order-items">{order.items}</td>
-                    <td className="order-total">${safeNumber(order.total, 0).toFixed(2)}</td>
+                    <td className="order-items">
+                      {order.scheduledFor && (
+                        <div className="scheduled-for">
+                          ⏰ For {safeFormatDate(order.scheduledFor, 'EEE h:mm a', '--')}
+                        </div>
+                      )}
+                      {order.items}
+                    </td>
+                    <td className="order-total">
+                      ${safeNumber(order.total, 0).toFixed(2)}
+                      {order.discount > 0 && (
+                        <div className="discount-note" title={order.adjustments.map((a) => a.name).join(', ')}>
+                          −${order.discount.toFixed(2)} {order.adjustments.length > 0 && order.adjustments.every((a) => a.type === 'loyalty') ? 'points' : 'promo'}
+                        </div>
+                      )}
+                      {order.loyaltyPointsEarned > 0 && (
+                        <div className="discount-note">+{order.loyaltyPointsEarned} pts earned</div>
+                      )}
+                      {order.refundedAmount > 0 && (
+                        <div className={`refund-badge ${order.refundStatus === 'full' ? 'full' : ''}`}>
+                          {order.refundStatus === 'full' ? 'Refunded' : `−$${order.refundedAmount.toFixed(2)} refunded`}
+                        </div>
+                      )}
+                      {canRefund(order) && (
+                        <button className="refund-btn" onClick={() => setRefundingOrder(order)}>
+                          Refund
+                        </button>
+                      )}
+                    </td>
                     <td>
                       {order.status === 'needs_callback' && (
                         <div style={{ color: '#b91c1c', fontWeight: 700, marginBottom: 4 }}>
@@ -553,11 +636,16 @@ function TodaysOrders({ restaurantId }) {
                         style={{ borderColor: statusColors[order.status] || '#6b7280' }}
                       >
                         <option value="needs_callback">Needs callback</option>
+                        <option value="pending_payment" disabled>Payment pending</option>
+                        <option value="payment_failed" disabled>Payment failed</option>
                         <option value="new">New</option>
                         <option value="paid">Paid</option>
                         <option value="accepted">Accepted</option>
                         <option value="preparing">Preparing</option>
                         <option value="ready">Ready</option>
+                        {order.type === 'delivery' && (
+                          <option value="out_for_delivery">Out for delivery</option>
+                        )}
                         <option value="completed">Completed</option>
                         <option value="cancelled">Cancelled</option>
                       </select>
@@ -583,6 +671,21 @@ function TodaysOrders({ restaurantId }) {
           </table>
         </div>
       )}
+
+      {nextCursor && !isLoading && (
+        <button className="load-more-orders-btn" onClick={() => loadOrders(nextCursor)}>
+          Load more orders
+        </button>
+      )}
+
+      {refundingOrder && (
+        <RefundOrderModal
+          order={refundingOrder}
+          restaurantId={restaurantId}
+          onClose={() => setRefundingOrder(null)}
+          onRefunded={handleRefunded}
+        />
+      )}
     </div>
   );
 }
@@ -1,23 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import TabNavigation from '../components/TabNavigation';
 import TodaysOrders from '../components/tabs/TodaysOrders';
 import CreateOrder from '../components/tabs/CreateOrder';
 import HoursSettings from '../components/tabs/HoursSettings';
+import MenuManagement from '../components/tabs/MenuManagement';
+import Promotions from '../components/tabs/Promotions';
+import Loyalty from '../components/tabs/Loyalty';
 import CallLogs from '../components/tabs/CallLogs';
 import Reports from '../components/tabs/Reports';
 import BillingAccount from '../components/tabs/BillingAccount';
+import { getKitchenPinStatus } from '../services/api';
+import { isAuthenticated, isCognitoConfigured } from '../auth/auth';
 import '../styles/Dashboard.css';
 
 const TABS = [
   { id: 'orders', label: "Orders", icon: '📋' },
   { id: 'create', label: 'Create Order', icon: '➕' },
+  { id: 'menu', label: 'Menu', icon: '🍕' },
+  { id: 'promotions', label: 'Promotions', icon: '🏷️' },
+  { id: 'loyalty', label: 'Loyalty', icon: '🎁' },
   { id: 'hours', label: 'Hours & Settings', icon: '⏰' },
   { id: 'calls', label: 'Call Logs', icon: '📞' },
   { id: 'reports', label: 'Reports', icon: '📊' },
   { id: 'billing', label: 'Billing & Account', icon: '💳' },
 ];
 
+// How often to re-check for kitchen PIN guessing while the dashboard is open
+const PIN_ALERT_POLL_MS = 2 * 60 * 1000;
+
 function Dashboard() {
   const { restaurantId } = useParams();
   const [activeTab, setActiveTab] = useState('create');
@@ -31,12 +42,37 @@ function Dashboard() {
     localStorage.setItem('darkMode', darkMode);
   }, [darkMode]);
 
+  // Kitchen PIN under attack? (raised by POST /kitchen/session, cleared by regenerating the PIN)
+  const [pinAlert, setPinAlert] = useState(null);
+
+  const checkPinAlert = useCallback(async () => {
+    if (!restaurantId || !isCognitoConfigured() || !isAuthenticated()) return;
+    try {
+      const status = await getKitchenPinStatus(restaurantId);
+      setPinAlert(status.alert || null);
+    } catch (error) {
+      // Not critical - BillingAccount surfaces PIN errors
+    }
+  }, [restaurantId]);
+
+  useEffect(() => {
+    checkPinAlert();
+    const interval = setInterval(checkPinAlert, PIN_ALERT_POLL_MS);
+    return () => clearInterval(interval);
+  }, [checkPinAlert, activeTab]);
+
   const renderTabContent = () => {
     switch (activeTab) {
       case 'orders':
         return <TodaysOrders restaurantId={restaurantId} />;
       case 'create':
         return <CreateOrder restaurantId={restaurantId} />;
+      case 'menu':
+        return <MenuManagement restaurantId={restaurantId} />;
+      case 'promotions':
+        return <Promotions restaurantId={restaurantId} />;
+      case 'loyalty':
+        return <Loyalty restaurantId={restaurantId} />;
       case 'hours':
         return <HoursSettings restaurantId={restaurantId} />;
       case 'calls':
@@ -60,6 +96,18 @@ function Dashboard() {
         onDarkModeToggle={() => setDarkMode(!darkMode)}
       />
       <main className="dashboard-main">
+        {pinAlert && activeTab !== 'billing' && (
+          <div className="security-alert-banner" role="alert">
+            <span>
+              🚨 {pinAlert.failedAttempts} failed kitchen PIN attempts
+              {pinAlert.lockedUntil ? ' - kitchen logins are temporarily locked.' : '.'}
+              {' '}If that wasn't your staff, regenerate the PIN.
+            </span>
+            <button className="security-alert-btn" onClick={() => setActiveTab('billing')}>
+              Review PIN
+            </button>
+          </div>
+        )}
         {renderTabContent()}
       </main>
     </div>
@@ -1,7 +1,19 @@
 import React, { useCallback, useEffect, useRef, useState, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
-import { getOrders, updateOrderStatus, kitchenLogin } from '../services/api';
+import { getOpenOrders, updateOrderStatus, kitchenLogin } from '../services/api';
+import { connectKitchenSocket, isKitchenSocketConfigured } from '../services/kitchenSocket';
 import { isStoreOpenFromLocal } from '../utils/storeHoursLocal';
+import {
+  registerKitchenServiceWorker,
+  isNetworkError,
+  newIdempotencyKey,
+  loadPendingChanges,
+  queueStatusChange,
+  removePendingChange,
+  applyPendingChanges,
+} from '../utils/kitchenOffline';
+import { describeSelectedModifiers } from '../utils/modifierGroups';
+import { describeComboComponents } from '../utils/comboItems';
 import '../styles/KitchenView.css';
 
 // Notification sound URL (served from public folder)
@@ -26,6 +38,16 @@ const HOLD_TO_COMPLETE_MS = 1000;
 // Visible grid size
 const GRID_SIZE = 6;
 
+// Realtime socket reconnect backoff (polling covers the gap)
+const SOCKET_RETRY_MIN_MS = 5000;
+const SOCKET_RETRY_MAX_MS = 60000;
+
+// Longest wait before refetching for a held order while the socket is up
+const MAX_RELEASE_WAIT_MS = 15 * 60 * 1000;
+
+// How often queued offline changes are retried
+const PENDING_RETRY_MS = 15000;
+
 /**
  * Normalize an order to include all computed fields
  */
@@ -46,7 +68,11 @@ function normalizeOrder(order, nowMs) {
     etaDefault = true;
   }
   
-  const dueAtMs = createdAtMs + etaMaxMinutes * 60 * 1000;
+  // Scheduled orders are due at the requested time, not createdAt + ETA
+  const scheduledForMs = order.scheduledFor ? new Date(order.scheduledFor).getTime() : null;
+  const isScheduled = Number.isFinite(scheduledForMs);
+
+  const dueAtMs = isScheduled ? scheduledForMs : createdAtMs + etaMaxMinutes * 60 * 1000;
   const timeUntilDueMs = dueAtMs - nowMs;
   const isUrgent = timeUntilDueMs <= URGENT_THRESHOLD_MS;
   const isOverdue = timeUntilDueMs < 0;
@@ -59,7 +85,10 @@ function normalizeOrder(order, nowMs) {
     etaMaxMinutes,
     etaMinMinutes: order.etaMinMinutes,
     etaText: order.etaText,
-    etaDefault,
+    etaDefault: etaDefault && !isScheduled,
+    isScheduled,
+    // Changed after submission (call-back, address fix) - the line needs to re-read it
+    isEdited: !!order.editedAt,
     dueAtMs,
     timeUntilDueMs,
     isUrgent,
@@ -67,6 +96,15 @@ function normalizeOrder(order, nowMs) {
   };
 }
 
+/**
+ * Scheduled orders stay off the board until their prep window opens (kitchenReleaseAt)
+ */
+function isHeldForLater(order, nowMs) {
+  if (!order?.kitchenReleaseAt) return false;
+  const releaseAtMs = new Date(order.kitchenReleaseAt).getTime();
+  return Number.isFinite(releaseAtMs) && releaseAtMs > nowMs;
+}
+
 /**
  * Format due time for display
  */
@@ -136,7 +174,13 @@ function generateItemSummary(orderItems, maxLength = 60) {
       ].slice(0, 3);
 
       const toppings = safeTokens.map(t => t.split('|')[0]).join(', ');
-      name = `${size}: ${toppings || 'Cheese'}`;
+      name = item.pizzaDetails.specialty?.name
+        ? `${size} ${item.pizzaDetails.specialty.name}`
+        : `${size}: ${toppings || 'Cheese'}`;
+    } else if (item?.comboComponents?.length) {
+      name = `${name} (${item.comboComponents.length} items)`;
+    } else if (item?.selectedModifiers?.length) {
+      name = `${name} (${item.selectedModifiers.map(m => m.name).join(', ')})`;
     }
 
     return `${qty}x ${name}`;
@@ -167,6 +211,14 @@ function formatDetailedItems(orderItems) {
     // If pizza, show detailed toppings
     if (item.pizzaDetails) {
       const pd = item.pizzaDetails;
+      // Specialty: call out what changed from the recipe
+      if (pd.specialty) {
+        const changes = [
+          ...(pd.specialty.removed || []).map(t => `NO ${t}`),
+          ...(pd.specialty.added || []).map(t => `ADD ${t}`),
+        ];
+        lines.push({ text: `  ${pd.specialty.name}${changes.length ? `: ${changes.join(', ')}` : ''}`, type: 'modifier', key: `specialty-${idx}` });
+      }
       if (pd.wholeToppings?.length) {
         lines.push({ text: `  Whole: ${formatToppingsList(pd.wholeToppings)}`, type: 'detail', key: `whole-${idx}` });
       }
@@ -181,6 +233,16 @@ function formatDetailedItems(orderItems) {
       }
     }
     
+    // Combos: every component on its own line
+    describeComboComponents(item.comboComponents).forEach((text, compIdx) => {
+      lines.push({ text: `  ${text}`, type: 'detail', key: `combo-${idx}-${compIdx}` });
+    });
+    
+    // Show picked options (sauce, dressing, size)
+    describeSelectedModifiers(item.selectedModifiers).forEach((text, optIdx) => {
+      lines.push({ text: `  ${text}`, type: 'detail', key: `opt-${idx}-${optIdx}` });
+    });
+    
     // Show modifiers
     if (item.modifiers?.length) {
       lines.push({ text: `  Mods: ${item.modifiers.join(', ')}`, type: 'modifier', key: `mod-${idx}` });
@@ -312,8 +374,11 @@ export default function KitchenView() {
   const [rawOrders, setRawOrders] = useState([]);
   // Sorted/normalized orders (only re-sorted on key events)
   const [sortedOrders, setSortedOrders] = useState([]);
+  const [heldOrderCount, setHeldOrderCount] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const [isReconnecting, setIsReconnecting] = useState(false);
+  const [isOffline, setIsOffline] = useState(false);
+  const [pendingChanges, setPendingChanges] = useState(() => loadPendingChanges(restaurantId));
   const [audioEnabled, setAudioEnabled] = useState(false);
   const [wantsSound, setWantsSound] = useState(getSoundPref);
   const [showEnablePrompt, setShowEnablePrompt] = useState(() => {
@@ -336,6 +401,9 @@ export default function KitchenView() {
 
   const audioRef = useRef(null);
   const pollingTimeoutRef = useRef(null);
+  const socketConnectedRef = useRef(false);
+  const fetchNowRef = useRef(null);
+  const isFlushingRef = useRef(false);
   const lastOrderIdsRef = useRef(new Set());
   const lastNewOrderTimeRef = useRef(Date.now());
   const hasOrdersBaselineRef = useRef(false);
@@ -414,7 +482,8 @@ export default function KitchenView() {
     }
   }, [restaurantId, pinInput]);
 
-  // Force-unpair without confirmation (used when server rejects the session)
+  // Force-unpair without confirmation (used when server rejects the session).
+  // Queued offline changes are kept and replayed once the tablet is paired again.
   const forceUnpair = useCallback((reason) => {
     clearKitchenTokens(restaurantId);
     setIsAuthenticated(false);
@@ -529,15 +598,107 @@ export default function KitchenView() {
     lastReorderTimeRef.current = nowMs;
   }, []);
 
-  // Auto-refresh via polling
+  // Offline mode: cache the app shell and order board in a service worker
+  useEffect(() => {
+    registerKitchenServiceWorker();
+  }, []);
+
+  // Send a status change, or queue it if the API can't be reached.
+  // Anything already queued goes first so changes land in the order they were made.
+  const sendStatusChange = useCallback(async (orderId, status, acceptedAt) => {
+    const change = { id: newIdempotencyKey(), orderId, status, acceptedAt };
+
+    if (loadPendingChanges(restaurantId).length === 0) {
+      try {
+        // Use JWT-protected endpoint so PIN regeneration can invalidate sessions
+        await updateOrderStatus(orderId, status, acceptedAt, restaurantId, {
+          token: getKitchenIdToken(),
+          idempotencyKey: change.id,
+        });
+        return { queued: false };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+      }
+    }
+
+    setPendingChanges(queueStatusChange(restaurantId, change));
+    setIsOffline(true);
+    return { queued: true };
+  }, [restaurantId, getKitchenIdToken]);
+
+  // Replay queued changes oldest first. Stops at the first one that can't get through;
+  // the API ignores keys it has already applied, so retrying a half-sent change is safe.
+  const flushPendingChanges = useCallback(async () => {
+    if (isFlushingRef.current) return;
+    isFlushingRef.current = true;
+    let flushed = 0;
+
+    try {
+      for (const change of loadPendingChanges(restaurantId)) {
+        try {
+          await updateOrderStatus(change.orderId, change.status, change.acceptedAt, restaurantId, {
+            token: getKitchenIdToken(),
+            idempotencyKey: change.id,
+          });
+        } catch (err) {
+          if (isNetworkError(err)) {
+            setIsOffline(true);
+            break;
+          }
+          if (err.status === 401 || err.status === 403) {
+            forceUnpair('Kitchen session was invalidated. Please enter the new PIN.');
+            break;
+          }
+          if (err.status >= 500) break;
+          // 409/404: the order moved on (or is gone) while we were offline - drop the change
+          console.warn('Dropping queued kitchen change:', { ...change, error: err.message });
+        }
+        setPendingChanges(removePendingChange(restaurantId, change.id));
+        flushed++;
+      }
+    } finally {
+      isFlushingRef.current = false;
+    }
+
+    // Show what the server made of the replayed changes
+    if (flushed > 0 && fetchNowRef.current) fetchNowRef.current();
+  }, [restaurantId, getKitchenIdToken, forceUnpair]);
+
+  // Retry the queue when the browser says we're back, and periodically while anything is waiting
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const handleOnline = () => flushPendingChanges();
+    window.addEventListener('online', handleOnline);
+
+    let interval = null;
+    if (pendingChanges.length > 0) {
+      interval = setInterval(flushPendingChanges, PENDING_RETRY_MS);
+    }
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      if (interval) clearInterval(interval);
+    };
+  }, [isAuthenticated, pendingChanges.length, flushPendingChanges]);
+
+  // Auto-refresh: pushed events while the kitchen socket is up, polling otherwise
   useEffect(() => {
     if (!isAuthenticated) return;
 
     let currentIntervalMs = 8000;
+    let nextReleaseMs = null;
 
     const scheduleNext = () => {
       if (pollingTimeoutRef.current) clearTimeout(pollingTimeoutRef.current);
       if (!isStoreOpenFromLocal(restaurantId)) return;
+      if (socketConnectedRef.current) {
+        // Nothing is pushed when a held order's prep window opens, so wake up for it
+        if (nextReleaseMs) {
+          const waitMs = Math.min(Math.max(nextReleaseMs - Date.now(), 1000), MAX_RELEASE_WAIT_MS);
+          pollingTimeoutRef.current = setTimeout(fetchOrders, waitMs);
+        }
+        return;
+      }
       pollingTimeoutRef.current = setTimeout(fetchOrders, currentIntervalMs);
     };
 
@@ -547,25 +708,42 @@ export default function KitchenView() {
       try {
         setIsReconnecting(false);
         const kitchenTokens = getKitchenTokens(restaurantId);
-        // Use JWT-protected endpoint so PIN regeneration can invalidate sessions
-        const response = await getOrders({}, restaurantId, { useAdminEndpoint: true, token: kitchenTokens?.idToken || null });
-        const allOrders = Array.isArray(response?.orders) ? response.orders : [];
+        // Use JWT-protected endpoint so PIN regeneration can invalidate sessions.
+        // status=open reads the open-orders index instead of the full order history
+        const response = await getOpenOrders(restaurantId, { token: kitchenTokens?.idToken || null });
+        // offline: the service worker answered with the last board it saw
+        const servedFromCache = !!response?.offline;
+        setIsOffline(servedFromCache);
+        const pending = loadPendingChanges(restaurantId);
+        const allOrders = applyPendingChanges(Array.isArray(response?.orders) ? response.orders : [], pending);
+        if (!servedFromCache && pending.length > 0) {
+          flushPendingChanges();
+        }
 
+        const nowMs = Date.now();
+        const heldOrders = allOrders.filter(order =>
+          (order?.status === 'new' || order?.status === 'paid' || order?.status === 'accepted') && isHeldForLater(order, nowMs)
+        );
         const activeOrders = allOrders.filter(order => {
           const status = order?.status;
+          // Once the kitchen marks an order ready it's the counter's (or driver's) job
           const isActive =
             status === 'new' ||
             status === 'paid' ||
             status === 'accepted' ||
-            status === 'preparing' ||
-            status === 'ready';
+            status === 'preparing';
           const isCallback = status === 'needs_callback';
 
           const matchesRestaurant =
             !restaurantId || order.restaurantId === restaurantId || order.restaurantId === undefined;
 
-          return isActive && !isCallback && matchesRestaurant;
+          return isActive && !isCallback && matchesRestaurant && !isHeldForLater(order, nowMs);
         });
+        setHeldOrderCount(heldOrders.length);
+        nextReleaseMs = heldOrders.reduce((earliest, order) => {
+          const releaseAtMs = new Date(order.kitchenReleaseAt).getTime();
+          return earliest === null || releaseAtMs < earliest ? releaseAtMs : earliest;
+        }, null);
 
         // New-order detection
         const currentIds = new Set(activeOrders.map(o => o.orderId).filter(Boolean));
@@ -621,7 +799,12 @@ export default function KitchenView() {
           return; // Stop scheduling further polls; effect will teardown because isAuthenticated becomes false
         }
 
-        setIsReconnecting(true);
+        // No network (and nothing cached yet): keep the current board usable, taps get queued
+        if (isNetworkError(err)) {
+          setIsOffline(true);
+        } else {
+          setIsReconnecting(true);
+        }
         setIsLoading(false);
         currentIntervalMs = 8000;
       }
@@ -629,11 +812,57 @@ export default function KitchenView() {
       scheduleNext();
     };
 
+    fetchNowRef.current = fetchOrders;
     fetchOrders();
     return () => {
       if (pollingTimeoutRef.current) clearTimeout(pollingTimeoutRef.current);
     };
-  }, [isAuthenticated, restaurantId, playNotificationSound, sortedOrders.length, triggerReorder]);
+  }, [isAuthenticated, restaurantId, playNotificationSound, sortedOrders.length, triggerReorder, flushPendingChanges]);
+
+  // Realtime order events. Each event (or reconnect) triggers an immediate refetch;
+  // while the socket is down the effect above keeps polling.
+  useEffect(() => {
+    if (!isAuthenticated || !isKitchenSocketConfigured()) return;
+
+    let socket = null;
+    let reconnectTimeout = null;
+    let retryMs = SOCKET_RETRY_MIN_MS;
+    let disposed = false;
+
+    const fetchNow = () => {
+      if (fetchNowRef.current) fetchNowRef.current();
+    };
+
+    const connect = () => {
+      socket = connectKitchenSocket({
+        restaurantId,
+        token: getKitchenTokens(restaurantId)?.idToken,
+        onOpen: () => {
+          retryMs = SOCKET_RETRY_MIN_MS;
+          socketConnectedRef.current = true;
+          // Catch up on anything missed while disconnected; also stops the poll timer
+          fetchNow();
+        },
+        onEvent: fetchNow,
+        onClose: () => {
+          socketConnectedRef.current = false;
+          if (disposed) return;
+          // Resume polling right away (a rejected token surfaces there as a 401)
+          fetchNow();
+          reconnectTimeout = setTimeout(connect, retryMs);
+          retryMs = Math.min(retryMs * 2, SOCKET_RETRY_MAX_MS);
+        },
+      });
+    };
+
+    connect();
+    return () => {
+      disposed = true;
+      socketConnectedRef.current = false;
+      if (reconnectTimeout) clearTimeout(reconnectTimeout);
+      if (socket) socket.close();
+    };
+  }, [isAuthenticated, restaurantId]);
 
   // Update urgency status periodically (but don't reorder - just update the visual state)
   useEffect(() => {
@@ -703,12 +932,8 @@ export default function KitchenView() {
     setCompleteError(null);
     
     try {
-      // Use JWT-protected endpoint so PIN regeneration can invalidate sessions
-      await updateOrderStatus(confirmOrderId, 'completed', undefined, restaurantId, {
-        useAdminEndpoint: true,
-        token: getKitchenIdToken(),
-      });
-      // Remove from local state only on success
+      await sendStatusChange(confirmOrderId, 'ready');
+      // Remove from local state only once sent (or queued)
       setRawOrders(prev => prev.filter(o => o.orderId !== confirmOrderId));
       setSortedOrders(prev => prev.filter(o => o.orderId !== confirmOrderId));
       setConfirmOrderId(null);
@@ -722,11 +947,11 @@ export default function KitchenView() {
         forceUnpair('Kitchen session was invalidated. Please enter the new PIN.');
         return;
       }
-      setCompleteError('Failed to complete order. Tap to retry.');
+      setCompleteError('Failed to mark order ready. Tap to retry.');
     } finally {
       setCompletingOrderId(null);
     }
-  }, [confirmOrderId, expandedOrderId, restaurantId, getKitchenIdToken, forceUnpair]);
+  }, [confirmOrderId, expandedOrderId, sendStatusChange, forceUnpair]);
 
   // Cancel confirm dialog
   const handleCancelConfirm = useCallback(() => {
@@ -738,11 +963,7 @@ export default function KitchenView() {
   const handleAccept = async (orderId) => {
     try {
       const acceptedAt = new Date().toISOString();
-      // Use JWT-protected endpoint so PIN regeneration can invalidate sessions
-      await updateOrderStatus(orderId, 'preparing', acceptedAt, restaurantId, {
-        useAdminEndpoint: true,
-        token: getKitchenIdToken(),
-      });
+      await sendStatusChange(orderId, 'preparing', acceptedAt);
       const updateOrder = (o) => o.orderId === orderId ? { ...o, status: 'preparing', acceptedAt } : o;
       setRawOrders(prev => prev.map(updateOrder));
       setSortedOrders(prev => prev.map(updateOrder));
@@ -763,11 +984,7 @@ export default function KitchenView() {
     if (!confirmed) return;
 
     try {
-      // Use JWT-protected endpoint so PIN regeneration can invalidate sessions
-      await updateOrderStatus(orderId, 'cancelled', undefined, restaurantId, {
-        useAdminEndpoint: true,
-        token: getKitchenIdToken(),
-      });
+      await sendStatusChange(orderId, 'cancelled');
       setRawOrders(prev => prev.filter(o => o.orderId !== orderId));
       setSortedOrders(prev => prev.filter(o => o.orderId !== orderId));
       if (expandedOrderId === orderId) setExpandedOrderId(null);
@@ -896,6 +1113,16 @@ export default function KitchenView() {
         </div>
       )}
 
+      {/* Offline Banner - non-blocking so the kitchen keeps working from the last board */}
+      {(isOffline || pendingChanges.length > 0) && (
+        <div className={`offline-banner ${isOffline ? '' : 'syncing'}`}>
+          <span className="offline-banner-icon">{isOffline ? '📴' : '🔄'}</span>
+          <span className="offline-banner-text">
+            {isOffline ? 'Offline' : 'Syncing'} — {pendingChanges.length} pending {pendingChanges.length === 1 ? 'change' : 'changes'}
+          </span>
+        </div>
+      )}
+
       {/* Reconnecting Overlay */}
       {isReconnecting && (
         <div className="reconnecting-overlay">
@@ -912,7 +1139,7 @@ export default function KitchenView() {
           <div className="confirm-modal">
             <div className="confirm-header">
               <span className="confirm-icon">✓</span>
-              <h2>Mark Order Complete?</h2>
+              <h2>Mark Order Ready?</h2>
             </div>
             <div className="confirm-order-info">
               <div className="confirm-order-number">#{confirmOrder.orderNumber}</div>
@@ -939,7 +1166,7 @@ export default function KitchenView() {
                 onClick={handleConfirmComplete}
                 disabled={completingOrderId === confirmOrderId}
               >
-                {completingOrderId === confirmOrderId ? 'COMPLETING...' : 'CONFIRM'}
+                {completingOrderId === confirmOrderId ? 'MARKING READY...' : 'CONFIRM'}
               </button>
             </div>
           </div>
@@ -969,6 +1196,13 @@ export default function KitchenView() {
               </span>
             </div>
             
+            {expandedOrder.isEdited && (
+              <div className="expanded-edit-note">
+                ✏️ <strong>Edited {formatDueTime(new Date(expandedOrder.editedAt).getTime())}</strong>
+                {expandedOrder.lastEditSummary ? `: ${expandedOrder.lastEditSummary}` : ''}
+              </div>
+            )}
+
             <div className="expanded-items">
               {formatDetailedItems(expandedOrder.orderItems).map((line, idx) => (
                 <div key={line.key || idx} className={`expanded-item-line ${line.type}`}>
@@ -1035,6 +1269,11 @@ export default function KitchenView() {
             Queue: {queueCount}
           </div>
         )}
+        {heldOrderCount > 0 && (
+          <div className="scheduled-badge" title="Orders for later appear here when their prep window opens">
+            ⏰ Later: {heldOrderCount}
+          </div>
+        )}
         <div
           className={`audio-status ${(wantsSound && audioEnabled) ? 'enabled' : 'disabled'}`}
           onClick={toggleSound}
@@ -1072,7 +1311,7 @@ export default function KitchenView() {
               return (
                 <div
                   key={order.orderId}
-                  className={`ticket-card ${isAccepted ? 'accepted' : ''} ${order.isUrgent ? 'urgent' : ''} ${order.isOverdue ? 'overdue' : ''}`}
+                  className={`ticket-card ${isAccepted ? 'accepted' : ''} ${order.isEdited ? 'edited' : ''} ${order.isUrgent ? 'urgent' : ''} ${order.isOverdue ? 'overdue' : ''}`}
                   onClick={(e) => handleTicketTap(order.orderId, e)}
                 >
                   {/* Ticket Header */}
@@ -1082,6 +1321,10 @@ export default function KitchenView() {
                       {getOrderTypeIcon(order.orderType)}
                     </span>
                     {order.etaDefault && <span className="eta-default-dot" title="ETA default">•</span>}
+                    {order.isScheduled && <span className="ticket-scheduled-icon" title="Scheduled order">⏰</span>}
+                    {order.isEdited && (
+                      <span className="ticket-edited-badge" title={order.lastEditSummary || 'Order was edited'}>EDITED</span>
+                    )}
                   </div>
                   
                   {/* Due Time */}
@@ -1,32 +1,48 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { getMenu } from '../services/api';
 import '../styles/MenuView.css';
 
+const sortItems = (a, b) =>
+  (Number(a.sortOrder) || 0) - (Number(b.sortOrder) || 0) || String(a.name).localeCompare(String(b.name));
+
+// Pizzas (schemaVersion 2) are priced by size: show the cheapest offered size
+function getDisplayPrice(item) {
+  if (item.schemaVersion === 2) {
+    const prices = (item.allowedSizes || [])
+      .map((size) => item.pricingRules?.basePriceCentsBySize?.[size])
+      .filter((cents) => Number(cents) > 0);
+    return prices.length ? `from $${(Math.min(...prices) / 100).toFixed(2)}` : '';
+  }
+  return `$${(Number(item.price) || 0).toFixed(2)}`;
+}
+
 function MenuView() {
+  const { restaurantId } = useParams();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getMenu(restaurantId)
+      .then((data) => setItems(Array.isArray(data) ? data : []))
+      .catch(() => setError('Menu is unavailable right now.'))
+      .finally(() => setLoading(false));
+  }, [restaurantId]);
 
-  // Mock menu data - replace with real API calls
-  const menuData = {
-    categories: [
-      {
-        name: 'Pizza',
-        items: [
-          { name: 'Large Pepperoni', price: 18.99, description: 'Classic pepperoni pizza' },
-          { name: 'Large Supreme', price: 22.99, description: 'Pepperoni, sausage, peppers, onions, mushrooms' },
-        ],
-      },
-      {
-        name: 'Wings',
-        items: [
-          { name: 'Wings (12pc)', price: 14.99, description: 'Buffalo, BBQ, or Garlic Parmesan' },
-        ],
-      },
-      {
-        name: 'Drinks',
-        items: [
-          { name: '2-Liter Coke', price: 4.99, description: '2-liter bottle' },
-        ],
-      },
-    ],
-  };
+  // Categories in the order the owner sorted them in the Menu tab
+  const categories = useMemo(() => {
+    const groups = new Map();
+    items
+      .filter((item) => item.available !== false)
+      .sort(sortItems)
+      .forEach((item) => {
+        const name = item.category || 'Other';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(item);
+      });
+    return [...groups.entries()].map(([name, list]) => ({ name, items: list }));
+  }, [items]);
 
   return (
     <div className="menu-view">
@@ -36,19 +52,21 @@ function MenuView() {
       </header>
 
       <div className="menu-content">
-        {menuData.categories.map((category, catIdx) => (
-          <section key={catIdx} className="menu-category">
+        {loading && <p>Loading menu...</p>}
+        {error && <p>{error}</p>}
+        {categories.map((category) => (
+          <section key={category.name} className="menu-category">
             <h2 className="category-title">{category.name}</h2>
             <div className="category-items">
-              {category.items.map((item, itemIdx) => (
-                <div key={itemIdx} className="menu-item">
+              {category.items.map((item) => (
+                <div key={item.itemId} className="menu-item">
                   <div className="item-info">
                     <h3 className="item-name">{item.name}</h3>
                     {item.description && (
                       <p className="item-description">{item.description}</p>
                     )}
                   </div>
-                  <div className="item-price">${item.price.toFixed(2)}</div>
+                  <div className="item-price">{getDisplayPrice(item)}</div>
                 </div>
               ))}
             </div>
@@ -108,7 +108,12 @@ export const createOrder = async (data, restaurantId = null) => {
       body: JSON.stringify(data),
     });
     if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
+      // Rejected option picks come back as 400 { error, code: 'INVALID_MODIFIERS', details }
+      const errorData = await res.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+      error.status = res.status;
+      error.code = errorData.code;
+      throw error;
     }
     const result = await res.json();
     return result;
@@ -118,9 +123,56 @@ export const createOrder = async (data, restaurantId = null) => {
   }
 };
 
-export const getOrder = async (id) => {
+/**
+ * Price an order without placing it (same server pricing as createOrder, promotions included).
+ * A promo code that doesn't apply comes back as an Error with `code` (e.g. 'promo_expired').
+ *
+ * @param {Object} data - Same body as createOrder (items, orderType, promoCode, ...)
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{subtotal: number, discount: number, adjustments: Array, tax: number, tip: number, total: number}>}
+ */
+export const quoteOrder = async (data, restaurantId = null) => {
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+    if (restaurantId) {
+      headers['x-restaurant-id'] = restaurantId;
+    }
+
+    const res = await fetch(`${API_BASE}/orders?mode=quote`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(data),
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+      error.status = res.status;
+      error.code = errorData.code;
+      throw error;
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error quoting order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a single order with customer details.
+ * Requires admin (or kitchen) authentication - the public /order/{id} only
+ * returns the trimmed confirmation-page view.
+ *
+ * @param {string} id - Order ID
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @param {Object} [options]
+ * @param {string|null} [options.token] - Explicit JWT to use for Authorization (kitchen tokens)
+ */
+export const getOrder = async (id, restaurantId = null, options = {}) => {
   try {
-    const res = await fetch(`${API_BASE}/order/${id}`);
+    const { token = null } = options || {};
+    const res = await fetch(`${API_BASE}/admin/order/${id}`, {
+      headers: buildHeaders({ restaurantId, token }),
+    });
     if (!res.ok) {
       throw new Error(`HTTP error! status: ${res.status}`);
     }
@@ -135,28 +187,28 @@ export const getOrder = async (id) => {
 /**
  * Fetch orders with flexible filtering options.
  *
- * Supports both public and JWT-protected endpoints:
- * - Public: GET /orders
- * - Protected: GET /admin/orders (requires Authorization)
+ * Calls the JWT-protected GET /admin/orders (admin token, or the kitchen token when passed).
  *
  * @param {Object} filters - Filter options
  * @param {number} [filters.days] - Number of days to look back (default: 30)
  * @param {string} [filters.from] - Start date (ISO or YYYY-MM-DD)
  * @param {string} [filters.to] - End date (ISO or YYYY-MM-DD)
  * @param {boolean} [filters.all] - If true, return all orders (no date filter)
- * @param {string} [filters.status] - Filter by status (new, paid, accepted, etc.)
+ * @param {string} [filters.status] - Filter by status (new, paid, accepted, etc.), or "open" for unfinished orders (see getOpenOrders)
  * @param {string} [filters.orderType] - Filter by order type (pickup, delivery, dine-in)
- * @param {string} [filters.cursor] - Pagination cursor for large datasets
+ * @param {string} [filters.cursor] - nextCursor from the previous page
+ * @param {number} [filters.limit] - Page size (default 50, max 200)
  * @param {string} [filters.date] - (Legacy) Specific date to filter by
  * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
  * @param {Object} [options]
- * @param {boolean} [options.useAdminEndpoint] - If true, call /admin/orders
  * @param {string|null} [options.token] - Explicit JWT to use for Authorization (kitchen tokens)
- * @returns {Promise<{orders: Array, totalRevenue: number, count: number, dateRange: Object}>}
+ * @returns {Promise<{orders: Array, totalRevenue: number|null, count: number|null, summaryTruncated: boolean|null, nextCursor: string|null, dateRange: Object}>}
+ *   totalRevenue/count cover the whole range and are only sent with the first page
+ *   (summaryTruncated: the range was too long to total in full)
  */
 export const getOrders = async (filters = {}, restaurantId = null, options = {}) => {
   try {
-    const { useAdminEndpoint = false, token = null } = options || {};
+    const { token = null } = options || {};
     const queryParams = new URLSearchParams();
     
     // New date range parameters (takes priority)
@@ -175,10 +227,10 @@ export const getOrders = async (filters = {}, restaurantId = null, options = {})
     if (filters.status) queryParams.append('status', filters.status);
     if (filters.orderType) queryParams.append('orderType', filters.orderType);
     if (filters.cursor) queryParams.append('cursor', filters.cursor);
+    if (filters.limit) queryParams.append('limit', String(filters.limit));
     
-    const headers = buildHeaders({ restaurantId, includeAuth: useAdminEndpoint || !!token, token });
-    const basePath = useAdminEndpoint ? '/admin/orders' : '/orders';
-    const url = `${API_BASE}${basePath}${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
+    const headers = buildHeaders({ restaurantId, token });
+    const url = `${API_BASE}/admin/orders${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
 
     const res = await fetch(url, { headers });
     
@@ -212,17 +264,56 @@ export const getOrders = async (filters = {}, restaurantId = null, options = {})
   }
 };
 
+// Enough pages for any real kitchen board; stops a bad cursor from looping forever
+const MAX_OPEN_ORDER_PAGES = 10;
+
+/**
+ * Every unfinished order for the kitchen board: follows GET /admin/orders?status=open
+ * page by page. offline is set when any page came from the kitchen service worker's cache.
+ *
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @param {Object} [options] - Passed to getOrders (token)
+ * @returns {Promise<{orders: Array, offline: boolean}>}
+ */
+export const getOpenOrders = async (restaurantId = null, options = {}) => {
+  const orders = [];
+  let offline = false;
+  let cursor = null;
+  for (let page = 0; page < MAX_OPEN_ORDER_PAGES; page++) {
+    const data = await getOrders({ status: 'open', limit: 200, cursor }, restaurantId, options);
+    orders.push(...(Array.isArray(data?.orders) ? data.orders : []));
+    offline = offline || !!data?.offline;
+    cursor = data?.nextCursor || null;
+    if (!cursor) break;
+  }
+  return { orders, offline };
+};
+
+/**
+ * Move an order to a new status via PATCH /admin/order/{id} (admin or kitchen JWT).
+ *
+ * @param {string} orderId - Order ID
+ * @param {string} status - New status
+ * @param {string} [acceptedAt] - When the kitchen accepted the order (ISO)
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @param {Object} [options]
+ * @param {string|null} [options.token] - Explicit JWT to use for Authorization (kitchen tokens)
+ * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key; a replay of an applied change is a no-op
+ * @returns {Promise<{success: boolean, order: Object, replayed?: boolean}>}
+ */
 export const updateOrderStatus = async (orderId, status, acceptedAt, restaurantId = null, options = {}) => {
   try {
-    const { useAdminEndpoint = false, token = null } = options || {};
-    const basePath = useAdminEndpoint ? '/admin/order' : '/order';
-    const url = `${API_BASE}${basePath}/${orderId}`;
+    const { token = null, idempotencyKey = null } = options || {};
+    const url = `${API_BASE}/admin/order/${orderId}`;
 
     const payload = typeof acceptedAt === 'string' && acceptedAt.length > 0
       ? { status, acceptedAt }
       : { status };
 
-    const headers = buildHeaders({ restaurantId, includeAuth: useAdminEndpoint || !!token, token });
+    const headers = buildHeaders({ restaurantId, token });
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
 
     const res = await fetch(url, {
       method: 'PATCH',
@@ -257,11 +348,72 @@ export const updateOrderStatus = async (orderId, status, acceptedAt, restaurantI
   }
 };
 
+/**
+ * Refund a card-paid order, in full or by line item.
+ * Requires admin authentication (owner dashboard only).
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} refund
+ * @param {boolean} [refund.full] - Refund everything left on the order (incl. tip)
+ * @param {Array<{lineKey: string, quantity: number}>} [refund.items] - Line items to refund
+ * @param {string} refund.reason - Why the refund was issued
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{success: boolean, refund: Object, order: Object}>}
+ */
+export const refundOrder = async (orderId, { full = false, items = [], reason }, restaurantId = null) => {
+  try {
+    const headers = buildHeaders({ restaurantId });
+
+    const res = await fetch(`${API_BASE}/admin/order/${orderId}/refund`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(full ? { full: true, reason } : { items, reason }),
+    });
+
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    return await res.json();
+  } catch (error) {
+    console.error('Error refunding order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load the full settings record for editing. Requires admin authentication
+ * (GET /settings only returns the customer-facing fields), so read from here
+ * before saving the record back with updateSettings.
+ */
+export const getAdminSettings = async (restaurantId = null) => {
+  try {
+    const headers = buildHeaders({ restaurantId });
+
+    const res = await fetch(`${API_BASE}/admin/settings`, { headers });
+    if (!res.ok) {
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    const data = await res.json();
+    return data;
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save restaurant settings. Requires admin authentication; the restaurant is
+ * taken from the token, not from restaurantId.
+ */
 export const updateSettings = async (settingsData, restaurantId = null) => {
   try {
     const headers = buildHeaders({ restaurantId });
     
-    const res = await fetch(`${API_BASE}/settings`, {
+    const res = await fetch(`${API_BASE}/admin/settings`, {
       method: 'PUT',
       headers,
       body: JSON.stringify(settingsData),
@@ -277,6 +429,379 @@ export const updateSettings = async (settingsData, restaurantId = null) => {
   }
 };
 
+// ============================================================================
+// Call Logs APIs
+// ============================================================================
+
+/**
+ * List phone calls, newest first. Requires admin authentication.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Search caller number, summary or transcript (or an exact order ID)
+ * @param {string} [filters.cursor] - nextCursor from the previous page
+ * @param {number} [filters.limit] - Page size (default 25)
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{calls: Array, nextCursor: string|null}>}
+ */
+export const getCallLogs = async (filters = {}, restaurantId = null) => {
+  try {
+    const queryParams = new URLSearchParams();
+    if (filters.q) queryParams.append('q', filters.q);
+    if (filters.cursor) queryParams.append('cursor', filters.cursor);
+    if (filters.limit) queryParams.append('limit', String(filters.limit));
+
+    const headers = buildHeaders({ restaurantId });
+    const url = `${API_BASE}/admin/calls${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
+
+    const res = await fetch(url, { headers });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    return await res.json();
+  } catch (error) {
+    console.error('Error fetching call logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * One call with its transcript and recording URL. Requires admin authentication.
+ *
+ * @param {string} callId - Vapi call ID
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{call: Object}>}
+ */
+export const getCallLog = async (callId, restaurantId = null) => {
+  try {
+    const headers = buildHeaders({ restaurantId });
+
+    const res = await fetch(`${API_BASE}/admin/calls/${encodeURIComponent(callId)}`, { headers });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    return await res.json();
+  } catch (error) {
+    console.error('Error fetching call log:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// Reports APIs
+// ============================================================================
+
+/**
+ * Sales, menu, call and kitchen analytics over a date range, built from the
+ * precomputed DailyReports rows. Requires admin authentication.
+ *
+ * @param {Object} [filters]
+ * @param {number} [filters.days] - Last N days including today (default 30)
+ * @param {string} [filters.from] - Start date YYYY-MM-DD (restaurant time, with `to`)
+ * @param {string} [filters.to] - End date YYYY-MM-DD (restaurant time, inclusive)
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<Object>} Report with revenue, byType, bySource, topItems, daily, heatmap, calls, kitchen
+ */
+export const getReports = async (filters = {}, restaurantId = null) => {
+  try {
+    const queryParams = new URLSearchParams();
+    if (filters.from && filters.to) {
+      queryParams.append('from', filters.from);
+      queryParams.append('to', filters.to);
+    } else if (filters.days) {
+      queryParams.append('days', String(filters.days));
+    }
+
+    const headers = buildHeaders({ restaurantId });
+    const url = `${API_BASE}/admin/reports${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
+
+    const res = await fetch(url, { headers });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    return await res.json();
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// Menu Management APIs
+// ============================================================================
+
+/**
+ * Throw an Error carrying the HTTP status and any validation details from the API
+ */
+async function throwMenuError(res) {
+  const errorData = await res.json().catch(() => ({}));
+  const error = new Error(errorData.error || `HTTP error! status: ${res.status}`);
+  error.status = res.status;
+  error.details = errorData.details || [];
+  throw error;
+}
+
+/**
+ * Create a menu item. Requires admin authentication.
+ * v1: { itemId, name, price, category, description, image, available, isSpecial, sortOrder, modifierGroups? }
+ * v2 pizza: { schemaVersion: 2, kind: 'pizza', itemId, name, allowedSizes, allowedCrusts, allowedToppings, pricingRules, ... }
+ *
+ * @param {Object} menuItem - Item to create
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{message: string, menuItem: Object}>}
+ */
+export const createMenuItem = async (menuItem, restaurantId = null) => {
+  try {
+    const headers = buildHeaders({ restaurantId });
+
+    const res = await fetch(`${API_BASE}/admin/menu`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(menuItem),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error creating menu item:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update fields of a menu item (partial). Requires admin authentication.
+ *
+ * @param {string} menuItemId - Base item id (e.g. "pizza-byo")
+ * @param {Object} updates - Fields to change
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{success: boolean, menuItemId: string, menuItem: Object}>}
+ */
+export const updateMenuItem = async (menuItemId, updates, restaurantId = null) => {
+  try {
+    const headers = buildHeaders({ restaurantId });
+
+    const res = await fetch(`${API_BASE}/admin/menu/${encodeURIComponent(menuItemId)}`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify(updates),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error updating menu item:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a menu item. Requires admin authentication.
+ *
+ * @param {string} menuItemId - Base item id
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ */
+export const deleteMenuItem = async (menuItemId, restaurantId = null) => {
+  try {
+    const headers = buildHeaders({ restaurantId });
+
+    const res = await fetch(`${API_BASE}/admin/menu/${encodeURIComponent(menuItemId)}`, {
+      method: 'DELETE',
+      headers,
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error deleting menu item:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// Promotions APIs
+// ============================================================================
+
+/**
+ * List promo codes and automatic deals. Requires admin authentication.
+ *
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{promotions: Array}>}
+ */
+export const getPromotions = async (restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/promotions`, {
+      headers: buildHeaders({ restaurantId }),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a promotion. Requires admin authentication.
+ * { name, code?, type: 'percent_off'|'amount_off'|'bogo'|'bundle_price', appliesTo?, minSubtotalCents?,
+ *   orderTypes?, startDate?, endDate?, daysOfWeek?, startTime?, endTime?, maxUsesPerCustomer?, ... }
+ *
+ * @param {Object} promotion - Promotion to create
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{message: string, promotion: Object}>}
+ */
+export const createPromotion = async (promotion, restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/promotions`, {
+      method: 'POST',
+      headers: buildHeaders({ restaurantId }),
+      body: JSON.stringify(promotion),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a promotion (usage counts are kept). Requires admin authentication.
+ *
+ * @param {string} promotionId - Promotion id
+ * @param {Object} promotion - Full promotion
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{message: string, promotion: Object}>}
+ */
+export const updatePromotion = async (promotionId, promotion, restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/promotions/${encodeURIComponent(promotionId)}`, {
+      method: 'PUT',
+      headers: buildHeaders({ restaurantId }),
+      body: JSON.stringify(promotion),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a promotion. Requires admin authentication.
+ *
+ * @param {string} promotionId - Promotion id
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ */
+export const deletePromotion = async (promotionId, restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/promotions/${encodeURIComponent(promotionId)}`, {
+      method: 'DELETE',
+      headers: buildHeaders({ restaurantId }),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    throw error;
+  }
+};
+
+// ============================================================================
+// Loyalty APIs
+// ============================================================================
+
+/**
+ * List customers with a points balance, highest first. Requires admin authentication.
+ *
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{members: Array}>}
+ */
+export const getLoyaltyMembers = async (restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/loyalty`, {
+      headers: buildHeaders({ restaurantId }),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error fetching loyalty members:', error);
+    throw error;
+  }
+};
+
+/**
+ * One customer's balance and points ledger (newest first). Requires admin authentication.
+ *
+ * @param {string} phone - Customer phone number
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{member: Object, entries: Array}>}
+ */
+export const getLoyaltyMember = async (phone, restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/loyalty/${encodeURIComponent(phone)}`, {
+      headers: buildHeaders({ restaurantId }),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error fetching loyalty member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add or remove points by hand (goodwill credit, correcting a mistake). Requires admin authentication.
+ * A deduction larger than the balance is rejected with 409.
+ *
+ * @param {string} phone - Customer phone number
+ * @param {{points: number, reason: string}} adjustment - Signed points change and why
+ * @param {string} [restaurantId] - Restaurant ID for multi-tenant isolation
+ * @returns {Promise<{member: Object, entries: Array}>}
+ */
+export const adjustLoyaltyPoints = async (phone, adjustment, restaurantId = null) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/loyalty/${encodeURIComponent(phone)}`, {
+      method: 'POST',
+      headers: buildHeaders({ restaurantId }),
+      body: JSON.stringify(adjustment),
+    });
+    if (!res.ok) {
+      await throwMenuError(res);
+    }
+    return await res.json();
+  } catch (error) {
+    console.error('Error adjusting loyalty points:', error);
+    throw error;
+  }
+};
+
 // ============================================================================
 // Kitchen PIN Management APIs
 // ============================================================================
@@ -284,9 +809,10 @@ export const updateSettings = async (settingsData, restaurantId = null) => {
 /**
  * Check if a kitchen PIN is set for a restaurant.
  * Requires admin authentication.
+ * `alert` is non-null when someone has been guessing the PIN; regenerating clears it.
  * 
  * @param {string} restaurantId - Restaurant ID
- * @returns {Promise<{hasPin: boolean, lastUpdatedAt: string|null}>}
+ * @returns {Promise<{hasPin: boolean, lastUpdatedAt: string|null, alert: {failedAttempts: number, sourceIpCount: number, firstSeenAt: string, lastSeenAt: string, lockedUntil: string|null}|null}>}
  */
 export const getKitchenPinStatus = async (restaurantId) => {
   try {
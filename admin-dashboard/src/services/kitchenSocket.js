@@ -0,0 +1,71 @@
+// Kitchen realtime socket.
+// The backend pushes { type: 'order.created' | 'order.updated' | 'order.cancelled', orderId, status, at }
+// to every KitchenView of the restaurant. KitchenView treats each message as "refetch now";
+// when the socket is down (or not configured) it falls back to polling.
+
+const KITCHEN_WS_URL = process.env.REACT_APP_KITCHEN_WS_URL || '';
+
+// API Gateway drops WebSockets after 10 minutes idle
+const KEEPALIVE_MS = 5 * 60 * 1000;
+
+/**
+ * Whether realtime push is configured for this build
+ * @returns {boolean}
+ */
+export function isKitchenSocketConfigured() {
+  return !!KITCHEN_WS_URL;
+}
+
+/**
+ * Open the kitchen WebSocket.
+ * Browsers can't set headers on a WebSocket, so the kitchen ID token goes in the query string.
+ *
+ * @param {Object} options
+ * @param {string} options.restaurantId - Restaurant ID
+ * @param {string} options.token - Kitchen ID token
+ * @param {Function} options.onEvent - Called with each parsed order event
+ * @param {Function} [options.onOpen] - Called once the socket is connected
+ * @param {Function} [options.onClose] - Called when the socket closes or fails to connect
+ * @returns {{ close: Function } | null} - null when realtime is not configured
+ */
+export function connectKitchenSocket({ restaurantId, token, onEvent, onOpen, onClose }) {
+  if (!KITCHEN_WS_URL || !token) return null;
+
+  const params = new URLSearchParams({ token });
+  if (restaurantId) params.set('restaurantId', restaurantId);
+
+  let keepaliveTimer = null;
+  let closedByUs = false;
+  const socket = new WebSocket(`${KITCHEN_WS_URL}?${params.toString()}`);
+
+  socket.onopen = () => {
+    keepaliveTimer = setInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ action: 'ping' }));
+      }
+    }, KEEPALIVE_MS);
+    if (onOpen) onOpen();
+  };
+
+  socket.onmessage = (message) => {
+    try {
+      const event = JSON.parse(message.data);
+      if (event?.type) onEvent(event);
+    } catch (e) {
+      console.warn('Ignoring malformed kitchen event:', message.data);
+    }
+  };
+
+  socket.onclose = () => {
+    if (keepaliveTimer) clearInterval(keepaliveTimer);
+    if (!closedByUs && onClose) onClose();
+  };
+
+  return {
+    close: () => {
+      closedByUs = true;
+      if (keepaliveTimer) clearInterval(keepaliveTimer);
+      socket.close();
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// Client copy of backend/lambdas/utils/combo-items.mjs (MenuItems kind "combo").
+// CreateOrder uses it for the combo builder's live price, the Menu tab to validate
+// combos before saving, the kitchen board to list components; the server re-prices.
+
+import { calculatePizzaPriceCents, getRecipePriceCents, hasRecipe, DEFAULT_PIZZA_PRICING } from './pizzaPricing';
+import { getSelectedModifiers, validateSelections, describeSelectedModifiers, slugify } from './modifierGroups';
+
+const MAX_COMPONENTS = 10;
+const MAX_COMPONENT_QUANTITY = 10;
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+/**
+ * Is this menu item a combo?
+ */
+export function isComboMenuItem(item) {
+  return item?.schemaVersion === 2 && item?.kind === 'combo';
+}
+
+/**
+ * The menu item a component points at (components store base item ids)
+ */
+export function findComponentItem(menuItems, baseItemId) {
+  if (!baseItemId) return null;
+  return (menuItems || []).find((it) =>
+    it.baseItemId === baseItemId
+    || it.menuItemId === baseItemId
+    || it.itemId === baseItemId
+    || String(it.itemId || '').endsWith(`#${baseItemId}`)
+  ) || null;
+}
+
+/**
+ * Clean up components from the Menu tab form (same shape the server stores)
+ */
+export function normalizeComboComponents(components) {
+  if (!Array.isArray(components)) return [];
+
+  return components.map((component) => {
+    const type = component?.type === 'pizza' ? 'pizza' : 'item';
+    const label = String(component?.label || '').trim();
+    const normalized = {
+      componentId: String(component?.componentId || slugify(label) || type).trim(),
+      type,
+      label,
+      quantity: Math.max(1, toInt(component?.quantity, 1)),
+    };
+    if (type === 'pizza') {
+      normalized.pizzaItemId = String(component?.pizzaItemId || 'pizza-byo').trim();
+      if (component?.size) normalized.size = String(component.size);
+      normalized.includedToppings = Math.max(0, toInt(component?.includedToppings, 0));
+    } else {
+      normalized.itemId = String(component?.itemId || '').trim();
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate a combo before saving (same rules as the server)
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateComboMenuItem(item) {
+  const errors = [];
+
+  if (!item?.name || typeof item.name !== 'string') {
+    errors.push('name is required and must be a string');
+  }
+  if (!Number.isInteger(item?.bundlePriceCents) || item.bundlePriceCents <= 0) {
+    errors.push('bundlePriceCents must be a positive number of cents');
+  }
+
+  const components = item?.components;
+  if (!Array.isArray(components) || components.length === 0) {
+    errors.push('components array is required and must not be empty');
+    return { valid: false, errors };
+  }
+  if (components.length > MAX_COMPONENTS) {
+    errors.push(`At most ${MAX_COMPONENTS} components per combo`);
+  }
+
+  const ids = new Set();
+  components.forEach((component, index) => {
+    const label = component?.label ? `"${component.label}"` : `#${index + 1}`;
+    if (!component?.label) errors.push(`Component ${label} needs a label`);
+    if (!component?.componentId) {
+      errors.push(`Component ${label} needs an id`);
+    } else if (ids.has(component.componentId)) {
+      errors.push(`Duplicate component id "${component.componentId}"`);
+    } else {
+      ids.add(component.componentId);
+    }
+    if (component?.quantity > MAX_COMPONENT_QUANTITY) {
+      errors.push(`Component ${label}: quantity must be ${MAX_COMPONENT_QUANTITY} or less`);
+    }
+    if (component?.type === 'pizza' && !component.pizzaItemId) {
+      errors.push(`Component ${label} needs a pizza item`);
+    }
+    if (component?.type === 'item' && !component.itemId) {
+      errors.push(`Component ${label} needs a menu item`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * What the deal covers for one pizza: the recipe (or plain base) at its size plus included toppings
+ */
+function coveredPizzaCents(component, pizzaItem, size) {
+  const rules = { ...DEFAULT_PIZZA_PRICING, ...pizzaItem.pricingRules };
+  const baseCents = hasRecipe(pizzaItem)
+    ? getRecipePriceCents(pizzaItem.recipe, size, rules)
+    : (rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799);
+  const toppingCents = rules.toppingPriceCentsBySize?.[size] || rules.toppingPriceCentsBySize?.Medium || 250;
+  return baseCents + toInt(component.includedToppings, 0) * toppingCents;
+}
+
+/**
+ * Size a combo pizza is made in (the deal's size, else the item's first)
+ */
+export function getComponentSize(component, pizzaItem) {
+  return component.size || pizzaItem?.allowedSizes?.[0] || 'Medium';
+}
+
+/**
+ * Live price for the combo builder
+ *
+ * @param {Object} menuItem - The combo
+ * @param {Object} comboSelections - { [componentId]: [choice per unit] }
+ * @param {Array} menuItems - Loaded menu (to resolve components)
+ * @returns {{ok: boolean, errors: Array<string>, unitPriceCents: number, upchargeCents: number}}
+ */
+export function priceComboSelections(menuItem, comboSelections, menuItems) {
+  const errors = [];
+  let upchargeCents = 0;
+
+  for (const component of menuItem?.components || []) {
+    const item = findComponentItem(menuItems, component.type === 'pizza' ? component.pizzaItemId : component.itemId);
+    if (!item || item.available === false) {
+      errors.push(`${item?.name || component.label} is not available right now`);
+      continue;
+    }
+
+    const choices = comboSelections?.[component.componentId] || [];
+    for (let i = 0; i < Math.max(1, toInt(component.quantity, 1)); i++) {
+      const choice = choices[i] || {};
+      if (component.type === 'pizza') {
+        const size = getComponentSize(component, item);
+        const pricing = calculatePizzaPriceCents(
+          { ...choice, size },
+          item.pricingRules,
+          hasRecipe(item) ? item.recipe : null
+        );
+        upchargeCents += Math.max(0, pricing.totalCents - coveredPizzaCents(component, item, size));
+      } else {
+        const selections = choice.modifierSelections || {};
+        errors.push(...validateSelections(item, selections).map((e) => `${component.label}: ${e}`));
+        const deltaCents = getSelectedModifiers(item, selections).reduce((sum, s) => sum + s.priceDeltaCents, 0);
+        upchargeCents += Math.max(0, deltaCents);
+      }
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    unitPriceCents: toInt(menuItem?.bundlePriceCents, 0) + upchargeCents,
+    upchargeCents,
+  };
+}
+
+/**
+ * Ticket lines for a priced combo's components
+ * ["Large 1-Topping Pizza: Large Thin - Pepperoni", "Buffalo Wings - Sauce: BBQ"]
+ */
+export function describeComboComponents(comboComponents) {
+  if (!Array.isArray(comboComponents)) return [];
+
+  return comboComponents.map((c) => {
+    if (c.type === 'pizza' && c.pizzaDetails) {
+      const pd = c.pizzaDetails;
+      const toppings = (pd.wholeToppings || [])
+        .map((t) => (typeof t === 'string' ? t : t?.name))
+        .filter(Boolean)
+        .map((t) => t.replace(/\|/g, ' ').trim());
+      return `${c.label}: ${pd.size} ${pd.crust} - ${toppings.join(', ') || 'Cheese'}`;
+    }
+    const options = describeSelectedModifiers(c.selectedModifiers);
+    return options.length > 0 ? `${c.label} - ${options.join('; ')}` : c.label;
+  });
+}
@@ -0,0 +1,116 @@
+// Offline support for the kitchen tablet.
+// The service worker (public/kitchen-sw.js) keeps the app shell and the last order board
+// available; status changes made while offline are queued here (localStorage, per
+// restaurant) with an idempotency key and replayed in order by KitchenView.
+
+const STORAGE_PREFIX = 'savorSphere.kitchen.pendingChanges';
+
+function getStorageKey(restaurantId) {
+  const id = (restaurantId && String(restaurantId).trim()) || 'default';
+  return `${STORAGE_PREFIX}.${id}`;
+}
+
+/**
+ * Register the kitchen service worker (production builds only; the dev server
+ * reloads assets constantly and a caching worker gets in the way)
+ */
+export function registerKitchenServiceWorker() {
+  if (process.env.NODE_ENV !== 'production') return;
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker
+    .register(`${process.env.PUBLIC_URL || ''}/kitchen-sw.js`)
+    .catch((error) => console.warn('Kitchen service worker registration failed:', error));
+}
+
+/**
+ * A request that never reached the API (no HTTP status), as opposed to one it rejected
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  return !err?.status;
+}
+
+/**
+ * Idempotency key for a queued change
+ * @returns {string}
+ */
+export function newIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Queued status changes, oldest first
+ * @param {string} restaurantId
+ * @returns {Array<{id: string, orderId: string, status: string, acceptedAt?: string, queuedAt: string}>}
+ */
+export function loadPendingChanges(restaurantId) {
+  try {
+    const raw = localStorage.getItem(getStorageKey(restaurantId));
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function savePendingChanges(restaurantId, changes) {
+  try {
+    if (changes.length === 0) {
+      localStorage.removeItem(getStorageKey(restaurantId));
+    } else {
+      localStorage.setItem(getStorageKey(restaurantId), JSON.stringify(changes));
+    }
+  } catch (error) {
+    console.error('Error saving pending kitchen changes:', error);
+  }
+}
+
+/**
+ * Append a change to the queue
+ * @param {string} restaurantId
+ * @param {{id: string, orderId: string, status: string, acceptedAt?: string}} change
+ * @returns {Array} - The queue after appending
+ */
+export function queueStatusChange(restaurantId, change) {
+  const changes = [...loadPendingChanges(restaurantId), { ...change, queuedAt: new Date().toISOString() }];
+  savePendingChanges(restaurantId, changes);
+  return changes;
+}
+
+/**
+ * Drop a change once the API has applied (or definitively refused) it
+ * @param {string} restaurantId
+ * @param {string} changeId
+ * @returns {Array} - The queue after removing
+ */
+export function removePendingChange(restaurantId, changeId) {
+  const changes = loadPendingChanges(restaurantId).filter((c) => c.id !== changeId);
+  savePendingChanges(restaurantId, changes);
+  return changes;
+}
+
+/**
+ * Show queued changes on top of a (possibly cached) order board
+ * @param {Array} orders
+ * @param {Array} changes - Oldest first; later changes to the same order win
+ * @returns {Array}
+ */
+export function applyPendingChanges(orders, changes) {
+  if (!changes.length) return orders;
+  const latest = new Map();
+  changes.forEach((c) => latest.set(c.orderId, c));
+  return orders.map((order) => {
+    const change = latest.get(order.orderId);
+    if (!change) return order;
+    return {
+      ...order,
+      status: change.status,
+      acceptedAt: change.acceptedAt || order.acceptedAt,
+    };
+  });
+}
@@ -0,0 +1,171 @@
+// Client copy of backend/lambdas/utils/modifier-groups.mjs (MenuItems modifierGroups).
+// CreateOrder uses it for the option picker and live price, the Menu tab to validate
+// groups before saving; the server re-validates and prices every order itself.
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+export function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Does this menu item have modifier groups?
+ */
+export function hasModifierGroups(item) {
+  return Array.isArray(item?.modifierGroups) && item.modifierGroups.length > 0;
+}
+
+/**
+ * Effective selection limits (required groups need one pick; max defaults to one per option)
+ * @returns {{min: number, max: number}}
+ */
+export function getSelectionLimits(group) {
+  const optionCount = Array.isArray(group?.options) ? group.options.length : 0;
+  const min = Math.max(group?.required ? 1 : 0, toInt(group?.minSelections, 0));
+  const max = toInt(group?.maxSelections, 0) > 0 ? toInt(group.maxSelections, 0) : optionCount;
+  return { min, max };
+}
+
+/**
+ * "Pick 1", "Pick up to 3", "Pick 1–2", "Optional"
+ */
+export function describeLimits(group) {
+  const { min, max } = getSelectionLimits(group);
+  if (min === 0) return max === 1 ? 'Optional · pick 1' : `Optional · up to ${max}`;
+  if (min === max) return `Required · pick ${min}`;
+  return `Required · pick ${min}–${max}`;
+}
+
+/**
+ * Default picks for a fresh line: { [groupId]: [optionId, ...] }
+ */
+export function defaultSelections(item) {
+  const selections = {};
+  for (const group of item?.modifierGroups || []) {
+    selections[group.groupId] = (group.options || [])
+      .filter((o) => o.isDefault && o.available !== false)
+      .map((o) => o.optionId);
+  }
+  return selections;
+}
+
+/**
+ * Tap an option: single-choice groups swap, multi-choice groups toggle up to max
+ * @returns {Array<string>} - The group's new optionIds
+ */
+export function toggleOption(group, current = [], optionId) {
+  const { max } = getSelectionLimits(group);
+  if (current.includes(optionId)) return current.filter((id) => id !== optionId);
+  if (max === 1) return [optionId];
+  if (current.length >= max) return current;
+  return [...current, optionId];
+}
+
+/**
+ * Resolved picks with names and price deltas (same shape the server stores as selectedModifiers)
+ */
+export function getSelectedModifiers(item, selections = {}) {
+  const selected = [];
+  for (const group of item?.modifierGroups || []) {
+    for (const optionId of selections[group.groupId] || []) {
+      const option = (group.options || []).find((o) => o.optionId === optionId);
+      if (option) {
+        selected.push({
+          groupId: group.groupId,
+          groupName: group.name,
+          optionId: option.optionId,
+          name: option.name,
+          priceDeltaCents: toInt(option.priceDeltaCents, 0),
+        });
+      }
+    }
+  }
+  return selected;
+}
+
+/**
+ * Problems that would make the server reject the line
+ * @returns {Array<string>}
+ */
+export function validateSelections(item, selections = {}) {
+  const errors = [];
+  for (const group of item?.modifierGroups || []) {
+    const picked = selections[group.groupId] || [];
+    const { min, max } = getSelectionLimits(group);
+    if (picked.length < min) {
+      errors.push(`Choose ${min === 1 ? 'a' : `at least ${min}`} ${group.name}`);
+    } else if (picked.length > max) {
+      errors.push(`Choose at most ${max} ${group.name}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Unit price in cents for a v1 item with the given picks (never below zero)
+ */
+export function priceWithModifiersCents(item, selections = {}) {
+  const baseCents = Math.round((Number(item?.price) || 0) * 100);
+  const deltaCents = getSelectedModifiers(item, selections).reduce((sum, s) => sum + s.priceDeltaCents, 0);
+  return Math.max(0, baseCents + deltaCents);
+}
+
+/**
+ * Ticket / cart lines: ["Sauce: Buffalo, BBQ", "Dressing: Ranch"]
+ */
+export function describeSelectedModifiers(selectedModifiers) {
+  if (!Array.isArray(selectedModifiers) || selectedModifiers.length === 0) return [];
+
+  const byGroup = new Map();
+  for (const s of selectedModifiers) {
+    const label = s.groupName || s.groupId || 'Options';
+    byGroup.set(label, [...(byGroup.get(label) || []), s.name]);
+  }
+  return [...byGroup.entries()].map(([label, names]) => `${label}: ${names.join(', ')}`);
+}
+
+/**
+ * Validate groups before saving (same rules as the server)
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateModifierGroups(groups) {
+  const errors = [];
+  const groupIds = new Set();
+
+  (groups || []).forEach((group, index) => {
+    const label = group?.name ? `"${group.name}"` : `#${index + 1}`;
+    const groupId = group?.groupId || slugify(group?.name);
+
+    if (!group?.name) errors.push(`Option group ${label} needs a name`);
+    if (groupId && groupIds.has(groupId)) errors.push(`Duplicate option group ${label}`);
+    groupIds.add(groupId);
+
+    const options = group?.options || [];
+    if (options.length === 0) errors.push(`Option group ${label} needs at least one option`);
+
+    const optionIds = new Set();
+    for (const option of options) {
+      const optionId = option?.optionId || slugify(option?.name);
+      if (!option?.name) {
+        errors.push(`Every option in ${label} needs a name`);
+      } else if (optionIds.has(optionId)) {
+        errors.push(`Duplicate option "${option.name}" in ${label}`);
+      }
+      optionIds.add(optionId);
+    }
+
+    const { min, max } = getSelectionLimits(group);
+    if (min > max) errors.push(`Option group ${label}: min picks (${min}) is more than max (${max})`);
+    if (options.filter((o) => o?.isDefault).length > max) {
+      errors.push(`Option group ${label} has more defaults than it allows`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,243 @@
+// Client copy of backend/lambdas/utils/pizza-pricing.mjs (MenuItems schemaVersion 2).
+// The Menu tab uses it for the live price preview and to validate before saving;
+// the server re-validates and prices every order itself, so keep the two in step.
+
+export const DEFAULT_PIZZA_PRICING = {
+  basePriceCentsBySize: {
+    Personal: 1199,
+    Small: 1499,
+    Medium: 1799,
+    Large: 2099,
+  },
+  toppingPriceCentsBySize: {
+    Personal: 100,
+    Small: 150,
+    Medium: 250,
+    Large: 350,
+  },
+  crustSurchargeCentsByCrust: {
+    Thin: 0,
+    Regular: 0,
+    Double: 200,
+    Stuffed: 200,
+    'Gluten-Free': 0, // GF uses glutenFreeBaseCents instead
+  },
+  glutenFreeBaseCents: 1600,
+  glutenFreeAllowedSizes: ['Small'],
+  halfToppingCountsAsWhole: true,
+  portionMultipliers: {
+    regular: 1,
+    light: 1,
+    extra: 2,
+    no: 0,
+  },
+  extraCheeseCountsAsTopping: true,
+};
+
+export const DEFAULT_ALLOWED_SIZES = ['Personal', 'Small', 'Medium', 'Large'];
+export const DEFAULT_ALLOWED_CRUSTS = ['Thin', 'Regular', 'Double', 'Stuffed', 'Gluten-Free'];
+export const DEFAULT_ALLOWED_TOPPINGS = [
+  'Pepperoni', 'Sausage', 'Italian Sausage', 'Bacon', 'Ham', 'Chicken',
+  'Mushrooms', 'Onions', 'Green Peppers', 'Black Olives', 'Green Olives',
+  'Jalapeños', 'Banana Peppers', 'Tomatoes', 'Spinach', 'Pineapple',
+  'Anchovies', 'Extra Cheese',
+];
+export const DEFAULT_ALLOWED_MODIFIERS = ['well-done', 'light sauce', 'extra sauce', 'no sauce'];
+
+/**
+ * Parse a topping that may carry a portion tag ("Pepperoni|extra")
+ */
+export function parseTopping(toppingInput) {
+  if (toppingInput && typeof toppingInput === 'object') {
+    return {
+      name: String(toppingInput.name || ''),
+      portion: String(toppingInput.portion || 'regular'),
+    };
+  }
+  if (!toppingInput || typeof toppingInput !== 'string') {
+    return { name: String(toppingInput || ''), portion: 'regular' };
+  }
+
+  const parts = toppingInput.split('|');
+  const name = parts[0].trim();
+  let portion = 'regular';
+  for (let i = 1; i < parts.length; i++) {
+    const tag = parts[i].toLowerCase().trim();
+    if (tag === 'extra') portion = 'extra';
+    else if (tag === 'light') portion = 'light';
+    else if (tag === 'no') portion = 'no';
+  }
+  return { name, portion };
+}
+
+function toppingKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Does this pizza item have a specialty recipe?
+ */
+export function hasRecipe(menuItem) {
+  return Array.isArray(menuItem?.recipe?.includedToppings) && menuItem.recipe.includedToppings.length > 0;
+}
+
+/**
+ * Price of a specialty recipe at a size, before crust and changes (cents)
+ */
+export function getRecipePriceCents(recipe, size, pricingRules = DEFAULT_PIZZA_PRICING) {
+  const rules = { ...DEFAULT_PIZZA_PRICING, ...pricingRules };
+  const set = Number(recipe?.priceCentsBySize?.[size]);
+  if (Number.isFinite(set) && set > 0) return Math.round(set);
+
+  const baseCents = rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799;
+  const toppingCents = rules.toppingPriceCentsBySize?.[size] || rules.toppingPriceCentsBySize?.Medium || 250;
+  return baseCents + (recipe?.includedToppings || []).length * toppingCents;
+}
+
+/**
+ * Price a pizza in cents from the item's pricing rules (same math as the server)
+ *
+ * @param {Object} pizzaDetails - { size, crust, wholeToppings, leftHalfToppings, rightHalfToppings, modifiers }
+ * @param {Object} pricingRules - The menu item's pricingRules
+ * @param {Object} [recipe] - Specialty recipe: included toppings are in the price, removing
+ *   one is free and pays for one added topping
+ * @returns {{baseCents: number, crustSurcharge: number, toppingsCents: number, totalCents: number, breakdown: Object}}
+ */
+export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PIZZA_PRICING, recipe = null) {
+  const size = pizzaDetails.size || 'Medium';
+  const crust = pizzaDetails.crust || 'Thin';
+  const rules = { ...DEFAULT_PIZZA_PRICING, ...pricingRules };
+
+  let baseCents = rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799;
+  let crustSurcharge = rules.crustSurchargeCentsByCrust?.[crust] || 0;
+
+  if (crust === 'Gluten-Free') {
+    baseCents = rules.glutenFreeBaseCents || 1600;
+    crustSurcharge = 0;
+  }
+
+  const included = (recipe?.includedToppings || []).map(String).filter(Boolean);
+  const includedKeys = new Set(included.map(toppingKey));
+  if (included.length > 0) {
+    const recipeCents = getRecipePriceCents(recipe, size, rules);
+    const plainBaseCents = rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799;
+    baseCents = crust === 'Gluten-Free' ? baseCents + (recipeCents - plainBaseCents) : recipeCents;
+  }
+
+  const toppingPricePerItem = rules.toppingPriceCentsBySize?.[size] || rules.toppingPriceCentsBySize?.Medium || 250;
+  const portionMultipliers = rules.portionMultipliers || DEFAULT_PIZZA_PRICING.portionMultipliers;
+
+  let toppingsCents = 0;
+  const toppingBreakdown = [];
+  const kept = new Set();
+  const added = [];
+  const addToppings = (list, location) => {
+    for (const t of list || []) {
+      const parsed = parseTopping(t);
+      const key = toppingKey(parsed.name);
+      const multiplier = portionMultipliers[parsed.portion] ?? 1;
+      if (location === 'whole' && includedKeys.has(key) && !kept.has(key)) {
+        if (parsed.portion === 'no') continue;
+        kept.add(key);
+        const cents = Math.round(toppingPricePerItem * Math.max(0, multiplier - 1));
+        toppingsCents += cents;
+        toppingBreakdown.push({ topping: parsed.name, portion: parsed.portion, location, cents, included: true });
+        continue;
+      }
+      const cents = Math.round(toppingPricePerItem * multiplier);
+      toppingsCents += cents;
+      if (cents > 0) added.push(parsed.name);
+      toppingBreakdown.push({ topping: parsed.name, portion: parsed.portion, location, cents });
+    }
+  };
+  addToppings(pizzaDetails.wholeToppings, 'whole');
+  addToppings(pizzaDetails.leftHalfToppings, 'left');
+  addToppings(pizzaDetails.rightHalfToppings, 'right');
+
+  const removed = included.filter((name) => !kept.has(toppingKey(name)));
+  const swapCreditCents = Math.min(Math.min(removed.length, added.length) * toppingPricePerItem, toppingsCents);
+  if (swapCreditCents > 0) {
+    toppingsCents -= swapCreditCents;
+    toppingBreakdown.push({ topping: `Swap for ${removed.slice(0, added.length).join(', ')}`, portion: 'swap', location: 'whole', cents: -swapCreditCents });
+  }
+
+  for (const mod of pizzaDetails.modifiers || []) {
+    const modLower = (typeof mod === 'string' ? mod : '').toLowerCase().trim();
+    if (modLower === 'extra cheese' && rules.extraCheeseCountsAsTopping) {
+      toppingsCents += toppingPricePerItem;
+      toppingBreakdown.push({ topping: 'Extra Cheese', portion: 'modifier', location: 'whole', cents: toppingPricePerItem });
+    }
+  }
+
+  return {
+    baseCents,
+    crustSurcharge,
+    toppingsCents,
+    totalCents: baseCents + crustSurcharge + toppingsCents,
+    breakdown: {
+      size,
+      crust,
+      baseCents,
+      crustSurcharge,
+      toppings: toppingBreakdown,
+      totalToppingsCents: toppingsCents,
+      ...(included.length > 0 ? { recipe: { included, removed, added, swapCreditCents } } : {}),
+    },
+  };
+}
+
+/**
+ * Validate required fields for a v2 pizza menu item (same rules as the server)
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validatePizzaMenuItem(item) {
+  const errors = [];
+
+  if (item.schemaVersion !== 2) {
+    errors.push('schemaVersion must be 2 for pizza items');
+  }
+  if (item.kind !== 'pizza') {
+    errors.push('kind must be "pizza" for pizza items');
+  }
+  if (!item.name || typeof item.name !== 'string') {
+    errors.push('name is required and must be a string');
+  }
+  if (!item.pricingRules || typeof item.pricingRules !== 'object') {
+    errors.push('pricingRules object is required');
+  } else {
+    if (!item.pricingRules.basePriceCentsBySize || typeof item.pricingRules.basePriceCentsBySize !== 'object') {
+      errors.push('pricingRules.basePriceCentsBySize is required');
+    }
+    if (!item.pricingRules.toppingPriceCentsBySize || typeof item.pricingRules.toppingPriceCentsBySize !== 'object') {
+      errors.push('pricingRules.toppingPriceCentsBySize is required');
+    }
+  }
+  if (!item.allowedSizes || !Array.isArray(item.allowedSizes) || item.allowedSizes.length === 0) {
+    errors.push('allowedSizes array is required and must not be empty');
+  }
+  if (!item.allowedCrusts || !Array.isArray(item.allowedCrusts) || item.allowedCrusts.length === 0) {
+    errors.push('allowedCrusts array is required and must not be empty');
+  }
+  if (item.recipe != null) {
+    const included = item.recipe.includedToppings;
+    if (!Array.isArray(included) || included.some((t) => typeof t !== 'string' || !t.trim())) {
+      errors.push('recipe.includedToppings must be an array of topping names');
+    } else if (Array.isArray(item.allowedToppings) && item.allowedToppings.length > 0) {
+      const allowed = new Set(item.allowedToppings.map(toppingKey));
+      const unknown = included.filter((t) => !allowed.has(toppingKey(t)));
+      if (unknown.length > 0) {
+        errors.push(`recipe.includedToppings not in allowedToppings: ${unknown.join(', ')}`);
+      }
+    }
+    for (const [size, cents] of Object.entries(item.recipe.priceCentsBySize || {})) {
+      if (!Number.isInteger(cents) || cents <= 0) {
+        errors.push(`recipe.priceCentsBySize.${size} must be a positive number of cents`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Rebuild DailyReports rows (scheduled, EventBridge - see utils/daily-reports.mjs)
+ *
+ * Default (schedule): every restaurant in RestaurantSettings, today and yesterday
+ * in each restaurant's own timezone. Yesterday is redone so late completions,
+ * cancellations and refunds land in the right day.
+ *
+ * Manual invoke payload for one restaurant / any range:
+ *   { "restaurantId": "rest-001", "from": "2025-01-01", "to": "2025-12-31" }
+ */
+import { DynamoDBClient, ScanCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { rebuildDailyReports, addDays } from "../utils/daily-reports.mjs";
+import { getRestaurantTimezone, getLocalTimeParts } from "../utils/order-policy.mjs";
+
+const ddb = new DynamoDBClient();
+
+const SETTINGS_TABLE = "RestaurantSettings";
+const SETTING_PREFIX = "restaurant-config-";
+
+async function listRestaurants() {
+  const restaurants = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await ddb.send(new ScanCommand({
+      TableName: SETTINGS_TABLE,
+      FilterExpression: "begins_with(settingId, :prefix)",
+      ExpressionAttributeValues: { ":prefix": { S: SETTING_PREFIX } },
+      ProjectionExpression: "settingId, timezone",
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    for (const item of (result.Items || []).map(unmarshall)) {
+      restaurants.push({ restaurantId: item.settingId.slice(SETTING_PREFIX.length), settings: item });
+    }
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return restaurants;
+}
+
+async function getRestaurant(restaurantId) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: SETTINGS_TABLE,
+    Key: { settingId: { S: `${SETTING_PREFIX}${restaurantId}` } },
+    ProjectionExpression: "settingId, timezone",
+  }));
+  return { restaurantId, settings: Item ? unmarshall(Item) : {} };
+}
+
+export const handler = async (event = {}) => {
+  const restaurants = event.restaurantId ? [await getRestaurant(String(event.restaurantId))] : await listRestaurants();
+  const results = [];
+
+  for (const { restaurantId, settings } of restaurants) {
+    const timeZone = getRestaurantTimezone(settings);
+    const today = getLocalTimeParts(new Date(), timeZone).dateKey;
+    const from = event.from || addDays(today, -1);
+    const to = event.to || today;
+
+    try {
+      const rows = await rebuildDailyReports(ddb, { restaurantId, timeZone, from, to });
+      console.log("[Daily Reports] Rebuilt", { restaurantId, from, to, days: rows.length });
+      results.push({ restaurantId, from, to, days: rows.length });
+    } catch (error) {
+      // One bad tenant shouldn't stop the others
+      console.error("[Daily Reports] Rebuild failed", { restaurantId, from, to, error: error.message });
+      results.push({ restaurantId, from, to, error: error.message });
+    }
+  }
+
+  return { rebuilt: results };
+};
@@ -1,7 +1,10 @@
 import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId, injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
+import { injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute } from '../utils/route-auth.mjs';
 import { validatePizzaMenuItem, DEFAULT_PIZZA_PRICING } from '../utils/pizza-pricing.mjs';
+import { normalizeModifierGroups, validateModifierGroups } from '../utils/modifier-groups.mjs';
+import { normalizeComboComponents, validateComboMenuItem } from '../utils/combo-items.mjs';
 
 const ddb = new DynamoDBClient();
 
@@ -33,17 +36,28 @@ export const handler = async (event) => {
   }
 
   try {
+    // MULTI-TENANT: Tenant comes from the owner's token, never from headers or the body
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, headers: corsHeaders, body: JSON.stringify({ error: auth.error }) };
+    }
+    const { restaurantId } = auth;
+
     const body = event?.body ? JSON.parse(event.body) : {};
-    
-    // MULTI-TENANT: Extract restaurantId from event context
-    // Check body first (since frontend sends it there), then event context
-    const restaurantId = body.restaurantId || extractRestaurantId(event);
+    if (body.restaurantId && body.restaurantId !== restaurantId) {
+      return { statusCode: 403, headers: corsHeaders, body: JSON.stringify({ error: `Access denied: token for ${restaurantId} cannot write to ${body.restaurantId}` }) };
+    }
     
     console.log('CreateMenuItem - restaurantId:', restaurantId);
     console.log('CreateMenuItem - body:', JSON.stringify(body, null, 2));
     
     const schemaVersion = body.schemaVersion || 1;
     
+    // Handle schemaVersion 2 combos (bundle price + components)
+    if (schemaVersion === 2 && body.kind === 'combo') {
+      return await handleComboItem(body, restaurantId, corsHeaders);
+    }
+    
     // Handle schemaVersion 2 (pizza items)
     if (schemaVersion === 2) {
       return await handleV2PizzaItem(body, restaurantId, corsHeaders);
@@ -74,6 +88,9 @@ async function handleV1MenuItem(body, restaurantId, corsHeaders) {
     category = 'Uncategorized',
     available = true,
     image = '',
+    isSpecial = false,
+    sortOrder = 100,
+    modifierGroups = [],
   } = body;
 
   const itemId = menuItemId || altItemId;
@@ -86,6 +103,31 @@ async function handleV1MenuItem(body, restaurantId, corsHeaders) {
     };
   }
 
+  if (!Number.isFinite(Number(price)) || Number(price) < 0) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: "price must be a non-negative number" }),
+    };
+  }
+
+  if (!Array.isArray(modifierGroups)) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: "modifierGroups must be an array" }),
+    };
+  }
+  const groups = normalizeModifierGroups(modifierGroups);
+  const groupValidation = validateModifierGroups(groups);
+  if (!groupValidation.valid) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: "Invalid modifier groups", details: groupValidation.errors }),
+    };
+  }
+
   const baseItemId = String(itemId);
   const pkItemId = buildMenuItemPk(restaurantId, baseItemId);
 
@@ -100,6 +142,10 @@ async function handleV1MenuItem(body, restaurantId, corsHeaders) {
     category: String(category),
     available: Boolean(available),
     image: String(image),
+    isSpecial: Boolean(isSpecial), // Offered by the phone agent as a "today's special"
+    sortOrder: Number(sortOrder) || 0,
+    // Sauces, dressings, sizes... (see utils/modifier-groups.mjs)
+    modifierGroups: groups.length > 0 ? groups : undefined,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
@@ -148,6 +194,8 @@ async function handleV2PizzaItem(body, restaurantId, corsHeaders) {
     allowedModifiers = [],
     pricingRules = {},
     constraints = {},
+    recipe,
+    isSpecial = false,
   } = body;
 
   if (!itemId) {
@@ -182,6 +230,7 @@ async function handleV2PizzaItem(body, restaurantId, corsHeaders) {
     category: String(category),
     image: String(image),
     available: Boolean(available),
+    isSpecial: Boolean(isSpecial),
     sortOrder: Number(sortOrder),
     allowedSizes: allowedSizes || [],
     allowedCrusts: allowedCrusts || [],
@@ -189,6 +238,8 @@ async function handleV2PizzaItem(body, restaurantId, corsHeaders) {
     allowedModifiers: allowedModifiers || [],
     pricingRules: mergedPricingRules,
     constraints: constraints || {},
+    // Specialty pizzas: toppings included in the price (see utils/pizza-pricing.mjs)
+    recipe: recipe || undefined,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
@@ -230,3 +281,83 @@ async function handleV2PizzaItem(body, restaurantId, corsHeaders) {
     }),
   };
 }
+
+/**
+ * Handle schemaVersion 2 combos ("2 Large 1-Topping + Wings")
+ */
+async function handleComboItem(body, restaurantId, corsHeaders) {
+  const {
+    itemId,
+    name,
+    description = '',
+    category = 'Combos',
+    image = '',
+    available = true,
+    sortOrder = 50,
+    isSpecial = false,
+    bundlePriceCents,
+    components = [],
+  } = body;
+
+  if (!itemId) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: "itemId is required for v2 items" }),
+    };
+  }
+
+  const baseItemId = String(itemId);
+  const pkItemId = buildMenuItemPk(restaurantId, baseItemId);
+
+  let menuItem = {
+    itemId: pkItemId, // DynamoDB PK (restaurant-prefixed when restaurantId is provided)
+    menuItemId: baseItemId,
+    baseItemId,
+    schemaVersion: 2,
+    kind: 'combo',
+    name: String(name || ''),
+    description: String(description),
+    category: String(category),
+    image: String(image),
+    available: Boolean(available),
+    isSpecial: Boolean(isSpecial),
+    sortOrder: Number(sortOrder) || 0,
+    bundlePriceCents: Math.round(Number(bundlePriceCents)),
+    components: normalizeComboComponents(components),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  const validation = validateComboMenuItem(menuItem);
+  if (!validation.valid) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: "Invalid combo configuration", details: validation.errors }),
+    };
+  }
+
+  // MULTI-TENANT: Always inject restaurantId on write
+  if (restaurantId) {
+    menuItem = injectRestaurantIdForWrite(menuItem, restaurantId);
+  } else {
+    console.warn('CreateMenuItem - WARNING: No restaurantId found! Combo item created without restaurantId.');
+  }
+
+  await ddb.send(
+    new PutItemCommand({
+      TableName: TABLES.MENU_ITEMS,
+      Item: marshall(menuItem, { removeUndefinedValues: true }),
+    })
+  );
+
+  return {
+    statusCode: 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      message: "Combo menu item created successfully",
+      menuItem,
+    }),
+  };
+}
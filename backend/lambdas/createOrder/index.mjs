@@ -1,8 +1,17 @@
-import { DynamoDBClient, PutItemCommand, BatchWriteItemCommand, GetItemCommand, BatchGetItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, PutItemCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
 import { extractRestaurantId, injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
-import { generateOrderId, getNextOrderNumber } from '../utils/order-number.mjs';
-import { isPizzaMenuItem, calculatePizzaPriceCents } from '../utils/pizza-pricing.mjs';
+import { generateOrderId, assignOrderNumber } from '../utils/order-number.mjs';
+import { priceWebCart } from '../utils/cart-pricing.mjs';
+import { getStripe, restaurantTagFor, PAYMENT_SUCCEEDED_STATUSES, PAYMENT_PENDING_STATUSES } from '../utils/stripe-client.mjs';
+import { evaluateOrderAcceptance, parseScheduledFor } from '../utils/order-policy.mjs';
+import { getCapacitySettings, loadOpenOrders, findReadySlot, computeKitchenLoad } from '../utils/kitchen-capacity.mjs';
+import { getBearerToken, verifyCustomerSession } from '../utils/customer-session.mjs';
+import { recordCustomerOrder, normalizeCustomerPhone, getCustomer } from '../utils/customers.mjs';
+import { buildPromotionRedemptionWrites } from '../utils/promotions.mjs';
+import { commitOrderWrites, writeOrderItemBatch } from '../utils/order-transaction.mjs';
+import { buildOrderRedemptionWrites } from '../utils/loyalty.mjs';
+import { publishOrderEvent, ORDER_EVENTS } from '../utils/kitchen-events.mjs';
 
 const ddb = new DynamoDBClient();
 
@@ -11,7 +20,6 @@ const TABLES = {
   ORDER_ITEMS: "OrderItems",
   PAYMENTS: "Payments",
   SETTINGS: "RestaurantSettings",
-  MENU_ITEMS: "MenuItems",
 };
 
 function toNumber(value, fallback = 0) {
@@ -19,79 +27,147 @@ function toNumber(value, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+// Rejection when the Payments row for an intent already exists (claimed by another order)
+const PAYMENT_ALREADY_USED = {
+  statusCode: 409,
+  code: "payment_already_used",
+  reason: "This payment was already used for another order.",
+};
+
 /**
- * Batch fetch menu items by itemId (up to 100 items, batched in groups of 25)
+ * Verify a client-supplied PaymentIntent with Stripe before trusting it.
+ * The amount must match the server-priced total, the intent must have been created
+ * for this restaurant, and it can't already belong to another order. The Payments
+ * row claimed with the order (see PAYMENT_ALREADY_USED) is what makes reuse impossible;
+ * the orderId tag only turns most retries away early.
+ *
+ * @returns {{ ok: boolean, statusCode?: number, code?: string, error?: string, intent?: Object, paid?: boolean }}
  */
-async function batchGetMenuItems(itemIds) {
-  if (!itemIds || itemIds.length === 0) return {};
+async function verifyPaymentIntent(paymentId, { amountCents, restaurantId }) {
+  let intent;
+  try {
+    intent = await getStripe().paymentIntents.retrieve(String(paymentId));
+  } catch (error) {
+    console.error("PaymentIntent lookup failed:", { paymentId, message: error.message });
+    return { ok: false, error: "Payment could not be verified. Please try again." };
+  }
 
-  const uniqueIds = [...new Set(itemIds.map(id => String(id)))];
-  const menuItemsMap = {};
+  if (intent.amount !== amountCents || intent.currency !== "usd") {
+    console.warn("PaymentIntent amount mismatch:", { paymentId, intentAmount: intent.amount, amountCents });
+    return { ok: false, error: "Payment amount does not match the order total. Please refresh and try again." };
+  }
 
-  // BatchGetItem allows max 100 keys per request, but we'll do 25 at a time
-  for (let i = 0; i < uniqueIds.length; i += 25) {
-    const slice = uniqueIds.slice(i, i + 25);
-    const Keys = slice.map(id => ({ itemId: { S: id } }));
+  if (intent.metadata?.restaurantId !== restaurantTagFor(restaurantId)) {
+    console.warn("PaymentIntent restaurant mismatch:", { paymentId, intentRestaurantId: intent.metadata?.restaurantId, restaurantId });
+    return { ok: false, error: "Payment does not belong to this restaurant." };
+  }
 
-    try {
-      const result = await ddb.send(new BatchGetItemCommand({
-        RequestItems: {
-          [TABLES.MENU_ITEMS]: { Keys },
-        },
-      }));
+  if (intent.metadata?.orderId) {
+    return { ok: false, statusCode: 409, code: PAYMENT_ALREADY_USED.code, error: PAYMENT_ALREADY_USED.reason };
+  }
 
-      const items = result.Responses?.[TABLES.MENU_ITEMS] || [];
-      for (const item of items) {
-        const unmarshalled = unmarshall(item);
-        menuItemsMap[unmarshalled.itemId] = unmarshalled;
-      }
-    } catch (error) {
-      console.error("BatchGetMenuItems error for slice:", slice, error);
-    }
+  if (PAYMENT_SUCCEEDED_STATUSES.includes(intent.status)) {
+    return { ok: true, intent, paid: true };
+  }
+  if (PAYMENT_PENDING_STATUSES.includes(intent.status)) {
+    // stripeWebhook flips the order to paid when Stripe confirms
+    return { ok: true, intent, paid: false };
   }
 
-  return menuItemsMap;
+  return { ok: false, error: "Payment has not completed. Please try again." };
 }
 
 /**
- * Calculate price for an order item.
- * - For v2 pizza items: use pizzaDetails + pricingRules
- * - For v1 items: use client-provided price (menu item price as fallback)
+ * Give back the customer's money when an order is turned away after they paid: the
+ * card is confirmed before createOrder runs, so a rejection here (closed since checkout
+ * opened, a deal or points used up by another order, ...) would otherwise keep it.
+ * Only intents for this restaurant that no order has claimed are touched, so another
+ * order's payment is never refunded from here. The Payments row is claimed as
+ * "released" first, which keeps a refunded intent (still "succeeded" in Stripe) from
+ * being submitted again. Failures are logged, not thrown - the customer still gets
+ * the rejection.
+ *
+ * @returns {Promise<boolean>} true when the payment was refunded or cancelled
  */
-function calculateItemPrice(orderItem, menuItem) {
-  const quantity = toNumber(orderItem.quantity, 1);
+async function releaseUnclaimedPayment(paymentId, { restaurantId, code }) {
+  try {
+    const intent = await getStripe().paymentIntents.retrieve(String(paymentId));
+    if (intent.metadata?.orderId || intent.metadata?.restaurantId !== restaurantTagFor(restaurantId)) return false;
 
-  if (menuItem && isPizzaMenuItem(menuItem)) {
-    // V2 Pizza: Calculate server-side from pizzaDetails
-    const pizzaDetails = orderItem.pizzaDetails || {};
-    const pricingResult = calculatePizzaPriceCents(pizzaDetails, menuItem.pricingRules);
-    
-    return {
-      unitPriceCents: pricingResult.totalCents,
-      unitPrice: pricingResult.totalCents / 100,
-      linePrice: (pricingResult.totalCents / 100) * quantity,
-      pricingBreakdown: pricingResult.breakdown,
-      pizzaDetails,
-      isPizza: true,
+    const releasable = PAYMENT_SUCCEEDED_STATUSES.includes(intent.status) || intent.status === "requires_capture";
+    if (!releasable) {
+      if (PAYMENT_PENDING_STATUSES.includes(intent.status)) {
+        console.warn("Rejected order's payment is still processing; not released:", { paymentId: intent.id, code });
+      }
+      return false;
+    }
+
+    let releaseRecord = {
+      paymentId: intent.id,
+      amount: intent.amount / 100,
+      currency: intent.currency,
+      status: "released",
+      releasedReason: code || "order_rejected",
+      provider: "stripe",
+      createdAt: new Date().toISOString(),
     };
+    if (restaurantId) {
+      releaseRecord = injectRestaurantIdForWrite(releaseRecord, restaurantId);
+    }
+    try {
+      await ddb.send(new PutItemCommand({
+        TableName: TABLES.PAYMENTS,
+        Item: marshall(releaseRecord, { removeUndefinedValues: true }),
+        // A release whose refund failed can be tried again; the idempotency key keeps it to one refund
+        ConditionExpression: "attribute_not_exists(paymentId) OR #status = :released",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: { ":released": { S: "released" } },
+      }));
+    } catch (error) {
+      // Claimed by an order
+      if (error.name === "ConditionalCheckFailedException") return false;
+      throw error;
+    }
+
+    if (PAYMENT_SUCCEEDED_STATUSES.includes(intent.status)) {
+      await getStripe().refunds.create(
+        { payment_intent: intent.id, metadata: { reason: code || "order_rejected" } },
+        { idempotencyKey: `order-rejected-${intent.id}` }
+      );
+    } else {
+      await getStripe().paymentIntents.cancel(intent.id);
+    }
+    console.warn("Released payment for rejected order:", { paymentId: intent.id, status: intent.status, code });
+    return true;
+  } catch (error) {
+    console.error("Failed to release payment for rejected order:", { paymentId, code, message: error.message });
+    return false;
   }
+}
 
-  // V1 flat item: trust client price but fallback to menu price
-  const unitPrice = toNumber(orderItem.price, menuItem?.price || 0);
-  return {
-    unitPriceCents: Math.round(unitPrice * 100),
-    unitPrice,
-    linePrice: unitPrice * quantity,
-    pricingBreakdown: null,
-    pizzaDetails: null,
-    isPizza: false,
-  };
+/**
+ * Signed-in customer (session from verifyOTP), if the request carries a valid one for this restaurant.
+ * A bad or expired token doesn't block the order - it just isn't linked to a profile.
+ */
+function getCustomerSession(event, restaurantId) {
+  const token = getBearerToken(event);
+  if (!token) return null;
+  const check = verifyCustomerSession(token);
+  if (!check.ok) {
+    console.warn("Ignoring customer session:", check.reason);
+    return null;
+  }
+  if (restaurantId && check.session.restaurantId !== restaurantId) {
+    console.warn("Ignoring customer session for another restaurant");
+    return null;
+  }
+  return check.session;
 }
 
 export const handler = async (event) => {
   const corsHeaders = {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type, x-restaurant-id",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
     "Access-Control-Allow-Methods": "POST, OPTIONS",
   };
 
@@ -104,22 +180,45 @@ export const handler = async (event) => {
     const body = event?.body ? JSON.parse(event.body) : {};
     
     // MULTI-TENANT: Extract restaurantId from event context
-    const restaurantId = extractRestaurantId(event);
+    let restaurantId = extractRestaurantId(event);
+
+    // Signed-in customers: the order goes on their profile, under their verified phone
+    const customerSession = getCustomerSession(event, restaurantId);
+    if (customerSession && !restaurantId) {
+      restaurantId = customerSession.restaurantId;
+    }
     
     const {
       items = [],
       tip = 0,
       orderType = "pickup",
       name = "",
-      phone = "",
+      phone: bodyPhone = "",
       email = "",
       address = "",
       table = "",
       instructions = "",
       paymentId,
+      scheduledFor = null,
+      promoCode = "",
+      redeemPoints = 0,
     } = body;
+    const phone = customerSession ? customerSession.phone : bodyPhone;
+    // ?mode=quote prices the cart (discounts included) without placing the order
+    const isQuote = event?.queryStringParameters?.mode === "quote";
 
-    // Load settings to compute tax and ETA
+    // Turn the order away. The card may already be charged, so release the payment too.
+    const rejectOrder = async (statusCode, rejection) => {
+      const paymentReleased = Boolean(paymentId) && !isQuote
+        && await releaseUnclaimedPayment(paymentId, { restaurantId, code: rejection.code });
+      return {
+        statusCode,
+        headers: corsHeaders,
+        body: JSON.stringify(paymentReleased ? { ...rejection, paymentReleased } : rejection),
+      };
+    };
+
+    // Load settings to compute tax and ETA, and to check the order acceptance policy
     const settingId = restaurantId 
       ? (restaurantId.startsWith('restaurant-config') ? restaurantId : `restaurant-config-${restaurantId}`)
       : "restaurant-config";
@@ -132,74 +231,182 @@ export const handler = async (event) => {
     );
     const settings = settingsRes.Item ? unmarshall(settingsRes.Item) : {};
     const taxRate = toNumber(settings?.taxRate, 0);
-    const etaMinutes = toNumber(settings?.etaMinutes ?? settings?.defaultEtaMinutes, 30);
-
-    // Batch fetch menu items for all ordered itemIds
-    const itemIds = items.map(it => it.itemId).filter(Boolean);
-    const menuItemsMap = await batchGetMenuItems(itemIds);
-    console.log("MenuItemsMap loaded:", Object.keys(menuItemsMap).length, "items");
-
-    // Process each order item with server-side pricing
-    const processedItems = items.map((orderItem, idx) => {
-      const menuItem = menuItemsMap[String(orderItem.itemId)];
-      const priceCalc = calculateItemPrice(orderItem, menuItem);
-      
+    let etaMinutes = toNumber(settings?.etaMinutes ?? settings?.defaultEtaMinutes, 30);
+
+    // Server-side pricing (same code createPaymentIntent charged with), promotions included
+    const customerPhone = normalizeCustomerPhone(phone);
+    // Per-customer promotion limits count only a verified phone: a typed number proves nothing,
+    // and would let guests dodge a limit or spend someone else's
+    const verifiedPhone = customerSession ? normalizeCustomerPhone(customerSession.phone) : null;
+    // Loyalty points can only be spent by a signed-in (phone verified) customer
+    const loyaltyBalance = customerSession && Number(redeemPoints) > 0
+      ? Number((await getCustomer(ddb, restaurantId, customerSession.phone))?.loyaltyPoints || 0)
+      : null;
+    const { processedItems, invalidItems, subtotal, discount, adjustments, promoRejection, loyaltyRejection, promotions, deliveryFee, tax, tipAmount, total, totalCents } = await priceWebCart({
+      ddb,
+      items,
+      tip,
+      taxRate,
+      restaurantId,
+      settings,
+      orderType,
+      promoCode,
+      phone: verifiedPhone,
+      at: parseScheduledFor(scheduledFor, settings) || new Date(),
+      enforceUsage: !isQuote,
+      redeemPoints,
+      loyaltyBalance,
+    });
+    if (invalidItems.length > 0) {
+      return rejectOrder(400, { error: invalidItems.map((it) => it.error).join(" "), code: "INVALID_MODIFIERS", details: invalidItems });
+    }
+    if (promoRejection || loyaltyRejection) {
+      const rejection = promoRejection || loyaltyRejection;
+      return rejectOrder(400, { error: rejection.reason, code: rejection.code });
+    }
+
+    if (isQuote) {
       return {
-        ...orderItem,
-        itemId: String(orderItem.itemId ?? `item-${idx}`),
-        name: orderItem.name || menuItem?.name || 'Unknown Item',
-        quantity: toNumber(orderItem.quantity, 1),
-        // Server-computed prices
-        price: priceCalc.unitPrice,
-        priceCents: priceCalc.unitPriceCents,
-        linePrice: priceCalc.linePrice,
-        // Pizza-specific
-        isPizza: priceCalc.isPizza,
-        pizzaDetails: priceCalc.pizzaDetails,
-        pricingBreakdown: priceCalc.pricingBreakdown,
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          mode: "quote",
+          subtotal: +subtotal.toFixed(2),
+          discount: +discount.toFixed(2),
+          adjustments,
+          deliveryFee,
+          tax: +tax.toFixed(2),
+          tip: +tipAmount.toFixed(2),
+          total,
+        }),
       };
-    });
+    }
+
+    // Enforce hours, holiday closures, delivery toggle, delivery minimum and scheduling rules.
+    // The minimum is checked against what the food costs after discounts, same as phone orders.
+    const decision = evaluateOrderAcceptance({ settings, orderType, subtotal: subtotal - discount, scheduledFor });
+    if (!decision.accepted) {
+      console.warn("Order rejected by policy:", decision.code);
+      return rejectOrder(400, { error: decision.reason, code: decision.code });
+    }
 
-    // Server-side total calculation
-    const subtotal = processedItems.reduce((sum, it) => sum + it.linePrice, 0);
-    const tax = subtotal * (taxRate / 100);
-    const tipAmount = toNumber(tip, 0);
-    const total = +(subtotal + tax + tipAmount).toFixed(2);
+    // Kitchen capacity: push the ETA to the first slot with room
+    const kitchenLoad = computeKitchenLoad(processedItems);
+    let promisedReadyAt = decision.scheduledFor;
+    if (!decision.scheduledFor && getCapacitySettings(settings)) {
+      const openOrders = await loadOpenOrders(ddb, restaurantId);
+      const slot = findReadySlot({ settings, openOrders, load: kitchenLoad, etaMinutes });
+      promisedReadyAt = slot.readyAt;
+      etaMinutes = slot.etaMinutes;
+      if (slot.throttled) {
+        console.log("ETA pushed by kitchen capacity:", { openOrders: openOrders.length, delayMinutes: slot.delayMinutes, etaMinutes });
+      }
+    }
 
-    // Generate unique orderId and sequential orderNumber
+    // Verify online payments with Stripe - a client-supplied paymentId alone proves nothing
+    let payment = null;
+    if (paymentId) {
+      payment = await verifyPaymentIntent(paymentId, { amountCents: totalCents, restaurantId });
+      if (!payment.ok) {
+        return rejectOrder(payment.statusCode || 402, { error: payment.error, ...(payment.code ? { code: payment.code } : {}) });
+      }
+    }
+
+    // Unique orderId now; the sequential orderNumber once the order is saved (below)
     const orderId = generateOrderId();
-    const orderNumber = await getNextOrderNumber(restaurantId);
     const createdAt = new Date().toISOString();
 
+    // Promotion uses and redeemed points are spent in the same transaction as the order header (below)
+    const loyaltyWrites = buildOrderRedemptionWrites({ restaurantId, phone: customerPhone, orderId, adjustments });
+    const promoRedemption = buildPromotionRedemptionWrites({ restaurantId, phone: verifiedPhone, orderId, adjustments, promotions });
+
+    // Discount adjustments point at cart indexes until now; key them to the stored line items
+    const orderAdjustments = adjustments.map((a) => ({
+      ...a,
+      lineKeys: a.lineKeys.map((key) => `${orderId}-${key}`),
+    }));
+
     // Persist order header
     let orderRecord = {
       orderId,
-      orderNumber,
       createdAt,
-      status: "paid",
+      // Unpaid (pay in store) orders start as "new" like phone orders
+      status: payment ? (payment.paid ? "paid" : "pending_payment") : "new",
+      paymentStatus: payment ? (payment.paid ? "paid" : "pending") : "unpaid",
       orderType,
       subtotal: +subtotal.toFixed(2),
+      // Promotions and loyalty points: total discount plus one adjustment per deal (see utils/promotions.mjs, utils/loyalty.mjs)
+      discount: discount > 0 ? +discount.toFixed(2) : undefined,
+      adjustments: orderAdjustments.length > 0 ? orderAdjustments : undefined,
+      promoCode: promoCode ? String(promoCode).toUpperCase() : undefined,
+      promotionRedemptions: promoRedemption.redemptions.length > 0 ? promoRedemption.redemptions : undefined,
+      // Stored like phone orders' so edits re-price from what the customer was quoted
+      deliveryFee: +deliveryFee.toFixed(2),
       tax: +tax.toFixed(2),
       tip: +tipAmount.toFixed(2),
       total,
       taxRate,
       etaMinutes,
+      // Orders placed for later: KitchenView holds the ticket until kitchenReleaseAt
+      scheduledFor: decision.scheduledFor,
+      kitchenReleaseAt: decision.kitchenReleaseAt,
+      // Kitchen capacity model: what this order counts against its slot, and when it's due
+      kitchenLoad,
+      promisedReadyAt,
       paymentId,
+      customerId: customerSession?.customerId,
       customer: { name, phone, email, address, table, instructions },
       itemCount: processedItems.length,
-      hasPizzaItems: processedItems.some(it => it.isPizza),
+      hasPizzaItems: processedItems.some(it => it.isPizza || it.comboComponents?.some(c => c.type === 'pizza')),
     };
     
     if (restaurantId) {
       orderRecord = injectRestaurantIdForWrite(orderRecord, restaurantId);
     }
 
-    await ddb.send(
-      new PutItemCommand({
-        TableName: TABLES.ORDERS,
-        Item: marshall(orderRecord, { removeUndefinedValues: true }),
-      })
-    );
+    // The Payments row claims the PaymentIntent: attribute_not_exists means two
+    // orders submitted with the same intent can't both be saved
+    const paymentWrites = [];
+    if (payment) {
+      let paymentRecord = {
+        paymentId: payment.intent.id,
+        orderId,
+        amount: payment.intent.amount / 100,
+        currency: payment.intent.currency,
+        status: payment.intent.status,
+        provider: "stripe",
+        createdAt,
+      };
+      if (restaurantId) {
+        paymentRecord = injectRestaurantIdForWrite(paymentRecord, restaurantId);
+      }
+      paymentWrites.push({
+        write: {
+          Put: {
+            TableName: TABLES.PAYMENTS,
+            Item: marshall(paymentRecord, { removeUndefinedValues: true }),
+            ConditionExpression: "attribute_not_exists(paymentId)",
+          },
+        },
+        rejection: PAYMENT_ALREADY_USED,
+      });
+    }
+
+    // Payment claim, order header, promotion uses and points: all or nothing (a payment,
+    // limit or balance used up by a racing order rejects this one, and nothing is spent
+    // without an order)
+    const committed = await commitOrderWrites(ddb, [
+      ...paymentWrites,
+      ...promoRedemption.writes,
+      ...loyaltyWrites,
+      { write: { Put: { TableName: TABLES.ORDERS, Item: marshall(orderRecord, { removeUndefinedValues: true }) } }, rejection: null },
+    ]);
+    if (!committed.ok) {
+      return rejectOrder(committed.rejection.statusCode || 400, { error: committed.rejection.reason, code: committed.rejection.code });
+    }
+
+    // Numbered only once it's saved, so a rejected order doesn't use one up
+    const orderNumber = await assignOrderNumber(orderId, restaurantId);
 
     // Persist order items with pizza details
     if (processedItems.length > 0) {
@@ -211,7 +418,9 @@ export const handler = async (event) => {
               orderId,
               lineItemId: `${orderId}-${i + idx}`, // Unique line item ID
               itemId: it.itemId,
+              menuItemId: it.menuItemId,
               name: it.name,
+              category: it.category,
               price: it.price,
               priceCents: it.priceCents,
               quantity: it.quantity,
@@ -224,6 +433,17 @@ export const handler = async (event) => {
               orderItem.pizzaDetails = it.pizzaDetails;
               orderItem.pricingBreakdown = it.pricingBreakdown;
             }
+
+            // Sauces, dressings, sizes... picked from the item's modifier groups
+            if (it.selectedModifiers?.length) {
+              orderItem.selectedModifiers = it.selectedModifiers;
+            }
+
+            // Combos: every pizza and side in the bundle, for the kitchen ticket
+            if (it.comboComponents?.length) {
+              orderItem.comboComponents = it.comboComponents;
+              orderItem.pricingBreakdown = it.pricingBreakdown;
+            }
             
             if (restaurantId) {
               orderItem = injectRestaurantIdForWrite(orderItem, restaurantId);
@@ -236,34 +456,41 @@ export const handler = async (event) => {
             };
           }),
         };
-        await ddb.send(new BatchWriteItemCommand({ RequestItems }));
+        await writeOrderItemBatch(ddb, RequestItems);
       }
     }
 
-    // Persist payment
-    if (paymentId) {
-      let paymentRecord = {
-        paymentId,
-        orderId,
-        amount: total,
-        currency: "usd",
-        status: "succeeded",
-        createdAt,
-      };
-      
-      if (restaurantId) {
-        paymentRecord = injectRestaurantIdForWrite(paymentRecord, restaurantId);
+    // Tag the PaymentIntent so retries are turned away before pricing (the Payments row
+    // already ties it to this order for stripeWebhook, so a failed tag is only logged)
+    if (payment) {
+      try {
+        await getStripe().paymentIntents.update(payment.intent.id, { metadata: { orderId } });
+      } catch (error) {
+        console.error("Failed to tag PaymentIntent with orderId:", { paymentId: payment.intent.id, orderId, message: error.message });
       }
-      
-      await ddb.send(
-        new PutItemCommand({
-          TableName: TABLES.PAYMENTS,
-          Item: marshall(paymentRecord, { removeUndefinedValues: true }),
-        })
-      );
     }
 
-    console.log("Order created:", { orderId, orderNumber, total, itemCount: processedItems.length });
+    if (customerSession) {
+      try {
+        await recordCustomerOrder(ddb, {
+          restaurantId: customerSession.restaurantId,
+          phone: customerSession.phone,
+          orderId,
+          createdAt,
+          name,
+          email,
+          deliveryAddress: orderType === "delivery" ? address : "",
+        });
+      } catch (error) {
+        // The order stands; it just won't show in the customer's history
+        console.error("Failed to attach order to customer:", { orderId, message: error.message });
+      }
+    }
+
+    // Ring the kitchen tablets now that the items are written (their refetch sees the whole ticket)
+    await publishOrderEvent(ddb, { restaurantId, type: ORDER_EVENTS.CREATED, orderId, status: orderRecord.status });
+
+    console.log("Order created:", { orderId, orderNumber, total, itemCount: processedItems.length, scheduledFor: decision.scheduledFor });
 
     return {
       statusCode: 200,
@@ -272,10 +499,16 @@ export const handler = async (event) => {
         orderId, 
         orderNumber, 
         subtotal: +subtotal.toFixed(2),
+        discount: +discount.toFixed(2),
+        adjustments: orderAdjustments,
+        deliveryFee,
         tax: +tax.toFixed(2),
         tip: +tipAmount.toFixed(2),
         total, 
+        status: orderRecord.status,
+        customerId: customerSession?.customerId || null,
         etaMinutes,
+        scheduledFor: decision.scheduledFor || null,
         items: processedItems.map(it => ({
           itemId: it.itemId,
           name: it.name,
@@ -283,6 +516,8 @@ export const handler = async (event) => {
           price: it.price,
           linePrice: it.linePrice,
           isPizza: it.isPizza,
+          selectedModifiers: it.selectedModifiers,
+          comboComponents: it.comboComponents,
         })),
       }),
     };
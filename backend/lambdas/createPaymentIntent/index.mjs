@@ -1,36 +1,160 @@
-import Stripe from 'stripe';
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { extractRestaurantId } from '../utils/inject-restaurant-id.mjs';
+import { priceWebCart } from '../utils/cart-pricing.mjs';
+import { evaluateOrderAcceptance, parseScheduledFor } from '../utils/order-policy.mjs';
+import { normalizeCustomerPhone, getCustomer } from '../utils/customers.mjs';
+import { getBearerToken, verifyCustomerSession } from '../utils/customer-session.mjs';
+import { getStripe, restaurantTagFor } from '../utils/stripe-client.mjs';
+
+const ddb = new DynamoDBClient();
+
+const TABLES = {
+  SETTINGS: "RestaurantSettings",
+};
+
+/**
+ * Signed-in customer (session from verifyOTP) for this restaurant, or null.
+ * Only needed to spend loyalty points - everything else works without it.
+ */
+function getCustomerSession(event, restaurantId) {
+  const token = getBearerToken(event);
+  if (!token) return null;
+  const check = verifyCustomerSession(token);
+  if (!check.ok || (restaurantId && check.session.restaurantId !== restaurantId)) {
+    return null;
+  }
+  return check.session;
+}
 
 export const handler = async (event) => {
+  const corsHeaders = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*", // Or your specific frontend domain
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+    "Access-Control-Allow-Methods": "POST, OPTIONS"
+  };
+
+  if (event.requestContext?.http?.method === 'OPTIONS' || event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: corsHeaders, body: '{}' };
+  }
+
   try {
-    const { items, total } = JSON.parse(event.body);
+    const body = event?.body ? JSON.parse(event.body) : {};
+    let restaurantId = extractRestaurantId(event);
+    const customerSession = getCustomerSession(event, restaurantId);
+    if (customerSession && !restaurantId) {
+      restaurantId = customerSession.restaurantId;
+    }
+
+    // The client's `total` is ignored - the amount is computed from the cart
+    const { items = [], tip = 0, orderType = "pickup", scheduledFor = null, promoCode = "", redeemPoints = 0 } = body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: "Cart is empty" }),
+      };
+    }
+
+    const settingId = restaurantId
+      ? (restaurantId.startsWith('restaurant-config') ? restaurantId : `restaurant-config-${restaurantId}`)
+      : "restaurant-config";
+    const settingsRes = await ddb.send(
+      new GetItemCommand({
+        TableName: TABLES.SETTINGS,
+        Key: { settingId: { S: settingId } },
+      })
+    );
+    const settings = settingsRes.Item ? unmarshall(settingsRes.Item) : {};
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(total * 100), // Amount in cents
+    // Same balance createOrder will spend the points from
+    const loyaltyBalance = customerSession && Number(redeemPoints) > 0
+      ? Number((await getCustomer(ddb, restaurantId, customerSession.phone))?.loyaltyPoints || 0)
+      : null;
+
+    const pricing = await priceWebCart({
+      ddb,
+      items,
+      tip,
+      taxRate: settings?.taxRate,
+      restaurantId,
+      settings,
+      orderType,
+      promoCode,
+      // Per-customer promotion limits need a verified phone, same as createOrder
+      phone: customerSession ? normalizeCustomerPhone(customerSession.phone) : null,
+      at: parseScheduledFor(scheduledFor, settings) || new Date(),
+      redeemPoints,
+      loyaltyBalance,
+    });
+    if (pricing.invalidItems.length > 0) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: pricing.invalidItems.map((it) => it.error).join(" "), code: "INVALID_MODIFIERS", details: pricing.invalidItems }),
+      };
+    }
+    if (pricing.promoRejection || pricing.loyaltyRejection) {
+      const rejection = pricing.promoRejection || pricing.loyaltyRejection;
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: rejection.reason, code: rejection.code }),
+      };
+    }
+
+    // Don't charge a card for an order createOrder would turn away
+    const decision = evaluateOrderAcceptance({ settings, orderType, subtotal: pricing.subtotal - pricing.discount, scheduledFor });
+    if (!decision.accepted) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: decision.reason, code: decision.code }),
+      };
+    }
+
+    const paymentIntent = await getStripe().paymentIntents.create({
+      amount: pricing.totalCents,
       currency: 'usd',
+      // createOrder adds orderId once the order exists; stripeWebhook uses it to mark the order paid
+      metadata: {
+        restaurantId: restaurantTagFor(restaurantId),
+        orderType,
+        itemCount: String(pricing.processedItems.length),
+        subtotal: pricing.subtotal.toFixed(2),
+        discount: pricing.discount.toFixed(2),
+        promoCode: promoCode ? String(promoCode).toUpperCase() : '',
+        deliveryFee: pricing.deliveryFee.toFixed(2),
+        tax: pricing.tax.toFixed(2),
+        tip: pricing.tipAmount.toFixed(2),
+        source: 'web',
+      },
     });
 
+    console.log("PaymentIntent created:", { paymentIntentId: paymentIntent.id, amount: pricing.totalCents, restaurantId });
+
     return {
       statusCode: 200,
-      headers: {
-        "Access-Control-Allow-Origin": "*", // Or your specific frontend domain
-        "Access-Control-Allow-Headers": "Content-Type",
-        "Access-Control-Allow-Methods": "POST, OPTIONS"
-      },
-      body: JSON.stringify({ clientSecret: paymentIntent.client_secret }),
+      headers: corsHeaders,
+      body: JSON.stringify({
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        subtotal: +pricing.subtotal.toFixed(2),
+        discount: pricing.discount,
+        adjustments: pricing.adjustments,
+        deliveryFee: pricing.deliveryFee,
+        tax: +pricing.tax.toFixed(2),
+        total: pricing.total,
+      }),
     };
   } catch (error) {
     console.error("Error creating payment intent:", error);
     return {
       statusCode: 500,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type",
-        "Access-Control-Allow-Methods": "POST, OPTIONS"
-      },
+      headers: corsHeaders,
       body: JSON.stringify({ error: error.message }),
     };
   }
 };
-
-
@@ -0,0 +1,158 @@
+/**
+ * Customer account (customer app, session token from POST /otp/verify)
+ *
+ * GET   /customer/me     - profile + saved addresses
+ * PATCH /customer/me     - update name, email, saved addresses
+ * GET   /customer/orders - order history, newest first (?limit=, ?cursor=) with line items for reorder
+ * GET   /customer/loyalty - loyalty points balance and recent points activity
+ */
+import { DynamoDBClient, BatchGetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { getCustomer, toCustomerProfile, updateCustomerProfile } from "../utils/customers.mjs";
+import { isActiveLine } from "../utils/order-edit.mjs";
+import { listLoyaltyEntries } from "../utils/loyalty.mjs";
+
+const ddb = new DynamoDBClient();
+
+const TABLES = {
+  ORDERS: "Orders",
+  ORDER_ITEMS: "OrderItems",
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 25;
+const LOYALTY_ACTIVITY_COUNT = 20;
+
+const corsHeaders = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+  "Access-Control-Allow-Methods": "GET, PATCH, OPTIONS",
+};
+
+// History fields - enough to show the order and rebuild the cart, nothing internal
+const HISTORY_ORDER_FIELDS = [
+  "orderId", "orderNumber", "status", "orderType", "createdAt", "scheduledFor",
+  "subtotal", "discount", "adjustments", "deliveryFee", "tax", "tip", "total", "source",
+];
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function pick(record, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (record[field] !== undefined) out[field] = record[field];
+  }
+  return out;
+}
+
+async function loadOrders(orderIds) {
+  if (orderIds.length === 0) return [];
+  const { Responses } = await ddb.send(new BatchGetItemCommand({
+    RequestItems: {
+      [TABLES.ORDERS]: { Keys: orderIds.map((orderId) => ({ orderId: { S: orderId } })) },
+    },
+  }));
+  const byId = new Map((Responses?.[TABLES.ORDERS] || []).map(unmarshall).map((o) => [o.orderId, o]));
+  // BatchGet doesn't keep order
+  return orderIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+async function loadOrderItems(orderId) {
+  const { Items } = await ddb.send(new QueryCommand({
+    TableName: TABLES.ORDER_ITEMS,
+    KeyConditionExpression: "orderId = :oid",
+    ExpressionAttributeValues: { ":oid": { S: orderId } },
+  }));
+  return (Items || []).map(unmarshall).filter(isActiveLine).map((it) => ({
+    // Phone orders key lines by position and keep the menu id separately
+    itemId: it.menuItemId || it.itemId,
+    name: it.name,
+    quantity: it.quantity,
+    price: it.price,
+    notes: it.notes,
+    pizzaDetails: it.pizzaDetails,
+    selectedModifiers: it.selectedModifiers,
+    comboComponents: it.comboComponents,
+  }));
+}
+
+async function getOrderHistory(customer, restaurantId, query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.cursor, 10) || 0, 0);
+  // A retried phone order can append the same id twice
+  const orderIds = [...new Set(Array.isArray(customer?.recentOrderIds) ? customer.recentOrderIds : [])];
+  const pageIds = orderIds.slice(offset, offset + limit);
+
+  const orders = (await loadOrders(pageIds))
+    // recentOrderIds is ours, but don't hand out anything that isn't this customer's
+    .filter((o) => o.restaurantId === restaurantId && (o.customerId === customer.customerId || o.customer?.phone === customer.phone));
+
+  const history = await Promise.all(orders.map(async (order) => ({
+    ...pick(order, HISTORY_ORDER_FIELDS),
+    deliveryAddress: order.orderType === "delivery" ? order.customer?.address || "" : "",
+    items: await loadOrderItems(order.orderId),
+  })));
+
+  return {
+    orders: history,
+    nextCursor: offset + limit < orderIds.length ? String(offset + limit) : null,
+  };
+}
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === "OPTIONS") {
+    return { statusCode: 200, headers: corsHeaders, body: "{}" };
+  }
+
+  try {
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId } = auth;
+    const { phone } = auth.claims;
+
+    if (event.routeKey === "PATCH /customer/me") {
+      const body = event.body ? JSON.parse(event.body) : {};
+      const record = await updateCustomerProfile(ddb, {
+        restaurantId,
+        phone,
+        name: body.name,
+        email: body.email,
+        addresses: body.addresses,
+      });
+      return respond(200, { customer: toCustomerProfile(record) });
+    }
+
+    const customer = await getCustomer(ddb, restaurantId, phone);
+    if (!customer) {
+      return respond(404, { error: "Customer not found" });
+    }
+
+    if (event.routeKey === "GET /customer/orders") {
+      return respond(200, await getOrderHistory(customer, restaurantId, event.queryStringParameters || {}));
+    }
+
+    if (event.routeKey === "GET /customer/loyalty") {
+      const entries = await listLoyaltyEntries(ddb, { restaurantId, phone });
+      return respond(200, {
+        points: Number(customer.loyaltyPoints || 0),
+        lifetimePoints: Number(customer.loyaltyLifetimePoints || 0),
+        activity: entries.slice(0, LOYALTY_ACTIVITY_COUNT).map((e) => pick(e, ["entryId", "type", "points", "orderId", "createdAt"])),
+      });
+    }
+
+    return respond(200, { customer: toCustomerProfile(customer) });
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return respond(404, { error: "Customer not found" });
+    }
+    console.error("CustomerAccount error:", error);
+    return respond(500, { error: error.message });
+  }
+};
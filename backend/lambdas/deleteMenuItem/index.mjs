@@ -1,6 +1,9 @@
+/**
+ * DELETE /admin/menu/{menuItemId} - Delete a menu item (admin JWT).
+ */
 import { DynamoDBClient, GetItemCommand, DeleteItemCommand } from "@aws-sdk/client-dynamodb";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute } from '../utils/route-auth.mjs';
 
 const ddb = new DynamoDBClient();
 
@@ -36,8 +39,12 @@ export const handler = async (event) => {
       };
     }
 
-    // MULTI-TENANT: Extract restaurantId from event context
-    const restaurantId = extractRestaurantId(event);
+    // MULTI-TENANT: Tenant comes from the owner's token, never from headers or the body
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, headers: corsHeaders, body: JSON.stringify({ error: auth.error }) };
+    }
+    const { restaurantId } = auth;
 
     // Resolve which DynamoDB PK to delete:
     // - Prefer restaurant-prefixed PK when restaurantId exists (e.g., demo123#pizza-byo)
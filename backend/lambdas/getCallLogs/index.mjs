@@ -0,0 +1,149 @@
+/**
+ * Call logs for the owner dashboard (admin JWT)
+ *
+ * GET /admin/calls          - calls newest first (?limit=, ?cursor=, ?q= search)
+ * GET /admin/calls/{callId} - one call with transcript, messages and recording
+ *
+ * Search matches the caller's number, summary, ended reason and transcript
+ * (case-insensitive), or an exact order id.
+ */
+import { DynamoDBClient, GetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { CALL_LOGS_TABLE, CALL_LOGS_BY_START_INDEX } from "../utils/call-logs.mjs";
+
+const ddb = new DynamoDBClient();
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// A search can filter out most of each page; stop reading after this many
+const MAX_QUERY_PAGES = 10;
+
+const corsHeaders = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+};
+
+// Table rows - the heavy fields only come with the single-call view
+const LIST_FIELDS = [
+  "callId", "status", "callerPhone", "startedAt", "endedAt", "durationSeconds",
+  "endedReason", "summary", "orderId", "orderNumber", "orderTotal", "cost",
+];
+const DETAIL_FIELDS = [
+  ...LIST_FIELDS, "transcript", "messages", "recordingUrl", "stereoRecordingUrl", "assistantId",
+];
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function pick(record, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (record[field] !== undefined) out[field] = record[field];
+  }
+  return out;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function listCalls(restaurantId, query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const search = String(query.q || "").trim().toLowerCase();
+
+  let startKey;
+  if (query.cursor) {
+    startKey = decodeCursor(query.cursor);
+    // Cursors only ever point into the caller's own partition
+    if (!startKey || startKey.restaurantId !== restaurantId) {
+      return respond(400, { error: "Invalid cursor" });
+    }
+  }
+
+  const values = { ":rid": restaurantId };
+  let filterExpression;
+  if (search) {
+    values[":q"] = search;
+    values[":qraw"] = String(query.q).trim();
+    filterExpression = "contains(searchText, :q) OR orderId = :qraw";
+  }
+
+  const calls = [];
+  let lastEvaluatedKey = startKey ? marshall(startKey) : undefined;
+  let pages = 0;
+
+  do {
+    const result = await ddb.send(new QueryCommand({
+      TableName: CALL_LOGS_TABLE,
+      IndexName: CALL_LOGS_BY_START_INDEX,
+      KeyConditionExpression: "restaurantId = :rid",
+      ...(filterExpression ? { FilterExpression: filterExpression } : {}),
+      ExpressionAttributeValues: marshall(values),
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    calls.push(...(result.Items || []).map(unmarshall));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+    pages++;
+  } while (calls.length < limit && lastEvaluatedKey && pages < MAX_QUERY_PAGES);
+
+  // Over-read: resume right after the last call we return (table + index keys)
+  let nextKey = lastEvaluatedKey ? unmarshall(lastEvaluatedKey) : null;
+  if (calls.length > limit) {
+    const last = calls[limit - 1];
+    nextKey = { restaurantId: last.restaurantId, callId: last.callId, startedAt: last.startedAt };
+  }
+
+  return respond(200, {
+    calls: calls.slice(0, limit).map((c) => pick(c, LIST_FIELDS)),
+    nextCursor: nextKey ? encodeCursor(nextKey) : null,
+  });
+}
+
+async function getCall(restaurantId, callId) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: CALL_LOGS_TABLE,
+    Key: marshall({ restaurantId, callId: String(callId) }),
+  }));
+  if (!Item) {
+    return respond(404, { error: "Call not found" });
+  }
+  return respond(200, { call: pick(unmarshall(Item), DETAIL_FIELDS) });
+}
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === "OPTIONS") {
+    return { statusCode: 200, headers: corsHeaders, body: "{}" };
+  }
+
+  try {
+    // MULTI-TENANT: Tenant comes from the admin token only
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId } = auth;
+
+    if (event.routeKey === "GET /admin/calls/{callId}") {
+      return await getCall(restaurantId, event.pathParameters?.callId);
+    }
+    return await listCalls(restaurantId, event.queryStringParameters || {});
+  } catch (error) {
+    console.error("GetCallLogs error:", error);
+    return respond(500, { error: error.message });
+  }
+};
@@ -1,6 +1,6 @@
-import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
-import { unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId, addRestaurantIdFilter } from "../utils/inject-restaurant-id.mjs";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { extractRestaurantId } from "../utils/inject-restaurant-id.mjs";
+import { loadMenuItems } from "../utils/menu-items.mjs";
 
 const ddbClient = new DynamoDBClient({ region: "us-east-2" });
 
@@ -28,35 +28,10 @@ export const handler = async (event) => {
     const restaurantId = extractRestaurantId(event);
     console.log("restaurantId:", restaurantId);
 
-    let params = {
-      TableName: "MenuItems",
-    };
-
-    // If restaurantId is provided, filter results to that restaurant
-    // Otherwise, return all items (backwards compatibility)
-    if (restaurantId) {
-      addRestaurantIdFilter(params, restaurantId);
-    }
-
-    console.log("Scanning table:", params.TableName, "with params:", JSON.stringify(params));
-
-    const { Items } = await ddbClient.send(new ScanCommand(params));
-    console.log("scan result count:", Items?.length || 0);
-
-    const items = Items ? Items.map(item => unmarshall(item)) : [];
-    console.log("Unmarshalled items count:", items.length);
-
-    // If we have migrated to restaurant-prefixed itemIds (e.g., demo123#pizza-byo),
-    // prefer returning those to avoid duplicates from legacy unprefixed itemIds.
-    let responseItems = items;
-    if (restaurantId) {
-      const prefix = `${restaurantId}#`;
-      const prefixed = items.filter((it) => typeof it?.itemId === "string" && it.itemId.startsWith(prefix));
-      if (prefixed.length > 0) {
-        responseItems = prefixed;
-      }
-      console.log("Menu responseItems count:", responseItems.length, "prefixed:", prefixed.length);
-    }
+    // Tenant filtering (and preference for restaurant-prefixed itemIds) lives in
+    // utils/menu-items.mjs so the Vapi menu tool sees exactly the same menu.
+    const responseItems = await loadMenuItems(ddbClient, restaurantId);
+    console.log("Menu responseItems count:", responseItems.length);
 
     return {
       statusCode: 200,
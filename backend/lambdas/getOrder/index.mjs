@@ -1,6 +1,12 @@
+/**
+ * GET /order/{id}       - Customer confirmation page (public): status, ETA, items and totals only
+ * GET /admin/order/{id} - Full order for the dashboard / kitchen (admin or kitchen JWT)
+ */
 import { DynamoDBClient, GetItemCommand, QueryCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId, injectRestaurantId, injectRestaurantIdBatch, addRestaurantIdFilter } from '../utils/inject-restaurant-id.mjs';
+import { injectRestaurantId, injectRestaurantIdBatch, addRestaurantIdFilter } from '../utils/inject-restaurant-id.mjs';
+import { AUTH, authorizeRoute } from '../utils/route-auth.mjs';
+import { isActiveLine } from '../utils/order-edit.mjs';
 
 const ddb = new DynamoDBClient();
 
@@ -9,6 +15,22 @@ const TABLES = {
   ORDER_ITEMS: "OrderItems",
 };
 
+// What an unauthenticated customer gets back - no contact details, payment ids or history
+const PUBLIC_ORDER_FIELDS = [
+  "orderId", "orderNumber", "restaurantId", "status", "orderType", "createdAt",
+  "etaMinutes", "promisedReadyAt", "scheduledFor",
+  "subtotal", "discount", "adjustments", "deliveryFee", "tax", "tip", "total",
+];
+const PUBLIC_ITEM_FIELDS = ["name", "quantity", "price", "linePrice", "notes", "pizzaDetails"];
+
+function pick(record, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (record[field] !== undefined) out[field] = record[field];
+  }
+  return out;
+}
+
 export const handler = async (event) => {
   try {
     const orderId = event?.pathParameters?.id || event?.queryStringParameters?.id;
@@ -16,8 +38,12 @@ export const handler = async (event) => {
       return { statusCode: 400, body: JSON.stringify({ error: "Missing order id" }) };
     }
 
-    // MULTI-TENANT: Extract restaurantId from event context
-    const restaurantId = extractRestaurantId(event);
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, body: JSON.stringify({ error: auth.error }) };
+    }
+    const isPublic = auth.policy === AUTH.PUBLIC;
+    const { restaurantId } = auth;
 
     const orderRes = await ddb.send(
       new GetItemCommand({ TableName: TABLES.ORDERS, Key: { orderId: { S: orderId } } })
@@ -26,6 +52,11 @@ export const handler = async (event) => {
       return { statusCode: 404, body: JSON.stringify({ error: "Order not found" }) };
     }
     let order = unmarshall(orderRes.Item);
+
+    // MULTI-TENANT: Another restaurant's order looks the same as a missing one
+    if (restaurantId && order.restaurantId && order.restaurantId !== restaurantId) {
+      return { statusCode: 404, body: JSON.stringify({ error: "Order not found" }) };
+    }
     
     // MULTI-TENANT: Lazy inject restaurantId if missing (for backward compatibility)
     if (restaurantId) {
@@ -47,7 +78,7 @@ export const handler = async (event) => {
       }
       
       const q = await ddb.send(new QueryCommand(queryParams));
-      items = (q.Items || []).map(unmarshall);
+      items = (q.Items || []).map(unmarshall).filter(isActiveLine);
     } catch (e) {
       const scanParams = {
         TableName: TABLES.ORDER_ITEMS,
@@ -61,7 +92,7 @@ export const handler = async (event) => {
       }
       
       const s = await ddb.send(new ScanCommand(scanParams));
-      items = (s.Items || []).map(unmarshall);
+      items = (s.Items || []).map(unmarshall).filter(isActiveLine);
     }
     
     // MULTI-TENANT: Lazy inject restaurantId into order items if missing
@@ -76,7 +107,9 @@ export const handler = async (event) => {
         "Access-Control-Allow-Headers": "Content-Type",
         "Access-Control-Allow-Methods": "GET, OPTIONS",
       },
-      body: JSON.stringify({ ...order, items }),
+      body: JSON.stringify(isPublic
+        ? { ...pick(order, PUBLIC_ORDER_FIELDS), items: items.map((it) => pick(it, PUBLIC_ITEM_FIELDS)) }
+        : { ...order, items }),
     };
   } catch (error) {
     console.error("GetOrder error:", error);
@@ -1,15 +1,37 @@
 /**
- * GET /orders - List orders with flexible date filtering
- * Supports: days (default 30), from/to date range, all=true, pagination via cursor
+ * GET /admin/orders - List orders with flexible date filtering (admin or kitchen JWT)
+ * Supports: days (default 30), from/to date range, all=true, status, orderType,
+ * limit + cursor pagination (newest first)
+ *
+ * Reads the Orders GSIs in utils/order-index.mjs instead of scanning the table:
+ * - status=open: unfinished orders from restaurantId-status-index, one status after
+ *   another (new first), with nextCursor; the kitchen follows it to load the whole board
+ * - anything else: one page of restaurantId-createdAt-index, with nextCursor
+ * Either way a request reads at most MAX_QUERY_PAGES index pages.
+ *
+ * totalRevenue/count cover the whole range and come with the first page only. For the
+ * history view that costs a second Query over the range, capped at MAX_SUMMARY_PAGES
+ * (1 MB each); past the cap the totals are partial and summaryTruncated is true.
+ * The open view only sends totals when it fits in one page.
  */
-import { DynamoDBClient, ScanCommand, QueryCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
-import { unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractAndValidateRestaurantId, injectRestaurantIdBatch, addRestaurantIdFilter } from '../utils/inject-restaurant-id.mjs';
+import { DynamoDBClient, ScanCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { injectRestaurantIdBatch, addRestaurantIdFilter } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute } from '../utils/route-auth.mjs';
+import { isActiveLine } from '../utils/order-edit.mjs';
+import { describeSelectedModifiers } from '../utils/modifier-groups.mjs';
+import { describeComboComponents } from '../utils/combo-items.mjs';
+import {
+  ORDERS_TABLE,
+  ORDERS_BY_CREATED_INDEX,
+  OPEN_ORDER_STATUSES,
+  buildStatusQuery,
+} from '../utils/order-index.mjs';
 
 const ddb = new DynamoDBClient();
 
 const TABLES = {
-  ORDERS: "Orders",
+  ORDERS: ORDERS_TABLE,
   ORDER_ITEMS: "OrderItems",
   SETTINGS: "RestaurantSettings",
 };
@@ -17,6 +39,18 @@ const TABLES = {
 // Default to last 30 days
 const DEFAULT_DAYS = 30;
 
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Filters can drop most of each page; stop reading after this many
+const MAX_QUERY_PAGES = 10;
+const MAX_SUMMARY_PAGES = 10;
+
+// ?status=open - the kitchen's working set
+const OPEN_STATUS_FILTER = 'open';
+
+// Excluded from totalRevenue (partial refunds are netted out instead)
+const NON_REVENUE_STATUSES = new Set(['cancelled', 'refunded', 'failed']);
+
 /**
  * Safely parse a date string or timestamp.
  * Returns null if the date is invalid.
@@ -77,64 +111,175 @@ function sanitizeCreatedAt(order) {
   };
 }
 
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function orderTotalOf(order) {
+  return typeof order.total === 'number'
+    ? order.total
+    : (parseFloat(order.total) || parseFloat(order.cost) || 0);
+}
+
 /**
- * Get JWT claims from API Gateway (HTTP API JWT authorizer).
+ * Revenue (net of partial refunds) and count over a set of orders
  */
-function getJwtClaims(event) {
-  return event?.requestContext?.authorizer?.jwt?.claims || null;
+function summarizeOrders(orders) {
+  const totalRevenue = orders.reduce(
+    (sum, order) => sum + (NON_REVENUE_STATUSES.has(order.status) ? 0 : orderTotalOf(order) - (Number(order.refundedAmount) || 0)),
+    0
+  );
+  return { totalRevenue, count: orders.length };
 }
 
 /**
- * Is this request authenticated as a kitchen device user?
- * Kitchen users are created as username: kitchen-{restaurantId}
+ * Key condition + filter for the createdAt index, shared by the page and summary queries
  */
-function isKitchenClaims(claims) {
-  if (!claims) return false;
-  const username = claims['cognito:username'] || claims.username || '';
-  return typeof username === 'string' && username.startsWith('kitchen-');
-}
+function buildCreatedAtQuery(restaurantId, range, { statusFilter, orderTypeFilter }) {
+  const values = { ':rid': restaurantId };
+  const names = {};
+  let keyCondition = 'restaurantId = :rid';
+  if (range.from && range.to) {
+    keyCondition += ' AND createdAt BETWEEN :from AND :to';
+    values[':from'] = range.from;
+    values[':to'] = range.to;
+  } else if (range.from) {
+    keyCondition += ' AND createdAt >= :from';
+    values[':from'] = range.from;
+  } else if (range.to) {
+    keyCondition += ' AND createdAt <= :to';
+    values[':to'] = range.to;
+  }
+
+  const filters = [];
+  if (statusFilter) {
+    filters.push('#status = :status');
+    names['#status'] = 'status';
+    values[':status'] = statusFilter;
+  }
+  if (orderTypeFilter) {
+    // Legacy orders stored the type as "type"
+    filters.push('(orderType = :orderType OR #type = :orderType)');
+    names['#type'] = 'type';
+    values[':orderType'] = orderTypeFilter;
+  }
 
-function parseClaimInt(claims, key) {
-  if (!claims || claims[key] == null) return null;
-  const n = parseInt(String(claims[key]), 10);
-  return Number.isFinite(n) ? n : null;
+  return {
+    TableName: TABLES.ORDERS,
+    IndexName: ORDERS_BY_CREATED_INDEX,
+    KeyConditionExpression: keyCondition,
+    ...(filters.length ? { FilterExpression: filters.join(' AND ') } : {}),
+    ...(Object.keys(names).length ? { ExpressionAttributeNames: names } : {}),
+    ExpressionAttributeValues: marshall(values),
+  };
 }
 
 /**
- * Enforce that kitchen tokens are only valid if issued AFTER the current PIN was set.
- * This makes PIN regeneration immediately invalidate all existing paired devices.
+ * One page of orders, newest first. The summary (whole range) is only
+ * computed for the first page.
  */
-async function assertKitchenSessionValid(restaurantId, claims) {
-  // Prefer auth_time, fall back to iat (both are seconds since epoch)
-  const authTimeSec = parseClaimInt(claims, 'auth_time') || parseClaimInt(claims, 'iat');
-  if (!authTimeSec) {
-    return { ok: false, reason: 'Missing auth_time' };
+async function listOrdersPage(restaurantId, range, { statusFilter, orderTypeFilter, limit, startKey }) {
+  const baseQuery = buildCreatedAtQuery(restaurantId, range, { statusFilter, orderTypeFilter });
+
+  const orders = [];
+  let lastEvaluatedKey = startKey ? marshall(startKey) : undefined;
+  let pages = 0;
+  do {
+    const result = await ddb.send(new QueryCommand({
+      ...baseQuery,
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    orders.push(...(result.Items || []).map(unmarshall));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+    pages++;
+  } while (orders.length < limit && lastEvaluatedKey && pages < MAX_QUERY_PAGES);
+
+  // Over-read: resume right after the last order we return (table + index keys)
+  let nextKey = lastEvaluatedKey ? unmarshall(lastEvaluatedKey) : null;
+  if (orders.length > limit) {
+    const last = orders[limit - 1];
+    nextKey = { orderId: last.orderId, restaurantId: last.restaurantId, createdAt: last.createdAt };
   }
 
-  const tokenAuthMs = authTimeSec * 1000;
-  const settingId = `restaurant-config-${restaurantId}`;
+  return {
+    orders: orders.slice(0, limit),
+    nextKey,
+    summary: startKey ? null : await summarizeRange(baseQuery),
+  };
+}
 
-  const { Item } = await ddb.send(new GetItemCommand({
-    TableName: TABLES.SETTINGS,
-    Key: { settingId: { S: settingId } },
-  }));
+/**
+ * Revenue and count over every order the page query matches (projected read, up to MAX_SUMMARY_PAGES)
+ */
+async function summarizeRange(baseQuery) {
+  const orders = [];
+  let lastEvaluatedKey;
+  let pages = 0;
+  do {
+    const result = await ddb.send(new QueryCommand({
+      ...baseQuery,
+      ProjectionExpression: '#status, #total, cost, refundedAmount',
+      ExpressionAttributeNames: { ...(baseQuery.ExpressionAttributeNames || {}), '#status': 'status', '#total': 'total' },
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    orders.push(...(result.Items || []).map(unmarshall));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+    pages++;
+  } while (lastEvaluatedKey && pages < MAX_SUMMARY_PAGES);
+  return { ...summarizeOrders(orders), truncated: !!lastEvaluatedKey };
+}
 
-  const settings = Item ? unmarshall(Item) : {};
-  const pinSetAt = settings.kitchenPinSetAt;
-  if (!pinSetAt) {
-    return { ok: true };
-  }
+/**
+ * One page of unfinished orders, walking OPEN_ORDER_STATUSES in order.
+ * The cursor is { restaurantId, status, key? }: the status to carry on with and,
+ * part way through it, the index key to resume after.
+ */
+async function listOpenOrdersPage(restaurantId, range, { orderTypeFilter, limit, startKey }) {
+  const firstStatus = startKey ? OPEN_ORDER_STATUSES.indexOf(startKey.status) : 0;
+  const orders = [];
+  let lastEvaluatedKey = startKey?.key ? marshall(startKey.key) : undefined;
+  let pages = 0;
 
-  const pinSetMs = new Date(pinSetAt).getTime();
-  if (!Number.isFinite(pinSetMs)) {
-    return { ok: true };
+  for (const status of OPEN_ORDER_STATUSES.slice(firstStatus)) {
+    const query = buildStatusQuery({ restaurantId, status, since: range.from || undefined, until: range.to || undefined });
+    do {
+      if (orders.length >= limit || pages >= MAX_QUERY_PAGES) {
+        const nextKey = { restaurantId, status, ...(lastEvaluatedKey ? { key: unmarshall(lastEvaluatedKey) } : {}) };
+        return { orders, nextKey, summary: null };
+      }
+      // Never read past the page, so the cursor is always the index's own LastEvaluatedKey
+      const result = await ddb.send(new QueryCommand({
+        ...query,
+        Limit: limit - orders.length,
+        ExclusiveStartKey: lastEvaluatedKey,
+      }));
+      const found = (result.Items || []).map(unmarshall);
+      orders.push(...(orderTypeFilter ? found.filter(order => (order.orderType || order.type) === orderTypeFilter) : found));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey);
   }
 
-  if (tokenAuthMs < pinSetMs) {
-    return { ok: false, reason: 'PIN rotated' };
-  }
+  return { orders, nextKey: null, summary: startKey ? null : { ...summarizeOrders(orders), truncated: false } };
+}
 
-  return { ok: true };
+/**
+ * Is a decoded cursor one this view handed out, for the caller's own restaurant?
+ */
+function isValidCursor(startKey, restaurantId, openView) {
+  if (!startKey || startKey.restaurantId !== restaurantId) return false;
+  if (!openView) return typeof startKey.orderId === 'string' && typeof startKey.createdAt === 'string';
+  return OPEN_ORDER_STATUSES.includes(startKey.status) && (!startKey.key || (startKey.key.restaurantId === restaurantId && startKey.key.status === startKey.status));
 }
 
 export const handler = async (event) => {
@@ -157,29 +302,17 @@ export const handler = async (event) => {
   }
 
   try {
-    // MULTI-TENANT: Extract restaurantId (JWT claims take precedence and must match header/path if both exist)
-    const { restaurantId, error: tenantError } = extractAndValidateRestaurantId(event, { requireJwt: false, validateMatch: true });
-    if (tenantError) {
+    // MULTI-TENANT: Tenant comes from the admin/kitchen token only (kitchen tokens are checked against PIN rotation)
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
       return {
-        statusCode: 403,
+        statusCode: auth.statusCode,
         headers: corsHeaders,
-        body: JSON.stringify({ error: tenantError }),
+        body: JSON.stringify({ error: auth.error }),
       };
     }
+    const { restaurantId } = auth;
 
-    // If this is a kitchen JWT request, enforce PIN rotation invalidation
-    const claims = getJwtClaims(event);
-    if (restaurantId && isKitchenClaims(claims)) {
-      const session = await assertKitchenSessionValid(restaurantId, claims);
-      if (!session.ok) {
-        return {
-          statusCode: 401,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: "Kitchen session invalidated. Please re-pair with the new PIN." }),
-        };
-      }
-    }
-    
     // Get query parameters
     const queryParams = event?.queryStringParameters || {};
     const daysParam = queryParams.days; // Number of days to look back (default: 30)
@@ -243,46 +376,33 @@ export const handler = async (event) => {
       startDate.setHours(0, 0, 0, 0);
     }
 
-    // Paginate through all results using LastEvaluatedKey
-    let allOrders = [];
-    let lastEvaluatedKey = cursorParam 
-      ? JSON.parse(Buffer.from(cursorParam, 'base64').toString('utf8')) 
-      : undefined;
-    
-    // Limit iterations to prevent infinite loops (safety)
-    const MAX_ITERATIONS = 100;
-    let iterations = 0;
-    
-    do {
-      const scanParams = {
-        TableName: TABLES.ORDERS,
-      };
-      
-      // Add pagination cursor
-      if (lastEvaluatedKey) {
-        scanParams.ExclusiveStartKey = lastEvaluatedKey;
-      }
-      
-      // MULTI-TENANT: Add restaurantId filter if available
-      if (restaurantId) {
-        addRestaurantIdFilter(scanParams, restaurantId);
-      }
+    const limit = Math.min(Math.max(parseInt(queryParams.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const range = {
+      from: startDate ? startDate.toISOString() : null,
+      to: endDate ? endDate.toISOString() : null,
+    };
 
-      const scanResult = await ddb.send(new ScanCommand(scanParams));
-      const batchOrders = (scanResult.Items || []).map(unmarshall);
-      allOrders = allOrders.concat(batchOrders);
-      
-      lastEvaluatedKey = scanResult.LastEvaluatedKey;
-      iterations++;
-    } while (lastEvaluatedKey && iterations < MAX_ITERATIONS);
-
-    // MULTI-TENANT: Lazy inject restaurantId if missing (for backward compatibility)
-    if (restaurantId) {
-      allOrders = injectRestaurantIdBatch(allOrders, restaurantId);
+    const openView = statusFilter === OPEN_STATUS_FILTER;
+    let startKey;
+    if (cursorParam) {
+      startKey = decodeCursor(cursorParam);
+      // Cursors only ever point into the caller's own partition
+      if (!isValidCursor(startKey, restaurantId, openView)) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: "Invalid cursor" }),
+        };
+      }
     }
-    
+
+    const page = openView
+      // Kitchen view: unfinished orders in the range, status by status
+      ? await listOpenOrdersPage(restaurantId, range, { orderTypeFilter, limit, startKey })
+      : await listOrdersPage(restaurantId, range, { statusFilter, orderTypeFilter, limit, startKey });
+
     // Sanitize timestamps for all orders
-    allOrders = allOrders.map(order => {
+    const allOrders = page.orders.map(order => {
       const { createdAt, createdAtMs } = sanitizeCreatedAt(order);
       return {
         ...order,
@@ -290,29 +410,6 @@ export const handler = async (event) => {
         createdAtMs,
       };
     });
-    
-    // Apply date filter in JavaScript (more flexible than DynamoDB FilterExpression)
-    if (startDate || endDate) {
-      allOrders = allOrders.filter(order => {
-        const orderDate = new Date(order.createdAt);
-        if (startDate && orderDate < startDate) return false;
-        if (endDate && orderDate > endDate) return false;
-        return true;
-      });
-    }
-    
-    // Apply status filter
-    if (statusFilter) {
-      allOrders = allOrders.filter(order => order.status === statusFilter);
-    }
-    
-    // Apply orderType filter
-    if (orderTypeFilter) {
-      allOrders = allOrders.filter(order => {
-        const type = order.orderType || order.type;
-        return type === orderTypeFilter;
-      });
-    }
 
     // Fetch order items for each order
     const ordersWithItems = await Promise.all(
@@ -333,7 +430,7 @@ export const handler = async (event) => {
             }
             
             const queryResult = await ddb.send(new QueryCommand(queryParams));
-            items = (queryResult.Items || []).map(unmarshall);
+            items = (queryResult.Items || []).map(unmarshall).filter(isActiveLine);
           } catch (e) {
             // Fall back to Scan with filter
             const scanParams = {
@@ -348,7 +445,7 @@ export const handler = async (event) => {
             }
             
             const scanItemsResult = await ddb.send(new ScanCommand(scanParams));
-            items = (scanItemsResult.Items || []).map(unmarshall);
+            items = (scanItemsResult.Items || []).map(unmarshall).filter(isActiveLine);
           }
           
           // MULTI-TENANT: Lazy inject restaurantId into order items if missing
@@ -356,9 +453,13 @@ export const handler = async (event) => {
             items = injectRestaurantIdBatch(items, restaurantId);
           }
 
-          // Format items summary (modifiers are already included in item.name from vapiOrderWebhook)
+          // Format items summary (pizza modifiers are already included in item.name from vapiOrderWebhook;
+          // picked sauces/dressings/sizes and combo components are appended here)
           const itemsSummary = items
-            .map((item) => `${item.quantity || 1}x ${item.name}`)
+            .map((item) => {
+              const options = [...describeSelectedModifiers(item.selectedModifiers), ...describeComboComponents(item.comboComponents)];
+              return `${item.quantity || 1}x ${item.name}${options.length ? ` (${options.join("; ")})` : ""}`;
+            })
             .join(", ");
 
           // Handle different field name variations with safe defaults
@@ -396,6 +497,11 @@ export const handler = async (event) => {
             addressStatus: order.addressStatus || "",
             callbackPhone: order.callbackPhone || "",
             subtotal: order.subtotal || 0,
+            // Promotions and loyalty points applied (see utils/promotions.mjs, utils/loyalty.mjs)
+            discount: order.discount || 0,
+            adjustments: order.adjustments || [],
+            promoCode: order.promoCode || null,
+            loyaltyPointsEarned: order.loyaltyPointsEarned || 0,
             tax: order.tax || 0,
             tip: order.tip || 0,
             createdAt: order.createdAt,
@@ -403,6 +509,24 @@ export const handler = async (event) => {
             etaMinMinutes: etaMinMinutes,
             etaMaxMinutes: etaMaxMinutes,
             etaText: etaText,
+            scheduledFor: order.scheduledFor || null,
+            kitchenReleaseAt: order.kitchenReleaseAt || null,
+            paymentId: order.paymentId || null,
+            paymentStatus: order.paymentStatus || null,
+            refundedAmount: order.refundedAmount || 0,
+            refundStatus: order.refundStatus || null,
+            refunds: order.refunds || [],
+            editedAt: order.editedAt || null,
+            editCount: order.editCount || 0,
+            lastEditSummary: order.lastEditSummary || null,
+            balanceDue: order.balanceDue ?? null,
+            // Status transition timestamps (Reports: accept -> ready, ready -> pickup)
+            acceptedAt: order.acceptedAt || null,
+            preparingAt: order.preparingAt || null,
+            readyAt: order.readyAt || null,
+            outForDeliveryAt: order.outForDeliveryAt || null,
+            completedAt: order.completedAt || null,
+            cancelledAt: order.cancelledAt || null,
             orderItems: items,
           };
         } catch (error) {
@@ -440,6 +564,24 @@ export const handler = async (event) => {
             etaMinMinutes: etaMinMinutes,
             etaMaxMinutes: etaMaxMinutes,
             etaText: etaText,
+            scheduledFor: order.scheduledFor || null,
+            kitchenReleaseAt: order.kitchenReleaseAt || null,
+            paymentId: order.paymentId || null,
+            paymentStatus: order.paymentStatus || null,
+            refundedAmount: order.refundedAmount || 0,
+            refundStatus: order.refundStatus || null,
+            refunds: order.refunds || [],
+            editedAt: order.editedAt || null,
+            editCount: order.editCount || 0,
+            lastEditSummary: order.lastEditSummary || null,
+            balanceDue: order.balanceDue ?? null,
+            // Status transition timestamps (Reports: accept -> ready, ready -> pickup)
+            acceptedAt: order.acceptedAt || null,
+            preparingAt: order.preparingAt || null,
+            readyAt: order.readyAt || null,
+            outForDeliveryAt: order.outForDeliveryAt || null,
+            completedAt: order.completedAt || null,
+            cancelledAt: order.cancelledAt || null,
             addressStatus: order.addressStatus || "",
             callbackPhone: order.callbackPhone || "",
             orderItems: [],
@@ -451,21 +593,19 @@ export const handler = async (event) => {
     // Sort by creation time (newest first)
     ordersWithItems.sort((a, b) => b.createdAtMs - a.createdAtMs);
 
-    // Calculate total revenue for the period (exclude cancelled/refunded orders)
-    const NON_REVENUE_STATUSES = new Set(['cancelled', 'refunded', 'failed']);
-    const totalRevenue = ordersWithItems.reduce(
-      (sum, order) => sum + (NON_REVENUE_STATUSES.has(order.status) ? 0 : (order.total || 0)),
-      0
-    );
+    // Totals cover the whole range, not just this page (first page only; later pages send null)
+    const { summary } = page;
 
     // Build response
     const response = {
       orders: ordersWithItems,
-      totalRevenue,
-      count: ordersWithItems.length,
+      totalRevenue: summary ? summary.totalRevenue : null,
+      count: summary ? summary.count : null,
+      summaryTruncated: summary ? summary.truncated : null,
+      nextCursor: page.nextKey ? encodeCursor(page.nextKey) : null,
       dateRange: {
-        from: startDate ? startDate.toISOString() : null,
-        to: endDate ? endDate.toISOString() : null,
+        from: range.from,
+        to: range.to,
         days: startDate && endDate 
           ? Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24))
           : null,
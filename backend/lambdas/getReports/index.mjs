@@ -0,0 +1,102 @@
+/**
+ * GET /admin/reports - Reports tab analytics for a date range (admin JWT)
+ *
+ * ?days=N (default 30, ending today) or ?from=YYYY-MM-DD&to=YYYY-MM-DD, in the
+ * restaurant's timezone. Reads the precomputed DailyReports rows
+ * (utils/daily-reports.mjs) - never Orders - so a year loads as fast as a week.
+ */
+import { DynamoDBClient, GetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { DAILY_REPORTS_TABLE, mergeDailyReports, addDays } from "../utils/daily-reports.mjs";
+import { getRestaurantTimezone, getLocalTimeParts } from "../utils/order-policy.mjs";
+
+const ddb = new DynamoDBClient();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const corsHeaders = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+};
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+async function loadTimezone(restaurantId) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: "RestaurantSettings",
+    Key: { settingId: { S: `restaurant-config-${restaurantId}` } },
+    ProjectionExpression: "timezone",
+  }));
+  return getRestaurantTimezone(Item ? unmarshall(Item) : {});
+}
+
+async function loadRows(restaurantId, from, to) {
+  const rows = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await ddb.send(new QueryCommand({
+      TableName: DAILY_REPORTS_TABLE,
+      KeyConditionExpression: "restaurantId = :rid AND #date BETWEEN :from AND :to",
+      ExpressionAttributeNames: { "#date": "date" },
+      ExpressionAttributeValues: marshall({ ":rid": restaurantId, ":from": from, ":to": to }),
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    rows.push(...(result.Items || []).map(unmarshall));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return rows;
+}
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === "OPTIONS") {
+    return { statusCode: 200, headers: corsHeaders, body: "{}" };
+  }
+
+  try {
+    // MULTI-TENANT: Tenant comes from the admin token only
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId } = auth;
+
+    const query = event.queryStringParameters || {};
+    const timeZone = await loadTimezone(restaurantId);
+    const today = getLocalTimeParts(new Date(), timeZone).dateKey;
+
+    let from;
+    let to;
+    if (query.from || query.to) {
+      to = query.to || today;
+      from = query.from || addDays(to, -(DEFAULT_DAYS - 1));
+      if (!DATE_KEY.test(from) || !DATE_KEY.test(to) || from > to) {
+        return respond(400, { error: "from/to must be YYYY-MM-DD with from <= to" });
+      }
+    } else {
+      const days = Math.min(Math.max(parseInt(query.days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+      to = today;
+      from = addDays(today, -(days - 1));
+    }
+    if (daysBetween(from, to) > MAX_DAYS) {
+      return respond(400, { error: `Reports cover at most ${MAX_DAYS} days` });
+    }
+
+    const rows = await loadRows(restaurantId, from, to);
+    return respond(200, { ...mergeDailyReports(rows, from, to), timeZone });
+  } catch (error) {
+    console.error("GetReports error:", error);
+    return respond(500, { error: error.message });
+  }
+};
@@ -1,6 +1,9 @@
 import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute, AUTH } from '../utils/route-auth.mjs';
+import { DEFAULT_SCHEDULE_SETTINGS, listScheduleSlots } from '../utils/order-policy.mjs';
+import { DEFAULT_CAPACITY_SETTINGS } from '../utils/kitchen-capacity.mjs';
+import { DEFAULT_LOYALTY_SETTINGS } from '../utils/loyalty.mjs';
 
 const ddbClient = new DynamoDBClient();
 
@@ -31,6 +34,33 @@ const DEFAULT_ETA_SETTINGS = {
   },
 };
 
+// GET /settings is public (customer app, checkout): only what a customer needs to see.
+// Everything else - capacity tuning, Vapi signature enforcement, kitchen PIN metadata -
+// is for the owner, who reads it from GET /admin/settings.
+const PUBLIC_SETTINGS_FIELDS = [
+  "timezone",
+  "hours",
+  "holidayClosures",
+  "acceptDelivery",
+  "deliveryEnabled",
+  "pickupEnabled",
+  "dineInEnabled",
+  "minDeliveryOrder",
+  "deliveryFee",
+  "taxRate",
+  "autoCreditCardFee",
+  ...Object.keys(DEFAULT_ETA_SETTINGS),
+  ...Object.keys(DEFAULT_SCHEDULE_SETTINGS),
+  ...Object.keys(DEFAULT_LOYALTY_SETTINGS),
+];
+
+// Never returned, not even to the owner
+const SECRET_SETTINGS_FIELDS = ["vapiSecret"];
+
+function pickFields(record, fields) {
+  return Object.fromEntries(fields.filter((key) => record[key] !== undefined).map((key) => [key, record[key]]));
+}
+
 export const handler = async (event) => {
   const corsHeaders = {
     "Content-Type": "application/json",
@@ -50,8 +80,14 @@ export const handler = async (event) => {
   }
 
   try {
-    // MULTI-TENANT: Extract restaurantId from event context
-    const restaurantId = extractRestaurantId(event);
+    // MULTI-TENANT: public reads name the restaurant (?restaurantId= / x-restaurant-id);
+    // the owner's read takes it from the token
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, headers: corsHeaders, body: JSON.stringify({ error: auth.error }) };
+    }
+    const { restaurantId } = auth;
+    const isOwner = auth.policy === AUTH.ADMIN;
     
     // Determine settingId (multi-tenant aware)
     const settingId = restaurantId 
@@ -64,11 +100,15 @@ export const handler = async (event) => {
     };
 
     const { Item } = await ddbClient.send(new GetItemCommand(params));
-    const rawSettings = Item ? unmarshall(Item) : {};
+    const stored = Item ? unmarshall(Item) : {};
+    const rawSettings = Object.fromEntries(Object.entries(stored).filter(([key]) => !SECRET_SETTINGS_FIELDS.includes(key)));
 
-    // Merge with defaults to ensure all ETA fields exist
-    const settings = {
+    // Merge with defaults to ensure all ETA, scheduling, capacity and loyalty fields exist
+    const merged = {
       ...DEFAULT_ETA_SETTINGS,
+      ...DEFAULT_SCHEDULE_SETTINGS,
+      ...DEFAULT_CAPACITY_SETTINGS,
+      ...DEFAULT_LOYALTY_SETTINGS,
       ...rawSettings,
       // Ensure nested etaSizeAddMinutes is properly merged
       etaSizeAddMinutes: {
@@ -76,6 +116,17 @@ export const handler = async (event) => {
         ...(rawSettings.etaSizeAddMinutes || {}),
       },
     };
+    const settings = isOwner ? merged : pickFields(merged, PUBLIC_SETTINGS_FIELDS);
+
+    // Checkout time-slot picker: ?include=scheduleSlots (kept out of the default
+    // response so the dashboard doesn't save computed slots back into settings)
+    if (event.queryStringParameters?.include === 'scheduleSlots') {
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ ...settings, scheduleSlots: listScheduleSlots(rawSettings) }),
+        headers: corsHeaders,
+      };
+    }
 
     return {
       statusCode: 200,
@@ -1,11 +1,13 @@
 /**
  * GET /kitchen/pin - Check if a kitchen PIN is set for this restaurant
  * Protected by JWT authorizer - requires admin login
- * Returns { hasPin, lastUpdatedAt } (never returns the actual PIN)
+ * Returns { hasPin, lastUpdatedAt, alert } (never returns the actual PIN)
+ * alert is set when someone has been guessing the PIN (see kitchenPin/session.mjs)
  */
 import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId } from "../utils/inject-restaurant-id.mjs";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { getKitchenPinAlert } from "../utils/rate-limit.mjs";
 
 const ddb = new DynamoDBClient();
 
@@ -23,23 +25,26 @@ export const handler = async (event) => {
   }
 
   try {
-    // Extract restaurantId from JWT claims or headers
-    const restaurantId = extractRestaurantIdFromJwt(event) || extractRestaurantId(event);
-    
-    if (!restaurantId) {
+    // Owner only: a kitchen tablet must not be able to read or rotate its own PIN
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
       return {
-        statusCode: 400,
+        statusCode: auth.statusCode,
         headers: corsHeaders,
-        body: JSON.stringify({ error: "Missing restaurantId" }),
+        body: JSON.stringify({ error: auth.error }),
       };
     }
+    const { restaurantId } = auth;
 
     // Look up kitchen PIN metadata in RestaurantSettings
     const settingId = `restaurant-config-${restaurantId}`;
-    const { Item } = await ddb.send(new GetItemCommand({
-      TableName: "RestaurantSettings",
-      Key: { settingId: { S: settingId } },
-    }));
+    const [{ Item }, alert] = await Promise.all([
+      ddb.send(new GetItemCommand({
+        TableName: "RestaurantSettings",
+        Key: { settingId: { S: settingId } },
+      })),
+      getKitchenPinAlert(ddb, restaurantId),
+    ]);
 
     const settings = Item ? unmarshall(Item) : {};
     const hasPin = !!settings.kitchenPinSetAt;
@@ -51,6 +56,7 @@ export const handler = async (event) => {
         hasPin,
         lastUpdatedAt: settings.kitchenPinSetAt || null,
         kitchenUser: settings.kitchenPinUser || null,
+        alert,
       }),
     };
   } catch (error) {
@@ -62,41 +68,3 @@ export const handler = async (event) => {
     };
   }
 };
-
-/**
- * Extract restaurantId from JWT claims
- * Kitchen users have username format: kitchen-{restaurantId}
- * Admin users may have restaurantId in custom claims or groups
- */
-function extractRestaurantIdFromJwt(event) {
-  const claims = event.requestContext?.authorizer?.jwt?.claims;
-  if (!claims) return null;
-
-  // Check for custom claim
-  if (claims['custom:restaurantId']) {
-    return claims['custom:restaurantId'];
-  }
-
-  // Check cognito:groups for restaurant-{id} pattern
-  const groups = claims['cognito:groups'];
-  if (groups) {
-    const groupList = Array.isArray(groups) ? groups : [groups];
-    for (const g of groupList) {
-      if (g.startsWith('restaurant-')) {
-        return g.replace('restaurant-', '');
-      }
-    }
-  }
-
-  // Check username for kitchen-{restaurantId} pattern
-  const username = claims['cognito:username'] || claims.username || claims.sub;
-  if (username && username.startsWith('kitchen-')) {
-    return username.replace('kitchen-', '');
-  }
-
-  return null;
-}
-
-
-
-
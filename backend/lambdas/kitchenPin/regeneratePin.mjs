@@ -8,7 +8,8 @@
  * 3. Set password to the PIN (permanent)
  * 4. Global sign-out to invalidate existing sessions
  * 5. Store metadata (non-secret) in RestaurantSettings
- * 6. Return PIN formatted as XXX-XXX (shown only once)
+ * 6. Lift PIN lockouts and dismiss the "PIN under attack" alert - the old PIN is useless now
+ * 7. Return PIN formatted as XXX-XXX (shown only once)
  */
 import { DynamoDBClient, PutItemCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
@@ -19,7 +20,14 @@ import {
   AdminUserGlobalSignOutCommand,
   AdminGetUserCommand,
 } from "@aws-sdk/client-cognito-identity-provider";
-import { extractRestaurantId } from "../utils/inject-restaurant-id.mjs";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import {
+  clearFailures,
+  clearLockout,
+  clearKitchenPinAlert,
+  kitchenPinLockKeys,
+  getSourceIp,
+} from "../utils/rate-limit.mjs";
 
 const ddb = new DynamoDBClient();
 const cognito = new CognitoIdentityProviderClient();
@@ -40,16 +48,16 @@ export const handler = async (event) => {
   }
 
   try {
-    // Extract restaurantId from JWT claims or headers
-    const restaurantId = extractRestaurantIdFromJwt(event) || extractRestaurantId(event);
-    
-    if (!restaurantId) {
+    // Owner only: a kitchen tablet must not be able to read or rotate its own PIN
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
       return {
-        statusCode: 400,
+        statusCode: auth.statusCode,
         headers: corsHeaders,
-        body: JSON.stringify({ error: "Missing restaurantId" }),
+        body: JSON.stringify({ error: auth.error }),
       };
     }
+    const { restaurantId } = auth;
 
     // 1. Generate random 6-digit PIN
     const pin = generatePin();
@@ -116,7 +124,18 @@ export const handler = async (event) => {
       Item: marshall(updatedSettings, { removeUndefinedValues: true }),
     }));
 
-    // 6. Return PIN (shown only this once!)
+    // 6. Lift lockouts. Per-IP locks for other addresses expire on their own;
+    // the owner's network (usually the tablet's too) and the restaurant-wide lock are cleared here.
+    const lockKeys = kitchenPinLockKeys(restaurantId, getSourceIp(event));
+    await Promise.all([
+      clearLockout(ddb, lockKeys.ip),
+      clearFailures(ddb, lockKeys.ip),
+      clearLockout(ddb, lockKeys.restaurant),
+      clearFailures(ddb, lockKeys.restaurant),
+      clearKitchenPinAlert(ddb, restaurantId),
+    ]);
+
+    // 7. Return PIN (shown only this once!)
     return {
       statusCode: 200,
       headers: corsHeaders,
@@ -165,38 +184,6 @@ async function checkUserExists(username) {
   }
 }
 
-/**
- * Extract restaurantId from JWT claims
- */
-function extractRestaurantIdFromJwt(event) {
-  const claims = event.requestContext?.authorizer?.jwt?.claims;
-  if (!claims) return null;
-
-  // Check for custom claim
-  if (claims['custom:restaurantId']) {
-    return claims['custom:restaurantId'];
-  }
-
-  // Check cognito:groups for restaurant-{id} pattern
-  const groups = claims['cognito:groups'];
-  if (groups) {
-    const groupList = Array.isArray(groups) ? groups : [groups];
-    for (const g of groupList) {
-      if (g.startsWith('restaurant-')) {
-        return g.replace('restaurant-', '');
-      }
-    }
-  }
-
-  // Check username for kitchen-{restaurantId} pattern
-  const username = claims['cognito:username'] || claims.username || claims.sub;
-  if (username && username.startsWith('kitchen-')) {
-    return username.replace('kitchen-', '');
-  }
-
-  return null;
-}
-
 
 
 
@@ -4,13 +4,32 @@
  * 
  * Request: { restaurantId, pin }
  * Response: { idToken, accessToken, expiresIn, restaurantId }
+ *
+ * Brute-force protection (RateLimits table):
+ * - attempts are capped per IP, then per restaurant across all IPs
+ * - 5 wrong PINs from one IP lock that IP out of the restaurant for 15 minutes
+ * - 25 wrong PINs from any mix of IPs lock the restaurant's kitchen logins for
+ *   15 minutes, so a guess spread over many addresses is slowed too
+ * - the owner can lift both early by regenerating the PIN
+ * - failures from every IP feed the owner's dashboard alert (GET /kitchen/pin)
  */
 import {
   CognitoIdentityProviderClient,
   AdminInitiateAuthCommand,
 } from "@aws-sdk/client-cognito-identity-provider";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  checkRateLimits,
+  getLockout,
+  recordFailure,
+  clearFailures,
+  recordKitchenPinFailure,
+  kitchenPinLockKeys,
+  getSourceIp,
+} from "../utils/rate-limit.mjs";
 
 const cognito = new CognitoIdentityProviderClient();
+const ddb = new DynamoDBClient();
 
 const USER_POOL_ID = process.env.USER_POOL_ID;
 const KITCHEN_CLIENT_ID = process.env.KITCHEN_CLIENT_ID;
@@ -22,6 +41,24 @@ const corsHeaders = {
   "Access-Control-Allow-Methods": "POST, OPTIONS",
 };
 
+const ATTEMPT_LIMIT = { limit: 20, windowSeconds: 15 * 60 };
+const RESTAURANT_ATTEMPT_LIMIT = { limit: 100, windowSeconds: 15 * 60 };
+
+const LOCKOUT_POLICY = { maxFailures: 5, windowSeconds: 15 * 60, lockoutSeconds: 15 * 60 };
+const RESTAURANT_LOCKOUT_POLICY = { maxFailures: 25, windowSeconds: 15 * 60, lockoutSeconds: 15 * 60 };
+
+function tooManyAttempts(retryAfterSeconds) {
+  const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+  return {
+    statusCode: 429,
+    headers: { ...corsHeaders, "Retry-After": String(retryAfterSeconds) },
+    body: JSON.stringify({
+      error: `Too many PIN attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+      retryAfterSeconds,
+    }),
+  };
+}
+
 export const handler = async (event) => {
   const method = event.requestContext?.http?.method || event.httpMethod;
   if (method === "OPTIONS") {
@@ -52,17 +89,43 @@ export const handler = async (event) => {
     }
 
     const kitchenUsername = `kitchen-${restaurantId}`;
+    const sourceIp = getSourceIp(event);
+    const lockKeys = kitchenPinLockKeys(restaurantId, sourceIp);
+
+    // Locked out? Don't even ask Cognito
+    for (const key of [lockKeys.ip, lockKeys.restaurant]) {
+      const lock = await getLockout(ddb, key);
+      if (lock.locked) {
+        return tooManyAttempts(lock.retryAfterSeconds);
+      }
+    }
+
+    const quota = await checkRateLimits(ddb, [
+      { key: `pin:ip:${sourceIp}`, ...ATTEMPT_LIMIT },
+      { key: `pin:restaurant:${restaurantId}`, ...RESTAURANT_ATTEMPT_LIMIT },
+    ]);
+    if (!quota.allowed) {
+      return tooManyAttempts(quota.retryAfterSeconds);
+    }
 
     // Attempt Cognito authentication
-    const authResult = await cognito.send(new AdminInitiateAuthCommand({
-      UserPoolId: USER_POOL_ID,
-      ClientId: KITCHEN_CLIENT_ID,
-      AuthFlow: "ADMIN_USER_PASSWORD_AUTH",
-      AuthParameters: {
-        USERNAME: kitchenUsername,
-        PASSWORD: normalizedPin,
-      },
-    }));
+    let authResult;
+    try {
+      authResult = await cognito.send(new AdminInitiateAuthCommand({
+        UserPoolId: USER_POOL_ID,
+        ClientId: KITCHEN_CLIENT_ID,
+        AuthFlow: "ADMIN_USER_PASSWORD_AUTH",
+        AuthParameters: {
+          USERNAME: kitchenUsername,
+          PASSWORD: normalizedPin,
+        },
+      }));
+    } catch (authError) {
+      if (authError.name === "NotAuthorizedException" || authError.name === "UserNotFoundException") {
+        await recordPinFailure(restaurantId, sourceIp, lockKeys);
+      }
+      throw authError;
+    }
 
     if (!authResult.AuthenticationResult) {
       // Shouldn't happen for successful auth, but handle edge cases
@@ -75,6 +138,9 @@ export const handler = async (event) => {
 
     const { IdToken, AccessToken, ExpiresIn, RefreshToken } = authResult.AuthenticationResult;
 
+    // Good PIN from this IP - forget its earlier typos
+    await clearFailures(ddb, lockKeys.ip);
+
     return {
       statusCode: 200,
       headers: corsHeaders,
@@ -107,6 +173,21 @@ export const handler = async (event) => {
   }
 };
 
+/**
+ * Count a wrong PIN against the IP and the restaurant, and tell the owner.
+ */
+async function recordPinFailure(restaurantId, sourceIp, lockKeys) {
+  const ipResult = await recordFailure(ddb, lockKeys.ip, LOCKOUT_POLICY);
+  const restaurantResult = await recordFailure(ddb, lockKeys.restaurant, RESTAURANT_LOCKOUT_POLICY);
+  const lockedUntil = restaurantResult.lockedUntil || ipResult.lockedUntil;
+  if (lockedUntil) {
+    console.warn("KitchenSession lockout:", {
+      restaurantId,
+      sourceIp,
+      scope: restaurantResult.lockedUntil ? "restaurant" : "ip",
+      lockedUntil: new Date(lockedUntil * 1000).toISOString(),
+    });
+  }
 
-
-
+  await recordKitchenPinFailure(ddb, restaurantId, { sourceIp, lockedUntil });
+}
@@ -0,0 +1,78 @@
+/**
+ * Kitchen WebSocket Lambda (API Gateway WebSocket API)
+ *
+ * KitchenView opens wss://.../{stage}?token=<kitchen ID token>&restaurantId=<id>
+ * and gets order events pushed by utils/kitchen-events.mjs instead of polling.
+ *
+ * - $connect:    verify the kitchen JWT (signature, audience, PIN rotation via
+ *                authorizeRoute) and record the connection under its restaurant
+ * - $disconnect: forget the connection
+ * - $default:    keepalive pings from the tablet ({"action":"ping"}); no reply
+ *
+ * A non-2xx from $connect makes API Gateway refuse the handshake; the tablet
+ * then keeps polling, which surfaces the 401 and sends it back to the PIN screen.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { verifyCognitoIdToken } from "../utils/cognito-jwt.mjs";
+import { saveKitchenConnection, removeKitchenConnection } from "../utils/kitchen-events.mjs";
+
+const ddb = new DynamoDBClient();
+
+function respond(statusCode, body) {
+  return { statusCode, body: JSON.stringify(body) };
+}
+
+async function handleConnect(event) {
+  const { connectionId } = event.requestContext;
+  const token = event.queryStringParameters?.token;
+
+  const verified = await verifyCognitoIdToken(token, {
+    userPoolId: process.env.USER_POOL_ID,
+    clientIds: [process.env.KITCHEN_CLIENT_ID].filter(Boolean),
+  });
+  if (!verified.ok) {
+    console.warn("[Kitchen Socket] Rejected token", { connectionId, reason: verified.reason });
+    return respond(401, { error: "Authentication required" });
+  }
+
+  // Same checks as the HTTP kitchen routes, with the claims API Gateway would have passed
+  const auth = await authorizeRoute({
+    ...event,
+    requestContext: { ...event.requestContext, authorizer: { jwt: { claims: verified.claims } } },
+  }, { ddb });
+  if (!auth.ok) {
+    console.warn("[Kitchen Socket] Rejected connection", { connectionId, error: auth.error });
+    return respond(auth.statusCode, { error: auth.error });
+  }
+
+  await saveKitchenConnection(ddb, {
+    restaurantId: auth.restaurantId,
+    connectionId,
+    username: verified.claims["cognito:username"],
+  });
+  console.log("[Kitchen Socket] Connected", { connectionId, restaurantId: auth.restaurantId });
+  return respond(200, { connected: true });
+}
+
+export const handler = async (event) => {
+  const routeKey = event.requestContext?.routeKey;
+  const connectionId = event.requestContext?.connectionId;
+
+  try {
+    if (routeKey === "$connect") {
+      return await handleConnect({ ...event, routeKey });
+    }
+    if (routeKey === "$disconnect") {
+      await removeKitchenConnection(ddb, connectionId);
+      console.log("[Kitchen Socket] Disconnected", { connectionId });
+      return respond(200, { disconnected: true });
+    }
+    // $default: keepalive
+    return respond(200, { ok: true });
+  } catch (error) {
+    console.error("[Kitchen Socket] Error:", { routeKey, connectionId, error });
+    return respond(500, { error: error.message });
+  }
+};
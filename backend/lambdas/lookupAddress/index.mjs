@@ -2,7 +2,7 @@
  * Address Lookup Lambda for Vapi Voice Orders
  * 
  * Handles phonetic/fuzzy matching of street names to reduce misheard addresses.
- * Zero external dependencies - Double Metaphone implemented inline for cost efficiency.
+ * Zero external dependencies - Double Metaphone lives in utils/phonetic-match.mjs.
  * 
  * VAPI INTEGRATION:
  * - Always returns HTTP 200 (Vapi ignores any other status code)
@@ -12,6 +12,8 @@
 
 import { DynamoDBClient, QueryCommand } from "@aws-sdk/client-dynamodb";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { doubleMetaphone, levenshtein } from "../utils/phonetic-match.mjs";
+import { authorizeRoute } from "../utils/route-auth.mjs";
 
 const ddb = new DynamoDBClient({ region: "us-east-2" });
 const STREETS_TABLE = process.env.STREETS_TABLE || "StreetsByZip";
@@ -188,323 +190,6 @@ function setCachedStreets(restaurantId, zipCode, streets) {
   console.log(`[Address Lookup] Cache SET for ${key} (${streets.length} streets)`);
 }
 
-// ============================================================================
-// DOUBLE METAPHONE IMPLEMENTATION (inline to avoid npm dependency)
-// Converts words to phonetic codes - "Golf" and "Gulf" both → "KLF"
-// ============================================================================
-
-const VOWELS = new Set(['A', 'E', 'I', 'O', 'U']);
-
-function isVowel(char) {
-  return VOWELS.has(char);
-}
-
-function stringAt(str, start, length, list) {
-  if (start < 0 || start >= str.length) return false;
-  const substr = str.substring(start, start + length);
-  return list.includes(substr);
-}
-
-function doubleMetaphone(word) {
-  if (!word || typeof word !== 'string') return ['', ''];
-  
-  // Normalize: uppercase, remove non-alpha
-  let str = word.toUpperCase().replace(/[^A-Z]/g, '');
-  if (!str) return ['', ''];
-  
-  let primary = '';
-  let secondary = '';
-  let current = 0;
-  const length = str.length;
-  const last = length - 1;
-  
-  // Pad for easier boundary checks
-  str = '  ' + str + '     ';
-  current += 2;
-  const original = str;
-  
-  // Skip initial silent letters
-  if (stringAt(original, current, 2, ['GN', 'KN', 'PN', 'WR', 'PS'])) {
-    current++;
-  }
-  
-  // Initial X → S
-  if (original[current] === 'X') {
-    primary += 'S';
-    secondary += 'S';
-    current++;
-  }
-  
-  while (primary.length < 4 || secondary.length < 4) {
-    if (current >= length + 2) break;
-    
-    const char = original[current];
-    
-    switch (char) {
-      case 'A':
-      case 'E':
-      case 'I':
-      case 'O':
-      case 'U':
-      case 'Y':
-        if (current === 2) {
-          primary += 'A';
-          secondary += 'A';
-        }
-        current++;
-        break;
-        
-      case 'B':
-        primary += 'P';
-        secondary += 'P';
-        current += (original[current + 1] === 'B') ? 2 : 1;
-        break;
-        
-      case 'C':
-        // Various C rules
-        if (stringAt(original, current, 2, ['CH'])) {
-          primary += 'X';
-          secondary += 'X';
-          current += 2;
-        } else if (stringAt(original, current, 2, ['CI', 'CE', 'CY'])) {
-          primary += 'S';
-          secondary += 'S';
-          current += 2;
-        } else if (stringAt(original, current, 2, ['CK', 'CQ'])) {
-          primary += 'K';
-          secondary += 'K';
-          current += 2;
-        } else {
-          primary += 'K';
-          secondary += 'K';
-          current++;
-        }
-        break;
-        
-      case 'D':
-        if (stringAt(original, current, 2, ['DG'])) {
-          if (stringAt(original, current + 2, 1, ['I', 'E', 'Y'])) {
-            primary += 'J';
-            secondary += 'J';
-            current += 3;
-          } else {
-            primary += 'TK';
-            secondary += 'TK';
-            current += 2;
-          }
-        } else {
-          primary += 'T';
-          secondary += 'T';
-          current += stringAt(original, current, 2, ['DT', 'DD']) ? 2 : 1;
-        }
-        break;
-        
-      case 'F':
-        primary += 'F';
-        secondary += 'F';
-        current += (original[current + 1] === 'F') ? 2 : 1;
-        break;
-        
-      case 'G':
-        if (original[current + 1] === 'H') {
-          if (current > 2 && !isVowel(original[current - 1])) {
-            current += 2;
-          } else if (current === 2) {
-            primary += 'K';
-            secondary += 'K';
-            current += 2;
-          } else {
-            current += 2;
-          }
-        } else if (original[current + 1] === 'N') {
-          primary += 'KN';
-          secondary += 'N';
-          current += 2;
-        } else if (stringAt(original, current + 1, 1, ['I', 'E', 'Y'])) {
-          primary += 'J';
-          secondary += 'K';
-          current += 2;
-        } else {
-          primary += 'K';
-          secondary += 'K';
-          current += (original[current + 1] === 'G') ? 2 : 1;
-        }
-        break;
-        
-      case 'H':
-        // H is silent if between vowels or after certain consonants
-        if ((current === 2 || isVowel(original[current - 1])) && isVowel(original[current + 1])) {
-          primary += 'H';
-          secondary += 'H';
-          current += 2;
-        } else {
-          current++;
-        }
-        break;
-        
-      case 'J':
-        primary += 'J';
-        secondary += 'J';
-        current += (original[current + 1] === 'J') ? 2 : 1;
-        break;
-        
-      case 'K':
-        primary += 'K';
-        secondary += 'K';
-        current += (original[current + 1] === 'K') ? 2 : 1;
-        break;
-        
-      case 'L':
-        primary += 'L';
-        secondary += 'L';
-        current += (original[current + 1] === 'L') ? 2 : 1;
-        break;
-        
-      case 'M':
-        primary += 'M';
-        secondary += 'M';
-        current += (original[current + 1] === 'M') ? 2 : 1;
-        break;
-        
-      case 'N':
-        primary += 'N';
-        secondary += 'N';
-        current += (original[current + 1] === 'N') ? 2 : 1;
-        break;
-        
-      case 'P':
-        if (original[current + 1] === 'H') {
-          primary += 'F';
-          secondary += 'F';
-          current += 2;
-        } else {
-          primary += 'P';
-          secondary += 'P';
-          current += stringAt(original, current, 2, ['PP', 'PB']) ? 2 : 1;
-        }
-        break;
-        
-      case 'Q':
-        primary += 'K';
-        secondary += 'K';
-        current += (original[current + 1] === 'Q') ? 2 : 1;
-        break;
-        
-      case 'R':
-        primary += 'R';
-        secondary += 'R';
-        current += (original[current + 1] === 'R') ? 2 : 1;
-        break;
-        
-      case 'S':
-        if (stringAt(original, current, 2, ['SH'])) {
-          primary += 'X';
-          secondary += 'X';
-          current += 2;
-        } else if (stringAt(original, current, 3, ['SIO', 'SIA'])) {
-          primary += 'X';
-          secondary += 'S';
-          current += 3;
-        } else {
-          primary += 'S';
-          secondary += 'S';
-          current += (original[current + 1] === 'S') ? 2 : 1;
-        }
-        break;
-        
-      case 'T':
-        if (stringAt(original, current, 4, ['TION'])) {
-          primary += 'XN';
-          secondary += 'XN';
-          current += 4;
-        } else if (stringAt(original, current, 2, ['TH'])) {
-          primary += '0';  // Using 0 for TH sound
-          secondary += 'T';
-          current += 2;
-        } else {
-          primary += 'T';
-          secondary += 'T';
-          current += stringAt(original, current, 2, ['TT', 'TD']) ? 2 : 1;
-        }
-        break;
-        
-      case 'V':
-        primary += 'F';
-        secondary += 'F';
-        current += (original[current + 1] === 'V') ? 2 : 1;
-        break;
-        
-      case 'W':
-        if (original[current + 1] === 'R') {
-          primary += 'R';
-          secondary += 'R';
-          current += 2;
-        } else if (current === 2 && isVowel(original[current + 1])) {
-          primary += 'A';
-          secondary += 'F';
-          current++;
-        } else if (isVowel(original[current + 1])) {
-          primary += 'A';
-          secondary += 'A';
-          current++;
-        } else {
-          current++;
-        }
-        break;
-        
-      case 'X':
-        primary += 'KS';
-        secondary += 'KS';
-        current += (original[current + 1] === 'X') ? 2 : 1;
-        break;
-        
-      case 'Z':
-        primary += 'S';
-        secondary += 'S';
-        current += (original[current + 1] === 'Z') ? 2 : 1;
-        break;
-        
-      default:
-        current++;
-    }
-  }
-  
-  return [primary.substring(0, 4), secondary.substring(0, 4)];
-}
-
-// ============================================================================
-// LEVENSHTEIN DISTANCE (for typo/mishearing tolerance)
-// ============================================================================
-
-function levenshtein(a, b) {
-  if (!a.length) return b.length;
-  if (!b.length) return a.length;
-  
-  const matrix = [];
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
-  }
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
-  }
-  
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b[i - 1] === a[j - 1]) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1, // substitution
-          matrix[i][j - 1] + 1,     // insertion
-          matrix[i - 1][j] + 1      // deletion
-        );
-      }
-    }
-  }
-  
-  return matrix[b.length][a.length];
-}
-
 // ============================================================================
 // STREET NAME NORMALIZATION
 // ============================================================================
@@ -798,6 +483,11 @@ export const handler = async (event) => {
     // Extract toolCallId for Vapi response matching (must be done early)
     toolCallId = extractToolCallId(body);
     console.log('[Address Lookup] toolCallId:', toolCallId || '(none)');
+
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return vapiToolResponse({ toolCallId, error: auth.error });
+    }
     
     // Extract tool arguments and restaurantId from various Vapi formats
     const { args, restaurantId: extractedRestaurantId } = extractToolArgs(body);
@@ -0,0 +1,364 @@
+/**
+ * Customer Lookup Lambda for Vapi Voice Orders
+ *
+ * lookup_customer: who is calling? Matches the caller ID against the restaurant's
+ * Customers profiles (same records as the customer app) and returns the caller's
+ * name, last confirmed delivery address and last few orders, so a regular can say
+ * "same as last time" and skip the lookup_address flow entirely. When the restaurant
+ * runs a loyalty program, the caller's points balance comes back too.
+ *
+ * Only the caller ID from the call itself is used - never a number the caller
+ * reads out - so nobody can pull someone else's address by naming their phone.
+ *
+ * VAPI INTEGRATION:
+ * - Always returns HTTP 200 (Vapi ignores any other status code)
+ * - Wraps responses in { results: [{ toolCallId, result|error }] }
+ */
+
+import { DynamoDBClient, BatchGetItemCommand, GetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { getCustomer, normalizeCustomerPhone } from "../utils/customers.mjs";
+import { isActiveLine } from "../utils/order-edit.mjs";
+import { getLoyaltySettings, describeLoyaltyBalance } from "../utils/loyalty.mjs";
+
+const ddb = new DynamoDBClient({ region: "us-east-2" });
+
+const TOOL_NAME = "lookup_customer";
+
+const TABLES = {
+  ORDERS: "Orders",
+  ORDER_ITEMS: "OrderItems",
+  SETTINGS: "RestaurantSettings",
+};
+
+// Enough for "your usual" without reading the caller a novel
+const RECENT_ORDER_COUNT = 3;
+
+// ============================================================================
+// VAPI RESPONSE HELPERS
+// Vapi expects HTTP 200 with { results: [...] } - any other status is IGNORED
+// ============================================================================
+
+/**
+ * Remove line breaks from strings (Vapi parsing requirement)
+ */
+function toSingleLine(s) {
+  return String(s ?? "").replace(/\r?\n/g, " ").trim();
+}
+
+/**
+ * Extract toolCallId from lookup_customer tool call in request body
+ * Handles multiple Vapi request formats
+ */
+function extractToolCallId(body) {
+  try {
+    const parsed = typeof body === "string" ? JSON.parse(body) : body;
+
+    // Direct toolCallId in body (some Vapi configurations)
+    if (parsed?.toolCallId) return parsed.toolCallId;
+
+    const lists = [
+      parsed?.message?.toolCalls,
+      parsed?.message?.toolCallList,
+      parsed?.message?.toolWithToolCallList,
+    ].filter(Array.isArray);
+
+    for (const list of lists) {
+      const tc = list.find((t) => (t?.function?.name || t?.name) === TOOL_NAME);
+      if (tc?.id) return tc.id;
+    }
+
+    return null;
+  } catch (e) {
+    console.error("[Customer Lookup] Error extracting toolCallId:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Caller ID from the call object (tool-call messages carry the whole call)
+ */
+function extractCallerNumber(body) {
+  const parsed = typeof body === "string" ? JSON.parse(body) : body;
+  return (
+    parsed?.message?.call?.customer?.number ||
+    parsed?.call?.customer?.number ||
+    parsed?.message?.customer?.number ||
+    parsed?.customer?.number ||
+    null
+  );
+}
+
+/**
+ * Build a Vapi-compatible tool response
+ * CRITICAL: Always returns HTTP 200 - Vapi ignores any other status code
+ */
+function vapiToolResponse({ toolCallId, result, error }) {
+  const entry = {};
+  if (toolCallId) entry.toolCallId = toolCallId;
+
+  if (error) {
+    entry.error = toSingleLine(typeof error === "string" ? error : error.message || String(error));
+  } else {
+    entry.result = result;
+  }
+
+  return {
+    statusCode: 200, // IMPORTANT: always 200 or Vapi ignores the response
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+    },
+    body: JSON.stringify({ results: [entry] }),
+  };
+}
+
+// ============================================================================
+// ORDER HISTORY
+// ============================================================================
+
+async function loadOrders(orderIds) {
+  if (orderIds.length === 0) return [];
+  const { Responses } = await ddb.send(new BatchGetItemCommand({
+    RequestItems: {
+      [TABLES.ORDERS]: { Keys: orderIds.map((orderId) => ({ orderId: { S: orderId } })) },
+    },
+  }));
+  const byId = new Map((Responses?.[TABLES.ORDERS] || []).map(unmarshall).map((o) => [o.orderId, o]));
+  // BatchGet doesn't keep order
+  return orderIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+async function loadOrderItems(orderId) {
+  const { Items } = await ddb.send(new QueryCommand({
+    TableName: TABLES.ORDER_ITEMS,
+    KeyConditionExpression: "orderId = :oid",
+    ExpressionAttributeValues: { ":oid": { S: orderId } },
+  }));
+  return (Items || []).map(unmarshall).filter(isActiveLine);
+}
+
+/**
+ * Stored topping ({ name, portion, onTopOnly }) back to submit_order's tagged string
+ */
+function toToolTopping(topping) {
+  if (typeof topping === "string") return topping;
+  const tags = [];
+  if (topping?.portion && topping.portion !== "regular") tags.push(topping.portion);
+  if (topping?.onTopOnly) tags.push("onTop");
+  return [topping?.name || "", ...tags].filter(Boolean).join("|");
+}
+
+function toppingList(raw, parsed) {
+  if (Array.isArray(raw) && raw.length > 0) return raw;
+  return (Array.isArray(parsed) ? parsed : []).map(toToolTopping).filter(Boolean);
+}
+
+/**
+ * Order lines in submit_order shape, so "the same again" can be resubmitted as-is.
+ * Pricing is redone by the webhook at today's prices.
+ */
+function toReorderPayload(items) {
+  const pizzas = [];
+  const sides = [];
+  const combos = [];
+
+  for (const it of items) {
+    const details = it.pizzaDetails;
+    if (Array.isArray(it.comboComponents) && it.comboComponents.length > 0) {
+      combos.push({
+        name: it.name,
+        quantity: Math.max(Number(it.quantity) || 1, 1),
+        pizzas: it.comboComponents.filter((c) => c.type === "pizza").map((c) => ({
+          crust: c.pizzaDetails?.crust,
+          wholeToppings: toppingList(null, c.pizzaDetails?.wholeToppings),
+          leftHalfToppings: toppingList(null, c.pizzaDetails?.leftHalfToppings),
+          rightHalfToppings: toppingList(null, c.pizzaDetails?.rightHalfToppings),
+          modifiers: c.pizzaDetails?.modifiers || [],
+        })),
+        sides: it.comboComponents.filter((c) => c.type !== "pizza").map((c) => ({
+          name: c.label,
+          options: (c.selectedModifiers || []).map((m) => m.name).filter(Boolean),
+        })),
+      });
+    } else if (details?.size) {
+      const pizza = {
+        size: details.size,
+        crust: details.crust,
+        wholeToppings: toppingList(details.rawWholeToppings, details.wholeToppings),
+        leftHalfToppings: toppingList(details.rawLeftHalfToppings, details.leftHalfToppings),
+        rightHalfToppings: toppingList(details.rawRightHalfToppings, details.rightHalfToppings),
+        modifiers: Array.isArray(it.modifiers) ? it.modifiers : [],
+        notes: it.notes || "",
+      };
+      // Specialty toppings are the full recipe with changes, which resubmits as-is
+      if (details.specialty?.name) pizza.specialty = details.specialty.name;
+      // Web pizzas are one line per quantity on the phone side
+      const quantity = Math.max(Number(it.quantity) || 1, 1);
+      for (let i = 0; i < quantity; i++) pizzas.push(pizza);
+    } else if (it.name) {
+      const side = { name: it.name, quantity: Math.max(Number(it.quantity) || 1, 1) };
+      // Picked sauces / dressings / sizes go back by option name
+      if (Array.isArray(it.selectedModifiers) && it.selectedModifiers.length > 0) {
+        side.options = it.selectedModifiers.map((m) => m.name).filter(Boolean);
+      }
+      sides.push(side);
+    }
+  }
+
+  return { pizzas, sides, combos };
+}
+
+function speakItems(items) {
+  return items
+    .map((it) => {
+      const quantity = Number(it.quantity) || 1;
+      return quantity > 1 ? `${quantity} ${it.name}` : it.name;
+    })
+    .join(", ");
+}
+
+async function loadSettings(restaurantId) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: TABLES.SETTINGS,
+    Key: { settingId: { S: `restaurant-config-${restaurantId}` } },
+  }));
+  return Item ? unmarshall(Item) : {};
+}
+
+/**
+ * Points the caller can spend, if the restaurant runs a loyalty program
+ */
+function describeLoyalty(customer, settings) {
+  const loyalty = getLoyaltySettings(settings);
+  if (!loyalty.enabled) return {};
+  const points = Math.max(0, Math.floor(Number(customer.loyaltyPoints || 0)));
+  return {
+    loyaltyPoints: points,
+    loyaltyMinRedeemPoints: loyalty.minRedeemPoints,
+    ...(points >= loyalty.minRedeemPoints
+      ? { loyaltyPrompt: `You have ${describeLoyaltyBalance(points, settings)} in rewards. Would you like to use them on this order?` }
+      : {}),
+  };
+}
+
+async function loadRecentOrders(customer, restaurantId) {
+  // A retried phone order can append the same id twice
+  const orderIds = [...new Set(Array.isArray(customer.recentOrderIds) ? customer.recentOrderIds : [])]
+    .slice(0, RECENT_ORDER_COUNT);
+
+  const orders = (await loadOrders(orderIds))
+    .filter((o) => o.restaurantId === restaurantId && (o.customerId === customer.customerId || o.customer?.phone === customer.phone))
+    // Placeholder orders waiting on a callback never had a confirmed order behind them
+    .filter((o) => o.status !== "cancelled" && o.status !== "needs_callback");
+
+  return Promise.all(orders.map(async (order) => {
+    const items = await loadOrderItems(order.orderId);
+    return {
+      orderId: order.orderId,
+      createdAt: order.createdAt,
+      orderType: order.orderType,
+      total: order.total,
+      summary: speakItems(items),
+      ...toReorderPayload(items),
+    };
+  }));
+}
+
+// ============================================================================
+// LAMBDA HANDLER
+// ============================================================================
+
+export const handler = async (event) => {
+  console.log("[Customer Lookup] Incoming request");
+
+  let toolCallId = null;
+
+  try {
+    const body = typeof event.body === "string" ? JSON.parse(event.body) : (event.body || {});
+
+    // Extract toolCallId for Vapi response matching (must be done early)
+    toolCallId = extractToolCallId(body);
+    console.log("[Customer Lookup] toolCallId:", toolCallId || "(none)");
+
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return vapiToolResponse({ toolCallId, error: auth.error });
+    }
+
+    // Verified tenant only - this hands out names and addresses
+    const { restaurantId } = auth;
+    if (!restaurantId) {
+      return vapiToolResponse({ toolCallId, error: "restaurantId is required" });
+    }
+
+    const phone = normalizeCustomerPhone(extractCallerNumber(body));
+    if (!phone) {
+      console.log("[Customer Lookup] No usable caller ID");
+      return vapiToolResponse({
+        toolCallId,
+        result: { result: "no_caller_id", found: false },
+      });
+    }
+
+    const customer = await getCustomer(ddb, restaurantId, phone);
+    const recentOrders = customer ? await loadRecentOrders(customer, restaurantId) : [];
+
+    // Profile exists (e.g. OTP on the website) but nothing to offer yet
+    if (!customer || (recentOrders.length === 0 && !customer.addresses?.length)) {
+      console.log("[Customer Lookup] New caller", { restaurantId });
+      return vapiToolResponse({
+        toolCallId,
+        result: { result: "not_found", found: false, customerPhone: phone },
+      });
+    }
+
+    // Saved addresses are only ones the customer confirmed (typed at checkout,
+    // or verified on a phone order that didn't need a callback), most recent first
+    const lastAddress = Array.isArray(customer.addresses) ? customer.addresses[0] : null;
+    const loyalty = describeLoyalty(customer, await loadSettings(restaurantId));
+    const lastOrder = recentOrders[0] || null;
+    const name = customer.name || "";
+
+    console.log("[Customer Lookup] Returning caller", {
+      restaurantId,
+      customerId: customer.customerId,
+      recentOrders: recentOrders.length,
+      hasAddress: Boolean(lastAddress),
+    });
+
+    return vapiToolResponse({
+      toolCallId,
+      result: {
+        result: "found",
+        found: true,
+        customerId: customer.customerId,
+        customerPhone: phone,
+        name,
+        orderCount: Number(customer.orderCount || 0),
+        lastDeliveryAddress: lastAddress
+          ? {
+              address: lastAddress.address,
+              instructions: lastAddress.instructions || "",
+              label: lastAddress.label || "",
+              addressStatus: "confirmed",
+            }
+          : null,
+        recentOrders,
+        greetingPrompt: lastOrder
+          ? `Welcome back${name ? `, ${name}` : ""}! Last time you had ${lastOrder.summary}. Would you like the same again?`
+          : `Welcome back${name ? `, ${name}` : ""}!`,
+        ...(lastAddress
+          ? { addressPrompt: `Is that going to ${lastAddress.address} again?` }
+          : {}),
+        ...loyalty,
+      },
+    });
+  } catch (error) {
+    console.error("[Customer Lookup] Error:", error);
+    return vapiToolResponse({ toolCallId, error: error.message || "Internal server error" });
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * Loyalty points for the owner dashboard (admin JWT)
+ *
+ * GET  /admin/loyalty         - customers with points, highest balance first
+ * GET  /admin/loyalty/{phone} - one customer's balance and full points ledger
+ * POST /admin/loyalty/{phone} - adjust a balance: { points: +/-N, reason }
+ *
+ * Earning, spending and reversals are posted by the order lambdas (utils/loyalty.mjs);
+ * this only reads the ledger and adds manual adjustments to it.
+ */
+import { DynamoDBClient, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { randomUUID } from "crypto";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { CUSTOMERS_TABLE, getCustomer, normalizeCustomerPhone } from "../utils/customers.mjs";
+import { listLoyaltyEntries, postLoyaltyEntry } from "../utils/loyalty.mjs";
+
+const ddb = new DynamoDBClient();
+
+// Adjustments bigger than this are almost certainly a typo
+const MAX_ADJUSTMENT_POINTS = 100000;
+
+const corsHeaders = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function toMember(customer) {
+  return {
+    customerId: customer.customerId,
+    phone: customer.phone,
+    name: customer.name || "",
+    points: Number(customer.loyaltyPoints || 0),
+    lifetimePoints: Number(customer.loyaltyLifetimePoints || 0),
+    orderCount: Number(customer.orderCount || 0),
+    lastOrderAt: customer.lastOrderAt || null,
+  };
+}
+
+async function listMembers(restaurantId) {
+  const members = [];
+  let lastKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: CUSTOMERS_TABLE,
+      KeyConditionExpression: "restaurantId = :rid",
+      FilterExpression: "attribute_exists(loyaltyPoints)",
+      ExpressionAttributeValues: marshall({ ":rid": String(restaurantId) }),
+      ...(lastKey ? { ExclusiveStartKey: lastKey } : {}),
+    }));
+    members.push(...(res.Items || []).map((item) => toMember(unmarshall(item))));
+    lastKey = res.LastEvaluatedKey;
+  } while (lastKey);
+
+  members.sort((a, b) => b.points - a.points || String(a.phone).localeCompare(String(b.phone)));
+  return respond(200, { members });
+}
+
+async function getMember(restaurantId, phone) {
+  const customer = await getCustomer(ddb, restaurantId, phone);
+  const entries = await listLoyaltyEntries(ddb, { restaurantId, phone });
+  return respond(200, {
+    member: customer ? toMember(customer) : { phone, name: "", points: 0, lifetimePoints: 0, orderCount: 0, lastOrderAt: null },
+    entries,
+  });
+}
+
+async function adjustBalance(restaurantId, phone, body, claims) {
+  const points = Number(body.points);
+  const reason = String(body.reason || "").trim();
+  if (!Number.isInteger(points) || points === 0 || Math.abs(points) > MAX_ADJUSTMENT_POINTS) {
+    return respond(400, { error: `points must be a whole number between -${MAX_ADJUSTMENT_POINTS} and ${MAX_ADJUSTMENT_POINTS}, not 0` });
+  }
+  if (!reason) {
+    return respond(400, { error: "A reason is required" });
+  }
+
+  const at = new Date();
+  const result = await postLoyaltyEntry(ddb, {
+    restaurantId,
+    phone,
+    entryId: `adjustment#${at.toISOString()}#${randomUUID().slice(0, 8)}`,
+    type: "adjustment",
+    points,
+    reason: reason.slice(0, 200),
+    by: claims?.email || claims?.["cognito:username"] || null,
+    // A deduction can't take the balance below zero
+    requireBalance: true,
+    at,
+  });
+  if (!result.ok) {
+    const customer = await getCustomer(ddb, restaurantId, phone);
+    return respond(409, { error: `Balance is only ${Number(customer?.loyaltyPoints || 0)} points` });
+  }
+
+  return getMember(restaurantId, phone);
+}
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === "OPTIONS") {
+    return { statusCode: 200, headers: corsHeaders, body: "{}" };
+  }
+
+  try {
+    // MULTI-TENANT: Tenant comes from the admin token only
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId, claims } = auth;
+
+    if (event.routeKey === "GET /admin/loyalty") {
+      return await listMembers(restaurantId);
+    }
+
+    const phone = normalizeCustomerPhone(decodeURIComponent(event.pathParameters?.phone || ""));
+    if (!phone) {
+      return respond(400, { error: "Invalid phone number" });
+    }
+
+    if (event.routeKey === "POST /admin/loyalty/{phone}") {
+      let body = {};
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (e) {
+        return respond(400, { error: "Invalid JSON body" });
+      }
+      return await adjustBalance(restaurantId, phone, body, claims);
+    }
+
+    return await getMember(restaurantId, phone);
+  } catch (error) {
+    console.error("Loyalty error:", error);
+    return respond(500, { error: error.message });
+  }
+};
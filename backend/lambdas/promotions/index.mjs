@@ -0,0 +1,164 @@
+/**
+ * Promotions for the owner dashboard (admin JWT)
+ *
+ * GET    /admin/promotions               - every promotion, with times used
+ * POST   /admin/promotions               - create a promo code or automatic deal
+ * PUT    /admin/promotions/{promotionId} - replace one (usage counts are kept)
+ * DELETE /admin/promotions/{promotionId} - delete one
+ *
+ * Orders keep a snapshot of the deals they used, so editing or deleting a
+ * promotion never changes an order that was already placed.
+ */
+import { DynamoDBClient, DeleteItemCommand, GetItemCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { PROMOTIONS_TABLE, loadPromotions, normalizePromotion, validatePromotion, normalizePromoCode } from "../utils/promotions.mjs";
+
+const ddb = new DynamoDBClient();
+
+const corsHeaders = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+};
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+async function getPromotion(restaurantId, promotionId) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: PROMOTIONS_TABLE,
+    Key: marshall({ restaurantId, promotionId: String(promotionId) }),
+  }));
+  return Item ? unmarshall(Item) : null;
+}
+
+/**
+ * Normalize + validate a dashboard body. Codes must be unique per restaurant
+ * (the agent looks a code up by what the caller says).
+ */
+async function buildPromotion(restaurantId, body, promotionId) {
+  const promotion = normalizePromotion({ ...body, ...(promotionId ? { promotionId } : {}) });
+  const validation = validatePromotion(promotion);
+  if (!validation.valid) {
+    return { error: respond(400, { error: "Invalid promotion", details: validation.errors }) };
+  }
+
+  if (promotion.code) {
+    const clash = (await loadPromotions(ddb, restaurantId)).find((p) =>
+      p.promotionId !== promotion.promotionId && p.code && normalizePromoCode(p.code) === promotion.code
+    );
+    if (clash) {
+      return { error: respond(409, { error: `Code ${promotion.code} is already used by "${clash.name}"` }) };
+    }
+  }
+
+  return { promotion };
+}
+
+async function listPromotions(restaurantId) {
+  const promotions = await loadPromotions(ddb, restaurantId);
+  promotions.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  return respond(200, { promotions });
+}
+
+async function createPromotion(restaurantId, body) {
+  const { promotion, error } = await buildPromotion(restaurantId, body);
+  if (error) return error;
+
+  const now = new Date().toISOString();
+  const record = { ...promotion, restaurantId, redemptionCount: 0, createdAt: now, updatedAt: now };
+  try {
+    await ddb.send(new PutItemCommand({
+      TableName: PROMOTIONS_TABLE,
+      Item: marshall(record, { removeUndefinedValues: true }),
+      ConditionExpression: "attribute_not_exists(promotionId)",
+    }));
+  } catch (err) {
+    if (err?.name === "ConditionalCheckFailedException") {
+      return respond(409, { error: `A promotion with id "${promotion.promotionId}" already exists` });
+    }
+    throw err;
+  }
+
+  return respond(200, { message: "Promotion created", promotion: record });
+}
+
+async function updatePromotion(restaurantId, promotionId, body) {
+  const existing = await getPromotion(restaurantId, promotionId);
+  if (!existing) {
+    return respond(404, { error: "Promotion not found" });
+  }
+
+  const { promotion, error } = await buildPromotion(restaurantId, body, existing.promotionId);
+  if (error) return error;
+
+  const record = {
+    ...promotion,
+    restaurantId,
+    redemptionCount: existing.redemptionCount || 0,
+    discountTotalCents: existing.discountTotalCents,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+  await ddb.send(new PutItemCommand({
+    TableName: PROMOTIONS_TABLE,
+    Item: marshall(record, { removeUndefinedValues: true }),
+  }));
+
+  return respond(200, { message: "Promotion updated", promotion: record });
+}
+
+async function deletePromotion(restaurantId, promotionId) {
+  const { Attributes } = await ddb.send(new DeleteItemCommand({
+    TableName: PROMOTIONS_TABLE,
+    Key: marshall({ restaurantId, promotionId: String(promotionId) }),
+    ReturnValues: "ALL_OLD",
+  }));
+  if (!Attributes) {
+    return respond(404, { error: "Promotion not found" });
+  }
+  return respond(200, { message: "Promotion deleted", promotionId });
+}
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === "OPTIONS") {
+    return { statusCode: 200, headers: corsHeaders, body: "{}" };
+  }
+
+  try {
+    // MULTI-TENANT: Tenant comes from the admin token only
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId } = auth;
+    const promotionId = event.pathParameters?.promotionId;
+
+    let body = {};
+    if (event.body) {
+      try {
+        body = JSON.parse(event.body);
+      } catch (e) {
+        return respond(400, { error: "Invalid JSON body" });
+      }
+    }
+
+    switch (event.routeKey) {
+      case "POST /admin/promotions":
+        return await createPromotion(restaurantId, body);
+      case "PUT /admin/promotions/{promotionId}":
+        return await updatePromotion(restaurantId, promotionId, body);
+      case "DELETE /admin/promotions/{promotionId}":
+        return await deletePromotion(restaurantId, promotionId);
+      default:
+        return await listPromotions(restaurantId);
+    }
+  } catch (error) {
+    console.error("Promotions error:", error);
+    return respond(500, { error: error.message });
+  }
+};
@@ -0,0 +1,296 @@
+/**
+ * POST /admin/order/{id}/refund - Refund a paid web order (full or by line item)
+ *
+ * Body:
+ *   { full: true, reason }                                   - refund whatever is left on the order
+ *   { items: [{ lineKey, quantity }], reason }               - refund selected OrderItems (+ their tax)
+ *
+ * Issues a Stripe refund against the order's PaymentIntent, writes a refund row to
+ * Payments, and tracks refundedAmount / refundStatus / refunds[] on the order.
+ * Loyalty points the order earned are reversed in proportion to the refund; points spent
+ * on it come back with a full refund (utils/loyalty.mjs).
+ * Owner (admin JWT) only - kitchen tablets can't refund.
+ */
+import { DynamoDBClient, GetItemCommand, PutItemCommand, QueryCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute } from '../utils/route-auth.mjs';
+import { getStripe } from '../utils/stripe-client.mjs';
+import { getLineKey, isActiveLine } from '../utils/order-edit.mjs';
+import { planOrderPointReversal, reverseOrderPoints } from '../utils/loyalty.mjs';
+
+const ddb = new DynamoDBClient();
+
+const TABLES = {
+  ORDERS: "Orders",
+  ORDER_ITEMS: "OrderItems",
+  PAYMENTS: "Payments",
+};
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-restaurant-id",
+  "Access-Control-Allow-Methods": "POST,OPTIONS",
+  "Content-Type": "application/json",
+};
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function toCents(amount) {
+  return Math.round(toNumber(amount) * 100);
+}
+
+async function loadOrderItems(orderId) {
+  const result = await ddb.send(new QueryCommand({
+    TableName: TABLES.ORDER_ITEMS,
+    KeyConditionExpression: "orderId = :oid",
+    ExpressionAttributeValues: { ":oid": { S: orderId } },
+  }));
+  return (result.Items || []).map(unmarshall).filter(isActiveLine);
+}
+
+/**
+ * Quantities already refunded per line, from the order's refund history
+ */
+function getRefundedQuantities(order) {
+  const refunded = {};
+  for (const refund of order.refunds || []) {
+    for (const line of refund.items || []) {
+      refunded[line.lineKey] = (refunded[line.lineKey] || 0) + toNumber(line.quantity);
+    }
+  }
+  return refunded;
+}
+
+/**
+ * Work out how much to refund for a line-item request. Each line refunds its unit
+ * price times quantity plus the tax charged on it, less its share of any promotion
+ * discount; tip is only returned by a full refund.
+ *
+ * @returns {{ amountCents: number, items: Array } | { error: string }}
+ */
+function priceLineItemRefund(order, orderItems, requested) {
+  const itemsByKey = Object.fromEntries(orderItems.map((it) => [getLineKey(it), it]));
+  const alreadyRefunded = getRefundedQuantities(order);
+  const subtotal = toNumber(order.subtotal);
+  // What the customer actually paid per dollar of menu price (discount off, tax on)
+  const chargeRatio = subtotal > 0
+    ? (subtotal - toNumber(order.discount) + toNumber(order.tax)) / subtotal
+    : 1 + toNumber(order.taxRate) / 100;
+
+  const lines = [];
+  let amountCents = 0;
+
+  for (const req of requested) {
+    const lineKey = String(req?.lineKey ?? "");
+    const item = itemsByKey[lineKey];
+    if (!item) {
+      return { error: `Unknown order item: ${lineKey}` };
+    }
+
+    const quantity = Math.floor(toNumber(req.quantity, 1));
+    const remaining = toNumber(item.quantity, 1) - (alreadyRefunded[lineKey] || 0);
+    if (quantity < 1 || quantity > remaining) {
+      return { error: `Can only refund ${remaining} more of ${item.name}` };
+    }
+
+    const unitCents = item.priceCents != null ? toNumber(item.priceCents) : toCents(item.price);
+    const lineCents = Math.round(unitCents * quantity * chargeRatio);
+    amountCents += lineCents;
+    lines.push({ lineKey, name: item.name, quantity, amount: lineCents / 100 });
+  }
+
+  return { amountCents, items: lines };
+}
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === 'OPTIONS') {
+    return respond(200, {});
+  }
+
+  try {
+    const orderId = event?.pathParameters?.id;
+    if (!orderId) {
+      return respond(400, { error: "Missing order id" });
+    }
+
+    let body = {};
+    try {
+      body = event?.body ? JSON.parse(event.body) : {};
+    } catch (e) {
+      return respond(400, { error: "Invalid JSON body" });
+    }
+
+    // Owner dashboard only - kitchen tokens are rejected by the route policy
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId, claims } = auth;
+
+    const reason = String(body.reason || "").trim();
+    if (!reason) {
+      return respond(400, { error: "A refund reason is required" });
+    }
+
+    const full = body.full === true;
+    const requestedItems = Array.isArray(body.items) ? body.items : [];
+    if (!full && requestedItems.length === 0) {
+      return respond(400, { error: "Pick at least one item to refund, or refund the full order" });
+    }
+
+    const { Item } = await ddb.send(new GetItemCommand({
+      TableName: TABLES.ORDERS,
+      Key: { orderId: { S: orderId } },
+    }));
+    if (!Item) {
+      return respond(404, { error: "Order not found" });
+    }
+
+    const order = unmarshall(Item);
+    if (restaurantId && order.restaurantId && order.restaurantId !== restaurantId) {
+      return respond(403, { error: "Access denied to this order" });
+    }
+
+    if (!order.paymentId) {
+      return respond(400, { error: "This order wasn't paid by card - refund it at the register" });
+    }
+    if (order.paymentStatus && order.paymentStatus !== "paid" && order.paymentStatus !== "refunded") {
+      return respond(409, { error: `Payment is ${order.paymentStatus}; nothing to refund yet` });
+    }
+
+    const totalCents = toCents(order.total);
+    const refundedCents = toCents(order.refundedAmount);
+    const refundableCents = totalCents - refundedCents;
+    if (refundableCents <= 0) {
+      return respond(409, { error: "Order has already been fully refunded" });
+    }
+
+    let amountCents;
+    let items = [];
+    if (full) {
+      amountCents = refundableCents;
+      const alreadyRefunded = getRefundedQuantities(order);
+      items = (await loadOrderItems(orderId))
+        .map((it) => ({ lineKey: getLineKey(it), name: it.name, quantity: toNumber(it.quantity, 1) - (alreadyRefunded[getLineKey(it)] || 0) }))
+        .filter((line) => line.quantity > 0);
+    } else {
+      const priced = priceLineItemRefund(order, await loadOrderItems(orderId), requestedItems);
+      if (priced.error) {
+        return respond(400, { error: priced.error });
+      }
+      // Rounding on the last lines can't push past what was actually charged
+      amountCents = Math.min(priced.amountCents, refundableCents);
+      items = priced.items;
+    }
+
+    const refundCount = (order.refunds || []).length;
+    const refund = await getStripe().refunds.create(
+      {
+        payment_intent: order.paymentId,
+        amount: amountCents,
+        reason: 'requested_by_customer',
+        metadata: { orderId, restaurantId: order.restaurantId || restaurantId || '', reason: reason.slice(0, 500) },
+      },
+      // Same order + same refund slot = same Stripe refund, so a retried request can't refund twice
+      { idempotencyKey: `refund-${orderId}-${refundCount}` }
+    );
+
+    const now = new Date().toISOString();
+    const amount = amountCents / 100;
+    const newRefundedCents = refundedCents + amountCents;
+    const refundStatus = newRefundedCents >= totalCents ? "full" : "partial";
+    const refundedBy = claims?.email || claims?.['cognito:username'] || null;
+
+    let paymentRecord = {
+      paymentId: refund.id,
+      type: "refund",
+      orderId,
+      parentPaymentId: order.paymentId,
+      amount,
+      currency: refund.currency || "usd",
+      status: refund.status,
+      reason,
+      items,
+      refundedBy,
+      provider: "stripe",
+      createdAt: now,
+    };
+    if (order.restaurantId || restaurantId) {
+      paymentRecord = injectRestaurantIdForWrite(paymentRecord, order.restaurantId || restaurantId);
+    }
+    await ddb.send(new PutItemCommand({
+      TableName: TABLES.PAYMENTS,
+      Item: marshall(paymentRecord, { removeUndefinedValues: true }),
+    }));
+
+    const loyaltyPlan = planOrderPointReversal(order, { full: refundStatus === "full", refundAmount: amount });
+    const loyaltySets = [
+      ...(loyaltyPlan.reversePoints > 0 ? ["loyaltyPointsReversed = :loyaltyReversed"] : []),
+      ...(loyaltyPlan.returnPoints > 0 ? ["loyaltyPointsReturned = :loyaltyReturned"] : []),
+    ];
+
+    const refundEntry = { refundId: refund.id, amount, reason, items, refundedBy, createdAt: now };
+    const updateResult = await ddb.send(new UpdateItemCommand({
+      TableName: TABLES.ORDERS,
+      Key: { orderId: { S: orderId } },
+      UpdateExpression: "SET refundedAmount = :refunded, refundStatus = :refundStatus, refunds = list_append(if_not_exists(refunds, :empty), :entry), lastRefundAt = :now, updatedAt = :now" +
+        (refundStatus === "full" ? ", paymentStatus = :paymentStatus" : "") +
+        loyaltySets.map((set) => `, ${set}`).join(""),
+      // Guards against two refunds racing for the same slot
+      ConditionExpression: "attribute_not_exists(refunds) OR size(refunds) = :count",
+      ExpressionAttributeValues: marshall({
+        ":refunded": newRefundedCents / 100,
+        ":refundStatus": refundStatus,
+        ":empty": [],
+        ":entry": [refundEntry],
+        ":now": now,
+        ":count": refundCount,
+        ...(refundStatus === "full" ? { ":paymentStatus": "refunded" } : {}),
+        ...(loyaltyPlan.reversePoints > 0 ? { ":loyaltyReversed": toNumber(order.loyaltyPointsReversed) + loyaltyPlan.reversePoints } : {}),
+        ...(loyaltyPlan.returnPoints > 0 ? { ":loyaltyReturned": loyaltyPlan.returnPoints } : {}),
+      }, { removeUndefinedValues: true }),
+      ReturnValues: "ALL_NEW",
+    }));
+    const updatedOrder = unmarshall(updateResult.Attributes);
+
+    // The money is already back with the customer - a ledger hiccup mustn't fail the response
+    try {
+      await reverseOrderPoints(ddb, { order: updatedOrder, plan: loyaltyPlan, key: refund.id, reason, by: refundedBy });
+    } catch (error) {
+      console.error("RefundOrder loyalty reversal failed:", { orderId, message: error.message });
+    }
+
+    console.log("RefundOrder success:", { orderId, refundId: refund.id, amount, refundStatus, lines: items.length });
+
+    return respond(200, {
+      success: true,
+      refund: { refundId: refund.id, amount, status: refund.status, items, reason },
+      order: {
+        orderId,
+        total: updatedOrder.total,
+        refundedAmount: updatedOrder.refundedAmount,
+        refundStatus: updatedOrder.refundStatus,
+        refunds: updatedOrder.refunds,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return respond(409, { error: "Order changed while refunding - refresh and try again" });
+    }
+    if (error.type && error.type.startsWith("Stripe")) {
+      console.error("RefundOrder Stripe error:", { code: error.code, message: error.message });
+      return respond(402, { error: error.message });
+    }
+    console.error("RefundOrder error:", error);
+    return respond(500, { error: error.message });
+  }
+};
@@ -1,12 +1,22 @@
 import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
 import { DynamoDBClient, PutItemCommand, GetItemCommand, DeleteItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { checkRateLimits, getSourceIp } from "../utils/rate-limit.mjs";
+import { extractRestaurantId } from "../utils/inject-restaurant-id.mjs";
 
 const snsClient = new SNSClient({ region: "us-east-2" });
 const ddbClient = new DynamoDBClient({ region: "us-east-2" });
 const OTP_TABLE = "OTPCodes"; // You'll need to create this table
 const OTP_EXPIRY_MINUTES = 10;
 
+// Every send is a paid SMS - cap per caller IP, per phone and per restaurant
+const OTP_SEND_LIMITS = {
+  ip: { limit: 10, windowSeconds: 60 * 60 },
+  phoneBurst: { limit: 3, windowSeconds: 10 * 60 },
+  phoneDaily: { limit: 10, windowSeconds: 24 * 60 * 60 },
+  restaurant: { limit: 200, windowSeconds: 60 * 60 },
+};
+
 // Generate 6-digit OTP
 function generateOTP() {
   return Math.floor(100000 + Math.random() * 900000).toString();
@@ -41,6 +51,34 @@ export const handler = async (event) => {
     }
 
     const normalizedPhone = normalizePhoneNumber(phone);
+    const restaurantId = extractRestaurantId(event) || "unknown";
+
+    // The caller's own IP bucket first: once it's full, the phone and restaurant
+    // buckets (which real customers share) aren't charged any further
+    const quota = await checkRateLimits(ddbClient, [
+      { key: `otp:ip:${getSourceIp(event)}`, ...OTP_SEND_LIMITS.ip },
+      { key: `otp:phone:${normalizedPhone}`, ...OTP_SEND_LIMITS.phoneBurst },
+      { key: `otp:phone-day:${normalizedPhone}`, ...OTP_SEND_LIMITS.phoneDaily },
+      { key: `otp:restaurant:${restaurantId}`, ...OTP_SEND_LIMITS.restaurant },
+    ]);
+
+    if (!quota.allowed) {
+      console.warn("SendOTP rate limited:", { key: quota.rule.key, retryAfterSeconds: quota.retryAfterSeconds });
+      const minutes = Math.ceil(quota.retryAfterSeconds / 60);
+      return {
+        statusCode: 429,
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+          "Retry-After": String(quota.retryAfterSeconds),
+        },
+        body: JSON.stringify({
+          error: `Too many verification codes requested. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+          retryAfterSeconds: quota.retryAfterSeconds,
+        }),
+      };
+    }
+
     const otp = generateOTP();
     const expiresAt = Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000;
 
@@ -0,0 +1,230 @@
+/**
+ * POST /stripe/webhook - Stripe payment events
+ *
+ * Handles:
+ * - payment_intent.succeeded:      Payments row -> succeeded, order -> paid
+ * - payment_intent.payment_failed: Payments row -> failed, pending order -> payment_failed
+ *
+ * Stripe doesn't guarantee event order, so payment state only moves while the order is
+ * still waiting on payment: a late failure never marks a paid (or refunded) order failed.
+ *
+ * Every request must carry a valid Stripe-Signature header (STRIPE_WEBHOOK_SECRET).
+ * If the order doesn't exist yet (webhook beat createOrder), we answer 404 so Stripe retries.
+ * Payments createOrder gave back after turning the order away (Payments row "released")
+ * are acknowledged and left alone.
+ */
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { getStripe, restaurantIdFromIntent } from '../utils/stripe-client.mjs';
+import { publishOrderEvent, orderEventType } from '../utils/kitchen-events.mjs';
+
+const ddb = new DynamoDBClient();
+
+const TABLES = {
+  ORDERS: "Orders",
+  PAYMENTS: "Payments",
+};
+
+const jsonHeaders = { "Content-Type": "application/json" };
+
+function respond(statusCode, body) {
+  return { statusCode, headers: jsonHeaders, body: JSON.stringify(body) };
+}
+
+/**
+ * Raw request body exactly as Stripe sent it (signature is computed over the raw bytes)
+ */
+function getRawBody(event) {
+  const body = event?.body || "";
+  return event?.isBase64Encoded ? Buffer.from(body, "base64").toString("utf8") : body;
+}
+
+function getHeader(event, name) {
+  const headers = event?.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Find the order a PaymentIntent paid for: metadata.orderId (set by createOrder),
+ * falling back to the Payments row keyed by the intent id
+ */
+async function findOrderId(intent) {
+  if (intent.metadata?.orderId) return intent.metadata.orderId;
+
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: TABLES.PAYMENTS,
+    Key: { paymentId: { S: intent.id } },
+  }));
+  return Item ? unmarshall(Item).orderId || null : null;
+}
+
+async function isReleasedPayment(intent) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: TABLES.PAYMENTS,
+    Key: { paymentId: { S: intent.id } },
+  }));
+  return Item ? unmarshall(Item).status === "released" : false;
+}
+
+/**
+ * Record the intent's outcome on its Payments row. A failure never overwrites a
+ * payment that already went through.
+ *
+ * @returns {Promise<boolean>} false when the row was left alone
+ */
+async function updatePaymentRecord(intent, orderId, status) {
+  const now = new Date().toISOString();
+  const restaurantId = restaurantIdFromIntent(intent);
+  const guardSettled = status === "failed";
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: TABLES.PAYMENTS,
+      Key: { paymentId: { S: intent.id } },
+      UpdateExpression: "SET #status = :status, orderId = :orderId, amount = :amount, currency = :currency, updatedAt = :now, createdAt = if_not_exists(createdAt, :now), provider = :provider" +
+        (restaurantId ? ", restaurantId = :restaurantId" : ""),
+      ...(guardSettled ? { ConditionExpression: "attribute_not_exists(#status) OR #status <> :succeeded" } : {}),
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":status": { S: status },
+        ":orderId": { S: orderId },
+        ":amount": { N: String(intent.amount / 100) },
+        ":currency": { S: intent.currency || "usd" },
+        ":now": { S: now },
+        ":provider": { S: "stripe" },
+        ...(restaurantId ? { ":restaurantId": { S: restaurantId } } : {}),
+        ...(guardSettled ? { ":succeeded": { S: "succeeded" } } : {}),
+      },
+    }));
+    return true;
+  } catch (error) {
+    if (guardSettled && error.name === "ConditionalCheckFailedException") return false;
+    throw error;
+  }
+}
+
+/**
+ * Set paymentStatus on the order while its payment is still pending (or failed and being
+ * retried); move the order status only while it's still waiting on payment.
+ * A missing order throws ConditionalCheckFailedException (Stripe retries).
+ *
+ * @returns {Promise<boolean>} whether the order status moved
+ */
+async function updateOrderPayment(orderId, { paymentStatus, fromStatus, toStatus, extra = {} }) {
+  const now = new Date().toISOString();
+  const extraNames = Object.keys(extra);
+
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: TABLES.ORDERS,
+      Key: { orderId: { S: orderId } },
+      UpdateExpression: `SET paymentStatus = :paymentStatus, paymentUpdatedAt = :now${extraNames.map((k) => `, ${k} = :${k}`).join("")}`,
+      ConditionExpression: "attribute_exists(orderId) AND (attribute_not_exists(paymentStatus) OR paymentStatus IN (:pending, :failed))",
+      ExpressionAttributeValues: {
+        ":paymentStatus": { S: paymentStatus },
+        ":now": { S: now },
+        ":pending": { S: "pending" },
+        ":failed": { S: "failed" },
+        ...Object.fromEntries(extraNames.map((k) => [`:${k}`, { S: String(extra[k]) }])),
+      },
+      ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+    }));
+  } catch (error) {
+    // The order is there but its payment is already settled (paid, refunded): a late event changes nothing
+    if (error.name === "ConditionalCheckFailedException" && error.Item) return false;
+    throw error;
+  }
+
+  try {
+    const { Attributes } = await ddb.send(new UpdateItemCommand({
+      TableName: TABLES.ORDERS,
+      Key: { orderId: { S: orderId } },
+      UpdateExpression: "SET #status = :toStatus",
+      ConditionExpression: "#status = :fromStatus",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":toStatus": { S: toStatus },
+        ":fromStatus": { S: fromStatus },
+      },
+      ReturnValues: "ALL_NEW",
+    }));
+    // A paid web order is the kitchen's cue to start
+    const order = unmarshall(Attributes || {});
+    await publishOrderEvent(ddb, { restaurantId: order.restaurantId, type: orderEventType(toStatus), orderId, status: toStatus });
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") return false; // Already past pending
+    throw error;
+  }
+}
+
+export const handler = async (event) => {
+  const signature = getHeader(event, "stripe-signature");
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error("[Stripe Webhook] STRIPE_WEBHOOK_SECRET is not configured");
+    return respond(500, { error: "Webhook not configured" });
+  }
+
+  let stripeEvent;
+  try {
+    stripeEvent = getStripe().webhooks.constructEvent(getRawBody(event), signature || "", webhookSecret);
+  } catch (error) {
+    console.warn("[Stripe Webhook] Signature verification failed:", error.message);
+    return respond(400, { error: "Invalid signature" });
+  }
+
+  try {
+    const intent = stripeEvent.data?.object;
+    console.log("[Stripe Webhook] Event received", { id: stripeEvent.id, type: stripeEvent.type, paymentIntentId: intent?.id });
+
+    if (stripeEvent.type !== "payment_intent.succeeded" && stripeEvent.type !== "payment_intent.payment_failed") {
+      return respond(200, { received: true, ignored: stripeEvent.type });
+    }
+
+    const orderId = await findOrderId(intent);
+    if (!orderId) {
+      if (await isReleasedPayment(intent)) {
+        console.log("[Stripe Webhook] Payment was released for a rejected order", { paymentIntentId: intent.id });
+        return respond(200, { received: true, released: true });
+      }
+      // Client confirms the card before calling createOrder, so this is expected once; Stripe retries
+      console.warn("[Stripe Webhook] No order for PaymentIntent yet", { paymentIntentId: intent.id });
+      return respond(404, { error: "Order not found for payment" });
+    }
+
+    if (stripeEvent.type === "payment_intent.succeeded") {
+      await updatePaymentRecord(intent, orderId, "succeeded");
+      const moved = await updateOrderPayment(orderId, {
+        paymentStatus: "paid",
+        fromStatus: "pending_payment",
+        toStatus: "paid",
+        extra: { paidAt: new Date().toISOString() },
+      });
+      console.log("[Stripe Webhook] Payment succeeded", { orderId, paymentIntentId: intent.id, statusChanged: moved });
+    } else {
+      const message = intent.last_payment_error?.message || "Payment failed";
+      if (!(await updatePaymentRecord(intent, orderId, "failed"))) {
+        console.warn("[Stripe Webhook] Ignoring failure for a payment that already went through", { orderId, paymentIntentId: intent.id });
+        return respond(200, { received: true, orderId, ignored: "already_paid" });
+      }
+      const moved = await updateOrderPayment(orderId, {
+        paymentStatus: "failed",
+        fromStatus: "pending_payment",
+        toStatus: "payment_failed",
+        extra: { paymentError: message },
+      });
+      console.warn("[Stripe Webhook] Payment failed", { orderId, paymentIntentId: intent.id, message, statusChanged: moved });
+    }
+
+    return respond(200, { received: true, orderId });
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      console.warn("[Stripe Webhook] Order record missing", { message: error.message });
+      return respond(404, { error: "Order not found for payment" });
+    }
+    console.error("[Stripe Webhook] Error:", error);
+    return respond(500, { error: error.message });
+  }
+};
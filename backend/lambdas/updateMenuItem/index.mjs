@@ -1,5 +1,8 @@
 /**
- * PUT/PATCH /menu/{menuItemId} - Update an existing menu item.
+ * PUT/PATCH /admin/menu/{menuItemId} - Update an existing menu item (admin JWT).
+ * Partial update: only the fields in the body change. The merged item is validated
+ * (v2 pizzas with validatePizzaMenuItem, combos with validateComboMenuItem, v1 prices
+ * must be non-negative numbers, modifierGroups with validateModifierGroups).
  *
  * NOTE: This file was previously empty, which caused CDK to upload an empty zip
  * and Lambda deployment to fail. This minimal handler fixes packaging and supports
@@ -7,7 +10,10 @@
  */
 import { DynamoDBClient, UpdateItemCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId } from "../utils/inject-restaurant-id.mjs";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { isPizzaMenuItem, validatePizzaMenuItem } from "../utils/pizza-pricing.mjs";
+import { normalizeModifierGroups, validateModifierGroups } from "../utils/modifier-groups.mjs";
+import { isComboMenuItem, normalizeComboComponents, validateComboMenuItem } from "../utils/combo-items.mjs";
 
 const ddb = new DynamoDBClient();
 
@@ -34,13 +40,16 @@ export const handler = async (event) => {
       return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: "Missing menuItemId" }) };
     }
 
-    // Multi-tenant: currently we only extract restaurantId so future table design can filter;
-    // MenuItems table in this project is shared by name, so we keep updates simple.
-    const restaurantId = extractRestaurantId(event);
+    // MULTI-TENANT: Tenant comes from the owner's token, never from headers or the body
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, headers: corsHeaders, body: JSON.stringify({ error: auth.error }) };
+    }
+    const { restaurantId } = auth;
 
     const body = event?.body ? JSON.parse(event.body) : {};
-    // Strip primary key fields from update body
-    const { id, menuItemId: bodyMenuItemId, ...updates } = body || {};
+    // Strip primary key and tenant fields from update body
+    const { id, menuItemId: bodyMenuItemId, itemId: bodyItemId, restaurantId: bodyRestaurantId, ...updates } = body || {};
 
     // Resolve which DynamoDB PK to update:
     // - Prefer restaurant-prefixed PK when restaurantId exists (e.g., demo123#pizza-byo)
@@ -77,6 +86,57 @@ export const handler = async (event) => {
       return { statusCode: 403, headers: corsHeaders, body: JSON.stringify({ error: "Forbidden: Menu item belongs to different restaurant" }) };
     }
 
+    // Validate the item as it will look after the update
+    if (updates.components !== undefined) {
+      updates.components = normalizeComboComponents(updates.components);
+    }
+    if (updates.bundlePriceCents !== undefined) {
+      updates.bundlePriceCents = Math.round(Number(updates.bundlePriceCents));
+    }
+    const merged = { ...existingItem, ...updates };
+    if (isComboMenuItem(merged)) {
+      const validation = validateComboMenuItem(merged);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: "Invalid combo configuration", details: validation.errors }),
+        };
+      }
+    } else if (isPizzaMenuItem(merged)) {
+      const validation = validatePizzaMenuItem(merged);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: "Invalid pizza item configuration", details: validation.errors }),
+        };
+      }
+    } else if (updates.price !== undefined) {
+      const price = Number(updates.price);
+      if (!Number.isFinite(price) || price < 0) {
+        return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: "price must be a non-negative number" }) };
+      }
+      updates.price = price;
+    }
+    if (updates.modifierGroups !== undefined) {
+      if (updates.modifierGroups !== null && !Array.isArray(updates.modifierGroups)) {
+        return { statusCode: 400, headers: corsHeaders, body: JSON.stringify({ error: "modifierGroups must be an array" }) };
+      }
+      updates.modifierGroups = normalizeModifierGroups(updates.modifierGroups);
+      const validation = validateModifierGroups(updates.modifierGroups);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: "Invalid modifier groups", details: validation.errors }),
+        };
+      }
+    }
+    if (updates.sortOrder !== undefined) {
+      updates.sortOrder = Number(updates.sortOrder) || 0;
+    }
+
     // Build UpdateExpression dynamically
     const updateKeys = Object.keys(updates).filter(k => updates[k] !== undefined);
     if (updateKeys.length === 0) {
@@ -123,7 +183,12 @@ export const handler = async (event) => {
     return {
       statusCode: 200,
       headers: corsHeaders,
-      body: JSON.stringify({ success: true, menuItemId: resolvedKey, attributes: result.Attributes || null }),
+      body: JSON.stringify({
+        success: true,
+        menuItemId: resolvedKey,
+        attributes: result.Attributes || null,
+        menuItem: result.Attributes ? unmarshall(result.Attributes) : null,
+      }),
     };
   } catch (error) {
     console.error("UpdateMenuItem error:", error);
@@ -1,84 +1,131 @@
 /**
- * PATCH /order/{id} - Update order status and other fields
+ * PATCH /admin/order/{id} - Update order status and other fields (admin or kitchen JWT)
  * Used by kitchen display and admin dashboard to update order status.
+ * Status changes follow the state machine in utils/order-status.mjs (illegal moves -> 409)
+ * and stamp a per-status timestamp (readyAt, outForDeliveryAt, ...) plus a statusHistory entry.
+ * Reaching completed credits the customer's loyalty points; cancelling gives back points
+ * spent on the order (utils/loyalty.mjs) and the promotion uses it counted (utils/promotions.mjs).
+ *
+ * Also edits a submitted order (phone call-backs, address fixes):
+ *   items:    { add: [{ itemId, quantity, pizzaDetails?, notes? }], remove: [lineKey], update: [{ lineKey, quantity?, notes? }] }
+ *   customer: { name?, phone?, email?, address?, table?, instructions? }
+ *   note:     optional reason, kept in the history entry
+ * Edits re-price the order and append an entry to the order's `history`. The order and
+ * the OrderItems rows an edit changes are written in one transaction.
+ *
+ * Idempotency-Key header (optional): the kitchen tablet replays queued changes after
+ * being offline. The key is kept on the statusHistory/history entry it produced, and a
+ * request whose key is already on the order returns the order as-is (replayed: true).
  */
-import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, GetItemCommand, QueryCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractAndValidateRestaurantId, injectRestaurantId } from '../utils/inject-restaurant-id.mjs';
+import { injectRestaurantId, injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute } from '../utils/route-auth.mjs';
+import { NON_EDITABLE_STATUSES, applyCustomerChanges, applyItemChanges, describeEdit, isActiveLine, repriceOrder } from '../utils/order-edit.mjs';
+import { computeKitchenLoad } from '../utils/kitchen-capacity.mjs';
+import { ORDER_STATUSES, STATUS_TIMESTAMP_FIELDS, checkTransition } from '../utils/order-status.mjs';
+import { publishOrderEvent, orderEventType } from '../utils/kitchen-events.mjs';
+import { MAX_TRANSACTION_WRITES, commitOrderWrites } from '../utils/order-transaction.mjs';
+import { releasePromotionRedemptions } from '../utils/promotions.mjs';
+import { calculateOrderPoints, earnOrderPoints, getOrderLoyaltyPhone, planOrderPointReversal, reverseOrderPoints } from '../utils/loyalty.mjs';
 
 const ddb = new DynamoDBClient();
 
 const TABLES = {
   ORDERS: "Orders",
+  ORDER_ITEMS: "OrderItems",
   SETTINGS: "RestaurantSettings",
 };
 
-/**
- * Get JWT claims from API Gateway (HTTP API JWT authorizer).
- */
-function getJwtClaims(event) {
-  return event?.requestContext?.authorizer?.jwt?.claims || null;
+function getHeader(event, name) {
+  const headers = event?.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
 }
 
 /**
- * Is this request authenticated as a kitchen device user?
- * Kitchen users are created as username: kitchen-{restaurantId}
+ * Has a request with this Idempotency-Key already been applied to the order?
  */
-function isKitchenClaims(claims) {
-  if (!claims) return false;
-  const username = claims['cognito:username'] || claims.username || '';
-  return typeof username === 'string' && username.startsWith('kitchen-');
-}
-
-function parseClaimInt(claims, key) {
-  if (!claims || claims[key] == null) return null;
-  const n = parseInt(String(claims[key]), 10);
-  return Number.isFinite(n) ? n : null;
+function wasApplied(order, idempotencyKey) {
+  if (!idempotencyKey || !order) return false;
+  return [...(order.statusHistory || []), ...(order.history || [])]
+    .some((entry) => entry?.requestId === idempotencyKey);
 }
 
 /**
- * Enforce that kitchen tokens are only valid if issued AFTER the current PIN was set.
+ * Who made a change, for the order history
  */
-async function assertKitchenSessionValid(restaurantId, claims) {
-  const authTimeSec = parseClaimInt(claims, 'auth_time') || parseClaimInt(claims, 'iat');
-  if (!authTimeSec) {
-    return { ok: false, reason: 'Missing auth_time' };
-  }
-
-  const tokenAuthMs = authTimeSec * 1000;
-  const settingId = `restaurant-config-${restaurantId}`;
+function getEditor(auth) {
+  const claims = auth.claims || {};
+  return {
+    by: claims.email || claims['cognito:username'] || claims.username || claims.sub || 'unknown',
+    role: auth.role,
+  };
+}
 
+async function loadSettings(restaurantId) {
+  const settingId = restaurantId ? `restaurant-config-${restaurantId}` : 'restaurant-config';
   const { Item } = await ddb.send(new GetItemCommand({
     TableName: TABLES.SETTINGS,
     Key: { settingId: { S: settingId } },
   }));
+  return Item ? unmarshall(Item) : {};
+}
 
-  const settings = Item ? unmarshall(Item) : {};
-  const pinSetAt = settings.kitchenPinSetAt;
-  if (!pinSetAt) {
-    return { ok: true };
-  }
+async function loadOrderItems(orderId) {
+  const result = await ddb.send(new QueryCommand({
+    TableName: TABLES.ORDER_ITEMS,
+    KeyConditionExpression: "orderId = :oid",
+    ExpressionAttributeValues: { ":oid": { S: orderId } },
+  }));
+  return (result.Items || []).map(unmarshall);
+}
 
-  const pinSetMs = new Date(pinSetAt).getTime();
-  if (!Number.isFinite(pinSetMs)) {
-    return { ok: true };
+/**
+ * Write the order update, and the OrderItems rows an edit changed with it, all or nothing.
+ * A transaction can't return the updated item, so an edit reads the order back afterwards.
+ *
+ * @returns {Promise<Object|null>} The updated order, or null when the order's condition failed
+ */
+async function saveOrderUpdate(updateParams, rows, restaurantId) {
+  if (rows.length === 0) {
+    try {
+      const { Attributes } = await ddb.send(new UpdateItemCommand({ ...updateParams, ReturnValues: 'ALL_NEW' }));
+      return unmarshall(Attributes);
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') return null;
+      throw error;
+    }
   }
 
-  if (tokenAuthMs < pinSetMs) {
-    return { ok: false, reason: 'PIN rotated' };
-  }
+  const result = await commitOrderWrites(ddb, [
+    { write: { Update: updateParams }, rejection: { code: 'order_changed', reason: 'Order was changed by someone else' } },
+    ...rows.map((row) => ({
+      write: {
+        Put: {
+          TableName: TABLES.ORDER_ITEMS,
+          Item: marshall(restaurantId ? injectRestaurantIdForWrite(row, restaurantId) : row, { removeUndefinedValues: true }),
+        },
+      },
+      rejection: null,
+    })),
+  ]);
+  if (!result.ok) return null;
 
-  return { ok: true };
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: TABLES.ORDERS,
+    Key: updateParams.Key,
+    ConsistentRead: true,
+  }));
+  return unmarshall(Item);
 }
 
-// Valid status transitions
-const VALID_STATUSES = ['needs_callback', 'new', 'paid', 'accepted', 'preparing', 'ready', 'completed', 'cancelled'];
-
 export const handler = async (event) => {
   // CORS headers for all responses
   const corsHeaders = {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, Idempotency-Key",
     "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
     "Content-Type": "application/json",
   };
@@ -116,38 +163,28 @@ export const handler = async (event) => {
       };
     }
 
-    const { status, acceptedAt } = body;
+    const { status, acceptedAt, items: itemChanges, customer: customerChanges, note } = body;
+    const isEdit = !!(itemChanges || customerChanges);
+    const idempotencyKey = getHeader(event, 'Idempotency-Key') || undefined;
 
-    // MULTI-TENANT: Extract restaurantId (JWT claims take precedence and must match header/path if both exist)
-    const { restaurantId, error: tenantError } = extractAndValidateRestaurantId(event, { requireJwt: false, validateMatch: true });
-    if (tenantError) {
+    // MULTI-TENANT: Tenant comes from the admin/kitchen token only (kitchen tokens are checked against PIN rotation)
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
       return {
-        statusCode: 403,
+        statusCode: auth.statusCode,
         headers: corsHeaders,
-        body: JSON.stringify({ error: tenantError }),
+        body: JSON.stringify({ error: auth.error }),
       };
     }
-
-    // If this is a kitchen JWT request, enforce PIN rotation invalidation
-    const claims = getJwtClaims(event);
-    if (restaurantId && isKitchenClaims(claims)) {
-      const session = await assertKitchenSessionValid(restaurantId, claims);
-      if (!session.ok) {
-        return {
-          statusCode: 401,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: "Kitchen session invalidated. Please re-pair with the new PIN." }),
-        };
-      }
-    }
+    const { restaurantId } = auth;
 
     // Validate status if provided
-    if (status && !VALID_STATUSES.includes(status)) {
+    if (status && !ORDER_STATUSES.includes(status)) {
       return {
         statusCode: 400,
         headers: corsHeaders,
         body: JSON.stringify({ 
-          error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}` 
+          error: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}` 
         }),
       };
     }
@@ -170,8 +207,8 @@ export const handler = async (event) => {
 
     let existingOrder = unmarshall(getResult.Item);
     
-    // MULTI-TENANT: Verify order belongs to this restaurant (if restaurantId available)
-    if (restaurantId && existingOrder.restaurantId && existingOrder.restaurantId !== restaurantId) {
+    // MULTI-TENANT: Verify order belongs to this restaurant
+    if (existingOrder.restaurantId && existingOrder.restaurantId !== restaurantId) {
       return {
         statusCode: 403,
         headers: corsHeaders,
@@ -179,69 +216,296 @@ export const handler = async (event) => {
       };
     }
 
+    // Replayed request (offline queue, client retry): already done, don't apply it twice
+    if (wasApplied(existingOrder, idempotencyKey)) {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          success: true,
+          replayed: true,
+          order: restaurantId ? injectRestaurantId(existingOrder, restaurantId) : existingOrder,
+        }),
+      };
+    }
+
     // Build update expression
     const updateExpressions = [];
     const expressionAttributeNames = {};
     const expressionAttributeValues = {};
+    let conditionExpression;
+    let changedRows = [];
+    let editSummary = null;
+    let loyaltyChange = null;
 
-    if (status) {
-      updateExpressions.push('#status = :status');
-      expressionAttributeNames['#status'] = 'status';
-      expressionAttributeValues[':status'] = { S: status };
-    }
+    if (isEdit) {
+      if (NON_EDITABLE_STATUSES.includes(existingOrder.status)) {
+        return {
+          statusCode: 409,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: `Order is ${existingOrder.status} and can no longer be edited` }),
+        };
+      }
 
-    if (acceptedAt) {
-      updateExpressions.push('acceptedAt = :acceptedAt');
-      expressionAttributeValues[':acceptedAt'] = { S: acceptedAt };
-    }
+      const edit = {};
+      const historyEntry = {};
+
+      if (itemChanges) {
+        const itemResult = await applyItemChanges({
+          ddb,
+          orderId,
+          currentItems: await loadOrderItems(orderId),
+          changes: itemChanges,
+        });
+        if (itemResult.error) {
+          return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: itemResult.error }),
+          };
+        }
+
+        const settings = await loadSettings(restaurantId || existingOrder.restaurantId);
+        const pricing = repriceOrder(existingOrder, itemResult.rows, settings);
+        const activeRows = itemResult.rows.filter(isActiveLine);
+
+        Object.assign(edit, pricing, {
+          itemCount: activeRows.length,
+          hasPizzaItems: activeRows.some((it) => it.isPizza || !!it.pizzaDetails || !!it.comboComponents?.some((c) => c.type === "pizza")),
+          kitchenLoad: computeKitchenLoad(activeRows.map((it) => ({ ...it, isPizza: it.isPizza || !!it.pizzaDetails }))),
+        });
+
+        // Card already charged: the difference is collected (or refunded) separately
+        if (existingOrder.paymentStatus === 'paid') {
+          const paidAmount = existingOrder.paidAmount ?? existingOrder.total;
+          edit.paidAmount = paidAmount;
+          edit.balanceDue = +(pricing.total - paidAmount).toFixed(2);
+        }
+
+        changedRows = itemResult.changed;
+        // The order takes one slot of the transaction
+        if (changedRows.length >= MAX_TRANSACTION_WRITES) {
+          return {
+            statusCode: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: `Too many item changes in one edit (at most ${MAX_TRANSACTION_WRITES - 1})` }),
+          };
+        }
+        historyEntry.items = itemResult.summary;
+        historyEntry.totals = { from: existingOrder.total, to: pricing.total };
+      }
 
-    // Always update updatedAt timestamp
-    const updatedAt = new Date().toISOString();
-    updateExpressions.push('updatedAt = :updatedAt');
-    expressionAttributeValues[':updatedAt'] = { S: updatedAt };
+      let customerDiffs = [];
+      if (customerChanges) {
+        const customerResult = applyCustomerChanges(existingOrder, customerChanges);
+        customerDiffs = customerResult.diffs;
+        if (customerDiffs.length > 0) {
+          edit.customer = customerResult.customer;
+          historyEntry.changes = customerDiffs;
+        }
+      }
+
+      if (changedRows.length === 0 && customerDiffs.length === 0) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: "Nothing to change" }),
+        };
+      }
 
-    // If status is 'completed', set completedAt
-    if (status === 'completed') {
-      updateExpressions.push('completedAt = :completedAt');
-      expressionAttributeValues[':completedAt'] = { S: updatedAt };
+      editSummary = describeEdit(historyEntry.items, customerDiffs);
+      const editedAt = new Date().toISOString();
+      const editCount = existingOrder.editCount || 0;
+
+      Object.assign(edit, {
+        editedAt,
+        editCount: editCount + 1,
+        lastEditSummary: editSummary,
+      });
+
+      Object.entries(edit).forEach(([key, value]) => {
+        if (value === undefined) return;
+        updateExpressions.push(`#edit_${key} = :edit_${key}`);
+        expressionAttributeNames[`#edit_${key}`] = key;
+        expressionAttributeValues[`:edit_${key}`] = marshall({ v: value }, { removeUndefinedValues: true }).v;
+      });
+
+      // History is append-only
+      updateExpressions.push('history = list_append(if_not_exists(history, :emptyHistory), :historyEntry)');
+      expressionAttributeValues[':emptyHistory'] = { L: [] };
+      expressionAttributeValues[':historyEntry'] = marshall({
+        v: [{ at: editedAt, ...getEditor(auth), note: note ? String(note) : undefined, requestId: idempotencyKey, ...historyEntry }],
+      }, { removeUndefinedValues: true }).v;
+
+      // Two people editing the same ticket: the second one has to reload
+      conditionExpression = 'attribute_not_exists(editCount) OR editCount = :prevEditCount';
+      expressionAttributeValues[':prevEditCount'] = { N: String(editCount) };
     }
 
-    // If status is 'cancelled', set cancelledAt
-    if (status === 'cancelled') {
-      updateExpressions.push('cancelledAt = :cancelledAt');
-      expressionAttributeValues[':cancelledAt'] = { S: updatedAt };
+    const updatedAt = new Date().toISOString();
+    const transition = status ? checkTransition(existingOrder, status) : null;
+
+    if (transition && !transition.ok) {
+      return {
+        statusCode: 409,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: transition.error, status: existingOrder.status, allowed: transition.allowed }),
+      };
     }
 
-    if (updateExpressions.length === 0) {
+    // Same status again (retry / double tap) with nothing else to change: nothing to write
+    if (transition?.noop && !isEdit && !acceptedAt) {
       return {
-        statusCode: 400,
+        statusCode: 200,
         headers: corsHeaders,
-        body: JSON.stringify({ error: "No fields to update" }),
+        body: JSON.stringify({
+          success: true,
+          order: restaurantId ? injectRestaurantId(existingOrder, restaurantId) : existingOrder,
+        }),
       };
     }
 
+    if (transition && !transition.noop) {
+      updateExpressions.push('#status = :status');
+      expressionAttributeNames['#status'] = 'status';
+      expressionAttributeValues[':status'] = { S: status };
+
+      // Every transition stamps its own timestamp (readyAt, outForDeliveryAt, ...) for Reports
+      const stamps = { [STATUS_TIMESTAMP_FIELDS[status]]: updatedAt };
+      // Kitchen "accept" goes straight to preparing - it still counts as accepted
+      if (status === 'preparing' && !existingOrder.acceptedAt) {
+        stamps.acceptedAt = updatedAt;
+      }
+      if (acceptedAt) {
+        stamps.acceptedAt = acceptedAt;
+      }
+      Object.entries(stamps).forEach(([field, value]) => {
+        updateExpressions.push(`${field} = :${field}`);
+        expressionAttributeValues[`:${field}`] = { S: value };
+      });
+
+      // Loyalty: completed orders earn points, cancelled ones give spent points back (posted after the write)
+      if (getOrderLoyaltyPhone(existingOrder)) {
+        if (status === 'completed') {
+          const points = calculateOrderPoints(existingOrder, await loadSettings(restaurantId || existingOrder.restaurantId));
+          if (points > 0) loyaltyChange = { earn: points };
+        } else if (status === 'cancelled') {
+          const plan = planOrderPointReversal(existingOrder, { full: true });
+          if (plan.reversePoints > 0 || plan.returnPoints > 0) loyaltyChange = { plan };
+        }
+      }
+      if (loyaltyChange?.earn) {
+        updateExpressions.push('loyaltyPointsEarned = :loyaltyPointsEarned');
+        expressionAttributeValues[':loyaltyPointsEarned'] = { N: String(loyaltyChange.earn) };
+      }
+      if (loyaltyChange?.plan?.returnPoints) {
+        updateExpressions.push('loyaltyPointsReturned = :loyaltyPointsReturned');
+        expressionAttributeValues[':loyaltyPointsReturned'] = { N: String(loyaltyChange.plan.returnPoints) };
+      }
+
+      updateExpressions.push('statusHistory = list_append(if_not_exists(statusHistory, :emptyStatusHistory), :statusEntry)');
+      expressionAttributeValues[':emptyStatusHistory'] = { L: [] };
+      expressionAttributeValues[':statusEntry'] = marshall({
+        v: [{ from: existingOrder.status || 'new', to: status, at: updatedAt, ...getEditor(auth), requestId: idempotencyKey }],
+      }, { removeUndefinedValues: true }).v;
+
+      // Someone else moved it first: fail instead of overwriting their transition
+      let statusCondition = 'attribute_not_exists(#status)';
+      if (existingOrder.status) {
+        statusCondition = '#status = :fromStatus';
+        expressionAttributeValues[':fromStatus'] = { S: existingOrder.status };
+      }
+      conditionExpression = conditionExpression ? `(${conditionExpression}) AND ${statusCondition}` : statusCondition;
+    } else if (acceptedAt) {
+      updateExpressions.push('acceptedAt = :acceptedAt');
+      expressionAttributeValues[':acceptedAt'] = { S: acceptedAt };
+    }
+
+    // Always update updatedAt timestamp
+    updateExpressions.push('updatedAt = :updatedAt');
+    expressionAttributeValues[':updatedAt'] = { S: updatedAt };
+
     // Execute update
     const updateParams = {
       TableName: TABLES.ORDERS,
       Key: { orderId: { S: orderId } },
       UpdateExpression: `SET ${updateExpressions.join(', ')}`,
       ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW',
     };
 
     if (Object.keys(expressionAttributeNames).length > 0) {
       updateParams.ExpressionAttributeNames = expressionAttributeNames;
     }
 
-    const updateResult = await ddb.send(new UpdateItemCommand(updateParams));
-    let updatedOrder = unmarshall(updateResult.Attributes);
-    
+    if (conditionExpression) {
+      updateParams.ConditionExpression = conditionExpression;
+    }
+
+    let updatedOrder = await saveOrderUpdate(updateParams, changedRows, restaurantId || existingOrder.restaurantId);
+    if (!updatedOrder) {
+      // Lost the race against the same request sent twice: that one applied it
+      if (idempotencyKey) {
+        const { Item } = await ddb.send(new GetItemCommand({
+          TableName: TABLES.ORDERS,
+          Key: { orderId: { S: orderId } },
+        }));
+        const current = Item ? unmarshall(Item) : null;
+        if (wasApplied(current, idempotencyKey)) {
+          return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({
+              success: true,
+              replayed: true,
+              order: restaurantId ? injectRestaurantId(current, restaurantId) : current,
+            }),
+          };
+        }
+      }
+      return {
+        statusCode: 409,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: "Order was changed by someone else - reload and try again" }),
+      };
+    }
+
     // MULTI-TENANT: Lazy inject restaurantId if missing (for backward compatibility)
     if (restaurantId) {
       updatedOrder = injectRestaurantId(updatedOrder, restaurantId);
     }
 
-    console.log("UpdateOrder success:", { orderId, status, updatedAt });
+    // Ledger entries have fixed ids per order, so a retry can't post them twice
+    if (loyaltyChange) {
+      try {
+        if (loyaltyChange.earn) {
+          await earnOrderPoints(ddb, { order: updatedOrder, points: loyaltyChange.earn });
+        } else {
+          await reverseOrderPoints(ddb, { order: updatedOrder, plan: loyaltyChange.plan, key: 'cancel', reason: 'Order cancelled', by: getEditor(auth).by });
+        }
+      } catch (error) {
+        console.error("UpdateOrder loyalty posting failed:", { orderId, message: error.message });
+      }
+    }
+
+    // Cancelled: the customer's limited promotions can be used again (the status condition
+    // above makes this the only request that cancels the order)
+    if (transition && !transition.noop && status === 'cancelled' && updatedOrder.promotionRedemptions?.length) {
+      try {
+        await releasePromotionRedemptions(ddb, { restaurantId: updatedOrder.restaurantId, redemptions: updatedOrder.promotionRedemptions });
+      } catch (error) {
+        console.error("UpdateOrder promotion release failed:", { orderId, message: error.message });
+      }
+    }
+
+    // Other tablets (and this one) refetch; the tablet that made the change already shows it
+    await publishOrderEvent(ddb, {
+      restaurantId: updatedOrder.restaurantId,
+      type: orderEventType(updatedOrder.status),
+      orderId,
+      status: updatedOrder.status,
+    });
+
+    console.log("UpdateOrder success:", { orderId, status, updatedAt, edit: editSummary || undefined });
 
     return {
       statusCode: 200,
@@ -1,14 +1,18 @@
 /**
- * PUT/PATCH /settings - Update restaurant settings
+ * PUT/PATCH /admin/settings - Update restaurant settings (admin JWT)
  * Stores settings in RestaurantSettings table.
+ * The record is keyed by the token's restaurant; kitchen PIN metadata (/kitchen/pin)
+ * and the Vapi secret and signature setting (scripts/set-vapi-secret.mjs) can't be
+ * overwritten from here.
  *
  * NOTE: This file was previously empty, which caused CDK to upload an empty zip
  * and Lambda deployment to fail. This minimal handler fixes packaging and provides
  * correct behavior.
  */
-import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
-import { marshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId, injectRestaurantIdForWrite } from "../utils/inject-restaurant-id.mjs";
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { injectRestaurantIdForWrite } from "../utils/inject-restaurant-id.mjs";
+import { authorizeRoute } from "../utils/route-auth.mjs";
 
 const ddb = new DynamoDBClient();
 
@@ -16,6 +20,13 @@ const TABLES = {
   SETTINGS: "RestaurantSettings",
 };
 
+// Written by other endpoints; carried over from the stored record, never taken from the body
+const SERVER_MANAGED_PREFIXES = ["kitchenPin", "vapiSecret", "vapiRequireSignature"];
+
+function isServerManaged(key) {
+  return key === "settingId" || key === "restaurantId" || SERVER_MANAGED_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
 export const handler = async (event) => {
   const corsHeaders = {
     "Access-Control-Allow-Origin": "*",
@@ -30,24 +41,34 @@ export const handler = async (event) => {
   }
 
   try {
-    const restaurantId = extractRestaurantId(event);
+    // MULTI-TENANT: Tenant comes from the owner's token, never from headers or the body
+    const auth = await authorizeRoute(event);
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, headers: corsHeaders, body: JSON.stringify({ error: auth.error }) };
+    }
+    const { restaurantId } = auth;
     const body = event?.body ? JSON.parse(event.body) : {};
 
     // Match createOrder's settings lookup strategy
-    const settingId = restaurantId
-      ? (restaurantId.startsWith("restaurant-config") ? restaurantId : `restaurant-config-${restaurantId}`)
-      : "restaurant-config";
+    const settingId = `restaurant-config-${restaurantId}`;
 
-    let record = {
+    const { Item } = await ddb.send(
+      new GetItemCommand({
+        TableName: TABLES.SETTINGS,
+        Key: { settingId: { S: settingId } },
+      })
+    );
+    const existing = Item ? unmarshall(Item) : {};
+
+    const updates = Object.fromEntries(Object.entries(body || {}).filter(([key]) => !isServerManaged(key)));
+    const preserved = Object.fromEntries(Object.entries(existing).filter(([key]) => isServerManaged(key)));
+
+    const record = injectRestaurantIdForWrite({
+      ...updates,
+      ...preserved,
       settingId,
-      ...body,
       updatedAt: new Date().toISOString(),
-    };
-
-    // Ensure restaurantId persisted for multi-tenant reads (optional but helpful)
-    if (restaurantId) {
-      record = injectRestaurantIdForWrite(record, restaurantId);
-    }
+    }, restaurantId);
 
     await ddb.send(
       new PutItemCommand({
@@ -59,7 +80,7 @@ export const handler = async (event) => {
     return {
       statusCode: 200,
       headers: corsHeaders,
-      body: JSON.stringify({ success: true, settings: record }),
+      body: JSON.stringify({ success: true, settings: { ...record, vapiSecret: undefined } }),
     };
   } catch (error) {
     console.error("UpdateSettings error:", error);
@@ -0,0 +1,98 @@
+/**
+ * Call Logs
+ *
+ * CallLogs table: PK restaurantId, SK callId (the Vapi call id). One record per
+ * phone call, built up from several writers as the call progresses:
+ *
+ *   vapiCallEvents   - status-update (status, caller, startedAt) and
+ *                      end-of-call-report (duration, endedReason, transcript,
+ *                      summary, recording, cost)
+ *   vapiOrderWebhook - orderId / orderNumber / orderTotal once submit_order succeeds
+ *
+ * Any of them can arrive first, so every write is an upsert.
+ * GSI restaurantId-startedAt-index lists a restaurant's calls newest first.
+ */
+
+import { UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall } from "@aws-sdk/util-dynamodb";
+
+export const CALL_LOGS_TABLE = "CallLogs";
+export const CALL_LOGS_BY_START_INDEX = "restaurantId-startedAt-index";
+
+/**
+ * Vapi call id from a server message or tool-call payload
+ *
+ * @param {Object|string} body - request body
+ * @returns {string|null}
+ */
+export function getVapiCallId(body) {
+  try {
+    const parsed = typeof body === "string" ? JSON.parse(body) : body;
+    const id = parsed?.message?.call?.id || parsed?.call?.id;
+    return id ? String(id) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Upsert a call record. `values` are SET as-is; `ifMissing` only fills attributes
+ * that aren't there yet (first writer wins, e.g. startedAt).
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {string} params.callId
+ * @param {Object} [params.values]
+ * @param {Object} [params.ifMissing]
+ * @param {string} [params.conditionExpression] - may use #status and :ended
+ */
+export async function upsertCallLog(ddb, { restaurantId, callId, values = {}, ifMissing = {}, conditionExpression }) {
+  const now = new Date().toISOString();
+  const names = {};
+  const attrValues = { ":now": now };
+  const sets = ["updatedAt = :now", "createdAt = if_not_exists(createdAt, :now)"];
+
+  let i = 0;
+  for (const [field, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    names[`#f${i}`] = field;
+    attrValues[`:v${i}`] = value;
+    sets.push(`#f${i} = :v${i}`);
+    i++;
+  }
+  for (const [field, value] of Object.entries(ifMissing)) {
+    if (value === undefined) continue;
+    names[`#f${i}`] = field;
+    attrValues[`:v${i}`] = value;
+    sets.push(`#f${i} = if_not_exists(#f${i}, :v${i})`);
+    i++;
+  }
+
+  if (conditionExpression) {
+    names["#status"] = "status";
+    attrValues[":ended"] = "ended";
+  }
+
+  await ddb.send(new UpdateItemCommand({
+    TableName: CALL_LOGS_TABLE,
+    Key: marshall({ restaurantId: String(restaurantId), callId: String(callId) }),
+    UpdateExpression: `SET ${sets.join(", ")}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: marshall(attrValues, { removeUndefinedValues: true }),
+    ...(conditionExpression ? { ConditionExpression: conditionExpression } : {}),
+  }));
+}
+
+/**
+ * Link the order a call produced (submit_order succeeded)
+ */
+export async function linkCallOrder(ddb, { restaurantId, callId, orderId, orderNumber, orderTotal }) {
+  await upsertCallLog(ddb, {
+    restaurantId,
+    callId,
+    values: { orderId, orderNumber, orderTotal },
+    // Keeps the call listed if the status-update never arrives
+    ifMissing: { startedAt: new Date().toISOString() },
+  });
+}
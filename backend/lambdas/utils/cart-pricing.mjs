@@ -0,0 +1,310 @@
+/**
+ * Web Cart Pricing
+ *
+ * Server-side pricing for web carts. createPaymentIntent and createOrder both
+ * price the cart through here, so the amount charged by Stripe and the total
+ * stored on the order always come from the same code. Promotions
+ * (utils/promotions.mjs) are applied after the items are priced, then loyalty
+ * points (utils/loyalty.mjs) against what's left, all before tax. Delivery orders
+ * add the restaurant's delivery fee (utils/order-policy.mjs), same as phone orders.
+ */
+
+import { BatchGetItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { isPizzaMenuItem, calculatePizzaPriceCents, hasRecipe, describeRecipeChanges } from "./pizza-pricing.mjs";
+import { hasModifierGroups, resolveModifierSelections } from "./modifier-groups.mjs";
+import { isComboMenuItem, getComboComponentItemIds, priceComboSelections } from "./combo-items.mjs";
+import { getBaseItemId } from "./menu-items.mjs";
+import { evaluateOrderPromotions } from "./promotions.mjs";
+import { priceLoyaltyRedemption } from "./loyalty.mjs";
+import { getDeliveryFeeCents } from "./order-policy.mjs";
+
+const MENU_TABLE = "MenuItems";
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// =============================================================================
+// MENU LOOKUP
+// =============================================================================
+
+/**
+ * Batch fetch menu items by itemId (batched in groups of 25)
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {Array<string>} itemIds - Cart itemIds
+ * @returns {Promise<Object>} - Map of itemId -> menu item
+ */
+export async function batchGetMenuItems(ddb, itemIds) {
+  if (!itemIds || itemIds.length === 0) return {};
+
+  const uniqueIds = [...new Set(itemIds.map(id => String(id)))];
+  const menuItemsMap = {};
+
+  // BatchGetItem allows max 100 keys per request, but we'll do 25 at a time
+  for (let i = 0; i < uniqueIds.length; i += 25) {
+    const slice = uniqueIds.slice(i, i + 25);
+    const Keys = slice.map(id => ({ itemId: { S: id } }));
+
+    try {
+      const result = await ddb.send(new BatchGetItemCommand({
+        RequestItems: {
+          [MENU_TABLE]: { Keys },
+        },
+      }));
+
+      const items = result.Responses?.[MENU_TABLE] || [];
+      for (const item of items) {
+        const unmarshalled = unmarshall(item);
+        menuItemsMap[unmarshalled.itemId] = unmarshalled;
+      }
+    } catch (error) {
+      console.error("BatchGetMenuItems error for slice:", slice, error);
+    }
+  }
+
+  return menuItemsMap;
+}
+
+/**
+ * Batch fetch menu items plus the items their combos are built from.
+ * Combo components store base ids, so both the restaurant-prefixed and legacy keys are tried.
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {Array<string>} itemIds - Cart itemIds
+ * @returns {Promise<Object>} - Map of itemId -> menu item
+ */
+export async function batchGetMenuItemsWithComponents(ddb, itemIds) {
+  const menuItemsMap = await batchGetMenuItems(ddb, itemIds);
+
+  const componentKeys = [];
+  for (const menuItem of Object.values(menuItemsMap)) {
+    for (const baseId of getComboComponentItemIds(menuItem)) {
+      if (menuItem.restaurantId) componentKeys.push(`${menuItem.restaurantId}#${baseId}`);
+      componentKeys.push(baseId);
+    }
+  }
+  const missing = componentKeys.filter((key) => !menuItemsMap[key]);
+  return missing.length > 0 ? { ...menuItemsMap, ...(await batchGetMenuItems(ddb, missing)) } : menuItemsMap;
+}
+
+/**
+ * Component lookup for a combo: base item id -> menu item from the same restaurant
+ */
+export function findComponentItem(menuItemsMap, comboItem) {
+  return (baseId) => menuItemsMap[`${comboItem?.restaurantId}#${baseId}`] || menuItemsMap[String(baseId)] || null;
+}
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+/**
+ * Calculate price for an order item.
+ * - For v2 pizza items: use pizzaDetails + pricingRules
+ * - For v1 items: use the menu price; the client price is only used for items
+ *   missing from MenuItems (legacy carts)
+ * - Items with modifierGroups add their picked options' deltas; invalid picks
+ *   (missing required group, too many, 86'd option) come back as { error }
+ * - Specialty pizzas price from their recipe; combos from their bundle price plus
+ *   component upcharges (findItem resolves component base ids to menu items)
+ */
+export function calculateItemPrice(orderItem, menuItem, findItem = () => null) {
+  const quantity = toNumber(orderItem.quantity, 1);
+
+  if (menuItem && isPizzaMenuItem(menuItem)) {
+    // V2 Pizza: Calculate server-side from pizzaDetails
+    const recipe = hasRecipe(menuItem) ? menuItem.recipe : null;
+    const pricingResult = calculatePizzaPriceCents(orderItem.pizzaDetails || {}, menuItem.pricingRules, recipe);
+    const pizzaDetails = recipe
+      ? { ...orderItem.pizzaDetails, specialty: describeRecipeChanges(menuItem, pricingResult) }
+      : (orderItem.pizzaDetails || {});
+
+    return {
+      unitPriceCents: pricingResult.totalCents,
+      unitPrice: pricingResult.totalCents / 100,
+      linePrice: (pricingResult.totalCents / 100) * quantity,
+      pricingBreakdown: pricingResult.breakdown,
+      pizzaDetails,
+      isPizza: true,
+    };
+  }
+
+  if (menuItem && isComboMenuItem(menuItem)) {
+    const combo = priceComboSelections(menuItem, orderItem.comboSelections, findItem);
+    if (!combo.ok) {
+      return {
+        error: combo.errors.join(" "),
+        unitPriceCents: 0,
+        unitPrice: 0,
+        linePrice: 0,
+        pricingBreakdown: null,
+        pizzaDetails: null,
+        isPizza: false,
+      };
+    }
+    return {
+      unitPriceCents: combo.unitPriceCents,
+      unitPrice: combo.unitPriceCents / 100,
+      linePrice: (combo.unitPriceCents / 100) * quantity,
+      pricingBreakdown: { bundleCents: menuItem.bundlePriceCents, upchargeCents: combo.upchargeCents },
+      pizzaDetails: null,
+      comboComponents: combo.components,
+      isPizza: false,
+    };
+  }
+
+  // V1 flat item: menu price wins over whatever the client sent
+  const basePrice = menuItem && Number.isFinite(Number(menuItem.price))
+    ? Number(menuItem.price)
+    : toNumber(orderItem.price, 0);
+
+  // Modifier groups (sauces, dressings, sizes): picks are validated and their deltas added
+  if (menuItem && hasModifierGroups(menuItem)) {
+    const modifiers = resolveModifierSelections(menuItem, orderItem.modifierSelections);
+    if (!modifiers.ok) {
+      return {
+        error: modifiers.errors.join(" "),
+        unitPriceCents: 0,
+        unitPrice: 0,
+        linePrice: 0,
+        pricingBreakdown: null,
+        pizzaDetails: null,
+        isPizza: false,
+      };
+    }
+    const unitPriceCents = Math.max(0, Math.round(basePrice * 100) + modifiers.deltaCents);
+    return {
+      unitPriceCents,
+      unitPrice: unitPriceCents / 100,
+      linePrice: (unitPriceCents / 100) * quantity,
+      pricingBreakdown: null,
+      pizzaDetails: null,
+      selectedModifiers: modifiers.selected,
+      isPizza: false,
+    };
+  }
+
+  return {
+    unitPriceCents: Math.round(basePrice * 100),
+    unitPrice: basePrice,
+    linePrice: basePrice * quantity,
+    pricingBreakdown: null,
+    pizzaDetails: null,
+    isPizza: false,
+  };
+}
+
+/**
+ * Price a web cart.
+ *
+ * @param {Object} params
+ * @param {DynamoDBClient} params.ddb - DynamoDB client
+ * @param {Array} params.items - Cart items ({ itemId, quantity, pizzaDetails?, modifierSelections?, comboSelections?, price? })
+ * @param {number} [params.tip] - Tip in dollars
+ * @param {number} [params.taxRate] - Tax rate percent (from RestaurantSettings)
+ * @param {string} [params.restaurantId] - Tenant (promotions are skipped without it)
+ * @param {Object} [params.settings] - RestaurantSettings (delivery fee; promotion days/hours use its timezone)
+ * @param {string} [params.orderType] - pickup / delivery / dine-in
+ * @param {string} [params.promoCode] - Code the customer entered
+ * @param {string} [params.phone] - Verified customer phone (E.164), for per-customer promo limits; null for guests
+ * @param {Date} [params.at] - When the order is for (scheduled time, else now)
+ * @param {boolean} [params.enforceUsage] - false for quotes (limits are checked when the order is placed)
+ * @param {number} [params.redeemPoints] - Loyalty points the customer wants to spend
+ * @param {number|null} [params.loyaltyBalance] - Their balance; null unless the phone is verified
+ * @returns {Promise<{ processedItems: Array, invalidItems: Array, subtotal: number, discount: number, adjustments: Array, promoRejection: Object|null, loyaltyRejection: Object|null, promotions: Array, deliveryFee: number, tax: number, tipAmount: number, total: number, totalCents: number }>}
+ *   invalidItems lists lines whose modifier or combo picks were rejected; callers must not take the order.
+ *   promoRejection / loyaltyRejection ({ code, reason }) are set when the entered code or points
+ *   can't be used; callers must not take the order.
+ */
+export async function priceWebCart({ ddb, items = [], tip = 0, taxRate = 0, restaurantId = null, settings = {}, orderType = "pickup", promoCode = "", phone = null, at = new Date(), enforceUsage = true, redeemPoints = 0, loyaltyBalance = null }) {
+  const itemIds = items.map(it => it.itemId).filter(Boolean);
+  const menuItemsMap = await batchGetMenuItemsWithComponents(ddb, itemIds);
+  console.log("MenuItemsMap loaded:", Object.keys(menuItemsMap).length, "items");
+
+  const invalidItems = [];
+  const processedItems = items.map((orderItem, idx) => {
+    const menuItem = menuItemsMap[String(orderItem.itemId)];
+    const priceCalc = calculateItemPrice(orderItem, menuItem, findComponentItem(menuItemsMap, menuItem));
+    if (priceCalc.error) {
+      invalidItems.push({ itemId: String(orderItem.itemId ?? `item-${idx}`), name: menuItem?.name || orderItem.name, error: priceCalc.error });
+    }
+
+    return {
+      ...orderItem,
+      itemId: String(orderItem.itemId ?? `item-${idx}`),
+      menuItemId: menuItem ? getBaseItemId(menuItem) : String(orderItem.itemId ?? ''),
+      name: orderItem.name || menuItem?.name || 'Unknown Item',
+      category: menuItem?.category || orderItem.category || undefined,
+      quantity: toNumber(orderItem.quantity, 1),
+      // Server-computed prices
+      price: priceCalc.unitPrice,
+      priceCents: priceCalc.unitPriceCents,
+      linePrice: priceCalc.linePrice,
+      // Pizza-specific
+      isPizza: priceCalc.isPizza,
+      pizzaDetails: priceCalc.pizzaDetails,
+      pricingBreakdown: priceCalc.pricingBreakdown,
+      selectedModifiers: priceCalc.selectedModifiers,
+      comboComponents: priceCalc.comboComponents,
+    };
+  });
+
+  const subtotal = processedItems.reduce((sum, it) => sum + it.linePrice, 0);
+
+  // Promotions: lineKey is the cart index until the order id exists
+  const promo = restaurantId
+    ? await evaluateOrderPromotions(ddb, {
+      restaurantId,
+      phone,
+      lines: processedItems.map((it, idx) => ({
+        lineKey: String(idx),
+        menuItemId: it.menuItemId,
+        category: it.category,
+        size: it.pizzaDetails?.size,
+        unitPriceCents: it.priceCents,
+        quantity: it.quantity,
+      })),
+      orderType,
+      promoCode,
+      settings,
+      at,
+      enforceUsage,
+    })
+    : { ok: !promoCode, rejection: promoCode ? { code: "promo_invalid", reason: "Promo codes aren't available for this order." } : null, adjustments: [], discountCents: 0, promotions: [] };
+  const promoCents = promo.ok ? promo.discountCents : 0;
+
+  // Loyalty points cover what's left of the food after promotions
+  const subtotalCents = processedItems.reduce((sum, it) => sum + it.priceCents * it.quantity, 0);
+  const loyalty = priceLoyaltyRedemption({ settings, points: redeemPoints, balance: loyaltyBalance, maxCents: subtotalCents - promoCents });
+  const loyaltyCents = loyalty.ok && loyalty.adjustment ? loyalty.adjustment.amountCents : 0;
+  const adjustments = [
+    ...(promo.ok ? promo.adjustments : []),
+    ...(loyaltyCents > 0 ? [loyalty.adjustment] : []),
+  ];
+  const discount = (promoCents + loyaltyCents) / 100;
+
+  const tax = Math.max(0, subtotal - discount) * (toNumber(taxRate, 0) / 100);
+  const tipAmount = Math.max(0, toNumber(tip, 0));
+  // Not taxed, and not part of the delivery minimum
+  const deliveryFee = getDeliveryFeeCents(orderType, settings) / 100;
+  const total = +(subtotal - discount + deliveryFee + tax + tipAmount).toFixed(2);
+
+  return {
+    processedItems,
+    invalidItems,
+    subtotal,
+    discount,
+    adjustments,
+    promoRejection: promo.ok ? null : promo.rejection,
+    loyaltyRejection: loyalty.ok ? null : loyalty.rejection,
+    promotions: promo.promotions,
+    deliveryFee,
+    tax,
+    tipAmount,
+    total,
+    totalCents: Math.round(total * 100),
+  };
+}
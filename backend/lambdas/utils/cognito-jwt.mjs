@@ -0,0 +1,105 @@
+/**
+ * Cognito ID Token Verification
+ *
+ * HTTP API routes get their JWT checked by the API Gateway authorizer. The
+ * kitchen WebSocket ($connect) has no JWT authorizer and browsers can't set
+ * headers on a WebSocket, so the tablet sends its ID token as ?token= and the
+ * lambda verifies it here: RS256 signature against the user pool's JWKS,
+ * issuer, audience (app client), token_use and expiry.
+ *
+ * Env: USER_POOL_ID, plus the accepted app clients passed by the caller.
+ */
+
+import { createPublicKey, verify } from "crypto";
+
+// Lambda containers are reused; JWKS rarely changes (key rotation adds a kid)
+let jwksCache = null;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+
+// Allow small clock drift between Cognito and Lambda
+const CLOCK_SKEW_SECONDS = 60;
+
+function getIssuer(userPoolId) {
+  const region = userPoolId.split("_")[0];
+  return `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+}
+
+async function getSigningKey(issuer, kid) {
+  const fresh = jwksCache && jwksCache.issuer === issuer && Date.now() - jwksCache.fetchedAt < JWKS_TTL_MS;
+  if (!fresh || !jwksCache.keys[kid]) {
+    const res = await fetch(`${issuer}/.well-known/jwks.json`);
+    if (!res.ok) {
+      throw new Error(`JWKS fetch failed: ${res.status}`);
+    }
+    const { keys = [] } = await res.json();
+    jwksCache = {
+      issuer,
+      fetchedAt: Date.now(),
+      keys: Object.fromEntries(keys.map((jwk) => [jwk.kid, createPublicKey({ key: jwk, format: "jwk" })])),
+    };
+  }
+  return jwksCache.keys[kid] || null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Verify a Cognito ID token
+ *
+ * @param {string} token - Raw JWT
+ * @param {Object} params
+ * @param {string} params.userPoolId - e.g. us-east-2_abc123
+ * @param {Array<string>} params.clientIds - Accepted app client IDs (aud)
+ * @returns {Promise<{ ok: true, claims: Object } | { ok: false, reason: string }>}
+ */
+export async function verifyCognitoIdToken(token, { userPoolId, clientIds }) {
+  if (!token || typeof token !== "string") {
+    return { ok: false, reason: "missing" };
+  }
+  if (!userPoolId) {
+    throw new Error("USER_POOL_ID is not configured");
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (e) {
+    return { ok: false, reason: "malformed" };
+  }
+  if (header.alg !== "RS256" || !header.kid) {
+    return { ok: false, reason: "unsupported_alg" };
+  }
+
+  const issuer = getIssuer(userPoolId);
+  const key = await getSigningKey(issuer, header.kid);
+  if (!key) {
+    return { ok: false, reason: "unknown_kid" };
+  }
+
+  const signatureOk = verify(
+    "RSA-SHA256",
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!signatureOk) {
+    return { ok: false, reason: "bad_signature" };
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (claims.iss !== issuer) return { ok: false, reason: "wrong_issuer" };
+  if (claims.token_use !== "id") return { ok: false, reason: "not_id_token" };
+  if (!clientIds.includes(claims.aud)) return { ok: false, reason: "wrong_audience" };
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < nowSec) return { ok: false, reason: "expired" };
+
+  return { ok: true, claims };
+}
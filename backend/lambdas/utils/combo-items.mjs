@@ -0,0 +1,297 @@
+/**
+ * Combo / Bundle Items (MenuItems schemaVersion 2, kind "combo")
+ *
+ * "2 Large 1-Topping + Wings" style deals: a bundle price that covers a set of
+ * components. Pizza components are built like any pizza and only charge for what
+ * goes past the deal (extra toppings, crust surcharges); item components charge
+ * their picked options' deltas. Web, admin and phone orders all price combos here,
+ * and every component is kept on the order line so the kitchen ticket shows it.
+ */
+
+import {
+  calculatePizzaPriceCents,
+  describeRecipeChanges,
+  getRecipePriceCents,
+  hasRecipe,
+  isPizzaMenuItem,
+  DEFAULT_PIZZA_PRICING,
+} from "./pizza-pricing.mjs";
+import { hasModifierGroups, resolveModifierSelections, describeSelectedModifiers } from "./modifier-groups.mjs";
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+/**
+ * Example combo MenuItem:
+ * {
+ *   itemId: "combo-2-large-wings",
+ *   schemaVersion: 2,
+ *   kind: "combo",
+ *   name: "2 Large 1-Topping + Wings",
+ *   category: "Combos",
+ *   bundlePriceCents: 3699,
+ *   components: [
+ *     // quantity 2: two pizzas, each built separately
+ *     { componentId: "pizza", type: "pizza", label: "Large 1-Topping Pizza", quantity: 2,
+ *       pizzaItemId: "pizza-byo", size: "Large", includedToppings: 1 },
+ *     { componentId: "wings", type: "item", label: "Buffalo Wings", quantity: 1, itemId: "buffalo-wings" },
+ *   ],
+ * }
+ *
+ * Order lines carry comboSelections: { [componentId]: [choice per unit] } where a
+ * pizza choice is { crust, wholeToppings, leftHalfToppings, rightHalfToppings, modifiers }
+ * and an item choice is { modifierSelections } (web / admin) or { options: [spoken names] } (phone).
+ * Priced lines store comboComponents: one entry per unit, in component order.
+ */
+
+const MAX_COMPONENTS = 10;
+const MAX_COMPONENT_QUANTITY = 10;
+const COMPONENT_TYPES = ["pizza", "item"];
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Check if a menu item is a combo
+ */
+export function isComboMenuItem(menuItem) {
+  return menuItem?.schemaVersion === 2 && menuItem?.kind === "combo";
+}
+
+/**
+ * Clean up combo components from the Menu tab before saving
+ *
+ * @param {Array} components - Raw components from a request body
+ * @returns {Array}
+ */
+export function normalizeComboComponents(components) {
+  if (!Array.isArray(components)) return [];
+
+  return components.map((component) => {
+    const type = COMPONENT_TYPES.includes(component?.type) ? component.type : "item";
+    const label = String(component?.label || "").trim();
+    const normalized = {
+      componentId: String(component?.componentId || slugify(label) || type).trim(),
+      type,
+      label,
+      quantity: Math.max(1, toInt(component?.quantity, 1)),
+    };
+    if (type === "pizza") {
+      normalized.pizzaItemId = String(component?.pizzaItemId || "pizza-byo").trim();
+      if (component?.size) normalized.size = String(component.size);
+      normalized.includedToppings = Math.max(0, toInt(component?.includedToppings, 0));
+    } else {
+      normalized.itemId = String(component?.itemId || "").trim();
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate a combo item (components normalized)
+ *
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export function validateComboMenuItem(item) {
+  const errors = [];
+
+  if (!item?.name || typeof item.name !== "string") {
+    errors.push("name is required and must be a string");
+  }
+  if (!Number.isInteger(item?.bundlePriceCents) || item.bundlePriceCents <= 0) {
+    errors.push("bundlePriceCents must be a positive number of cents");
+  }
+
+  const components = item?.components;
+  if (!Array.isArray(components) || components.length === 0) {
+    errors.push("components array is required and must not be empty");
+    return { valid: false, errors };
+  }
+  if (components.length > MAX_COMPONENTS) {
+    errors.push(`At most ${MAX_COMPONENTS} components per combo`);
+  }
+
+  const ids = new Set();
+  components.forEach((component, index) => {
+    const label = component?.label ? `"${component.label}"` : `#${index + 1}`;
+    if (!component?.label) errors.push(`Component ${label} needs a label`);
+    if (!component?.componentId) {
+      errors.push(`Component ${label} needs an id`);
+    } else if (ids.has(component.componentId)) {
+      errors.push(`Duplicate component id "${component.componentId}"`);
+    } else {
+      ids.add(component.componentId);
+    }
+    if (component?.quantity > MAX_COMPONENT_QUANTITY) {
+      errors.push(`Component ${label}: quantity must be ${MAX_COMPONENT_QUANTITY} or less`);
+    }
+    if (component?.type === "pizza" && !component.pizzaItemId) {
+      errors.push(`Component ${label} needs a pizza item`);
+    }
+    if (component?.type === "item" && !component.itemId) {
+      errors.push(`Component ${label} needs a menu item`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Base item ids a combo's components point at (for loading them with the cart)
+ */
+export function getComboComponentItemIds(menuItem) {
+  if (!isComboMenuItem(menuItem)) return [];
+  return [...new Set((menuItem.components || [])
+    .map((c) => (c.type === "pizza" ? c.pizzaItemId : c.itemId))
+    .filter(Boolean))];
+}
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+/**
+ * What the deal covers for one pizza component: the recipe (or plain base) at the
+ * combo's size plus its included toppings
+ */
+function coveredPizzaCents(component, pizzaItem, size) {
+  const rules = { ...DEFAULT_PIZZA_PRICING, ...pizzaItem.pricingRules };
+  const baseCents = hasRecipe(pizzaItem)
+    ? getRecipePriceCents(pizzaItem.recipe, size, rules)
+    : (rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799);
+  const toppingCents = rules.toppingPriceCentsBySize?.[size] || rules.toppingPriceCentsBySize?.Medium || 250;
+  return baseCents + toInt(component.includedToppings, 0) * toppingCents;
+}
+
+function pricePizzaUnit(component, pizzaItem, choice, comboName) {
+  const size = component.size || choice?.size || pizzaItem.defaultPizzaDetails?.size || pizzaItem.allowedSizes?.[0] || "Medium";
+  const crust = choice?.crust || pizzaItem.defaultPizzaDetails?.crust || pizzaItem.allowedCrusts?.[0] || "Thin";
+
+  if (Array.isArray(pizzaItem.allowedSizes) && pizzaItem.allowedSizes.length > 0 && !pizzaItem.allowedSizes.includes(size)) {
+    return { error: `${comboName}: ${pizzaItem.name} doesn't come in ${size}.` };
+  }
+  if (Array.isArray(pizzaItem.allowedCrusts) && pizzaItem.allowedCrusts.length > 0 && !pizzaItem.allowedCrusts.includes(crust)) {
+    return { error: `${comboName}: ${crust} crust isn't available (choices: ${pizzaItem.allowedCrusts.join(", ")}).` };
+  }
+
+  const recipe = hasRecipe(pizzaItem) ? pizzaItem.recipe : null;
+  const pizzaDetails = {
+    size,
+    crust,
+    wholeToppings: Array.isArray(choice?.wholeToppings) ? choice.wholeToppings : (recipe ? [...recipe.includedToppings] : []),
+    leftHalfToppings: Array.isArray(choice?.leftHalfToppings) ? choice.leftHalfToppings : [],
+    rightHalfToppings: Array.isArray(choice?.rightHalfToppings) ? choice.rightHalfToppings : [],
+    modifiers: Array.isArray(choice?.modifiers) ? choice.modifiers : [],
+  };
+  const pricing = calculatePizzaPriceCents(pizzaDetails, pizzaItem.pricingRules, recipe);
+  const upchargeCents = Math.max(0, pricing.totalCents - coveredPizzaCents(component, pizzaItem, size));
+
+  return {
+    unit: {
+      componentId: component.componentId,
+      type: "pizza",
+      label: component.label,
+      name: pizzaItem.name,
+      pizzaDetails: recipe ? { ...pizzaDetails, specialty: describeRecipeChanges(pizzaItem, pricing) } : pizzaDetails,
+      upchargeCents,
+    },
+  };
+}
+
+function priceItemUnit(component, menuItem, choice, comboName) {
+  let modifiers = { ok: true, selected: [], deltaCents: 0, errors: [] };
+  if (hasModifierGroups(menuItem)) {
+    modifiers = resolveModifierSelections(menuItem, Array.isArray(choice?.options) ? choice.options : choice?.modifierSelections);
+  }
+  if (!modifiers.ok) {
+    return { error: `${comboName}: ${modifiers.errors.join(" ")}` };
+  }
+
+  const unit = {
+    componentId: component.componentId,
+    type: "item",
+    label: component.label,
+    name: menuItem.name,
+    upchargeCents: Math.max(0, modifiers.deltaCents),
+  };
+  if (modifiers.selected.length > 0) unit.selectedModifiers = modifiers.selected;
+  return { unit };
+}
+
+/**
+ * Price one combo and resolve every component.
+ *
+ * @param {Object} menuItem - The combo MenuItem
+ * @param {Object} comboSelections - { [componentId]: [choice per unit] }
+ * @param {Function} findItem - Base item id -> MenuItem (or null)
+ * @returns {{ ok: boolean, errors: Array<string>, unitPriceCents: number, upchargeCents: number, components: Array }}
+ */
+export function priceComboSelections(menuItem, comboSelections, findItem) {
+  const comboName = menuItem?.name || "Combo";
+  const errors = [];
+  const components = [];
+
+  for (const component of menuItem?.components || []) {
+    const item = findItem(component.type === "pizza" ? component.pizzaItemId : component.itemId);
+    if (!item || item.available === false) {
+      errors.push(`${comboName}: ${item?.name || component.label} is not available right now.`);
+      continue;
+    }
+    if (component.type === "pizza" && !isPizzaMenuItem(item)) {
+      errors.push(`${comboName}: ${component.label} is not set up as a pizza.`);
+      continue;
+    }
+
+    const choices = Array.isArray(comboSelections?.[component.componentId]) ? comboSelections[component.componentId] : [];
+    for (let i = 0; i < Math.max(1, toInt(component.quantity, 1)); i++) {
+      const priced = component.type === "pizza"
+        ? pricePizzaUnit(component, item, choices[i], comboName)
+        : priceItemUnit(component, item, choices[i], comboName);
+      if (priced.error) errors.push(priced.error);
+      else components.push(priced.unit);
+    }
+  }
+
+  const upchargeCents = components.reduce((sum, c) => sum + c.upchargeCents, 0);
+  return {
+    ok: errors.length === 0,
+    errors,
+    unitPriceCents: toInt(menuItem?.bundlePriceCents, 0) + upchargeCents,
+    upchargeCents,
+    components,
+  };
+}
+
+/**
+ * Kitchen / receipt lines for a combo's components:
+ * ["Large 1-Topping Pizza: Large Thin - Pepperoni", "Buffalo Wings - Sauce: BBQ"]
+ *
+ * @param {Array} comboComponents - From priceComboSelections().components
+ * @returns {Array<string>}
+ */
+export function describeComboComponents(comboComponents) {
+  if (!Array.isArray(comboComponents)) return [];
+
+  return comboComponents.map((c) => {
+    if (c.type === "pizza" && c.pizzaDetails) {
+      const pd = c.pizzaDetails;
+      const toppings = (pd.wholeToppings || [])
+        .map((t) => (typeof t === "string" ? t : t?.name))
+        .filter(Boolean)
+        .map((t) => t.replace(/\|/g, " ").trim());
+      return `${c.label}: ${pd.size} ${pd.crust} - ${toppings.join(", ") || "Cheese"}`;
+    }
+    const options = describeSelectedModifiers(c.selectedModifiers);
+    return options.length > 0 ? `${c.label} - ${options.join("; ")}` : c.label;
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Customer Session Tokens
+ *
+ * verifyOTP issues one of these after a successful phone verification so the
+ * customer app doesn't have to re-verify on every checkout. They are not Cognito
+ * tokens: a compact HMAC-signed payload, checked in-process by authorizeRoute
+ * (policy "customer") and by createOrder.
+ *
+ *   cs1.<base64url(payload)>.<base64url(hmac-sha256)>
+ *   payload: { sub: customerId, rid: restaurantId, phone, iat, exp }
+ *
+ * Signed with CUSTOMER_SESSION_SECRET; lifetime CUSTOMER_SESSION_TTL_SECONDS (default 24h).
+ * Without the secret no session can be issued, and every token is treated as no session
+ * (guest checkout keeps working).
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+const TOKEN_PREFIX = "cs1";
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+function getSecret() {
+  const secret = process.env.CUSTOMER_SESSION_SECRET;
+  if (!secret) {
+    throw new Error("CUSTOMER_SESSION_SECRET is not configured");
+  }
+  return secret;
+}
+
+function sign(encodedPayload, secret) {
+  return createHmac("sha256", secret).update(`${TOKEN_PREFIX}.${encodedPayload}`).digest("base64url");
+}
+
+/**
+ * Issue a session for a verified phone
+ *
+ * @param {Object} customer
+ * @param {string} customer.customerId
+ * @param {string} customer.restaurantId
+ * @param {string} customer.phone - E.164
+ * @returns {{ token: string, expiresAt: string }}
+ */
+export function issueCustomerSession({ customerId, restaurantId, phone }) {
+  const secret = getSecret();
+  const ttlSeconds = Number(process.env.CUSTOMER_SESSION_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + ttlSeconds;
+
+  const encodedPayload = Buffer.from(JSON.stringify({ sub: customerId, rid: restaurantId, phone, iat, exp })).toString("base64url");
+  return {
+    token: `${TOKEN_PREFIX}.${encodedPayload}.${sign(encodedPayload, secret)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Check a session token's signature and expiry
+ *
+ * @param {string} token
+ * @returns {{ ok: true, session: { customerId: string, restaurantId: string, phone: string, expiresAt: string } }
+ *   | { ok: false, reason: string }}
+ */
+export function verifyCustomerSession(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const secret = process.env.CUSTOMER_SESSION_SECRET;
+  if (!secret) {
+    return { ok: false, reason: "not_configured" };
+  }
+
+  const [, encodedPayload, signature] = parts;
+  const expected = Buffer.from(sign(encodedPayload, secret));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { ok: false, reason: "bad_signature" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch (e) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    return { ok: false, reason: "expired" };
+  }
+
+  return {
+    ok: true,
+    session: {
+      customerId: payload.sub,
+      restaurantId: payload.rid,
+      phone: payload.phone,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    },
+  };
+}
+
+/**
+ * Bearer token from the Authorization header, if any
+ */
+export function getBearerToken(event) {
+  const headers = event?.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === "authorization");
+  const value = key ? String(headers[key]) : "";
+  const match = value.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
@@ -0,0 +1,230 @@
+/**
+ * Customer Profiles
+ *
+ * Customers table: PK restaurantId, SK phone (E.164). One record per phone per
+ * restaurant, created the first time the phone is verified (verifyOTP) or orders
+ * by phone (vapiOrderWebhook), and attached to every order placed with it.
+ *
+ *   customerId      - stable opaque id (hash of restaurant + phone), stored on orders
+ *   name, email     - last values the customer gave us
+ *   addresses       - saved delivery addresses, most recently used first
+ *   recentOrderIds  - newest first; the order-history page reads orders from here
+ *   orderCount, lastOrderAt, lastVerifiedAt
+ *   loyaltyPoints, loyaltyLifetimePoints - balance kept by utils/loyalty.mjs (never written here)
+ */
+
+import { GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { createHash, randomUUID } from "crypto";
+import { extractRestaurantId } from "./inject-restaurant-id.mjs";
+
+export const CUSTOMERS_TABLE = "Customers";
+export const MAX_SAVED_ADDRESSES = 10;
+
+/**
+ * Normalize a phone number to E.164 (US numbers get +1). Same rules as sendOTP/verifyOTP.
+ *
+ * @returns {string|null} null if it doesn't look like a phone number
+ */
+export function normalizeCustomerPhone(phone) {
+  if (phone == null) return null;
+  const raw = String(phone).trim();
+  const cleaned = raw.replace(/\D/g, "");
+  if (cleaned.length === 10) return `+1${cleaned}`;
+  if (cleaned.length === 11 && cleaned.startsWith("1")) return `+${cleaned}`;
+  if (raw.startsWith("+") && cleaned.length >= 10 && cleaned.length <= 15) return `+${cleaned}`;
+  return null;
+}
+
+/**
+ * Stable id for a phone at a restaurant - safe to put on orders and in tokens
+ */
+export function customerIdFor(restaurantId, phone) {
+  return `cust_${createHash("sha256").update(`${restaurantId}|${phone}`).digest("hex").slice(0, 20)}`;
+}
+
+/**
+ * Tenant for the customer app. It is single-restaurant today and usually sends no
+ * restaurantId, so fall back to the deploy-time default like the Vapi tools do.
+ */
+export function resolveCustomerRestaurantId(event) {
+  return extractRestaurantId(event) || process.env.DEFAULT_RESTAURANT_ID || null;
+}
+
+function customerKey(restaurantId, phone) {
+  return marshall({ restaurantId: String(restaurantId), phone: String(phone) });
+}
+
+export async function getCustomer(ddb, restaurantId, phone) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: CUSTOMERS_TABLE,
+    Key: customerKey(restaurantId, phone),
+  }));
+  return Item ? unmarshall(Item) : null;
+}
+
+/**
+ * What the customer app sees of a record
+ */
+export function toCustomerProfile(record) {
+  if (!record) return null;
+  return {
+    customerId: record.customerId,
+    phone: record.phone,
+    name: record.name || "",
+    email: record.email || "",
+    addresses: Array.isArray(record.addresses) ? record.addresses : [],
+    orderCount: Number(record.orderCount || 0),
+    lastOrderAt: record.lastOrderAt || null,
+    loyaltyPoints: Number(record.loyaltyPoints || 0),
+  };
+}
+
+// =============================================================================
+// WRITES
+// =============================================================================
+
+/**
+ * Create (or touch) the record for a phone that just passed OTP
+ *
+ * @returns {Promise<Object>} the stored record
+ */
+export async function upsertVerifiedCustomer(ddb, { restaurantId, phone }) {
+  const now = new Date().toISOString();
+  const { Attributes } = await ddb.send(new UpdateItemCommand({
+    TableName: CUSTOMERS_TABLE,
+    Key: customerKey(restaurantId, phone),
+    UpdateExpression: "SET customerId = if_not_exists(customerId, :cid), createdAt = if_not_exists(createdAt, :now), lastVerifiedAt = :now, updatedAt = :now",
+    ExpressionAttributeValues: marshall({ ":cid": customerIdFor(restaurantId, phone), ":now": now }),
+    ReturnValues: "ALL_NEW",
+  }));
+  return unmarshall(Attributes);
+}
+
+/**
+ * Clean up a client-supplied address list (PATCH /customer/me)
+ */
+export function sanitizeAddresses(addresses) {
+  if (!Array.isArray(addresses)) return [];
+  return addresses
+    .filter((a) => a && typeof a.address === "string" && a.address.trim())
+    .slice(0, MAX_SAVED_ADDRESSES)
+    .map((a) => ({
+      addressId: typeof a.addressId === "string" && a.addressId ? a.addressId : randomUUID(),
+      label: typeof a.label === "string" ? a.label.trim().slice(0, 40) : "",
+      address: a.address.trim().slice(0, 200),
+      instructions: typeof a.instructions === "string" ? a.instructions.trim().slice(0, 200) : "",
+      lastUsedAt: a.lastUsedAt || null,
+    }));
+}
+
+function sameAddress(a, b) {
+  const norm = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return norm(a) === norm(b);
+}
+
+/**
+ * Move (or add) an address to the front of the saved list
+ */
+function rememberAddress(addresses, address, usedAt) {
+  const list = Array.isArray(addresses) ? [...addresses] : [];
+  const index = list.findIndex((a) => sameAddress(a.address, address));
+  const entry = index >= 0
+    ? { ...list.splice(index, 1)[0], lastUsedAt: usedAt }
+    : { addressId: randomUUID(), label: "", address: String(address).trim(), instructions: "", lastUsedAt: usedAt };
+  return [entry, ...list].slice(0, MAX_SAVED_ADDRESSES);
+}
+
+/**
+ * Attach an order to the customer's profile (creating the profile if needed).
+ * Delivery addresses are saved automatically.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} order
+ * @param {string} order.restaurantId
+ * @param {string} order.phone - E.164
+ * @param {string} order.orderId
+ * @param {string} order.createdAt
+ * @param {string} [order.name]
+ * @param {string} [order.email]
+ * @param {string} [order.deliveryAddress]
+ * @returns {Promise<string>} customerId
+ */
+export async function recordCustomerOrder(ddb, { restaurantId, phone, orderId, createdAt, name, email, deliveryAddress }) {
+  const customerId = customerIdFor(restaurantId, phone);
+  const values = {
+    ":cid": customerId,
+    ":now": createdAt,
+    ":one": 1,
+    ":oid": orderId,
+    ":ids": [orderId],
+    ":empty": [],
+  };
+  const sets = [
+    "customerId = if_not_exists(customerId, :cid)",
+    "createdAt = if_not_exists(createdAt, :now)",
+    "lastOrderAt = :now",
+    "lastOrderId = :oid",
+    "updatedAt = :now",
+    "recentOrderIds = list_append(:ids, if_not_exists(recentOrderIds, :empty))",
+  ];
+
+  if (name) {
+    sets.push("#name = :name");
+    values[":name"] = String(name).trim();
+  }
+  if (email) {
+    sets.push("email = :email");
+    values[":email"] = String(email).trim();
+  }
+  if (deliveryAddress && String(deliveryAddress).trim()) {
+    const existing = await getCustomer(ddb, restaurantId, phone);
+    sets.push("addresses = :addresses");
+    values[":addresses"] = rememberAddress(existing?.addresses, deliveryAddress, createdAt);
+  }
+
+  await ddb.send(new UpdateItemCommand({
+    TableName: CUSTOMERS_TABLE,
+    Key: customerKey(restaurantId, phone),
+    UpdateExpression: `SET ${sets.join(", ")} ADD orderCount :one`,
+    ...(name ? { ExpressionAttributeNames: { "#name": "name" } } : {}),
+    ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true }),
+  }));
+
+  return customerId;
+}
+
+/**
+ * Customer-editable fields (PATCH /customer/me)
+ *
+ * @returns {Promise<Object>} the stored record
+ */
+export async function updateCustomerProfile(ddb, { restaurantId, phone, name, email, addresses }) {
+  const values = { ":now": new Date().toISOString() };
+  const sets = ["updatedAt = :now"];
+
+  if (typeof name === "string") {
+    sets.push("#name = :name");
+    values[":name"] = name.trim().slice(0, 100);
+  }
+  if (typeof email === "string") {
+    sets.push("email = :email");
+    values[":email"] = email.trim().slice(0, 200);
+  }
+  if (addresses !== undefined) {
+    sets.push("addresses = :addresses");
+    values[":addresses"] = sanitizeAddresses(addresses);
+  }
+
+  const { Attributes } = await ddb.send(new UpdateItemCommand({
+    TableName: CUSTOMERS_TABLE,
+    Key: customerKey(restaurantId, phone),
+    UpdateExpression: `SET ${sets.join(", ")}`,
+    ...(typeof name === "string" ? { ExpressionAttributeNames: { "#name": "name" } } : {}),
+    ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true }),
+    // Only profiles created by verifyOTP / an order can be edited
+    ConditionExpression: "attribute_exists(phone)",
+    ReturnValues: "ALL_NEW",
+  }));
+  return unmarshall(Attributes);
+}
@@ -0,0 +1,390 @@
+/**
+ * Daily Report Aggregates
+ *
+ * DailyReports table: PK restaurantId, SK date ("YYYY-MM-DD", restaurant local
+ * time). One precomputed row per restaurant per day, so the Reports tab reads
+ * at most 366 small rows instead of scanning a year of Orders/OrderItems.
+ *
+ *   buildDailyReports (scheduled hourly) - rebuilds today and yesterday
+ *   scripts/backfill-daily-reports.mjs   - rebuilds any range (first deploy, fixes)
+ *   getReports (GET /admin/reports)      - merges the rows for a date range
+ *
+ * A day row is always rebuilt from scratch (never incremented), so rebuilding is
+ * safe to repeat and picks up late edits, cancellations and refunds.
+ */
+
+import { QueryCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { getLocalTimeParts, zonedTimeToDate } from "./order-policy.mjs";
+import { isActiveLine } from "./order-edit.mjs";
+import { CALL_LOGS_TABLE, CALL_LOGS_BY_START_INDEX } from "./call-logs.mjs";
+import { queryOrdersCreatedBetween } from "./order-index.mjs";
+
+export const DAILY_REPORTS_TABLE = "DailyReports";
+
+const TABLES = {
+  ORDER_ITEMS: "OrderItems",
+};
+
+// Orders that never turned into a sale
+const NON_SALE_STATUSES = new Set(["cancelled", "payment_failed", "pending_payment", "needs_callback"]);
+
+const TOP_LIST_SIZE = 10;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// =============================================================================
+// DATE KEYS
+// =============================================================================
+
+/**
+ * "YYYY-MM-DD" plus/minus whole days
+ */
+export function addDays(dateKey, days) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Every date key from..to inclusive
+ */
+export function listDateKeys(from, to) {
+  const keys = [];
+  for (let key = from; key <= to; key = addDays(key, 1)) keys.push(key);
+  return keys;
+}
+
+// =============================================================================
+// AGGREGATE ONE DAY
+// =============================================================================
+
+function emptyDay(restaurantId, date, timeZone) {
+  return {
+    restaurantId,
+    date,
+    timeZone,
+    orderCount: 0,
+    revenue: 0,
+    refunded: 0,
+    byType: {},
+    bySource: {},
+    items: {},
+    toppings: {},
+    hours: Array.from({ length: 24 }, () => ({ orders: 0, revenue: 0 })),
+    calls: { total: 0, withOrder: 0, totalSeconds: 0 },
+    kitchen: {
+      acceptToReady: { totalMinutes: 0, count: 0 },
+      readyToPickup: { totalMinutes: 0, count: 0 },
+      readyToDriver: { totalMinutes: 0, count: 0 },
+    },
+  };
+}
+
+function addMinutes(bucket, order, fromField, toField) {
+  const from = new Date(order[fromField]).getTime();
+  const to = new Date(order[toField]).getTime();
+  if (Number.isFinite(from) && Number.isFinite(to) && to >= from) {
+    bucket.totalMinutes = round2(bucket.totalMinutes + (to - from) / 60000);
+    bucket.count += 1;
+  }
+}
+
+function toppingName(topping) {
+  if (typeof topping === "string") {
+    const [name, ...tags] = topping.split("|");
+    return tags.some((t) => t.trim().toLowerCase() === "no") ? null : name.trim();
+  }
+  return topping?.name && topping.portion !== "no" ? String(topping.name).trim() : null;
+}
+
+/**
+ * Top-items key: pizzas roll up by size (toppings are counted separately)
+ */
+function itemKey(item) {
+  const size = item.pizzaDetails?.size;
+  if (size) return { key: `pizza:${size}`, name: `${size} Pizza` };
+  const name = String(item.name || "Item").trim();
+  return { key: String(item.menuItemId || name), name };
+}
+
+function addOrderItems(day, items) {
+  for (const item of items) {
+    const quantity = Math.max(toNumber(item.quantity) || 1, 1);
+    const { key, name } = itemKey(item);
+    const entry = day.items[key] || (day.items[key] = { name, quantity: 0, revenue: 0 });
+    entry.quantity += quantity;
+    entry.revenue = round2(entry.revenue + toNumber(item.price) * quantity);
+
+    const details = item.pizzaDetails;
+    if (!details) continue;
+    for (const topping of [
+      ...(details.wholeToppings || []),
+      ...(details.leftHalfToppings || []),
+      ...(details.rightHalfToppings || []),
+    ]) {
+      const tName = toppingName(topping);
+      if (tName) day.toppings[tName] = (day.toppings[tName] || 0) + quantity;
+    }
+  }
+}
+
+/**
+ * Build one day's row from its orders (with items) and calls
+ *
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {string} params.date - local "YYYY-MM-DD"
+ * @param {string} params.timeZone
+ * @param {Array<Object>} params.orders - orders created that local day, each with .items
+ * @param {Array<Object>} params.calls - CallLogs records started that local day
+ * @returns {Object} DailyReports row
+ */
+export function aggregateDay({ restaurantId, date, timeZone, orders, calls }) {
+  const day = emptyDay(restaurantId, date, timeZone);
+
+  for (const order of orders) {
+    if (NON_SALE_STATUSES.has(order.status)) continue;
+
+    const refunded = toNumber(order.refundedAmount);
+    const revenue = round2(toNumber(order.total) - refunded);
+    const type = order.orderType || order.type || "pickup";
+    const source = order.source === "vapi" ? "phone" : "web";
+    const hour = Math.floor(getLocalTimeParts(new Date(order.createdAt), timeZone).minutes / 60);
+
+    day.orderCount += 1;
+    day.revenue = round2(day.revenue + revenue);
+    day.refunded = round2(day.refunded + refunded);
+
+    const typeBucket = day.byType[type] || (day.byType[type] = { orders: 0, revenue: 0 });
+    typeBucket.orders += 1;
+    typeBucket.revenue = round2(typeBucket.revenue + revenue);
+
+    const sourceBucket = day.bySource[source] || (day.bySource[source] = { orders: 0, revenue: 0 });
+    sourceBucket.orders += 1;
+    sourceBucket.revenue = round2(sourceBucket.revenue + revenue);
+
+    day.hours[hour].orders += 1;
+    day.hours[hour].revenue = round2(day.hours[hour].revenue + revenue);
+
+    addOrderItems(day, order.items || []);
+
+    addMinutes(day.kitchen.acceptToReady, order, "acceptedAt", "readyAt");
+    if (type === "delivery") {
+      addMinutes(day.kitchen.readyToDriver, order, "readyAt", "outForDeliveryAt");
+    } else {
+      addMinutes(day.kitchen.readyToPickup, order, "readyAt", "completedAt");
+    }
+  }
+
+  for (const call of calls) {
+    day.calls.total += 1;
+    if (call.orderId) day.calls.withOrder += 1;
+    day.calls.totalSeconds += Math.round(toNumber(call.durationSeconds));
+  }
+
+  return day;
+}
+
+// =============================================================================
+// REBUILD (reads Orders / OrderItems / CallLogs, writes DailyReports)
+// =============================================================================
+
+async function loadOrderItems(ddb, orderId) {
+  const { Items } = await ddb.send(new QueryCommand({
+    TableName: TABLES.ORDER_ITEMS,
+    KeyConditionExpression: "orderId = :oid",
+    ExpressionAttributeValues: { ":oid": { S: orderId } },
+  }));
+  return (Items || []).map(unmarshall).filter(isActiveLine);
+}
+
+async function loadCallsBetween(ddb, restaurantId, fromIso, toIso) {
+  const calls = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await ddb.send(new QueryCommand({
+      TableName: CALL_LOGS_TABLE,
+      IndexName: CALL_LOGS_BY_START_INDEX,
+      KeyConditionExpression: "restaurantId = :rid AND startedAt BETWEEN :from AND :to",
+      ExpressionAttributeValues: marshall({ ":rid": restaurantId, ":from": fromIso, ":to": toIso }),
+      ProjectionExpression: "callId, startedAt, durationSeconds, orderId",
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    calls.push(...(result.Items || []).map(unmarshall));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return calls;
+}
+
+/**
+ * Recompute and store the DailyReports rows for from..to (restaurant local dates)
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {string} params.timeZone - IANA zone the dates are in
+ * @param {string} params.from - "YYYY-MM-DD"
+ * @param {string} params.to - "YYYY-MM-DD" (inclusive)
+ * @returns {Promise<Array<Object>>} the rows written
+ */
+export async function rebuildDailyReports(ddb, { restaurantId, timeZone, from, to }) {
+  const dateKeys = listDateKeys(from, to);
+  const fromIso = zonedTimeToDate(from, 0, timeZone).toISOString();
+  const toIso = zonedTimeToDate(addDays(to, 1), 0, timeZone).toISOString();
+
+  const orders = await queryOrdersCreatedBetween(ddb, { restaurantId, from: fromIso, to: toIso });
+  // Items one order at a time keeps memory flat for big backfills
+  for (const order of orders) {
+    order.items = NON_SALE_STATUSES.has(order.status) ? [] : await loadOrderItems(ddb, order.orderId);
+  }
+  const calls = await loadCallsBetween(ddb, restaurantId, fromIso, toIso);
+
+  const byDate = new Map(dateKeys.map((date) => [date, { orders: [], calls: [] }]));
+  for (const order of orders) {
+    byDate.get(getLocalTimeParts(new Date(order.createdAt), timeZone).dateKey)?.orders.push(order);
+  }
+  for (const call of calls) {
+    byDate.get(getLocalTimeParts(new Date(call.startedAt), timeZone).dateKey)?.calls.push(call);
+  }
+
+  const builtAt = new Date().toISOString();
+  const rows = [];
+  for (const date of dateKeys) {
+    const bucket = byDate.get(date);
+    const row = { ...aggregateDay({ restaurantId, date, timeZone, ...bucket }), builtAt };
+    await ddb.send(new PutItemCommand({
+      TableName: DAILY_REPORTS_TABLE,
+      Item: marshall(row, { removeUndefinedValues: true }),
+    }));
+    rows.push(row);
+  }
+  return rows;
+}
+
+// =============================================================================
+// MERGE (date range report for the dashboard)
+// =============================================================================
+
+function mergeBuckets(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    const bucket = target[key] || (target[key] = { orders: 0, revenue: 0 });
+    bucket.orders += toNumber(value.orders);
+    bucket.revenue = round2(bucket.revenue + toNumber(value.revenue));
+  }
+}
+
+function withShares(buckets, total) {
+  const out = {};
+  for (const [key, value] of Object.entries(buckets)) {
+    out[key] = { ...value, share: total > 0 ? round2((value.orders / total) * 100) : 0 };
+  }
+  return out;
+}
+
+function averageOf(bucket) {
+  return bucket.count > 0 ? round2(bucket.totalMinutes / bucket.count) : null;
+}
+
+/**
+ * Merge DailyReports rows into the report the Reports tab renders.
+ * Days with no row (nothing built yet) count as zero.
+ *
+ * @param {Array<Object>} rows - DailyReports rows within from..to
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ */
+export function mergeDailyReports(rows, from, to) {
+  const rowsByDate = new Map(rows.map((r) => [r.date, r]));
+  const byType = {};
+  const bySource = {};
+  const items = {};
+  const toppings = {};
+  const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+  const calls = { total: 0, withOrder: 0, totalSeconds: 0 };
+  const kitchen = {
+    acceptToReady: { totalMinutes: 0, count: 0 },
+    readyToPickup: { totalMinutes: 0, count: 0 },
+    readyToDriver: { totalMinutes: 0, count: 0 },
+  };
+  const daily = [];
+  let revenue = 0;
+  let refunded = 0;
+  let orderCount = 0;
+  let lastBuiltAt = null;
+
+  for (const date of listDateKeys(from, to)) {
+    const row = rowsByDate.get(date);
+    daily.push({ date, revenue: row ? round2(row.revenue) : 0, orders: row ? toNumber(row.orderCount) : 0 });
+    if (!row) continue;
+
+    revenue = round2(revenue + toNumber(row.revenue));
+    refunded = round2(refunded + toNumber(row.refunded));
+    orderCount += toNumber(row.orderCount);
+    mergeBuckets(byType, row.byType);
+    mergeBuckets(bySource, row.bySource);
+
+    for (const [key, value] of Object.entries(row.items || {})) {
+      const entry = items[key] || (items[key] = { name: value.name, quantity: 0, revenue: 0 });
+      entry.quantity += toNumber(value.quantity);
+      entry.revenue = round2(entry.revenue + toNumber(value.revenue));
+    }
+    for (const [name, count] of Object.entries(row.toppings || {})) {
+      toppings[name] = (toppings[name] || 0) + toNumber(count);
+    }
+
+    // Heatmap rows are local weekdays (Mon=0)
+    const [y, m, d] = date.split("-").map(Number);
+    const weekday = (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7;
+    (row.hours || []).forEach((h, hour) => {
+      heatmap[weekday][hour] += toNumber(h.orders);
+    });
+
+    calls.total += toNumber(row.calls?.total);
+    calls.withOrder += toNumber(row.calls?.withOrder);
+    calls.totalSeconds += toNumber(row.calls?.totalSeconds);
+
+    for (const key of Object.keys(kitchen)) {
+      kitchen[key].totalMinutes += toNumber(row.kitchen?.[key]?.totalMinutes);
+      kitchen[key].count += toNumber(row.kitchen?.[key]?.count);
+    }
+
+    if (row.builtAt && (!lastBuiltAt || row.builtAt > lastBuiltAt)) lastBuiltAt = row.builtAt;
+  }
+
+  return {
+    from,
+    to,
+    revenue,
+    refunded,
+    orderCount,
+    averageTicket: orderCount > 0 ? round2(revenue / orderCount) : 0,
+    byType: withShares(byType, orderCount),
+    bySource: withShares(bySource, orderCount),
+    topItems: Object.values(items)
+      .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+      .slice(0, TOP_LIST_SIZE),
+    topToppings: Object.entries(toppings)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_LIST_SIZE),
+    daily,
+    heatmap,
+    calls: {
+      ...calls,
+      conversionRate: calls.total > 0 ? round2((calls.withOrder / calls.total) * 100) : null,
+    },
+    kitchen: {
+      acceptToReady: { minutes: averageOf(kitchen.acceptToReady), count: kitchen.acceptToReady.count },
+      readyToPickup: { minutes: averageOf(kitchen.readyToPickup), count: kitchen.readyToPickup.count },
+      readyToDriver: { minutes: averageOf(kitchen.readyToDriver), count: kitchen.readyToDriver.count },
+    },
+    lastBuiltAt,
+  };
+}
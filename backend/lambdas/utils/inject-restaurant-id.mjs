@@ -90,6 +90,9 @@ export function extractAndValidateRestaurantId(event, options = {}) {
  * - Path parameter
  * - Request header
  * - Vapi call metadata
+ *
+ * These are all caller-supplied. Only use the result as-is on public routes;
+ * JWT routes should go through authorizeRoute() in route-auth.mjs.
  * 
  * @param {Object} event - API Gateway event
  * @returns {string|null} restaurantId or null if not found
@@ -118,10 +121,8 @@ export function extractRestaurantId(event) {
     // Ignore parse errors
   }
 
-  // 5. Check environment variable fallback
-  const envRestaurantId = process.env.DEFAULT_RESTAURANT_ID;
-  if (envRestaurantId) return envRestaurantId;
-
+  // No DEFAULT_RESTAURANT_ID fallback here: a request that names no tenant must not
+  // land on one. Vapi routes apply their deploy-time default in route-auth.mjs.
   return null;
 }
 
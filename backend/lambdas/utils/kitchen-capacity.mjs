@@ -0,0 +1,193 @@
+/**
+ * Kitchen Capacity Model
+ *
+ * Caps how much food the kitchen promises per time slot (e.g. 12 pizzas per 15 minutes).
+ * Open orders are bucketed by the slot they're due in; a new order's ETA is pushed
+ * to the first slot that still has room, so quotes follow the actual queue instead
+ * of the hand-set rush multiplier alone.
+ *
+ * RestaurantSettings fields (HoursSettings "Kitchen Capacity"):
+ *   - capacityEnabled:     turn throttling on
+ *   - capacityUnit:        "pizzas" | "items" - what counts against the cap
+ *   - capacityPerSlot:     max units due in one slot
+ *   - capacitySlotMinutes: slot length
+ *
+ * Used by createOrder and vapiOrderWebhook.
+ */
+
+import { queryOrdersByStatus } from "./order-index.mjs";
+
+export const DEFAULT_CAPACITY_SETTINGS = {
+  capacityEnabled: false,
+  capacityUnit: "pizzas",
+  capacityPerSlot: 12,
+  capacitySlotMinutes: 15,
+};
+
+// Orders the kitchen still has to make
+const OPEN_STATUSES = ["new", "paid", "accepted", "preparing"];
+
+// Fallback when an old order has no ETA stored
+const DEFAULT_ORDER_ETA_MINUTES = 30;
+
+// Ignore stale tickets nobody closed out
+const OPEN_ORDER_LOOKBACK_MS = 6 * 60 * 60 * 1000;
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+/**
+ * Resolve capacity settings (null when throttling is off or misconfigured)
+ */
+export function getCapacitySettings(settings) {
+  if (settings?.capacityEnabled !== true) return null;
+
+  const perSlot = Number(settings.capacityPerSlot);
+  const slotMinutes = Number(settings.capacitySlotMinutes ?? DEFAULT_CAPACITY_SETTINGS.capacitySlotMinutes);
+  if (!Number.isFinite(perSlot) || perSlot <= 0 || !Number.isFinite(slotMinutes) || slotMinutes <= 0) {
+    return null;
+  }
+
+  return {
+    unit: settings.capacityUnit === "items" ? "items" : "pizzas",
+    perSlot,
+    slotMinutes,
+  };
+}
+
+// =============================================================================
+// KITCHEN LOAD
+// =============================================================================
+
+/**
+ * Kitchen load for an order, stored on the order record as `kitchenLoad`
+ *
+ * @param {Array<{ quantity?: number, isPizza?: boolean, comboComponents?: Array }>} items - Order line items
+ * @returns {{ pizzas: number, items: number }}
+ */
+export function computeKitchenLoad(items) {
+  let pizzas = 0;
+  let count = 0;
+  for (const item of items || []) {
+    const qty = Math.max(1, Math.floor(Number(item?.quantity) || 1));
+    count += qty;
+    if (item?.isPizza) {
+      pizzas += qty;
+    } else if (Array.isArray(item?.comboComponents)) {
+      // Every pizza inside a combo goes through the oven
+      pizzas += qty * item.comboComponents.filter((c) => c?.type === "pizza").length;
+    }
+  }
+  return { pizzas, items: count };
+}
+
+/**
+ * Load of an existing order. Orders created before `kitchenLoad` was stored
+ * fall back to itemCount (counted as pizzas only when the order has pizza items).
+ */
+function getOrderLoad(order) {
+  if (order?.kitchenLoad && typeof order.kitchenLoad === "object") {
+    return {
+      pizzas: Number(order.kitchenLoad.pizzas) || 0,
+      items: Number(order.kitchenLoad.items) || 0,
+    };
+  }
+  const items = Number(order?.itemCount) || 1;
+  return { pizzas: order?.hasPizzaItems ? items : 0, items };
+}
+
+/**
+ * When an existing order is due out of the kitchen
+ */
+function getOrderDueMs(order) {
+  const promised = Date.parse(order?.promisedReadyAt || order?.scheduledFor || "");
+  if (Number.isFinite(promised)) return promised;
+
+  const createdMs = Date.parse(order?.createdAt || "");
+  if (!Number.isFinite(createdMs)) return null;
+
+  const etaMinutes = Number(order?.etaMaxMinutes ?? order?.etaMinutes ?? DEFAULT_ORDER_ETA_MINUTES);
+  return createdMs + (Number.isFinite(etaMinutes) ? etaMinutes : DEFAULT_ORDER_ETA_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Load the restaurant's open (not yet completed) orders
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} - Unmarshalled orders
+ */
+export async function loadOpenOrders(ddb, restaurantId, now = new Date()) {
+  if (!restaurantId) return [];
+  return queryOrdersByStatus(ddb, {
+    restaurantId,
+    statuses: OPEN_STATUSES,
+    since: new Date(now.getTime() - OPEN_ORDER_LOOKBACK_MS).toISOString(),
+  });
+}
+
+// =============================================================================
+// SLOT ASSIGNMENT
+// =============================================================================
+
+/**
+ * Find when a new order can actually be ready, given the kitchen's queue.
+ *
+ * @param {Object} params
+ * @param {Object} params.settings - RestaurantSettings record
+ * @param {Array} params.openOrders - Orders from loadOpenOrders
+ * @param {{ pizzas: number, items: number }} params.load - New order's kitchen load
+ * @param {number} params.etaMinutes - Unthrottled ETA (minutes from now)
+ * @param {Date} [params.now] - Current time
+ * @returns {{ etaMinutes: number, readyAt: string, throttled: boolean, delayMinutes: number }}
+ */
+export function findReadySlot({ settings, openOrders, load, etaMinutes, now = new Date() }) {
+  const nowMs = now.getTime();
+  const requestedMs = nowMs + etaMinutes * 60 * 1000;
+  const capacity = getCapacitySettings(settings);
+
+  const unthrottled = {
+    etaMinutes,
+    readyAt: new Date(requestedMs).toISOString(),
+    throttled: false,
+    delayMinutes: 0,
+  };
+  if (!capacity) return unthrottled;
+
+  const slotMs = capacity.slotMinutes * 60 * 1000;
+  const units = capacity.unit === "items" ? load.items : load.pizzas;
+  if (units <= 0) return unthrottled; // e.g. sides-only order when capping pizzas
+
+  // Units already promised per slot
+  const used = new Map();
+  for (const order of openOrders || []) {
+    const dueMs = getOrderDueMs(order);
+    if (dueMs === null) continue;
+    const slot = Math.floor(dueMs / slotMs);
+    const orderUnits = capacity.unit === "items" ? getOrderLoad(order).items : getOrderLoad(order).pizzas;
+    used.set(slot, (used.get(slot) || 0) + orderUnits);
+  }
+
+  // First slot with room (an order bigger than a whole slot takes the next empty one)
+  let slot = Math.floor(requestedMs / slotMs);
+  for (let guard = 0; guard < 96; guard++, slot++) {
+    const slotUsed = used.get(slot) || 0;
+    if (slotUsed + units <= capacity.perSlot || slotUsed === 0) break;
+  }
+
+  const firstSlot = Math.floor(requestedMs / slotMs);
+  if (slot === firstSlot) return unthrottled;
+
+  // Pushed orders are promised by the end of the slot they landed in
+  const readyMs = (slot + 1) * slotMs;
+  const throttledEta = Math.ceil((readyMs - nowMs) / 60000);
+
+  return {
+    etaMinutes: throttledEta,
+    readyAt: new Date(readyMs).toISOString(),
+    throttled: true,
+    delayMinutes: throttledEta - etaMinutes,
+  };
+}
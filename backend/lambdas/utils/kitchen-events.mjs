@@ -0,0 +1,184 @@
+/**
+ * Kitchen Realtime Events
+ *
+ * KitchenConnections table: PK restaurantId, SK connectionId, expiresAt (TTL).
+ * One row per open KitchenView WebSocket, written by the kitchenSocket lambda
+ * on $connect (after the kitchen JWT checks out) and removed on $disconnect.
+ *
+ * Order writers call publishOrderEvent() after saving; every tablet of that
+ * restaurant gets a small message and refetches its open orders:
+ *
+ *   { type: "order.created" | "order.updated" | "order.cancelled", orderId, status, at }
+ *
+ * Publishing is best-effort: a failed push never fails the order write, and the
+ * tablets fall back to polling whenever their socket drops.
+ *
+ * Env: KITCHEN_SOCKET_ENDPOINT (https://{api}.execute-api.{region}.amazonaws.com/{stage}).
+ * Without it publishing is a no-op.
+ */
+
+import {
+  PutItemCommand,
+  DeleteItemCommand,
+  QueryCommand,
+} from "@aws-sdk/client-dynamodb";
+import {
+  ApiGatewayManagementApiClient,
+  PostToConnectionCommand,
+} from "@aws-sdk/client-apigatewaymanagementapi";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+export const KITCHEN_CONNECTIONS_TABLE = "KitchenConnections";
+export const KITCHEN_CONNECTIONS_BY_ID_INDEX = "connectionId-index";
+
+export const ORDER_EVENTS = {
+  CREATED: "order.created",
+  UPDATED: "order.updated",
+  CANCELLED: "order.cancelled",
+};
+
+// API Gateway closes WebSockets after 2 hours; TTL cleans up missed $disconnects
+const CONNECTION_TTL_SECONDS = 2 * 60 * 60 + 5 * 60;
+
+let managementClient = null;
+
+function getManagementClient() {
+  const endpoint = process.env.KITCHEN_SOCKET_ENDPOINT;
+  if (!endpoint) return null;
+  if (!managementClient) {
+    managementClient = new ApiGatewayManagementApiClient({ endpoint });
+  }
+  return managementClient;
+}
+
+// =============================================================================
+// CONNECTIONS
+// =============================================================================
+
+/**
+ * Record an authenticated kitchen connection
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant ID from the verified token
+ * @param {string} params.connectionId - API Gateway connection ID
+ * @param {string} [params.username] - Cognito username (for logs)
+ */
+export async function saveKitchenConnection(ddb, { restaurantId, connectionId, username }) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  await ddb.send(new PutItemCommand({
+    TableName: KITCHEN_CONNECTIONS_TABLE,
+    Item: marshall({
+      restaurantId,
+      connectionId,
+      username,
+      connectedAt: new Date().toISOString(),
+      expiresAt: nowSec + CONNECTION_TTL_SECONDS,
+    }, { removeUndefinedValues: true }),
+  }));
+}
+
+/**
+ * Forget a connection. $disconnect only knows the connection ID, so the
+ * restaurant is looked up through the connectionId index first.
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {string} connectionId - API Gateway connection ID
+ * @param {string} [restaurantId] - Skip the lookup when already known
+ */
+export async function removeKitchenConnection(ddb, connectionId, restaurantId) {
+  let ownerIds = restaurantId ? [restaurantId] : [];
+  if (!restaurantId) {
+    const { Items } = await ddb.send(new QueryCommand({
+      TableName: KITCHEN_CONNECTIONS_TABLE,
+      IndexName: KITCHEN_CONNECTIONS_BY_ID_INDEX,
+      KeyConditionExpression: "connectionId = :cid",
+      ExpressionAttributeValues: marshall({ ":cid": connectionId }),
+    }));
+    ownerIds = (Items || []).map((item) => unmarshall(item).restaurantId);
+  }
+
+  await Promise.all(ownerIds.map((rid) => ddb.send(new DeleteItemCommand({
+    TableName: KITCHEN_CONNECTIONS_TABLE,
+    Key: marshall({ restaurantId: rid, connectionId }),
+  }))));
+}
+
+async function listKitchenConnections(ddb, restaurantId) {
+  const connections = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await ddb.send(new QueryCommand({
+      TableName: KITCHEN_CONNECTIONS_TABLE,
+      KeyConditionExpression: "restaurantId = :rid",
+      ExpressionAttributeValues: marshall({ ":rid": restaurantId }),
+      ProjectionExpression: "connectionId",
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    connections.push(...(result.Items || []).map((item) => unmarshall(item).connectionId));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return connections;
+}
+
+// =============================================================================
+// PUBLISH
+// =============================================================================
+
+/**
+ * Event type for an order's new status
+ *
+ * @param {string} status - Order status after the write
+ * @param {boolean} [isNew] - The write created the order
+ * @returns {string}
+ */
+export function orderEventType(status, isNew = false) {
+  if (isNew) return ORDER_EVENTS.CREATED;
+  return status === "cancelled" ? ORDER_EVENTS.CANCELLED : ORDER_EVENTS.UPDATED;
+}
+
+/**
+ * Push an order event to every open KitchenView of the restaurant. Never throws.
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant ID
+ * @param {string} params.type - One of ORDER_EVENTS
+ * @param {string} params.orderId - Order ID
+ * @param {string} [params.status] - Order status after the write
+ * @returns {Promise<{ sent: number, gone: number }>}
+ */
+export async function publishOrderEvent(ddb, { restaurantId, type, orderId, status }) {
+  const client = getManagementClient();
+  if (!client || !restaurantId) {
+    return { sent: 0, gone: 0 };
+  }
+
+  try {
+    const connectionIds = await listKitchenConnections(ddb, restaurantId);
+    const data = Buffer.from(JSON.stringify({ type, orderId, status, at: new Date().toISOString() }));
+
+    let sent = 0;
+    let gone = 0;
+    await Promise.all(connectionIds.map(async (connectionId) => {
+      try {
+        await client.send(new PostToConnectionCommand({ ConnectionId: connectionId, Data: data }));
+        sent++;
+      } catch (error) {
+        if (error.name === "GoneException" || error.$metadata?.httpStatusCode === 410) {
+          // Tablet went away without a clean $disconnect
+          gone++;
+          await removeKitchenConnection(ddb, connectionId, restaurantId).catch(() => {});
+          return;
+        }
+        console.warn("[Kitchen Events] Push failed", { connectionId, error: error.message });
+      }
+    }));
+
+    console.log("[Kitchen Events] Published", { restaurantId, type, orderId, sent, gone });
+    return { sent, gone };
+  } catch (error) {
+    console.error("[Kitchen Events] Publish failed", { restaurantId, type, orderId, error: error.message });
+    return { sent: 0, gone: 0 };
+  }
+}
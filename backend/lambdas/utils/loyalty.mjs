@@ -0,0 +1,395 @@
+/**
+ * Loyalty Points
+ *
+ * Points belong to a phone number at a restaurant. The balance lives on the Customers
+ * record (loyaltyPoints, loyaltyLifetimePoints); every change to it is also written to
+ * the LoyaltyLedger table, in the same transaction, so the balance can always be
+ * explained entry by entry.
+ *
+ * LoyaltyLedger: PK customerKey ("{restaurantId}#{phone}"), SK entryId. Entries made
+ * for an order have fixed ids ("order#{orderId}#earn", ...), so a retried status change
+ * or refund can't post the same points twice.
+ *
+ *   earn          - order reached completed: pointsPerDollar x food paid for (after discounts)
+ *   redeem        - points spent as a discount when the order was placed
+ *   earn_reversal - order refunded after it earned (partial refunds reverse their share)
+ *   redeem_return - order cancelled or fully refunded: spent points go back
+ *   adjustment    - owner changed the balance from the dashboard (with a reason)
+ *
+ * Redeemed points are an order-level adjustment (type "loyalty") next to the promotion
+ * adjustments, so they count in `discount` everywhere totals, tax and refunds are worked out.
+ */
+
+import { QueryCommand, TransactWriteItemsCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { CUSTOMERS_TABLE, customerIdFor, normalizeCustomerPhone } from "./customers.mjs";
+
+export const LOYALTY_LEDGER_TABLE = "LoyaltyLedger";
+
+// RestaurantSettings fields (merged into GET /settings like the capacity defaults)
+export const DEFAULT_LOYALTY_SETTINGS = {
+  loyaltyEnabled: false,
+  loyaltyPointsPerDollar: 1,    // Earned per dollar of food, after discounts
+  loyaltyPointValueCents: 5,    // 100 points = $5 off
+  loyaltyMinRedeemPoints: 100,  // Smallest redemption
+};
+
+export const LOYALTY_ENTRY_TYPES = ["earn", "redeem", "earn_reversal", "redeem_return", "adjustment"];
+
+const LOYALTY_ADJUSTMENT_ID = "loyalty";
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Loyalty program settings with defaults filled in
+ *
+ * @returns {{ enabled: boolean, pointsPerDollar: number, pointValueCents: number, minRedeemPoints: number }}
+ */
+export function getLoyaltySettings(settings = {}) {
+  const num = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    enabled: settings?.loyaltyEnabled === true,
+    pointsPerDollar: num(settings?.loyaltyPointsPerDollar, DEFAULT_LOYALTY_SETTINGS.loyaltyPointsPerDollar),
+    pointValueCents: num(settings?.loyaltyPointValueCents, DEFAULT_LOYALTY_SETTINGS.loyaltyPointValueCents),
+    minRedeemPoints: Math.floor(num(settings?.loyaltyMinRedeemPoints, DEFAULT_LOYALTY_SETTINGS.loyaltyMinRedeemPoints)),
+  };
+}
+
+function customerKey(restaurantId, phone) {
+  return `${restaurantId}#${phone}`;
+}
+
+// =============================================================================
+// REDEMPTION PRICING
+// =============================================================================
+
+/**
+ * The loyalty adjustment on an order, if points were spent on it
+ */
+export function getLoyaltyAdjustment(adjustments) {
+  return (Array.isArray(adjustments) ? adjustments : []).find((a) => a?.type === "loyalty") || null;
+}
+
+function buildLoyaltyAdjustment(points, amountCents) {
+  return {
+    adjustmentId: LOYALTY_ADJUSTMENT_ID,
+    type: "loyalty",
+    name: `${points} loyalty points`,
+    points,
+    amountCents,
+    amount: amountCents / 100,
+    lineKeys: [],
+  };
+}
+
+/**
+ * Price a points redemption against what's left of the order after promotions.
+ * Asking for more points than the order can use only spends what covers it.
+ *
+ * @param {Object} params
+ * @param {Object} params.settings - RestaurantSettings
+ * @param {number} params.points - Points the customer wants to use
+ * @param {number|null} params.balance - Current balance; null when the customer isn't verified
+ * @param {number} params.maxCents - Food subtotal left after promotion discounts
+ * @returns {{ ok: true, adjustment: Object|null } | { ok: false, rejection: { code: string, reason: string } }}
+ */
+export function priceLoyaltyRedemption({ settings, points, balance, maxCents }) {
+  const requested = Math.floor(toNumber(points, 0));
+  if (requested <= 0) return { ok: true, adjustment: null };
+
+  const loyalty = getLoyaltySettings(settings);
+  if (!loyalty.enabled || loyalty.pointValueCents <= 0) {
+    return { ok: false, rejection: { code: "loyalty_disabled", reason: "Loyalty points can't be used here right now." } };
+  }
+  if (balance == null) {
+    return { ok: false, rejection: { code: "loyalty_needs_phone", reason: "Verify your phone number to use loyalty points." } };
+  }
+  if (requested < loyalty.minRedeemPoints) {
+    return { ok: false, rejection: { code: "loyalty_min_points", reason: `Use at least ${loyalty.minRedeemPoints} points at a time.` } };
+  }
+  if (requested > balance) {
+    return { ok: false, rejection: { code: "loyalty_not_enough_points", reason: `Only ${Math.max(0, balance)} points are available.` } };
+  }
+
+  const usable = Math.min(requested, Math.floor(Math.max(0, maxCents) / loyalty.pointValueCents));
+  if (usable <= 0) return { ok: true, adjustment: null };
+  return { ok: true, adjustment: buildLoyaltyAdjustment(usable, usable * loyalty.pointValueCents) };
+}
+
+/**
+ * Re-fit a redemption after an order edit: the points stay spent, but the discount
+ * can't be more than what's left of the new subtotal.
+ *
+ * @returns {Object|null} adjustment
+ */
+export function refitLoyaltyAdjustment(adjustment, maxCents) {
+  if (!adjustment) return null;
+  const amountCents = Math.min(toNumber(adjustment.amountCents, 0), Math.max(0, maxCents));
+  return { ...adjustment, amountCents, amount: amountCents / 100 };
+}
+
+/**
+ * Spoken / receipt summary of a balance: "240 points ($12.00 off)"
+ */
+export function describeLoyaltyBalance(points, settings) {
+  const loyalty = getLoyaltySettings(settings);
+  const balance = Math.max(0, Math.floor(toNumber(points, 0)));
+  return `${balance} points (${formatCents(balance * loyalty.pointValueCents)} off)`;
+}
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+/**
+ * The two writes behind one ledger entry: the entry itself (attribute_not_exists, so
+ * the same id can't post twice) and the matching move of the customer's balance.
+ * Returns null when there is nothing to post.
+ *
+ * @param {Object} entry - See postLoyaltyEntry
+ * @returns {{ entry: Object, balance: Object } | null} TransactWriteItems items
+ */
+function buildLoyaltyEntryWrites({ restaurantId, phone, entryId, type, points, orderId, reason, by, requireBalance = false, at = new Date() }) {
+  const delta = Math.trunc(toNumber(points, 0));
+  if (!restaurantId || !phone || delta === 0) return null;
+
+  const now = at.toISOString();
+  const record = {
+    customerKey: customerKey(restaurantId, phone),
+    entryId,
+    restaurantId: String(restaurantId),
+    phone,
+    type,
+    points: delta,
+    orderId: orderId || undefined,
+    reason: reason || undefined,
+    by: by || undefined,
+    createdAt: now,
+  };
+
+  const sets = ["customerId = if_not_exists(customerId, :cid)", "createdAt = if_not_exists(createdAt, :now)", "loyaltyUpdatedAt = :now"];
+  const adds = ["loyaltyPoints :delta"];
+  if (type === "earn" || type === "earn_reversal") {
+    adds.push("loyaltyLifetimePoints :delta");
+  }
+  const values = { ":cid": customerIdFor(restaurantId, phone), ":now": now, ":delta": delta };
+  if (requireBalance && delta < 0) {
+    values[":needed"] = -delta;
+  }
+
+  return {
+    entry: {
+      Put: {
+        TableName: LOYALTY_LEDGER_TABLE,
+        Item: marshall(record, { removeUndefinedValues: true }),
+        ConditionExpression: "attribute_not_exists(entryId)",
+      },
+    },
+    balance: {
+      Update: {
+        TableName: CUSTOMERS_TABLE,
+        Key: marshall({ restaurantId: String(restaurantId), phone }),
+        UpdateExpression: `SET ${sets.join(", ")} ADD ${adds.join(", ")}`,
+        ...(values[":needed"] ? { ConditionExpression: "loyaltyPoints >= :needed" } : {}),
+        ExpressionAttributeValues: marshall(values),
+      },
+    },
+  };
+}
+
+/**
+ * Post one ledger entry and move the customer's balance by the same amount.
+ * The entry id is written with attribute_not_exists, so posting it again is a no-op.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} entry
+ * @param {string} entry.restaurantId
+ * @param {string} entry.phone - E.164
+ * @param {string} entry.entryId - Fixed id for order entries, unique for adjustments
+ * @param {string} entry.type - See LOYALTY_ENTRY_TYPES
+ * @param {number} entry.points - Signed change to the balance
+ * @param {boolean} [entry.requireBalance] - Fail instead of taking the balance below zero
+ * @returns {Promise<{ ok: boolean, duplicate?: boolean, insufficient?: boolean }>}
+ */
+export async function postLoyaltyEntry(ddb, entry) {
+  const writes = buildLoyaltyEntryWrites(entry);
+  if (!writes) return { ok: true };
+
+  try {
+    await ddb.send(new TransactWriteItemsCommand({ TransactItems: [writes.entry, writes.balance] }));
+  } catch (error) {
+    if (error?.name === "TransactionCanceledException") {
+      const [entryReason, balanceReason] = (error.CancellationReasons || []).map((r) => r?.Code);
+      if (entryReason === "ConditionalCheckFailed") return { ok: true, duplicate: true };
+      if (balanceReason === "ConditionalCheckFailed") return { ok: false, insufficient: true };
+    }
+    throw error;
+  }
+
+  return { ok: true };
+}
+
+/**
+ * A customer's ledger, newest first
+ */
+export async function listLoyaltyEntries(ddb, { restaurantId, phone }) {
+  const entries = [];
+  let lastKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: LOYALTY_LEDGER_TABLE,
+      KeyConditionExpression: "customerKey = :key",
+      ExpressionAttributeValues: marshall({ ":key": customerKey(restaurantId, phone) }),
+      ...(lastKey ? { ExclusiveStartKey: lastKey } : {}),
+    }));
+    entries.push(...(res.Items || []).map((item) => unmarshall(item)));
+    lastKey = res.LastEvaluatedKey;
+  } while (lastKey);
+
+  return entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// =============================================================================
+// ORDER ENTRIES
+// =============================================================================
+
+/**
+ * Phone the order's points go to (E.164, as stored on the Customers record)
+ */
+export function getOrderLoyaltyPhone(order) {
+  return normalizeCustomerPhone(order?.customer?.phone);
+}
+
+/**
+ * The writes that spend the order's redeemed points, for the order's own transaction
+ * (utils/order-transaction.mjs): the points only leave the balance if the order is
+ * saved, and a balance spent by another order in the meantime rejects this one.
+ *
+ * @returns {Array<{ write: Object, rejection: { code: string, reason: string } }>}
+ */
+export function buildOrderRedemptionWrites({ restaurantId, phone, orderId, adjustments, at = new Date() }) {
+  const adjustment = getLoyaltyAdjustment(adjustments);
+  if (!adjustment) return [];
+
+  const writes = buildLoyaltyEntryWrites({
+    restaurantId,
+    phone,
+    entryId: `order#${orderId}#redeem`,
+    type: "redeem",
+    points: -adjustment.points,
+    orderId,
+    requireBalance: true,
+    at,
+  });
+  if (!writes) return [];
+
+  return [
+    { write: writes.entry, rejection: { code: "loyalty_already_redeemed", reason: "Points were already used on this order." } },
+    { write: writes.balance, rejection: { code: "loyalty_not_enough_points", reason: "Those loyalty points were already used on another order." } },
+  ];
+}
+
+/**
+ * Points a completed order earns: food paid for after discounts, less any share
+ * already refunded
+ */
+export function calculateOrderPoints(order, settings) {
+  const loyalty = getLoyaltySettings(settings);
+  if (!loyalty.enabled || loyalty.pointsPerDollar <= 0) return 0;
+
+  const paidForFood = Math.max(0, toNumber(order.subtotal) - toNumber(order.discount));
+  const total = toNumber(order.total);
+  const keptShare = total > 0 ? Math.max(0, 1 - toNumber(order.refundedAmount) / total) : 1;
+  return Math.floor(paidForFood * keptShare * loyalty.pointsPerDollar);
+}
+
+/**
+ * Credit a completed order's points (once per order)
+ *
+ * @returns {Promise<number>} points earned
+ */
+export async function earnOrderPoints(ddb, { order, points }) {
+  const phone = getOrderLoyaltyPhone(order);
+  if (!phone || !order.restaurantId || points <= 0) return 0;
+
+  await postLoyaltyEntry(ddb, {
+    restaurantId: order.restaurantId,
+    phone,
+    entryId: `order#${order.orderId}#earn`,
+    type: "earn",
+    points,
+    orderId: order.orderId,
+  });
+  return points;
+}
+
+/**
+ * What a cancellation or refund takes back. Earned points are reversed in proportion
+ * to the amount refunded (all of them on a full refund); spent points come back only
+ * when the whole order is cancelled or refunded.
+ *
+ * @param {Object} order - Order before the change
+ * @param {Object} change
+ * @param {boolean} change.full - Cancelled, or refunded in full
+ * @param {number} [change.refundAmount] - Partial refunds: dollars refunded this time
+ * @returns {{ reversePoints: number, returnPoints: number }}
+ */
+export function planOrderPointReversal(order, { full, refundAmount = 0 }) {
+  const earned = Math.floor(toNumber(order.loyaltyPointsEarned, 0));
+  const alreadyReversed = Math.floor(toNumber(order.loyaltyPointsReversed, 0));
+  const remaining = Math.max(0, earned - alreadyReversed);
+  const total = toNumber(order.total);
+
+  const reversePoints = full
+    ? remaining
+    : Math.min(remaining, total > 0 ? Math.round(earned * toNumber(refundAmount) / total) : 0);
+
+  const spent = getLoyaltyAdjustment(order.adjustments)?.points || 0;
+  const returnPoints = full && !order.loyaltyPointsReturned ? spent : 0;
+
+  return { reversePoints, returnPoints };
+}
+
+/**
+ * Post the ledger entries for a cancellation or refund (see planOrderPointReversal).
+ * `key` tells repeated refunds on one order apart; retries of the same one are no-ops.
+ */
+export async function reverseOrderPoints(ddb, { order, plan, key, reason, by }) {
+  const phone = getOrderLoyaltyPhone(order);
+  if (!phone || !order.restaurantId) return;
+
+  if (plan.reversePoints > 0) {
+    await postLoyaltyEntry(ddb, {
+      restaurantId: order.restaurantId,
+      phone,
+      entryId: `order#${order.orderId}#earn_reversal#${key}`,
+      type: "earn_reversal",
+      points: -plan.reversePoints,
+      orderId: order.orderId,
+      reason,
+      by,
+    });
+  }
+  if (plan.returnPoints > 0) {
+    await postLoyaltyEntry(ddb, {
+      restaurantId: order.restaurantId,
+      phone,
+      entryId: `order#${order.orderId}#redeem_return`,
+      type: "redeem_return",
+      points: plan.returnPoints,
+      orderId: order.orderId,
+      reason,
+      by,
+    });
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Tenant Menu Helpers
+ *
+ * Loads a restaurant's MenuItems and resolves spoken/typed item names against them.
+ * Used by the Vapi webhook so phone orders are priced from the same menu as web orders,
+ * and by the Vapi menu tool to answer "do you have ...?" questions.
+ */
+
+import { ScanCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { addRestaurantIdFilter } from "./inject-restaurant-id.mjs";
+import { isPizzaMenuItem } from "./pizza-pricing.mjs";
+import { isComboMenuItem } from "./combo-items.mjs";
+import { doubleMetaphone, levenshtein } from "./phonetic-match.mjs";
+
+const MENU_TABLE = "MenuItems";
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Load all menu items for a restaurant.
+ * Mirrors getMenu: prefers restaurant-prefixed itemIds (e.g. demo123#pizza-byo)
+ * over legacy unprefixed rows so migrated menus don't return duplicates.
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {string} restaurantId - Restaurant ID
+ * @returns {Promise<Array>} - Unmarshalled menu items
+ */
+export async function loadMenuItems(ddb, restaurantId) {
+  const items = [];
+  let lastKey;
+
+  do {
+    const params = { TableName: MENU_TABLE };
+    if (restaurantId) {
+      addRestaurantIdFilter(params, restaurantId);
+    }
+    if (lastKey) {
+      params.ExclusiveStartKey = lastKey;
+    }
+
+    const res = await ddb.send(new ScanCommand(params));
+    for (const raw of res.Items || []) {
+      items.push(unmarshall(raw));
+    }
+    lastKey = res.LastEvaluatedKey;
+  } while (lastKey);
+
+  if (!restaurantId) return items;
+
+  const prefix = `${restaurantId}#`;
+  const prefixed = items.filter((it) => typeof it?.itemId === "string" && it.itemId.startsWith(prefix));
+  return prefixed.length > 0 ? prefixed : items;
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Get the base item id (without restaurant prefix) for a menu item
+ */
+export function getBaseItemId(menuItem) {
+  if (menuItem?.baseItemId) return menuItem.baseItemId;
+  const itemId = String(menuItem?.itemId || "");
+  const hashIdx = itemId.indexOf("#");
+  return hashIdx >= 0 ? itemId.slice(hashIdx + 1) : itemId;
+}
+
+/**
+ * Normalize an item name for comparison ("Garlic Knots (6pc)" -> "garlic knots 6pc")
+ */
+export function normalizeItemName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Pick the pizza item whose pricingRules price phone-built pizzas.
+ * Prefers the Build Your Own pizza, then any available v2 pizza item.
+ *
+ * @param {Array} menuItems - Menu items for the restaurant
+ * @returns {Object|null} - Pizza menu item, or null if the menu has none
+ */
+export function findPizzaMenuItem(menuItems) {
+  const pizzas = (menuItems || []).filter(isPizzaMenuItem);
+  if (pizzas.length === 0) return null;
+
+  return pizzas.find((it) => getBaseItemId(it) === "pizza-byo")
+    || pizzas.find((it) => it.available !== false)
+    || pizzas[0];
+}
+
+/**
+ * Find a pizza item by name (specialties: "Meat Lovers" or "Meat Lovers Pizza")
+ *
+ * @param {Array} menuItems - Menu items for the restaurant
+ * @param {string} name - Pizza name as given by the caller
+ * @returns {Object|null} - Matching pizza item or null
+ */
+export function findPizzaByName(menuItems, name) {
+  const target = normalizeItemName(name).replace(/ pizza$/, "");
+  if (!target) return null;
+
+  return (menuItems || [])
+    .filter(isPizzaMenuItem)
+    .find((it) => normalizeItemName(it.name).replace(/ pizza$/, "") === target) || null;
+}
+
+/**
+ * Find a combo by name
+ *
+ * @param {Array} menuItems - Menu items for the restaurant
+ * @param {string} name - Combo name as given by the caller
+ * @returns {Object|null} - Matching combo item or null
+ */
+export function findComboByName(menuItems, name) {
+  const target = normalizeItemName(name);
+  if (!target) return null;
+
+  const combos = (menuItems || []).filter(isComboMenuItem);
+  return combos.find((it) => normalizeItemName(it.name) === target)
+    || combos.find((it) => normalizeItemName(stripNameSuffix(it.name)) === target)
+    || null;
+}
+
+/**
+ * Find a non-pizza menu item by name.
+ * Matches on normalized name first, then on a name that ignores a trailing
+ * count/size suffix (e.g. "Garlic Knots" matches "Garlic Knots (6pc)").
+ *
+ * @param {Array} menuItems - Menu items for the restaurant
+ * @param {string} name - Item name as given by the caller
+ * @returns {Object|null} - Matching menu item or null
+ */
+export function findMenuItemByName(menuItems, name) {
+  const target = normalizeItemName(name);
+  if (!target) return null;
+
+  const candidates = (menuItems || []).filter((it) => !isPizzaMenuItem(it) && !isComboMenuItem(it));
+
+  const exact = candidates.find((it) => normalizeItemName(it.name) === target);
+  if (exact) return exact;
+
+  const loose = candidates.filter((it) => normalizeItemName(stripNameSuffix(it.name)) === target);
+  return loose.length === 1 ? loose[0] : null;
+}
+
+/**
+ * Drop a trailing parenthetical from a menu name ("Garlic Knots (6pc)" -> "Garlic Knots")
+ */
+function stripNameSuffix(name) {
+  return String(name || "").replace(/\s*\([^)]*\)\s*$/, "");
+}
+
+// =============================================================================
+// FUZZY MATCHING (spoken names)
+// Same approach as lookupAddress street matching: phonetic codes + edit distance.
+// =============================================================================
+
+/**
+ * Score how well a spoken name matches a menu name (0-100).
+ * Each heard word is matched to its closest menu word phonetically, so
+ * "garlic nots" still lands on "Garlic Knots (6pc)".
+ */
+export function scoreItemName(heard, candidateName) {
+  const heardName = normalizeItemName(heard);
+  const candidateFull = normalizeItemName(candidateName);
+  const candidateCore = normalizeItemName(stripNameSuffix(candidateName));
+
+  if (!heardName || !candidateCore) return 0;
+
+  const heardWords = heardName.split(" ");
+  const candidateWords = candidateCore.split(" ");
+
+  // Per-word phonetic match (highest weight)
+  let wordMatch = 0;
+  let allWordsHeard = true;
+  for (const hw of heardWords) {
+    const [hPrimary, hAlt] = doubleMetaphone(hw);
+    let best = 0;
+    for (const cw of candidateWords) {
+      const [cPrimary, cAlt] = doubleMetaphone(cw);
+      let wordScore;
+      if (hPrimary && hPrimary === cPrimary) wordScore = 1;
+      else if (hPrimary && (hPrimary === cAlt || hAlt === cPrimary)) wordScore = 0.8;
+      else wordScore = 1 - levenshtein(hw, cw) / Math.max(hw.length, cw.length);
+      best = Math.max(best, wordScore);
+    }
+    if (best < 0.8) allWordsHeard = false;
+    wordMatch += best;
+  }
+
+  let score = Math.round((wordMatch / Math.max(heardWords.length, candidateWords.length)) * 50);
+
+  // Edit distance on the whole name (for near-misses)
+  const distance = levenshtein(heardName, candidateCore);
+  const similarity = 1 - distance / Math.max(heardName.length, candidateCore.length);
+  score += Math.round(similarity * 40);
+
+  // Caller said a shorter form of the name ("wings" for "Buffalo Wings")
+  if (allWordsHeard && heardWords.length < candidateWords.length) {
+    score += 20;
+  }
+
+  // Exact match bonus
+  if (heardName === candidateCore || heardName === candidateFull) {
+    score += 10;
+  }
+
+  return Math.min(score, 100);
+}
+
+/**
+ * Rank candidates against a spoken name.
+ *
+ * @param {string} heard - Name as spoken by the caller
+ * @param {Array<{name: string}>} candidates - Anything with a name (menu items, toppings)
+ * @param {number} limit - Max matches to return
+ * @returns {Array} - Candidates with a `score`, best first, above the minimum threshold
+ */
+export function findBestNameMatches(heard, candidates, limit = 3) {
+  return (candidates || [])
+    .map((candidate) => ({ ...candidate, score: scoreItemName(heard, candidate.name) }))
+    .filter((c) => c.score > 40) // Minimum threshold
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,332 @@
+/**
+ * Modifier Groups (non-pizza MenuItems)
+ *
+ * Wing sauces, dressings, drink sizes... any item can carry option groups the
+ * customer picks from. Web, admin and phone orders all resolve their picks through
+ * here, so every channel enforces the same required/min/max rules and charges the
+ * same per-option deltas.
+ */
+
+import { normalizeItemName } from "./menu-items.mjs";
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+/**
+ * Example MenuItem with modifier groups:
+ * {
+ *   itemId: "wings-10",
+ *   name: "Wings (10pc)",
+ *   price: 12.99,
+ *   modifierGroups: [
+ *     {
+ *       groupId: "sauce",
+ *       name: "Sauce",
+ *       required: true,
+ *       minSelections: 1,
+ *       maxSelections: 2,
+ *       options: [
+ *         { optionId: "buffalo", name: "Buffalo", priceDeltaCents: 0, isDefault: true },
+ *         { optionId: "bbq", name: "BBQ", priceDeltaCents: 0 },
+ *         { optionId: "garlic-parm", name: "Garlic Parmesan", priceDeltaCents: 50, available: false },
+ *       ],
+ *     },
+ *   ],
+ * }
+ *
+ * Order lines carry the picks as modifierSelections: { [groupId]: [optionId, ...] }
+ * (web / admin) or as spoken option names (phone: ["BBQ", "Ranch"]).
+ * Priced lines store selectedModifiers: [{ groupId, groupName, optionId, name, priceDeltaCents }].
+ */
+
+const MAX_GROUPS = 20;
+const MAX_OPTIONS_PER_GROUP = 50;
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Does this menu item have modifier groups?
+ */
+export function hasModifierGroups(menuItem) {
+  return Array.isArray(menuItem?.modifierGroups) && menuItem.modifierGroups.length > 0;
+}
+
+/**
+ * Effective selection limits for a group.
+ * A required group needs at least one pick; maxSelections defaults to one per option.
+ *
+ * @returns {{ min: number, max: number }}
+ */
+export function getSelectionLimits(group) {
+  const optionCount = Array.isArray(group?.options) ? group.options.length : 0;
+  const min = Math.max(group?.required ? 1 : 0, toInt(group?.minSelections, 0));
+  const max = toInt(group?.maxSelections, 0) > 0 ? toInt(group.maxSelections, 0) : optionCount;
+  return { min, max };
+}
+
+/**
+ * Clean up modifier groups from the Menu tab before saving (trim names, fill ids, coerce numbers)
+ *
+ * @param {Array} groups - Raw modifierGroups from a request body
+ * @returns {Array}
+ */
+export function normalizeModifierGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+
+  return groups.map((group) => {
+    const name = String(group?.name || "").trim();
+    const options = Array.isArray(group?.options) ? group.options : [];
+    const normalized = {
+      groupId: String(group?.groupId || slugify(name)).trim(),
+      name,
+      required: group?.required === true,
+      minSelections: Math.max(0, toInt(group?.minSelections, 0)),
+      options: options.map((option) => {
+        const optionName = String(option?.name || "").trim();
+        return {
+          optionId: String(option?.optionId || slugify(optionName)).trim(),
+          name: optionName,
+          priceDeltaCents: toInt(option?.priceDeltaCents, 0),
+          available: option?.available !== false,
+          isDefault: option?.isDefault === true,
+        };
+      }),
+    };
+    if (toInt(group?.maxSelections, 0) > 0) {
+      normalized.maxSelections = toInt(group.maxSelections, 0);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate (normalized) modifier groups
+ *
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export function validateModifierGroups(groups) {
+  const errors = [];
+
+  if (!Array.isArray(groups)) {
+    return { valid: false, errors: ["modifierGroups must be an array"] };
+  }
+  if (groups.length > MAX_GROUPS) {
+    errors.push(`At most ${MAX_GROUPS} modifier groups per item`);
+  }
+
+  const groupIds = new Set();
+  groups.forEach((group, index) => {
+    const label = group?.name ? `"${group.name}"` : `#${index + 1}`;
+
+    if (!group?.name) errors.push(`Modifier group ${label} needs a name`);
+    if (!group?.groupId) {
+      errors.push(`Modifier group ${label} needs an id`);
+    } else if (groupIds.has(group.groupId)) {
+      errors.push(`Duplicate modifier group id "${group.groupId}"`);
+    } else {
+      groupIds.add(group.groupId);
+    }
+
+    const options = Array.isArray(group?.options) ? group.options : [];
+    if (options.length === 0) {
+      errors.push(`Modifier group ${label} needs at least one option`);
+    }
+    if (options.length > MAX_OPTIONS_PER_GROUP) {
+      errors.push(`Modifier group ${label} has more than ${MAX_OPTIONS_PER_GROUP} options`);
+    }
+
+    const optionIds = new Set();
+    for (const option of options) {
+      if (!option?.name || !option?.optionId) {
+        errors.push(`Every option in ${label} needs a name`);
+      } else if (optionIds.has(option.optionId)) {
+        errors.push(`Duplicate option "${option.name}" in ${label}`);
+      } else {
+        optionIds.add(option.optionId);
+      }
+      if (!Number.isInteger(option?.priceDeltaCents)) {
+        errors.push(`Price change for "${option?.name || "option"}" in ${label} must be whole cents`);
+      }
+    }
+
+    const { min, max } = getSelectionLimits(group);
+    if (group?.maxSelections != null && max < 1) {
+      errors.push(`Modifier group ${label}: maxSelections must be at least 1`);
+    }
+    if (min > max) {
+      errors.push(`Modifier group ${label}: minSelections (${min}) is more than maxSelections (${max})`);
+    }
+    const defaults = options.filter((o) => o?.isDefault);
+    if (defaults.length > max) {
+      errors.push(`Modifier group ${label} has more default options than it allows`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// =============================================================================
+// SELECTIONS
+// =============================================================================
+
+/**
+ * Match a spoken option name against a group's options
+ */
+function findOptionByName(group, spokenName) {
+  const heard = normalizeItemName(spokenName);
+  if (!heard) return null;
+
+  const options = group.options || [];
+  return (
+    options.find((o) => normalizeItemName(o.name) === heard) ||
+    // "bbq sauce" -> "BBQ", "ranch dressing" -> "Ranch"
+    options.find((o) => {
+      const name = normalizeItemName(o.name);
+      return name && (heard.includes(name) || name.includes(heard));
+    }) ||
+    null
+  );
+}
+
+/**
+ * Turn spoken option names into { [groupId]: [optionId] }.
+ * Each name goes to the first group that offers it and still has room.
+ */
+function selectionsFromNames(groups, names) {
+  const byGroup = {};
+  const unknown = [];
+
+  for (const rawName of names) {
+    const spoken = String(rawName || "").trim();
+    if (!spoken) continue;
+
+    let placed = false;
+    for (const group of groups) {
+      const option = findOptionByName(group, spoken);
+      if (!option) continue;
+      const picked = byGroup[group.groupId] || [];
+      if (picked.includes(option.optionId)) {
+        placed = true;
+        break;
+      }
+      if (picked.length >= getSelectionLimits(group).max) continue;
+      byGroup[group.groupId] = [...picked, option.optionId];
+      placed = true;
+      break;
+    }
+    if (!placed) unknown.push(spoken);
+  }
+
+  return { byGroup, unknown };
+}
+
+/**
+ * Describe a group's choices for an error message ("Sauce: Buffalo, BBQ")
+ */
+function describeChoices(group) {
+  const names = (group.options || []).filter((o) => o.available !== false).map((o) => o.name);
+  return `${group.name}: ${names.join(", ") || "none available"}`;
+}
+
+/**
+ * Resolve and validate a line's modifier picks against its menu item.
+ * Groups with no pick fall back to their default options.
+ *
+ * @param {Object} menuItem - MenuItem with modifierGroups
+ * @param {Object|Array<string>} selections - { [groupId]: optionId | optionId[] } or spoken option names
+ * @returns {{ ok: boolean, selected: Array, deltaCents: number, errors: Array<string> }}
+ */
+export function resolveModifierSelections(menuItem, selections) {
+  const groups = hasModifierGroups(menuItem) ? menuItem.modifierGroups : [];
+  const errors = [];
+
+  let byGroup = {};
+  if (Array.isArray(selections)) {
+    const fromNames = selectionsFromNames(groups, selections);
+    byGroup = fromNames.byGroup;
+    if (fromNames.unknown.length > 0) {
+      const choices = groups.map(describeChoices).join("; ");
+      errors.push(`${fromNames.unknown.join(", ")} ${fromNames.unknown.length === 1 ? "isn't an option" : "aren't options"} for ${menuItem?.name || "this item"}.${choices ? ` Choices - ${choices}.` : ""}`);
+    }
+  } else if (selections && typeof selections === "object") {
+    for (const [groupId, picked] of Object.entries(selections)) {
+      const optionIds = (Array.isArray(picked) ? picked : [picked]).filter((id) => id != null && id !== "").map(String);
+      if (optionIds.length === 0) continue;
+      if (!groups.some((g) => g.groupId === groupId)) {
+        errors.push(`Unknown option group "${groupId}" for ${menuItem?.name || "this item"}`);
+        continue;
+      }
+      byGroup[groupId] = [...new Set(optionIds)];
+    }
+  }
+
+  const selected = [];
+  for (const group of groups) {
+    let optionIds = byGroup[group.groupId];
+    if (!optionIds || optionIds.length === 0) {
+      optionIds = (group.options || []).filter((o) => o.isDefault && o.available !== false).map((o) => o.optionId);
+    }
+
+    const { min, max } = getSelectionLimits(group);
+    if (optionIds.length < min) {
+      errors.push(`${menuItem?.name || "This item"} needs ${min === 1 ? "a" : `at least ${min}`} ${group.name} choice${min === 1 ? "" : "s"} (${describeChoices(group)}).`);
+      continue;
+    }
+    if (optionIds.length > max) {
+      errors.push(`Choose at most ${max} ${group.name} option${max === 1 ? "" : "s"} for ${menuItem?.name || "this item"}.`);
+      continue;
+    }
+
+    for (const optionId of optionIds) {
+      const option = (group.options || []).find((o) => o.optionId === optionId);
+      if (!option) {
+        errors.push(`Unknown ${group.name} option "${optionId}" for ${menuItem?.name || "this item"}.`);
+      } else if (option.available === false) {
+        errors.push(`${option.name} (${group.name}) is not available right now.`);
+      } else {
+        selected.push({
+          groupId: group.groupId,
+          groupName: group.name,
+          optionId: option.optionId,
+          name: option.name,
+          priceDeltaCents: toInt(option.priceDeltaCents, 0),
+        });
+      }
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    selected,
+    deltaCents: selected.reduce((sum, s) => sum + s.priceDeltaCents, 0),
+    errors,
+  };
+}
+
+/**
+ * Kitchen / receipt lines for a priced line's picks: ["Sauce: Buffalo, BBQ", "Dressing: Ranch"]
+ *
+ * @param {Array} selectedModifiers - From resolveModifierSelections().selected
+ * @returns {Array<string>}
+ */
+export function describeSelectedModifiers(selectedModifiers) {
+  if (!Array.isArray(selectedModifiers) || selectedModifiers.length === 0) return [];
+
+  const byGroup = new Map();
+  for (const s of selectedModifiers) {
+    const label = s.groupName || s.groupId || "Options";
+    byGroup.set(label, [...(byGroup.get(label) || []), s.name]);
+  }
+  return [...byGroup.entries()].map(([label, names]) => `${label}: ${names.join(", ")}`);
+}
@@ -0,0 +1,256 @@
+/**
+ * Order Editing
+ *
+ * Applies post-submission edits (add / remove / modify OrderItems, customer and
+ * address changes) and re-prices the order. Used by updateOrder.
+ *
+ * Line items are never deleted: a removed line is re-written with `removed: true`
+ * so the OrderItems table keeps what was originally ordered. Readers skip removed
+ * lines via isActiveLine().
+ */
+
+import { batchGetMenuItemsWithComponents, calculateItemPrice, findComponentItem } from "./cart-pricing.mjs";
+import { getBaseItemId } from "./menu-items.mjs";
+import { reapplyAdjustments } from "./promotions.mjs";
+import { getLoyaltyAdjustment, refitLoyaltyAdjustment } from "./loyalty.mjs";
+
+// Orders that are done can't be edited
+export const NON_EDITABLE_STATUSES = ["completed", "cancelled"];
+
+// Customer fields staff can change after submission
+export const EDITABLE_CUSTOMER_FIELDS = ["name", "phone", "email", "address", "table", "instructions"];
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Is this OrderItems row still part of the order?
+ */
+export function isActiveLine(item) {
+  return item?.removed !== true;
+}
+
+/**
+ * Stable key for an OrderItems row. Web orders have lineItemId; phone orders key lines by itemId.
+ */
+export function getLineKey(item) {
+  return String(item.lineItemId || item.itemId);
+}
+
+function lineCents(item) {
+  const unitCents = item.priceCents != null ? toNumber(item.priceCents) : Math.round(toNumber(item.price) * 100);
+  return unitCents * toNumber(item.quantity, 1);
+}
+
+// =============================================================================
+// LINE ITEMS
+// =============================================================================
+
+/**
+ * Apply item changes to an order's OrderItems rows.
+ *
+ * @param {Object} params
+ * @param {DynamoDBClient} params.ddb - DynamoDB client (menu lookups for added lines)
+ * @param {string} params.orderId - Order ID
+ * @param {Array} params.currentItems - OrderItems rows as stored
+ * @param {Object} params.changes - { add: [{ itemId, quantity, pizzaDetails?, modifierSelections?, comboSelections?, notes? }], remove: [lineKey], update: [{ lineKey, quantity?, notes? }] }
+ * @returns {Promise<{ rows: Array, changed: Array, summary: Object } | { error: string }>}
+ *   rows: every row after the edit (removed rows included), changed: rows to write back
+ */
+export async function applyItemChanges({ ddb, orderId, currentItems, changes = {} }) {
+  const add = Array.isArray(changes.add) ? changes.add : [];
+  const remove = Array.isArray(changes.remove) ? changes.remove.map(String) : [];
+  const update = Array.isArray(changes.update) ? changes.update : [];
+
+  const rowsByKey = new Map(currentItems.map((it) => [getLineKey(it), { ...it }]));
+  const changed = new Map();
+  const summary = { added: [], removed: [], updated: [] };
+
+  for (const lineKey of remove) {
+    const row = rowsByKey.get(lineKey);
+    if (!row || !isActiveLine(row)) {
+      return { error: `Unknown order item: ${lineKey}` };
+    }
+    row.removed = true;
+    changed.set(lineKey, row);
+    summary.removed.push({ lineKey, name: row.name, quantity: toNumber(row.quantity, 1) });
+  }
+
+  for (const req of update) {
+    const lineKey = String(req?.lineKey ?? "");
+    const row = rowsByKey.get(lineKey);
+    if (!row || !isActiveLine(row)) {
+      return { error: `Unknown order item: ${lineKey}` };
+    }
+
+    const before = { quantity: toNumber(row.quantity, 1), notes: row.notes || "" };
+    if (req.quantity != null) {
+      const quantity = Math.floor(toNumber(req.quantity, 0));
+      if (quantity < 1) {
+        return { error: `Quantity for ${row.name} must be at least 1 - remove the item instead` };
+      }
+      row.quantity = quantity;
+    }
+    if (req.notes != null) {
+      row.notes = String(req.notes).trim() || undefined;
+    }
+
+    // Unit price stays what the customer was quoted; only the quantity moves the line total
+    row.linePrice = lineCents(row) / 100;
+    changed.set(lineKey, row);
+    summary.updated.push({ lineKey, name: row.name, from: before, to: { quantity: toNumber(row.quantity, 1), notes: row.notes || "" } });
+  }
+
+  if (add.length > 0) {
+    const menuItemsMap = await batchGetMenuItemsWithComponents(ddb, add.map((it) => it.itemId).filter(Boolean));
+    const stamp = Date.now();
+
+    for (let i = 0; i < add.length; i++) {
+      const req = add[i];
+      const menuItem = menuItemsMap[String(req?.itemId)];
+      if (!menuItem) {
+        return { error: `Menu item not found: ${req?.itemId}` };
+      }
+      if (menuItem.available === false) {
+        return { error: `${menuItem.name} is not available right now` };
+      }
+
+      const quantity = Math.max(1, Math.floor(toNumber(req.quantity, 1)));
+      const priceCalc = calculateItemPrice({ ...req, quantity }, menuItem, findComponentItem(menuItemsMap, menuItem));
+      if (priceCalc.error) {
+        return { error: priceCalc.error };
+      }
+      // Added lines get their own key so they never collide with the original rows
+      const lineItemId = `${orderId}-edit-${stamp}-${i}`;
+      const row = {
+        orderId,
+        lineItemId,
+        itemId: lineItemId,
+        menuItemId: String(req.itemId),
+        name: menuItem.name,
+        category: menuItem.category,
+        price: priceCalc.unitPrice,
+        priceCents: priceCalc.unitPriceCents,
+        quantity,
+        linePrice: priceCalc.linePrice,
+        notes: req.notes ? String(req.notes).trim() : undefined,
+        isPizza: priceCalc.isPizza || undefined,
+        pizzaDetails: priceCalc.pizzaDetails || undefined,
+        pricingBreakdown: priceCalc.pricingBreakdown || undefined,
+        selectedModifiers: priceCalc.selectedModifiers || undefined,
+        comboComponents: priceCalc.comboComponents || undefined,
+        addedInEdit: true,
+      };
+
+      rowsByKey.set(lineItemId, row);
+      changed.set(lineItemId, row);
+      summary.added.push({ lineKey: lineItemId, name: row.name, quantity });
+    }
+  }
+
+  const rows = [...rowsByKey.values()];
+  if (!rows.some(isActiveLine)) {
+    return { error: "An order needs at least one item - cancel it instead" };
+  }
+
+  return { rows, changed: [...changed.values()], summary };
+}
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+/**
+ * Re-price an order from its active lines.
+ * Only orders that stored a delivery fee keep one, at the amount they were quoted; an edit
+ * never adds a fee the customer didn't agree to.
+ * Promotions the order was placed with are re-applied to the new lines (a BOGO loses its
+ * free pizza when one is removed); no new deals are added by an edit. Loyalty points
+ * already spent stay spent, but never discount more than what's left of the food.
+ *
+ * @returns {{ subtotal: number, discount: number|undefined, adjustments: Array|undefined, deliveryFee: number|undefined, tax: number, tip: number, total: number }}
+ */
+export function repriceOrder(order, rows, settings = {}) {
+  const activeRows = rows.filter(isActiveLine);
+  const subtotalCents = activeRows.reduce((sum, it) => sum + lineCents(it), 0);
+  const subtotal = subtotalCents / 100;
+  const taxRate = toNumber(settings.taxRate ?? order.taxRate, 0);
+
+  let discount;
+  let adjustments;
+  if (order.adjustments?.length) {
+    const promo = reapplyAdjustments(order.adjustments, activeRows.map((it) => ({
+      lineKey: getLineKey(it),
+      menuItemId: getBaseItemId({ itemId: it.menuItemId }),
+      category: it.category,
+      size: it.pizzaDetails?.size,
+      unitPriceCents: lineCents({ ...it, quantity: 1 }),
+      quantity: toNumber(it.quantity, 1),
+    })));
+    const loyalty = refitLoyaltyAdjustment(getLoyaltyAdjustment(order.adjustments), subtotalCents - promo.discountCents);
+    discount = (promo.discountCents + (loyalty?.amountCents || 0)) / 100;
+    adjustments = loyalty ? [...promo.adjustments, loyalty] : promo.adjustments;
+  }
+
+  const tax = (subtotal - (discount || 0)) * (taxRate / 100);
+  const tip = toNumber(order.tip, 0);
+
+  let deliveryFee;
+  if (order.deliveryFee !== undefined) {
+    deliveryFee = order.orderType === "delivery" ? toNumber(order.deliveryFee, 0) : 0;
+  }
+
+  return {
+    subtotal: +subtotal.toFixed(2),
+    discount: discount !== undefined ? +discount.toFixed(2) : undefined,
+    adjustments,
+    deliveryFee: deliveryFee !== undefined ? +deliveryFee.toFixed(2) : undefined,
+    tax: +tax.toFixed(2),
+    tip: +tip.toFixed(2),
+    taxRate,
+    total: +(subtotal - (discount || 0) + (deliveryFee || 0) + tax + tip).toFixed(2),
+  };
+}
+
+// =============================================================================
+// CUSTOMER / HISTORY
+// =============================================================================
+
+/**
+ * Merge customer edits; returns the new customer object and the field-level changes
+ */
+export function applyCustomerChanges(order, changes = {}) {
+  const current = order.customer || {};
+  const customer = { ...current };
+  const diffs = [];
+
+  for (const field of EDITABLE_CUSTOMER_FIELDS) {
+    if (changes[field] === undefined) continue;
+    const next = String(changes[field] ?? "").trim();
+    const prev = current[field] || "";
+    if (next === prev) continue;
+    customer[field] = next;
+    diffs.push({ field: `customer.${field}`, from: prev, to: next });
+  }
+
+  return { customer, diffs };
+}
+
+/**
+ * One-line description of an edit for the kitchen ticket, e.g. "+1 Garlic Knots, −Wings, address changed"
+ */
+export function describeEdit(itemSummary, customerDiffs) {
+  const parts = [];
+  for (const it of itemSummary?.added || []) parts.push(`+${it.quantity} ${it.name}`);
+  for (const it of itemSummary?.removed || []) parts.push(`−${it.name}`);
+  for (const it of itemSummary?.updated || []) {
+    if (it.from.quantity !== it.to.quantity) parts.push(`${it.name} ×${it.from.quantity}→${it.to.quantity}`);
+    if (it.from.notes !== it.to.notes) parts.push(`${it.name} note: ${it.to.notes || "cleared"}`);
+  }
+  for (const diff of customerDiffs || []) {
+    parts.push(`${diff.field.replace("customer.", "")} changed`);
+  }
+  return parts.join(", ");
+}
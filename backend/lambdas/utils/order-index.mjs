@@ -0,0 +1,123 @@
+/**
+ * Orders Table Indexes
+ *
+ * Orders is keyed by orderId only, so listing a restaurant's orders goes
+ * through two GSIs (created by scripts/backfill-order-index.mjs, which also
+ * fills restaurantId/createdAt/status on legacy rows so they show up):
+ *
+ *   restaurantId-createdAt-index  PK restaurantId, SK createdAt (ISO)
+ *     - order history / date ranges, newest first, cursor pagination
+ *   restaurantId-status-index     PK restaurantId, SK status
+ *     - open orders for the kitchen: one Query per open status (paged in getOrders)
+ *
+ * Used by getOrders, kitchen-capacity and daily-reports.
+ */
+
+import { QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+export const ORDERS_TABLE = "Orders";
+export const ORDERS_BY_CREATED_INDEX = "restaurantId-createdAt-index";
+export const ORDERS_BY_STATUS_INDEX = "restaurantId-status-index";
+
+// Orders that aren't finished yet (see utils/order-status.mjs); phone orders waiting on a
+// callback are on the kitchen board too
+export const OPEN_ORDER_STATUSES = ["needs_callback", "new", "paid", "accepted", "preparing", "ready", "out_for_delivery"];
+
+// Safety cap on pages read by the "load everything" helpers
+const MAX_QUERY_PAGES = 100;
+
+/**
+ * Query input for one status on restaurantId-status-index, optionally limited to a createdAt range
+ * (a filter: the index is sorted by status, not time)
+ *
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant ID
+ * @param {string} params.status - Order status
+ * @param {string} [params.since] - Only orders created at or after this ISO time
+ * @param {string} [params.until] - Only orders created at or before this ISO time
+ * @returns {Object} QueryCommand input
+ */
+export function buildStatusQuery({ restaurantId, status, since, until }) {
+  const filters = [];
+  const values = { ":rid": restaurantId, ":status": status };
+  if (since) {
+    filters.push("createdAt >= :since");
+    values[":since"] = since;
+  }
+  if (until) {
+    filters.push("createdAt <= :until");
+    values[":until"] = until;
+  }
+
+  return {
+    TableName: ORDERS_TABLE,
+    IndexName: ORDERS_BY_STATUS_INDEX,
+    KeyConditionExpression: "restaurantId = :rid AND #status = :status",
+    ...(filters.length ? { FilterExpression: filters.join(" AND ") } : {}),
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: marshall(values),
+  };
+}
+
+/**
+ * All of a restaurant's orders in the given statuses (one Query per status).
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant ID
+ * @param {Array<string>} [params.statuses] - Defaults to OPEN_ORDER_STATUSES
+ * @param {string} [params.since] - Only orders created at or after this ISO time
+ * @param {string} [params.until] - Only orders created at or before this ISO time
+ * @returns {Promise<Array>} Unmarshalled orders, unsorted
+ */
+export async function queryOrdersByStatus(ddb, { restaurantId, statuses = OPEN_ORDER_STATUSES, since, until }) {
+  const perStatus = await Promise.all(statuses.map(async (status) => {
+    const query = buildStatusQuery({ restaurantId, status, since, until });
+    const orders = [];
+    let lastEvaluatedKey;
+    let pages = 0;
+    do {
+      const result = await ddb.send(new QueryCommand({
+        ...query,
+        ExclusiveStartKey: lastEvaluatedKey,
+      }));
+      orders.push(...(result.Items || []).map(unmarshall));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      pages++;
+    } while (lastEvaluatedKey && pages < MAX_QUERY_PAGES);
+    return orders;
+  }));
+
+  return perStatus.flat();
+}
+
+/**
+ * All of a restaurant's orders created in [from, to).
+ *
+ * @param {DynamoDBClient} ddb - DynamoDB client
+ * @param {Object} params
+ * @param {string} params.restaurantId - Restaurant ID
+ * @param {string} params.from - Inclusive ISO start
+ * @param {string} params.to - Exclusive ISO end
+ * @returns {Promise<Array>} Unmarshalled orders, oldest first
+ */
+export async function queryOrdersCreatedBetween(ddb, { restaurantId, from, to }) {
+  const orders = [];
+  let lastEvaluatedKey;
+  let pages = 0;
+  do {
+    const result = await ddb.send(new QueryCommand({
+      TableName: ORDERS_TABLE,
+      IndexName: ORDERS_BY_CREATED_INDEX,
+      // BETWEEN is inclusive on both ends; drop the exclusive end below
+      KeyConditionExpression: "restaurantId = :rid AND createdAt BETWEEN :from AND :to",
+      ExpressionAttributeValues: marshall({ ":rid": restaurantId, ":from": from, ":to": to }),
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    orders.push(...(result.Items || []).map(unmarshall).filter((o) => o.createdAt < to));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+    pages++;
+  } while (lastEvaluatedKey && pages < MAX_QUERY_PAGES);
+  return orders;
+}
@@ -3,12 +3,15 @@
  * 
  * Each restaurant gets a sequential order number starting at 1001.
  * Uses DynamoDB atomic increment to ensure uniqueness even under concurrent load.
+ * Order paths take the number once the order is saved (assignOrderNumber), so an
+ * order turned away at the last moment doesn't leave a gap in the sequence.
  */
 
 import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
 
 const ddb = new DynamoDBClient();
 const ORDER_COUNTERS_TABLE = "OrderCounters";
+const ORDERS_TABLE = "Orders";
 
 // Starting order number (first order will be this value)
 const STARTING_ORDER_NUMBER = 1001;
@@ -62,7 +65,26 @@ export async function getNextOrderNumber(restaurantId) {
   }
 }
 
-
-
-
-
+/**
+ * Take the next order number and stamp it on a saved order
+ *
+ * @param {string} orderId - Order that was just written
+ * @param {string} restaurantId - The restaurant's unique identifier
+ * @returns {Promise<number>} - The order's number
+ */
+export async function assignOrderNumber(orderId, restaurantId) {
+  const orderNumber = await getNextOrderNumber(restaurantId);
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: ORDERS_TABLE,
+      Key: { orderId: { S: orderId } },
+      UpdateExpression: "SET orderNumber = :orderNumber",
+      ConditionExpression: "attribute_exists(orderId)",
+      ExpressionAttributeValues: { ":orderNumber": { N: String(orderNumber) } },
+    }));
+  } catch (error) {
+    // The order is saved either way; the customer is still told their number
+    console.error("[OrderNumber] Failed to stamp order number:", { orderId, orderNumber, message: error.message });
+  }
+  return orderNumber;
+}
@@ -0,0 +1,448 @@
+/**
+ * Order Acceptance Policy
+ *
+ * Single place that decides whether a restaurant can take an order right now,
+ * based on RestaurantSettings (as saved by the dashboard's Hours & Settings tab):
+ *   - hours:            { Monday: { open: "11:00", close: "22:00", closed: false }, ... }
+ *   - timezone:         IANA zone the hours are written in (e.g. "America/New_York")
+ *   - holidayClosures:  [{ date: "2026-12-25", name: "Christmas" }, ...] (or plain "YYYY-MM-DD" strings)
+ *   - acceptDelivery:   false turns delivery off
+ *   - minDeliveryOrder: minimum food subtotal (dollars) for delivery, after promotions and points
+ *   - deliveryFee:      charge (dollars) added to delivery orders; $3.00 when unset
+ *   - allowScheduledOrders / schedule*: lead-time rules for orders placed for later
+ *
+ * Used by createOrder, vapiOrderWebhook, getSettings (schedule slots) and order edits (delivery fee). Every
+ * rejection carries a `reason` that can be read to the caller or shown at web checkout as-is.
+ */
+
+export const DEFAULT_TIMEZONE = "America/New_York";
+
+// Used only when the restaurant hasn't set a delivery fee in settings
+const DEFAULT_DELIVERY_FEE_CENTS = 300;
+
+// Scheduled ("for 6:30 tonight") order rules
+export const DEFAULT_SCHEDULE_SETTINGS = {
+  allowScheduledOrders: true,
+  scheduleMinLeadMinutes: 30,     // Earliest slot is at least this far out
+  scheduleMaxDaysAhead: 7,        // Latest day a customer can schedule for
+  scheduleSlotMinutes: 15,        // Slot spacing offered at checkout
+  schedulePrepWindowMinutes: 45,  // Ticket reaches the kitchen this long before it's due
+};
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// =============================================================================
+// TIME HELPERS
+// =============================================================================
+
+/**
+ * Parse "HH:MM" into minutes after midnight (null if invalid)
+ */
+export function timeToMinutes(hhmm) {
+  if (typeof hhmm !== "string") return null;
+  const m = hhmm.match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h < 0 || h > 23 || min < 0 || min > 59) return null;
+  return h * 60 + min;
+}
+
+/**
+ * Format minutes after midnight for speech/display ("17:30" -> "5:30 PM")
+ */
+export function formatMinutes(minutes) {
+  const h24 = Math.floor(minutes / 60) % 24;
+  const min = minutes % 60;
+  const suffix = h24 >= 12 ? "PM" : "AM";
+  const h12 = h24 % 12 === 0 ? 12 : h24 % 12;
+  return `${h12}:${String(min).padStart(2, "0")} ${suffix}`;
+}
+
+/**
+ * Resolve the restaurant's timezone, falling back to the default for bad/missing values
+ */
+export function getRestaurantTimezone(settings) {
+  const tz = settings?.timezone;
+  if (tz && typeof tz === "string") {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: tz });
+      return tz;
+    } catch (e) {
+      console.warn(`[Order Policy] Invalid timezone "${tz}", using ${DEFAULT_TIMEZONE}`);
+    }
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts for an instant in the restaurant's timezone
+ *
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ dayName: string, dateKey: string, minutes: number }}
+ */
+export function getLocalTimeParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    dayName: get("weekday"),
+    dateKey: `${get("year")}-${get("month")}-${get("day")}`,
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+function previousDayName(dayName) {
+  const idx = DAY_NAMES.indexOf(dayName);
+  return DAY_NAMES[(idx + 6) % 7];
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ *
+ * @param {string} dateKey - Local date "YYYY-MM-DD"
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, minutes, timeZone) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const target = Date.UTC(y, m - 1, d, 0, minutes);
+
+  // Guess as if UTC, then correct by the zone's offset (twice for DST edges)
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTimeParts(new Date(guess), timeZone);
+    const [ly, lm, ld] = local.dateKey.split("-").map(Number);
+    const localAsUtc = Date.UTC(ly, lm - 1, ld, 0, local.minutes);
+    guess += target - localAsUtc;
+  }
+  return new Date(guess);
+}
+
+// =============================================================================
+// HOURS & HOLIDAYS
+// =============================================================================
+
+/**
+ * Find a holiday closure for a local date ("YYYY-MM-DD")
+ */
+export function findHolidayClosure(settings, dateKey) {
+  const closures = Array.isArray(settings?.holidayClosures) ? settings.holidayClosures : [];
+  for (const entry of closures) {
+    const date = typeof entry === "string" ? entry : entry?.date;
+    if (date === dateKey) {
+      return typeof entry === "string" ? { date } : entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Is a day's config open at a given minute? Handles ranges that span midnight.
+ * `spillover` checks only the after-midnight tail of the previous day's hours.
+ */
+function isWithinDayHours(cfg, minutes, { spillover = false } = {}) {
+  if (!cfg || typeof cfg !== "object") return null; // unknown schema
+  if (cfg.closed === true) return false;
+
+  const openMin = timeToMinutes(cfg.open);
+  const closeMin = timeToMinutes(cfg.close);
+  if (openMin === null || closeMin === null) return null;
+
+  if (openMin === closeMin) return !spillover; // 24h open
+
+  if (closeMin < openMin) {
+    // Spans midnight
+    return spillover ? minutes < closeMin : minutes >= openMin;
+  }
+  return spillover ? false : minutes >= openMin && minutes < closeMin;
+}
+
+/**
+ * Check whether the restaurant is open at an instant.
+ * Missing hours are treated as open (same as the kitchen's local check) so a
+ * restaurant that never configured hours keeps taking orders.
+ *
+ * @param {Object} settings - RestaurantSettings record
+ * @param {Date} [at] - Instant to check (defaults to now)
+ * @returns {{ open: boolean, code?: string, reason?: string }}
+ */
+export function checkOpenAt(settings, at = new Date()) {
+  const timeZone = getRestaurantTimezone(settings);
+  const local = getLocalTimeParts(at, timeZone);
+
+  const holiday = findHolidayClosure(settings, local.dateKey);
+  if (holiday) {
+    return {
+      open: false,
+      code: "closed_holiday",
+      reason: holiday.name
+        ? `We're closed today for ${holiday.name}.`
+        : "We're closed today for a holiday.",
+    };
+  }
+
+  const hours = settings?.hours;
+  if (!hours || typeof hours !== "object") {
+    return { open: true };
+  }
+
+  const today = hours[local.dayName];
+  const yesterday = hours[previousDayName(local.dayName)];
+
+  const todayOpen = isWithinDayHours(today, local.minutes);
+  if (todayOpen === null) return { open: true };
+  if (todayOpen) return { open: true };
+
+  // Late-night tail of yesterday's hours (e.g. Friday 11:00-02:00 at 1 AM Saturday)
+  if (isWithinDayHours(yesterday, local.minutes, { spillover: true })) {
+    return { open: true };
+  }
+
+  if (today.closed === true) {
+    return { open: false, code: "closed_today", reason: `We're closed on ${local.dayName}s.` };
+  }
+
+  const openMin = timeToMinutes(today.open);
+  const closeMin = timeToMinutes(today.close);
+  const reason = local.minutes < openMin
+    ? `We're not open yet. We open at ${formatMinutes(openMin)} today.`
+    : `We're closed for the day. Today's hours were ${formatMinutes(openMin)} to ${formatMinutes(closeMin)}.`;
+
+  return { open: false, code: "closed_hours", reason };
+}
+
+// =============================================================================
+// SCHEDULED ORDERS
+// =============================================================================
+
+function getScheduleSettings(settings) {
+  const num = (v, fallback) => (Number.isFinite(Number(v)) && v !== null && v !== "" ? Number(v) : fallback);
+  return {
+    allowScheduledOrders: settings?.allowScheduledOrders ?? DEFAULT_SCHEDULE_SETTINGS.allowScheduledOrders,
+    minLeadMinutes: num(settings?.scheduleMinLeadMinutes, DEFAULT_SCHEDULE_SETTINGS.scheduleMinLeadMinutes),
+    maxDaysAhead: num(settings?.scheduleMaxDaysAhead, DEFAULT_SCHEDULE_SETTINGS.scheduleMaxDaysAhead),
+    slotMinutes: Math.max(5, num(settings?.scheduleSlotMinutes, DEFAULT_SCHEDULE_SETTINGS.scheduleSlotMinutes)),
+    prepWindowMinutes: num(settings?.schedulePrepWindowMinutes, DEFAULT_SCHEDULE_SETTINGS.schedulePrepWindowMinutes),
+  };
+}
+
+/**
+ * Parse a requested pickup/delivery time.
+ * Accepts a full ISO timestamp, a local "YYYY-MM-DDTHH:MM" (restaurant timezone),
+ * or a bare local "HH:MM" meaning today - the phone agent only knows what the caller said.
+ *
+ * @returns {Date|null} - null when the value can't be parsed
+ */
+export function parseScheduledFor(value, settings, now = new Date()) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+
+  const timeZone = getRestaurantTimezone(settings);
+
+  const timeOnly = raw.match(/^(\d{1,2}:\d{2})$/);
+  if (timeOnly) {
+    const minutes = timeToMinutes(timeOnly[1]);
+    if (minutes === null) return null;
+    return zonedTimeToDate(getLocalTimeParts(now, timeZone).dateKey, minutes, timeZone);
+  }
+
+  const localDateTime = raw.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2})(?::00)?$/);
+  if (localDateTime) {
+    const minutes = timeToMinutes(localDateTime[2]);
+    if (minutes === null) return null;
+    return zonedTimeToDate(localDateTime[1], minutes, timeZone);
+  }
+
+  const parsed = new Date(raw);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Spoken/display label for a scheduled time in the restaurant's timezone
+ * ("today at 6:30 PM", "Friday at 11:00 AM")
+ */
+export function describeScheduledTime(date, settings, now = new Date()) {
+  const timeZone = getRestaurantTimezone(settings);
+  const local = getLocalTimeParts(date, timeZone);
+  const today = getLocalTimeParts(now, timeZone);
+  const tomorrow = getLocalTimeParts(new Date(now.getTime() + 24 * 60 * 60 * 1000), timeZone);
+
+  const day = local.dateKey === today.dateKey
+    ? "today"
+    : local.dateKey === tomorrow.dateKey ? "tomorrow" : local.dayName;
+  return `${day} at ${formatMinutes(local.minutes)}`;
+}
+
+/**
+ * Validate a requested time against scheduling rules and business hours at that time.
+ *
+ * @returns {{ accepted: boolean, code?: string, reason?: string, scheduledFor?: string, kitchenReleaseAt?: string }}
+ */
+export function evaluateScheduledTime({ settings = {}, scheduledFor, now = new Date() }) {
+  const rules = getScheduleSettings(settings);
+
+  if (rules.allowScheduledOrders === false) {
+    return {
+      accepted: false,
+      code: "scheduling_disabled",
+      reason: "We're not taking orders for later right now. We can only do ASAP orders.",
+    };
+  }
+
+  const at = parseScheduledFor(scheduledFor, settings, now);
+  if (!at) {
+    return {
+      accepted: false,
+      code: "invalid_scheduled_time",
+      reason: "Sorry, I couldn't understand that time. Please pick another time.",
+    };
+  }
+
+  const earliestMs = now.getTime() + rules.minLeadMinutes * 60 * 1000;
+  if (at.getTime() < earliestMs) {
+    return {
+      accepted: false,
+      code: at.getTime() < now.getTime() ? "scheduled_time_passed" : "scheduled_too_soon",
+      reason: at.getTime() < now.getTime()
+        ? "That time has already passed. Please pick a later time."
+        : `Orders for later need at least ${rules.minLeadMinutes} minutes notice. The earliest we can do is ${describeScheduledTime(new Date(earliestMs), settings, now)}.`,
+    };
+  }
+
+  const timeZone = getRestaurantTimezone(settings);
+  const lastDay = getLocalTimeParts(new Date(now.getTime() + rules.maxDaysAhead * 24 * 60 * 60 * 1000), timeZone).dateKey;
+  if (getLocalTimeParts(at, timeZone).dateKey > lastDay) {
+    return {
+      accepted: false,
+      code: "scheduled_too_far",
+      reason: `We can only take orders up to ${rules.maxDaysAhead} days ahead.`,
+    };
+  }
+
+  const openCheck = checkOpenAt(settings, at);
+  if (!openCheck.open) {
+    return {
+      accepted: false,
+      code: "closed_at_scheduled_time",
+      reason: `We're closed ${describeScheduledTime(at, settings, now)}. Please pick a time during business hours.`,
+    };
+  }
+
+  return {
+    accepted: true,
+    scheduledFor: at.toISOString(),
+    kitchenReleaseAt: new Date(at.getTime() - rules.prepWindowMinutes * 60 * 1000).toISOString(),
+  };
+}
+
+/**
+ * List the times a customer can schedule for (open, past the lead time, within max days).
+ *
+ * @param {Object} settings - RestaurantSettings record
+ * @param {Date} [now] - Current time
+ * @returns {Array<{ value: string, dateKey: string, dayLabel: string, timeLabel: string }>}
+ */
+export function listScheduleSlots(settings = {}, now = new Date()) {
+  const rules = getScheduleSettings(settings);
+  if (rules.allowScheduledOrders === false) return [];
+
+  const timeZone = getRestaurantTimezone(settings);
+  const slotMs = rules.slotMinutes * 60 * 1000;
+  const startMs = Math.ceil((now.getTime() + rules.minLeadMinutes * 60 * 1000) / slotMs) * slotMs;
+  const endMs = now.getTime() + rules.maxDaysAhead * 24 * 60 * 60 * 1000;
+  const todayKey = getLocalTimeParts(now, timeZone).dateKey;
+  const tomorrowKey = getLocalTimeParts(new Date(now.getTime() + 24 * 60 * 60 * 1000), timeZone).dateKey;
+
+  const slots = [];
+  for (let ms = startMs; ms <= endMs; ms += slotMs) {
+    const at = new Date(ms);
+    if (!checkOpenAt(settings, at).open) continue;
+
+    const local = getLocalTimeParts(at, timeZone);
+    slots.push({
+      value: at.toISOString(),
+      dateKey: local.dateKey,
+      dayLabel: local.dateKey === todayKey ? "Today" : local.dateKey === tomorrowKey ? "Tomorrow" : local.dayName,
+      timeLabel: formatMinutes(local.minutes),
+    });
+  }
+  return slots;
+}
+
+// =============================================================================
+// ORDER ACCEPTANCE
+// =============================================================================
+
+/**
+ * Decide whether an order can be accepted.
+ * ASAP orders need the restaurant open now; scheduled orders need it open at `scheduledFor`.
+ *
+ * @param {Object} params
+ * @param {Object} params.settings - RestaurantSettings record
+ * @param {string} params.orderType - "pickup" | "delivery" | "dine-in"
+ * @param {number|null} params.subtotal - Food subtotal in dollars after discounts (before fees/tax/tip);
+ *   null skips the delivery minimum (e.g. placeholder callback orders with no items yet)
+ * @param {string} [params.scheduledFor] - Requested time for orders placed for later (see parseScheduledFor)
+ * @param {Date} [params.at] - When the order would be placed (defaults to now)
+ * @returns {{ accepted: boolean, code?: string, reason?: string, scheduledFor?: string, kitchenReleaseAt?: string }}
+ */
+export function evaluateOrderAcceptance({ settings = {}, orderType = "pickup", subtotal = 0, scheduledFor = null, at = new Date() }) {
+  let schedule = null;
+  if (scheduledFor) {
+    schedule = evaluateScheduledTime({ settings, scheduledFor, now: at });
+    if (!schedule.accepted) return schedule;
+  } else {
+    const openCheck = checkOpenAt(settings, at);
+    if (!openCheck.open) {
+      return { accepted: false, code: openCheck.code, reason: openCheck.reason };
+    }
+  }
+
+  if (orderType === "delivery") {
+    if (settings.acceptDelivery === false) {
+      return {
+        accepted: false,
+        code: "delivery_disabled",
+        reason: "We're not taking delivery orders right now. Pickup is available.",
+      };
+    }
+
+    const minDeliveryOrder = Number(settings.minDeliveryOrder);
+    if (subtotal != null && Number.isFinite(minDeliveryOrder) && minDeliveryOrder > 0 && subtotal < minDeliveryOrder) {
+      const short = (minDeliveryOrder - subtotal).toFixed(2);
+      return {
+        accepted: false,
+        code: "below_delivery_minimum",
+        reason: `Delivery orders need at least $${minDeliveryOrder.toFixed(2)} in food. Add $${short} more, or switch to pickup.`,
+      };
+    }
+  }
+
+  return schedule || { accepted: true };
+}
+
+/**
+ * Delivery fee for an order, in cents: the restaurant's fee for delivery orders, nothing otherwise
+ *
+ * @param {string} orderType - "pickup" | "delivery" | "dine-in"
+ * @param {Object} settings - RestaurantSettings record
+ * @returns {number}
+ */
+export function getDeliveryFeeCents(orderType, settings = {}) {
+  if (orderType !== "delivery") return 0;
+  const fee = Number(settings?.deliveryFee);
+  return settings?.deliveryFee != null && Number.isFinite(fee) ? Math.round(fee * 100) : DEFAULT_DELIVERY_FEE_CENTS;
+}
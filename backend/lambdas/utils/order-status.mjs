@@ -0,0 +1,111 @@
+/**
+ * Order Status State Machine
+ *
+ * Allowed status transitions per order type, and the timestamp field each
+ * status stamps on the order. updateOrder rejects anything not listed here.
+ *
+ *   needs_callback ─► new
+ *   pending_payment ─► paid | payment_failed        (stripeWebhook)
+ *   payment_failed ─► new                           (pay in store instead)
+ *   new / paid ─► accepted | preparing ─► ready ─► completed
+ *                                             └─► out_for_delivery ─► completed   (delivery only)
+ *   anything not finished ─► cancelled   (an uncollected pickup or failed delivery too,
+ *                                         so it doesn't earn points or count as revenue)
+ */
+
+export const ORDER_STATUSES = [
+  "needs_callback",
+  "pending_payment",
+  "payment_failed",
+  "new",
+  "paid",
+  "accepted",
+  "preparing",
+  "ready",
+  "out_for_delivery",
+  "completed",
+  "cancelled",
+];
+
+const TRANSITIONS = {
+  needs_callback: ["new", "cancelled"],
+  pending_payment: ["paid", "payment_failed", "cancelled"],
+  payment_failed: ["new", "cancelled"],
+  new: ["paid", "accepted", "preparing", "cancelled"],
+  paid: ["accepted", "preparing", "cancelled"],
+  accepted: ["preparing", "ready", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["completed", "cancelled"],
+  out_for_delivery: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+// Delivery orders leave with a driver before they're completed
+const DELIVERY_TRANSITIONS = {
+  ...TRANSITIONS,
+  ready: ["out_for_delivery", "cancelled"],
+};
+
+/**
+ * Field stamped on the order when it enters each status
+ */
+export const STATUS_TIMESTAMP_FIELDS = {
+  needs_callback: "needsCallbackAt",
+  pending_payment: "pendingPaymentAt",
+  payment_failed: "paymentFailedAt",
+  new: "confirmedAt",
+  paid: "paidAt",
+  accepted: "acceptedAt",
+  preparing: "preparingAt",
+  ready: "readyAt",
+  out_for_delivery: "outForDeliveryAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+};
+
+/**
+ * Statuses an order can move to next
+ *
+ * @param {string} status - Current status
+ * @param {string} orderType - pickup, delivery or dine-in
+ * @returns {Array<string>}
+ */
+export function getAllowedTransitions(status, orderType) {
+  const table = orderType === "delivery" ? DELIVERY_TRANSITIONS : TRANSITIONS;
+  return table[status] || [];
+}
+
+/**
+ * Check a requested status change.
+ *
+ * @param {Object} order - Current order record
+ * @param {string} toStatus - Requested status
+ * @returns {{ ok: true, noop: boolean } | { ok: false, error: string, allowed: Array<string> }}
+ */
+export function checkTransition(order, toStatus) {
+  const fromStatus = order?.status || "new";
+  const orderType = order?.orderType || order?.type || "pickup";
+
+  // Retried requests (offline tablets, double taps) land on the status they already set
+  if (fromStatus === toStatus) {
+    return { ok: true, noop: true };
+  }
+
+  const allowed = getAllowedTransitions(fromStatus, orderType);
+  if (allowed.includes(toStatus)) {
+    return { ok: true, noop: false };
+  }
+
+  if (toStatus === "out_for_delivery" && orderType !== "delivery") {
+    return { ok: false, error: "Only delivery orders can go out for delivery", allowed };
+  }
+
+  return {
+    ok: false,
+    error: allowed.length > 0
+      ? `Can't move a ${fromStatus} order to ${toStatus}. Next: ${allowed.join(", ")}`
+      : `Order is ${fromStatus} and can't change status`,
+    allowed,
+  };
+}
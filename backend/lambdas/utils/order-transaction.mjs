@@ -0,0 +1,74 @@
+/**
+ * Placing an Order in One Transaction
+ *
+ * Whatever an order uses up (per-customer promotion uses, loyalty points, the Stripe
+ * payment it claims) is written in the same TransactWriteItems as the order header.
+ * Either all of it lands or none of it does: a limit that fails at the last moment
+ * leaves no order and no counter bumped for an order that doesn't exist.
+ *
+ * Each write carries what to tell the customer if its condition is what failed:
+ *   { write: { Put | Update }, rejection: { code, reason, statusCode? } | null }
+ *
+ * The order's item rows follow in BatchWriteItem batches (writeOrderItemBatch), which
+ * retries whatever DynamoDB hands back unprocessed.
+ */
+
+import { BatchWriteItemCommand, TransactWriteItemsCommand } from "@aws-sdk/client-dynamodb";
+
+// DynamoDB's cap on items in one transaction
+export const MAX_TRANSACTION_WRITES = 100;
+
+// Unprocessed batch items are retried this many times, backing off from BATCH_RETRY_BASE_MS
+const BATCH_WRITE_ATTEMPTS = 5;
+const BATCH_RETRY_BASE_MS = 50;
+
+/**
+ * Write the order and everything it uses up, all or nothing.
+ * A failed condition with a rejection comes back as { ok: false }; anything else
+ * (throttling, a condition nobody expected to fail) is thrown.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Array<{ write: Object, rejection: Object|null }>} writes
+ * @returns {Promise<{ ok: true } | { ok: false, rejection: { code: string, reason: string, statusCode?: number } }>}
+ */
+export async function commitOrderWrites(ddb, writes) {
+  if (writes.length > MAX_TRANSACTION_WRITES) {
+    throw new Error(`Order needs ${writes.length} writes; a transaction holds ${MAX_TRANSACTION_WRITES}`);
+  }
+
+  try {
+    await ddb.send(new TransactWriteItemsCommand({ TransactItems: writes.map((w) => w.write) }));
+    return { ok: true };
+  } catch (error) {
+    if (error?.name !== "TransactionCanceledException") throw error;
+    const failed = (error.CancellationReasons || []).findIndex((r) => r?.Code === "ConditionalCheckFailed");
+    const rejection = failed >= 0 ? writes[failed]?.rejection : null;
+    if (!rejection) throw error;
+    return { ok: false, rejection };
+  }
+}
+
+/**
+ * Write one BatchWriteItem batch (up to 25 requests), retrying UnprocessedItems with
+ * backoff. A throttled batch would otherwise leave an order header without some of its
+ * lines; if items are still unprocessed after the last attempt, this throws.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} requestItems - BatchWriteItem RequestItems
+ * @param {Object} [options]
+ * @param {number} [options.baseDelayMs] - First backoff (doubles each retry)
+ */
+export async function writeOrderItemBatch(ddb, requestItems, { baseDelayMs = BATCH_RETRY_BASE_MS } = {}) {
+  let pending = requestItems;
+  for (let attempt = 0; attempt < BATCH_WRITE_ATTEMPTS; attempt += 1) {
+    if (attempt > 0) {
+      await new Promise((resolve) => setTimeout(resolve, baseDelayMs * 2 ** (attempt - 1)));
+    }
+    const { UnprocessedItems } = await ddb.send(new BatchWriteItemCommand({ RequestItems: pending }));
+    if (!UnprocessedItems || Object.keys(UnprocessedItems).length === 0) return;
+    pending = UnprocessedItems;
+  }
+
+  const left = Object.values(pending).reduce((sum, requests) => sum + requests.length, 0);
+  throw new Error(`${left} order item writes still unprocessed after ${BATCH_WRITE_ATTEMPTS} attempts`);
+}
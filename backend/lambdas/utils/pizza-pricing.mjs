@@ -48,6 +48,14 @@
  *     allowedCrustsBySizes: null, // null = all crusts for all sizes
  *   },
  *   
+ *   // Specialty pizzas only (Supreme, Meat Lovers...): the toppings the price includes.
+ *   // priceCentsBySize is optional; without it the recipe costs the base price plus
+ *   // each included topping at the size's topping price.
+ *   recipe: {
+ *     includedToppings: ["Pepperoni", "Sausage", "Bacon", "Ham"],
+ *     priceCentsBySize: { Small: 1899, Medium: 2299, Large: 2699 },
+ *   },
+ *   
  *   // Multi-tenant
  *   restaurantId: "demo123",
  *   createdAt: "...",
@@ -139,6 +147,72 @@ export function parseTopping(toppingInput) {
   return { name, portion };
 }
 
+// =============================================================================
+// SPECIALTY RECIPES
+// =============================================================================
+
+function toppingKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Does this pizza item have a specialty recipe?
+ */
+export function hasRecipe(menuItem) {
+  return Array.isArray(menuItem?.recipe?.includedToppings) && menuItem.recipe.includedToppings.length > 0;
+}
+
+/**
+ * Price of a specialty recipe at a size, before crust and changes (cents)
+ */
+export function getRecipePriceCents(recipe, size, pricingRules = DEFAULT_PIZZA_PRICING) {
+  const rules = { ...DEFAULT_PIZZA_PRICING, ...pricingRules };
+  const set = Number(recipe?.priceCentsBySize?.[size]);
+  if (Number.isFinite(set) && set > 0) return Math.round(set);
+
+  const baseCents = rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799;
+  const toppingCents = rules.toppingPriceCentsBySize?.[size] || rules.toppingPriceCentsBySize?.Medium || 250;
+  return baseCents + (recipe?.includedToppings || []).length * toppingCents;
+}
+
+/**
+ * Apply spoken changes to a recipe's toppings (phone orders).
+ * The caller only names what changes: "Ham|no" drops an included topping,
+ * "Pepperoni|extra" doubles one, anything else is added.
+ *
+ * @param {Object} recipe - The specialty item's recipe
+ * @param {Array} requested - Topping strings from the agent
+ * @returns {Array<string>} - The full whole-pizza topping list
+ */
+export function buildRecipeToppings(recipe, requested = []) {
+  const toppings = (recipe?.includedToppings || []).map(String);
+  for (const input of requested || []) {
+    const parsed = parseTopping(input);
+    if (!parsed.name) continue;
+    const token = typeof input === 'string' ? input : `${parsed.name}|${parsed.portion}`;
+    const idx = toppings.findIndex((t) => toppingKey(parseTopping(t).name) === toppingKey(parsed.name));
+    if (idx >= 0) toppings[idx] = token;
+    else toppings.push(token);
+  }
+  return toppings;
+}
+
+/**
+ * What changed from the recipe, for the order line and kitchen ticket
+ * ({ name: "Meat Lovers", removed: ["Ham"], added: ["Mushrooms"] })
+ *
+ * @param {Object} menuItem - The specialty pizza item
+ * @param {Object} pricing - Result of calculatePizzaPriceCents with its recipe
+ */
+export function describeRecipeChanges(menuItem, pricing) {
+  const recipe = pricing?.breakdown?.recipe;
+  return {
+    name: menuItem?.name || '',
+    removed: recipe?.removed || [],
+    added: recipe?.added || [],
+  };
+}
+
 // =============================================================================
 // PIZZA PRICING CALCULATION
 // =============================================================================
@@ -154,9 +228,11 @@ export function parseTopping(toppingInput) {
  * @param {Array} pizzaDetails.rightHalfToppings - Toppings on right half
  * @param {Array} pizzaDetails.modifiers - Modifiers like "well-done", "extra cheese"
  * @param {Object} pricingRules - The menu item's pricing rules
+ * @param {Object} [recipe] - Specialty recipe. Its included toppings are in the base
+ *   price; removing one is free and pays for one added topping (swaps are even).
  * @returns {Object} - { baseCents, crustSurcharge, toppingsCents, totalCents, breakdown }
  */
-export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PIZZA_PRICING) {
+export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PIZZA_PRICING, recipe = null) {
   const size = pizzaDetails.size || 'Medium';
   const crust = pizzaDetails.crust || 'Thin';
   const rules = { ...DEFAULT_PIZZA_PRICING, ...pricingRules };
@@ -175,6 +251,15 @@ export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PI
     }
   }
   
+  // Specialty: the recipe price replaces the plain base (gluten-free keeps the recipe's premium)
+  const included = (recipe?.includedToppings || []).map(String).filter(Boolean);
+  const includedKeys = new Set(included.map(toppingKey));
+  if (included.length > 0) {
+    const recipeCents = getRecipePriceCents(recipe, size, rules);
+    const plainBaseCents = rules.basePriceCentsBySize?.[size] || rules.basePriceCentsBySize?.Medium || 1799;
+    baseCents = crust === 'Gluten-Free' ? baseCents + (recipeCents - plainBaseCents) : recipeCents;
+  }
+  
   // Topping price per item for this size
   const toppingPricePerItem = rules.toppingPriceCentsBySize?.[size] || rules.toppingPriceCentsBySize?.Medium || 250;
   const portionMultipliers = rules.portionMultipliers || DEFAULT_PIZZA_PRICING.portionMultipliers;
@@ -188,13 +273,26 @@ export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PI
   
   let toppingsCents = 0;
   const toppingBreakdown = [];
+  const kept = new Set();
+  const added = [];
   
-  // Whole toppings
+  // Whole toppings (an included recipe topping only costs its portion above regular)
   const wholeToppings = pizzaDetails.wholeToppings || [];
   for (const t of wholeToppings) {
+    const parsed = parseTopping(t);
+    const key = toppingKey(parsed.name);
+    if (includedKeys.has(key) && !kept.has(key)) {
+      if (parsed.portion === 'no') continue;
+      kept.add(key);
+      const multiplier = portionMultipliers[parsed.portion] ?? 1;
+      const cost = Math.round(toppingPricePerItem * Math.max(0, multiplier - 1));
+      toppingsCents += cost;
+      toppingBreakdown.push({ topping: parsed.name, portion: parsed.portion, location: 'whole', cents: cost, included: true });
+      continue;
+    }
     const cost = addToppingCost(t);
     toppingsCents += cost;
-    const parsed = parseTopping(t);
+    if (cost > 0) added.push(parsed.name);
     toppingBreakdown.push({ topping: parsed.name, portion: parsed.portion, location: 'whole', cents: cost });
   }
   
@@ -204,6 +302,7 @@ export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PI
     const cost = addToppingCost(t);
     toppingsCents += cost;
     const parsed = parseTopping(t);
+    if (cost > 0) added.push(parsed.name);
     toppingBreakdown.push({ topping: parsed.name, portion: parsed.portion, location: 'left', cents: cost });
   }
   
@@ -212,9 +311,21 @@ export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PI
     const cost = addToppingCost(t);
     toppingsCents += cost;
     const parsed = parseTopping(t);
+    if (cost > 0) added.push(parsed.name);
     toppingBreakdown.push({ topping: parsed.name, portion: parsed.portion, location: 'right', cents: cost });
   }
   
+  // Each removed recipe topping pays for one added topping; removals alone get no credit
+  const removed = included.filter((name) => !kept.has(toppingKey(name)));
+  const swapCreditCents = Math.min(
+    Math.min(removed.length, added.length) * toppingPricePerItem,
+    toppingsCents
+  );
+  if (swapCreditCents > 0) {
+    toppingsCents -= swapCreditCents;
+    toppingBreakdown.push({ topping: `Swap for ${removed.slice(0, added.length).join(', ')}`, portion: 'swap', location: 'whole', cents: -swapCreditCents });
+  }
+  
   // Check modifiers for extra charges
   const modifiers = pizzaDetails.modifiers || [];
   let modifiersCents = 0;
@@ -246,6 +357,7 @@ export function calculatePizzaPriceCents(pizzaDetails, pricingRules = DEFAULT_PI
       crustSurcharge,
       toppings: toppingBreakdown,
       totalToppingsCents: toppingsCents,
+      ...(included.length > 0 ? { recipe: { included, removed, added, swapCreditCents } } : {}),
     },
   };
 }
@@ -294,6 +406,25 @@ export function validatePizzaMenuItem(item) {
     errors.push('allowedCrusts array is required and must not be empty');
   }
   
+  // Specialty recipe (optional)
+  if (item.recipe != null) {
+    const included = item.recipe.includedToppings;
+    if (!Array.isArray(included) || included.some((t) => typeof t !== 'string' || !t.trim())) {
+      errors.push('recipe.includedToppings must be an array of topping names');
+    } else if (Array.isArray(item.allowedToppings) && item.allowedToppings.length > 0) {
+      const allowed = new Set(item.allowedToppings.map(toppingKey));
+      const unknown = included.filter((t) => !allowed.has(toppingKey(t)));
+      if (unknown.length > 0) {
+        errors.push(`recipe.includedToppings not in allowedToppings: ${unknown.join(', ')}`);
+      }
+    }
+    for (const [size, cents] of Object.entries(item.recipe.priceCentsBySize || {})) {
+      if (!Number.isInteger(cents) || cents <= 0) {
+        errors.push(`recipe.priceCentsBySize.${size} must be a positive number of cents`);
+      }
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors,
@@ -0,0 +1,729 @@
+/**
+ * Promotions (promo codes + automatic deals)
+ *
+ * Promotions table: PK restaurantId, SK promotionId. A promotion with a `code` only
+ * applies when the customer (or the phone agent) enters it; one without a code is an
+ * automatic deal that applies whenever the order qualifies. Web checkout, admin orders,
+ * phone orders and order edits all price discounts here, after the items are priced
+ * and before tax.
+ *
+ * Stacking: item deals (BOGO, bundle price, % / $ off specific items) each claim the
+ * units they discount, so a pizza never gets two deals; an entered code claims first,
+ * then automatic deals best-first. At most one whole-order % / $ off applies after that,
+ * to what's left of the subtotal.
+ *
+ * Applied discounts are kept as order-level adjustments (never folded into line prices)
+ * with a snapshot of the rule, so edits can re-price them without the Promotions table.
+ */
+
+import { BatchGetItemCommand, QueryCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { getLocalTimeParts, getRestaurantTimezone, timeToMinutes, formatMinutes } from "./order-policy.mjs";
+
+export const PROMOTIONS_TABLE = "Promotions";
+// Per-customer usage counters: PK restaurantId, SK redemptionKey ("{promotionId}#{phone}")
+export const PROMOTION_REDEMPTIONS_TABLE = "PromotionRedemptions";
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+/**
+ * Example promotions:
+ * {
+ *   promotionId: "tuesday-2-large",
+ *   name: "Tuesday: 2 Large Pizzas for $25",
+ *   type: "bundle_price",
+ *   bundleQuantity: 2, bundlePriceCents: 2500,
+ *   appliesTo: { categories: ["Pizza"], sizes: ["Large"] },
+ *   daysOfWeek: ["Tuesday"],
+ * }
+ * {
+ *   promotionId: "welcome10",
+ *   name: "10% off your first order",
+ *   code: "WELCOME10",
+ *   type: "percent_off", percentOff: 10,
+ *   minSubtotalCents: 2000,
+ *   orderTypes: ["pickup", "delivery"],
+ *   maxUsesPerCustomer: 1,
+ * }
+ *
+ *   type             - percent_off | amount_off | bogo | bundle_price
+ *   appliesTo        - { categories, itemIds (base ids), sizes }; every list given must match.
+ *                      percent_off / amount_off without it discount the whole order
+ *   percentOff       - percent_off: 1-100
+ *   amountOffCents   - amount_off: per matching unit, or once off the order
+ *   buyQuantity, getQuantity, getPercentOff - bogo: buy 1 get 1 free = 1, 1, 100 (cheapest free)
+ *   bundleQuantity, bundlePriceCents        - bundle_price: "2 larges for $25" = 2, 2500
+ *   minSubtotalCents - food subtotal before discounts
+ *   orderTypes       - pickup / delivery / dine-in (empty = all)
+ *   startDate, endDate - "YYYY-MM-DD", inclusive, restaurant timezone
+ *   daysOfWeek       - ["Tuesday"] (empty = every day)
+ *   startTime, endTime - "HH:MM" window on those days (restaurant timezone)
+ *   maxUsesPerCustomer - per phone number; counted when the order is placed, given back if it is cancelled
+ */
+
+export const PROMOTION_TYPES = ["percent_off", "amount_off", "bogo", "bundle_price"];
+export const PROMOTION_ORDER_TYPES = ["pickup", "delivery", "dine-in"];
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const MAX_PROMO_UNITS = 200;
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function stringList(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map((v) => String(v ?? "").trim()).filter(Boolean))];
+}
+
+/**
+ * Promo codes are matched case-insensitively and without spaces ("welcome 10" = "WELCOME10")
+ */
+export function normalizePromoCode(code) {
+  return String(code ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Is this promotion an automatic deal (no code to enter)?
+ */
+export function isAutomaticPromotion(promotion) {
+  return !promotion?.code;
+}
+
+function hasTarget(appliesTo) {
+  return !!appliesTo && ["categories", "itemIds", "sizes"].some((key) => appliesTo[key]?.length > 0);
+}
+
+/**
+ * Clean up a promotion from the dashboard before saving
+ *
+ * @param {Object} input - Raw request body
+ * @returns {Object}
+ */
+export function normalizePromotion(input) {
+  const name = String(input?.name || "").trim();
+  const type = PROMOTION_TYPES.includes(input?.type) ? input.type : String(input?.type || "");
+  const appliesTo = {
+    categories: stringList(input?.appliesTo?.categories),
+    itemIds: stringList(input?.appliesTo?.itemIds),
+    sizes: stringList(input?.appliesTo?.sizes),
+  };
+
+  const promotion = {
+    promotionId: String(input?.promotionId || slugify(input?.code || name)).trim(),
+    name,
+    description: String(input?.description || "").trim(),
+    code: normalizePromoCode(input?.code) || undefined,
+    active: input?.active !== false,
+    type,
+    appliesTo: hasTarget(appliesTo) ? appliesTo : undefined,
+    minSubtotalCents: Math.max(0, toInt(input?.minSubtotalCents, 0)) || undefined,
+    orderTypes: stringList(input?.orderTypes).filter((t) => PROMOTION_ORDER_TYPES.includes(t)),
+    daysOfWeek: stringList(input?.daysOfWeek).filter((d) => DAY_NAMES.includes(d)),
+    startDate: input?.startDate ? String(input.startDate) : undefined,
+    endDate: input?.endDate ? String(input.endDate) : undefined,
+    startTime: input?.startTime ? String(input.startTime) : undefined,
+    endTime: input?.endTime ? String(input.endTime) : undefined,
+    maxUsesPerCustomer: Math.max(0, toInt(input?.maxUsesPerCustomer, 0)) || undefined,
+  };
+
+  if (type === "percent_off") promotion.percentOff = toInt(input?.percentOff, 0);
+  if (type === "amount_off") promotion.amountOffCents = toInt(input?.amountOffCents, 0);
+  if (type === "bogo") {
+    promotion.buyQuantity = Math.max(1, toInt(input?.buyQuantity, 1));
+    promotion.getQuantity = Math.max(1, toInt(input?.getQuantity, 1));
+    promotion.getPercentOff = toInt(input?.getPercentOff ?? 100, 100);
+  }
+  if (type === "bundle_price") {
+    promotion.bundleQuantity = toInt(input?.bundleQuantity, 0);
+    promotion.bundlePriceCents = toInt(input?.bundlePriceCents, 0);
+  }
+  return promotion;
+}
+
+/**
+ * Validate a (normalized) promotion
+ *
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export function validatePromotion(promotion) {
+  const errors = [];
+
+  if (!promotion?.name) errors.push("name is required");
+  if (!promotion?.promotionId) errors.push("promotionId is required");
+  if (!PROMOTION_TYPES.includes(promotion?.type)) {
+    errors.push(`type must be one of: ${PROMOTION_TYPES.join(", ")}`);
+  }
+
+  if (promotion?.type === "percent_off" && !(promotion.percentOff >= 1 && promotion.percentOff <= 100)) {
+    errors.push("percentOff must be between 1 and 100");
+  }
+  if (promotion?.type === "amount_off" && !(promotion.amountOffCents > 0)) {
+    errors.push("amountOffCents must be a positive number of cents");
+  }
+  if (promotion?.type === "bogo" && !(promotion.getPercentOff >= 1 && promotion.getPercentOff <= 100)) {
+    errors.push("getPercentOff must be between 1 and 100");
+  }
+  if (promotion?.type === "bundle_price") {
+    if (!(promotion.bundleQuantity >= 2)) errors.push("bundleQuantity must be at least 2");
+    if (!(promotion.bundlePriceCents > 0)) errors.push("bundlePriceCents must be a positive number of cents");
+  }
+  if ((promotion?.type === "bogo" || promotion?.type === "bundle_price") && !hasTarget(promotion.appliesTo)) {
+    errors.push("BOGO and bundle deals need appliesTo (categories, items or sizes)");
+  }
+
+  for (const key of ["startDate", "endDate"]) {
+    if (promotion?.[key] && !/^\d{4}-\d{2}-\d{2}$/.test(promotion[key])) {
+      errors.push(`${key} must be YYYY-MM-DD`);
+    }
+  }
+  if (promotion?.startDate && promotion?.endDate && promotion.endDate < promotion.startDate) {
+    errors.push("endDate is before startDate");
+  }
+  for (const key of ["startTime", "endTime"]) {
+    if (promotion?.[key] && timeToMinutes(promotion[key]) === null) {
+      errors.push(`${key} must be HH:MM`);
+    }
+  }
+  if (!!promotion?.startTime !== !!promotion?.endTime) {
+    errors.push("startTime and endTime go together");
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// =============================================================================
+// ELIGIBILITY
+// =============================================================================
+
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+function listWords(words) {
+  return words.length <= 1 ? words.join("") : `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+}
+
+/**
+ * Is the promotion running at this instant? (dates, days, hours in the restaurant's timezone)
+ *
+ * @returns {{ ok: boolean, code?: string, reason?: string }}
+ */
+export function checkPromotionWindow(promotion, { settings = {}, at = new Date() } = {}) {
+  const local = getLocalTimeParts(at, getRestaurantTimezone(settings));
+
+  if (promotion.startDate && local.dateKey < promotion.startDate) {
+    return { ok: false, code: "promo_not_started", reason: `${promotion.name} starts ${promotion.startDate}.` };
+  }
+  if (promotion.endDate && local.dateKey > promotion.endDate) {
+    return { ok: false, code: "promo_expired", reason: `${promotion.name} has ended.` };
+  }
+  if (promotion.daysOfWeek?.length > 0 && !promotion.daysOfWeek.includes(local.dayName)) {
+    return { ok: false, code: "promo_wrong_day", reason: `${promotion.name} is only on ${listWords(promotion.daysOfWeek.map((d) => `${d}s`))}.` };
+  }
+
+  const startMin = timeToMinutes(promotion.startTime);
+  const endMin = timeToMinutes(promotion.endTime);
+  if (startMin !== null && endMin !== null) {
+    const inWindow = endMin > startMin
+      ? local.minutes >= startMin && local.minutes < endMin
+      : local.minutes >= startMin || local.minutes < endMin; // spans midnight
+    if (!inWindow) {
+      return { ok: false, code: "promo_wrong_time", reason: `${promotion.name} runs ${formatMinutes(startMin)} to ${formatMinutes(endMin)}.` };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Can this order use the promotion? (active, window, order type, minimum, per-customer limit)
+ * `usage` is the customer's redemption counts, or null when there's no phone number yet;
+ * with enforceUsage false (quotes) the per-customer limit is left to submit.
+ */
+function checkEligibility(promotion, { settings, at, orderType, subtotalCents, usage, enforceUsage }) {
+  if (promotion.active === false) {
+    return { ok: false, code: "promo_inactive", reason: `${promotion.name} isn't running right now.` };
+  }
+
+  const window = checkPromotionWindow(promotion, { settings, at });
+  if (!window.ok) return window;
+
+  if (promotion.orderTypes?.length > 0 && !promotion.orderTypes.includes(orderType)) {
+    return { ok: false, code: "promo_order_type", reason: `${promotion.name} is only for ${listWords(promotion.orderTypes)} orders.` };
+  }
+
+  if (promotion.minSubtotalCents && subtotalCents < promotion.minSubtotalCents) {
+    return {
+      ok: false,
+      code: "promo_min_subtotal",
+      reason: `${promotion.name} needs at least ${formatCents(promotion.minSubtotalCents)} in food. Add ${formatCents(promotion.minSubtotalCents - subtotalCents)} more.`,
+    };
+  }
+
+  if (promotion.maxUsesPerCustomer && enforceUsage) {
+    if (!usage) {
+      return { ok: false, code: "promo_needs_phone", reason: `${promotion.name} is limited per customer. Verify your phone number to use it.` };
+    }
+    if ((usage[promotion.promotionId] || 0) >= promotion.maxUsesPerCustomer) {
+      return {
+        ok: false,
+        code: "promo_usage_limit",
+        reason: promotion.maxUsesPerCustomer === 1
+          ? `${promotion.name} can only be used once per customer.`
+          : `${promotion.name} can only be used ${promotion.maxUsesPerCustomer} times per customer.`,
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+// =============================================================================
+// DISCOUNTS
+// =============================================================================
+
+// The fields a discount is computed from (snapshotted onto each adjustment)
+const RULE_FIELDS = [
+  "type", "appliesTo", "percentOff", "amountOffCents", "buyQuantity", "getQuantity",
+  "getPercentOff", "bundleQuantity", "bundlePriceCents", "minSubtotalCents",
+];
+
+function pickRule(promotion) {
+  const rule = {};
+  for (const field of RULE_FIELDS) {
+    if (promotion[field] !== undefined) rule[field] = promotion[field];
+  }
+  return rule;
+}
+
+/**
+ * One entry per unit (quantity 3 = 3 units) so deals can claim individual pizzas
+ */
+function expandUnits(lines) {
+  const units = [];
+  for (const line of lines) {
+    const quantity = Math.max(0, toInt(line.quantity, 1));
+    for (let i = 0; i < quantity && units.length < MAX_PROMO_UNITS; i++) {
+      units.push({
+        id: `${line.lineKey}:${i}`,
+        lineKey: String(line.lineKey),
+        menuItemId: line.menuItemId ? String(line.menuItemId) : "",
+        category: line.category ? String(line.category) : "",
+        size: line.size ? String(line.size) : "",
+        priceCents: Math.max(0, toInt(line.unitPriceCents, 0)),
+      });
+    }
+  }
+  return units;
+}
+
+function matchesTarget(unit, appliesTo) {
+  const lower = (list) => list.map((v) => v.toLowerCase());
+  if (appliesTo?.categories?.length > 0 && !lower(appliesTo.categories).includes(unit.category.toLowerCase())) return false;
+  if (appliesTo?.itemIds?.length > 0 && !appliesTo.itemIds.includes(unit.menuItemId)) return false;
+  if (appliesTo?.sizes?.length > 0 && !lower(appliesTo.sizes).includes(unit.size.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Discount an item deal gives on the units still unclaimed
+ *
+ * @returns {{ amountCents: number, claimed: Array }} claimed: units the deal used
+ */
+function computeItemDiscount(rule, units) {
+  const matching = units
+    .filter((unit) => matchesTarget(unit, rule.appliesTo))
+    .sort((a, b) => b.priceCents - a.priceCents);
+  if (matching.length === 0) return { amountCents: 0, claimed: [] };
+
+  if (rule.type === "percent_off") {
+    const base = matching.reduce((sum, unit) => sum + unit.priceCents, 0);
+    return { amountCents: Math.round(base * (rule.percentOff / 100)), claimed: matching };
+  }
+
+  if (rule.type === "amount_off") {
+    const amountCents = matching.reduce((sum, unit) => sum + Math.min(rule.amountOffCents, unit.priceCents), 0);
+    return { amountCents, claimed: matching };
+  }
+
+  if (rule.type === "bogo") {
+    // Most expensive first; in each full group the cheapest `get` units are discounted
+    const groupSize = rule.buyQuantity + rule.getQuantity;
+    let amountCents = 0;
+    const claimed = [];
+    for (let i = 0; i + groupSize <= matching.length; i += groupSize) {
+      const group = matching.slice(i, i + groupSize);
+      for (const unit of group.slice(rule.buyQuantity)) {
+        amountCents += Math.round(unit.priceCents * (rule.getPercentOff / 100));
+      }
+      claimed.push(...group);
+    }
+    return { amountCents, claimed };
+  }
+
+  if (rule.type === "bundle_price") {
+    let amountCents = 0;
+    const claimed = [];
+    for (let i = 0; i + rule.bundleQuantity <= matching.length; i += rule.bundleQuantity) {
+      const group = matching.slice(i, i + rule.bundleQuantity);
+      const savings = group.reduce((sum, unit) => sum + unit.priceCents, 0) - rule.bundlePriceCents;
+      if (savings <= 0) break; // Cheaper groups only save less
+      amountCents += savings;
+      claimed.push(...group);
+    }
+    return { amountCents, claimed };
+  }
+
+  return { amountCents: 0, claimed: [] };
+}
+
+function computeOrderDiscount(rule, baseCents) {
+  if (baseCents <= 0) return 0;
+  if (rule.type === "percent_off") return Math.round(baseCents * (rule.percentOff / 100));
+  if (rule.type === "amount_off") return Math.min(rule.amountOffCents, baseCents);
+  return 0;
+}
+
+function isOrderLevel(rule) {
+  return (rule.type === "percent_off" || rule.type === "amount_off") && !hasTarget(rule.appliesTo);
+}
+
+function toAdjustment(entry, amountCents, lineKeys) {
+  return {
+    adjustmentId: `promo-${entry.promotionId}`,
+    type: "discount",
+    promotionId: entry.promotionId,
+    name: entry.name,
+    code: entry.code || undefined,
+    automatic: !entry.code,
+    amountCents,
+    amount: amountCents / 100,
+    lineKeys: [...new Set(lineKeys)],
+    rule: entry.rule,
+  };
+}
+
+/**
+ * Run the stacking rules over priced lines.
+ *
+ * @param {Array} entries - [{ promotionId, name, code, rule }], the entered code first
+ * @param {Array} lines - [{ lineKey, menuItemId, category, size, unitPriceCents, quantity }]
+ * @param {string} [firstId] - Promotion that claims before the best-first pass (the entered code)
+ * @returns {{ adjustments: Array, discountCents: number }}
+ */
+function stackDiscounts(entries, lines, firstId = null) {
+  let units = expandUnits(lines);
+  const subtotalCents = units.reduce((sum, unit) => sum + unit.priceCents, 0);
+  const eligible = entries.filter((e) => !e.rule.minSubtotalCents || subtotalCents >= e.rule.minSubtotalCents);
+  const adjustments = [];
+
+  const claim = (entry) => {
+    const result = computeItemDiscount(entry.rule, units);
+    if (result.amountCents <= 0) return;
+    const claimedIds = new Set(result.claimed.map((unit) => unit.id));
+    units = units.filter((unit) => !claimedIds.has(unit.id));
+    adjustments.push(toAdjustment(entry, result.amountCents, result.claimed.map((unit) => unit.lineKey)));
+  };
+
+  // Item deals: the entered code first, then whichever automatic deal saves the most
+  const itemDeals = eligible.filter((e) => !isOrderLevel(e.rule));
+  const first = itemDeals.find((e) => e.promotionId === firstId);
+  if (first) claim(first);
+
+  let remaining = itemDeals.filter((e) => e !== first);
+  while (remaining.length > 0) {
+    let best = null;
+    let bestCents = 0;
+    for (const entry of remaining) {
+      const cents = computeItemDiscount(entry.rule, units).amountCents;
+      if (cents > bestCents) {
+        best = entry;
+        bestCents = cents;
+      }
+    }
+    if (!best) break;
+    claim(best);
+    remaining = remaining.filter((e) => e !== best);
+  }
+
+  // One whole-order discount, on what's left after item deals
+  const itemDiscountCents = adjustments.reduce((sum, a) => sum + a.amountCents, 0);
+  const baseCents = subtotalCents - itemDiscountCents;
+  const orderDeals = eligible.filter((e) => isOrderLevel(e.rule));
+  const orderDeal = orderDeals.find((e) => e.promotionId === firstId)
+    || orderDeals.reduce((best, e) => (computeOrderDiscount(e.rule, baseCents) > computeOrderDiscount(best?.rule || {}, baseCents) ? e : best), null);
+  if (orderDeal) {
+    const cents = computeOrderDiscount(orderDeal.rule, baseCents);
+    if (cents > 0) {
+      adjustments.push(toAdjustment(orderDeal, cents, lines.map((line) => line.lineKey)));
+    }
+  }
+
+  return {
+    adjustments,
+    discountCents: adjustments.reduce((sum, a) => sum + a.amountCents, 0),
+  };
+}
+
+/**
+ * Price the discounts for an order.
+ * An entered code that doesn't apply comes back as `rejection` ({ code, reason } that can be
+ * read to the caller or shown at checkout); automatic deals that don't apply are skipped.
+ *
+ * @param {Object} params
+ * @param {Array} params.promotions - Restaurant's promotions (see loadPromotions)
+ * @param {Array} params.lines - Priced lines: [{ lineKey, menuItemId, category, size, unitPriceCents, quantity }]
+ * @param {string} params.orderType - "pickup" | "delivery" | "dine-in"
+ * @param {string} [params.promoCode] - Code the customer entered
+ * @param {Object} [params.settings] - RestaurantSettings (timezone)
+ * @param {Date} [params.at] - When the order is for (scheduled time, else now)
+ * @param {Object|null} [params.usage] - { [promotionId]: uses } for this customer; null = no phone
+ * @param {boolean} [params.enforceUsage] - false for quotes (the limit is checked on submit)
+ * @returns {{ ok: boolean, rejection?: { code: string, reason: string }, adjustments: Array, discountCents: number }}
+ */
+export function applyPromotions({ promotions = [], lines = [], orderType = "pickup", promoCode = "", settings = {}, at = new Date(), usage = null, enforceUsage = true }) {
+  const subtotalCents = lines.reduce((sum, line) => sum + toInt(line.unitPriceCents, 0) * toInt(line.quantity, 1), 0);
+  const context = { settings, at, orderType, subtotalCents, usage, enforceUsage };
+  const toEntry = (promotion) => ({ promotionId: promotion.promotionId, name: promotion.name, code: promotion.code, rule: pickRule(promotion) });
+
+  const code = normalizePromoCode(promoCode);
+  let coded = null;
+  if (code) {
+    coded = promotions.find((p) => p.code && normalizePromoCode(p.code) === code);
+    if (!coded) {
+      return { ok: false, rejection: { code: "promo_invalid", reason: `${code} isn't a valid promo code.` }, adjustments: [], discountCents: 0 };
+    }
+    const check = checkEligibility(coded, context);
+    if (!check.ok) {
+      return { ok: false, rejection: { code: check.code, reason: check.reason }, adjustments: [], discountCents: 0 };
+    }
+  }
+
+  const automatic = promotions.filter((p) => isAutomaticPromotion(p) && checkEligibility(p, context).ok);
+  const entries = [...(coded ? [coded] : []), ...automatic].map(toEntry);
+  const result = stackDiscounts(entries, lines, coded?.promotionId);
+
+  if (coded && !result.adjustments.some((a) => a.promotionId === coded.promotionId)) {
+    return {
+      ok: false,
+      rejection: { code: "promo_no_qualifying_items", reason: `${coded.name} doesn't apply to anything in this order.` },
+      adjustments: [],
+      discountCents: 0,
+    };
+  }
+
+  return { ok: true, ...result };
+}
+
+/**
+ * Re-price an order's existing discounts after an edit (same deals, new lines).
+ * Dates, order type and usage limits were settled when the order was placed.
+ *
+ * @param {Array} adjustments - Order's stored adjustments
+ * @param {Array} lines - Active lines after the edit (same shape as applyPromotions)
+ * @returns {{ adjustments: Array, discountCents: number }}
+ */
+export function reapplyAdjustments(adjustments, lines) {
+  const entries = (Array.isArray(adjustments) ? adjustments : [])
+    .filter((a) => a?.type === "discount" && a.rule)
+    .map((a) => ({ promotionId: a.promotionId, name: a.name, code: a.code, rule: a.rule }));
+  if (entries.length === 0) return { adjustments: [], discountCents: 0 };
+  return stackDiscounts(entries, lines, entries.find((e) => e.code)?.promotionId);
+}
+
+/**
+ * Receipt / read-back lines: ["Tuesday: 2 Large Pizzas for $25 -$9.98"]
+ */
+export function describeAdjustments(adjustments) {
+  if (!Array.isArray(adjustments)) return [];
+  return adjustments
+    .filter((a) => a?.amountCents > 0)
+    .map((a) => `${a.code ? `${a.name} (${a.code})` : a.name} -${formatCents(a.amountCents)}`);
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Load a restaurant's promotions (inactive ones included - callers check `active`)
+ */
+export async function loadPromotions(ddb, restaurantId) {
+  if (!restaurantId) return [];
+
+  const promotions = [];
+  let lastKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: PROMOTIONS_TABLE,
+      KeyConditionExpression: "restaurantId = :rid",
+      ExpressionAttributeValues: marshall({ ":rid": String(restaurantId) }),
+      ...(lastKey ? { ExclusiveStartKey: lastKey } : {}),
+    }));
+    promotions.push(...(res.Items || []).map((item) => unmarshall(item)));
+    lastKey = res.LastEvaluatedKey;
+  } while (lastKey);
+
+  return promotions;
+}
+
+function redemptionKey(promotionId, phone) {
+  return `${promotionId}#${phone}`;
+}
+
+/**
+ * How many times this customer has used each limited promotion
+ *
+ * @param {string} phone - E.164 (see normalizeCustomerPhone)
+ * @returns {Promise<Object>} { [promotionId]: uses }
+ */
+export async function loadPromotionUsage(ddb, { restaurantId, phone, promotions }) {
+  const limited = promotions.filter((p) => p.maxUsesPerCustomer && p.active !== false);
+  if (!restaurantId || !phone || limited.length === 0) return {};
+
+  const usage = {};
+  for (let i = 0; i < limited.length; i += 100) {
+    const slice = limited.slice(i, i + 100);
+    const { Responses } = await ddb.send(new BatchGetItemCommand({
+      RequestItems: {
+        [PROMOTION_REDEMPTIONS_TABLE]: {
+          Keys: slice.map((p) => marshall({ restaurantId: String(restaurantId), redemptionKey: redemptionKey(p.promotionId, phone) })),
+        },
+      },
+    }));
+    for (const raw of Responses?.[PROMOTION_REDEMPTIONS_TABLE] || []) {
+      const record = unmarshall(raw);
+      usage[record.promotionId] = Number(record.uses || 0);
+    }
+  }
+  return usage;
+}
+
+/**
+ * The writes that count an order's discounts: the customer's use of each limited
+ * promotion (conditional on the limit, so it holds when two orders race) and the
+ * dashboard's "times used". They go in the order's transaction (utils/order-transaction.mjs),
+ * so a rejected order never keeps a use.
+ *
+ * @param {string} phone - E.164, or null (then only the dashboard count is kept)
+ * @returns {{ writes: Array, redemptions: Array }} redemptions: what was counted, kept on
+ *   the order as `promotionRedemptions` so a cancel can give it back
+ */
+export function buildPromotionRedemptionWrites({ restaurantId, phone, orderId, adjustments, promotions, at = new Date() }) {
+  const writes = [];
+  const redemptions = [];
+
+  for (const adjustment of adjustments || []) {
+    const promotion = promotions.find((p) => p.promotionId === adjustment.promotionId);
+    if (!promotion) continue;
+
+    if (phone) {
+      const limit = promotion.maxUsesPerCustomer || 0;
+      writes.push({
+        write: {
+          Update: {
+            TableName: PROMOTION_REDEMPTIONS_TABLE,
+            Key: marshall({ restaurantId: String(restaurantId), redemptionKey: redemptionKey(promotion.promotionId, phone) }),
+            UpdateExpression: "SET promotionId = :pid, phone = :phone, lastOrderId = :oid, lastUsedAt = :now ADD uses :one",
+            ...(limit > 0 ? { ConditionExpression: "attribute_not_exists(uses) OR uses < :max" } : {}),
+            ExpressionAttributeValues: marshall({
+              ":pid": promotion.promotionId,
+              ":phone": phone,
+              ":oid": orderId,
+              ":now": at.toISOString(),
+              ":one": 1,
+              ...(limit > 0 ? { ":max": limit } : {}),
+            }),
+          },
+        },
+        rejection: { code: "promo_usage_limit", reason: `${promotion.name} has already been used on this phone number.` },
+      });
+    }
+
+    writes.push({
+      write: {
+        Update: {
+          TableName: PROMOTIONS_TABLE,
+          Key: marshall({ restaurantId: String(restaurantId), promotionId: promotion.promotionId }),
+          UpdateExpression: "ADD redemptionCount :one, discountTotalCents :cents",
+          ConditionExpression: "attribute_exists(promotionId)",
+          ExpressionAttributeValues: marshall({ ":one": 1, ":cents": adjustment.amountCents }),
+        },
+      },
+      // Deleted from the dashboard between the quote and the order
+      rejection: { code: "promo_inactive", reason: `${promotion.name} isn't running right now.` },
+    });
+
+    redemptions.push({ promotionId: promotion.promotionId, amountCents: adjustment.amountCents, phone: phone || undefined });
+  }
+
+  return { writes, redemptions };
+}
+
+/**
+ * Give back what buildPromotionRedemptionWrites counted (order cancelled). Each counter
+ * is released on its own; one that's already gone is skipped.
+ *
+ * @param {Array} redemptions - The order's `promotionRedemptions`
+ */
+export async function releasePromotionRedemptions(ddb, { restaurantId, redemptions }) {
+  for (const redemption of Array.isArray(redemptions) ? redemptions : []) {
+    const updates = [];
+    if (redemption.phone) {
+      updates.push({
+        TableName: PROMOTION_REDEMPTIONS_TABLE,
+        Key: marshall({ restaurantId: String(restaurantId), redemptionKey: redemptionKey(redemption.promotionId, redemption.phone) }),
+        UpdateExpression: "ADD uses :minusOne",
+        ConditionExpression: "uses >= :one",
+        ExpressionAttributeValues: marshall({ ":minusOne": -1, ":one": 1 }),
+      });
+    }
+    updates.push({
+      TableName: PROMOTIONS_TABLE,
+      Key: marshall({ restaurantId: String(restaurantId), promotionId: redemption.promotionId }),
+      UpdateExpression: "ADD redemptionCount :minusOne, discountTotalCents :minusCents",
+      ConditionExpression: "attribute_exists(promotionId) AND redemptionCount >= :one",
+      ExpressionAttributeValues: marshall({ ":minusOne": -1, ":minusCents": -Number(redemption.amountCents || 0), ":one": 1 }),
+    });
+
+    for (const update of updates) {
+      try {
+        await ddb.send(new UpdateItemCommand(update));
+      } catch (error) {
+        if (error?.name !== "ConditionalCheckFailedException") throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Load promotions + the customer's usage and price the order's discounts in one go.
+ * Used by every order path so web, admin and phone orders get the same deals.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} params - applyPromotions params plus restaurantId and phone (E.164, optional)
+ * @returns {Promise<{ ok: boolean, rejection?: Object, adjustments: Array, discountCents: number, promotions: Array }>}
+ */
+export async function evaluateOrderPromotions(ddb, { restaurantId, phone = null, lines, orderType, promoCode, settings, at, enforceUsage = true }) {
+  const promotions = (await loadPromotions(ddb, restaurantId)).filter((p) => p.active !== false);
+  if (promotions.length === 0) {
+    return promoCode
+      ? { ok: false, rejection: { code: "promo_invalid", reason: `${normalizePromoCode(promoCode)} isn't a valid promo code.` }, adjustments: [], discountCents: 0, promotions }
+      : { ok: true, adjustments: [], discountCents: 0, promotions };
+  }
+
+  const usage = phone ? await loadPromotionUsage(ddb, { restaurantId, phone, promotions }) : null;
+  const result = applyPromotions({ promotions, lines, orderType, promoCode, settings, at, usage, enforceUsage });
+  return { ...result, promotions };
+}
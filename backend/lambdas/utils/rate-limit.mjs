@@ -0,0 +1,303 @@
+/**
+ * DynamoDB Rate Limiter
+ *
+ * Fixed-window counters and failure lockouts in the RateLimits table
+ * (PK limitKey, TTL on expiresAt). Used by the public endpoints that cost
+ * money or guard a secret: /otp/send and /kitchen/session.
+ *
+ * Keys look like "otp:phone:+15555550123", "pin:ip:rest-001:1.2.3.4", "pin:restaurant:rest-001".
+ *   rate:{key}:{windowStart}  - hit counter for one window
+ *   fail:{key}                - failures in the current window (restarts once expiresAt passes,
+ *                               without waiting for TTL to delete the row)
+ *   lock:{key}                - lockedUntil after too many failures
+ *   alert:kitchen-pin:{id}    - dashboard notification for the owner
+ */
+
+import { DeleteItemCommand, GetItemCommand, PutItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+export const RATE_LIMIT_TABLE = "RateLimits";
+
+// TTL cleanup runs late; give rows a little slack past their window
+const TTL_SLACK_SECONDS = 60;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Caller IP from the HTTP API event
+ */
+export function getSourceIp(event) {
+  return event?.requestContext?.http?.sourceIp || event?.requestContext?.identity?.sourceIp || "unknown";
+}
+
+// =============================================================================
+// QUOTAS
+// =============================================================================
+
+/**
+ * Count one hit against a quota.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Object} rule
+ * @param {string} rule.key - What is being limited (phone, IP, restaurant)
+ * @param {number} rule.limit - Hits allowed per window
+ * @param {number} rule.windowSeconds - Window length
+ * @returns {Promise<{ allowed: boolean, count: number, retryAfterSeconds: number }>}
+ */
+export async function consumeRateLimit(ddb, { key, limit, windowSeconds }) {
+  const now = nowSeconds();
+  const windowStart = now - (now % windowSeconds);
+  const windowEnd = windowStart + windowSeconds;
+
+  const { Attributes } = await ddb.send(new UpdateItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: `rate:${key}:${windowStart}` } },
+    UpdateExpression: "ADD hits :one SET expiresAt = if_not_exists(expiresAt, :expiresAt)",
+    ExpressionAttributeValues: {
+      ":one": { N: "1" },
+      ":expiresAt": { N: String(windowEnd + TTL_SLACK_SECONDS) },
+    },
+    ReturnValues: "UPDATED_NEW",
+  }));
+
+  const count = Number(Attributes?.hits?.N || 1);
+  return {
+    allowed: count <= limit,
+    count,
+    retryAfterSeconds: Math.max(1, windowEnd - now),
+  };
+}
+
+/**
+ * Check several quotas in order, narrowest first (the caller's IP before shared
+ * phone / restaurant buckets). Stops at the first rule over its limit without
+ * counting the rest, so a blocked caller can't keep draining buckets other
+ * people share.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {Array<{ key: string, limit: number, windowSeconds: number, name?: string }>} rules
+ * @returns {Promise<{ allowed: boolean, rule?: Object, retryAfterSeconds?: number }>}
+ */
+export async function checkRateLimits(ddb, rules) {
+  for (const rule of rules) {
+    const result = await consumeRateLimit(ddb, rule);
+    if (!result.allowed) {
+      return { allowed: false, rule, retryAfterSeconds: result.retryAfterSeconds };
+    }
+  }
+  return { allowed: true };
+}
+
+// =============================================================================
+// FAILURE LOCKOUTS
+// =============================================================================
+
+/**
+ * Is this key locked out?
+ *
+ * @returns {Promise<{ locked: boolean, lockedUntil?: number, retryAfterSeconds?: number }>}
+ */
+export async function getLockout(ddb, key) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: `lock:${key}` } },
+  }));
+  const lockedUntil = Item ? Number(unmarshall(Item).lockedUntil) : 0;
+  const now = nowSeconds();
+  if (lockedUntil > now) {
+    return { locked: true, lockedUntil, retryAfterSeconds: lockedUntil - now };
+  }
+  return { locked: false };
+}
+
+/**
+ * Record a failed attempt; locks the key once maxFailures is reached inside the window.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {string} key
+ * @param {Object} policy
+ * @param {number} policy.maxFailures - Failures before lockout
+ * @param {number} policy.windowSeconds - How long failures are remembered
+ * @param {number} policy.lockoutSeconds - Lockout length
+ * @returns {Promise<{ failures: number, locked: boolean, lockedUntil?: number }>}
+ */
+export async function recordFailure(ddb, key, { maxFailures, windowSeconds, lockoutSeconds }) {
+  const now = nowSeconds();
+  const failures = await countFailure(ddb, key, { now, windowSeconds });
+  if (failures < maxFailures) {
+    return { failures, locked: false };
+  }
+
+  const lockedUntil = now + lockoutSeconds;
+  await ddb.send(new PutItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Item: marshall({ limitKey: `lock:${key}`, lockedUntil, failures, expiresAt: lockedUntil + TTL_SLACK_SECONDS }),
+  }));
+  // Start counting afresh once the lockout ends
+  await clearFailures(ddb, key);
+
+  return { failures, locked: true, lockedUntil };
+}
+
+/**
+ * Add one failure to the key's open window, or start a new window when there is
+ * none or it has run out. TTL can take a day or two to delete an expired row, so
+ * the expiry is checked here rather than left to TTL.
+ *
+ * @returns {Promise<number>} Failures in the window, this one included
+ */
+async function countFailure(ddb, key, { now, windowSeconds }) {
+  const failKey = { limitKey: { S: `fail:${key}` } };
+  const values = { ":one": { N: "1" }, ":now": { N: String(now) } };
+
+  // Two tries: a request racing us may open the new window between our two writes
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const { Attributes } = await ddb.send(new UpdateItemCommand({
+        TableName: RATE_LIMIT_TABLE,
+        Key: failKey,
+        UpdateExpression: "ADD failures :one SET lastFailedAt = :now",
+        ConditionExpression: "expiresAt > :now",
+        ExpressionAttributeValues: values,
+        ReturnValues: "UPDATED_NEW",
+      }));
+      return Number(Attributes?.failures?.N || 1);
+    } catch (error) {
+      if (error.name !== "ConditionalCheckFailedException") throw error;
+    }
+
+    try {
+      await ddb.send(new UpdateItemCommand({
+        TableName: RATE_LIMIT_TABLE,
+        Key: failKey,
+        UpdateExpression: "SET failures = :one, expiresAt = :expiresAt, lastFailedAt = :now",
+        ConditionExpression: "attribute_not_exists(expiresAt) OR expiresAt <= :now",
+        ExpressionAttributeValues: { ...values, ":expiresAt": { N: String(now + windowSeconds) } },
+      }));
+      return 1;
+    } catch (error) {
+      if (error.name !== "ConditionalCheckFailedException") throw error;
+    }
+  }
+
+  throw new Error(`Could not record failure for ${key}`);
+}
+
+/**
+ * Forget failures for a key (after a successful attempt)
+ */
+export async function clearFailures(ddb, key) {
+  await ddb.send(new DeleteItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: `fail:${key}` } },
+  }));
+}
+
+/**
+ * Lift a lockout early (e.g. the owner just issued a new PIN)
+ */
+export async function clearLockout(ddb, key) {
+  await ddb.send(new DeleteItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: `lock:${key}` } },
+  }));
+}
+
+// =============================================================================
+// KITCHEN PIN ALERTS
+// =============================================================================
+
+const ALERT_TTL_SECONDS = 24 * 60 * 60;
+
+// Failed PINs (across all IPs, within the alert TTL) before the owner is told
+export const KITCHEN_PIN_ALERT_THRESHOLD = 10;
+
+/**
+ * Lockout keys for kitchen PIN logins: one per IP and restaurant, and one for the
+ * restaurant across every IP. The restaurant key allows far more failures than the
+ * IP key, so a typo-prone tablet never trips it, but a guess spread over many
+ * addresses still is. Regenerating the PIN lifts it.
+ */
+export function kitchenPinLockKeys(restaurantId, sourceIp) {
+  return {
+    ip: `pin:ip:${restaurantId}:${sourceIp}`,
+    restaurant: `pin:restaurant:${restaurantId}`,
+  };
+}
+
+function kitchenAlertKey(restaurantId) {
+  return `alert:kitchen-pin:${restaurantId}`;
+}
+
+/**
+ * Note a failed kitchen PIN attempt for the owner's dashboard alert.
+ * The row slides forward on every failure; it only surfaces as an alert once
+ * KITCHEN_PIN_ALERT_THRESHOLD is reached or a lockout was triggered.
+ *
+ * @param {DynamoDBClient} ddb
+ * @param {string} restaurantId
+ * @param {Object} details
+ * @param {string} details.sourceIp - IP of the failed attempt
+ * @param {number} [details.lockedUntil] - Set when this failure triggered a lockout
+ */
+export async function recordKitchenPinFailure(ddb, restaurantId, { sourceIp, lockedUntil }) {
+  const now = nowSeconds();
+  const values = {
+    ":one": { N: "1" },
+    ":now": { S: new Date(now * 1000).toISOString() },
+    ":ip": { SS: [String(sourceIp || "unknown")] },
+    ":expiresAt": { N: String(now + ALERT_TTL_SECONDS) },
+    ":rid": { S: String(restaurantId) },
+  };
+  let update = "ADD failedAttempts :one, sourceIps :ip SET firstSeenAt = if_not_exists(firstSeenAt, :now), lastSeenAt = :now, expiresAt = :expiresAt, restaurantId = :rid";
+  if (lockedUntil) {
+    update += ", lockedUntil = :lockedUntil";
+    values[":lockedUntil"] = { S: new Date(lockedUntil * 1000).toISOString() };
+  }
+
+  await ddb.send(new UpdateItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: kitchenAlertKey(restaurantId) } },
+    UpdateExpression: update,
+    ExpressionAttributeValues: values,
+  }));
+}
+
+/**
+ * Current kitchen PIN alert for the owner dashboard, or null
+ *
+ * @returns {Promise<{ failedAttempts: number, sourceIpCount: number, firstSeenAt: string, lastSeenAt: string, lockedUntil: string|null } | null>}
+ */
+export async function getKitchenPinAlert(ddb, restaurantId) {
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: kitchenAlertKey(restaurantId) } },
+  }));
+  if (!Item) return null;
+
+  const alert = unmarshall(Item);
+  // TTL deletes lag behind; treat expired rows as gone
+  if (Number(alert.expiresAt) <= nowSeconds()) return null;
+  // A couple of typos isn't an attack
+  if (Number(alert.failedAttempts || 0) < KITCHEN_PIN_ALERT_THRESHOLD && !alert.lockedUntil) return null;
+
+  return {
+    failedAttempts: Number(alert.failedAttempts || 0),
+    sourceIpCount: alert.sourceIps ? alert.sourceIps.size : 0,
+    firstSeenAt: alert.firstSeenAt,
+    lastSeenAt: alert.lastSeenAt,
+    lockedUntil: alert.lockedUntil && new Date(alert.lockedUntil).getTime() > Date.now() ? alert.lockedUntil : null,
+  };
+}
+
+/**
+ * Dismiss the alert (new PIN issued)
+ */
+export async function clearKitchenPinAlert(ddb, restaurantId) {
+  await ddb.send(new DeleteItemCommand({
+    TableName: RATE_LIMIT_TABLE,
+    Key: { limitKey: { S: kitchenAlertKey(restaurantId) } },
+  }));
+}
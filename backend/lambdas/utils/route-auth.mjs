@@ -0,0 +1,287 @@
+/**
+ * Route Authorization Policies
+ *
+ * Every API route declares exactly one policy in ROUTE_POLICIES. The CDK stack
+ * reads the same table to decide which routes get the JWT authorizer, and each
+ * lambda calls authorizeRoute() to resolve the tenant for the route it was hit on.
+ *
+ *   admin   - owner dashboard JWT. Tenant comes from the token claims only.
+ *   kitchen - kitchen tablet JWT (username kitchen-{restaurantId}), checked against PIN rotation.
+ *   staff   - admin or kitchen JWT.
+ *   vapi    - shared secret or HMAC signature (see vapi-auth.mjs). Tenant from call/assistant metadata.
+ *   stripe  - Stripe-Signature header, verified by the stripeWebhook lambda itself.
+ *   customer - customer-app session token from verifyOTP (see customer-session.mjs). Tenant from the token.
+ *   public  - customer-facing. Tenant from ?restaurantId= / x-restaurant-id; never trusted for staff writes.
+ */
+
+import { GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { extractRestaurantId, extractRestaurantIdFromJwt } from "./inject-restaurant-id.mjs";
+import { verifyVapiRequest } from "./vapi-auth.mjs";
+import { getBearerToken, verifyCustomerSession } from "./customer-session.mjs";
+
+export const AUTH = {
+  ADMIN: "admin",
+  KITCHEN: "kitchen",
+  STAFF: "staff",
+  VAPI: "vapi",
+  STRIPE: "stripe",
+  CUSTOMER: "customer",
+  PUBLIC: "public",
+};
+
+/**
+ * One entry per API Gateway route key ("METHOD /path").
+ */
+export const ROUTE_POLICIES = {
+  // Customer ordering
+  "GET /menu": AUTH.PUBLIC,
+  "GET /settings": AUTH.PUBLIC,
+  "POST /payment/intent": AUTH.PUBLIC,
+  "POST /orders": AUTH.PUBLIC,
+  "GET /order/{id}": AUTH.PUBLIC,
+  "POST /otp/send": AUTH.PUBLIC,
+  "POST /otp/verify": AUTH.PUBLIC,
+  "POST /kitchen/session": AUTH.PUBLIC,
+
+  // Customer accounts (session token from POST /otp/verify)
+  "GET /customer/me": AUTH.CUSTOMER,
+  "PATCH /customer/me": AUTH.CUSTOMER,
+  "GET /customer/orders": AUTH.CUSTOMER,
+  "GET /customer/loyalty": AUTH.CUSTOMER,
+
+  // Provider callbacks
+  "POST /stripe/webhook": AUTH.STRIPE,
+  "POST /vapi/webhook": AUTH.VAPI,
+  "POST /vapi/menu": AUTH.VAPI,
+  "POST /address/lookup": AUTH.VAPI,
+  "POST /vapi/customer": AUTH.VAPI,
+  "POST /vapi/events": AUTH.VAPI,
+
+  // Kitchen tablet + owner dashboard
+  "GET /admin/orders": AUTH.STAFF,
+  "GET /admin/order/{id}": AUTH.STAFF,
+  "PATCH /admin/order/{id}": AUTH.STAFF,
+
+  // Kitchen realtime (WebSocket API route keys). No API Gateway JWT authorizer
+  // there: kitchenSocket verifies the ?token= ID token and passes the claims in
+  "$connect": AUTH.KITCHEN,
+
+  // Owner dashboard only
+  "POST /admin/order/{id}/refund": AUTH.ADMIN,
+  "POST /admin/menu": AUTH.ADMIN,
+  "PUT /admin/menu/{menuItemId}": AUTH.ADMIN,
+  "PATCH /admin/menu/{menuItemId}": AUTH.ADMIN,
+  "DELETE /admin/menu/{menuItemId}": AUTH.ADMIN,
+  "GET /admin/calls": AUTH.ADMIN,
+  "GET /admin/calls/{callId}": AUTH.ADMIN,
+  "GET /admin/reports": AUTH.ADMIN,
+  "GET /admin/promotions": AUTH.ADMIN,
+  "POST /admin/promotions": AUTH.ADMIN,
+  "PUT /admin/promotions/{promotionId}": AUTH.ADMIN,
+  "DELETE /admin/promotions/{promotionId}": AUTH.ADMIN,
+  "GET /admin/loyalty": AUTH.ADMIN,
+  "GET /admin/loyalty/{phone}": AUTH.ADMIN,
+  "POST /admin/loyalty/{phone}": AUTH.ADMIN,
+  "GET /admin/settings": AUTH.ADMIN,
+  "PUT /admin/settings": AUTH.ADMIN,
+  "PATCH /admin/settings": AUTH.ADMIN,
+  "GET /kitchen/pin": AUTH.ADMIN,
+  "POST /kitchen/pin": AUTH.ADMIN,
+};
+
+const JWT_POLICIES = [AUTH.ADMIN, AUTH.KITCHEN, AUTH.STAFF];
+
+/**
+ * Policy declared for a route, or null if the route isn't in the table
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path as registered (e.g. /admin/order/{id})
+ * @returns {string|null}
+ */
+export function getRoutePolicy(method, path) {
+  return ROUTE_POLICIES[`${String(method).toUpperCase()} ${path}`] || null;
+}
+
+/**
+ * Does this policy need the API Gateway JWT authorizer?
+ */
+export function policyRequiresJwt(policy) {
+  return JWT_POLICIES.includes(policy);
+}
+
+// =============================================================================
+// CLAIMS
+// =============================================================================
+
+/**
+ * Get JWT claims from API Gateway (HTTP API JWT authorizer).
+ */
+export function getJwtClaims(event) {
+  return event?.requestContext?.authorizer?.jwt?.claims || null;
+}
+
+/**
+ * Is this request authenticated as a kitchen device user?
+ * Kitchen users are created as username: kitchen-{restaurantId}
+ */
+export function isKitchenClaims(claims) {
+  if (!claims) return false;
+  const username = claims['cognito:username'] || claims.username || '';
+  return typeof username === 'string' && username.startsWith('kitchen-');
+}
+
+function parseClaimInt(claims, key) {
+  if (!claims || claims[key] == null) return null;
+  const n = parseInt(String(claims[key]), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Enforce that kitchen tokens are only valid if issued AFTER the current PIN was set.
+ */
+async function assertKitchenSessionValid(ddb, restaurantId, claims) {
+  const authTimeSec = parseClaimInt(claims, 'auth_time') || parseClaimInt(claims, 'iat');
+  if (!authTimeSec) {
+    return { ok: false, reason: 'Missing auth_time' };
+  }
+
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: "RestaurantSettings",
+    Key: { settingId: { S: `restaurant-config-${restaurantId}` } },
+  }));
+
+  const settings = Item ? unmarshall(Item) : {};
+  const pinSetMs = settings.kitchenPinSetAt ? new Date(settings.kitchenPinSetAt).getTime() : NaN;
+  if (!Number.isFinite(pinSetMs)) {
+    return { ok: true };
+  }
+
+  if (authTimeSec * 1000 < pinSetMs) {
+    return { ok: false, reason: 'PIN rotated' };
+  }
+
+  return { ok: true };
+}
+
+// =============================================================================
+// VAPI
+// =============================================================================
+
+function getHeader(event, name) {
+  const headers = event?.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Tenant for a Vapi request: call/assistant metadata, then the deploy-time default
+ */
+function extractVapiRestaurantId(event) {
+  try {
+    const body = typeof event?.body === 'string' ? JSON.parse(event.body) : event?.body;
+    const message = body?.message || body;
+    const restaurantId = message?.call?.metadata?.restaurantId
+      || message?.assistant?.metadata?.restaurantId
+      || body?.call?.metadata?.restaurantId
+      || body?.assistant?.metadata?.restaurantId;
+    if (restaurantId) return String(restaurantId);
+  } catch (e) {
+    // Unparseable body - fall through to the default
+  }
+  return process.env.DEFAULT_RESTAURANT_ID || null;
+}
+
+// =============================================================================
+// AUTHORIZE
+// =============================================================================
+
+function deny(statusCode, error, policy) {
+  return { ok: false, statusCode, error, policy };
+}
+
+/**
+ * Authorize a request against its route's policy and resolve the tenant.
+ *
+ * For JWT policies the restaurantId comes from the token only; a different
+ * ?restaurantId= or x-restaurant-id on the request is rejected rather than ignored.
+ *
+ * @param {Object} event - API Gateway event
+ * @param {Object} [options]
+ * @param {DynamoDBClient} [options.ddb] - Needed for kitchen/staff routes (PIN rotation check)
+ *   and for per-restaurant Vapi secrets
+ * @param {string} [options.policy] - Override the policy looked up from event.routeKey
+ * @returns {Promise<{ ok: true, policy: string, role: string, restaurantId: string|null, claims: Object|null }
+ *   | { ok: false, statusCode: number, error: string, policy: string|null }>}
+ */
+export async function authorizeRoute(event, options = {}) {
+  const policy = options.policy || ROUTE_POLICIES[event?.routeKey] || null;
+
+  if (!policy) {
+    console.error("[Auth] No policy declared for route", { routeKey: event?.routeKey });
+    return deny(403, "Route is not available", null);
+  }
+
+  if (policy === AUTH.PUBLIC || policy === AUTH.STRIPE) {
+    return { ok: true, policy, role: policy, restaurantId: extractRestaurantId(event), claims: null };
+  }
+
+  if (policy === AUTH.VAPI) {
+    const restaurantId = extractVapiRestaurantId(event);
+    const check = await verifyVapiRequest(event, { ddb: options.ddb, restaurantId });
+    if (!check.ok) {
+      return deny(401, check.error, policy);
+    }
+    return { ok: true, policy, role: AUTH.VAPI, restaurantId, claims: null };
+  }
+
+  if (policy === AUTH.CUSTOMER) {
+    const token = getBearerToken(event);
+    const check = token ? verifyCustomerSession(token) : { ok: false, reason: "missing" };
+    if (!check.ok) {
+      return deny(401, "Please verify your phone number to continue", policy);
+    }
+    const requested = extractRestaurantId(event);
+    if (requested && requested !== check.session.restaurantId) {
+      return deny(403, "Session belongs to a different restaurant", policy);
+    }
+    return { ok: true, policy, role: AUTH.CUSTOMER, restaurantId: check.session.restaurantId, claims: check.session };
+  }
+
+  // JWT policies
+  const claims = getJwtClaims(event);
+  if (!claims) {
+    return deny(401, "Authentication required", policy);
+  }
+
+  const isKitchen = isKitchenClaims(claims);
+  if (policy === AUTH.ADMIN && isKitchen) {
+    return deny(403, "This action requires the owner dashboard", policy);
+  }
+  if (policy === AUTH.KITCHEN && !isKitchen) {
+    return deny(403, "This action requires a kitchen session", policy);
+  }
+
+  const restaurantId = extractRestaurantIdFromJwt(event);
+  if (!restaurantId) {
+    return deny(403, "Token is not linked to a restaurant", policy);
+  }
+
+  const headerRestaurantId = event?.queryStringParameters?.restaurantId || getHeader(event, 'x-restaurant-id');
+  if (headerRestaurantId && headerRestaurantId !== restaurantId) {
+    return deny(403, `Access denied: token for ${restaurantId} cannot access ${headerRestaurantId}`, policy);
+  }
+
+  if (isKitchen) {
+    if (!options.ddb) {
+      throw new Error("authorizeRoute needs a DynamoDB client for kitchen sessions");
+    }
+    const session = await assertKitchenSessionValid(options.ddb, restaurantId, claims);
+    if (!session.ok) {
+      return deny(401, "Kitchen session invalidated. Please re-pair with the new PIN.", policy);
+    }
+  }
+
+  return { ok: true, policy, role: isKitchen ? AUTH.KITCHEN : AUTH.ADMIN, restaurantId, claims };
+}
@@ -0,0 +1,58 @@
+/**
+ * Stripe Client
+ *
+ * Shared Stripe setup for createPaymentIntent, createOrder and stripeWebhook.
+ *
+ * Environment:
+ *   - STRIPE_SECRET_KEY:     API key (sk_test_... / sk_live_...)
+ *   - STRIPE_WEBHOOK_SECRET: signing secret for the webhook endpoint (whsec_...)
+ *   - STRIPE_API_BASE:       optional API base URL for a local stand-in,
+ *                            e.g. http://localhost:12111 for stripe-mock
+ */
+
+import Stripe from 'stripe';
+
+let client = null;
+
+/**
+ * Get the (cached) Stripe client, pointed at STRIPE_API_BASE when set
+ */
+export function getStripe() {
+  if (client) return client;
+
+  const config = {};
+  if (process.env.STRIPE_API_BASE) {
+    const base = new URL(process.env.STRIPE_API_BASE);
+    config.host = base.hostname;
+    config.port = base.port || (base.protocol === 'http:' ? 80 : 443);
+    config.protocol = base.protocol.replace(':', '');
+  }
+
+  client = new Stripe(process.env.STRIPE_SECRET_KEY || '', config);
+  return client;
+}
+
+/**
+ * Payment intent states that mean the customer's money is (or will be) collected
+ */
+export const PAYMENT_SUCCEEDED_STATUSES = ['succeeded'];
+export const PAYMENT_PENDING_STATUSES = ['processing', 'requires_capture'];
+
+/**
+ * Tenant stamped on a PaymentIntent's metadata.restaurantId. Stripe drops empty metadata
+ * values, so requests that name no restaurant (the single-restaurant customer app) get a
+ * placeholder - createOrder can then require the tag on every intent it accepts.
+ */
+const NO_RESTAURANT_TAG = '-';
+
+export function restaurantTagFor(restaurantId) {
+  return restaurantId ? String(restaurantId) : NO_RESTAURANT_TAG;
+}
+
+/**
+ * The restaurant an intent was created for, or null when it names none
+ */
+export function restaurantIdFromIntent(intent) {
+  const tag = intent?.metadata?.restaurantId;
+  return tag && tag !== NO_RESTAURANT_TAG ? tag : null;
+}
@@ -0,0 +1,148 @@
+/**
+ * Vapi Request Authentication
+ *
+ * Vapi endpoints (/vapi/webhook, /vapi/menu, /address/lookup) accept a request if it carries either:
+ *   x-vapi-secret: <secret>                           - shared secret (the assistant's server.secret)
+ *   x-vapi-timestamp + x-vapi-signature               - hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+ *
+ * The secret is the restaurant's own RestaurantSettings.vapiSecret (set with
+ * scripts/set-vapi-secret.mjs). VAPI_SHARED_SECRET only covers restaurants that
+ * don't have one yet, so a leaked global secret can't reach a restaurant that rotated off it.
+ *
+ * Signatures are checked whenever present, and required when the restaurant has
+ * vapiRequireSignature or the stack sets VAPI_REQUIRE_SIGNATURE=true. Timestamps
+ * older than VAPI_SIGNATURE_TOLERANCE_SECONDS (default 300) are rejected as replays.
+ *
+ * Every rejection logs one line containing VAPI_AUTH_FAILURE; the stack turns
+ * that into a CloudWatch metric + alarm.
+ */
+
+import { GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { createHmac, timingSafeEqual } from "crypto";
+
+export const VAPI_AUTH_FAILURE_EVENT = "VAPI_AUTH_FAILURE";
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function getHeader(event, name) {
+  const headers = event?.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+}
+
+function safeEqual(provided, expected) {
+  const a = Buffer.from(String(provided || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function getRawBody(event) {
+  if (!event?.body) return "";
+  if (typeof event.body !== "string") return JSON.stringify(event.body);
+  return event.isBase64Encoded ? Buffer.from(event.body, "base64").toString("utf8") : event.body;
+}
+
+/**
+ * Signature Vapi (or a test script) sends in x-vapi-signature
+ *
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds, as sent in x-vapi-timestamp
+ * @param {string} rawBody - Exact request body
+ * @returns {string} hex digest
+ */
+export function signVapiPayload(secret, timestamp, rawBody) {
+  return createHmac("sha256", String(secret)).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+async function loadVapiSettings(ddb, restaurantId) {
+  if (!ddb || !restaurantId) return {};
+  const { Item } = await ddb.send(new GetItemCommand({
+    TableName: "RestaurantSettings",
+    Key: { settingId: { S: `restaurant-config-${restaurantId}` } },
+    ProjectionExpression: "vapiSecret, vapiRequireSignature",
+  }));
+  return Item ? unmarshall(Item) : {};
+}
+
+function logFailure(event, restaurantId, reason) {
+  console.error(JSON.stringify({
+    event: VAPI_AUTH_FAILURE_EVENT,
+    reason,
+    routeKey: event?.routeKey || null,
+    restaurantId: restaurantId || null,
+    sourceIp: event?.requestContext?.http?.sourceIp || null,
+    userAgent: getHeader(event, "user-agent") || null,
+  }));
+}
+
+function checkSignature(event, secret) {
+  const signature = String(getHeader(event, "x-vapi-signature") || "").replace(/^sha256=/, "");
+  const timestampHeader = getHeader(event, "x-vapi-timestamp");
+  const timestamp = Number(timestampHeader);
+  if (!timestampHeader || !Number.isFinite(timestamp)) {
+    return "missing_timestamp";
+  }
+
+  const toleranceSeconds = Number(process.env.VAPI_SIGNATURE_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  // Accept seconds or milliseconds
+  const timestampMs = timestamp > 1e12 ? timestamp : timestamp * 1000;
+  if (Math.abs(Date.now() - timestampMs) > toleranceSeconds * 1000) {
+    return "stale_timestamp";
+  }
+
+  const expected = signVapiPayload(secret, timestampHeader, getRawBody(event));
+  return safeEqual(signature.toLowerCase(), expected) ? null : "bad_signature";
+}
+
+/**
+ * Verify a Vapi request for a restaurant.
+ *
+ * @param {Object} event - API Gateway event
+ * @param {Object} options
+ * @param {DynamoDBClient} [options.ddb] - Loads the restaurant's own secret
+ * @param {string|null} options.restaurantId - Restaurant from the call/assistant metadata
+ * @returns {Promise<{ ok: true, method: "signature"|"secret" } | { ok: false, error: string, reason: string }>}
+ */
+export async function verifyVapiRequest(event, { ddb, restaurantId } = {}) {
+  const fail = (reason) => {
+    logFailure(event, restaurantId, reason);
+    // Same message for every reason - the details are in the log, not the response
+    return { ok: false, error: "Request could not be verified", reason };
+  };
+
+  let settings;
+  try {
+    settings = await loadVapiSettings(ddb, restaurantId);
+  } catch (err) {
+    console.error("[Vapi Auth] Failed to load restaurant secret:", err.message);
+    return fail("settings_unavailable");
+  }
+
+  const secret = settings.vapiSecret || process.env.VAPI_SHARED_SECRET;
+  if (!secret) {
+    return fail("no_secret_configured");
+  }
+
+  const requireSignature = settings.vapiRequireSignature === true || process.env.VAPI_REQUIRE_SIGNATURE === "true";
+
+  if (getHeader(event, "x-vapi-signature")) {
+    const problem = checkSignature(event, secret);
+    return problem ? fail(problem) : { ok: true, method: "signature" };
+  }
+
+  if (requireSignature) {
+    return fail("signature_required");
+  }
+
+  const providedSecret = getHeader(event, "x-vapi-secret");
+  if (!providedSecret) {
+    return fail("missing_secret");
+  }
+  if (!safeEqual(providedSecret, secret)) {
+    return fail("bad_secret");
+  }
+
+  return { ok: true, method: "secret" };
+}
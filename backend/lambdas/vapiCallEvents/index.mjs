@@ -0,0 +1,193 @@
+/**
+ * Vapi Call Events Lambda (Server URL messages)
+ *
+ * POST /vapi/events - Vapi posts call lifecycle messages here (assistant
+ * "Server URL" with serverMessages: ["status-update", "end-of-call-report"]).
+ * Each one is folded into the call's CallLogs record (utils/call-logs.mjs):
+ *
+ * - status-update:      status, caller, startedAt
+ * - end-of-call-report: duration, endedReason, transcript, summary,
+ *                       recording URLs and cost
+ *
+ * Other message types are acknowledged and ignored. Vapi doesn't read the
+ * response body for these messages; a non-2xx just makes it retry.
+ *
+ * Fixtures: scripts/fixtures/vapi-*.json, replay with scripts/debug-call-events.mjs
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { upsertCallLog, getVapiCallId } from "../utils/call-logs.mjs";
+
+const ddb = new DynamoDBClient({ region: "us-east-2" });
+
+// Keep records well under DynamoDB's 400 KB item limit
+const MAX_TRANSCRIPT_CHARS = 60000;
+const MAX_SEARCH_TEXT_CHARS = 60000;
+const MAX_MESSAGES = 400;
+
+const corsHeaders = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function respond(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function toIso(value) {
+  if (!value) return undefined;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+function toNumberOrUndefined(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Conversation turns for the transcript view: caller and agent only, no system
+ * prompt or tool plumbing
+ */
+function toTranscriptMessages(messages) {
+  if (!Array.isArray(messages)) return undefined;
+  return messages
+    .filter((m) => (m?.role === "user" || m?.role === "bot" || m?.role === "assistant") && m?.message)
+    .slice(0, MAX_MESSAGES)
+    .map((m) => ({
+      role: m.role === "user" ? "caller" : "agent",
+      text: String(m.message),
+      secondsFromStart: toNumberOrUndefined(m.secondsFromStart),
+    }));
+}
+
+function getCallerPhone(message) {
+  return message?.call?.customer?.number || message?.customer?.number || undefined;
+}
+
+// =============================================================================
+// MESSAGE HANDLERS
+// =============================================================================
+
+async function handleStatusUpdate(restaurantId, callId, message) {
+  const callerPhone = getCallerPhone(message);
+  const status = String(message.status || "");
+  try {
+    await upsertCallLog(ddb, {
+      restaurantId,
+      callId,
+      values: {
+        status,
+        endedReason: status === "ended" ? message.endedReason || undefined : undefined,
+        lastEventAt: toIso(message.timestamp) || new Date().toISOString(),
+      },
+      ifMissing: {
+        callerPhone,
+        assistantId: message.call?.assistantId || undefined,
+        startedAt: toIso(message.call?.startedAt) || toIso(message.call?.createdAt) || toIso(message.timestamp) || new Date().toISOString(),
+      },
+      // A late "in-progress" must not reopen a call the report already closed
+      conditionExpression: "attribute_not_exists(#status) OR #status <> :ended",
+    });
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") throw error;
+    console.log("[Call Events] Ignoring status-update for ended call", { callId, status });
+  }
+}
+
+async function handleEndOfCallReport(restaurantId, callId, message) {
+  const artifact = message.artifact || {};
+  const callerPhone = getCallerPhone(message);
+  const transcript = String(message.transcript || artifact.transcript || "").slice(0, MAX_TRANSCRIPT_CHARS);
+  const summary = String(message.summary || message.analysis?.summary || "");
+  const startedAt = toIso(message.startedAt) || toIso(message.call?.startedAt);
+  const endedAt = toIso(message.endedAt) || toIso(message.call?.endedAt);
+
+  let durationSeconds = toNumberOrUndefined(message.durationSeconds);
+  if (durationSeconds === undefined && startedAt && endedAt) {
+    durationSeconds = Math.max(0, (new Date(endedAt) - new Date(startedAt)) / 1000);
+  }
+
+  const searchText = [
+    callerPhone,
+    String(callerPhone || "").replace(/\D/g, ""),
+    message.endedReason,
+    summary,
+    transcript,
+  ].filter(Boolean).join(" ").toLowerCase().slice(0, MAX_SEARCH_TEXT_CHARS);
+
+  await upsertCallLog(ddb, {
+    restaurantId,
+    callId,
+    values: {
+      status: "ended",
+      callerPhone,
+      assistantId: message.call?.assistantId || undefined,
+      // The report is authoritative; status-update / order link only guessed
+      startedAt,
+      endedAt,
+      durationSeconds: durationSeconds !== undefined ? Math.round(durationSeconds) : undefined,
+      endedReason: message.endedReason || undefined,
+      transcript: transcript || undefined,
+      messages: toTranscriptMessages(message.messages || artifact.messages),
+      summary: summary || undefined,
+      recordingUrl: message.recordingUrl || artifact.recordingUrl || artifact.recording?.mono?.combinedUrl || undefined,
+      stereoRecordingUrl: message.stereoRecordingUrl || artifact.stereoRecordingUrl || undefined,
+      cost: toNumberOrUndefined(message.cost ?? message.call?.cost),
+      searchText: searchText || undefined,
+      lastEventAt: toIso(message.timestamp) || new Date().toISOString(),
+    },
+    ifMissing: {
+      startedAt: startedAt ? undefined : new Date().toISOString(),
+    },
+  });
+}
+
+// =============================================================================
+// LAMBDA HANDLER
+// =============================================================================
+
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  if (method === "OPTIONS") {
+    return { statusCode: 200, headers: corsHeaders, body: "{}" };
+  }
+
+  try {
+    // Shared-secret check; tenant comes from the call/assistant metadata Vapi sends
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return respond(auth.statusCode, { error: auth.error });
+    }
+    const { restaurantId } = auth;
+
+    const body = typeof event.body === "string" ? JSON.parse(event.body) : (event.body || {});
+    const message = body.message || body;
+    const type = message?.type;
+    const callId = getVapiCallId(body);
+
+    if (type !== "status-update" && type !== "end-of-call-report") {
+      return respond(200, { received: true, ignored: type || "unknown" });
+    }
+    if (!restaurantId || !callId) {
+      console.warn("[Call Events] Missing restaurantId or call id", { type, restaurantId, callId });
+      return respond(400, { error: "restaurantId and call.id are required" });
+    }
+
+    console.log("[Call Events] Message", { type, callId, restaurantId, status: message.status });
+
+    if (type === "status-update") {
+      await handleStatusUpdate(restaurantId, callId, message);
+    } else {
+      await handleEndOfCallReport(restaurantId, callId, message);
+    }
+
+    return respond(200, { received: true, callId });
+  } catch (error) {
+    console.error("[Call Events] Error:", error);
+    return respond(500, { error: error.message });
+  }
+};
@@ -0,0 +1,384 @@
+/**
+ * Menu Tool Lambda for Vapi Voice Orders
+ *
+ * Gives the phone agent a live view of the restaurant's MenuItems so it never
+ * offers something that was 86'd or misses a new special.
+ *
+ * TOOLS (routed by function name, both served from /vapi/menu):
+ * - get_menu:   categories, pizza sizes/crusts/toppings, specialty recipes, combos, sides (with option
+ *               groups) and today's specials
+ * - check_item: does a spoken item exist and is it in stock? (phonetic/fuzzy matching)
+ *
+ * VAPI INTEGRATION:
+ * - Always returns HTTP 200 (Vapi ignores any other status code)
+ * - Wraps responses in { results: [{ toolCallId, result|error }] }
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { authorizeRoute } from "../utils/route-auth.mjs";
+import { isPizzaMenuItem, hasRecipe, getRecipePriceCents } from "../utils/pizza-pricing.mjs";
+import { isComboMenuItem } from "../utils/combo-items.mjs";
+import { loadMenuItems, findPizzaMenuItem, findBestNameMatches, getBaseItemId } from "../utils/menu-items.mjs";
+import { hasModifierGroups, getSelectionLimits } from "../utils/modifier-groups.mjs";
+
+const ddb = new DynamoDBClient({ region: "us-east-2" });
+
+const TOOL_NAMES = ["get_menu", "check_item"];
+
+// ============================================================================
+// VAPI RESPONSE HELPERS
+// Vapi expects HTTP 200 with { results: [...] } - any other status is IGNORED
+// ============================================================================
+
+/**
+ * Remove line breaks from strings (Vapi parsing requirement)
+ */
+function toSingleLine(s) {
+  return String(s ?? "").replace(/\r?\n/g, " ").trim();
+}
+
+/**
+ * Find the get_menu / check_item tool call in a wrapped Vapi payload
+ */
+function findToolCall(parsed) {
+  const lists = [
+    parsed?.message?.toolCalls,
+    parsed?.message?.toolCallList,
+    parsed?.message?.toolWithToolCallList,
+  ].filter(Array.isArray);
+
+  for (const list of lists) {
+    for (const entry of list) {
+      const tc = entry?.toolCall || entry;
+      const name = tc?.function?.name || tc?.name || entry?.function?.name || entry?.name;
+      if (TOOL_NAMES.includes(name)) return { tc, name };
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract tool name, arguments and restaurantId from various Vapi request formats
+ * Direct-args requests (no wrapper) are treated as check_item when itemName is present.
+ */
+function extractToolRequest(parsed) {
+  let toolName = null;
+  let toolCallId = parsed?.toolCallId || null;
+  let args = parsed || {};
+
+  const found = findToolCall(parsed);
+  if (found) {
+    toolName = found.name;
+    toolCallId = toolCallId || found.tc?.id || null;
+    const rawArgs =
+      found.tc?.function?.arguments ??
+      found.tc?.function?.parameters?.arguments ??
+      found.tc?.arguments;
+    args = rawArgs == null ? {} : (typeof rawArgs === "string" ? JSON.parse(rawArgs) : rawArgs);
+  } else {
+    toolName = args?.itemName ? "check_item" : "get_menu";
+  }
+
+  // Extract restaurantId from various locations
+  const restaurantId =
+    args?.restaurantId ||
+    parsed?.call?.metadata?.restaurantId ||
+    parsed?.assistant?.metadata?.restaurantId ||
+    parsed?.assistantId ||
+    null;
+
+  return { toolName, toolCallId, args: args || {}, restaurantId: restaurantId ? String(restaurantId) : null };
+}
+
+/**
+ * Build a Vapi-compatible tool response
+ * CRITICAL: Always returns HTTP 200 - Vapi ignores any other status code
+ */
+function vapiToolResponse({ toolCallId, result, error }) {
+  const entry = {};
+  if (toolCallId) entry.toolCallId = toolCallId;
+
+  if (error) {
+    entry.error = toSingleLine(typeof error === "string" ? error : error.message || String(error));
+  } else {
+    entry.result = result;
+  }
+
+  return {
+    statusCode: 200, // IMPORTANT: always 200 or Vapi ignores the response
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+    },
+    body: JSON.stringify({ results: [entry] }),
+  };
+}
+
+// ============================================================================
+// MENU SHAPING
+// ============================================================================
+
+function centsToDollars(cents) {
+  return +(Number(cents || 0) / 100).toFixed(2);
+}
+
+function sortByMenuOrder(items) {
+  return [...items].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+}
+
+/**
+ * Price of a pizza item at a size (specialties price from their recipe)
+ */
+function pizzaSizePriceCents(pizzaItem, size) {
+  if (hasRecipe(pizzaItem)) return getRecipePriceCents(pizzaItem.recipe, size, pizzaItem.pricingRules);
+  return pizzaItem.pricingRules?.basePriceCentsBySize?.[size];
+}
+
+/**
+ * Starting price for a pizza item (smallest allowed size)
+ */
+function pizzaStartingPrice(pizzaItem) {
+  const sizes = pizzaItem.allowedSizes || [];
+  const prices = sizes.map((s) => pizzaSizePriceCents(pizzaItem, s)).filter((c) => Number.isFinite(c));
+  return prices.length > 0 ? centsToDollars(Math.min(...prices)) : null;
+}
+
+/**
+ * Price the agent quotes for any item: pizzas from their smallest size, combos their bundle
+ */
+function itemPrice(menuItem) {
+  if (isPizzaMenuItem(menuItem)) return pizzaStartingPrice(menuItem);
+  if (isComboMenuItem(menuItem)) return centsToDollars(menuItem.bundlePriceCents);
+  return Number(menuItem.price) || 0;
+}
+
+function itemKind(menuItem) {
+  if (isPizzaMenuItem(menuItem)) return "pizza";
+  return isComboMenuItem(menuItem) ? "combo" : "item";
+}
+
+/**
+ * A side's option groups as the agent should ask them (in-stock options only)
+ */
+function describeOptionGroups(menuItem) {
+  return menuItem.modifierGroups.map((group) => {
+    const { min, max } = getSelectionLimits(group);
+    return {
+      name: group.name,
+      required: min > 0,
+      minSelections: min,
+      maxSelections: max,
+      options: (group.options || [])
+        .filter((o) => o.available !== false)
+        .map((o) => ({ name: o.name, extraPrice: centsToDollars(o.priceDeltaCents) })),
+    };
+  });
+}
+
+/**
+ * Build the get_menu payload from the restaurant's menu items
+ */
+function buildMenuSummary(menuItems) {
+  const available = sortByMenuOrder(menuItems.filter((it) => it.available !== false));
+  const pizzaItem = findPizzaMenuItem(available);
+
+  const categories = [...new Set(available.map((it) => it.category || "Uncategorized"))];
+
+  let pizza = null;
+  if (pizzaItem) {
+    const rules = pizzaItem.pricingRules || {};
+    pizza = {
+      name: pizzaItem.name,
+      sizes: (pizzaItem.allowedSizes || []).map((size) => ({
+        size,
+        price: centsToDollars(rules.basePriceCentsBySize?.[size]),
+        toppingPrice: centsToDollars(rules.toppingPriceCentsBySize?.[size]),
+      })),
+      crusts: pizzaItem.allowedCrusts || [],
+      toppings: pizzaItem.allowedToppings || [],
+      modifiers: pizzaItem.allowedModifiers || [],
+      glutenFreeSizes: rules.glutenFreeAllowedSizes || [],
+    };
+  }
+
+  const specialtyPizzas = available
+    .filter((it) => isPizzaMenuItem(it) && it !== pizzaItem)
+    .map((it) => {
+      const specialty = { name: it.name, description: it.description || "", priceFrom: pizzaStartingPrice(it) };
+      if (hasRecipe(it)) {
+        specialty.includedToppings = it.recipe.includedToppings;
+        specialty.sizes = (it.allowedSizes || []).map((size) => ({ size, price: centsToDollars(pizzaSizePriceCents(it, size)) }));
+      }
+      return specialty;
+    });
+
+  const combos = available
+    .filter(isComboMenuItem)
+    .map((it) => ({
+      name: it.name,
+      description: it.description || "",
+      price: centsToDollars(it.bundlePriceCents),
+      includes: (it.components || []).map((c) => ({
+        name: c.label,
+        quantity: c.quantity || 1,
+        ...(c.type === "pizza" ? { size: c.size, includedToppings: c.includedToppings || 0 } : {}),
+      })),
+    }));
+
+  const sides = available
+    .filter((it) => !isPizzaMenuItem(it) && !isComboMenuItem(it))
+    .map((it) => {
+      const side = { name: it.name, category: it.category || "Uncategorized", price: Number(it.price) || 0 };
+      if (hasModifierGroups(it)) side.optionGroups = describeOptionGroups(it);
+      return side;
+    });
+
+  const specials = available
+    .filter((it) => it.isSpecial === true)
+    .map((it) => ({
+      name: it.name,
+      description: it.description || "",
+      price: itemPrice(it),
+    }));
+
+  const unavailable = menuItems.filter((it) => it.available === false).map((it) => it.name);
+
+  return { categories, pizza, specialtyPizzas, combos, sides, specials, unavailable };
+}
+
+/**
+ * Everything a caller might ask for by name: menu items plus pizza toppings
+ */
+function buildNameCandidates(menuItems) {
+  const candidates = menuItems.map((it) => ({
+    name: it.name,
+    kind: itemKind(it),
+    menuItemId: getBaseItemId(it),
+    category: it.category || "Uncategorized",
+    inStock: it.available !== false,
+    price: itemPrice(it),
+  }));
+
+  const pizzaItem = findPizzaMenuItem(menuItems);
+  if (pizzaItem) {
+    for (const topping of pizzaItem.allowedToppings || []) {
+      candidates.push({
+        name: topping,
+        kind: "topping",
+        category: "Toppings",
+        inStock: pizzaItem.available !== false,
+        price: null,
+      });
+    }
+  }
+
+  return candidates;
+}
+
+function describeMatch(match) {
+  const { score, ...rest } = match;
+  return rest;
+}
+
+/**
+ * Resolve a spoken item name to found / unavailable / ambiguous / not_found
+ */
+function checkItem(itemName, menuItems) {
+  const matches = findBestNameMatches(itemName, buildNameCandidates(menuItems));
+
+  if (matches.length === 0) {
+    return {
+      result: "not_found",
+      heard: itemName,
+      prompt: `Sorry, we don't have ${itemName} on the menu.`,
+    };
+  }
+
+  const [top, second] = matches;
+  const confident = top.score >= 70 && (!second || top.score - second.score >= 15);
+  const onlyCandidate = matches.length === 1 && top.score >= 50;
+
+  if (confident || onlyCandidate) {
+    if (!top.inStock) {
+      return {
+        result: "unavailable",
+        item: describeMatch(top),
+        prompt: `Sorry, ${top.name} is sold out right now.`,
+      };
+    }
+    return {
+      result: "found",
+      item: describeMatch(top),
+      prompt: top.price != null
+        ? `Yes, we have ${top.name} for $${top.price.toFixed(2)}${top.kind === "pizza" ? " and up" : ""}.`
+        : `Yes, we have ${top.name}.`,
+    };
+  }
+
+  const options = matches.map((m) => m.name);
+  return {
+    result: "ambiguous",
+    heard: itemName,
+    candidates: matches.map(describeMatch),
+    clarifyPrompt: `Did you mean ${options.slice(0, -1).join(", ")}${options.length > 1 ? " or " + options[options.length - 1] : options[0]}?`,
+  };
+}
+
+// ============================================================================
+// LAMBDA HANDLER
+// ============================================================================
+
+export const handler = async (event) => {
+  let toolCallId = null;
+
+  try {
+    const body = typeof event.body === "string" ? JSON.parse(event.body) : (event.body || {});
+
+    const request = extractToolRequest(body);
+    toolCallId = request.toolCallId;
+
+    const auth = await authorizeRoute(event, { ddb });
+    if (!auth.ok) {
+      return vapiToolResponse({ toolCallId, error: auth.error });
+    }
+
+    const restaurantId =
+      request.restaurantId ||
+      process.env.DEFAULT_RESTAURANT_ID ||
+      null;
+    if (!request.restaurantId && restaurantId) {
+      console.warn("[Menu Tool] restaurantId missing in request; using DEFAULT_RESTAURANT_ID fallback");
+    }
+
+    console.log("[Menu Tool] Request", {
+      toolName: request.toolName,
+      toolCallId: toolCallId || "(none)",
+      restaurantId,
+      itemName: request.args.itemName ? `"${request.args.itemName}"` : undefined,
+    });
+
+    if (!restaurantId) {
+      return vapiToolResponse({ toolCallId, error: "restaurantId is required" });
+    }
+
+    const menuItems = await loadMenuItems(ddb, restaurantId);
+    console.log("[Menu Tool] Menu items loaded:", menuItems.length);
+
+    if (request.toolName === "check_item") {
+      const itemName = String(request.args.itemName || "").trim();
+      if (!itemName) {
+        return vapiToolResponse({ toolCallId, error: "itemName is required" });
+      }
+      const payload = checkItem(itemName, menuItems);
+      console.log("[Menu Tool] check_item", { itemName, result: payload.result });
+      return vapiToolResponse({ toolCallId, result: payload });
+    }
+
+    return vapiToolResponse({ toolCallId, result: { result: "ok", ...buildMenuSummary(menuItems) } });
+  } catch (error) {
+    console.error("[Menu Tool] Error:", error);
+    return vapiToolResponse({ toolCallId, error: error.message || "Internal server error" });
+  }
+};
@@ -1,7 +1,20 @@
-import { DynamoDBClient, PutItemCommand, BatchWriteItemCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, PutItemCommand, GetItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
-import { extractRestaurantId, injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
-import { generateOrderId, getNextOrderNumber } from '../utils/order-number.mjs';
+import { injectRestaurantIdForWrite } from '../utils/inject-restaurant-id.mjs';
+import { authorizeRoute } from '../utils/route-auth.mjs';
+import { generateOrderId, getNextOrderNumber, assignOrderNumber } from '../utils/order-number.mjs';
+import { calculatePizzaPriceCents, isPizzaMenuItem, hasRecipe, buildRecipeToppings, describeRecipeChanges, DEFAULT_PIZZA_PRICING } from '../utils/pizza-pricing.mjs';
+import { loadMenuItems, findPizzaMenuItem, findPizzaByName, findComboByName, findMenuItemByName, getBaseItemId, normalizeItemName } from '../utils/menu-items.mjs';
+import { isComboMenuItem, priceComboSelections, describeComboComponents } from '../utils/combo-items.mjs';
+import { hasModifierGroups, resolveModifierSelections, describeSelectedModifiers } from '../utils/modifier-groups.mjs';
+import { evaluateOrderAcceptance, describeScheduledTime, parseScheduledFor, getDeliveryFeeCents } from '../utils/order-policy.mjs';
+import { getCapacitySettings, loadOpenOrders, findReadySlot } from '../utils/kitchen-capacity.mjs';
+import { normalizeCustomerPhone, customerIdFor, recordCustomerOrder, getCustomer } from '../utils/customers.mjs';
+import { getVapiCallId, linkCallOrder } from '../utils/call-logs.mjs';
+import { publishOrderEvent, ORDER_EVENTS } from '../utils/kitchen-events.mjs';
+import { evaluateOrderPromotions, buildPromotionRedemptionWrites, describeAdjustments, normalizePromoCode } from '../utils/promotions.mjs';
+import { commitOrderWrites, writeOrderItemBatch } from '../utils/order-transaction.mjs';
+import { priceLoyaltyRedemption, buildOrderRedemptionWrites } from '../utils/loyalty.mjs';
 
 
 const ddb = new DynamoDBClient({ region: "us-east-2" });
@@ -29,7 +42,7 @@ function toSingleLine(s) {
 
 
 /**
- * Extract toolCallId from submit_order tool call in request body
+ * Extract toolCallId from the submit_order / quote_order tool call in request body
  */
 function extractSubmitOrderToolCallId(body) {
   try {
@@ -88,63 +101,28 @@ function vapiToolResponse({ toolCallId, result, error }) {
   };
 }
 
+/**
+ * Tool response for an order the restaurant can't take (closed, delivery off, under minimum).
+ * Returned as a result (not an error) so the agent reads `reason` to the caller instead of retrying.
+ */
+function orderRejectedResponse(toolCallId, decision) {
+  return vapiToolResponse({
+    toolCallId,
+    result: {
+      ok: false,
+      status: "rejected",
+      code: decision.code,
+      reason: toSingleLine(decision.reason),
+    },
+  });
+}
 
 // ============================================
-// PRICING CONFIGURATION (Server-Side Pricing)
+// PRICING (Server-Side, from the restaurant's MenuItems)
+// Pizzas use the shared pizza-pricing rules, sides use their menu price plus
+// the deltas of any picked modifier options (sauce, dressing, size).
 // ============================================
 
-const PRICING = {
-  // Base prices by size (in cents)
-  basePriceCents: {
-    Personal: 1199,
-    Small: 1499,
-    Medium: 1799,
-    Large: 2099,
-  },
-  // Topping prices by size (in cents)
-  toppingPriceCents: {
-    Personal: 100,
-    Small: 150,
-    Medium: 250,
-    Large: 350,
-  },
-  // Crust surcharges (in cents)
-  crustSurchargeCents: {
-    Thin: 0,
-    Regular: 0,
-    Double: 200,
-    Stuffed: 200,
-    "Gluten-Free": 0, // Gluten-Free has a flat base, not a surcharge
-  },
-  // Gluten-Free special pricing: only allowed for Small, flat base price
-  glutenFreeBaseCents: 1600, // $16.00 flat for GF (Small only)
-  glutenFreeAllowedSizes: ["Small"],
-  // Sides pricing (in cents)
-  sidesPriceCents: {
-    Fries: 499,
-    "Garlic Knots": 599,
-    "Wings (6pc)": 899,
-    "Wings (12pc)": 1599,
-    Wings: 899, // Default to 6pc
-    "Breadsticks": 499,
-    "Cheesy Bread": 699,
-    "Mozzarella Sticks": 799,
-  },
-  // Default side price if not found
-  defaultSidePriceCents: 499,
-  // Modifiers that add extra cost (in cents)
-  modifierExtraCostCents: {
-    "extra cheese": 0, // Charged as a topping
-    "extra sauce": 0, // No extra charge
-  },
-  // Delivery fee (in cents)
-  deliveryFeeCents: 300,
-};
-
-// Modifiers that count as extra toppings (charge topping price)
-const EXTRA_CHARGE_MODIFIERS = ["extra cheese"];
-
-
 function toNumber(value, fallback = 0) {
  const n = Number(value);
  return Number.isFinite(n) ? n : fallback;
@@ -181,102 +159,158 @@ function parseTopping(toppingStr) {
 
 
 /**
- * Calculate the price of a single pizza (in cents)
+ * Calculate the price of a single pizza (in cents) from the restaurant's pizza menu item
+ * (a specialty item prices from its recipe)
  */
-function calculatePizzaPriceCents(pizza) {
-  const size = pizza.size || "Medium";
-  const crust = pizza.crust || "Thin";
-  
-  let baseCents = PRICING.basePriceCents[size] || PRICING.basePriceCents.Medium;
-  let crustSurcharge = PRICING.crustSurchargeCents[crust] || 0;
-  
-  // Special handling for Gluten-Free
-  if (crust === "Gluten-Free") {
-    if (!PRICING.glutenFreeAllowedSizes.includes(size)) {
-      // If GF requested for wrong size, we still accept but log a warning
-      console.warn(`[Pricing] Gluten-Free crust requested for ${size}, but only allowed for ${PRICING.glutenFreeAllowedSizes.join(", ")}. Charging GF base anyway.`);
+function calculatePhonePizzaPriceCents(pizza, pizzaMenuItem) {
+  return calculatePizzaPriceCents(
+    {
+      size: pizza.size || "Medium",
+      crust: pizza.crust || "Thin",
+      wholeToppings: pizza.wholeToppings || [],
+      leftHalfToppings: pizza.leftHalfToppings || [],
+      rightHalfToppings: pizza.rightHalfToppings || [],
+      modifiers: pizza.modifiers || [],
+    },
+    pizzaMenuItem?.pricingRules || DEFAULT_PIZZA_PRICING,
+    hasRecipe(pizzaMenuItem) ? pizzaMenuItem.recipe : null
+  );
+}
+
+
+/**
+ * Resolve each requested pizza to the item that prices it.
+ * Build-your-own pizzas use the restaurant's pizza item; a named specialty uses its
+ * own item, and the caller's toppings are changes to its recipe ("Ham|no", "Mushrooms").
+ */
+function resolvePizzas(pizzas, menuItems, pizzaMenuItem) {
+  const resolved = [];
+  const unknown = [];
+  const unavailable = [];
+
+  for (const pizza of pizzas) {
+    const specialtyName = String(pizza?.specialty || "").trim();
+    if (!specialtyName) {
+      resolved.push({ pizza, menuItem: pizzaMenuItem });
+      continue;
     }
-    baseCents = PRICING.glutenFreeBaseCents;
-    crustSurcharge = 0; // No additional surcharge for GF
-  }
-  
-  // Calculate topping cost
-  const toppingPricePerItem = PRICING.toppingPriceCents[size] || PRICING.toppingPriceCents.Medium;
-  let toppingsCents = 0;
-  
-  // Helper to count topping cost
-  const addToppingCost = (toppingStr) => {
-    const parsed = parseTopping(toppingStr);
-    if (parsed.portion === "no") return 0; // No charge for removed toppings
-    if (parsed.portion === "extra") return toppingPricePerItem * 2; // Double charge
-    return toppingPricePerItem; // Regular or light = 1x charge
-  };
-  
-  // Whole toppings
-  const wholeToppings = pizza.wholeToppings || [];
-  for (const t of wholeToppings) {
-    toppingsCents += addToppingCost(t);
-  }
-  
-  // Half toppings count as full topping charge
-  const leftHalfToppings = pizza.leftHalfToppings || [];
-  for (const t of leftHalfToppings) {
-    toppingsCents += addToppingCost(t);
-  }
-  
-  const rightHalfToppings = pizza.rightHalfToppings || [];
-  for (const t of rightHalfToppings) {
-    toppingsCents += addToppingCost(t);
-  }
-  
-  // Check modifiers for extra charges
-  const modifiers = pizza.modifiers || [];
-  for (const mod of modifiers) {
-    const modLower = (mod || "").toLowerCase().trim();
-    if (EXTRA_CHARGE_MODIFIERS.includes(modLower)) {
-      // "extra cheese" counts as an extra topping
-      toppingsCents += toppingPricePerItem;
+
+    const menuItem = findPizzaByName(menuItems, specialtyName);
+    if (!menuItem) {
+      unknown.push(specialtyName);
+    } else if (menuItem.available === false) {
+      unavailable.push(menuItem.name);
+    } else if (hasRecipe(menuItem)) {
+      resolved.push({
+        pizza: { ...pizza, wholeToppings: buildRecipeToppings(menuItem.recipe, pizza.wholeToppings) },
+        menuItem,
+      });
+    } else {
+      resolved.push({ pizza, menuItem });
     }
   }
-  
-  const totalCents = baseCents + crustSurcharge + toppingsCents;
-  
-  return {
-    baseCents,
-    crustSurcharge,
-    toppingsCents,
-    totalCents,
-  };
+
+  return { resolved, unknown, unavailable };
 }
 
 
 /**
- * Calculate the price of a side item (in cents)
+ * Resolve each requested combo and price it.
+ * Pizzas fill the combo's pizza slots in order; sides fill item slots by name,
+ * then in order. Anything that doesn't fit comes back as a problem to re-ask.
  */
-function calculateSidePriceCents(side) {
-  const name = (side.name || "").trim();
-  const quantity = toNumber(side.quantity, 1);
-  
-  // Try exact match first
-  let unitPriceCents = PRICING.sidesPriceCents[name];
-  
-  // If not found, try case-insensitive match
-  if (unitPriceCents === undefined) {
-    const nameLower = name.toLowerCase();
-    for (const [key, price] of Object.entries(PRICING.sidesPriceCents)) {
-      if (key.toLowerCase() === nameLower) {
-        unitPriceCents = price;
-        break;
+function resolveCombos(combos, menuItems) {
+  const resolved = [];
+  const problems = [];
+  const findItem = (baseItemId) => menuItems.find((it) => getBaseItemId(it) === baseItemId) || null;
+
+  for (const combo of combos) {
+    const menuItem = findComboByName(menuItems, combo?.name);
+    if (!menuItem) {
+      problems.push(`Not a combo on the menu: ${String(combo?.name || "").trim() || "(blank)"}.`);
+      continue;
+    }
+    if (menuItem.available === false) {
+      problems.push(`Currently unavailable: ${menuItem.name}.`);
+      continue;
+    }
+
+    const pizzaChoices = Array.isArray(combo.pizzas) ? [...combo.pizzas] : [];
+    const sideChoices = Array.isArray(combo.sides) ? [...combo.sides] : [];
+    const comboSelections = {};
+
+    for (const component of menuItem.components || []) {
+      const units = [];
+      for (let i = 0; i < Math.max(1, toNumber(component.quantity, 1)); i++) {
+        if (component.type === "pizza") {
+          const choice = pizzaChoices.shift();
+          const pizzaItem = findItem(component.pizzaItemId);
+          units.push(choice && hasRecipe(pizzaItem)
+            ? { ...choice, wholeToppings: buildRecipeToppings(pizzaItem.recipe, choice.wholeToppings) }
+            : choice);
+        } else {
+          const names = [component.label, findItem(component.itemId)?.name].map(normalizeItemName);
+          const byName = sideChoices.findIndex((s) => s?.name && names.includes(normalizeItemName(s.name)));
+          const picked = byName >= 0 ? sideChoices.splice(byName, 1)[0] : sideChoices.shift();
+          units.push(picked ? { options: Array.isArray(picked.options) ? picked.options : [] } : undefined);
+        }
       }
+      comboSelections[component.componentId] = units;
+    }
+
+    const pricing = priceComboSelections(menuItem, comboSelections, findItem);
+    if (!pricing.ok) {
+      problems.push(...pricing.errors);
+    } else {
+      resolved.push({ combo, menuItem, pricing });
     }
   }
-  
-  // If still not found, use default
-  if (unitPriceCents === undefined) {
-    console.warn(`[Pricing] Unknown side item: "${name}", using default price`);
-    unitPriceCents = PRICING.defaultSidePriceCents;
+
+  return { resolved, problems };
+}
+
+
+/**
+ * Resolve each requested side against the menu.
+ * Returns the sides that couldn't be matched (or are 86'd), and option picks that
+ * don't fit the side's modifier groups, so the agent can re-ask.
+ */
+function resolveSides(sides, menuItems) {
+  const resolved = [];
+  const unknown = [];
+  const unavailable = [];
+  const invalidOptions = [];
+
+  for (const side of sides) {
+    const menuItem = findMenuItemByName(menuItems, side?.name);
+    if (!menuItem) {
+      unknown.push(String(side?.name || "").trim() || "(blank)");
+    } else if (menuItem.available === false) {
+      unavailable.push(menuItem.name);
+    } else {
+      const spokenOptions = Array.isArray(side?.options) ? side.options : [];
+      const modifiers = (hasModifierGroups(menuItem) || spokenOptions.length > 0)
+        ? resolveModifierSelections(menuItem, spokenOptions)
+        : { ok: true, selected: [], deltaCents: 0, errors: [] };
+      if (!modifiers.ok) {
+        invalidOptions.push(...modifiers.errors);
+      } else {
+        resolved.push({ side, menuItem, modifiers });
+      }
+    }
   }
-  
+
+  return { resolved, unknown, unavailable, invalidOptions };
+}
+
+
+/**
+ * Calculate the price of a side item (in cents) from its menu item and picked options
+ */
+function calculateSidePriceCents(side, menuItem, modifiers) {
+  const quantity = Math.max(1, Math.floor(toNumber(side.quantity, 1)));
+  const unitPriceCents = Math.max(0, Math.round(toNumber(menuItem.price) * 100) + (modifiers?.deltaCents || 0));
+
   return {
     unitPriceCents,
     quantity,
@@ -304,24 +338,31 @@ function formatToppingForDisplay(toppingStr) {
 /**
 * Transform VAPI pizza payload into order items with server-calculated price
 */
-function transformPizzaToItem(pizza, index) {
-  // Calculate price server-side
-  const pricing = calculatePizzaPriceCents(pizza);
+function transformPizzaToItem(pizza, index, pizzaMenuItem) {
+  // Calculate price server-side from the restaurant's pizza pricing rules
+  const pricing = calculatePhonePizzaPriceCents(pizza, pizzaMenuItem);
   const priceCents = pricing.totalCents;
   
+  const recipe = hasRecipe(pizzaMenuItem) ? pizzaMenuItem.recipe : null;
+  const specialty = recipe ? describeRecipeChanges(pizzaMenuItem, pricing) : null;
+  
   const parts = [];
   // Base pizza description
-  parts.push(`${pizza.size || "Medium"} Pizza`);
+  parts.push(specialty ? `${pizza.size || "Medium"} ${specialty.name}` : `${pizza.size || "Medium"} Pizza`);
   
   const crust = pizza.crust || "Thin";
   if (crust && crust !== "Thin" && crust !== "Regular") {
     parts.push(`(${crust} crust)`);
   }
   
-  // Handle toppings - format for display
+  // Handle toppings - format for display (specialties only list what changed)
   const wholeToppings = (pizza.wholeToppings || [])
+    .filter((t) => !recipe || !recipe.includedToppings.includes(t))
     .map(formatToppingForDisplay)
     .filter(Boolean);
+  if (specialty?.removed.length > 0) {
+    parts.push(`no ${specialty.removed.join(", no ")}`);
+  }
   const leftHalfToppings = (pizza.leftHalfToppings || [])
     .map(formatToppingForDisplay)
     .filter(Boolean);
@@ -356,6 +397,8 @@ function transformPizzaToItem(pizza, index) {
   
   return {
     itemId: `pizza_${index}`,
+    menuItemId: pizzaMenuItem ? getBaseItemId(pizzaMenuItem) : undefined,
+    category: pizzaMenuItem?.category || "Pizza",
     name,
     price: priceCents / 100, // Convert cents to dollars
     priceCents, // Also store cents for precision
@@ -370,6 +413,7 @@ function transformPizzaToItem(pizza, index) {
       rawWholeToppings: pizza.wholeToppings || [],
       rawLeftHalfToppings: pizza.leftHalfToppings || [],
       rawRightHalfToppings: pizza.rightHalfToppings || [],
+      ...(specialty ? { specialty } : {}),
     },
     modifiers: modifiers,
     notes: pizza.notes || "",
@@ -386,26 +430,116 @@ function transformPizzaToItem(pizza, index) {
 /**
 * Transform VAPI sides payload into order items with server-calculated price
 */
-function transformSideToItem(side, index) {
-  // Calculate price server-side
-  const pricing = calculateSidePriceCents(side);
+function transformSideToItem(side, index, menuItem, modifiers) {
+  // Calculate price server-side from the matched menu item
+  const pricing = calculateSidePriceCents(side, menuItem, modifiers);
   const quantity = pricing.quantity;
   const priceCents = pricing.unitPriceCents; // Unit price
   const totalCents = pricing.totalCents;
   
-  return {
+  const item = {
     itemId: `side_${index}`,
-    name: side.name || "Side Item",
+    menuItemId: getBaseItemId(menuItem),
+    category: menuItem.category,
+    name: menuItem.name || side.name || "Side Item",
     price: priceCents / 100, // Unit price in dollars
     priceCents, // Unit price in cents
     quantity: quantity,
     totalPriceCents: totalCents, // Total for this line item
   };
+  if (modifiers?.selected?.length) {
+    item.selectedModifiers = modifiers.selected;
+  }
+  return item;
 }
 
 
 /**
-* Extract order arguments from VAPI webhook body
+* Transform a priced combo into an order item (every component kept for the kitchen ticket)
+*/
+function transformComboToItem({ combo, menuItem, pricing }, index) {
+  const quantity = Math.max(1, Math.floor(toNumber(combo.quantity, 1)));
+  const priceCents = pricing.unitPriceCents; // Bundle price + upcharges
+
+  return {
+    itemId: `combo_${index}`,
+    menuItemId: getBaseItemId(menuItem),
+    category: menuItem.category,
+    name: menuItem.name,
+    price: priceCents / 100,
+    priceCents,
+    quantity,
+    totalPriceCents: priceCents * quantity,
+    comboComponents: pricing.components,
+    notes: combo.notes || "",
+  };
+}
+
+
+/**
+ * Count the pizzas and other items in an order (combo components included)
+ */
+function countKitchenUnits(items) {
+  let pizzas = 0;
+  let others = 0;
+  for (const item of items) {
+    const quantity = toNumber(item.quantity, 1);
+    if (item.pizzaDetails) {
+      pizzas += quantity;
+    } else if (Array.isArray(item.comboComponents)) {
+      const comboPizzas = item.comboComponents.filter((c) => c.type === "pizza").length;
+      pizzas += comboPizzas * quantity;
+      others += (item.comboComponents.length - comboPizzas) * quantity;
+    } else {
+      others += quantity;
+    }
+  }
+  return { pizzas, others };
+}
+
+
+/**
+ * Build one itemized quote line for the agent to read back
+ */
+function buildQuoteLine(item) {
+  const quantity = toNumber(item.quantity, 1);
+  const unitPriceCents = item.priceCents || Math.round(toNumber(item.price) * 100);
+  const lineTotalCents = item.totalPriceCents !== undefined ? item.totalPriceCents : unitPriceCents * quantity;
+
+  const line = {
+    name: item.name,
+    quantity,
+    unitPrice: unitPriceCents / 100,
+    lineTotal: lineTotalCents / 100,
+  };
+
+  if (item.selectedModifiers?.length) {
+    line.options = describeSelectedModifiers(item.selectedModifiers);
+  }
+
+  if (item.comboComponents?.length) {
+    line.includes = describeComboComponents(item.comboComponents);
+  }
+
+  if (item.pricingBreakdown) {
+    line.breakdown = {
+      base: item.pricingBreakdown.baseCents / 100,
+      crust: item.pricingBreakdown.crustSurcharge / 100,
+      toppings: item.pricingBreakdown.toppingsCents / 100,
+    };
+  }
+
+  return line;
+}
+
+
+// Tools served by this webhook. quote_order takes the same arguments as
+// submit_order but only prices the order.
+const ORDER_TOOL_NAMES = ["submit_order", "quote_order"];
+
+
+/**
+* Extract order arguments (and which order tool was called) from VAPI webhook body
 */
 function extractOrderArguments(body) {
  let parsedBody;
@@ -426,10 +560,10 @@ function extractOrderArguments(body) {
   // - Direct args (tool call): { orderType, customerPhone, pizzas, sides, ... }
   // - Wrapped webhook payload: { message: { toolCalls: [...] }, ... }
   if (parsedBody && typeof parsedBody === "object" && !Array.isArray(parsedBody)) {
-    // Check for direct args - totalCents is no longer required (server calculates)
+    // Check for direct args - totalCents is no longer required (server calculates).
+    // customerPhone is validated later (quotes may be requested before it's collected).
     const isDirectArgs =
       ("orderType" in parsedBody) &&
-      ("customerPhone" in parsedBody) &&
       (("pizzas" in parsedBody) || ("sides" in parsedBody));
 
     if (isDirectArgs) {
@@ -440,32 +574,33 @@ function extractOrderArguments(body) {
         args.customerPhone = args.customerPhone == null ? "" : String(args.customerPhone);
       }
 
-      return args;
+      // Direct args don't carry the tool name; quote_order is routed via ?mode=quote
+      return { args, toolName: null };
     }
   }
 
 
- // Try to find submit_order tool call in various locations
+ // Try to find submit_order / quote_order tool call in various locations
  let toolCall = null;
  let foundIn = null;
   // Check message.toolCalls array
  if (parsedBody?.message?.toolCalls) {
    toolCall = parsedBody.message.toolCalls.find(
-     tc => tc?.function?.name === "submit_order"
+     tc => ORDER_TOOL_NAMES.includes(tc?.function?.name)
    );
    if (toolCall) foundIn = "message.toolCalls";
  }
   // Check message.toolCallList array
  if (!toolCall && parsedBody?.message?.toolCallList) {
    toolCall = parsedBody.message.toolCallList.find(
-     tc => tc?.function?.name === "submit_order"
+     tc => ORDER_TOOL_NAMES.includes(tc?.function?.name)
    );
    if (toolCall) foundIn = "message.toolCallList";
  }
   // Check message.toolWithToolCallList array
  if (!toolCall && parsedBody?.message?.toolWithToolCallList) {
    toolCall = parsedBody.message.toolWithToolCallList.find(
-     tc => tc?.function?.name === "submit_order"
+     tc => ORDER_TOOL_NAMES.includes(tc?.function?.name)
    );
    if (toolCall) foundIn = "message.toolWithToolCallList";
  }
@@ -478,7 +613,7 @@ function extractOrderArguments(body) {
    if (parsedBody?.message?.toolCallList) availablePaths.push(`message.toolCallList (${parsedBody.message.toolCallList.length} items)`);
    if (parsedBody?.message?.toolWithToolCallList) availablePaths.push(`message.toolWithToolCallList (${parsedBody.message.toolWithToolCallList.length} items)`);
   
-   throw new Error(`No submit_order tool call found. Available paths: ${availablePaths.join(", ") || "none"}`);
+   throw new Error(`No submit_order or quote_order tool call found. Available paths: ${availablePaths.join(", ") || "none"}`);
  }
   console.log("[VAPI Order] Found tool call", { foundIn, functionName: toolCall.function?.name });
 
@@ -526,7 +661,7 @@ function extractOrderArguments(body) {
  }
 
 
- return args;
+ return { args, toolName: toolCall.function?.name || null };
 }
 
 function extractCallIdFromHeaders(headers) {
@@ -536,6 +671,20 @@ function extractCallIdFromHeaders(headers) {
   return value ? String(value).trim() : "";
 }
 
+/**
+ * Caller ID from the call object (tool-call messages carry the whole call)
+ */
+function extractCallerNumber(body) {
+  const parsed = typeof body === "string" ? JSON.parse(body) : body;
+  return (
+    parsed?.message?.call?.customer?.number ||
+    parsed?.call?.customer?.number ||
+    parsed?.message?.customer?.number ||
+    parsed?.customer?.number ||
+    null
+  );
+}
+
 function normalizePhone10(value) {
   if (!value) return "";
   let digits = String(value).replace(/\D/g, "");
@@ -546,6 +695,19 @@ function normalizePhone10(value) {
 }
 
 
+/**
+ * Best-effort: show the order on the call's Call Logs row. Never fails the order.
+ */
+async function linkOrderToCall({ restaurantId, callId, orderId, orderNumber, orderTotal }) {
+  if (!restaurantId || !callId) return;
+  try {
+    await linkCallOrder(ddb, { restaurantId, callId, orderId, orderNumber, orderTotal });
+  } catch (error) {
+    console.error("[VAPI Order] Failed to link order to call log", { orderId, callId, error: error.message });
+  }
+}
+
+
 export const handler = async (event) => {
  const startTime = Date.now();
  
@@ -553,10 +715,24 @@ export const handler = async (event) => {
  const toolCallId = extractSubmitOrderToolCallId(event.body);
  
   try {
+   // Shared-secret check; tenant comes from the call/assistant metadata Vapi sends
+   const auth = await authorizeRoute(event, { ddb });
+   if (!auth.ok) {
+     return vapiToolResponse({ toolCallId, error: auth.error });
+   }
+   // No call/assistant metadata and no DEFAULT_RESTAURANT_ID: there's no kitchen to send this to
+   if (!auth.restaurantId) {
+     console.error("[VAPI Order] No restaurant for this call; set restaurantId in the assistant metadata or DEFAULT_RESTAURANT_ID");
+     return vapiToolResponse({ toolCallId, error: "restaurantId is required" });
+   }
+
    // Parse body and extract order arguments
    let args = {};
+   let isQuote = false;
    try {
-     args = extractOrderArguments(event.body);
+     const extracted = extractOrderArguments(event.body);
+     args = extracted.args;
+     isQuote = extracted.toolName === "quote_order" || event?.queryStringParameters?.mode === "quote";
    } catch (e) {
      console.error("[VAPI Order] Failed to extract order arguments:", e.message);
      console.log("[VAPI Order] Event structure:", {
@@ -572,9 +748,11 @@ export const handler = async (event) => {
 
 
    console.log("[VAPI Order] Incoming order", {
+     mode: isQuote ? "quote" : "submit",
      hasArguments: !!args,
      pizzasCount: Array.isArray(args.pizzas) ? args.pizzas.length : 0,
      sidesCount: Array.isArray(args.sides) ? args.sides.length : 0,
+     combosCount: Array.isArray(args.combos) ? args.combos.length : 0,
      orderType: args.orderType,
      totalCents: args.totalCents,
      customerPhone: args.customerPhone ? `${args.customerPhone.slice(0, 3)}***${args.customerPhone.slice(-4)}` : "none",
@@ -584,6 +762,7 @@ export const handler = async (event) => {
    let {
      pizzas = [],
      sides = [],
+     combos = [], // Combo deals: [{ name, quantity, pizzas: [...], sides: [{ name, options }] }]
      orderType = "pickup",
      customerPhone = "",
      deliveryAddress = "",
@@ -591,6 +770,9 @@ export const handler = async (event) => {
      callbackPhone = "",
      callId = "",
      reason = "",
+     scheduledFor = "", // Optional: caller wants the order later ("HH:MM" today, or "YYYY-MM-DDTHH:MM")
+     promoCode = "", // Optional: code the caller read out ("WELCOME10")
+     redeemPoints = 0, // Optional: loyalty points the caller wants to use (caller ID must match customerPhone)
      // Note: totalCents from VAPI is ignored - we calculate server-side
    } = args;
 
@@ -599,6 +781,9 @@ export const handler = async (event) => {
      callId = headerCallId;
    }
 
+   // Call Logs key: the call this tool call came from (falls back to the agent-supplied id)
+   const logCallId = getVapiCallId(event.body) || String(callId || "").trim();
+
    const normalizedAddressStatus = typeof addressStatus === "string" ? addressStatus.toLowerCase() : "";
    const needsCallback = normalizedAddressStatus === "unconfirmed";
    if (needsCallback && !callbackPhone && customerPhone) {
@@ -607,7 +792,8 @@ export const handler = async (event) => {
 
    const normalizedCustomerPhone = normalizePhone10(customerPhone);
    const normalizedCallbackPhone = normalizePhone10(callbackPhone);
-   if (!normalizedCustomerPhone) {
+   // Quotes can be requested before the phone number is collected
+   if (!normalizedCustomerPhone && !(isQuote && !customerPhone)) {
      return vapiToolResponse({
        toolCallId,
        error: "Invalid customerPhone. Provide a 10-digit phone number.",
@@ -625,27 +811,35 @@ export const handler = async (event) => {
    }
 
 
-   // MULTI-TENANT: Extract restaurantId from event context or body metadata
-   let restaurantId = extractRestaurantId(event);
-  
-   // Also check body metadata if not found in event
-   if (!restaurantId && event.body) {
-     try {
-       const parsedBody = typeof event.body === "string" ? JSON.parse(event.body) : event.body;
-       restaurantId = parsedBody?.call?.metadata?.restaurantId ||
-                      parsedBody?.assistant?.metadata?.restaurantId ||
-                      parsedBody?.assistantId;
-     } catch (e) {
-       // Ignore parsing errors, use fallback
-     }
-   }
-  
-   restaurantId = restaurantId || "test-001";
+   // MULTI-TENANT: Never from headers/query - only the verified Vapi payload
+   const restaurantId = auth.restaurantId;
 
 
+   // Load settings (order acceptance policy, tax, delivery fee, ETA)
+   const settingId = restaurantId
+     ? (restaurantId.startsWith('restaurant-config') ? restaurantId : `restaurant-config-${restaurantId}`)
+     : "restaurant-config";
+  
+   const settingsRes = await ddb.send(
+     new GetItemCommand({
+       TableName: TABLES.SETTINGS,
+       Key: { settingId: { S: settingId } },
+     })
+   );
+   const settings = settingsRes.Item ? unmarshall(settingsRes.Item) : {};
+   const taxRate = toNumber(settings?.taxRate, 0);
+  
    // Validate that we have items (unless this is a placeholder callback order)
    const hasPizzas = Array.isArray(pizzas) && pizzas.length > 0;
    const hasSides = Array.isArray(sides) && sides.length > 0;
+   const hasCombos = Array.isArray(combos) && combos.length > 0;
+
+   if (isQuote && needsCallback) {
+     return vapiToolResponse({
+       toolCallId,
+       error: "Placeholder callback orders are not quoted. Call submit_order directly.",
+     });
+   }
 
    if (needsCallback) {
      const normalizedCallId = String(callId || "").trim();
@@ -681,10 +875,11 @@ export const handler = async (event) => {
      }
    }
   
-   if (!hasPizzas && !hasSides && !needsCallback) {
+   if (!hasPizzas && !hasSides && !hasCombos && !needsCallback) {
      console.error("[VAPI Order] Validation failed: No items found in arguments", {
        pizzas: pizzas,
        sides: sides,
+       combos: combos,
        args: args,
      });
      return vapiToolResponse({
@@ -694,12 +889,95 @@ export const handler = async (event) => {
    }
 
 
+   // Order acceptance policy: hours, holidays, delivery toggle (minimum is checked once priced)
+   const openDecision = evaluateOrderAcceptance({ settings, orderType, subtotal: null, scheduledFor });
+   if (!openDecision.accepted) {
+     console.warn("[VAPI Order] Order rejected by policy", { restaurantId, code: openDecision.code });
+     return orderRejectedResponse(toolCallId, openDecision);
+   }
+
+
    let callbackOrderId = null;
+
+   // Load the restaurant's menu so prices match what web orders are charged
+   const menuItems = (hasPizzas || hasSides || hasCombos) ? await loadMenuItems(ddb, restaurantId) : [];
+   const pizzaMenuItem = findPizzaMenuItem(menuItems);
+   const hasBuildYourOwn = hasPizzas && pizzas.some((pizza) => !String(pizza?.specialty || "").trim());
+
+   if (hasBuildYourOwn && (!pizzaMenuItem || pizzaMenuItem.available === false)) {
+     console.warn("[VAPI Order] No available pizza menu item", { restaurantId, menuItemCount: menuItems.length });
+     return vapiToolResponse({
+       toolCallId,
+       error: "Pizza is not available on this restaurant's menu right now. Let the caller know and offer sides instead.",
+     });
+   }
+
+   const pizzaResolution = hasPizzas ? resolvePizzas(pizzas, menuItems, pizzaMenuItem) : { resolved: [], unknown: [], unavailable: [] };
+   if (pizzaResolution.unknown.length > 0 || pizzaResolution.unavailable.length > 0) {
+     const availableSpecialties = menuItems
+       .filter((it) => isPizzaMenuItem(it) && hasRecipe(it) && it.available !== false)
+       .map((it) => it.name);
+     const problems = [];
+     if (pizzaResolution.unknown.length > 0) {
+       problems.push(`Not a pizza on the menu: ${pizzaResolution.unknown.join(", ")}.`);
+     }
+     if (pizzaResolution.unavailable.length > 0) {
+       problems.push(`Currently unavailable: ${pizzaResolution.unavailable.join(", ")}.`);
+     }
+     console.warn("[VAPI Order] Rejected specialty pizzas", { restaurantId, ...pizzaResolution, resolved: undefined });
+     return vapiToolResponse({
+       toolCallId,
+       error: `${problems.join(" ")} Specialty pizzas: ${availableSpecialties.join(", ") || "none"}. Ask the caller to choose again, or build their own.`,
+     });
+   }
+
+   const comboResolution = hasCombos ? resolveCombos(combos, menuItems) : { resolved: [], problems: [] };
+   if (comboResolution.problems.length > 0) {
+     const availableCombos = menuItems
+       .filter((it) => isComboMenuItem(it) && it.available !== false)
+       .map((it) => it.name);
+     console.warn("[VAPI Order] Rejected combos", { restaurantId, problems: comboResolution.problems });
+     return vapiToolResponse({
+       toolCallId,
+       error: `${comboResolution.problems.join(" ")} Combos: ${availableCombos.join(", ") || "none"}. Ask the caller to choose, then resubmit.`,
+     });
+   }
+
+   const sideResolution = hasSides ? resolveSides(sides, menuItems) : { resolved: [], unknown: [], unavailable: [], invalidOptions: [] };
+   if (sideResolution.unknown.length > 0 || sideResolution.unavailable.length > 0) {
+     const availableSides = menuItems
+       .filter((it) => !isPizzaMenuItem(it) && !isComboMenuItem(it) && it.available !== false)
+       .map((it) => it.name);
+     const problems = [];
+     if (sideResolution.unknown.length > 0) {
+       problems.push(`Not on the menu: ${sideResolution.unknown.join(", ")}.`);
+     }
+     if (sideResolution.unavailable.length > 0) {
+       problems.push(`Currently unavailable: ${sideResolution.unavailable.join(", ")}.`);
+     }
+     console.warn("[VAPI Order] Rejected sides", {
+       restaurantId,
+       unknown: sideResolution.unknown,
+       unavailable: sideResolution.unavailable,
+     });
+     return vapiToolResponse({
+       toolCallId,
+       error: `${problems.join(" ")} Available sides: ${availableSides.join(", ") || "none"}. Ask the caller to choose again.`,
+     });
+   }
+   if (sideResolution.invalidOptions.length > 0) {
+     console.warn("[VAPI Order] Rejected side options", { restaurantId, problems: sideResolution.invalidOptions });
+     return vapiToolResponse({
+       toolCallId,
+       error: `${sideResolution.invalidOptions.join(" ")} Ask the caller to choose, then resubmit.`,
+     });
+   }
    
    // Transform VAPI payload into items format with server-calculated prices
    const items = [
-     ...(hasPizzas ? pizzas.map((pizza, idx) => transformPizzaToItem(pizza, idx)) : []),
-     ...(hasSides ? sides.map((side, idx) => transformSideToItem(side, idx)) : []),
+     ...pizzaResolution.resolved.map(({ pizza, menuItem }, idx) => transformPizzaToItem(pizza, idx, menuItem)),
+     ...sideResolution.resolved.map(({ side, menuItem, modifiers }, idx) => transformSideToItem(side, idx, menuItem, modifiers)),
+     ...comboResolution.resolved.map((entry, idx) => transformComboToItem(entry, idx)),
    ];
 
 
@@ -742,7 +1020,7 @@ export const handler = async (event) => {
        });
      }
      
-     if (!hasPizzas && !hasSides) {
+     if (!hasPizzas && !hasSides && !hasCombos) {
        const orderNumber = await getNextOrderNumber(restaurantId);
        const createdAt = new Date().toISOString();
        
@@ -816,6 +1094,9 @@ export const handler = async (event) => {
          });
        }
        
+       await linkOrderToCall({ restaurantId, callId: logCallId, orderId: callbackOrderId, orderNumber, orderTotal: 0 });
+       await publishOrderEvent(ddb, { restaurantId, type: ORDER_EVENTS.CREATED, orderId: callbackOrderId, status: "needs_callback" });
+
        return vapiToolResponse({
          toolCallId,
          result: {
@@ -829,20 +1110,6 @@ export const handler = async (event) => {
      }
    }
 
-   // Load settings to compute tax and ETA
-   const settingId = restaurantId
-     ? (restaurantId.startsWith('restaurant-config') ? restaurantId : `restaurant-config-${restaurantId}`)
-     : "restaurant-config";
-  
-   const settingsRes = await ddb.send(
-     new GetItemCommand({
-       TableName: TABLES.SETTINGS,
-       Key: { settingId: { S: settingId } },
-     })
-   );
-   const settings = settingsRes.Item ? unmarshall(settingsRes.Item) : {};
-   const taxRate = toNumber(settings?.taxRate, 0);
-  
    // ETA calculation settings with defaults
    const etaPickupBase = toNumber(settings?.etaPickupBaseMinutes, 15);
    const etaPickupRange = toNumber(settings?.etaPickupRangeMinutes, 5);
@@ -873,24 +1140,72 @@ export const handler = async (event) => {
    const subtotal = subtotalCents / 100;
    
    // Add delivery fee for delivery orders
-   const deliveryFeeCents = orderType === "delivery" ? PRICING.deliveryFeeCents : 0;
+   // Delivery fee comes from restaurant settings (stored in dollars)
+   const deliveryFeeCents = getDeliveryFeeCents(orderType, settings);
    const deliveryFee = deliveryFeeCents / 100;
+
+   // Promotions: the caller's code plus any automatic deals (same engine as web orders)
+   const promo = await evaluateOrderPromotions(ddb, {
+     restaurantId,
+     phone: normalizeCustomerPhone(customerPhone),
+     lines: items.map((it) => ({
+       lineKey: it.itemId,
+       menuItemId: it.menuItemId,
+       category: it.category,
+       size: it.pizzaDetails?.size,
+       unitPriceCents: it.priceCents || Math.round(toNumber(it.price) * 100),
+       quantity: toNumber(it.quantity, 1),
+     })),
+     orderType,
+     promoCode,
+     settings,
+     at: parseScheduledFor(scheduledFor, settings) || new Date(),
+     // Quotes before the phone number is collected can't check per-caller limits yet
+     enforceUsage: !isQuote || !!customerPhone,
+   });
+   if (!promo.ok) {
+     console.warn("[VAPI Order] Promo code rejected", { restaurantId, code: promo.rejection.code });
+     return orderRejectedResponse(toolCallId, promo.rejection);
+   }
+
+   // Loyalty points: only the caller ID's own balance (a number read out proves nothing)
+   let loyaltyBalance = null;
+   if (toNumber(redeemPoints, 0) > 0) {
+     const callerPhone = normalizeCustomerPhone(extractCallerNumber(event.body));
+     if (!callerPhone || callerPhone !== normalizeCustomerPhone(customerPhone)) {
+       return orderRejectedResponse(toolCallId, {
+         code: "loyalty_caller_id",
+         reason: "Points can only be used when calling from the phone number on the account.",
+       });
+     }
+     loyaltyBalance = toNumber((await getCustomer(ddb, restaurantId, callerPhone))?.loyaltyPoints, 0);
+   }
+   const loyalty = priceLoyaltyRedemption({ settings, points: redeemPoints, balance: loyaltyBalance, maxCents: subtotalCents - promo.discountCents });
+   if (!loyalty.ok) {
+     console.warn("[VAPI Order] Loyalty redemption rejected", { restaurantId, code: loyalty.rejection.code });
+     return orderRejectedResponse(toolCallId, loyalty.rejection);
+   }
+   const adjustments = loyalty.adjustment ? [...promo.adjustments, loyalty.adjustment] : promo.adjustments;
+   const discount = (promo.discountCents + (loyalty.adjustment?.amountCents || 0)) / 100;
    
-   const taxableAmount = subtotal; // Delivery fee typically not taxed
+   const taxableAmount = subtotal - discount; // Delivery fee typically not taxed
    const tax = taxableAmount * (taxRate / 100);
    const tip = 0; // VAPI orders don't include tip
    
    // Server-calculated total (authoritative - ignore any VAPI-provided total)
-   const total = +(subtotal + deliveryFee + tax + tip).toFixed(2);
+   const total = +(subtotal - discount + deliveryFee + tax + tip).toFixed(2);
+
+   // Delivery minimum counts food after discounts, same as web checkout
+   const minimumDecision = evaluateOrderAcceptance({ settings, orderType, subtotal: subtotal - discount, scheduledFor });
+   if (!minimumDecision.accepted) {
+     console.warn("[VAPI Order] Order rejected by policy", { restaurantId, code: minimumDecision.code, subtotal, discount });
+     return orderRejectedResponse(toolCallId, minimumDecision);
+   }
 
 
-   // Generate unique orderId and sequential orderNumber
-   const orderId = callbackOrderId || generateOrderId();
-   const orderNumber = await getNextOrderNumber(restaurantId);
-   const createdAt = new Date().toISOString();
-  
    console.log("[VAPI Order] Totals calculated (SERVER-SIDE)", {
      subtotal: `$${subtotal.toFixed(2)}`,
+     discount: discount > 0 ? `$${discount.toFixed(2)}` : "N/A",
      deliveryFee: deliveryFeeCents > 0 ? `$${deliveryFee.toFixed(2)}` : "N/A",
      tax: `$${tax.toFixed(2)}`,
      tip: `$${tip.toFixed(2)}`,
@@ -901,8 +1216,7 @@ export const handler = async (event) => {
    // ============================================
    // ETA CALCULATION (based on order contents + settings)
    // ============================================
-   const pizzaCount = pizzas.length;
-   const sideCount = sides.reduce((sum, s) => sum + toNumber(s.quantity, 1), 0);
+   const { pizzas: pizzaCount, others: sideCount } = countKitchenUnits(items);
    
    // Base ETA depends on order type
    const baseEta = orderType === "delivery" ? etaDeliveryBase : etaPickupBase;
@@ -915,20 +1229,28 @@ export const handler = async (event) => {
    const sideTime = sideCount * etaPerSide;
    
    // Add time based on pizza sizes
-   const sizeTime = pizzas.reduce((sum, pizza) => {
-     const size = pizza.size || "Medium";
-     return sum + toNumber(etaSizeAdd[size], 0);
+   const sizeTime = items.reduce((sum, item) => {
+     const sizes = item.pizzaDetails
+       ? [item.pizzaDetails.size]
+       : (item.comboComponents || []).filter((c) => c.type === "pizza").map((c) => c.pizzaDetails?.size);
+     const itemTime = sizes.reduce((acc, size) => acc + toNumber(etaSizeAdd[size || "Medium"], 0), 0);
+     return sum + itemTime * toNumber(item.quantity, 1);
    }, 0);
    
    // Calculate raw ETA before rush multiplier
    const rawEtaMin = baseEta + extraPizzaTime + sideTime + sizeTime;
    
    // Apply rush multiplier and round to nearest minute
-   const etaMinMinutes = Math.round(rawEtaMin * etaRushMultiplier);
-   const etaMaxMinutes = Math.round((rawEtaMin + rangeEta) * etaRushMultiplier);
+   let etaMinMinutes = Math.round(rawEtaMin * etaRushMultiplier);
+   let etaMaxMinutes = Math.round((rawEtaMin + rangeEta) * etaRushMultiplier);
    
+   // Scheduled orders are due at the requested time instead of "now + ETA"
+   const scheduledForIso = minimumDecision.scheduledFor || null;
+
    // Generate human-readable ETA text for Vapi to speak
-   const etaText = `about ${etaMinMinutes} to ${etaMaxMinutes} minutes`;
+   let etaText = scheduledForIso
+     ? `scheduled for ${describeScheduledTime(new Date(scheduledForIso), settings)}`
+     : `about ${etaMinMinutes} to ${etaMaxMinutes} minutes`;
    
    console.log("[VAPI Order] ETA calculated", {
      orderType,
@@ -944,15 +1266,97 @@ export const handler = async (event) => {
      etaText,
    });
 
+   // ============================================
+   // KITCHEN CAPACITY (push ETA to the first slot with room)
+   // ============================================
+   const kitchenLoad = { pizzas: pizzaCount, items: pizzaCount + sideCount };
+   let promisedReadyAt = scheduledForIso;
+
+   if (!scheduledForIso && getCapacitySettings(settings)) {
+     const openOrders = await loadOpenOrders(ddb, restaurantId);
+     const slot = findReadySlot({ settings, openOrders, load: kitchenLoad, etaMinutes: etaMaxMinutes });
+     promisedReadyAt = slot.readyAt;
+
+     if (slot.throttled) {
+       etaMinMinutes = slot.etaMinutes;
+       etaMaxMinutes = slot.etaMinutes;
+       etaText = `about ${slot.etaMinutes} minutes`;
+     }
+
+     console.log("[VAPI Order] Kitchen capacity checked", {
+       openOrders: openOrders.length,
+       kitchenLoad,
+       throttled: slot.throttled,
+       delayMinutes: slot.delayMinutes,
+       etaText,
+     });
+   }
+
+
+   // Quote mode: same pricing/tax/fee/ETA as submit, but nothing is written
+   // and no order number is consumed
+   if (isQuote) {
+     const quote = {
+       quote: true,
+       orderType,
+       lines: items.map(buildQuoteLine),
+       subtotal: +subtotal.toFixed(2),
+       discount: +discount.toFixed(2),
+       discounts: describeAdjustments(adjustments),
+       deliveryFee: +deliveryFee.toFixed(2),
+       tax: +tax.toFixed(2),
+       taxRate,
+       total: +total.toFixed(2),
+       itemCount: items.length,
+       etaMinMinutes,
+       etaMaxMinutes,
+       etaText,
+       scheduledFor: scheduledForIso,
+       status: "quoted",
+     };
+
+     console.log("[VAPI Order] Quote calculated (nothing persisted)", {
+       itemCount: items.length,
+       total: `$${total.toFixed(2)}`,
+       duration: `${Date.now() - startTime}ms`,
+     });
+
+     return vapiToolResponse({
+       toolCallId,
+       result: quote,
+     });
+   }
+
+
+   // Unique orderId now; the sequential orderNumber once the order is saved (below)
+   const orderId = callbackOrderId || generateOrderId();
+   const createdAt = new Date().toISOString();
+
+
+   const customerProfilePhone = normalizeCustomerPhone(customerPhone);
+
+   // Promotion uses and the caller's points are spent in the same transaction as the order header (below)
+   const loyaltyWrites = buildOrderRedemptionWrites({ restaurantId, phone: customerProfilePhone, orderId, adjustments });
+   const promoRedemption = buildPromotionRedemptionWrites({
+     restaurantId,
+     phone: customerProfilePhone,
+     orderId,
+     adjustments: promo.adjustments,
+     promotions: promo.promotions,
+   });
 
    // Persist order header
    let orderRecord = {
      orderId,
-     orderNumber, // Sequential order number for display (e.g., 1001, 1002)
      createdAt,
      status: needsCallback ? "needs_callback" : "new", // VAPI orders start as "new" (not paid yet)
      orderType,
      subtotal: +subtotal.toFixed(2),
+     // Promotions and loyalty points: total discount plus one adjustment per deal (see utils/promotions.mjs, utils/loyalty.mjs)
+     discount: discount > 0 ? +discount.toFixed(2) : undefined,
+     adjustments: adjustments.length > 0 ? adjustments : undefined,
+     promoCode: normalizePromoCode(promoCode) || undefined,
+     promotionRedemptions: promoRedemption.redemptions.length > 0 ? promoRedemption.redemptions : undefined,
      deliveryFee: +deliveryFee.toFixed(2),
      tax: +tax.toFixed(2),
      tip: +tip.toFixed(2),
@@ -962,6 +1366,14 @@ export const handler = async (event) => {
      etaMinMinutes,
      etaMaxMinutes,
      etaText,
+     // Orders placed for later: KitchenView holds the ticket until kitchenReleaseAt
+     scheduledFor: scheduledForIso || undefined,
+     kitchenReleaseAt: minimumDecision.kitchenReleaseAt || undefined,
+     // Kitchen capacity model: what this order counts against its slot, and when it's due
+     kitchenLoad,
+     promisedReadyAt: promisedReadyAt || undefined,
+     // Caller's customer profile (same record as the customer app's, keyed by phone)
+     customerId: customerProfilePhone ? customerIdFor(restaurantId, customerProfilePhone) : undefined,
      customer: {
        name: "", // VAPI doesn't provide name
        phone: customerPhone,
@@ -984,15 +1396,37 @@ export const handler = async (event) => {
    }
 
 
-   await ddb.send(
-     new PutItemCommand({
-       TableName: TABLES.ORDERS,
-       Item: marshall(orderRecord, { removeUndefinedValues: true }),
-     })
-   );
+   // Order header, promotion uses and points: all or nothing (a limit or balance used up
+   // by a racing order rejects this one, and nothing is spent without an order)
+   const committed = await commitOrderWrites(ddb, [
+     ...promoRedemption.writes,
+     ...loyaltyWrites,
+     { write: { Put: { TableName: TABLES.ORDERS, Item: marshall(orderRecord, { removeUndefinedValues: true }) } }, rejection: null },
+   ]);
+   if (!committed.ok) {
+     return orderRejectedResponse(toolCallId, committed.rejection);
+   }
+
+   // Numbered only once it's saved, so a rejected order doesn't use one up
+   const orderNumber = await assignOrderNumber(orderId, restaurantId);
   
    console.log("[VAPI Order] Order header saved", { orderId, status: orderRecord.status });
 
+   if (customerProfilePhone) {
+     try {
+       await recordCustomerOrder(ddb, {
+         restaurantId,
+         phone: customerProfilePhone,
+         orderId,
+         createdAt,
+         // Only remember addresses the caller actually confirmed
+         deliveryAddress: orderType === "delivery" && !needsCallback ? deliveryAddress : "",
+       });
+     } catch (error) {
+       console.error("[VAPI Order] Failed to attach order to customer", { orderId, error: error.message });
+     }
+   }
+
 
    // Persist order items
    if (items.length > 0) {
@@ -1010,7 +1444,9 @@ export const handler = async (event) => {
            let orderItem = {
              orderId,
              itemId: String(it.itemId ?? `${i + idx}`),
+             menuItemId: it.menuItemId,
              name: it.name,
+             category: it.category,
              price: toNumber(it.price),
              priceCents: it.priceCents || Math.round(toNumber(it.price) * 100),
              quantity: toNumber(it.quantity, 1),
@@ -1025,6 +1461,16 @@ export const handler = async (event) => {
            if (it.modifiers && it.modifiers.length > 0) {
              orderItem.modifiers = it.modifiers;
            }
+
+           // Include picked options if present (for sides with modifier groups)
+           if (it.selectedModifiers && it.selectedModifiers.length > 0) {
+             orderItem.selectedModifiers = it.selectedModifiers;
+           }
+
+           // Include every component of a combo (kitchen ticket)
+           if (it.comboComponents && it.comboComponents.length > 0) {
+             orderItem.comboComponents = it.comboComponents;
+           }
            
            // Include notes if present
            if (it.notes) {
@@ -1048,13 +1494,17 @@ export const handler = async (event) => {
            };
          }),
        };
-       await ddb.send(new BatchWriteItemCommand({ RequestItems }));
+       await writeOrderItemBatch(ddb, RequestItems);
      }
     
      console.log("[VAPI Order] Order items saved", { orderId, itemCount: items.length });
    }
 
 
+   await linkOrderToCall({ restaurantId, callId: logCallId, orderId, orderNumber, orderTotal: +total.toFixed(2) });
+   // Ring the kitchen tablets now that the items are written
+   await publishOrderEvent(ddb, { restaurantId, type: ORDER_EVENTS.CREATED, orderId, status: orderRecord.status });
+
    const duration = Date.now() - startTime;
    console.log("[VAPI Order] Order created successfully", {
      orderId,
@@ -1070,12 +1520,15 @@ export const handler = async (event) => {
      orderNumber, // Sequential order number for the customer (e.g., 1001)
      total: +total.toFixed(2),
      subtotal: +subtotal.toFixed(2),
+     discount: +discount.toFixed(2),
+     discounts: describeAdjustments(adjustments),
      deliveryFee: +deliveryFee.toFixed(2),
      tax: +tax.toFixed(2),
      itemCount: items.length,
      etaMinMinutes,
      etaMaxMinutes,
      etaText,
+     scheduledFor: scheduledForIso,
      status: "success",
    };
    
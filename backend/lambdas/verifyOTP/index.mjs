@@ -1,5 +1,7 @@
 import { DynamoDBClient, GetItemCommand, DeleteItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { upsertVerifiedCustomer, resolveCustomerRestaurantId, toCustomerProfile } from "../utils/customers.mjs";
+import { issueCustomerSession } from "../utils/customer-session.mjs";
 
 const ddbClient = new DynamoDBClient({ region: "us-east-2" });
 const OTP_TABLE = "OTPCodes";
@@ -117,6 +119,21 @@ export const handler = async (event) => {
       })
     );
 
+    // Verified phone -> customer profile + session, so checkout and order history don't re-verify
+    let session = null;
+    let customer = null;
+    const restaurantId = resolveCustomerRestaurantId(event);
+    if (restaurantId) {
+      try {
+        const record = await upsertVerifiedCustomer(ddbClient, { restaurantId, phone: normalizedPhone });
+        session = issueCustomerSession({ customerId: record.customerId, restaurantId, phone: normalizedPhone });
+        customer = toCustomerProfile(record);
+      } catch (error) {
+        // The phone is still verified for this checkout; the customer just won't stay signed in
+        console.error("VerifyOTP: could not start customer session:", error.message);
+      }
+    }
+
     return {
       statusCode: 200,
       headers: {
@@ -126,7 +143,9 @@ export const handler = async (event) => {
       body: JSON.stringify({ 
         success: true, 
         verified: true,
-        message: "Phone number verified successfully" 
+        message: "Phone number verified successfully",
+        session,
+        customer,
       }),
     };
   } catch (error) {
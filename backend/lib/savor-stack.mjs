@@ -7,14 +7,18 @@ import {
   aws_logs as logs,
   aws_iam as iam,
   aws_cognito as cognito,
+  aws_cloudwatch as cloudwatch,
+  aws_events as events,
+  aws_events_targets as targets,
 } from 'aws-cdk-lib';
 import { Runtime } from 'aws-cdk-lib/aws-lambda';
 import { NodejsFunction } from 'aws-cdk-lib/aws-lambda-nodejs';
 import {
-  HttpApi, HttpMethod
+  HttpApi, HttpMethod, WebSocketApi, WebSocketStage
 } from '@aws-cdk/aws-apigatewayv2-alpha';
-import { HttpLambdaIntegration } from '@aws-cdk/aws-apigatewayv2-integrations-alpha';
+import { HttpLambdaIntegration, WebSocketLambdaIntegration } from '@aws-cdk/aws-apigatewayv2-integrations-alpha';
 import { HttpJwtAuthorizer } from '@aws-cdk/aws-apigatewayv2-authorizers-alpha';
+import { getRoutePolicy, policyRequiresJwt } from '../lambdas/utils/route-auth.mjs';
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
@@ -28,7 +32,12 @@ export class SavorSphereStack extends Stack {
     super(scope, id, props);
 
     // Reuse existing DynamoDB tables by name
-    const Orders = dynamodb.Table.fromTableName(this, 'OrdersTbl', 'Orders');
+    // Orders GSIs are added by scripts/backfill-order-index.mjs (the table isn't
+    // CDK-managed); listing them here extends read grants to the indexes
+    const Orders = dynamodb.Table.fromTableAttributes(this, 'OrdersTbl', {
+      tableName: 'Orders',
+      globalIndexes: ['restaurantId-createdAt-index', 'restaurantId-status-index'],
+    });
     const OrderItems = dynamodb.Table.fromTableName(this, 'OrderItemsTbl', 'OrderItems');
     const Payments = dynamodb.Table.fromTableName(this, 'PaymentsTbl', 'Payments');
     const RestaurantSettings = dynamodb.Table.fromTableName(this, 'RestaurantSettingsTbl', 'RestaurantSettings');
@@ -48,6 +57,81 @@ export class SavorSphereStack extends Stack {
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
     });
 
+    // Customer profiles keyed by phone per restaurant (utils/customers.mjs)
+    const Customers = new dynamodb.Table(this, 'CustomersTbl', {
+      tableName: 'Customers',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'phone', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+    });
+
+    // Rate limit counters, PIN lockouts and PIN attack alerts (utils/rate-limit.mjs)
+    const RateLimits = new dynamodb.Table(this, 'RateLimitsTbl', {
+      tableName: 'RateLimits',
+      partitionKey: { name: 'limitKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'expiresAt',
+    });
+
+    // One record per phone call, from Vapi status/end-of-call messages (utils/call-logs.mjs)
+    const CallLogs = new dynamodb.Table(this, 'CallLogsTbl', {
+      tableName: 'CallLogs',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'callId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+    });
+    CallLogs.addGlobalSecondaryIndex({
+      indexName: 'restaurantId-startedAt-index',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'startedAt', type: dynamodb.AttributeType.STRING },
+    });
+
+    // Precomputed per-day report aggregates (utils/daily-reports.mjs)
+    const DailyReports = new dynamodb.Table(this, 'DailyReportsTbl', {
+      tableName: 'DailyReports',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'date', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+    });
+
+    // Open KitchenView WebSockets per restaurant (utils/kitchen-events.mjs)
+    const KitchenConnections = new dynamodb.Table(this, 'KitchenConnectionsTbl', {
+      tableName: 'KitchenConnections',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'connectionId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'expiresAt',
+    });
+    KitchenConnections.addGlobalSecondaryIndex({
+      indexName: 'connectionId-index',
+      partitionKey: { name: 'connectionId', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY,
+    });
+
+    // Promo codes and automatic deals (utils/promotions.mjs)
+    const Promotions = new dynamodb.Table(this, 'PromotionsTbl', {
+      tableName: 'Promotions',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'promotionId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+    });
+
+    // Per-customer promotion usage ("{promotionId}#{phone}") for maxUsesPerCustomer
+    const PromotionRedemptions = new dynamodb.Table(this, 'PromotionRedemptionsTbl', {
+      tableName: 'PromotionRedemptions',
+      partitionKey: { name: 'restaurantId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'redemptionKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+    });
+
+    // Loyalty points ledger per customer ("{restaurantId}#{phone}"); balances live on Customers (utils/loyalty.mjs)
+    const LoyaltyLedger = new dynamodb.Table(this, 'LoyaltyLedgerTbl', {
+      tableName: 'LoyaltyLedger',
+      partitionKey: { name: 'customerKey', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'entryId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+    });
+
     // =========================================================================
     // COGNITO: UserPool for admin dashboard + kitchen tablet auth
     // =========================================================================
@@ -136,11 +220,34 @@ export class SavorSphereStack extends Stack {
     const api = new HttpApi(this, 'SavorHttpApi', {
       corsPreflight: {
         allowOrigins: ['*'],
-        allowMethods: [HttpMethod.GET, HttpMethod.POST, HttpMethod.PATCH, HttpMethod.PUT, HttpMethod.OPTIONS],
+        allowMethods: [HttpMethod.GET, HttpMethod.POST, HttpMethod.PATCH, HttpMethod.PUT, HttpMethod.DELETE, HttpMethod.OPTIONS],
         allowHeaders: ['*']
       }
     });
 
+    // Every route's auth policy is declared in lambdas/utils/route-auth.mjs (ROUTE_POLICIES).
+    // JWT policies (admin / kitchen / staff) get the Cognito authorizer; a route with no
+    // declared policy fails the synth instead of shipping unprotected.
+    const addRoute = ({ path: routePath, methods, integration }) => {
+      const policies = methods.map((method) => {
+        const policy = getRoutePolicy(method, routePath);
+        if (!policy) {
+          throw new Error(`No auth policy declared for ${method} ${routePath} in route-auth.mjs`);
+        }
+        return policy;
+      });
+      const needsJwt = policies.map(policyRequiresJwt);
+      if (needsJwt.some((v) => v !== needsJwt[0])) {
+        throw new Error(`Routes sharing ${routePath} must all use JWT or all not: ${methods.join(', ')}`);
+      }
+      api.addRoutes({
+        path: routePath,
+        methods,
+        integration,
+        ...(needsJwt[0] ? { authorizer: jwtAuthorizer } : {}),
+      });
+    };
+
     const defaultFnProps = {
       runtime: Runtime.NODEJS_18_X,
       handler: 'handler',
@@ -158,10 +265,19 @@ export class SavorSphereStack extends Stack {
       ...defaultFnProps,
       entry: lambdaEntry('lambdas', 'createPaymentIntent', 'index.mjs'),
       environment: {
-        STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY ?? ''
+        STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY ?? '',
+        STRIPE_API_BASE: process.env.STRIPE_API_BASE ?? '',
+        // Loyalty points are only priced for signed-in customers
+        CUSTOMER_SESSION_SECRET: process.env.CUSTOMER_SESSION_SECRET ?? ''
       }
     });
-    api.addRoutes({
+    // Amount is priced server-side from the cart
+    MenuItems.grantReadData(createPaymentIntentFn);
+    RestaurantSettings.grantReadData(createPaymentIntentFn);
+    Promotions.grantReadData(createPaymentIntentFn);
+    PromotionRedemptions.grantReadData(createPaymentIntentFn);
+    Customers.grantReadData(createPaymentIntentFn);
+    addRoute({
       path: '/payment/intent',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('CreatePaymentIntentInt', createPaymentIntentFn)
@@ -169,26 +285,59 @@ export class SavorSphereStack extends Stack {
 
     const createOrderFn = new NodejsFunction(this, 'CreateOrderFn', {
       ...defaultFnProps,
-      entry: lambdaEntry('lambdas', 'createOrder', 'index.mjs')
+      entry: lambdaEntry('lambdas', 'createOrder', 'index.mjs'),
+      environment: {
+        // Verifies the client's PaymentIntent before marking the order paid
+        STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY ?? '',
+        STRIPE_API_BASE: process.env.STRIPE_API_BASE ?? '',
+        // Links orders from signed-in customers to their profile
+        CUSTOMER_SESSION_SECRET: process.env.CUSTOMER_SESSION_SECRET ?? ''
+      }
     });
     Orders.grantReadWriteData(createOrderFn);
+    MenuItems.grantReadData(createOrderFn);
     OrderItems.grantReadWriteData(createOrderFn);
     Payments.grantReadWriteData(createOrderFn);
     RestaurantSettings.grantReadData(createOrderFn);
     OrderCounters.grantReadWriteData(createOrderFn);
-    api.addRoutes({
+    Customers.grantReadWriteData(createOrderFn);
+    Promotions.grantReadWriteData(createOrderFn);
+    PromotionRedemptions.grantReadWriteData(createOrderFn);
+    LoyaltyLedger.grantReadWriteData(createOrderFn);
+    addRoute({
       path: '/orders',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('CreateOrderInt', createOrderFn)
     });
 
+    // Stripe webhook (payment_intent.succeeded / payment_failed) - signature-verified, no JWT
+    const stripeWebhookFn = new NodejsFunction(this, 'StripeWebhookFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'stripeWebhook', 'index.mjs'),
+      environment: {
+        STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY ?? '',
+        STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET ?? '',
+        STRIPE_API_BASE: process.env.STRIPE_API_BASE ?? ''
+      }
+    });
+    Orders.grantReadWriteData(stripeWebhookFn);
+    Payments.grantReadWriteData(stripeWebhookFn);
+    addRoute({
+      path: '/stripe/webhook',
+      methods: [HttpMethod.POST],
+      integration: new HttpLambdaIntegration('StripeWebhookInt', stripeWebhookFn)
+    });
+
     const getOrderFn = new NodejsFunction(this, 'GetOrderFn', {
       ...defaultFnProps,
       entry: lambdaEntry('lambdas', 'getOrder', 'index.mjs')
     });
     Orders.grantReadData(getOrderFn);
     OrderItems.grantReadData(getOrderFn);
-    api.addRoutes({
+    // PIN-rotation check for kitchen tokens on GET /admin/order/{id}
+    RestaurantSettings.grantReadData(getOrderFn);
+    // Customer confirmation page - trimmed, PII-free view of the order
+    addRoute({
       path: '/order/{id}',
       methods: [HttpMethod.GET],
       integration: new HttpLambdaIntegration('GetOrderInt', getOrderFn)
@@ -199,13 +348,33 @@ export class SavorSphereStack extends Stack {
       entry: lambdaEntry('lambdas', 'updateOrder', 'index.mjs')
     });
     Orders.grantReadWriteData(updateOrderFn);
-    // Needed to enforce PIN-rotation invalidation for kitchen sessions
+    // Order edits rewrite line items and price added items from the menu
+    OrderItems.grantReadWriteData(updateOrderFn);
+    MenuItems.grantReadData(updateOrderFn);
+    // Needed to enforce PIN-rotation invalidation for kitchen sessions (and tax/delivery fee on edits)
     RestaurantSettings.grantReadData(updateOrderFn);
-    api.addRoutes({
-      path: '/order/{id}',
-      methods: [HttpMethod.PATCH],
-      integration: new HttpLambdaIntegration('UpdateOrderInt', updateOrderFn)
+    // Completed orders earn loyalty points; cancelled ones give spent points back
+    Customers.grantReadWriteData(updateOrderFn);
+    LoyaltyLedger.grantReadWriteData(updateOrderFn);
+    // Cancelled orders give their promotion uses back
+    Promotions.grantReadWriteData(updateOrderFn);
+    PromotionRedemptions.grantReadWriteData(updateOrderFn);
+
+    // Refunds (full or per line item) against the order's PaymentIntent - route added below
+    const refundOrderFn = new NodejsFunction(this, 'RefundOrderFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'refundOrder', 'index.mjs'),
+      environment: {
+        STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY ?? '',
+        STRIPE_API_BASE: process.env.STRIPE_API_BASE ?? ''
+      }
     });
+    Orders.grantReadWriteData(refundOrderFn);
+    OrderItems.grantReadData(refundOrderFn);
+    Payments.grantReadWriteData(refundOrderFn);
+    // Refunds reverse the order's loyalty points
+    Customers.grantReadWriteData(refundOrderFn);
+    LoyaltyLedger.grantReadWriteData(refundOrderFn);
 
     const getOrdersFn = new NodejsFunction(this, 'GetOrdersFn', {
       ...defaultFnProps,
@@ -215,19 +384,13 @@ export class SavorSphereStack extends Stack {
     OrderItems.grantReadData(getOrdersFn);
     // Needed to enforce PIN-rotation invalidation for kitchen sessions
     RestaurantSettings.grantReadData(getOrdersFn);
-    // GET /orders for listing orders (admin), POST /orders for creating orders (customer)
-    api.addRoutes({
-      path: '/orders',
-      methods: [HttpMethod.GET],
-      integration: new HttpLambdaIntegration('GetOrdersInt', getOrdersFn)
-    });
 
     const getMenuFn = new NodejsFunction(this, 'GetMenuFn', {
       ...defaultFnProps,
       entry: lambdaEntry('lambdas', 'getMenu', 'index.mjs')
     });
     MenuItems.grantReadData(getMenuFn);
-    api.addRoutes({
+    addRoute({
       path: '/menu',
       methods: [HttpMethod.GET],
       integration: new HttpLambdaIntegration('GetMenuInt', getMenuFn)
@@ -238,8 +401,8 @@ export class SavorSphereStack extends Stack {
       entry: lambdaEntry('lambdas', 'createMenuItem', 'index.mjs')
     });
     MenuItems.grantReadWriteData(createMenuItemFn);
-    api.addRoutes({
-      path: '/menu',
+    addRoute({
+      path: '/admin/menu',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('CreateMenuItemInt', createMenuItemFn)
     });
@@ -250,8 +413,8 @@ export class SavorSphereStack extends Stack {
     });
     MenuItems.grantReadWriteData(updateMenuItemFn);
 
-    api.addRoutes({
-      path: '/menu/{menuItemId}',
+    addRoute({
+      path: '/admin/menu/{menuItemId}',
       methods: [HttpMethod.PUT, HttpMethod.PATCH],
       integration: new HttpLambdaIntegration('UpdateMenuItemInt', updateMenuItemFn)
     });
@@ -261,8 +424,8 @@ export class SavorSphereStack extends Stack {
       entry: lambdaEntry('lambdas', 'deleteMenuItem', 'index.mjs')
     });
     MenuItems.grantReadWriteData(deleteMenuItemFn);
-    api.addRoutes({
-      path: '/menu/{menuItemId}',
+    addRoute({
+      path: '/admin/menu/{menuItemId}',
       methods: [HttpMethod.DELETE],
       integration: new HttpLambdaIntegration('DeleteMenuItemInt', deleteMenuItemFn)
     });
@@ -272,11 +435,17 @@ export class SavorSphereStack extends Stack {
       entry: lambdaEntry('lambdas', 'getSettings', 'index.mjs')
     });
     RestaurantSettings.grantReadData(getSettingsFn);
-    api.addRoutes({
+    addRoute({
       path: '/settings',
       methods: [HttpMethod.GET],
       integration: new HttpLambdaIntegration('GetSettingsInt', getSettingsFn)
     });
+    // Owner's full view of the record (the public route returns customer-facing fields only)
+    addRoute({
+      path: '/admin/settings',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('GetAdminSettingsInt', getSettingsFn)
+    });
 
     const updateSettingsFn = new NodejsFunction(this, 'UpdateSettingsFn', {
       ...defaultFnProps,
@@ -284,8 +453,8 @@ export class SavorSphereStack extends Stack {
     });
     RestaurantSettings.grantReadWriteData(updateSettingsFn);
 
-    api.addRoutes({
-      path: '/settings',
+    addRoute({
+      path: '/admin/settings',
       methods: [HttpMethod.PUT, HttpMethod.PATCH],
       integration: new HttpLambdaIntegration('UpdateSettingsInt', updateSettingsFn)
     });
@@ -296,6 +465,7 @@ export class SavorSphereStack extends Stack {
       entry: lambdaEntry('lambdas', 'sendOTP', 'index.mjs')
     });
     OTPCodes.grantReadWriteData(sendOTPFn);
+    RateLimits.grantReadWriteData(sendOTPFn);
     sendOTPFn.addToRolePolicy(
       new iam.PolicyStatement({
         effect: iam.Effect.ALLOW,
@@ -303,7 +473,7 @@ export class SavorSphereStack extends Stack {
         resources: ['*']
       })
     );
-    api.addRoutes({
+    addRoute({
       path: '/otp/send',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('SendOTPInt', sendOTPFn)
@@ -312,15 +482,50 @@ export class SavorSphereStack extends Stack {
     // Verify OTP Lambda
     const verifyOTPFn = new NodejsFunction(this, 'VerifyOTPFn', {
       ...defaultFnProps,
-      entry: lambdaEntry('lambdas', 'verifyOTP', 'index.mjs')
+      entry: lambdaEntry('lambdas', 'verifyOTP', 'index.mjs'),
+      environment: {
+        // A verified phone gets a customer profile + session token
+        CUSTOMER_SESSION_SECRET: process.env.CUSTOMER_SESSION_SECRET ?? '',
+        CUSTOMER_SESSION_TTL_SECONDS: process.env.CUSTOMER_SESSION_TTL_SECONDS ?? '',
+        DEFAULT_RESTAURANT_ID: process.env.DEFAULT_RESTAURANT_ID || 'rest-001',
+      }
     });
     OTPCodes.grantReadWriteData(verifyOTPFn);
-    api.addRoutes({
+    Customers.grantReadWriteData(verifyOTPFn);
+    addRoute({
       path: '/otp/verify',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('VerifyOTPInt', verifyOTPFn)
     });
 
+    // Customer accounts: profile, saved addresses, order history (session token from /otp/verify)
+    const customerAccountFn = new NodejsFunction(this, 'CustomerAccountFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'customerAccount', 'index.mjs'),
+      environment: {
+        CUSTOMER_SESSION_SECRET: process.env.CUSTOMER_SESSION_SECRET ?? '',
+      }
+    });
+    Customers.grantReadWriteData(customerAccountFn);
+    Orders.grantReadData(customerAccountFn);
+    OrderItems.grantReadData(customerAccountFn);
+    LoyaltyLedger.grantReadData(customerAccountFn);
+    addRoute({
+      path: '/customer/me',
+      methods: [HttpMethod.GET, HttpMethod.PATCH],
+      integration: new HttpLambdaIntegration('CustomerAccountInt', customerAccountFn)
+    });
+    addRoute({
+      path: '/customer/orders',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('CustomerOrdersInt', customerAccountFn)
+    });
+    addRoute({
+      path: '/customer/loyalty',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('CustomerLoyaltyInt', customerAccountFn)
+    });
+
     // Vapi → Lambda webhook that receives every phone order
     const vapiOrderWebhook = new NodejsFunction(this, 'VapiOrderWebhook', {
       functionName: 'vapiOrderWebhook',
@@ -332,7 +537,8 @@ export class SavorSphereStack extends Stack {
       logRetention: logs.RetentionDays.ONE_WEEK,
       environment: {
         TABLE_NAME: Orders.tableName,
-        VAPI_SHARED_SECRET: process.env.VAPI_SHARED_SECRET || ''
+        VAPI_SHARED_SECRET: process.env.VAPI_SHARED_SECRET || '',
+        VAPI_REQUIRE_SIGNATURE: process.env.VAPI_REQUIRE_SIGNATURE || 'false'
       },
       bundling: {
         target: 'es2022',
@@ -345,19 +551,48 @@ export class SavorSphereStack extends Stack {
     vapiOrderWebhook.addToRolePolicy(
       new iam.PolicyStatement({
         effect: iam.Effect.ALLOW,
-        actions: ['dynamodb:GetItem', 'dynamodb:PutItem'],
+        actions: ['dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:Scan'], // Scan: open orders for kitchen capacity
         resources: [Orders.tableArn],
       })
     );
     OrderItems.grantReadWriteData(vapiOrderWebhook);
     RestaurantSettings.grantReadData(vapiOrderWebhook);
+    MenuItems.grantReadData(vapiOrderWebhook);
     OrderCounters.grantReadWriteData(vapiOrderWebhook);
-    api.addRoutes({
+    // Phone orders attach to the caller's customer profile
+    Customers.grantReadWriteData(vapiOrderWebhook);
+    // Links the call's CallLogs record to the order it produced
+    CallLogs.grantReadWriteData(vapiOrderWebhook);
+    // Promo codes the caller reads out + automatic deals
+    Promotions.grantReadWriteData(vapiOrderWebhook);
+    PromotionRedemptions.grantReadWriteData(vapiOrderWebhook);
+    LoyaltyLedger.grantReadWriteData(vapiOrderWebhook);
+    addRoute({
       path: '/vapi/webhook',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('VapiOrderWebhookInt', vapiOrderWebhook)
     });
 
+    // Menu tool for Vapi (get_menu / check_item with fuzzy item matching)
+    const vapiMenuToolFn = new NodejsFunction(this, 'VapiMenuToolFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'vapiMenuTool', 'index.mjs'),
+      environment: {
+        // Fallback for Vapi calls that do not include assistant/call metadata
+        DEFAULT_RESTAURANT_ID: process.env.DEFAULT_RESTAURANT_ID || 'rest-001',
+        VAPI_SHARED_SECRET: process.env.VAPI_SHARED_SECRET || '',
+        VAPI_REQUIRE_SIGNATURE: process.env.VAPI_REQUIRE_SIGNATURE || 'false',
+      }
+    });
+    MenuItems.grantReadData(vapiMenuToolFn);
+    // Per-restaurant Vapi secret
+    RestaurantSettings.grantReadData(vapiMenuToolFn);
+    addRoute({
+      path: '/vapi/menu',
+      methods: [HttpMethod.POST],
+      integration: new HttpLambdaIntegration('VapiMenuToolInt', vapiMenuToolFn)
+    });
+
     // Address Lookup Lambda (phonetic/fuzzy matching for voice orders)
     const lookupAddressFn = new NodejsFunction(this, 'LookupAddressFn', {
       ...defaultFnProps,
@@ -367,15 +602,93 @@ export class SavorSphereStack extends Stack {
         // Fallback for Vapi calls that do not include assistant/call metadata
         // Override at deploy time by setting DEFAULT_RESTAURANT_ID in your environment.
         DEFAULT_RESTAURANT_ID: process.env.DEFAULT_RESTAURANT_ID || 'rest-001',
+        VAPI_SHARED_SECRET: process.env.VAPI_SHARED_SECRET || '',
+        VAPI_REQUIRE_SIGNATURE: process.env.VAPI_REQUIRE_SIGNATURE || 'false',
       }
     });
     StreetsByZip.grantReadData(lookupAddressFn);
-    api.addRoutes({
+    // Per-restaurant Vapi secret
+    RestaurantSettings.grantReadData(lookupAddressFn);
+    addRoute({
       path: '/address/lookup',
       methods: [HttpMethod.POST],
       integration: new HttpLambdaIntegration('LookupAddressInt', lookupAddressFn)
     });
 
+    // Call lifecycle messages from Vapi (status-update / end-of-call-report) -> CallLogs
+    const vapiCallEventsFn = new NodejsFunction(this, 'VapiCallEventsFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'vapiCallEvents', 'index.mjs'),
+      environment: {
+        // Fallback for Vapi calls that do not include assistant/call metadata
+        DEFAULT_RESTAURANT_ID: process.env.DEFAULT_RESTAURANT_ID || 'rest-001',
+        VAPI_SHARED_SECRET: process.env.VAPI_SHARED_SECRET || '',
+        VAPI_REQUIRE_SIGNATURE: process.env.VAPI_REQUIRE_SIGNATURE || 'false',
+      }
+    });
+    CallLogs.grantReadWriteData(vapiCallEventsFn);
+    // Per-restaurant Vapi secret
+    RestaurantSettings.grantReadData(vapiCallEventsFn);
+    addRoute({
+      path: '/vapi/events',
+      methods: [HttpMethod.POST],
+      integration: new HttpLambdaIntegration('VapiCallEventsInt', vapiCallEventsFn)
+    });
+
+    // Caller lookup for Vapi (lookup_customer: name, last address, recent orders by caller ID)
+    const lookupCustomerFn = new NodejsFunction(this, 'LookupCustomerFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'lookupCustomer', 'index.mjs'),
+      environment: {
+        // Fallback for Vapi calls that do not include assistant/call metadata
+        DEFAULT_RESTAURANT_ID: process.env.DEFAULT_RESTAURANT_ID || 'rest-001',
+        VAPI_SHARED_SECRET: process.env.VAPI_SHARED_SECRET || '',
+        VAPI_REQUIRE_SIGNATURE: process.env.VAPI_REQUIRE_SIGNATURE || 'false',
+      }
+    });
+    Customers.grantReadData(lookupCustomerFn);
+    Orders.grantReadData(lookupCustomerFn);
+    OrderItems.grantReadData(lookupCustomerFn);
+    // Per-restaurant Vapi secret
+    RestaurantSettings.grantReadData(lookupCustomerFn);
+    addRoute({
+      path: '/vapi/customer',
+      methods: [HttpMethod.POST],
+      integration: new HttpLambdaIntegration('LookupCustomerInt', lookupCustomerFn)
+    });
+
+    // Forged / unsigned Vapi calls log a VAPI_AUTH_FAILURE line (utils/vapi-auth.mjs).
+    // Count them per function and alarm on a burst; wire the alarm to SNS/PagerDuty as needed.
+    // All of them feed the same metric, so one alarm covers them.
+    [
+      ['VapiWebhook', vapiOrderWebhook],
+      ['VapiMenuTool', vapiMenuToolFn],
+      ['LookupAddress', lookupAddressFn],
+      ['LookupCustomer', lookupCustomerFn],
+      ['VapiCallEvents', vapiCallEventsFn],
+    ].forEach(([name, fn]) => new logs.MetricFilter(this, `${name}AuthFailureFilter`, {
+      logGroup: fn.logGroup,
+      filterPattern: logs.FilterPattern.anyTerm('VAPI_AUTH_FAILURE'),
+      metricNamespace: 'SavorSphere',
+      metricName: 'VapiAuthFailures',
+      metricValue: '1',
+    }));
+
+    new cloudwatch.Alarm(this, 'VapiAuthFailureAlarm', {
+      alarmName: 'savor-vapi-auth-failures',
+      alarmDescription: 'Vapi endpoints are rejecting requests (bad/missing secret or signature, replayed timestamps)',
+      metric: new cloudwatch.Metric({
+        namespace: 'SavorSphere',
+        metricName: 'VapiAuthFailures',
+        statistic: 'Sum',
+        period: Duration.minutes(5),
+      }),
+      threshold: 5,
+      evaluationPeriods: 1,
+      comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+      treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+    });
+
     // =========================================================================
     // KITCHEN PIN MANAGEMENT (JWT-protected admin routes + public session route)
     // =========================================================================
@@ -386,11 +699,11 @@ export class SavorSphereStack extends Stack {
       entry: lambdaEntry('lambdas', 'kitchenPin', 'getPin.mjs'),
     });
     RestaurantSettings.grantReadData(getKitchenPinFn);
-    api.addRoutes({
+    RateLimits.grantReadData(getKitchenPinFn);
+    addRoute({
       path: '/kitchen/pin',
       methods: [HttpMethod.GET],
-      integration: new HttpLambdaIntegration('GetKitchenPinInt', getKitchenPinFn),
-      authorizer: jwtAuthorizer,
+      integration: new HttpLambdaIntegration('GetKitchenPinInt', getKitchenPinFn)
     });
 
     // POST /kitchen/pin - Regenerate PIN (protected, requires admin JWT)
@@ -402,6 +715,7 @@ export class SavorSphereStack extends Stack {
       },
     });
     RestaurantSettings.grantReadWriteData(regenerateKitchenPinFn);
+    RateLimits.grantReadWriteData(regenerateKitchenPinFn);
     // Grant Cognito admin permissions for user management
     regenerateKitchenPinFn.addToRolePolicy(
       new iam.PolicyStatement({
@@ -415,11 +729,10 @@ export class SavorSphereStack extends Stack {
         resources: [userPool.userPoolArn],
       })
     );
-    api.addRoutes({
+    addRoute({
       path: '/kitchen/pin',
       methods: [HttpMethod.POST],
-      integration: new HttpLambdaIntegration('RegenerateKitchenPinInt', regenerateKitchenPinFn),
-      authorizer: jwtAuthorizer,
+      integration: new HttpLambdaIntegration('RegenerateKitchenPinInt', regenerateKitchenPinFn)
     });
 
     // POST /kitchen/session - Exchange PIN for tokens (PUBLIC - no JWT required)
@@ -431,6 +744,7 @@ export class SavorSphereStack extends Stack {
         KITCHEN_CLIENT_ID: kitchenClient.userPoolClientId,
       },
     });
+    RateLimits.grantReadWriteData(kitchenSessionFn);
     // Grant Cognito auth permissions
     kitchenSessionFn.addToRolePolicy(
       new iam.PolicyStatement({
@@ -441,40 +755,174 @@ export class SavorSphereStack extends Stack {
         resources: [userPool.userPoolArn],
       })
     );
-    api.addRoutes({
+    addRoute({
       path: '/kitchen/session',
       methods: [HttpMethod.POST],
-      integration: new HttpLambdaIntegration('KitchenSessionInt', kitchenSessionFn),
-      // No authorizer - this is the login endpoint
+      integration: new HttpLambdaIntegration('KitchenSessionInt', kitchenSessionFn)
     });
 
     // =========================================================================
-    // ADD JWT PROTECTION TO ADMIN/KITCHEN ROUTES
+    // ADMIN / KITCHEN ORDER ROUTES (JWT - see ROUTE_POLICIES)
     // =========================================================================
-    // Note: GET /orders and PATCH /order/{id} are used by KitchenView
-    // We'll add a second route with JWT protection for admin/kitchen use
-    // The existing routes remain for backward compatibility during migration
+    // The old unauthenticated GET /orders and PATCH /order/{id} are gone; the
+    // dashboard and KitchenView both call /admin/* with their tokens.
 
-    // Protected GET /orders (admin/kitchen)
-    api.addRoutes({
+    // GET /admin/orders (admin or kitchen)
+    addRoute({
       path: '/admin/orders',
       methods: [HttpMethod.GET],
-      integration: new HttpLambdaIntegration('GetOrdersProtectedInt', getOrdersFn),
-      authorizer: jwtAuthorizer,
+      integration: new HttpLambdaIntegration('GetOrdersProtectedInt', getOrdersFn)
+    });
+
+    // GET /admin/order/{id} - full order incl. customer details (admin or kitchen)
+    addRoute({
+      path: '/admin/order/{id}',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('GetOrderProtectedInt', getOrderFn)
     });
 
-    // Protected PATCH /order/{id} (admin/kitchen)
-    api.addRoutes({
+    // PATCH /admin/order/{id} (admin or kitchen)
+    addRoute({
       path: '/admin/order/{id}',
       methods: [HttpMethod.PATCH],
-      integration: new HttpLambdaIntegration('UpdateOrderProtectedInt', updateOrderFn),
-      authorizer: jwtAuthorizer,
+      integration: new HttpLambdaIntegration('UpdateOrderProtectedInt', updateOrderFn)
+    });
+
+    // POST /admin/order/{id}/refund (owner only)
+    addRoute({
+      path: '/admin/order/{id}/refund',
+      methods: [HttpMethod.POST],
+      integration: new HttpLambdaIntegration('RefundOrderInt', refundOrderFn)
+    });
+
+    // GET /admin/calls, GET /admin/calls/{callId} - call logs with transcript/recording (owner only)
+    const getCallLogsFn = new NodejsFunction(this, 'GetCallLogsFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'getCallLogs', 'index.mjs')
+    });
+    CallLogs.grantReadData(getCallLogsFn);
+    addRoute({
+      path: '/admin/calls',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('GetCallLogsInt', getCallLogsFn)
+    });
+    addRoute({
+      path: '/admin/calls/{callId}',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('GetCallLogInt', getCallLogsFn)
+    });
+
+    // GET/POST /admin/promotions, PUT/DELETE /admin/promotions/{promotionId} (owner only)
+    const promotionsFn = new NodejsFunction(this, 'PromotionsFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'promotions', 'index.mjs')
+    });
+    Promotions.grantReadWriteData(promotionsFn);
+    addRoute({
+      path: '/admin/promotions',
+      methods: [HttpMethod.GET, HttpMethod.POST],
+      integration: new HttpLambdaIntegration('PromotionsInt', promotionsFn)
+    });
+    addRoute({
+      path: '/admin/promotions/{promotionId}',
+      methods: [HttpMethod.PUT, HttpMethod.DELETE],
+      integration: new HttpLambdaIntegration('PromotionInt', promotionsFn)
+    });
+
+    // GET /admin/loyalty, GET/POST /admin/loyalty/{phone} - balances, ledger, manual adjustments (owner only)
+    const loyaltyFn = new NodejsFunction(this, 'LoyaltyFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'loyalty', 'index.mjs')
+    });
+    Customers.grantReadWriteData(loyaltyFn);
+    LoyaltyLedger.grantReadWriteData(loyaltyFn);
+    addRoute({
+      path: '/admin/loyalty',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('LoyaltyInt', loyaltyFn)
+    });
+    addRoute({
+      path: '/admin/loyalty/{phone}',
+      methods: [HttpMethod.GET, HttpMethod.POST],
+      integration: new HttpLambdaIntegration('LoyaltyMemberInt', loyaltyFn)
+    });
+
+    // =========================================================================
+    // REPORTS
+    // =========================================================================
+
+    // Rebuilds today + yesterday for every restaurant; invoke with
+    // { restaurantId, from, to } (or run scripts/backfill-daily-reports.mjs) for history
+    const buildDailyReportsFn = new NodejsFunction(this, 'BuildDailyReportsFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'buildDailyReports', 'index.mjs'),
+      memorySize: 512,
+      timeout: Duration.minutes(5),
+    });
+    Orders.grantReadData(buildDailyReportsFn);
+    OrderItems.grantReadData(buildDailyReportsFn);
+    CallLogs.grantReadData(buildDailyReportsFn);
+    RestaurantSettings.grantReadData(buildDailyReportsFn);
+    DailyReports.grantReadWriteData(buildDailyReportsFn);
+    new events.Rule(this, 'BuildDailyReportsSchedule', {
+      schedule: events.Schedule.rate(Duration.hours(1)),
+      targets: [new targets.LambdaFunction(buildDailyReportsFn)],
+    });
+
+    // GET /admin/reports (owner only)
+    const getReportsFn = new NodejsFunction(this, 'GetReportsFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'getReports', 'index.mjs')
+    });
+    DailyReports.grantReadData(getReportsFn);
+    RestaurantSettings.grantReadData(getReportsFn);
+    addRoute({
+      path: '/admin/reports',
+      methods: [HttpMethod.GET],
+      integration: new HttpLambdaIntegration('GetReportsInt', getReportsFn)
+    });
+
+    // =========================================================================
+    // KITCHEN REALTIME (WebSocket push; KitchenView polls only while disconnected)
+    // =========================================================================
+
+    const kitchenSocketFn = new NodejsFunction(this, 'KitchenSocketFn', {
+      ...defaultFnProps,
+      entry: lambdaEntry('lambdas', 'kitchenSocket', 'index.mjs'),
+      environment: {
+        USER_POOL_ID: userPool.userPoolId,
+        KITCHEN_CLIENT_ID: kitchenClient.userPoolClientId,
+      },
+    });
+    KitchenConnections.grantReadWriteData(kitchenSocketFn);
+    // Needed to enforce PIN-rotation invalidation for kitchen sessions
+    RestaurantSettings.grantReadData(kitchenSocketFn);
+
+    const kitchenSocketInt = new WebSocketLambdaIntegration('KitchenSocketInt', kitchenSocketFn);
+    const kitchenSocketApi = new WebSocketApi(this, 'KitchenSocketApi', {
+      connectRouteOptions: { integration: kitchenSocketInt },
+      disconnectRouteOptions: { integration: kitchenSocketInt },
+      defaultRouteOptions: { integration: kitchenSocketInt },
+    });
+    const kitchenSocketStage = new WebSocketStage(this, 'KitchenSocketStage', {
+      webSocketApi: kitchenSocketApi,
+      stageName: 'prod',
+      autoDeploy: true,
+    });
+
+    // Every order writer pushes order.created / order.updated / order.cancelled
+    [createOrderFn, vapiOrderWebhook, updateOrderFn, stripeWebhookFn].forEach((fn) => {
+      fn.addEnvironment('KITCHEN_SOCKET_ENDPOINT', kitchenSocketStage.callbackUrl);
+      KitchenConnections.grantReadWriteData(fn);
+      kitchenSocketStage.grantManagementApiAccess(fn);
     });
 
     // =========================================================================
     // OUTPUTS
     // =========================================================================
     new CfnOutput(this, 'ApiUrl', { value: api.apiEndpoint });
+    // REACT_APP_KITCHEN_WS_URL for the admin dashboard
+    new CfnOutput(this, 'KitchenSocketUrl', { value: kitchenSocketStage.url });
     new CfnOutput(this, 'UserPoolId', { value: userPool.userPoolId });
     new CfnOutput(this, 'UserPoolArn', { value: userPool.userPoolArn });
     new CfnOutput(this, 'AdminClientId', { value: adminClient.userPoolClientId });
@@ -0,0 +1,55 @@
+/**
+ * Backfill (or rebuild) DailyReports rows for a restaurant.
+ *
+ * The scheduled buildDailyReports Lambda only keeps today and yesterday fresh;
+ * run this once after deploying Reports, and again after fixing historical data.
+ * Rebuilds are from scratch, so re-running a range is safe.
+ *
+ * Usage:
+ *   node scripts/backfill-daily-reports.mjs --restaurant rest-001
+ *   node scripts/backfill-daily-reports.mjs --restaurant rest-001 --from 2025-01-01 --to 2025-12-31
+ *   node scripts/backfill-daily-reports.mjs --restaurant rest-001 --days 90
+ */
+
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { rebuildDailyReports, addDays } from "../lambdas/utils/daily-reports.mjs";
+import { getRestaurantTimezone, getLocalTimeParts } from "../lambdas/utils/order-policy.mjs";
+
+function getArg(key, fallback) {
+  const args = process.argv.slice(2);
+  const eq = args.find(a => a.startsWith(`${key}=`));
+  if (eq) return eq.split('=')[1];
+  const idx = args.indexOf(key);
+  if (idx !== -1 && idx + 1 < args.length) return args[idx + 1];
+  return fallback;
+}
+
+const restaurantId = getArg('--restaurant', process.env.RESTAURANT_ID);
+if (!restaurantId) {
+  console.error('Missing --restaurant (or RESTAURANT_ID)');
+  process.exit(1);
+}
+
+const ddb = new DynamoDBClient({ region: process.env.AWS_REGION || "us-east-2" });
+
+const { Item } = await ddb.send(new GetItemCommand({
+  TableName: "RestaurantSettings",
+  Key: { settingId: { S: `restaurant-config-${restaurantId}` } },
+  ProjectionExpression: "timezone",
+}));
+const timeZone = getRestaurantTimezone(Item ? unmarshall(Item) : {});
+const today = getLocalTimeParts(new Date(), timeZone).dateKey;
+
+const to = getArg('--to', today);
+const from = getArg('--from', addDays(to, -(Number(getArg('--days', 365)) - 1)));
+
+// A month per pass keeps each Orders query (and memory) bounded
+console.log(`Rebuilding ${restaurantId} ${from}..${to} (${timeZone})`);
+for (let start = from; start <= to; start = addDays(start, 31)) {
+  const end = addDays(start, 30) < to ? addDays(start, 30) : to;
+  const rows = await rebuildDailyReports(ddb, { restaurantId, timeZone, from: start, to: end });
+  const orders = rows.reduce((sum, r) => sum + r.orderCount, 0);
+  console.log(`  ${start}..${end}: ${rows.length} days, ${orders} orders`);
+}
+console.log('Done.');
@@ -0,0 +1,223 @@
+/**
+ * Backfill the Orders table for the tenant/date and status GSIs, then create them.
+ *
+ * getOrders, kitchen capacity and daily reports query Orders through
+ * restaurantId-createdAt-index and restaurantId-status-index
+ * (lambdas/utils/order-index.mjs). A GSI only holds rows that have its key
+ * attributes as strings, so older orders need:
+ *   - restaurantId (single-tenant rows never stored one) - set from --restaurant
+ *   - createdAt as an ISO string (falls back to `date`, then the ord_<ms> id)
+ *   - status (getOrders always treated a missing status as "new")
+ *
+ * Then any missing index is added (one at a time; DynamoDB builds it in the
+ * background and this waits until it's ACTIVE). Safe to re-run.
+ *
+ * Usage:
+ *   node scripts/backfill-order-index.mjs --restaurant rest-001 --dry-run
+ *   node scripts/backfill-order-index.mjs --restaurant rest-001
+ *   node scripts/backfill-order-index.mjs --skip-indexes     (rows only)
+ */
+
+import {
+  DynamoDBClient,
+  ScanCommand,
+  UpdateItemCommand,
+  DescribeTableCommand,
+  UpdateTableCommand,
+} from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import {
+  ORDERS_TABLE,
+  ORDERS_BY_CREATED_INDEX,
+  ORDERS_BY_STATUS_INDEX,
+} from "../lambdas/utils/order-index.mjs";
+
+function getArg(key, fallback) {
+  const args = process.argv.slice(2);
+  const eq = args.find(a => a.startsWith(`${key}=`));
+  if (eq) return eq.split('=')[1];
+  const idx = args.indexOf(key);
+  if (idx !== -1 && idx + 1 < args.length) return args[idx + 1];
+  return fallback;
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const skipIndexes = args.includes('--skip-indexes');
+const defaultRestaurantId = getArg('--restaurant', process.env.RESTAURANT_ID || '');
+
+const ddb = new DynamoDBClient({ region: process.env.AWS_REGION || "us-east-2" });
+
+const INDEXES = [
+  { name: ORDERS_BY_CREATED_INDEX, sortKey: 'createdAt' },
+  { name: ORDERS_BY_STATUS_INDEX, sortKey: 'status' },
+];
+
+const INDEX_POLL_MS = 15000;
+
+// ============================================================================
+// ROW BACKFILL
+// ============================================================================
+
+function toIsoOrNull(value) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Same fallbacks getOrders uses when displaying a bad createdAt
+function resolveCreatedAt(order) {
+  const direct = toIsoOrNull(order.createdAt) || toIsoOrNull(order.date);
+  if (direct) return direct;
+  if (typeof order.orderId === 'string' && order.orderId.startsWith('ord_')) {
+    const ms = parseInt(order.orderId.replace('ord_', ''), 10);
+    if (ms > 0) return toIsoOrNull(ms);
+  }
+  return null;
+}
+
+function planUpdate(order) {
+  const set = {};
+  if (!order.restaurantId && defaultRestaurantId) {
+    set.restaurantId = defaultRestaurantId;
+  }
+  if (typeof order.createdAt !== 'string' || toIsoOrNull(order.createdAt) !== order.createdAt) {
+    const createdAt = resolveCreatedAt(order);
+    if (createdAt) set.createdAt = createdAt;
+  }
+  if (!order.status || typeof order.status !== 'string') {
+    set.status = 'new';
+  }
+  return set;
+}
+
+async function backfillRows() {
+  const stats = { scanned: 0, updated: 0, missingRestaurant: 0, unresolvedCreatedAt: 0 };
+  let lastEvaluatedKey;
+
+  do {
+    const result = await ddb.send(new ScanCommand({
+      TableName: ORDERS_TABLE,
+      ExclusiveStartKey: lastEvaluatedKey,
+    }));
+    for (const order of (result.Items || []).map(unmarshall)) {
+      stats.scanned++;
+      const set = planUpdate(order);
+      if (!order.restaurantId && !set.restaurantId) stats.missingRestaurant++;
+      if (!set.createdAt && toIsoOrNull(order.createdAt) !== order.createdAt) stats.unresolvedCreatedAt++;
+
+      const fields = Object.keys(set);
+      if (fields.length === 0) continue;
+
+      console.log(`  ${order.orderId}: ${fields.map(f => `${f}=${set[f]}`).join(', ')}`);
+      stats.updated++;
+      if (dryRun) continue;
+
+      const names = {};
+      const values = {};
+      const assignments = fields.map((field, i) => {
+        names[`#f${i}`] = field;
+        values[`:v${i}`] = set[field];
+        return `#f${i} = :v${i}`;
+      });
+      await ddb.send(new UpdateItemCommand({
+        TableName: ORDERS_TABLE,
+        Key: marshall({ orderId: order.orderId }),
+        UpdateExpression: `SET ${assignments.join(', ')}`,
+        ConditionExpression: 'attribute_exists(orderId)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: marshall(values),
+      }));
+    }
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return stats;
+}
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+async function describeOrders() {
+  const { Table } = await ddb.send(new DescribeTableCommand({ TableName: ORDERS_TABLE }));
+  return Table;
+}
+
+async function waitForIndex(indexName) {
+  for (;;) {
+    const table = await describeOrders();
+    const index = (table.GlobalSecondaryIndexes || []).find(i => i.IndexName === indexName);
+    const status = index?.IndexStatus || 'MISSING';
+    console.log(`  ${indexName}: ${status}${index?.Backfilling ? ' (backfilling)' : ''}`);
+    if (status === 'ACTIVE' && table.TableStatus === 'ACTIVE') return;
+    await new Promise(r => setTimeout(r, INDEX_POLL_MS));
+  }
+}
+
+async function ensureIndexes() {
+  for (const { name, sortKey } of INDEXES) {
+    const table = await describeOrders();
+    if ((table.GlobalSecondaryIndexes || []).some(i => i.IndexName === name)) {
+      console.log(`  ${name}: exists`);
+      await waitForIndex(name);
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  ${name}: would create`);
+      continue;
+    }
+
+    // Provisioned tables need throughput on the new index too
+    const provisioned = table.BillingModeSummary?.BillingMode !== 'PAY_PER_REQUEST' && table.ProvisionedThroughput?.ReadCapacityUnits;
+    console.log(`  ${name}: creating`);
+    await ddb.send(new UpdateTableCommand({
+      TableName: ORDERS_TABLE,
+      AttributeDefinitions: [
+        { AttributeName: 'restaurantId', AttributeType: 'S' },
+        { AttributeName: sortKey, AttributeType: 'S' },
+      ],
+      GlobalSecondaryIndexUpdates: [{
+        Create: {
+          IndexName: name,
+          KeySchema: [
+            { AttributeName: 'restaurantId', KeyType: 'HASH' },
+            { AttributeName: sortKey, KeyType: 'RANGE' },
+          ],
+          Projection: { ProjectionType: 'ALL' },
+          ...(provisioned ? {
+            ProvisionedThroughput: {
+              ReadCapacityUnits: table.ProvisionedThroughput.ReadCapacityUnits,
+              WriteCapacityUnits: table.ProvisionedThroughput.WriteCapacityUnits,
+            },
+          } : {}),
+        },
+      }],
+    }));
+    // DynamoDB only builds one new index per table at a time
+    await waitForIndex(name);
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+console.log(`Backfilling ${ORDERS_TABLE}${dryRun ? ' (dry run)' : ''}`);
+if (!defaultRestaurantId) {
+  console.log('  No --restaurant given: rows without restaurantId are reported, not fixed');
+}
+const stats = await backfillRows();
+console.log(`Rows: ${stats.scanned} scanned, ${stats.updated} ${dryRun ? 'to update' : 'updated'}`);
+if (stats.missingRestaurant > 0) {
+  console.warn(`  ${stats.missingRestaurant} orders still have no restaurantId (pass --restaurant)`);
+}
+if (stats.unresolvedCreatedAt > 0) {
+  console.warn(`  ${stats.unresolvedCreatedAt} orders have no usable createdAt and won't be listed`);
+}
+
+if (!skipIndexes) {
+  console.log('Indexes:');
+  await ensureIndexes();
+}
+console.log('Done.');
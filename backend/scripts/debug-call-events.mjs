@@ -0,0 +1,100 @@
+/**
+ * Debug script: replay recorded Vapi server messages against /vapi/events.
+ *
+ * Posts the status-update and end-of-call-report fixtures in scripts/fixtures/
+ * (in call order) and prints each response, so the CallLogs ingestion can be
+ * tested without placing a real call. Then check the call in the dashboard's
+ * Call Logs tab, or GET /admin/calls/{callId}.
+ *
+ * Usage:
+ *   node scripts/debug-call-events.mjs
+ *   node scripts/debug-call-events.mjs --url https://.../vapi/events
+ *   node scripts/debug-call-events.mjs --fixture scripts/fixtures/vapi-end-of-call-report.json
+ *   node scripts/debug-call-events.mjs --callId call_test_42           (overrides call.id in every fixture)
+ *   node scripts/debug-call-events.mjs --secret <vapi-secret>          (sends x-vapi-secret)
+ *   node scripts/debug-call-events.mjs --secret <vapi-secret> --sign   (sends x-vapi-timestamp + x-vapi-signature)
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { signVapiPayload } from '../lambdas/utils/vapi-auth.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function getArg(key, fallback) {
+  const args = process.argv.slice(2);
+  const eq = args.find(a => a.startsWith(`${key}=`));
+  if (eq) return eq.split('=')[1];
+  const idx = args.indexOf(key);
+  if (idx !== -1 && idx + 1 < args.length) return args[idx + 1];
+  return fallback;
+}
+
+const endpointUrl = getArg('--url', 'https://b850esmck5.execute-api.us-east-2.amazonaws.com/vapi/events');
+const fixtureArg = getArg('--fixture', '');
+const callIdOverride = getArg('--callId', '');
+
+const fixtures = fixtureArg
+  ? [fixtureArg]
+  : [
+      join(__dirname, 'fixtures', 'vapi-status-update.json'),
+      join(__dirname, 'fixtures', 'vapi-end-of-call-report.json'),
+    ];
+
+// Vapi endpoints reject requests without the shared secret or a valid signature
+const vapiSecret = getArg('--secret', process.env.VAPI_SECRET || '');
+const signRequest = process.argv.slice(2).includes('--sign');
+
+function vapiAuthHeaders(body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!vapiSecret) return headers;
+  if (signRequest) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['x-vapi-timestamp'] = timestamp;
+    headers['x-vapi-signature'] = signVapiPayload(vapiSecret, timestamp, body);
+  } else {
+    headers['x-vapi-secret'] = vapiSecret;
+  }
+  return headers;
+}
+
+for (const file of fixtures) {
+  const payload = JSON.parse(readFileSync(file, 'utf8'));
+  if (callIdOverride && payload?.message?.call) {
+    payload.message.call.id = callIdOverride;
+  }
+  const rawBody = JSON.stringify(payload);
+
+  const start = Date.now();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 20_000);
+
+  let res;
+  let text = '';
+  try {
+    res = await fetch(endpointUrl, {
+      method: 'POST',
+      headers: vapiAuthHeaders(rawBody),
+      body: rawBody,
+      signal: controller.signal
+    });
+    text = await res.text();
+  } catch (e) {
+    console.error('Request failed:', e?.name, e?.message);
+    process.exit(1);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  console.log(`--- ${payload?.message?.type || 'unknown'} (${file}) ---`);
+  console.log('URL:', endpointUrl);
+  console.log('Call ID:', payload?.message?.call?.id || '(none)');
+  console.log('HTTP:', res.status, res.statusText);
+  console.log('Duration(ms):', Date.now() - start);
+  console.log('Body:', text.slice(0, 500));
+  console.log(res.ok ? '✅ Accepted' : '❌ Rejected');
+  console.log('');
+
+  if (!res.ok) process.exitCode = 1;
+}
@@ -8,9 +8,12 @@
  *   node scripts/debug-submit-order-toolcall.mjs
  *   node scripts/debug-submit-order-toolcall.mjs --mode args
  *   node scripts/debug-submit-order-toolcall.mjs --url https://...lambda-url.../ --mode args
+ *   node scripts/debug-submit-order-toolcall.mjs --secret <vapi-secret>          (sends x-vapi-secret)
+ *   node scripts/debug-submit-order-toolcall.mjs --secret <vapi-secret> --sign   (sends x-vapi-timestamp + x-vapi-signature)
  */
 
 import { URL } from 'url';
+import { signVapiPayload } from '../lambdas/utils/vapi-auth.mjs';
 
 function getArg(key, fallback) {
   const args = process.argv.slice(2);
@@ -97,14 +100,32 @@ const controller = new AbortController();
 const timeoutMs = 20_000;
 const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
+// Vapi endpoints reject requests without the shared secret or a valid signature
+const vapiSecret = getArg('--secret', process.env.VAPI_SECRET || '');
+const signRequest = process.argv.slice(2).includes('--sign');
+const rawBody = JSON.stringify(payload);
+
+function vapiAuthHeaders(body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!vapiSecret) return headers;
+  if (signRequest) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['x-vapi-timestamp'] = timestamp;
+    headers['x-vapi-signature'] = signVapiPayload(vapiSecret, timestamp, body);
+  } else {
+    headers['x-vapi-secret'] = vapiSecret;
+  }
+  return headers;
+}
+
 let res;
 let text = '';
 let durationMs = 0;
 try {
   res = await fetch(endpointUrl, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
+    headers: vapiAuthHeaders(rawBody),
+    body: rawBody,
     signal: controller.signal
   });
   text = await res.text();
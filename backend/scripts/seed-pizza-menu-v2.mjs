@@ -65,6 +65,8 @@ const PIZZA_ITEMS = [
       wholeToppings: ["Fresh Mozzarella", "Tomatoes", "Basil"],
       modifiers: [],
     },
+    // Included toppings are priced into the specialty; removals are free, swaps even
+    recipe: { includedToppings: ["Fresh Mozzarella", "Tomatoes", "Basil"] },
   },
   {
     itemId: "pizza-pepperoni",
@@ -78,6 +80,8 @@ const PIZZA_ITEMS = [
       wholeToppings: ["Pepperoni", "Extra Cheese"],
       modifiers: [],
     },
+    // Included toppings are priced into the specialty; removals are free, swaps even
+    recipe: { includedToppings: ["Pepperoni"] },
   },
   {
     itemId: "pizza-meat-lovers",
@@ -91,6 +95,8 @@ const PIZZA_ITEMS = [
       wholeToppings: ["Pepperoni", "Sausage", "Bacon", "Ham"],
       modifiers: [],
     },
+    // Included toppings are priced into the specialty; removals are free, swaps even
+    recipe: { includedToppings: ["Pepperoni", "Sausage", "Bacon", "Ham"] },
   },
   {
     itemId: "pizza-veggie",
@@ -104,6 +110,8 @@ const PIZZA_ITEMS = [
       wholeToppings: ["Mushrooms", "Onions", "Green Peppers", "Black Olives", "Tomatoes"],
       modifiers: [],
     },
+    // Included toppings are priced into the specialty; removals are free, swaps even
+    recipe: { includedToppings: ["Mushrooms", "Onions", "Green Peppers", "Black Olives", "Tomatoes"] },
   },
 ];
 
@@ -162,6 +170,22 @@ const PIZZA_CONFIG = {
   },
 };
 
+// Combo deals (bundle price; components point at the items above by base id)
+const COMBO_ITEMS = [
+  {
+    itemId: "combo-2-large-wings",
+    name: "2 Large 1-Topping + Wings",
+    description: "Two large one-topping pizzas and a dozen buffalo wings",
+    category: "Combos",
+    sortOrder: 50,
+    bundlePriceCents: 3699,
+    components: [
+      { componentId: "pizza", type: "pizza", label: "Large 1-Topping Pizza", quantity: 2, pizzaItemId: "pizza-byo", size: "Large", includedToppings: 1 },
+      { componentId: "wings", type: "item", label: "Buffalo Wings", quantity: 1, itemId: "buffalo-wings" },
+    ],
+  },
+];
+
 // Some v1 items to seed as well (for testing mixed menus)
 const V1_ITEMS = [
   {
@@ -258,6 +282,7 @@ async function seedRestaurant(restaurantId) {
   const seedBaseIds = [
     ...PIZZA_ITEMS.map(p => p.itemId),
     ...V1_ITEMS.map(v => v.itemId),
+    ...COMBO_ITEMS.map(c => c.itemId),
   ];
 
   let deletedLegacy = 0;
@@ -325,6 +350,32 @@ async function seedRestaurant(restaurantId) {
     }
   }
 
+  // Seed combos (v2)
+  for (const combo of COMBO_ITEMS) {
+    const baseItemId = combo.itemId;
+    const fullItem = {
+      ...combo,
+      itemId: buildMenuItemPk(restaurantId, baseItemId),
+      schemaVersion: 2,
+      kind: "combo",
+      available: true,
+      image: "",
+      menuItemId: baseItemId,
+      baseItemId,
+      restaurantId,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const success = await seedMenuItem(fullItem);
+    if (success) {
+      console.log(`  ✅ ${combo.name} (v2 combo)`);
+      successCount++;
+    } else {
+      failCount++;
+    }
+  }
+
   console.log(`\n  📊 Summary: ${successCount} succeeded, ${failCount} failed`);
   return { successCount, failCount };
 }
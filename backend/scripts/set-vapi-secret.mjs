@@ -0,0 +1,51 @@
+/**
+ * Set (or rotate) a restaurant's Vapi secret.
+ *
+ * Generates a random secret, stores it on RestaurantSettings as vapiSecret, and
+ * prints it once. Paste it into the assistant's server secret in Vapi (sent as
+ * x-vapi-secret) or use it to sign requests (x-vapi-timestamp + x-vapi-signature).
+ * Once set, the global VAPI_SHARED_SECRET no longer works for this restaurant.
+ *
+ * Usage:
+ *   node scripts/set-vapi-secret.mjs --restaurant rest-001
+ *   node scripts/set-vapi-secret.mjs --restaurant rest-001 --require-signature true
+ *   node scripts/set-vapi-secret.mjs --restaurant rest-001 --secret <existing-secret>
+ */
+
+import { randomBytes } from "crypto";
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+
+function getArg(key, fallback) {
+  const args = process.argv.slice(2);
+  const eq = args.find(a => a.startsWith(`${key}=`));
+  if (eq) return eq.split('=')[1];
+  const idx = args.indexOf(key);
+  if (idx !== -1 && idx + 1 < args.length) return args[idx + 1];
+  return fallback;
+}
+
+const restaurantId = getArg('--restaurant', process.env.RESTAURANT_ID);
+const secret = getArg('--secret', '') || randomBytes(32).toString('hex');
+const requireSignature = getArg('--require-signature', 'false') === 'true';
+
+if (!restaurantId) {
+  console.error('Missing --restaurant (or RESTAURANT_ID)');
+  process.exit(1);
+}
+
+const ddb = new DynamoDBClient({ region: process.env.AWS_REGION || "us-east-2" });
+
+await ddb.send(new UpdateItemCommand({
+  TableName: "RestaurantSettings",
+  Key: { settingId: { S: `restaurant-config-${restaurantId}` } },
+  UpdateExpression: "SET vapiSecret = :secret, vapiSecretSetAt = :now, vapiRequireSignature = :require, restaurantId = if_not_exists(restaurantId, :rid)",
+  ExpressionAttributeValues: {
+    ":secret": { S: secret },
+    ":now": { S: new Date().toISOString() },
+    ":require": { BOOL: requireSignature },
+    ":rid": { S: restaurantId },
+  },
+}));
+
+console.log(`Vapi secret set for ${restaurantId}${requireSignature ? ' (signed requests only)' : ''}:`);
+console.log(secret);
@@ -0,0 +1,90 @@
+/**
+ * Test script: send signed Stripe webhook events to the stripeWebhook endpoint.
+ *
+ * Builds a payment_intent.succeeded / payment_intent.payment_failed event, signs it
+ * with the webhook secret the same way Stripe does, and posts it. Also sends one
+ * request with a bad signature, which must be rejected with 400.
+ *
+ * Pair with stripe-mock (https://github.com/stripe/stripe-mock) for the API side:
+ *   docker run --rm -p 12111:12111 stripe/stripe-mock
+ *   STRIPE_API_BASE=http://localhost:12111 STRIPE_SECRET_KEY=sk_test_123 ...
+ *
+ * Usage:
+ *   node scripts/test-stripe-webhook.mjs --url https://.../stripe/webhook --secret whsec_... --order ord_123 --intent pi_123
+ *   node scripts/test-stripe-webhook.mjs --url ... --secret ... --order ord_123 --type payment_intent.payment_failed
+ */
+
+import Stripe from 'stripe';
+
+function getArg(key, fallback) {
+  const args = process.argv.slice(2);
+  const eq = args.find(a => a.startsWith(`${key}=`));
+  if (eq) return eq.split('=')[1];
+  const idx = args.indexOf(key);
+  if (idx !== -1 && idx + 1 < args.length) return args[idx + 1];
+  return fallback;
+}
+
+const endpointUrl = getArg('--url', process.env.STRIPE_WEBHOOK_URL);
+const secret = getArg('--secret', process.env.STRIPE_WEBHOOK_SECRET);
+const orderId = getArg('--order', '');
+const intentId = getArg('--intent', `pi_test_${Date.now()}`);
+const type = getArg('--type', 'payment_intent.succeeded');
+const amount = Number(getArg('--amount', '2500'));
+
+if (!endpointUrl || !secret) {
+  console.error('Missing --url or --secret (or STRIPE_WEBHOOK_URL / STRIPE_WEBHOOK_SECRET)');
+  process.exit(1);
+}
+
+const stripe = new Stripe('sk_test_unused');
+
+function buildEvent() {
+  return {
+    id: `evt_test_${Date.now()}`,
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      object: {
+        id: intentId,
+        object: 'payment_intent',
+        amount,
+        currency: 'usd',
+        status: type === 'payment_intent.succeeded' ? 'succeeded' : 'requires_payment_method',
+        metadata: orderId ? { orderId } : {},
+        last_payment_error: type === 'payment_intent.payment_failed'
+          ? { message: 'Your card was declined.' }
+          : null,
+      },
+    },
+  };
+}
+
+async function post(payload, signature) {
+  const res = await fetch(endpointUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+  const text = await res.text();
+  return { status: res.status, body: text };
+}
+
+const payload = JSON.stringify(buildEvent(), null, 2);
+const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+console.log(`POST ${endpointUrl}`);
+console.log(`  ${type} for ${intentId}${orderId ? ` (order ${orderId})` : ''}`);
+
+const signed = await post(payload, signature);
+console.log('Signed request:', signed.status, signed.body);
+
+const forged = await post(payload, stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_wrong' }));
+console.log('Bad signature: ', forged.status, forged.body);
+
+if (forged.status !== 400) {
+  console.error('❌ Endpoint accepted a request with a bad signature');
+  process.exit(1);
+}
+console.log('✅ Done');
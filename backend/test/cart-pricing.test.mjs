@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { calculateItemPrice, priceWebCart } from "../lambdas/utils/cart-pricing.mjs";
+
+const menu = {
+  "r1#knots": { itemId: "r1#knots", restaurantId: "r1", name: "Garlic Knots", category: "Sides", price: 6 },
+  "r1#wings": {
+    itemId: "r1#wings", restaurantId: "r1", name: "Wings", category: "Sides", price: 12.99,
+    modifierGroups: [{
+      groupId: "sauce", name: "Sauce", required: true, maxSelections: 1,
+      options: [
+        { optionId: "buffalo", name: "Buffalo", priceDeltaCents: 0, isDefault: true },
+        { optionId: "garlic-parm", name: "Garlic Parmesan", priceDeltaCents: 51 },
+      ],
+    }],
+  },
+  "r1#pizza-byo": {
+    itemId: "r1#pizza-byo", restaurantId: "r1", schemaVersion: 2, kind: "pizza", category: "Pizza", name: "Build Your Own",
+    allowedSizes: ["Large"], allowedCrusts: ["Thin"], allowedToppings: ["Pepperoni"], pricingRules: {},
+  },
+};
+
+// MenuItems by key; the restaurant's promotions from Query
+const fakeDdb = (promotions = []) => ({
+  async send(command) {
+    const name = command.constructor.name;
+    if (name === "BatchGetItemCommand") {
+      const keys = command.input.RequestItems.MenuItems.Keys.map((k) => unmarshall(k).itemId);
+      return { Responses: { MenuItems: keys.filter((k) => menu[k]).map((k) => marshall(menu[k])) } };
+    }
+    if (name === "QueryCommand") return { Items: promotions.map((p) => marshall(p)) };
+    return {};
+  },
+});
+
+const wings = (sauce, quantity = 1) => ({ itemId: "r1#wings", quantity, modifierSelections: sauce ? { sauce } : {} });
+
+test("menu prices win over the client's, and picked options add their deltas", () => {
+  assert.equal(calculateItemPrice({ quantity: 2, price: 0.01 }, menu["r1#knots"]).linePrice, 12);
+  const line = calculateItemPrice(wings("garlic-parm", 2), menu["r1#wings"]);
+  assert.equal(line.unitPriceCents, 1350);
+  assert.equal(line.linePrice, 27);
+  assert.deepEqual(line.selectedModifiers.map((s) => s.name), ["Garlic Parmesan"]);
+});
+
+test("an item missing from the menu keeps the legacy client price", () => {
+  assert.equal(calculateItemPrice({ quantity: 1, price: "4.50" }, undefined).unitPriceCents, 450);
+});
+
+test("invalid picks price the line at zero with the reason", () => {
+  const line = calculateItemPrice(wings("ketchup"), menu["r1#wings"]);
+  assert.match(line.error, /Unknown Sauce option "ketchup"/);
+  assert.equal(line.linePrice, 0);
+});
+
+test("a cart is priced line by line, then tax on the food and the tip on top", async () => {
+  const cart = await priceWebCart({
+    ddb: fakeDdb(),
+    items: [{ itemId: "r1#knots", quantity: 2 }, wings("buffalo")],
+    taxRate: 10,
+    tip: 3,
+  });
+  assert.equal(cart.invalidItems.length, 0);
+  assert.equal(+cart.subtotal.toFixed(2), 24.99);
+  assert.equal(cart.discount, 0);
+  assert.equal(+cart.tax.toFixed(2), 2.5);
+  assert.equal(cart.total, 30.49);
+  assert.equal(cart.totalCents, 3049);
+  assert.deepEqual(cart.processedItems.map((it) => [it.menuItemId, it.priceCents]), [["knots", 600], ["wings", 1299]]);
+});
+
+test("lines with bad picks are listed so the order can be refused", async () => {
+  const cart = await priceWebCart({ ddb: fakeDdb(), items: [wings("ketchup")] });
+  assert.deepEqual(cart.invalidItems.map((it) => it.itemId), ["r1#wings"]);
+});
+
+test("promotions come off before points, and tax is on what's left", async () => {
+  const tenOff = { restaurantId: "r1", promotionId: "p10", name: "10% off", code: "TEN", type: "percent_off", percentOff: 10 };
+  const cart = await priceWebCart({
+    ddb: fakeDdb([tenOff]),
+    restaurantId: "r1",
+    items: [{ itemId: "r1#knots", quantity: 5 }],
+    taxRate: 10,
+    promoCode: "ten",
+    settings: { loyaltyEnabled: true, loyaltyPointValueCents: 5, loyaltyMinRedeemPoints: 100 },
+    redeemPoints: 200,
+    loyaltyBalance: 500,
+  });
+  // $30 food, $3 off, then 200 points = $10
+  assert.equal(cart.discount, 13);
+  assert.deepEqual(cart.adjustments.map((a) => [a.type, a.amountCents]), [["discount", 300], ["loyalty", 1000]]);
+  assert.equal(+cart.tax.toFixed(2), 1.7);
+  assert.equal(cart.total, 18.7);
+});
+
+test("a code is rejected when the cart has no restaurant, or the restaurant no such code", async () => {
+  const anonymous = await priceWebCart({ ddb: fakeDdb(), items: [{ itemId: "r1#knots" }], promoCode: "TEN" });
+  assert.equal(anonymous.promoRejection.code, "promo_invalid");
+  assert.equal(anonymous.discount, 0);
+
+  const unknown = await priceWebCart({ ddb: fakeDdb(), restaurantId: "r1", items: [{ itemId: "r1#knots" }], promoCode: "NOPE" });
+  assert.equal(unknown.promoRejection.code, "promo_invalid");
+});
+
+test("a pizza is priced from its details, not the client", async () => {
+  const cart = await priceWebCart({
+    ddb: fakeDdb(),
+    items: [{ itemId: "r1#pizza-byo", quantity: 1, price: 1, pizzaDetails: { size: "Large", crust: "Thin", wholeToppings: ["Pepperoni"] } }],
+  });
+  const [pizza] = cart.processedItems;
+  assert.equal(pizza.isPizza, true);
+  assert.ok(pizza.priceCents > 100);
+  assert.equal(cart.total, pizza.priceCents / 100);
+});
+
+test("delivery orders add the restaurant's fee, untaxed, like phone orders", async () => {
+  const price = (orderType, settings) => priceWebCart({ ddb: fakeDdb(), items: [{ itemId: "r1#knots" }], taxRate: 10, orderType, settings });
+  const delivery = await price("delivery", { deliveryFee: 4.5 });
+  assert.equal(delivery.deliveryFee, 4.5);
+  assert.equal(+delivery.tax.toFixed(2), 0.6);
+  assert.equal(delivery.total, 11.1);
+  assert.equal(delivery.totalCents, 1110);
+
+  assert.equal((await price("delivery", {})).deliveryFee, 3);
+  assert.equal((await price("pickup", { deliveryFee: 4.5 })).deliveryFee, 0);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeComboComponents,
+  validateComboMenuItem,
+  getComboComponentItemIds,
+  priceComboSelections,
+  describeComboComponents,
+} from "../lambdas/utils/combo-items.mjs";
+
+const pizza = {
+  itemId: "pizza-byo", schemaVersion: 2, kind: "pizza", name: "Build Your Own",
+  allowedSizes: ["Medium", "Large"], allowedCrusts: ["Thin", "Stuffed"], pricingRules: {},
+};
+const wings = {
+  itemId: "buffalo-wings", name: "Buffalo Wings", price: 12.99,
+  modifierGroups: [{
+    groupId: "sauce", name: "Sauce", required: true, maxSelections: 1,
+    options: [
+      { optionId: "buffalo", name: "Buffalo", priceDeltaCents: 0, isDefault: true },
+      { optionId: "garlic-parm", name: "Garlic Parmesan", priceDeltaCents: 50 },
+    ],
+  }],
+};
+const items = { "pizza-byo": pizza, "buffalo-wings": wings };
+const findItem = (id) => items[id] || null;
+
+// $36.99 for two large one-toppings and wings
+const combo = {
+  itemId: "combo-2-large-wings", schemaVersion: 2, kind: "combo", name: "2 Large 1-Topping + Wings", bundlePriceCents: 3699,
+  components: [
+    { componentId: "pizza", type: "pizza", label: "Large 1-Topping Pizza", quantity: 2, pizzaItemId: "pizza-byo", size: "Large", includedToppings: 1 },
+    { componentId: "wings", type: "item", label: "Buffalo Wings", quantity: 1, itemId: "buffalo-wings" },
+  ],
+};
+
+test("picks the deal covers cost nothing past the bundle price", () => {
+  const result = priceComboSelections(combo, {
+    pizza: [{ crust: "Thin", wholeToppings: ["Pepperoni"] }, { crust: "Thin", wholeToppings: ["Mushrooms"] }],
+  }, findItem);
+  assert.equal(result.ok, true);
+  assert.equal(result.upchargeCents, 0);
+  assert.equal(result.unitPriceCents, 3699);
+  assert.deepEqual(result.components.map((c) => c.componentId), ["pizza", "pizza", "wings"]);
+  assert.deepEqual(result.components[2].selectedModifiers.map((s) => s.optionId), ["buffalo"]);
+});
+
+test("extra toppings, crust surcharges and option deltas are charged on top", () => {
+  const result = priceComboSelections(combo, {
+    pizza: [{ crust: "Stuffed", wholeToppings: ["Pepperoni"] }, { crust: "Thin", wholeToppings: ["Pepperoni", "Sausage"] }],
+    wings: [{ modifierSelections: { sauce: "garlic-parm" } }],
+  }, findItem);
+  assert.equal(result.ok, true);
+  // Stuffed crust $2, a second large topping $3.50, Garlic Parmesan $0.50
+  assert.deepEqual(result.components.map((c) => c.upchargeCents), [200, 350, 50]);
+  assert.equal(result.unitPriceCents, 3699 + 600);
+});
+
+test("a phone order picks component options by name", () => {
+  const result = priceComboSelections(combo, { wings: [{ options: ["garlic parm"] }] }, findItem);
+  assert.equal(result.ok, true);
+  assert.equal(result.components[2].selectedModifiers[0].name, "Garlic Parmesan");
+});
+
+test("unavailable components and crusts the pizza doesn't offer are refused", () => {
+  const gone = priceComboSelections(combo, {}, (id) => (id === "buffalo-wings" ? { ...wings, available: false } : findItem(id)));
+  assert.equal(gone.ok, false);
+  assert.match(gone.errors[0], /Buffalo Wings is not available right now/);
+
+  const badCrust = priceComboSelections(combo, { pizza: [{ crust: "Double" }] }, findItem);
+  assert.match(badCrust.errors[0], /Double crust isn't available \(choices: Thin, Stuffed\)/);
+
+  const notPizza = priceComboSelections({ ...combo, components: [{ ...combo.components[0], pizzaItemId: "buffalo-wings" }] }, {}, findItem);
+  assert.match(notPizza.errors[0], /is not set up as a pizza/);
+});
+
+test("saved components get ids and sane quantities; bad combos are reported", () => {
+  const components = normalizeComboComponents([
+    { type: "pizza", label: "Large Pizza", quantity: "2", size: "Large", includedToppings: "1" },
+    { type: "drink", label: "2-Liter", itemId: "soda-2l" },
+  ]);
+  assert.deepEqual(components, [
+    { componentId: "large-pizza", type: "pizza", label: "Large Pizza", quantity: 2, pizzaItemId: "pizza-byo", size: "Large", includedToppings: 1 },
+    { componentId: "2-liter", type: "item", label: "2-Liter", quantity: 1, itemId: "soda-2l" },
+  ]);
+  assert.deepEqual(validateComboMenuItem({ name: "Deal", bundlePriceCents: 2999, components }), { valid: true, errors: [] });
+
+  const { errors } = validateComboMenuItem({ name: "Deal", bundlePriceCents: 29.99, components: [components[0], components[0], { ...components[1], itemId: "" }] });
+  assert.ok(errors.includes("bundlePriceCents must be a positive number of cents"));
+  assert.ok(errors.includes('Duplicate component id "large-pizza"'));
+  assert.ok(errors.includes('Component "2-Liter" needs a menu item'));
+});
+
+test("the cart loads each component item once, and the ticket lists every unit", () => {
+  assert.deepEqual(getComboComponentItemIds(combo), ["pizza-byo", "buffalo-wings"]);
+  assert.deepEqual(getComboComponentItemIds(wings), []);
+
+  const { components } = priceComboSelections(combo, { pizza: [{ crust: "Thin", wholeToppings: ["Pepperoni"] }] }, findItem);
+  assert.deepEqual(describeComboComponents(components), [
+    "Large 1-Topping Pizza: Large Thin - Pepperoni",
+    "Large 1-Topping Pizza: Large Thin - Cheese",
+    "Buffalo Wings - Sauce: Buffalo",
+  ]);
+});
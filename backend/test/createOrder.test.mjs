@@ -0,0 +1,252 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+process.env.CUSTOMER_SESSION_SECRET = "test-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_unused";
+
+const PHONE = "+15551234567";
+const menu = {
+  "r1#pizza-byo": {
+    itemId: "r1#pizza-byo", restaurantId: "r1", schemaVersion: 2, kind: "pizza", category: "Pizza", name: "Build Your Own",
+    allowedSizes: ["Large"], allowedCrusts: ["Thin"], allowedToppings: ["Pepperoni"], pricingRules: {},
+  },
+};
+
+// Just enough DynamoDB for a web checkout: transactions apply every write or none
+let db;
+let failOrderWrite;
+
+const cancelled = (reasons) =>
+  Object.assign(new Error("Transaction cancelled"), { name: "TransactionCanceledException", CancellationReasons: reasons.map((Code) => ({ Code })) });
+
+function applyTransaction(items) {
+  const next = { balance: db.balance, ledger: [...db.ledger], orders: [...db.orders], payments: [...db.payments] };
+  const reasons = items.map(({ Put, Update }) => {
+    if (Put?.TableName === "Payments") {
+      const payment = unmarshall(Put.Item);
+      if (next.payments.some((p) => p.paymentId === payment.paymentId)) return "ConditionalCheckFailed";
+      next.payments.push(payment);
+      return "None";
+    }
+    if (Put?.TableName === "Orders") {
+      if (failOrderWrite) throw Object.assign(new Error("Internal server error"), { name: "InternalServerError" });
+      next.orders.push(unmarshall(Put.Item));
+      return "None";
+    }
+    if (Put?.TableName === "LoyaltyLedger") {
+      const entry = unmarshall(Put.Item);
+      if (next.ledger.some((e) => e.entryId === entry.entryId)) return "ConditionalCheckFailed";
+      next.ledger.push(entry);
+      return "None";
+    }
+    if (Update?.TableName === "Customers") {
+      const values = unmarshall(Update.ExpressionAttributeValues);
+      if (values[":needed"] && next.balance < values[":needed"]) return "ConditionalCheckFailed";
+      next.balance += values[":delta"];
+      return "None";
+    }
+    return "None";
+  });
+  if (reasons.includes("ConditionalCheckFailed")) throw cancelled(reasons);
+  Object.assign(db, next);
+}
+
+DynamoDBClient.prototype.send = async function (command) {
+  const name = command.constructor.name;
+  const { TableName: table } = command.input;
+  if (name === "BatchGetItemCommand" && command.input.RequestItems.PromotionRedemptions) {
+    return { Responses: { PromotionRedemptions: [] } };
+  }
+  if (name === "BatchGetItemCommand") {
+    const keys = command.input.RequestItems.MenuItems.Keys.map((k) => k.itemId.S);
+    return { Responses: { MenuItems: keys.filter((k) => menu[k]).map((k) => marshall(menu[k])) } };
+  }
+  if (name === "GetItemCommand" && table === "RestaurantSettings") {
+    return { Item: marshall({ settingId: "r1", taxRate: 10, loyaltyEnabled: true, ...db.settings }) };
+  }
+  if (name === "GetItemCommand" && table === "Customers") {
+    return { Item: marshall({ restaurantId: "r1", phone: PHONE, loyaltyPoints: db.balance }) };
+  }
+  if (name === "TransactWriteItemsCommand") {
+    applyTransaction(command.input.TransactItems);
+    return {};
+  }
+  if (name === "PutItemCommand" && table === "Payments") {
+    const payment = unmarshall(command.input.Item);
+    const existing = db.payments.find((p) => p.paymentId === payment.paymentId);
+    if (existing && existing.status !== "released") {
+      throw Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException" });
+    }
+    db.payments = [...db.payments.filter((p) => p !== existing), payment];
+    return {};
+  }
+  if (name === "UpdateItemCommand" && table === "OrderCounters") {
+    db.lastOrderNumber += 1;
+    return { Attributes: marshall({ lastOrderNumber: db.lastOrderNumber }) };
+  }
+  if (name === "UpdateItemCommand" && table === "Orders") {
+    const order = db.orders.find((o) => o.orderId === command.input.Key.orderId.S);
+    if (!order) throw Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException" });
+    order.orderNumber = Number(command.input.ExpressionAttributeValues[":orderNumber"].N);
+    return {};
+  }
+  if (name === "QueryCommand" && table === "Promotions") return { Items: db.promotions.map((p) => marshall(p)) };
+  if (name === "QueryCommand") return { Items: [] };
+  return {};
+};
+
+const { issueCustomerSession } = await import("../lambdas/utils/customer-session.mjs");
+const { getStripe } = await import("../lambdas/utils/stripe-client.mjs");
+const { handler } = await import("../lambdas/createOrder/index.mjs");
+
+// $24.49 pizza + 10% tax, paid in full
+let intent;
+let refunds;
+getStripe().paymentIntents.retrieve = async () => intent;
+getStripe().paymentIntents.update = async () => intent;
+getStripe().refunds.create = async (params, options) => refunds.push([params.payment_intent, options.idempotencyKey]);
+const { token } = issueCustomerSession({ customerId: "c1", restaurantId: "r1", phone: PHONE });
+
+const checkout = (body) =>
+  handler({
+    headers: { "x-restaurant-id": "r1", authorization: `Bearer ${token}` },
+    body: JSON.stringify({
+      name: "Sam",
+      phone: "5551234567",
+      items: [{ itemId: "r1#pizza-byo", quantity: 1, pizzaDetails: { size: "Large", crust: "Thin", wholeToppings: ["Pepperoni"] } }],
+      ...body,
+    }),
+  });
+
+beforeEach(() => {
+  db = { balance: 250, ledger: [], orders: [], payments: [], settings: {}, promotions: [], lastOrderNumber: 1000 };
+  refunds = [];
+  failOrderWrite = false;
+  intent = { id: "pi_1", amount: 2694, currency: "usd", status: "succeeded", metadata: { restaurantId: "r1" } };
+});
+
+test("redeemed points are spent together with the saved order", async () => {
+  const response = await checkout({ redeemPoints: 200 });
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(db.orders.length, 1);
+  assert.equal(db.balance, 50);
+  assert.deepEqual(db.ledger.map((e) => [e.type, e.points, e.orderId]), [["redeem", -200, db.orders[0].orderId]]);
+});
+
+test("only a saved order takes an order number", async () => {
+  db.balance = 0;
+  const rejected = await checkout({ redeemPoints: 200 });
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(db.lastOrderNumber, 1000);
+
+  const response = await checkout({});
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(JSON.parse(response.body).orderNumber, 1001);
+  assert.equal(db.orders[0].orderNumber, 1001);
+});
+
+test("a failed order write leaves the balance untouched", async () => {
+  failOrderWrite = true;
+  const response = await checkout({ redeemPoints: 200 });
+  assert.equal(response.statusCode, 500);
+  assert.equal(db.orders.length, 0);
+  assert.equal(db.balance, 250);
+  assert.deepEqual(db.ledger, []);
+});
+
+test("points spent by another order in the meantime reject this one without saving it", async () => {
+  // The quote saw 250; another checkout spends 200 before this one commits
+  const send = DynamoDBClient.prototype.send;
+  DynamoDBClient.prototype.send = async function (command) {
+    if (command.constructor.name === "TransactWriteItemsCommand") db.balance = 50;
+    return send.call(this, command);
+  };
+  try {
+    const response = await checkout({ redeemPoints: 200 });
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).code, "loyalty_not_enough_points");
+    assert.equal(db.orders.length, 0);
+    assert.equal(db.balance, 50);
+    assert.equal(db.lastOrderNumber, 1000);
+  } finally {
+    DynamoDBClient.prototype.send = send;
+  }
+});
+
+test("a paid order claims its PaymentIntent", async () => {
+  const response = await checkout({ paymentId: "pi_1" });
+  assert.equal(response.statusCode, 200, response.body);
+  assert.deepEqual(db.payments.map((p) => [p.paymentId, p.orderId]), [["pi_1", db.orders[0].orderId]]);
+});
+
+test("a PaymentIntent already claimed by another order is refused with 409 and saves nothing", async () => {
+  db.payments.push({ paymentId: "pi_1", orderId: "ord_earlier" });
+  const response = await checkout({ paymentId: "pi_1" });
+  assert.equal(response.statusCode, 409);
+  assert.equal(JSON.parse(response.body).code, "payment_already_used");
+  assert.equal(db.orders.length, 0);
+});
+
+test("a PaymentIntent that names no restaurant, or another one, is refused", async () => {
+  for (const metadata of [{}, { restaurantId: "r2" }]) {
+    intent = { ...intent, metadata };
+    const response = await checkout({ paymentId: "pi_1" });
+    assert.equal(response.statusCode, 402);
+    assert.equal(db.orders.length, 0);
+  }
+});
+
+test("an order turned away after the card was charged refunds it", async () => {
+  db.settings = { acceptDelivery: false };
+  const response = await checkout({ paymentId: "pi_1", orderType: "delivery", address: "1 Main St" });
+  assert.equal(response.statusCode, 400);
+  const body = JSON.parse(response.body);
+  assert.equal(body.code, "delivery_disabled");
+  assert.equal(body.paymentReleased, true);
+  assert.deepEqual(refunds, [["pi_1", "order-rejected-pi_1"]]);
+
+  // The refunded intent can't be used for an order afterwards
+  db.settings = {};
+  const retry = await checkout({ paymentId: "pi_1" });
+  assert.equal(retry.statusCode, 409);
+  assert.equal(db.orders.length, 0);
+  // Releasing again is safe: Stripe keeps it to one refund per idempotency key
+  assert.deepEqual(new Set(refunds.map(([, key]) => key)), new Set(["order-rejected-pi_1"]));
+});
+
+test("a rejection never refunds a payment another order claimed", async () => {
+  db.payments.push({ paymentId: "pi_1", orderId: "ord_earlier" });
+  db.settings = { acceptDelivery: false };
+  const response = await checkout({ paymentId: "pi_1", orderType: "delivery", address: "1 Main St" });
+  assert.equal(response.statusCode, 400);
+  assert.equal(JSON.parse(response.body).paymentReleased, undefined);
+  assert.deepEqual(refunds, []);
+});
+
+test("a once-per-customer code counts against the verified phone, never a typed one", async () => {
+  db.promotions = [{ restaurantId: "r1", promotionId: "welcome10", name: "10% off", code: "WELCOME10", type: "percent_off", percentOff: 10, maxUsesPerCustomer: 1 }];
+  const guest = await handler({
+    headers: { "x-restaurant-id": "r1" },
+    body: JSON.stringify({ name: "Sam", phone: "5559876543", promoCode: "WELCOME10", items: [{ itemId: "r1#pizza-byo", quantity: 1, pizzaDetails: { size: "Large", crust: "Thin", wholeToppings: ["Pepperoni"] } }] }),
+  });
+  assert.equal(guest.statusCode, 400);
+  assert.equal(JSON.parse(guest.body).code, "promo_needs_phone");
+  assert.equal(db.orders.length, 0);
+
+  const signedIn = await checkout({ phone: "5559876543", promoCode: "WELCOME10" });
+  assert.equal(signedIn.statusCode, 200, signedIn.body);
+  assert.deepEqual(db.orders[0].promotionRedemptions.map((r) => [r.promotionId, r.phone]), [["welcome10", PHONE]]);
+});
+
+test("with no session secret deployed, a bearer token is ignored instead of failing the checkout", async () => {
+  delete process.env.CUSTOMER_SESSION_SECRET;
+  try {
+    const response = await checkout({});
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(JSON.parse(response.body).customerId, null);
+  } finally {
+    process.env.CUSTOMER_SESSION_SECRET = "test-secret";
+  }
+});
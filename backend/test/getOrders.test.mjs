@@ -0,0 +1,122 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+// Orders behind both GSIs; a Query without Limit gets PAGE_ITEMS items, as if that filled 1 MB
+const PAGE_ITEMS = 2;
+let orders;
+let queries;
+
+function queryIndex({ IndexName, ExpressionAttributeValues, Limit, ExclusiveStartKey }) {
+  const values = unmarshall(ExpressionAttributeValues);
+  const byStatus = IndexName === "restaurantId-status-index";
+  const sorted = orders
+    .filter((o) => o.restaurantId === values[":rid"] && (!byStatus || o.status === values[":status"]))
+    .sort((a, b) => (byStatus ? a.orderId.localeCompare(b.orderId) : b.createdAt.localeCompare(a.createdAt)));
+  const after = ExclusiveStartKey ? sorted.findIndex((o) => o.orderId === unmarshall(ExclusiveStartKey).orderId) + 1 : 0;
+  const page = sorted.slice(after, after + (Limit || PAGE_ITEMS));
+  const more = after + page.length < sorted.length || page.length === Limit;
+  const last = page[page.length - 1];
+  return {
+    Items: page.map((o) => marshall(o)),
+    LastEvaluatedKey: more && last
+      ? marshall(byStatus ? { orderId: last.orderId, restaurantId: last.restaurantId, status: last.status } : { orderId: last.orderId, restaurantId: last.restaurantId, createdAt: last.createdAt })
+      : undefined,
+  };
+}
+
+DynamoDBClient.prototype.send = async function (command) {
+  if (command.constructor.name !== "QueryCommand") return {};
+  if (command.input.TableName === "OrderItems") return { Items: [] };
+  queries.push(command.input.IndexName);
+  return queryIndex(command.input);
+};
+
+const { handler } = await import("../lambdas/getOrders/index.mjs");
+
+const list = async (params) => {
+  const response = await handler({
+    routeKey: "GET /admin/orders",
+    requestContext: { http: { method: "GET" }, authorizer: { jwt: { claims: { "custom:restaurantId": "r1", "cognito:groups": "admin" } } } },
+    headers: {},
+    queryStringParameters: { all: "true", ...params },
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const order = (n, status, total = 10) => ({
+  orderId: `o${n}`, restaurantId: "r1", status, total, createdAt: new Date(Date.UTC(2026, 9, 1, 12, n)).toISOString(),
+});
+
+beforeEach(() => {
+  orders = [order(1, "new"), order(2, "new"), order(3, "new"), order(4, "preparing"), order(5, "ready"), order(6, "completed")];
+  queries = [];
+});
+
+test("the open view pages through every unfinished status and ends with no cursor", async () => {
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const { statusCode, body } = await list({ status: "open", limit: "2", ...(cursor ? { cursor } : {}) });
+    assert.equal(statusCode, 200);
+    assert.ok(body.orders.length <= 2);
+    seen.push(...body.orders.map((o) => o.orderId));
+    cursor = body.nextCursor;
+    pages++;
+  } while (cursor && pages < 10);
+
+  assert.equal(cursor, null);
+  assert.deepEqual(seen.sort(), ["o1", "o2", "o3", "o4", "o5"]);
+});
+
+test("phone orders waiting on a callback are in the open view", async () => {
+  orders.push(order(7, "needs_callback"), order(8, "cancelled"));
+  const { body } = await list({ status: "open" });
+  assert.deepEqual(body.orders.map((o) => o.orderId).sort(), ["o1", "o2", "o3", "o4", "o5", "o7"]);
+});
+
+test("the open view sends totals only when it fits in one page", async () => {
+  const one = await list({ status: "open" });
+  assert.equal(one.body.count, 5);
+  assert.equal(one.body.nextCursor, null);
+
+  const paged = await list({ status: "open", limit: "2" });
+  assert.equal(paged.body.count, null);
+  assert.ok(paged.body.nextCursor);
+});
+
+test("a cursor from another restaurant, or the other view, is refused", async () => {
+  const encode = (key) => Buffer.from(JSON.stringify(key)).toString("base64");
+  const foreign = await list({ status: "open", cursor: encode({ restaurantId: "r2", status: "new" }) });
+  assert.equal(foreign.statusCode, 400);
+
+  const history = await list({ limit: "2" });
+  const mixed = await list({ status: "open", cursor: history.body.nextCursor });
+  assert.equal(mixed.statusCode, 400);
+  const open = await list({ status: "open", limit: "2" });
+  assert.equal((await list({ cursor: open.body.nextCursor })).statusCode, 400);
+
+  const wrongStatus = await list({ status: "open", cursor: encode({ restaurantId: "r1", status: "new", key: { orderId: "o4", restaurantId: "r1", status: "preparing" } }) });
+  assert.equal(wrongStatus.statusCode, 400);
+});
+
+test("history totals cover the whole range until the summary read cap, then say so", async () => {
+  const small = await list({ limit: "2" });
+  assert.equal(small.body.count, 6);
+  assert.equal(small.body.totalRevenue, 60);
+  assert.equal(small.body.summaryTruncated, false);
+
+  // More orders than the summary is allowed to read
+  orders = Array.from({ length: 30 }, (_, i) => order(i + 1, "completed"));
+  const large = await list({ limit: "2" });
+  assert.equal(large.body.summaryTruncated, true);
+  assert.ok(large.body.count < 30);
+
+  // Later pages don't total again
+  queries = [];
+  const next = await list({ limit: "2", cursor: large.body.nextCursor });
+  assert.equal(next.body.count, null);
+  assert.equal(queries.length, 1);
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { CognitoIdentityProviderClient } from "@aws-sdk/client-cognito-identity-provider";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+
+// RateLimits in memory: quota hits, failure windows and lockouts
+let rows;
+let cognitoCalls;
+
+const conditionFailed = () =>
+  Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException" });
+
+DynamoDBClient.prototype.send = async function (command) {
+  const name = command.constructor.name;
+  const { Key, Item, UpdateExpression, ConditionExpression, ExpressionAttributeValues } = command.input;
+  if (name === "GetItemCommand") {
+    const row = rows.get(Key.limitKey.S);
+    return row ? { Item: { limitKey: { S: row.limitKey }, lockedUntil: { N: String(row.lockedUntil ?? 0) } } } : {};
+  }
+  if (name === "PutItemCommand") {
+    const item = unmarshall(Item);
+    rows.set(item.limitKey, item);
+    return {};
+  }
+  if (name === "DeleteItemCommand") {
+    rows.delete(Key.limitKey.S);
+    return {};
+  }
+  if (name !== "UpdateItemCommand") return {};
+
+  const key = Key.limitKey.S;
+  const row = rows.get(key);
+  const values = unmarshall(ExpressionAttributeValues);
+  if (key.startsWith("alert:")) return {};
+  if (UpdateExpression.startsWith("ADD hits")) {
+    const hits = (row?.hits || 0) + 1;
+    rows.set(key, { limitKey: key, hits });
+    return { Attributes: { hits: { N: String(hits) } } };
+  }
+  if (ConditionExpression === "expiresAt > :now") {
+    if (!(row?.expiresAt > values[":now"])) throw conditionFailed();
+    row.failures += 1;
+    return { Attributes: { failures: { N: String(row.failures) } } };
+  }
+  rows.set(key, { limitKey: key, failures: 1, expiresAt: values[":expiresAt"] });
+  return {};
+};
+
+CognitoIdentityProviderClient.prototype.send = async function () {
+  cognitoCalls += 1;
+  throw Object.assign(new Error("Incorrect username or password."), { name: "NotAuthorizedException" });
+};
+
+const { handler } = await import("../lambdas/kitchenPin/session.mjs");
+
+const login = (sourceIp) =>
+  handler({
+    requestContext: { http: { method: "POST", sourceIp } },
+    body: JSON.stringify({ restaurantId: "r1", pin: "123-456" }),
+  });
+
+beforeEach(() => {
+  rows = new Map();
+  cognitoCalls = 0;
+});
+
+test("five wrong PINs lock that IP out without touching other IPs", async () => {
+  for (let i = 0; i < 5; i += 1) assert.equal((await login("10.0.0.1")).statusCode, 401);
+  assert.equal((await login("10.0.0.1")).statusCode, 429);
+  assert.equal((await login("10.0.0.2")).statusCode, 401);
+  assert.equal(rows.has("lock:pin:restaurant:r1"), false);
+});
+
+test("a guess spread over many IPs locks the restaurant's kitchen logins", async () => {
+  for (let i = 0; i < 25; i += 1) assert.equal((await login(`10.0.1.${i}`)).statusCode, 401);
+  assert.ok(rows.get("lock:pin:restaurant:r1").lockedUntil > Date.now() / 1000);
+
+  const calls = cognitoCalls;
+  const blocked = await login("10.0.2.1");
+  assert.equal(blocked.statusCode, 429);
+  assert.ok(Number(blocked.headers["Retry-After"]) > 0);
+  assert.equal(cognitoCalls, calls);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import {
+  priceLoyaltyRedemption,
+  refitLoyaltyAdjustment,
+  calculateOrderPoints,
+  planOrderPointReversal,
+  buildOrderRedemptionWrites,
+  postLoyaltyEntry,
+} from "../lambdas/utils/loyalty.mjs";
+
+const settings = { loyaltyEnabled: true, loyaltyPointsPerDollar: 2, loyaltyPointValueCents: 5, loyaltyMinRedeemPoints: 100 };
+const spent = (points, amountCents) => ({ adjustmentId: "loyalty", type: "loyalty", name: `${points} loyalty points`, points, amountCents, amount: amountCents / 100, lineKeys: [] });
+
+test("spending points prices them at the point value", () => {
+  const result = priceLoyaltyRedemption({ settings, points: 200, balance: 250, maxCents: 3000 });
+  assert.deepEqual(result, { ok: true, adjustment: spent(200, 1000) });
+});
+
+test("spending points is capped at the food left to pay for", () => {
+  // $4.50 of food left: only 90 points can be used
+  const result = priceLoyaltyRedemption({ settings, points: 200, balance: 250, maxCents: 450 });
+  assert.equal(result.adjustment.points, 90);
+  assert.equal(result.adjustment.amountCents, 450);
+});
+
+test("spending points is rejected when off, anonymous, too small or over the balance", () => {
+  const code = (params) => priceLoyaltyRedemption({ settings, balance: 250, maxCents: 3000, ...params }).rejection?.code;
+  assert.equal(code({ settings: { ...settings, loyaltyEnabled: false }, points: 200 }), "loyalty_disabled");
+  assert.equal(code({ points: 200, balance: null }), "loyalty_needs_phone");
+  assert.equal(code({ points: 50 }), "loyalty_min_points");
+  assert.equal(code({ points: 300 }), "loyalty_not_enough_points");
+  assert.deepEqual(priceLoyaltyRedemption({ settings, points: 0, balance: 0, maxCents: 0 }), { ok: true, adjustment: null });
+});
+
+test("refitting after an edit shrinks the discount to the new food total but never grows it", () => {
+  const adjustment = spent(200, 1000);
+  assert.equal(refitLoyaltyAdjustment(adjustment, 600).amountCents, 600);
+  assert.equal(refitLoyaltyAdjustment(adjustment, 5000).amountCents, 1000);
+  assert.equal(refitLoyaltyAdjustment(adjustment, -100).amountCents, 0);
+  assert.equal(refitLoyaltyAdjustment(null, 600), null);
+});
+
+test("orders earn on food paid for after discounts, less any refunded share", () => {
+  const order = { subtotal: 30, discount: 10, total: 22 };
+  assert.equal(calculateOrderPoints(order, settings), 40);
+  assert.equal(calculateOrderPoints({ ...order, refundedAmount: 11 }, settings), 20);
+  assert.equal(calculateOrderPoints(order, { ...settings, loyaltyEnabled: false }), 0);
+});
+
+test("cancelling reverses what was earned and returns what was spent, once", () => {
+  const order = { total: 20, loyaltyPointsEarned: 10, adjustments: [spent(200, 1000)] };
+  assert.deepEqual(planOrderPointReversal(order, { full: true }), { reversePoints: 10, returnPoints: 200 });
+  assert.deepEqual(planOrderPointReversal({ ...order, loyaltyPointsReturned: 200 }, { full: true }), { reversePoints: 10, returnPoints: 0 });
+});
+
+test("partial refunds reverse their share of earned points and keep spent ones spent", () => {
+  const order = { total: 20, loyaltyPointsEarned: 10, adjustments: [spent(200, 1000)] };
+  assert.deepEqual(planOrderPointReversal(order, { full: false, refundAmount: 5 }), { reversePoints: 3, returnPoints: 0 });
+  // A full refund after it reverses only what's left
+  assert.deepEqual(planOrderPointReversal({ ...order, loyaltyPointsReversed: 3 }, { full: true }), { reversePoints: 7, returnPoints: 200 });
+});
+
+test("order redemption writes post the ledger entry and a balance-guarded deduction", () => {
+  const writes = buildOrderRedemptionWrites({ restaurantId: "r1", phone: "+15551234567", orderId: "o1", adjustments: [spent(200, 1000)] });
+  assert.equal(writes.length, 2);
+
+  const [entry, balance] = writes;
+  assert.equal(entry.write.Put.TableName, "LoyaltyLedger");
+  assert.equal(entry.write.Put.ConditionExpression, "attribute_not_exists(entryId)");
+  assert.deepEqual(
+    (({ entryId, type, points, orderId }) => ({ entryId, type, points, orderId }))(unmarshall(entry.write.Put.Item)),
+    { entryId: "order#o1#redeem", type: "redeem", points: -200, orderId: "o1" }
+  );
+  assert.equal(balance.write.Update.TableName, "Customers");
+  assert.equal(balance.write.Update.ConditionExpression, "loyaltyPoints >= :needed");
+  assert.equal(unmarshall(balance.write.Update.ExpressionAttributeValues)[":needed"], 200);
+  assert.equal(balance.rejection.code, "loyalty_not_enough_points");
+
+  assert.deepEqual(buildOrderRedemptionWrites({ restaurantId: "r1", phone: "+15551234567", orderId: "o1", adjustments: [] }), []);
+});
+
+test("posting an entry twice is a no-op, and a guarded deduction below zero is refused", async () => {
+  const failing = (reasons) => ({
+    send: async () => {
+      throw Object.assign(new Error("cancelled"), { name: "TransactionCanceledException", CancellationReasons: reasons.map((Code) => ({ Code })) });
+    },
+  });
+  const entry = { restaurantId: "r1", phone: "+15551234567", entryId: "order#o1#earn", type: "earn", points: 40 };
+
+  assert.deepEqual(await postLoyaltyEntry(failing(["ConditionalCheckFailed", "None"]), entry), { ok: true, duplicate: true });
+  assert.deepEqual(
+    await postLoyaltyEntry(failing(["None", "ConditionalCheckFailed"]), { ...entry, type: "adjustment", points: -500, requireBalance: true }),
+    { ok: false, insufficient: true }
+  );
+  assert.deepEqual(await postLoyaltyEntry(failing([]), { ...entry, points: 0 }), { ok: true });
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getSelectionLimits,
+  normalizeModifierGroups,
+  validateModifierGroups,
+  resolveModifierSelections,
+  describeSelectedModifiers,
+} from "../lambdas/utils/modifier-groups.mjs";
+
+const wings = {
+  itemId: "wings-10",
+  name: "Wings (10pc)",
+  price: 12.99,
+  modifierGroups: [
+    {
+      groupId: "sauce",
+      name: "Sauce",
+      required: true,
+      maxSelections: 2,
+      options: [
+        { optionId: "buffalo", name: "Buffalo", priceDeltaCents: 0, isDefault: true },
+        { optionId: "bbq", name: "BBQ", priceDeltaCents: 0 },
+        { optionId: "garlic-parm", name: "Garlic Parmesan", priceDeltaCents: 50 },
+        { optionId: "mango", name: "Mango Habanero", priceDeltaCents: 75, available: false },
+      ],
+    },
+    {
+      groupId: "dressing",
+      name: "Dressing",
+      options: [
+        { optionId: "ranch", name: "Ranch", priceDeltaCents: 0 },
+        { optionId: "blue-cheese", name: "Blue Cheese", priceDeltaCents: 25 },
+      ],
+    },
+  ],
+};
+
+test("a required group needs one pick; max defaults to one per option", () => {
+  assert.deepEqual(getSelectionLimits(wings.modifierGroups[0]), { min: 1, max: 2 });
+  assert.deepEqual(getSelectionLimits(wings.modifierGroups[1]), { min: 0, max: 2 });
+});
+
+test("picks by id add their deltas; an untouched required group takes its default", () => {
+  const result = resolveModifierSelections(wings, { sauce: ["bbq", "garlic-parm"], dressing: "blue-cheese" });
+  assert.equal(result.ok, true);
+  assert.equal(result.deltaCents, 75);
+  assert.deepEqual(result.selected.map((s) => s.optionId), ["bbq", "garlic-parm", "blue-cheese"]);
+
+  const defaults = resolveModifierSelections(wings, {});
+  assert.equal(defaults.ok, true);
+  assert.deepEqual(defaults.selected.map((s) => s.optionId), ["buffalo"]);
+});
+
+test("spoken names match loosely and fill the first group with room", () => {
+  const result = resolveModifierSelections(wings, ["bbq sauce", "ranch dressing"]);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.selected.map((s) => s.name), ["BBQ", "Ranch"]);
+});
+
+test("too many picks, 86'd options, unknown ids and unknown names are refused", () => {
+  const errors = (selections) => resolveModifierSelections(wings, selections).errors.join(" ");
+  assert.match(errors({ sauce: ["buffalo", "bbq", "garlic-parm"] }), /at most 2 Sauce options/);
+  assert.match(errors({ sauce: "mango" }), /Mango Habanero \(Sauce\) is not available/);
+  assert.match(errors({ sauce: "ketchup" }), /Unknown Sauce option "ketchup"/);
+  assert.match(errors({ toppings: "bacon" }), /Unknown option group "toppings"/);
+  assert.match(errors(["honey mustard"]), /honey mustard isn't an option for Wings \(10pc\)\. Choices - Sauce: Buffalo, BBQ, Garlic Parmesan/);
+});
+
+test("a required group with no pick and no default is refused", () => {
+  const noDefault = { ...wings, modifierGroups: [{ ...wings.modifierGroups[0], options: wings.modifierGroups[0].options.map((o) => ({ ...o, isDefault: false })) }] };
+  const result = resolveModifierSelections(noDefault, {});
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /needs a Sauce choice/);
+});
+
+test("saved groups get ids and whole-cent deltas; bad groups are reported", () => {
+  const [group] = normalizeModifierGroups([{ name: " Wing Sauce ", maxSelections: "2", options: [{ name: "Hot Honey", priceDeltaCents: "50" }] }]);
+  assert.deepEqual(group, {
+    groupId: "wing-sauce",
+    name: "Wing Sauce",
+    required: false,
+    minSelections: 0,
+    maxSelections: 2,
+    options: [{ optionId: "hot-honey", name: "Hot Honey", priceDeltaCents: 50, available: true, isDefault: false }],
+  });
+  assert.deepEqual(validateModifierGroups([group]), { valid: true, errors: [] });
+
+  const { valid, errors } = validateModifierGroups([
+    { ...group, minSelections: 3 },
+    { ...group, options: [] },
+  ]);
+  assert.equal(valid, false);
+  assert.ok(errors.some((e) => /minSelections \(3\) is more than maxSelections \(2\)/.test(e)));
+  assert.ok(errors.some((e) => /Duplicate modifier group id "wing-sauce"/.test(e)));
+  assert.ok(errors.some((e) => /needs at least one option/.test(e)));
+});
+
+test("picks read back one line per group", () => {
+  const { selected } = resolveModifierSelections(wings, { sauce: ["buffalo", "bbq"], dressing: "ranch" });
+  assert.deepEqual(describeSelectedModifiers(selected), ["Sauce: Buffalo, BBQ", "Dressing: Ranch"]);
+  assert.deepEqual(describeSelectedModifiers(undefined), []);
+});
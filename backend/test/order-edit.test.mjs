@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyItemChanges, repriceOrder, describeEdit, applyCustomerChanges } from "../lambdas/utils/order-edit.mjs";
+import { applyPromotions } from "../lambdas/utils/promotions.mjs";
+
+const row = (lineItemId, name, priceCents, quantity = 1, extra = {}) => ({
+  orderId: "o1", lineItemId, itemId: lineItemId, menuItemId: "r1#" + name.toLowerCase(), name, category: "Sides",
+  priceCents, price: priceCents / 100, quantity, linePrice: (priceCents * quantity) / 100, ...extra,
+});
+const knots = row("l1", "Knots", 600);
+const wings = row("l2", "Wings", 1000, 2);
+
+test("removing a line keeps it as removed and reports only what changed", async () => {
+  const result = await applyItemChanges({ orderId: "o1", currentItems: [knots, wings], changes: { remove: ["l1"] } });
+  assert.equal(result.rows.length, 2);
+  assert.deepEqual(result.changed.map((r) => [r.lineItemId, r.removed]), [["l1", true]]);
+  assert.deepEqual(result.summary.removed, [{ lineKey: "l1", name: "Knots", quantity: 1 }]);
+  // The stored rows are left alone
+  assert.equal(knots.removed, undefined);
+});
+
+test("changing a quantity keeps the quoted unit price", async () => {
+  const result = await applyItemChanges({ orderId: "o1", currentItems: [knots, wings], changes: { update: [{ lineKey: "l2", quantity: 3, notes: "extra hot" }] } });
+  const [changed] = result.changed;
+  assert.equal(changed.quantity, 3);
+  assert.equal(changed.linePrice, 30);
+  assert.equal(changed.notes, "extra hot");
+  assert.deepEqual(result.summary.updated[0].from, { quantity: 2, notes: "" });
+});
+
+test("edits that name unknown lines, zero quantities or empty the order are refused", async () => {
+  const error = async (changes) => (await applyItemChanges({ orderId: "o1", currentItems: [knots, wings], changes })).error;
+  assert.match(await error({ remove: ["nope"] }), /Unknown order item/);
+  assert.match(await error({ update: [{ lineKey: "l1", quantity: 0 }] }), /at least 1/);
+  assert.match(await error({ remove: ["l1", "l2"] }), /cancel it instead/);
+  assert.match(await error({ remove: ["l1", "l1"] }), /Unknown order item/);
+});
+
+test("repricing keeps the delivery fee an order stored, and adds none to orders that stored none", () => {
+  const settings = { taxRate: 10, deliveryFee: 4.5 };
+  const phone = repriceOrder({ orderType: "delivery", deliveryFee: 3 }, [knots, wings], settings);
+  assert.equal(phone.subtotal, 26);
+  assert.equal(phone.deliveryFee, 3);
+  assert.equal(phone.tax, 2.6);
+  assert.equal(phone.total, 31.6);
+
+  const web = repriceOrder({ orderType: "delivery" }, [knots, wings], settings);
+  assert.equal(web.deliveryFee, undefined);
+  assert.equal(web.total, 28.6);
+  assert.equal(repriceOrder({ orderType: "pickup", deliveryFee: 3 }, [knots], settings).deliveryFee, 0);
+});
+
+test("repricing skips removed lines and keeps the tip", () => {
+  const pricing = repriceOrder({ orderType: "pickup", tip: 2 }, [{ ...knots, removed: true }, wings], { taxRate: 0 });
+  assert.equal(pricing.subtotal, 20);
+  assert.equal(pricing.total, 22);
+  assert.equal(pricing.discount, undefined);
+});
+
+test("repricing re-applies the order's promotions and shrinks spent points to the food left", () => {
+  const tenOff = { promotionId: "p10", name: "10% off", code: "TEN", type: "percent_off", percentOff: 10 };
+  const lines = [knots, wings].map((r) => ({ lineKey: r.lineItemId, menuItemId: r.menuItemId, category: r.category, unitPriceCents: r.priceCents, quantity: r.quantity }));
+  const placed = applyPromotions({ promotions: [tenOff], lines, promoCode: "TEN", settings: {}, at: new Date() });
+  const points = { adjustmentId: "loyalty", type: "loyalty", name: "400 loyalty points", points: 400, amountCents: 2000, amount: 20, lineKeys: [] };
+  const order = { orderType: "pickup", adjustments: [...placed.adjustments, points] };
+
+  // Wings removed: 10% of $6, and only $5.40 of food left for the points
+  const pricing = repriceOrder(order, [knots, { ...wings, removed: true }], { taxRate: 0 });
+  assert.equal(pricing.discount, 6);
+  assert.equal(pricing.total, 0);
+  const byType = Object.fromEntries(pricing.adjustments.map((a) => [a.type, a.amountCents]));
+  assert.deepEqual(byType, { discount: 60, loyalty: 540 });
+});
+
+test("customer edits report each changed field, and the ticket gets a one-line summary", () => {
+  const { customer, diffs } = applyCustomerChanges({ customer: { name: "Sam", address: "1 Main St" } }, { name: "Sam", address: " 2 Main St " });
+  assert.deepEqual(customer, { name: "Sam", address: "2 Main St" });
+  assert.deepEqual(diffs, [{ field: "customer.address", from: "1 Main St", to: "2 Main St" }]);
+  assert.equal(
+    describeEdit({ added: [{ name: "Knots", quantity: 1 }], removed: [{ name: "Wings" }], updated: [] }, diffs),
+    "+1 Knots, −Wings, address changed"
+  );
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ORDER_STATUSES,
+  STATUS_TIMESTAMP_FIELDS,
+  getAllowedTransitions,
+  checkTransition,
+} from "../lambdas/utils/order-status.mjs";
+
+const walk = (orderType, path) => {
+  let status = path[0];
+  for (const next of path.slice(1)) {
+    const result = checkTransition({ status, orderType }, next);
+    assert.equal(result.ok, true, `${orderType}: ${status} -> ${next}: ${result.error}`);
+    status = next;
+  }
+};
+
+test("pickup and dine-in orders go from the counter straight to completed", () => {
+  walk("pickup", ["new", "accepted", "preparing", "ready", "completed"]);
+  walk("dine-in", ["pending_payment", "paid", "preparing", "ready", "completed"]);
+  walk("pickup", ["needs_callback", "new"]);
+  walk("pickup", ["pending_payment", "payment_failed", "new"]);
+});
+
+test("delivery orders must go out with a driver before they're completed", () => {
+  walk("delivery", ["new", "preparing", "ready", "out_for_delivery", "completed"]);
+  assert.deepEqual(getAllowedTransitions("ready", "delivery"), ["out_for_delivery", "cancelled"]);
+  assert.equal(checkTransition({ status: "ready", orderType: "delivery" }, "completed").ok, false);
+});
+
+test("only delivery orders can go out for delivery", () => {
+  const result = checkTransition({ status: "ready", orderType: "pickup" }, "out_for_delivery");
+  assert.equal(result.ok, false);
+  assert.equal(result.error, "Only delivery orders can go out for delivery");
+  assert.deepEqual(result.allowed, ["completed", "cancelled"]);
+});
+
+test("skipping ahead or going back is refused with the next steps", () => {
+  const skip = checkTransition({ status: "new", orderType: "pickup" }, "completed");
+  assert.equal(skip.ok, false);
+  assert.equal(skip.error, "Can't move a new order to completed. Next: paid, accepted, preparing, cancelled");
+
+  assert.equal(checkTransition({ status: "ready" }, "preparing").ok, false);
+  assert.equal(checkTransition({ status: "pending_payment" }, "new").ok, false);
+});
+
+test("unfinished orders can be cancelled; finished ones can't change at all", () => {
+  for (const status of ["needs_callback", "pending_payment", "payment_failed", "new", "paid", "accepted", "preparing", "ready"]) {
+    assert.equal(checkTransition({ status }, "cancelled").ok, true, status);
+  }
+  // A delivery that never arrived
+  for (const status of ["ready", "out_for_delivery"]) {
+    assert.equal(checkTransition({ status, orderType: "delivery" }, "cancelled").ok, true, status);
+  }
+  for (const status of ["completed", "cancelled"]) {
+    const result = checkTransition({ status }, "new");
+    assert.equal(result.ok, false);
+    assert.equal(result.error, `Order is ${status} and can't change status`);
+    assert.deepEqual(result.allowed, []);
+  }
+});
+
+test("a retried change to the current status is a no-op, and a missing status counts as new", () => {
+  assert.deepEqual(checkTransition({ status: "completed" }, "completed"), { ok: true, noop: true });
+  assert.deepEqual(checkTransition({}, "preparing"), { ok: true, noop: false });
+  assert.deepEqual(checkTransition({ status: "ready", type: "delivery" }, "out_for_delivery"), { ok: true, noop: false });
+});
+
+test("every status has its own timestamp field", () => {
+  assert.deepEqual(Object.keys(STATUS_TIMESTAMP_FIELDS).sort(), [...ORDER_STATUSES].sort());
+  assert.equal(new Set(Object.values(STATUS_TIMESTAMP_FIELDS)).size, ORDER_STATUSES.length);
+  assert.equal(STATUS_TIMESTAMP_FIELDS.new, "confirmedAt");
+  assert.equal(STATUS_TIMESTAMP_FIELDS.out_for_delivery, "outForDeliveryAt");
+});
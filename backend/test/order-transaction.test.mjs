@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { commitOrderWrites, writeOrderItemBatch, MAX_TRANSACTION_WRITES } from "../lambdas/utils/order-transaction.mjs";
+
+const canceled = (codes) => {
+  const error = new Error("Transaction cancelled");
+  error.name = "TransactionCanceledException";
+  error.CancellationReasons = codes.map((Code) => ({ Code }));
+  return error;
+};
+
+const writes = [
+  { write: { Update: { TableName: "PromotionRedemptions" } }, rejection: { code: "promo_usage_limit", reason: "Used already." } },
+  { write: { Put: { TableName: "Orders" } }, rejection: null },
+];
+
+test("sends every write in one transaction", async () => {
+  const sent = [];
+  const result = await commitOrderWrites({ send: async (command) => sent.push(command.input) }, writes);
+  assert.deepEqual(result, { ok: true });
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].TransactItems, writes.map((w) => w.write));
+});
+
+test("a failed condition comes back as that write's rejection", async () => {
+  const ddb = { send: async () => { throw canceled(["ConditionalCheckFailed", "None"]); } };
+  const result = await commitOrderWrites(ddb, writes);
+  assert.deepEqual(result, { ok: false, rejection: writes[0].rejection });
+});
+
+test("failures with nothing to tell the customer are thrown", async () => {
+  await assert.rejects(
+    commitOrderWrites({ send: async () => { throw canceled(["None", "ConditionalCheckFailed"]); } }, writes),
+    { name: "TransactionCanceledException" }
+  );
+  await assert.rejects(
+    commitOrderWrites({ send: async () => { throw canceled(["TransactionConflict", "None"]); } }, writes),
+    { name: "TransactionCanceledException" }
+  );
+  const throttled = Object.assign(new Error("slow down"), { name: "ProvisionedThroughputExceededException" });
+  await assert.rejects(commitOrderWrites({ send: async () => { throw throttled; } }, writes), throttled);
+});
+
+test("refuses more writes than a transaction can hold", async () => {
+  const tooMany = Array.from({ length: MAX_TRANSACTION_WRITES + 1 }, () => writes[1]);
+  await assert.rejects(commitOrderWrites({ send: async () => ({}) }, tooMany), /transaction holds/);
+});
+
+const items = { OrderItems: [{ PutRequest: { Item: { itemId: { S: "a" } } } }, { PutRequest: { Item: { itemId: { S: "b" } } } }] };
+
+test("item writes DynamoDB hands back unprocessed are sent again", async () => {
+  const sent = [];
+  const ddb = {
+    send: async (command) => {
+      sent.push(command.input.RequestItems);
+      return sent.length === 1 ? { UnprocessedItems: { OrderItems: [items.OrderItems[1]] } } : { UnprocessedItems: {} };
+    },
+  };
+  await writeOrderItemBatch(ddb, items, { baseDelayMs: 0 });
+  assert.deepEqual(sent, [items, { OrderItems: [items.OrderItems[1]] }]);
+});
+
+test("item writes still unprocessed after every retry are thrown", async () => {
+  let calls = 0;
+  const ddb = { send: async () => { calls += 1; return { UnprocessedItems: items }; } };
+  await assert.rejects(writeOrderItemBatch(ddb, items, { baseDelayMs: 0 }), /2 order item writes still unprocessed after 5 attempts/);
+  assert.equal(calls, 5);
+});
@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import {
+  applyPromotions,
+  reapplyAdjustments,
+  buildPromotionRedemptionWrites,
+  releasePromotionRedemptions,
+} from "../lambdas/utils/promotions.mjs";
+
+const settings = { timezone: "America/Chicago" };
+// Tuesday 1 PM in Chicago
+const TUESDAY_LUNCH = new Date("2026-10-20T18:00:00Z");
+
+const large = (lineKey, unitPriceCents, quantity = 1) => ({
+  lineKey, menuItemId: "pizza-byo", category: "Pizza", size: "Large", unitPriceCents, quantity,
+});
+const wings = (lineKey, unitPriceCents = 1000, quantity = 1) => ({
+  lineKey, menuItemId: "wings", category: "Sides", unitPriceCents, quantity,
+});
+
+const welcome10 = { promotionId: "welcome10", name: "10% off", code: "WELCOME10", type: "percent_off", percentOff: 10 };
+const tuesdayBundle = {
+  promotionId: "tue", name: "Tuesday 2 Large for $25", type: "bundle_price",
+  bundleQuantity: 2, bundlePriceCents: 2500, appliesTo: { sizes: ["Large"] }, daysOfWeek: ["Tuesday"],
+};
+const wingsBogo = {
+  promotionId: "wings-bogo", name: "Wings BOGO", type: "bogo",
+  buyQuantity: 1, getQuantity: 1, getPercentOff: 100, appliesTo: { itemIds: ["wings"] },
+};
+
+const price = (params) => applyPromotions({ settings, at: TUESDAY_LUNCH, ...params });
+
+test("a percent-off code discounts the whole order", () => {
+  const result = price({ promotions: [welcome10], lines: [large("0", 2000), wings("1")], promoCode: "welcome 10" });
+  assert.equal(result.ok, true);
+  assert.equal(result.discountCents, 300);
+  assert.equal(result.adjustments[0].promotionId, "welcome10");
+  assert.deepEqual(result.adjustments[0].lineKeys, ["0", "1"]);
+});
+
+test("an unknown code is rejected with a readable reason", () => {
+  const result = price({ promotions: [welcome10], lines: [large("0", 2000)], promoCode: "NOPE" });
+  assert.equal(result.ok, false);
+  assert.equal(result.rejection.code, "promo_invalid");
+  assert.equal(result.discountCents, 0);
+});
+
+test("bundle price discounts full groups only, on the right day", () => {
+  const lines = [large("0", 2000, 3)];
+  const tuesday = price({ promotions: [tuesdayBundle], lines });
+  // Two of the three larges for $25 instead of $40
+  assert.equal(tuesday.discountCents, 1500);
+
+  const wednesday = applyPromotions({ promotions: [tuesdayBundle], lines, settings, at: new Date("2026-10-21T18:00:00Z") });
+  assert.equal(wednesday.ok, true);
+  assert.equal(wednesday.discountCents, 0);
+});
+
+test("BOGO makes the cheaper unit of each pair free", () => {
+  const result = price({ promotions: [wingsBogo], lines: [wings("0", 1200), wings("1", 900), wings("2", 800)] });
+  // 1200 + 900 pair: 900 free; the 800 has no partner
+  assert.equal(result.discountCents, 900);
+});
+
+test("item deals never discount the same unit twice, and a whole-order code applies to what's left", () => {
+  const halfOffLarges = { promotionId: "half", name: "Half off larges", type: "percent_off", percentOff: 50, appliesTo: { sizes: ["Large"] } };
+  const result = price({
+    promotions: [tuesdayBundle, halfOffLarges, welcome10],
+    lines: [large("0", 2000, 2), wings("1", 1000)],
+    promoCode: "WELCOME10",
+  });
+  assert.equal(result.ok, true);
+  // Half off claims both larges first (saves 2000 vs the bundle's 1500); the bundle finds nothing left
+  const byId = Object.fromEntries(result.adjustments.map((a) => [a.promotionId, a.amountCents]));
+  assert.equal(byId.half, 2000);
+  assert.equal(byId.tue, undefined);
+  // 10% of the 3000 left after the item deal
+  assert.equal(byId.welcome10, 300);
+  assert.equal(result.discountCents, 2300);
+});
+
+test("a code below its minimum is rejected; automatic deals below theirs are skipped", () => {
+  const minCode = { ...welcome10, minSubtotalCents: 5000 };
+  const rejected = price({ promotions: [minCode], lines: [large("0", 2000)], promoCode: "WELCOME10" });
+  assert.equal(rejected.rejection.code, "promo_min_subtotal");
+
+  const automatic = { ...minCode, promotionId: "auto", code: undefined };
+  const skipped = price({ promotions: [automatic], lines: [large("0", 2000)] });
+  assert.equal(skipped.ok, true);
+  assert.equal(skipped.discountCents, 0);
+});
+
+test("per-customer limits need a phone and stop at the limit; quotes leave them to submit", () => {
+  const once = { ...welcome10, maxUsesPerCustomer: 1 };
+  const lines = [large("0", 2000)];
+
+  assert.equal(price({ promotions: [once], lines, promoCode: "WELCOME10", usage: null }).rejection.code, "promo_needs_phone");
+  assert.equal(price({ promotions: [once], lines, promoCode: "WELCOME10", usage: { welcome10: 1 } }).rejection.code, "promo_usage_limit");
+  assert.equal(price({ promotions: [once], lines, promoCode: "WELCOME10", usage: { welcome10: 0 } }).ok, true);
+  assert.equal(price({ promotions: [once], lines, promoCode: "WELCOME10", usage: null, enforceUsage: false }).ok, true);
+});
+
+test("a code for items the cart doesn't have is rejected", () => {
+  const wingsCode = { ...wingsBogo, code: "WINGS" };
+  const result = price({ promotions: [wingsCode], lines: [large("0", 2000)], promoCode: "WINGS" });
+  assert.equal(result.rejection.code, "promo_no_qualifying_items");
+});
+
+test("reapplyAdjustments re-prices the same deals on edited lines", () => {
+  const placed = price({ promotions: [tuesdayBundle, welcome10], lines: [large("0", 2000, 2)], promoCode: "WELCOME10" });
+  assert.equal(placed.discountCents, 1500 + 250);
+
+  // Edit adds a side: the bundle stays, 10% now covers the side too
+  const edited = reapplyAdjustments(placed.adjustments, [large("0", 2000, 2), wings("1", 1000)]);
+  const byId = Object.fromEntries(edited.adjustments.map((a) => [a.promotionId, a.amountCents]));
+  assert.equal(byId.tue, 1500);
+  assert.equal(byId.welcome10, 350);
+
+  // Edit removes a large: no bundle any more, only the code
+  const shrunk = reapplyAdjustments(placed.adjustments, [large("0", 2000, 1)]);
+  assert.deepEqual(shrunk.adjustments.map((a) => a.promotionId), ["welcome10"]);
+  assert.equal(shrunk.discountCents, 200);
+});
+
+test("reapplyAdjustments leaves loyalty adjustments alone and survives no discounts", () => {
+  const loyalty = { adjustmentId: "loyalty", type: "loyalty", points: 100, amountCents: 500, lineKeys: [] };
+  assert.deepEqual(reapplyAdjustments([loyalty], [large("0", 2000)]), { adjustments: [], discountCents: 0 });
+  assert.deepEqual(reapplyAdjustments(undefined, []), { adjustments: [], discountCents: 0 });
+});
+
+test("redemption writes count the customer's use under the limit and the dashboard total", () => {
+  const once = { ...welcome10, maxUsesPerCustomer: 1 };
+  const { adjustments } = price({ promotions: [once], lines: [large("0", 2000)], promoCode: "WELCOME10", usage: {} });
+  const { writes, redemptions } = buildPromotionRedemptionWrites({
+    restaurantId: "r1", phone: "+15551234567", orderId: "o1", adjustments, promotions: [once],
+  });
+
+  assert.equal(writes.length, 2);
+  const [customerUse, dashboardCount] = writes.map((w) => w.write.Update);
+  assert.equal(customerUse.TableName, "PromotionRedemptions");
+  assert.equal(unmarshall(customerUse.Key).redemptionKey, "welcome10#+15551234567");
+  assert.match(customerUse.ConditionExpression, /uses < :max/);
+  assert.equal(writes[0].rejection.code, "promo_usage_limit");
+  assert.equal(dashboardCount.TableName, "Promotions");
+  assert.deepEqual(redemptions, [{ promotionId: "welcome10", amountCents: 200, phone: "+15551234567" }]);
+
+  // No phone: only the dashboard count
+  const anonymous = buildPromotionRedemptionWrites({ restaurantId: "r1", phone: null, orderId: "o2", adjustments, promotions: [once] });
+  assert.deepEqual(anonymous.writes.map((w) => w.write.Update.TableName), ["Promotions"]);
+});
+
+test("releasing a cancelled order's redemptions decrements both counters and skips missing ones", async () => {
+  const sent = [];
+  const ddb = {
+    send: async (command) => {
+      sent.push(command.input);
+      if (command.input.TableName === "Promotions") {
+        const error = new Error("gone");
+        error.name = "ConditionalCheckFailedException";
+        throw error;
+      }
+      return {};
+    },
+  };
+
+  await releasePromotionRedemptions(ddb, {
+    restaurantId: "r1",
+    redemptions: [{ promotionId: "welcome10", amountCents: 200, phone: "+15551234567" }],
+  });
+
+  assert.deepEqual(sent.map((input) => input.TableName), ["PromotionRedemptions", "Promotions"]);
+  assert.equal(unmarshall(sent[0].ExpressionAttributeValues)[":minusOne"], -1);
+  assert.equal(unmarshall(sent[1].ExpressionAttributeValues)[":minusCents"], -200);
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { checkRateLimits, recordFailure, kitchenPinLockKeys } from "../lambdas/utils/rate-limit.mjs";
+
+const POLICY = { maxFailures: 3, windowSeconds: 900, lockoutSeconds: 900 };
+const now = () => Math.floor(Date.now() / 1000);
+
+// Just enough of the RateLimits table for quota hits and the failure counter's two conditional updates
+let rows;
+let beforeWrite;
+
+const conditionFailed = () =>
+  Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException" });
+
+const ddb = {
+  async send(command) {
+    const name = command.constructor.name;
+    const { Key, Item, ConditionExpression, ExpressionAttributeValues } = command.input;
+    if (name === "PutItemCommand") {
+      const item = unmarshall(Item);
+      rows.set(item.limitKey, item);
+      return {};
+    }
+    if (name === "DeleteItemCommand") {
+      rows.delete(Key.limitKey.S);
+      return {};
+    }
+    if (name !== "UpdateItemCommand") return {};
+
+    beforeWrite?.(Key.limitKey.S);
+    const row = rows.get(Key.limitKey.S);
+    const values = unmarshall(ExpressionAttributeValues);
+    if (!ConditionExpression) {
+      const hits = (row?.hits || 0) + 1;
+      rows.set(Key.limitKey.S, { ...row, limitKey: Key.limitKey.S, hits });
+      return { Attributes: { hits: { N: String(hits) } } };
+    }
+    if (ConditionExpression === "expiresAt > :now") {
+      if (!(row?.expiresAt > values[":now"])) throw conditionFailed();
+      row.failures += 1;
+      row.lastFailedAt = values[":now"];
+      return { Attributes: { failures: { N: String(row.failures) } } };
+    }
+    if (row && row.expiresAt > values[":now"]) throw conditionFailed();
+    rows.set(Key.limitKey.S, { limitKey: Key.limitKey.S, failures: 1, expiresAt: values[":expiresAt"], lastFailedAt: values[":now"] });
+    return {};
+  },
+};
+
+beforeEach(() => {
+  rows = new Map();
+  beforeWrite = null;
+});
+
+test("quotas are checked in order and stop at the first one over its limit", async () => {
+  const rules = [
+    { key: "otp:ip:1.2.3.4", limit: 2, windowSeconds: 3600 },
+    { key: "otp:restaurant:r1", limit: 200, windowSeconds: 3600 },
+  ];
+  const hits = (prefix) => [...rows.values()].find((r) => r.limitKey.startsWith(`rate:${prefix}:`))?.hits;
+
+  assert.deepEqual(await checkRateLimits(ddb, rules), { allowed: true });
+  assert.deepEqual(await checkRateLimits(ddb, rules), { allowed: true });
+  for (let i = 0; i < 5; i += 1) {
+    const blocked = await checkRateLimits(ddb, rules);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.rule.key, "otp:ip:1.2.3.4");
+  }
+  // The shared restaurant bucket only saw the two allowed requests
+  assert.equal(hits("otp:restaurant:r1"), 2);
+  assert.equal(hits("otp:ip:1.2.3.4"), 7);
+});
+
+test("failures inside the window add up to a lockout", async () => {
+  assert.deepEqual(await recordFailure(ddb, "k", POLICY), { failures: 1, locked: false });
+  assert.deepEqual(await recordFailure(ddb, "k", POLICY), { failures: 2, locked: false });
+  const third = await recordFailure(ddb, "k", POLICY);
+  assert.equal(third.locked, true);
+  assert.ok(rows.get("lock:k").lockedUntil > now());
+  assert.equal(rows.has("fail:k"), false);
+});
+
+test("an expired failure row TTL hasn't deleted yet starts a new window", async () => {
+  rows.set("fail:k", { limitKey: "fail:k", failures: 2, expiresAt: now() - 3600 });
+  assert.deepEqual(await recordFailure(ddb, "k", POLICY), { failures: 1, locked: false });
+  assert.ok(rows.get("fail:k").expiresAt > now());
+  assert.equal(rows.has("lock:k"), false);
+});
+
+test("a window opened by a racing request is counted into, not overwritten", async () => {
+  rows.set("fail:k", { limitKey: "fail:k", failures: 2, expiresAt: now() - 3600 });
+  let raced = false;
+  beforeWrite = () => {
+    // Between our failed increment and our reset, another request opens the new window
+    if (!raced && rows.get("fail:k").expiresAt < now()) {
+      raced = true;
+      return;
+    }
+    if (raced && rows.get("fail:k").expiresAt < now()) {
+      rows.set("fail:k", { limitKey: "fail:k", failures: 1, expiresAt: now() + 900 });
+    }
+  };
+  assert.deepEqual(await recordFailure(ddb, "k", POLICY), { failures: 2, locked: false });
+});
+
+test("kitchen PIN lockouts are kept per IP and for the restaurant across IPs", () => {
+  assert.deepEqual(kitchenPinLockKeys("r1", "1.2.3.4"), { ip: "pin:ip:r1:1.2.3.4", restaurant: "pin:restaurant:r1" });
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+let stored;
+DynamoDBClient.prototype.send = async function (command) {
+  const name = command.constructor.name;
+  if (name === "GetItemCommand") return { Item: stored ? marshall(stored) : undefined };
+  if (name === "PutItemCommand") {
+    stored = unmarshall(command.input.Item);
+    return {};
+  }
+  return {};
+};
+
+const { handler: getSettings } = await import("../lambdas/getSettings/index.mjs");
+const { handler: updateSettings } = await import("../lambdas/updateSettings/index.mjs");
+
+const ownerClaims = { "custom:restaurantId": "r1", "cognito:groups": "admin" };
+const ownerEvent = (routeKey, body) => ({
+  routeKey,
+  requestContext: { http: { method: routeKey.split(" ")[0] }, authorizer: { jwt: { claims: ownerClaims } } },
+  headers: {},
+  body: body ? JSON.stringify(body) : undefined,
+});
+
+beforeEach(() => {
+  stored = {
+    settingId: "restaurant-config-r1",
+    restaurantId: "r1",
+    taxRate: 8.875,
+    deliveryFee: 4,
+    hours: { Monday: { open: "11:00", close: "22:00", closed: false } },
+    capacityEnabled: true,
+    capacityPerSlot: 9,
+    vapiSecret: "shh",
+    vapiRequireSignature: true,
+    kitchenPinSetAt: "2026-10-01T00:00:00.000Z",
+    kitchenPinUser: "kitchen-r1",
+  };
+});
+
+test("public settings carry the customer-facing fields only", async () => {
+  const response = await getSettings({ routeKey: "GET /settings", headers: { "x-restaurant-id": "r1" } });
+  assert.equal(response.statusCode, 200);
+  const settings = JSON.parse(response.body);
+  assert.equal(settings.taxRate, 8.875);
+  assert.equal(settings.deliveryFee, 4);
+  assert.deepEqual(settings.hours, stored.hours);
+  assert.equal(settings.loyaltyEnabled, false);
+  for (const key of ["vapiSecret", "vapiRequireSignature", "kitchenPinSetAt", "kitchenPinUser", "capacityEnabled", "capacityPerSlot", "settingId", "restaurantId"]) {
+    assert.equal(key in settings, false, key);
+  }
+});
+
+test("the owner reads the whole record, less the Vapi secret", async () => {
+  const response = await getSettings(ownerEvent("GET /admin/settings"));
+  assert.equal(response.statusCode, 200);
+  const settings = JSON.parse(response.body);
+  assert.equal(settings.capacityPerSlot, 9);
+  assert.equal(settings.vapiRequireSignature, true);
+  assert.equal(settings.kitchenPinUser, "kitchen-r1");
+  assert.equal("vapiSecret" in settings, false);
+});
+
+test("the owner's read needs the owner's token", async () => {
+  const response = await getSettings({ routeKey: "GET /admin/settings", headers: { "x-restaurant-id": "r1" } });
+  assert.equal(response.statusCode, 401);
+});
+
+test("a dashboard save keeps the Vapi and kitchen PIN fields it doesn't own", async () => {
+  const response = await updateSettings(ownerEvent("PUT /admin/settings", {
+    taxRate: 9,
+    vapiRequireSignature: false,
+    vapiSecret: "guess",
+    kitchenPinUser: "someone-else",
+  }));
+  assert.equal(response.statusCode, 200);
+  assert.equal(stored.taxRate, 9);
+  assert.equal(stored.vapiRequireSignature, true);
+  assert.equal(stored.vapiSecret, "shh");
+  assert.equal(stored.kitchenPinUser, "kitchen-r1");
+});
+
+test("a save from a form that never saw the signature setting doesn't turn it off", async () => {
+  await updateSettings(ownerEvent("PUT /admin/settings", { taxRate: 9 }));
+  assert.equal(stored.vapiRequireSignature, true);
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+process.env.STRIPE_SECRET_KEY = "sk_test_unused";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+
+// Orders and Payments in memory, with just the webhook's conditions
+let orders;
+let payments;
+
+const conditionFailed = (item) =>
+  Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException", Item: item && marshall(item) });
+
+function checkCondition(row, { ConditionExpression, ExpressionAttributeValues }) {
+  if (!ConditionExpression) return true;
+  const values = unmarshall(ExpressionAttributeValues);
+  if (ConditionExpression.startsWith("attribute_exists(orderId) AND")) {
+    return !!row && (row.paymentStatus === undefined || [values[":pending"], values[":failed"]].includes(row.paymentStatus));
+  }
+  if (ConditionExpression.includes("#status <> :succeeded")) return row?.status !== values[":succeeded"];
+  if (ConditionExpression === "#status = :fromStatus") return row?.status === values[":fromStatus"];
+  throw new Error(`Unexpected condition ${ConditionExpression}`);
+}
+
+// SET a = :a, b = if_not_exists(b, :b), ...
+function applySet(row, { UpdateExpression, ExpressionAttributeNames = {}, ExpressionAttributeValues }) {
+  const values = unmarshall(ExpressionAttributeValues);
+  const next = { ...row };
+  for (const part of UpdateExpression.replace(/^SET /, "").split(/, (?![^(]*\))/)) {
+    const [target, expr] = part.split(" = ");
+    const field = ExpressionAttributeNames[target] || target;
+    const ifNotExists = expr.match(/if_not_exists\(\w+, (:\w+)\)/);
+    next[field] = ifNotExists ? (row[field] ?? values[ifNotExists[1]]) : values[expr];
+  }
+  return next;
+}
+
+DynamoDBClient.prototype.send = async function (command) {
+  const name = command.constructor.name;
+  const { TableName, Key } = command.input;
+  const table = TableName === "Orders" ? orders : TableName === "Payments" ? payments : null;
+  if (!table) return {};
+  const id = unmarshall(Key)[TableName === "Orders" ? "orderId" : "paymentId"];
+  const row = table.get(id);
+  if (name === "GetItemCommand") return row ? { Item: marshall(row) } : {};
+  if (name !== "UpdateItemCommand") return {};
+  if (!checkCondition(row, command.input)) {
+    throw conditionFailed(command.input.ReturnValuesOnConditionCheckFailure === "ALL_OLD" ? row : undefined);
+  }
+  const next = applySet(row || {}, command.input);
+  table.set(id, next);
+  return { Attributes: marshall(next) };
+};
+
+const { getStripe } = await import("../lambdas/utils/stripe-client.mjs");
+getStripe().webhooks.constructEvent = (body) => JSON.parse(body);
+
+const { handler } = await import("../lambdas/stripeWebhook/index.mjs");
+
+const deliver = async (type) => {
+  const response = await handler({
+    headers: { "stripe-signature": "t=1,v1=test" },
+    body: JSON.stringify({ id: "evt_1", type, data: { object: { id: "pi_1", amount: 2600, currency: "usd", metadata: { orderId: "o1", restaurantId: "r1" } } } }),
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+beforeEach(() => {
+  orders = new Map([["o1", { orderId: "o1", restaurantId: "r1", status: "pending_payment", paymentStatus: "pending" }]]);
+  payments = new Map([["pi_1", { paymentId: "pi_1", orderId: "o1", status: "requires_payment_method" }]]);
+});
+
+test("a successful payment marks the order and its payment row paid", async () => {
+  assert.equal((await deliver("payment_intent.succeeded")).statusCode, 200);
+  assert.equal(orders.get("o1").status, "paid");
+  assert.equal(orders.get("o1").paymentStatus, "paid");
+  assert.equal(payments.get("pi_1").status, "succeeded");
+});
+
+test("a failure that arrives after the success leaves the paid order alone", async () => {
+  await deliver("payment_intent.succeeded");
+  const late = await deliver("payment_intent.payment_failed");
+  assert.equal(late.statusCode, 200);
+  assert.equal(orders.get("o1").paymentStatus, "paid");
+  assert.equal(orders.get("o1").status, "paid");
+  assert.equal(payments.get("pi_1").status, "succeeded");
+});
+
+test("a late success doesn't undo a refund", async () => {
+  orders.set("o1", { ...orders.get("o1"), status: "cancelled", paymentStatus: "refunded" });
+  assert.equal((await deliver("payment_intent.succeeded")).statusCode, 200);
+  assert.equal(orders.get("o1").paymentStatus, "refunded");
+  assert.equal(orders.get("o1").status, "cancelled");
+});
+
+test("a failed card can still be paid with a retry", async () => {
+  await deliver("payment_intent.payment_failed");
+  assert.equal(orders.get("o1").status, "payment_failed");
+  assert.equal(orders.get("o1").paymentStatus, "failed");
+
+  await deliver("payment_intent.succeeded");
+  assert.equal(orders.get("o1").paymentStatus, "paid");
+});
+
+test("an order that doesn't exist yet is retried by Stripe", async () => {
+  orders.clear();
+  assert.equal((await deliver("payment_intent.succeeded")).statusCode, 404);
+});
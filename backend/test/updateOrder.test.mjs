@@ -0,0 +1,100 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+// Orders and OrderItems in memory; a transaction applies every write or none
+let order;
+let items;
+let sent;
+let editedElsewhere;
+
+const cancelled = (reasons) =>
+  Object.assign(new Error("Transaction cancelled"), { name: "TransactionCanceledException", CancellationReasons: reasons.map((Code) => ({ Code })) });
+
+// Enough of UpdateExpression for the edit's "#edit_x = :edit_x" and "history = list_append(...)" parts
+function applyUpdate(current, { UpdateExpression, ExpressionAttributeNames = {}, ExpressionAttributeValues }) {
+  const values = unmarshall(ExpressionAttributeValues);
+  const next = { ...current };
+  for (const part of UpdateExpression.replace(/^SET /, "").split(/, (?![^(]*\))/)) {
+    const [target, expr] = part.split(" = ");
+    const field = ExpressionAttributeNames[target] || target;
+    const appended = expr.match(/list_append\(if_not_exists\(\w+, :\w+\), (:\w+)\)/);
+    next[field] = appended ? [...(current[field] || []), ...values[appended[1]]] : values[expr];
+  }
+  return next;
+}
+
+DynamoDBClient.prototype.send = async function (command) {
+  const name = command.constructor.name;
+  sent.push(name);
+  const { TableName: table } = command.input;
+  if (name === "GetItemCommand" && table === "Orders") return { Item: marshall(order, { removeUndefinedValues: true }) };
+  if (name === "GetItemCommand") return {};
+  if (name === "QueryCommand" && table === "OrderItems") return { Items: items.map((it) => marshall(it)) };
+  if (name === "UpdateItemCommand" && table === "Orders") {
+    order = applyUpdate(order, command.input);
+    return { Attributes: marshall(order, { removeUndefinedValues: true }) };
+  }
+  if (name === "TransactWriteItemsCommand") {
+    if (editedElsewhere) throw cancelled(command.input.TransactItems.map((w) => (w.Update ? "ConditionalCheckFailed" : "None")));
+    for (const { Put, Update } of command.input.TransactItems) {
+      if (Update) order = applyUpdate(order, Update);
+      if (Put) {
+        const put = unmarshall(Put.Item);
+        items = [...items.filter((it) => it.lineItemId !== put.lineItemId), put];
+      }
+    }
+    return {};
+  }
+  return {};
+};
+
+const { handler } = await import("../lambdas/updateOrder/index.mjs");
+
+const patch = (body) =>
+  handler({
+    routeKey: "PATCH /admin/order/{id}",
+    pathParameters: { id: "o1" },
+    requestContext: { http: { method: "PATCH" }, authorizer: { jwt: { claims: { "custom:restaurantId": "r1", "cognito:groups": "admin", email: "owner@example.com" } } } },
+    headers: {},
+    body: JSON.stringify(body),
+  });
+
+beforeEach(() => {
+  order = { orderId: "o1", restaurantId: "r1", status: "new", orderType: "pickup", subtotal: 26, total: 26 };
+  items = [
+    { orderId: "o1", lineItemId: "l1", itemId: "l1", name: "Knots", priceCents: 600, quantity: 1 },
+    { orderId: "o1", lineItemId: "l2", itemId: "l2", name: "Wings", priceCents: 1000, quantity: 2 },
+  ];
+  sent = [];
+  editedElsewhere = false;
+});
+
+test("an item edit writes the order and its changed lines in one transaction", async () => {
+  const response = await patch({ items: { remove: ["l1"] } });
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(sent.filter((n) => n === "TransactWriteItemsCommand").length, 1);
+  assert.equal(sent.includes("BatchWriteItemCommand"), false);
+  assert.equal(items.find((it) => it.lineItemId === "l1").removed, true);
+
+  const { order: updated } = JSON.parse(response.body);
+  assert.equal(updated.total, 20);
+  assert.equal(updated.editCount, 1);
+  assert.equal(updated.history.length, 1);
+});
+
+test("an edit that loses the race writes no lines and asks for a reload", async () => {
+  editedElsewhere = true;
+  const response = await patch({ items: { update: [{ lineKey: "l2", quantity: 5 }] } });
+  assert.equal(response.statusCode, 409);
+  assert.equal(items.find((it) => it.lineItemId === "l2").quantity, 2);
+  assert.equal(order.total, 26);
+});
+
+test("a status change with no line edits stays a single update", async () => {
+  const response = await patch({ status: "preparing" });
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(JSON.parse(response.body).order.status, "preparing");
+  assert.equal(sent.includes("TransactWriteItemsCommand"), false);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+
+process.env.VAPI_SHARED_SECRET = "test-secret";
+delete process.env.DEFAULT_RESTAURANT_ID;
+
+const sent = [];
+DynamoDBClient.prototype.send = async function (command) {
+  sent.push(command.constructor.name);
+  return {};
+};
+
+const { handler } = await import("../lambdas/vapiOrderWebhook/vapiOrderWebhook.mjs");
+
+const submit = (metadata) =>
+  handler({
+    routeKey: "POST /vapi/webhook",
+    headers: { "x-vapi-secret": "test-secret" },
+    body: JSON.stringify({
+      message: {
+        toolCalls: [{ id: "call-1", function: { name: "submit_order", arguments: { customerPhone: "5551234567", pizzas: [{ size: "Large" }] } } }],
+        call: { metadata },
+      },
+    }),
+  });
+
+test("a call that resolves no restaurant is refused before anything is read or written", async () => {
+  const response = await submit({});
+  const [result] = JSON.parse(response.body).results;
+  assert.equal(result.toolCallId, "call-1");
+  assert.match(result.error, /restaurantId is required/);
+  assert.deepEqual(sent, []);
+});
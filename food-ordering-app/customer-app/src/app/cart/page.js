@@ -3,9 +3,10 @@ import React, { useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useCart } from '@/context/CartContext';
 import { getSettings } from '@/lib/api';
+import { describeSelectedModifiers } from '@/lib/modifierGroups';
 
 export default function CartPage() {
-  const { cart, updateQuantity, removeItem } = useCart();
+  const { cart, lineKey, updateQuantity, removeItem } = useCart();
   const router = useRouter();
   const [settings, setSettings] = React.useState({ taxRate: 9.0 });
 
@@ -63,29 +64,10 @@ export default function CartPage() {
         <div className="bg-white rounded-lg shadow-sm mb-6">
           {cart.map((item) => {
             const itemTotal = (Number(item.price) * Number(item.quantity || 0)).toFixed(2);
-            const optionsText = item.options
-              ? Object.entries(item.options)
-                  .filter(([key, value]) => {
-                    if (key === 'rice') {
-                      return item.options.mealType === 'lunch';
-                    }
-                    if (key === 'mealType') {
-                      return false;
-                    }
-                    return true;
-                  })
-                  .map(([key, value]) => {
-                    if (key === 'rice') {
-                      return `Rice ${value.charAt(0).toUpperCase() + value.slice(1)}`;
-                    }
-                    return `${key.charAt(0).toUpperCase() + key.slice(1)} ${value}`;
-                  })
-                  .filter(Boolean)
-                  .join(' ')
-              : '';
+            const optionsText = describeSelectedModifiers(item.selectedModifiers);
 
             return (
-              <div key={item.itemId} className="p-4 border-b last:border-b-0">
+              <div key={lineKey(item)} className="p-4 border-b last:border-b-0">
                 <div className="flex justify-between items-start gap-4">
                   <div className="flex-1">
                     <div className="font-semibold text-lg">{item.name}</div>
@@ -99,7 +81,7 @@ export default function CartPage() {
                   <div className="flex items-center gap-4">
                     <div className="flex items-center border rounded">
                       <button
-                        onClick={() => updateQuantity(item.itemId, item.quantity - 1)}
+                        onClick={() => updateQuantity(lineKey(item), item.quantity - 1)}
                         className="px-3 py-2 hover:bg-gray-100 transition-colors"
                         aria-label="Decrease quantity"
                       >
@@ -107,7 +89,7 @@ export default function CartPage() {
                       </button>
                       <span className="px-4 py-2 min-w-[3rem] text-center font-semibold">{item.quantity}</span>
                       <button
-                        onClick={() => updateQuantity(item.itemId, item.quantity + 1)}
+                        onClick={() => updateQuantity(lineKey(item), item.quantity + 1)}
                         className="px-3 py-2 hover:bg-gray-100 transition-colors"
                         aria-label="Increase quantity"
                       >
@@ -118,7 +100,7 @@ export default function CartPage() {
                       ${itemTotal}
                     </div>
                     <button
-                      onClick={() => removeItem(item.itemId)}
+                      onClick={() => removeItem(lineKey(item))}
                       className="text-gray-400 hover:text-red-500 transition-colors"
                       aria-label="Remove item"
                     >
@@ -1,16 +1,21 @@
 'use client';
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import { useCart } from '@/context/CartContext';
-import { createPaymentIntent, createOrder, getSettings, sendOTP, verifyOTP } from '@/lib/api';
+import { createPaymentIntent, createOrder, quoteOrder, getSettings, getScheduleSlots, sendOTP, verifyOTP, getCustomerProfile } from '@/lib/api';
+import { getCustomerSession, clearCustomerSession, updateStoredCustomer } from '@/lib/customerSession';
 import OrderTypeSelector from '@/components/OrderTypeSelector';
+import { describeSelectedModifiers } from '@/lib/modifierGroups';
 
 const stripePromise = loadStripe(process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY);
 
+// Wait for the cart / order type to settle before asking the server for a quote
+const QUOTE_DEBOUNCE_MS = 400;
+
 function CheckoutForm() {
-  const { cart, setCart } = useCart();
+  const { cart, lineKey, setCart } = useCart();
   const router = useRouter();
   const [formData, setFormData] = useState({ 
     name: '', 
@@ -21,8 +26,12 @@ function CheckoutForm() {
     tip: 0, 
     table: '', 
     instructions: '',
-    paymentMethod: 'online' // 'online' or 'in-store'
+    paymentMethod: 'online', // 'online' or 'in-store'
+    scheduledFor: '' // '' = ASAP, otherwise an ISO time slot
   });
+  const [scheduleSlots, setScheduleSlots] = useState([]);
+  const [scheduleLater, setScheduleLater] = useState(false);
+  const [scheduleDay, setScheduleDay] = useState('');
   const [settings, setSettings] = useState({ 
     deliveryEnabled: true, 
     pickupEnabled: true, 
@@ -36,6 +45,17 @@ function CheckoutForm() {
   const [otpCode, setOtpCode] = useState('');
   const [isSendingOTP, setIsSendingOTP] = useState(false);
   const [isVerifyingOTP, setIsVerifyingOTP] = useState(false);
+  // Signed in from an earlier verification - phone is already verified, profile prefills the form
+  const [signedInCustomer, setSignedInCustomer] = useState(null);
+  // Promotions: automatic deals and the entered code are priced by the server (POST /orders?mode=quote)
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [promoError, setPromoError] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+  const [promoQuote, setPromoQuote] = useState(null);
+  // Loyalty: signed-in customers can put their points balance toward the order (server caps it at the subtotal)
+  const [usePoints, setUsePoints] = useState(false);
+  const [pointsError, setPointsError] = useState(null);
   const stripe = useStripe();
   const elements = useElements();
 
@@ -54,22 +74,172 @@ function CheckoutForm() {
           pickupEnabled: s?.pickupEnabled ?? true,
           dineInEnabled: s?.dineInEnabled ?? true,
           taxRate: Number(s?.taxRate ?? 0),
+          deliveryFee: s?.deliveryFee ?? null,
+          loyaltyEnabled: Boolean(s?.loyaltyEnabled),
+          loyaltyPointValueCents: Number(s?.loyaltyPointValueCents ?? 0),
+          loyaltyMinRedeemPoints: Number(s?.loyaltyMinRedeemPoints ?? 0),
         };
         setSettings((prev) => ({ ...prev, ...normalized }));
       })
       .catch(console.error);
+
+    getScheduleSlots()
+      .then(setScheduleSlots)
+      .catch(console.error);
+  }, []);
+
+  const applyCustomerProfile = useCallback((customer) => {
+    if (!customer) return;
+    setSignedInCustomer(customer);
+    setPhoneVerified(true);
+    setFormData((prev) => ({
+      ...prev,
+      phone: customer.phone || prev.phone,
+      name: prev.name || customer.name || '',
+      email: prev.email || customer.email || '',
+    }));
   }, []);
 
+  useEffect(() => {
+    const session = getCustomerSession();
+    if (!session) return;
+    applyCustomerProfile(session.customer);
+
+    // Refresh saved addresses / name in case they changed on another device
+    getCustomerProfile()
+      .then((customer) => {
+        updateStoredCustomer(customer);
+        applyCustomerProfile(customer);
+      })
+      .catch((error) => {
+        if (error.response?.status === 401) {
+          clearCustomerSession();
+          setSignedInCustomer(null);
+          setPhoneVerified(false);
+        }
+      });
+  }, [applyCustomerProfile]);
+
+  const handleSignOut = () => {
+    clearCustomerSession();
+    setSignedInCustomer(null);
+    setUsePoints(false);
+    setPhoneVerified(false);
+    setOtpSent(false);
+    setOtpCode('');
+    setFormData((prev) => ({ ...prev, phone: '' }));
+  };
+
+  // Group slots by day for the day/time pickers
+  const scheduleDays = scheduleSlots.reduce((days, slot) => {
+    if (!days.some((d) => d.dateKey === slot.dateKey)) {
+      days.push({ dateKey: slot.dateKey, label: slot.dayLabel });
+    }
+    return days;
+  }, []);
+  const slotsForDay = scheduleSlots.filter((slot) => slot.dateKey === scheduleDay);
+
+  const handleScheduleLaterChange = (later) => {
+    setScheduleLater(later);
+    if (!later) {
+      setFormData((prev) => ({ ...prev, scheduledFor: '' }));
+      return;
+    }
+    const firstDay = scheduleDays[0]?.dateKey || '';
+    setScheduleDay(firstDay);
+    const firstSlot = scheduleSlots.find((slot) => slot.dateKey === firstDay);
+    setFormData((prev) => ({ ...prev, scheduledFor: firstSlot?.value || '' }));
+  };
+
+  const handleScheduleDayChange = (dateKey) => {
+    setScheduleDay(dateKey);
+    const firstSlot = scheduleSlots.find((slot) => slot.dateKey === dateKey);
+    setFormData((prev) => ({ ...prev, scheduledFor: firstSlot?.value || '' }));
+  };
+
   const subtotal = cart.reduce((sum, item) => {
     const itemPrice = Number(item?.price);
     const qty = Number(item?.quantity) || 0;
     return sum + (isNaN(itemPrice) ? 0 : itemPrice) * qty;
   }, 0);
   
+  const discount = Number(promoQuote?.discount) || 0;
+  const adjustments = promoQuote?.adjustments || [];
   const taxRate = Number(settings.taxRate) || 0;
-  const tax = subtotal * (taxRate / 100);
+  const tax = Math.max(0, subtotal - discount) * (taxRate / 100);
   const tipAmount = Number(formData.tip) || 0;
-  const total = subtotal + tax + tipAmount;
+  // Server charges the restaurant's fee on delivery, $3.00 when it hasn't set one
+  const deliveryFee = formData.orderType === 'delivery'
+    ? (settings.deliveryFee != null && Number.isFinite(Number(settings.deliveryFee)) ? Number(settings.deliveryFee) : 3)
+    : 0;
+  const total = subtotal - discount + deliveryFee + tax + tipAmount;
+
+  const pointsBalance = Number(signedInCustomer?.loyaltyPoints) || 0;
+  const canUsePoints = settings.loyaltyEnabled && pointsBalance > 0 && pointsBalance >= settings.loyaltyMinRedeemPoints;
+  const redeemPoints = usePoints && canUsePoints ? pointsBalance : 0;
+
+  const buildQuoteRequest = useCallback((code) => ({
+    items: cart,
+    orderType: formData.orderType,
+    scheduledFor: (scheduleLater && formData.orderType !== 'dine-in' && formData.scheduledFor) || null,
+    promoCode: code || undefined,
+    redeemPoints: redeemPoints || undefined,
+  }), [cart, formData.orderType, formData.scheduledFor, scheduleLater, redeemPoints]);
+
+  // Re-quote when the cart or order type changes; a code that stops applying is dropped with its reason
+  useEffect(() => {
+    if (cart.length === 0) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const quote = await quoteOrder(buildQuoteRequest(promoCode));
+        if (!cancelled) setPromoQuote(quote);
+      } catch (error) {
+        if (cancelled) return;
+        const code = error.response?.data?.code || '';
+        if (promoCode && code.startsWith('promo_')) {
+          setPromoError(error.response.data.error);
+          setPromoCode('');
+        } else if (redeemPoints && code.startsWith('loyalty_')) {
+          setPointsError(error.response.data.error);
+          setUsePoints(false);
+        } else {
+          setPromoQuote(null);
+        }
+      }
+    }, QUOTE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cart.length, buildQuoteRequest, promoCode, redeemPoints]);
+
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) return;
+    setIsApplyingPromo(true);
+    setPromoError(null);
+    try {
+      const quote = await quoteOrder(buildQuoteRequest(code));
+      setPromoQuote(quote);
+      setPromoCode(code);
+    } catch (error) {
+      setPromoError(error.response?.data?.error || 'That code could not be applied.');
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setPromoCode('');
+    setPromoInput('');
+    setPromoError(null);
+  };
+
+  const handleUsePointsChange = (checked) => {
+    setUsePoints(checked);
+    setPointsError(null);
+  };
 
   const handleSendOTP = async () => {
     if (!formData.phone.trim()) {
@@ -105,6 +275,9 @@ function CheckoutForm() {
       const result = await verifyOTP(formData.phone, otpCode);
       if (result.verified) {
         setPhoneVerified(true);
+        if (result.customer) {
+          applyCustomerProfile(result.customer);
+        }
         setOtpSent(false);
         setOtpCode('');
       } else {
@@ -134,6 +307,10 @@ function CheckoutForm() {
       setError('Please enter your delivery address');
       return;
     }
+    if (scheduleLater && formData.orderType !== 'dine-in' && !formData.scheduledFor) {
+      setError('Please pick a time for your order');
+      return;
+    }
 
     // Phone verification required for in-store payments
     if (formData.paymentMethod === 'in-store' && !phoneVerified) {
@@ -163,8 +340,17 @@ function CheckoutForm() {
 
       // Process payment only if paying online
       if (formData.paymentMethod === 'online') {
-        console.log("Attempting to create payment intent with total:", total);
-        const { clientSecret } = await createPaymentIntent({ items: cart, total });
+        console.log("Attempting to create payment intent for cart total:", total);
+        // The server prices the cart itself; the charged amount never comes from the browser
+        const { clientSecret } = await createPaymentIntent({
+          items: cart,
+          tip: tipAmount,
+          orderType: formData.orderType,
+          scheduledFor: (scheduleLater && formData.orderType !== 'dine-in' && formData.scheduledFor) || null,
+          promoCode: promoCode || undefined,
+          redeemPoints: redeemPoints || undefined,
+          phone: formData.phone,
+        });
 
         if (!clientSecret) {
           setError('Failed to process payment. Please try again.');
@@ -196,7 +382,10 @@ function CheckoutForm() {
         items: cart, 
         total, 
         paymentId: paymentId || null,
-        paymentMethod: formData.paymentMethod
+        paymentMethod: formData.paymentMethod,
+        promoCode: promoCode || undefined,
+        redeemPoints: redeemPoints || undefined,
+        scheduledFor: (scheduleLater && formData.orderType !== 'dine-in' && formData.scheduledFor) || null
       });
       console.log("Order created successfully:", order);
 
@@ -205,7 +394,10 @@ function CheckoutForm() {
 
     } catch (error) {
       console.error('A critical error occurred during checkout:', error);
-      setError(error.message || 'An error occurred during checkout. Please try again.');
+      // Order-policy rejections (closed, delivery off, under minimum) come back with a customer-facing reason
+      const reason = error.response?.data?.error || error.message || 'An error occurred during checkout. Please try again.';
+      // The card was already charged; the server refunded it when it turned the order away
+      setError(error.response?.data?.paymentReleased ? `${reason} Your payment has been refunded.` : reason);
       setIsProcessing(false);
     }
   };
@@ -254,6 +446,24 @@ function CheckoutForm() {
                     onChange={(e) => setFormData({ ...formData, address: e.target.value })}
                     required={formData.orderType === 'delivery'}
                   />
+                  {signedInCustomer?.addresses?.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {signedInCustomer.addresses.map((saved) => (
+                        <button
+                          key={saved.addressId}
+                          type="button"
+                          onClick={() => setFormData({ ...formData, address: saved.address })}
+                          className={`text-sm border rounded-full px-3 py-1 transition-colors ${
+                            formData.address === saved.address
+                              ? 'border-[#677D6A] bg-[#677D6A] text-white'
+                              : 'border-gray-300 text-gray-700 hover:border-[#677D6A]'
+                          }`}
+                        >
+                          {saved.label || saved.address}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                   <input
                     type="number"
                     step="0.01"
@@ -264,6 +474,54 @@ function CheckoutForm() {
                   />
                 </div>
               )}
+              {formData.orderType !== 'dine-in' && scheduleSlots.length > 0 && (
+                <div className="mt-4 space-y-3">
+                  <div className="flex gap-6">
+                    <label className="flex items-center cursor-pointer">
+                      <input
+                        type="radio"
+                        name="orderTiming"
+                        checked={!scheduleLater}
+                        onChange={() => handleScheduleLaterChange(false)}
+                        className="w-4 h-4 text-[#ef4444] focus:ring-2 focus:ring-[#ef4444] border-gray-300"
+                      />
+                      <span className="ml-3 font-medium">ASAP</span>
+                    </label>
+                    <label className="flex items-center cursor-pointer">
+                      <input
+                        type="radio"
+                        name="orderTiming"
+                        checked={scheduleLater}
+                        onChange={() => handleScheduleLaterChange(true)}
+                        className="w-4 h-4 text-[#ef4444] focus:ring-2 focus:ring-[#ef4444] border-gray-300"
+                      />
+                      <span className="ml-3 font-medium">Schedule for later</span>
+                    </label>
+                  </div>
+                  {scheduleLater && (
+                    <div className="flex gap-3">
+                      <select
+                        className="flex-1 border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-[#ef4444]"
+                        value={scheduleDay}
+                        onChange={(e) => handleScheduleDayChange(e.target.value)}
+                      >
+                        {scheduleDays.map((day) => (
+                          <option key={day.dateKey} value={day.dateKey}>{day.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="flex-1 border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-[#ef4444]"
+                        value={formData.scheduledFor}
+                        onChange={(e) => setFormData({ ...formData, scheduledFor: e.target.value })}
+                      >
+                        {slotsForDay.map((slot) => (
+                          <option key={slot.value} value={slot.value}>{slot.timeLabel}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              )}
               {formData.orderType === 'dine-in' && (
                 <div className="mt-4">
                   <input
@@ -327,6 +585,11 @@ function CheckoutForm() {
                     value={formData.phone}
                     onChange={(e) => {
                       setFormData({ ...formData, phone: e.target.value });
+                      // A different number is a different customer
+                      if (signedInCustomer) {
+                        clearCustomerSession();
+                        setSignedInCustomer(null);
+                      }
                       // Reset verification when phone changes
                       if (phoneVerified || otpSent) {
                         setPhoneVerified(false);
@@ -337,6 +600,15 @@ function CheckoutForm() {
                     required
                     disabled={isSendingOTP || isVerifyingOTP}
                   />
+
+                  {signedInCustomer && (
+                    <p className="mt-2 text-sm text-gray-600">
+                      Signed in as {signedInCustomer.phone}.{' '}
+                      <button type="button" onClick={handleSignOut} className="text-[#677D6A] underline hover:text-[#1A3636]">
+                        Not you?
+                      </button>
+                    </p>
+                  )}
                   
                   {/* Phone Verification Section - Only show for in-store payments */}
                   {formData.paymentMethod === 'in-store' && (
@@ -457,29 +729,10 @@ function CheckoutForm() {
               <div className="mb-6 space-y-3 pb-6 border-b">
                 {cart.map((item) => {
                   const itemTotal = (Number(item.price) * Number(item.quantity || 0)).toFixed(2);
-                  const optionsText = item.options
-                    ? Object.entries(item.options)
-                        .filter(([key, value]) => {
-                          if (key === 'rice') {
-                            return item.options.mealType === 'lunch';
-                          }
-                          if (key === 'mealType') {
-                            return false;
-                          }
-                          return true;
-                        })
-                        .map(([key, value]) => {
-                          if (key === 'rice') {
-                            return `Rice ${value.charAt(0).toUpperCase() + value.slice(1)}`;
-                          }
-                          return `${key.charAt(0).toUpperCase() + key.slice(1)} ${value}`;
-                        })
-                        .filter(Boolean)
-                        .join(' ')
-                    : '';
+                  const optionsText = describeSelectedModifiers(item.selectedModifiers);
 
                   return (
-                    <div key={`${item.itemId}-${JSON.stringify(item.options)}`} className="flex justify-between items-start gap-2">
+                    <div key={lineKey(item)} className="flex justify-between items-start gap-2">
                       <div className="flex-1 min-w-0">
                         <div className="font-medium text-sm">{item.name}</div>
                         {optionsText && (
@@ -497,12 +750,82 @@ function CheckoutForm() {
                 })}
               </div>
 
+              {/* Promo Code */}
+              <div className="mb-6 pb-6 border-b">
+                {promoCode ? (
+                  <div className="flex justify-between items-center text-sm">
+                    <span>Code <span className="font-semibold">{promoCode.toUpperCase()}</span> applied</span>
+                    <button
+                      type="button"
+                      onClick={handleRemovePromo}
+                      className="text-[#677D6A] hover:text-[#1A3636] underline"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value)}
+                      placeholder="Promo code"
+                      className="flex-1 min-w-0 border border-gray-300 rounded-lg p-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#ef4444]"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleApplyPromo}
+                      disabled={isApplyingPromo || !promoInput.trim()}
+                      className="px-4 py-2 bg-[#677D6A] text-white rounded-lg text-sm font-medium hover:bg-[#40534C] transition-colors disabled:opacity-50"
+                    >
+                      {isApplyingPromo ? 'Applying...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {promoError && (
+                  <p className="text-sm text-red-600 mt-2">{promoError}</p>
+                )}
+              </div>
+
+              {/* Loyalty Points */}
+              {canUsePoints && (
+                <div className="mb-6 pb-6 border-b">
+                  <label className="flex items-center gap-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={usePoints}
+                      onChange={(e) => handleUsePointsChange(e.target.checked)}
+                      className="w-4 h-4 text-[#ef4444] focus:ring-2 focus:ring-[#ef4444] border-gray-300"
+                    />
+                    <span>
+                      Use my {pointsBalance} points
+                      {settings.loyaltyPointValueCents > 0 && ` (up to $${((pointsBalance * settings.loyaltyPointValueCents) / 100).toFixed(2)} off)`}
+                    </span>
+                  </label>
+                  {pointsError && (
+                    <p className="text-sm text-red-600 mt-2">{pointsError}</p>
+                  )}
+                </div>
+              )}
+
               {/* Totals */}
               <div className="space-y-2 mb-6">
                 <div className="flex justify-between text-gray-600">
                   <span>Subtotal</span>
                   <span>${subtotal.toFixed(2)}</span>
                 </div>
+                {adjustments.map((adjustment) => (
+                  <div key={adjustment.adjustmentId} className="flex justify-between text-green-700">
+                    <span>{adjustment.name}{adjustment.code ? ` (${adjustment.code})` : ''}</span>
+                    <span>-${Number(adjustment.amount).toFixed(2)}</span>
+                  </div>
+                ))}
+                {deliveryFee > 0 && (
+                  <div className="flex justify-between text-gray-600">
+                    <span>Delivery Fee</span>
+                    <span>${deliveryFee.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-gray-600">
                   <span>Tax</span>
                   <span>${tax.toFixed(2)}</span>
@@ -17,8 +17,15 @@ function ConfirmationPage() {
   return (
     <div className="card">
       <h2>Order Confirmed: {order.orderId}</h2>
-      <p>Estimated Time: {order.etaMinutes ?? 30} min</p>
-      <p>Total: ${Number(order.total).toFixed(2)}</p>
+      {order.scheduledFor ? (
+        <p>Scheduled For: {new Date(order.scheduledFor).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}</p>
+      ) : (
+        <p>Estimated Time: {order.etaMinutes ?? 30} min</p>
+      )}
+      {Number(order.discount) > 0 && (
+        <p>You saved: ${Number(order.discount).toFixed(2)}{order.adjustments?.length ? ` (${order.adjustments.map((a) => a.name).join(', ')})` : ''}</p>
+      )}
+      <p>Total:${Number(order.total).toFixed(2)}</p>
       {/* Item summary, receipt details */}
     </div>
   );
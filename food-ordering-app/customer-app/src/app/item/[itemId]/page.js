@@ -4,13 +4,76 @@ import { useParams, useRouter } from 'next/navigation';
 import { getMenu } from '@/lib/api';
 import { useCart } from '@/context/CartContext';
 import { mockMenu } from '@/lib/mocks';
+import {
+    hasModifierGroups,
+    defaultSelections,
+    toggleOption,
+    describeLimits,
+    getSelectedModifiers,
+    validateSelections,
+    priceWithModifiers,
+    buildLineId,
+} from '@/lib/modifierGroups';
+
+const CheckIcon = () => (
+    <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+    </svg>
+);
+
+// One block per option group (sauce, dressing, size) with the item's price changes
+function OptionGroups({ item, selections, onToggle, className }) {
+    return (
+        <div className={className}>
+            {item.modifierGroups.map((group) => {
+                const picked = selections[group.groupId] || [];
+                return (
+                    <div key={group.groupId}>
+                        <div className="mb-3">
+                            <label className="block font-bold text-gray-900">{group.name}</label>
+                            <p className="text-sm text-gray-600">{describeLimits(group)}</p>
+                        </div>
+                        <div className="space-y-2">
+                            {(group.options || []).map((option) => {
+                                const isSelected = picked.includes(option.optionId);
+                                const soldOut = option.available === false;
+                                const delta = Number(option.priceDeltaCents) || 0;
+                                return (
+                                    <button
+                                        key={option.optionId}
+                                        onClick={() => onToggle(group, option.optionId)}
+                                        disabled={soldOut}
+                                        className={`w-full rounded-lg px-4 py-3 flex items-center gap-2 transition-all ${
+                                            isSelected
+                                                ? 'bg-[#020403] text-white'
+                                                : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
+                                        } ${soldOut ? 'opacity-60 cursor-not-allowed' : ''}`}
+                                    >
+                                        <span className="font-medium">{option.name}</span>
+                                        {soldOut && <span className="text-sm">Sold out</span>}
+                                        {!soldOut && delta !== 0 && (
+                                            <span className={`text-sm ${isSelected ? 'text-gray-300' : 'text-gray-500'}`}>
+                                                {delta > 0 ? '+' : '-'}${(Math.abs(delta) / 100).toFixed(2)}
+                                            </span>
+                                        )}
+                                        {isSelected && <CheckIcon />}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
 
 function ItemDetailsPage() {
     const params = useParams();
     const router = useRouter();
     const itemId = params.itemId;
     const [item, setItem] = useState(null);
-    const [options, setOptions] = useState({ mealType: 'lunch', rice: 'white' });
+    const [selections, setSelections] = useState({});
     const [quantity, setQuantity] = useState(1);
     const [isMobileOrTablet, setIsMobileOrTablet] = useState(false);
     const [isAddedToCart, setIsAddedToCart] = useState(false);
@@ -59,36 +122,38 @@ function ItemDetailsPage() {
         .catch(() => setItem(mockMenu.find((i) => i.itemId === itemId)));
     }, [itemId]);
 
-    // Check if we're outside lunch hours (11 AM - 2 PM)
-    const now = new Date().getHours();
-    const isLunchTime = now >= 11 && now <= 14;
-    const isLunchCategory = item?.category === 'Lunch';
-    
-    // If outside lunch hours and it's a lunch item, default to dinner
+    // Start each item from its default picks
     useEffect(() => {
-        if (isLunchCategory && !isLunchTime && options.mealType === 'lunch') {
-            setOptions(prev => ({ ...prev, mealType: 'dinner' }));
-        }
-    }, [isLunchCategory, isLunchTime, itemId, options.mealType]); // Update when item changes or lunch time changes
+        setSelections(defaultSelections(item));
+    }, [item]);
+
+    const hasOptions = hasModifierGroups(item);
+    const missingChoices = hasOptions ? validateSelections(item, selections) : [];
+    const canAdd = missingChoices.length === 0;
+
+    const handleToggleOption = (group, optionId) => {
+        setSelections((prev) => ({
+            ...prev,
+            [group.groupId]: toggleOption(group, prev[group.groupId] || [], optionId),
+        }));
+    };
 
     const handleAdd = () => {
-        // Only check time for lunch availability if item category is "Lunch"
-        if (item?.category === 'Lunch') {
-            const now = new Date().getHours();
-            if (options.mealType === 'lunch' && (now < 11 || now > 14)) {
-                alert('Lunch not available');
-                return;
-            }
-            // Include options only for Lunch category items
-            // Add the item multiple times based on quantity
-            for (let i = 0; i < quantity; i++) {
-                addToCart({ ...item, options });
-            }
-        } else {
-            // For non-Lunch items, add without options
-            for (let i = 0; i < quantity; i++) {
-                addToCart(item);
+        if (!canAdd) return;
+
+        // Each set of picks is its own cart line, priced with the options' price changes
+        const lineItem = hasOptions
+            ? {
+                ...item,
+                lineId: buildLineId(item.itemId, selections),
+                modifierSelections: selections,
+                selectedModifiers: getSelectedModifiers(item, selections),
+                price: priceWithModifiers(item, selections),
             }
+            : item;
+        // Add the item multiple times based on quantity
+        for (let i = 0; i < quantity; i++) {
+            addToCart(lineItem);
         }
 
         // On mobile/tablet, show success state and redirect after 1 seconds
@@ -149,11 +214,8 @@ function ItemDetailsPage() {
         );
     }
 
-    // Hide lunch options if outside lunch hours
-    const showLunchOptions = isLunchCategory && isLunchTime;
-    const showRiceOption = isLunchCategory && isLunchTime && options.mealType === 'lunch';
-    
-    const totalPrice = (Number(item.price) || 0) * quantity;
+    const unitPrice = hasOptions ? priceWithModifiers(item, selections) : (Number(item.price) || 0);
+    const totalPrice = unitPrice * quantity;
 
     // TODO: Replace with actual placeholder image
     const PlaceholderImage = () => (
@@ -212,7 +274,7 @@ function ItemDetailsPage() {
                 {/* Item Name and Price */}
                 <div className="mb-3 pl-2">
                     <h2 className="text-2xl font-bold text-gray-900 mb-2">{item.name}</h2>
-                    <p className="text-xl font-bold text-gray-900">${item.price.toFixed(2)}</p>
+                    <p className="text-xl font-bold text-gray-900">${unitPrice.toFixed(2)}</p>
                 </div>
                 
                 {/* Description */}
@@ -259,101 +321,11 @@ function ItemDetailsPage() {
                     </div>
                 </div>
 
-                {/* Divider */}
-                {(showLunchOptions || isLunchCategory || showRiceOption) && (
-                    <div className="border-t border-gray-200 my-6"></div>
-                )}
-
-                {/* Meal Type Options */}
-                {(showLunchOptions || isLunchCategory) && (
-                    <div className="mb-6">
-                        <div className="mb-2">
-                            <label className="block font-bold text-gray-900">Meal Type</label>
-                            <p className="text-sm text-gray-600">Select one</p>
-                        </div>
-                        <div className="space-y-2 mt-3">
-                            {showLunchOptions && (
-                                <button
-                                    onClick={() => setOptions({ ...options, mealType: 'lunch' })}
-                                    className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                        options.mealType === 'lunch'
-                                            ? 'bg-[#020403] text-white justify-between'
-                                            : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                    }`}
-                                >
-                                    <span className="font-medium">Lunch</span>
-                                    {options.mealType === 'lunch' && (
-                                        <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                        </svg>
-                                    )}
-                                </button>
-                            )}
-                            <button
-                                onClick={() => setOptions({ ...options, mealType: 'dinner' })}
-                                disabled={isLunchCategory && !isLunchTime && !showLunchOptions}
-                                className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                    options.mealType === 'dinner'
-                                        ? 'bg-[#020403] text-white justify-between'
-                                        : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                } ${isLunchCategory && !isLunchTime && !showLunchOptions ? 'opacity-60 cursor-not-allowed' : ''}`}
-                            >
-                                <span className="font-medium">Dinner</span>
-                                {options.mealType === 'dinner' && (
-                                    <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                    </svg>
-                                )}
-                            </button>
-                        </div>
-                        {isLunchCategory && !isLunchTime && !showLunchOptions && (
-                            <p className="text-sm text-gray-500 mt-2">Lunch is only available from 11 AM - 2 PM</p>
-                        )}
-                    </div>
-                )}
-
-                {/* Rice Options */}
-                {showRiceOption && (
+                {/* Option groups (sauce, dressing, size) */}
+                {hasOptions && (
                     <>
                         <div className="border-t border-gray-200 my-6"></div>
-                        <div className="mb-6">
-                            <div className="mb-2">
-                                <label className="block font-bold text-gray-900">Rice</label>
-                                <p className="text-sm text-gray-600">Select one</p>
-                            </div>
-                            <div className="space-y-2 mt-3">
-                                <button
-                                    onClick={() => setOptions({ ...options, rice: 'white' })}
-                                    className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                        options.rice === 'white'
-                                            ? 'bg-[#020403] text-white justify-between'
-                                            : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                    }`}
-                                >
-                                    <span className="font-medium">White</span>
-                                    {options.rice === 'white' && (
-                                        <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                        </svg>
-                                    )}
-                                </button>
-                                <button
-                                    onClick={() => setOptions({ ...options, rice: 'fried' })}
-                                    className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                        options.rice === 'fried'
-                                            ? 'bg-[#020403] text-white justify-between'
-                                            : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                    }`}
-                                >
-                                    <span className="font-medium">Fried</span>
-                                    {options.rice === 'fried' && (
-                                        <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                        </svg>
-                                    )}
-                                </button>
-                            </div>
-                        </div>
+                        <OptionGroups item={item} selections={selections} onToggle={handleToggleOption} className="space-y-6 mb-6" />
                     </>
                 )}
             </div>
@@ -380,7 +352,7 @@ function ItemDetailsPage() {
                     {/* Item Name and Price */}
                     <div className="mb-4">
                         <h2 className="text-4xl font-bold text-gray-900 mb-3">{item.name}</h2>
-                        <p className="text-2xl font-bold text-gray-900">${item.price.toFixed(2)}</p>
+                        <p className="text-2xl font-bold text-gray-900">${unitPrice.toFixed(2)}</p>
                     </div>
                     
                     {/* Description */}
@@ -411,105 +383,20 @@ function ItemDetailsPage() {
                         </div>
                     </div>
 
-                    {/* Desktop: Options Section */}
-                    {(showLunchOptions || isLunchCategory || showRiceOption) && (
-                        <div className="mt-8 space-y-6">
-                            {/* Meal Type Options */}
-                            {(showLunchOptions || isLunchCategory) && (
-                                <div>
-                                    <div className="mb-3">
-                                        <label className="block font-bold text-gray-900">Meal Type</label>
-                                        <p className="text-sm text-gray-600">Select one</p>
-                                    </div>
-                                    <div className="space-y-2">
-                                        {showLunchOptions && (
-                                            <button
-                                                onClick={() => setOptions({ ...options, mealType: 'lunch' })}
-                                                className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                                    options.mealType === 'lunch'
-                                                        ? 'bg-[#020403] text-white justify-between'
-                                                        : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                                }`}
-                                            >
-                                                <span className="font-medium">Lunch</span>
-                                                {options.mealType === 'lunch' && (
-                                                    <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                                    </svg>
-                                                )}
-                                            </button>
-                                        )}
-                                        <button
-                                            onClick={() => setOptions({ ...options, mealType: 'dinner' })}
-                                            disabled={isLunchCategory && !isLunchTime && !showLunchOptions}
-                                            className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                                options.mealType === 'dinner'
-                                                    ? 'bg-[#020403] text-white justify-between'
-                                                    : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                            } ${isLunchCategory && !isLunchTime && !showLunchOptions ? 'opacity-60 cursor-not-allowed' : ''}`}
-                                        >
-                                            <span className="font-medium">Dinner</span>
-                                            {options.mealType === 'dinner' && (
-                                                <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                                </svg>
-                                            )}
-                                        </button>
-                                    </div>
-                                    {isLunchCategory && !isLunchTime && !showLunchOptions && (
-                                        <p className="text-sm text-gray-500 mt-2">Lunch is only available from 11 AM - 2 PM</p>
-                                    )}
-                                </div>
-                            )}
+                    {/* Desktop: Option groups */}
+                    {hasOptions && (
+                        <OptionGroups item={item} selections={selections} onToggle={handleToggleOption} className="mt-8 space-y-6" />
+                    )}
 
-                            {/* Rice Options */}
-                            {showRiceOption && (
-                                <div>
-                                    <div className="mb-3">
-                                        <label className="block font-bold text-gray-900">Rice</label>
-                                        <p className="text-sm text-gray-600">Select one</p>
-                                    </div>
-                                    <div className="space-y-2">
-                                        <button
-                                            onClick={() => setOptions({ ...options, rice: 'white' })}
-                                            className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                                options.rice === 'white'
-                                                    ? 'bg-[#020403] text-white justify-between'
-                                                    : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                            }`}
-                                        >
-                                            <span className="font-medium">White</span>
-                                            {options.rice === 'white' && (
-                                                <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                                </svg>
-                                            )}
-                                        </button>
-                                        <button
-                                            onClick={() => setOptions({ ...options, rice: 'fried' })}
-                                            className={`w-full rounded-lg px-4 py-3 flex items-center transition-all ${
-                                                options.rice === 'fried'
-                                                    ? 'bg-[#020403] text-white justify-between'
-                                                    : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                                            }`}
-                                        >
-                                            <span className="font-medium">Fried</span>
-                                            {options.rice === 'fried' && (
-                                                <svg className="w-5 h-5 ml-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                                </svg>
-                                            )}
-                                        </button>
-                                    </div>
-                                </div>
-                            )}
-                        </div>
+                    {!canAdd && (
+                        <p className="text-sm text-gray-500 mt-6">{missingChoices.join(' · ')}</p>
                     )}
 
                     {/* Add to Order Button */}
                     <button 
                         onClick={handleAdd} 
-                        className="w-full bg-[#020403] text-white py-4 px-6 rounded-lg font-semibold text-lg hover:bg-gray-800 transition-colors mt-8 "
+                        disabled={!canAdd}
+                        className={`w-full bg-[#020403] text-white py-4 px-6 rounded-lg font-semibold text-lg hover:bg-gray-800 transition-colors mt-8 ${!canAdd ? 'opacity-50 cursor-not-allowed' : ''}`}
                     >
                         Add {quantity} to order • ${totalPrice.toFixed(2)}
                     </button>
@@ -521,12 +408,12 @@ function ItemDetailsPage() {
                 <div className="fixed bottom-0 left-0 right-0 z-50 px-4 pb-4 pointer-events-none md:hidden">
                     <button 
                         onClick={handleAdd}
-                        disabled={isAddedToCart}
+                        disabled={isAddedToCart || !canAdd}
                         className={`w-full py-4 px-6 shadow-xl rounded-full flex items-center justify-between transition-all duration-300 pointer-events-auto ${
                             isAddedToCart 
                                 ? 'bg-[#59B512] text-white' 
                                 : 'bg-[#020403] text-white hover:bg-[#dc2626] active:scale-95'
-                        }`}
+                        } ${!canAdd ? 'opacity-50' : ''}`}
                     >
                         <span className="font-semibold text-lg flex items-center gap-2">
                             {isAddedToCart ? (
@@ -0,0 +1,441 @@
+'use client';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { useCart } from '@/context/CartContext';
+import { getMenu, sendOTP, verifyOTP, getCustomerOrders, updateCustomerProfile, getCustomerLoyalty } from '@/lib/api';
+import { getCustomerSession, clearCustomerSession, updateStoredCustomer } from '@/lib/customerSession';
+import {
+  hasModifierGroups,
+  getSelectedModifiers,
+  validateSelections,
+  priceWithModifiers,
+  buildLineId,
+} from '@/lib/modifierGroups';
+
+const STATUS_LABELS = {
+  needs_callback: 'We\'ll call you back',
+  new: 'Received',
+  paid: 'Received',
+  pending_payment: 'Awaiting payment',
+  payment_failed: 'Payment failed',
+  accepted: 'Accepted',
+  preparing: 'Preparing',
+  ready: 'Ready',
+  out_for_delivery: 'Out for delivery',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+const LOYALTY_ACTIVITY_LABELS = {
+  earn: 'Earned',
+  redeem: 'Used on an order',
+  earn_reversal: 'Order refunded',
+  redeem_return: 'Returned from a cancelled order',
+  adjustment: 'Adjusted by the restaurant',
+};
+
+function formatOrderDate(isoString) {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+// Phone + code sign-in, same OTP flow as checkout
+function SignInForm({ onSignedIn }) {
+  const [phone, setPhone] = useState('');
+  const [otpCode, setOtpCode] = useState('');
+  const [otpSent, setOtpSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSend = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await sendOTP(phone);
+      setOtpSent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send code. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await verifyOTP(phone, otpCode);
+      if (result.verified && result.session) {
+        onSignedIn(result.customer);
+      } else {
+        setError(result.error || 'Could not sign you in. Please try again.');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to verify code. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 max-w-md">
+      <h2 className="text-xl font-semibold mb-2">Sign in with your phone</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        See past orders (including ones you placed by phone), reorder in one tap and manage saved addresses.
+      </p>
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">{error}</div>
+      )}
+      {!otpSent ? (
+        <div className="space-y-3">
+          <input
+            type="tel"
+            className="w-full border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-[#ef4444]"
+            placeholder="Phone number"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            disabled={busy}
+          />
+          <button
+            type="button"
+            onClick={handleSend}
+            disabled={!phone.trim() || busy}
+            className="w-full bg-[#1A3636] text-white py-2 px-4 rounded-lg font-medium hover:bg-[#40534C] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy ? 'Sending...' : 'Send Verification Code'}
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <input
+            type="text"
+            maxLength="6"
+            className="w-full border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-[#ef4444] text-center text-2xl tracking-widest"
+            placeholder="000000"
+            value={otpCode}
+            onChange={(e) => setOtpCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            disabled={busy}
+          />
+          <p className="text-xs text-gray-500">We sent a verification code to {phone}</p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleVerify}
+              disabled={otpCode.length !== 6 || busy}
+              className="flex-1 bg-[#1A3636] text-white py-2 px-4 rounded-lg font-medium hover:bg-[#40534C] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Verifying...' : 'Verify Code'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setOtpSent(false); setOtpCode(''); }}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+              disabled={busy}
+            >
+              Change Number
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SavedAddresses({ customer, onChange }) {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const addresses = customer?.addresses || [];
+
+  const save = async (nextAddresses) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await updateCustomerProfile({ addresses: nextAddresses });
+      onChange(updated);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not update addresses.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLabel = (addressId) => {
+    const current = addresses.find((a) => a.addressId === addressId);
+    const label = window.prompt('Label for this address (e.g. Home, Work)', current?.label || '');
+    if (label === null) return;
+    save(addresses.map((a) => (a.addressId === addressId ? { ...a, label } : a)));
+  };
+
+  const handleRemove = (addressId) => {
+    save(addresses.filter((a) => a.addressId !== addressId));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h2 className="text-xl font-semibold mb-4">Saved Addresses</h2>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {addresses.length === 0 ? (
+        <p className="text-sm text-gray-600">Delivery addresses are saved automatically when you order.</p>
+      ) : (
+        <ul className="divide-y">
+          {addresses.map((a) => (
+            <li key={a.addressId} className="py-3 flex items-start justify-between gap-4">
+              <div>
+                {a.label && <div className="font-medium">{a.label}</div>}
+                <div className="text-sm text-gray-700">{a.address}</div>
+              </div>
+              <div className="flex gap-3 text-sm shrink-0">
+                <button type="button" onClick={() => handleLabel(a.addressId)} disabled={saving} className="text-[#677D6A] hover:text-[#1A3636]">
+                  Label
+                </button>
+                <button type="button" onClick={() => handleRemove(a.addressId)} disabled={saving} className="text-gray-400 hover:text-red-500">
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Points balance and recent activity; hidden until the customer has earned something
+function RewardsCard() {
+  const [loyalty, setLoyalty] = useState(null);
+
+  useEffect(() => {
+    getCustomerLoyalty()
+      .then(setLoyalty)
+      .catch((err) => console.error('Could not load rewards:', err));
+  }, []);
+
+  if (!loyalty || (loyalty.points === 0 && !loyalty.activity?.length)) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-baseline justify-between mb-4">
+        <h2 className="text-xl font-semibold">Rewards</h2>
+        <div className="text-2xl font-bold text-[#677D6A]">{loyalty.points} points</div>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">Use your points at checkout or mention them when you order by phone.</p>
+      <ul className="divide-y">
+        {loyalty.activity.slice(0, 5).map((entry) => (
+          <li key={entry.entryId} className="py-2 flex justify-between text-sm">
+            <span className="text-gray-700">
+              {LOYALTY_ACTIVITY_LABELS[entry.type] || entry.type} · {formatOrderDate(entry.createdAt)}
+            </span>
+            <span className={entry.points < 0 ? 'text-gray-500' : 'text-green-700 font-medium'}>
+              {entry.points > 0 ? '+' : ''}{entry.points}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function OrdersPage() {
+  const router = useRouter();
+  const { setCart } = useCart();
+  const [customer, setCustomer] = useState(null);
+  const [signedIn, setSignedIn] = useState(false);
+  const [orders, setOrders] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const signOut = useCallback(() => {
+    clearCustomerSession();
+    setSignedIn(false);
+    setCustomer(null);
+    setOrders([]);
+    setNextCursor(null);
+  }, []);
+
+  const loadOrders = useCallback(async (cursor) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await getCustomerOrders({ cursor });
+      setOrders((prev) => (cursor ? [...prev, ...page.orders] : page.orders));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      if (err.response?.status === 401) {
+        signOut();
+        return;
+      }
+      setError(err.response?.data?.error || 'Could not load your orders.');
+    } finally {
+      setLoading(false);
+    }
+  }, [signOut]);
+
+  useEffect(() => {
+    const session = getCustomerSession();
+    if (session) {
+      setSignedIn(true);
+      setCustomer(session.customer);
+      loadOrders();
+    }
+  }, [loadOrders]);
+
+  const handleSignedIn = (profile) => {
+    setSignedIn(true);
+    setCustomer(profile);
+    loadOrders();
+  };
+
+  const handleProfileChange = (profile) => {
+    setCustomer(profile);
+    updateStoredCustomer(profile);
+  };
+
+  // Rebuild the cart from an old order at today's menu prices; skip items no longer offered
+  const handleReorder = async (order) => {
+    setNotice(null);
+    try {
+      const menu = await getMenu();
+      const menuById = new Map((Array.isArray(menu) ? menu : []).map((item) => [String(item.itemId), item]));
+      const cartItems = [];
+      const skipped = [];
+
+      for (const line of order.items || []) {
+        const menuItem = menuById.get(String(line.itemId));
+        // Combos are built with the store (phone or counter), not in the web cart
+        if (!menuItem || menuItem.available === false || line.comboComponents?.length) {
+          skipped.push(line.name);
+          continue;
+        }
+        // Carry the old picks forward when they still fit the item's option groups
+        let options = {};
+        if (hasModifierGroups(menuItem)) {
+          const selections = {};
+          for (const picked of line.selectedModifiers || []) {
+            selections[picked.groupId] = [...(selections[picked.groupId] || []), picked.optionId];
+          }
+          const selectedModifiers = getSelectedModifiers(menuItem, selections);
+          const soldOut = menuItem.modifierGroups.some((g) =>
+            (g.options || []).some((o) => o.available === false && (selections[g.groupId] || []).includes(o.optionId))
+          );
+          const dropped = selectedModifiers.length !== (line.selectedModifiers || []).length;
+          if (soldOut || dropped || validateSelections(menuItem, selections).length > 0) {
+            skipped.push(line.name);
+            continue;
+          }
+          options = {
+            lineId: buildLineId(menuItem.itemId, selections),
+            modifierSelections: selections,
+            selectedModifiers,
+            price: priceWithModifiers(menuItem, selections),
+          };
+        }
+
+        const key = options.lineId || menuItem.itemId;
+        const existing = cartItems.find((i) => (i.lineId || i.itemId) === key);
+        if (existing) {
+          existing.quantity += Number(line.quantity) || 1;
+        } else {
+          cartItems.push({
+            ...menuItem,
+            ...options,
+            quantity: Number(line.quantity) || 1,
+            ...(line.pizzaDetails ? { pizzaDetails: line.pizzaDetails } : {}),
+          });
+        }
+      }
+
+      if (cartItems.length === 0) {
+        setNotice('None of the items from that order are on the menu right now.');
+        return;
+      }
+
+      setCart(cartItems);
+      if (skipped.length > 0) {
+        window.alert(`Some items are no longer available and were left out: ${skipped.join(', ')}`);
+      }
+      router.push('/cart');
+    } catch (err) {
+      console.error('Reorder failed:', err);
+      setNotice('Could not load the menu. Please try again.');
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-3xl font-bold text-[#677D6A]">My Orders</h1>
+          {signedIn && (
+            <button type="button" onClick={signOut} className="text-sm text-gray-600 hover:text-gray-900">
+              Sign out{customer?.phone ? ` (${customer.phone})` : ''}
+            </button>
+          )}
+        </div>
+
+        {!signedIn ? (
+          <SignInForm onSignedIn={handleSignedIn} />
+        ) : (
+          <>
+            {error && <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">{error}</div>}
+            {notice && <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded">{notice}</div>}
+
+            <div className="bg-white rounded-lg shadow-sm">
+              {orders.length === 0 && !loading && (
+                <p className="p-6 text-gray-600">No orders yet.</p>
+              )}
+              {orders.map((order) => (
+                <div key={order.orderId} className="p-4 border-b last:border-b-0 flex justify-between items-start gap-4">
+                  <div className="flex-1">
+                    <div className="font-semibold">
+                      #{order.orderNumber || order.orderId.slice(-6)} · {formatOrderDate(order.createdAt)}
+                    </div>
+                    <div className="text-sm text-gray-600 mt-1">
+                      {STATUS_LABELS[order.status] || order.status} · {order.orderType}
+                      {order.source === 'vapi' ? ' · by phone' : ''}
+                    </div>
+                    <div className="text-sm text-gray-700 mt-2">
+                      {(order.items || []).map((it) => `${it.quantity}× ${it.name}`).join(', ')}
+                    </div>
+                  </div>
+                  <div className="text-right space-y-2">
+                    <div className="font-bold">${Number(order.total || 0).toFixed(2)}</div>
+                    <button
+                      type="button"
+                      onClick={() => handleReorder(order)}
+                      disabled={!order.items?.length}
+                      className="bg-[#1A3636] text-white text-sm py-2 px-4 rounded-lg font-medium hover:bg-[#40534C] transition-colors disabled:opacity-50"
+                    >
+                      Reorder
+                    </button>
+                  </div>
+                </div>
+              ))}
+              {loading && <p className="p-4 text-gray-500">Loading...</p>}
+            </div>
+
+            {nextCursor && !loading && (
+              <button
+                type="button"
+                onClick={() => loadOrders(nextCursor)}
+                className="w-full border border-gray-300 rounded-lg py-2 text-gray-700 hover:bg-gray-50"
+              >
+                Load more
+              </button>
+            )}
+
+            <RewardsCard />
+
+            <SavedAddresses customer={customer} onChange={handleProfileChange} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,9 +3,10 @@ import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useCart } from '@/context/CartContext';
 import { getSettings } from '@/lib/api';
+import { describeSelectedModifiers } from '@/lib/modifierGroups';
 
 function CartPreviewDrawer() {
-  const { cart, updateQuantity, removeItem, isCartOpen, setIsCartOpen } = useCart();
+  const { cart, lineKey, updateQuantity, removeItem, isCartOpen, setIsCartOpen } = useCart();
   const router = useRouter();
   const [settings, setSettings] = useState({ taxRate: 9.0 });
 
@@ -125,29 +126,10 @@ function CartPreviewDrawer() {
             <div className="space-y-4">
               {cart.map((item) => {
                 const itemTotal = (Number(item.price) * Number(item.quantity || 0)).toFixed(2);
-                const optionsText = item.options
-                  ? Object.entries(item.options)
-                      .filter(([key, value]) => {
-                        if (key === 'rice') {
-                          return item.options.mealType === 'lunch';
-                        }
-                        if (key === 'mealType') {
-                          return false;
-                        }
-                        return true;
-                      })
-                      .map(([key, value]) => {
-                        if (key === 'rice') {
-                          return `Rice ${value.charAt(0).toUpperCase() + value.slice(1)}`;
-                        }
-                        return `${key.charAt(0).toUpperCase() + key.slice(1)} ${value}`;
-                      })
-                      .filter(Boolean)
-                      .join(' ')
-                  : '';
+                const optionsText = describeSelectedModifiers(item.selectedModifiers);
 
                 return (
-                  <div key={`${item.itemId}-${JSON.stringify(item.options)}`} className="pb-4 border-b last:border-b-0">
+                  <div key={lineKey(item)} className="pb-4 border-b last:border-b-0">
                     <div className="flex justify-between items-start gap-4">
                       <div className="flex-1">
                         <div className="font-semibold">{item.name}</div>
@@ -161,7 +143,7 @@ function CartPreviewDrawer() {
                       <div className="flex items-center gap-3">
                         <div className="flex items-center border rounded">
                           <button
-                            onClick={() => updateQuantity(item.itemId, item.quantity - 1)}
+                            onClick={() => updateQuantity(lineKey(item), item.quantity - 1)}
                             className="px-2 py-1 hover:bg-gray-100 transition-colors"
                             aria-label="Decrease quantity"
                           >
@@ -169,7 +151,7 @@ function CartPreviewDrawer() {
                           </button>
                           <span className="px-3 py-1 min-w-[2rem] text-center">{item.quantity}</span>
                           <button
-                            onClick={() => updateQuantity(item.itemId, item.quantity + 1)}
+                            onClick={() => updateQuantity(lineKey(item), item.quantity + 1)}
                             className="px-2 py-1 hover:bg-gray-100 transition-colors"
                             aria-label="Increase quantity"
                           >
@@ -180,7 +162,7 @@ function CartPreviewDrawer() {
                           ${itemTotal}
                         </div>
                         <button
-                          onClick={() => removeItem(item.itemId)}
+                          onClick={() => removeItem(lineKey(item))}
                           className="text-gray-400 hover:text-red-500 transition-colors ml-2"
                           aria-label="Remove item"
                         >
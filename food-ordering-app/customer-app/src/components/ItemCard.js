@@ -2,10 +2,12 @@
 import React, { useState, useEffect } from 'react';
 import Link from "next/link";
 import { useCart } from '@/context/CartContext'; 
+import { hasModifierGroups } from '@/lib/modifierGroups';
 
 function ItemCard({ item }) {
     const { cart, addToCart, setIsCartOpen } = useCart();
-    const isLunchCategory = item.category === 'Lunch';
+    // Items with option groups (sauce, dressing, size) are picked on the detail page
+    const hasOptions = hasModifierGroups(item);
     const [isMobileOrTablet, setIsMobileOrTablet] = useState(false);
 
     useEffect(() => {
@@ -32,20 +34,10 @@ function ItemCard({ item }) {
         };
     }, []);
 
-    // Find the item in cart - for non-Lunch items, match by itemId
-    // For Lunch items, we only check if any item with this itemId exists (options may differ)
-    const cartItem = cart.find((i) => {
-        if (isLunchCategory) {
-            // For Lunch items, we'll show quantity if any version exists
-            // But typically they need to configure options first
-            return i.itemId === item.itemId;
-        } else {
-            // For non-Lunch items, exact match by itemId
-            return i.itemId === item.itemId;
-        }
-    });
-
-    const currentQuantity = cartItem?.quantity || 0;
+    // Count every line of this item (each set of option picks is its own line)
+    const currentQuantity = cart
+        .filter((i) => i.itemId === item.itemId)
+        .reduce((sum, i) => sum + (i.quantity || 0), 0);
     const showQuantity = currentQuantity > 0;
 
     const handleAddToCart = (e) => {
@@ -54,8 +46,8 @@ function ItemCard({ item }) {
             return; // Let the Link handle navigation
         }
 
-        // For Lunch items, don't prevent navigation - let it go to detail page
-        if (isLunchCategory) {
+        // Items with options need their picks - let it go to detail page
+        if (hasOptions) {
             return; // Let the Link handle navigation
         }
         
@@ -103,7 +95,7 @@ function ItemCard({ item }) {
                     className={`absolute -bottom-3 -right-3 bg-white rounded-full w-10 h-10 flex items-center justify-center shadow-lg transition-all duration-200 transform hover:scale-110 active:scale-95 z-10 ${
                         showQuantity ? 'bg-[#ef4444] text-white' : ''
                     }`}
-                    aria-label={isLunchCategory || isMobileOrTablet ? `View ${item.name} details` : `Add ${item.name} to cart`}
+                    aria-label={hasOptions || isMobileOrTablet ? `View ${item.name} details` : `Add ${item.name} to cart`}
                 >
                     <span className={`text-xl font-semibold transition-colors duration-200 ${showQuantity ? 'text-black' : 'text-gray-800'}`}>
                         {showQuantity ? currentQuantity : '+'}
@@ -103,8 +103,15 @@ export default function Navbar() {
           <Logo />
           
           {/* Right side - can add navigation items here later */}
-          <div className="hidden md:flex items-center gap-4">
-            {/* Placeholder for future nav items */}
+          <div className="absolute right-0 md:static flex items-center gap-4">
+            <Link
+              href="/orders"
+              className={`text-sm font-medium transition-colors ${
+                pathname === '/orders' ? 'text-[#677D6A]' : 'text-gray-700 hover:text-[#677D6A]'
+              }`}
+            >
+              My Orders
+            </Link>
           </div>
         </div>
       </div>
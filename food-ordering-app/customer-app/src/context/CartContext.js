@@ -44,6 +44,9 @@ const loadCartFromStorage = () => {
   }
 };
 
+// Lines with option picks carry a lineId (same item, different sauce = different line)
+const lineKey = (item) => item.lineId || item.itemId;
+
 export function CartProvider({ children }) {
   // Initialize cart from localStorage on mount
   const [cart, setCart] = useState(() => {
@@ -63,36 +66,39 @@ export function CartProvider({ children }) {
 
   const addToCart = (item) => {
     setCart((prev) => {
-      const existing = prev.find((i) => i.itemId === item.itemId);
+      const key = lineKey(item);
+      const existing = prev.find((i) => lineKey(i) === key);
       if (existing) {
         return prev.map((i) =>
-          i.itemId === item.itemId ? { ...i, quantity: i.quantity + 1 } : i
+          lineKey(i) === key ? { ...i, quantity: i.quantity + 1 } : i
         );
       }
       return [...prev, { ...item, quantity: 1 }];
     });
   };
 
-  const updateQuantity = (itemId, newQuantity) => {
+  // key is the line's lineId (or itemId for lines without options)
+  const updateQuantity = (key, newQuantity) => {
     if (newQuantity <= 0) {
-      removeItem(itemId);
+      removeItem(key);
       return;
     }
     setCart((prev) =>
       prev.map((item) =>
-        item.itemId === itemId ? { ...item, quantity: newQuantity } : item
+        lineKey(item) === key ? { ...item, quantity: newQuantity } : item
       )
     );
   };
 
-  const removeItem = (itemId) => {
-    setCart((prev) => prev.filter((item) => item.itemId !== itemId));
+  const removeItem = (key) => {
+    setCart((prev) => prev.filter((item) => lineKey(item) !== key));
   };
 
   const cartCount = cart.reduce((sum, item) => sum + item.quantity, 0);
 
   const value = {
     cart,
+    lineKey,
     setCart,
     addToCart,
     updateQuantity,
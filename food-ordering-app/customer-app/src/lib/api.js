@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { getCachedMenu, setCachedMenu } from './menuCache';
+import { getCustomerAuthHeaders, saveCustomerSession } from './customerSession';
 
 // 1. Next.js Environment Variable Update:
 // Next.js requires PUBLIC environment variables to be prefixed with NEXT_PUBLIC_
@@ -47,13 +48,30 @@ export const getSettings = async () => {
     return res.data;
 };
 
+// Open time slots for "order for later" at checkout (computed server-side in the restaurant's timezone)
+export const getScheduleSlots = async () => {
+    const res = await axios.get(`${API_BASE}/settings`, { params: { include: 'scheduleSlots' } });
+    return res.data?.scheduleSlots || [];
+};
+
+// Session is needed when spending loyalty points (the balance is the signed-in customer's)
 export const createPaymentIntent = async (data) => {
-    const res = await axios.post(`${API_BASE}/payment/intent`, data);
+    const res = await axios.post(`${API_BASE}/payment/intent`, data, { headers: getCustomerAuthHeaders() });
     return res.data;
 };
 
+// Signed-in customers send their session so the order lands in their history
 export const createOrder = async (data) => {
-    const res = await axios.post(`${API_BASE}/orders`, data);
+    const res = await axios.post(`${API_BASE}/orders`, data, { headers: getCustomerAuthHeaders() });
+    return res.data;
+};
+
+// Prices the cart server-side (deals and promo code applied) without placing the order
+export const quoteOrder = async (data) => {
+    const res = await axios.post(`${API_BASE}/orders`, data, {
+        params: { mode: 'quote' },
+        headers: getCustomerAuthHeaders(),
+    });
     return res.data;
 };
 
@@ -67,7 +85,36 @@ export const sendOTP = async (phone) => {
     return res.data;
 };
 
+// A successful verification also signs the customer in (session stored for later checkouts)
 export const verifyOTP = async (phone, otp) => {
     const res = await axios.post(`${API_BASE}/otp/verify`, { phone, otp });
+    if (res.data?.verified && res.data?.session) {
+        saveCustomerSession(res.data);
+    }
     return res.data;
-};
\ No newline at end of file
+};
+
+// Customer account - all need the session from verifyOTP (401 once it expires)
+export const getCustomerProfile = async () => {
+    const res = await axios.get(`${API_BASE}/customer/me`, { headers: getCustomerAuthHeaders() });
+    return res.data.customer;
+};
+
+export const updateCustomerProfile = async (updates) => {
+    const res = await axios.patch(`${API_BASE}/customer/me`, updates, { headers: getCustomerAuthHeaders() });
+    return res.data.customer;
+};
+
+export const getCustomerOrders = async ({ cursor, limit } = {}) => {
+    const res = await axios.get(`${API_BASE}/customer/orders`, {
+        params: { cursor, limit },
+        headers: getCustomerAuthHeaders(),
+    });
+    return res.data;
+};
+
+// Points balance plus recent earn/spend activity
+export const getCustomerLoyalty = async () => {
+    const res = await axios.get(`${API_BASE}/customer/loyalty`, { headers: getCustomerAuthHeaders() });
+    return res.data;
+};
@@ -0,0 +1,55 @@
+// Customer session from POST /otp/verify, kept in localStorage until it expires.
+// Lets checkout skip re-verifying the phone and unlocks order history / saved addresses.
+
+const SESSION_STORAGE_KEY = 'savorSphere_customerSession';
+
+export function getCustomerSession() {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!stored) return null;
+
+    const session = JSON.parse(stored);
+    if (!session?.token || !session?.expiresAt || new Date(session.expiresAt).getTime() <= Date.now()) {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error('Error reading customer session:', error);
+    return null;
+  }
+}
+
+// Store the { session, customer } returned by verifyOTP
+export function saveCustomerSession({ session, customer }) {
+  if (typeof window === 'undefined' || !session?.token) return;
+
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      customer: customer || null,
+    }));
+  } catch (error) {
+    console.error('Error saving customer session:', error);
+  }
+}
+
+// Keep the cached profile in step after an edit
+export function updateStoredCustomer(customer) {
+  const session = getCustomerSession();
+  if (!session) return;
+  saveCustomerSession({ session, customer });
+}
+
+export function clearCustomerSession() {
+  if (typeof window === 'undefined') return;
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+export function getCustomerAuthHeaders() {
+  const session = getCustomerSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
@@ -0,0 +1,110 @@
+// Option groups on menu items (wing sauce, dressing, drink size).
+// Mirrors backend/lambdas/utils/modifier-groups.mjs for the item page picker and cart
+// display; the server re-validates the picks and prices every order itself.
+
+function toInt(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+export function hasModifierGroups(item) {
+  return Array.isArray(item?.modifierGroups) && item.modifierGroups.length > 0;
+}
+
+// Required groups need one pick; max defaults to one per option
+export function getSelectionLimits(group) {
+  const optionCount = Array.isArray(group?.options) ? group.options.length : 0;
+  const min = Math.max(group?.required ? 1 : 0, toInt(group?.minSelections, 0));
+  const max = toInt(group?.maxSelections, 0) > 0 ? toInt(group.maxSelections, 0) : optionCount;
+  return { min, max };
+}
+
+// "Select one", "Select up to 3", "Select 1-2", "Optional"
+export function describeLimits(group) {
+  const { min, max } = getSelectionLimits(group);
+  if (min === 0) return max === 1 ? 'Optional' : `Optional, up to ${max}`;
+  if (min === max) return min === 1 ? 'Select one' : `Select ${min}`;
+  return `Select ${min}-${max}`;
+}
+
+// Default picks for the item page: { [groupId]: [optionId, ...] }
+export function defaultSelections(item) {
+  const selections = {};
+  for (const group of item?.modifierGroups || []) {
+    selections[group.groupId] = (group.options || [])
+      .filter((o) => o.isDefault && o.available !== false)
+      .map((o) => o.optionId);
+  }
+  return selections;
+}
+
+// Single-choice groups swap the pick, multi-choice groups toggle up to max
+export function toggleOption(group, current = [], optionId) {
+  const { max } = getSelectionLimits(group);
+  if (current.includes(optionId)) return current.filter((id) => id !== optionId);
+  if (max === 1) return [optionId];
+  if (current.length >= max) return current;
+  return [...current, optionId];
+}
+
+export function getSelectedModifiers(item, selections = {}) {
+  const selected = [];
+  for (const group of item?.modifierGroups || []) {
+    for (const optionId of selections[group.groupId] || []) {
+      const option = (group.options || []).find((o) => o.optionId === optionId);
+      if (option) {
+        selected.push({
+          groupId: group.groupId,
+          groupName: group.name,
+          optionId: option.optionId,
+          name: option.name,
+          priceDeltaCents: toInt(option.priceDeltaCents, 0),
+        });
+      }
+    }
+  }
+  return selected;
+}
+
+// Groups still missing picks (the Add button stays disabled until this is empty)
+export function validateSelections(item, selections = {}) {
+  const errors = [];
+  for (const group of item?.modifierGroups || []) {
+    const picked = selections[group.groupId] || [];
+    const { min, max } = getSelectionLimits(group);
+    if (picked.length < min) {
+      errors.push(`Choose ${min === 1 ? 'a' : `at least ${min}`} ${group.name}`);
+    } else if (picked.length > max) {
+      errors.push(`Choose at most ${max} ${group.name}`);
+    }
+  }
+  return errors;
+}
+
+// Unit price in dollars with the picks' price changes applied
+export function priceWithModifiers(item, selections = {}) {
+  const baseCents = Math.round((Number(item?.price) || 0) * 100);
+  const deltaCents = getSelectedModifiers(item, selections).reduce((sum, s) => sum + s.priceDeltaCents, 0);
+  return Math.max(0, baseCents + deltaCents) / 100;
+}
+
+// Cart line key: the same item with different picks is a separate line
+export function buildLineId(itemId, selections = {}) {
+  const parts = Object.keys(selections)
+    .sort()
+    .filter((groupId) => (selections[groupId] || []).length > 0)
+    .map((groupId) => `${groupId}=${[...selections[groupId]].sort().join('+')}`);
+  return parts.length ? `${itemId}::${parts.join('|')}` : String(itemId);
+}
+
+// "Sauce: Buffalo, BBQ · Dressing: Ranch"
+export function describeSelectedModifiers(selectedModifiers) {
+  if (!Array.isArray(selectedModifiers) || selectedModifiers.length === 0) return '';
+
+  const byGroup = new Map();
+  for (const s of selectedModifiers) {
+    const label = s.groupName || s.groupId || 'Options';
+    byGroup.set(label, [...(byGroup.get(label) || []), s.name]);
+  }
+  return [...byGroup.entries()].map(([label, names]) => `${label}: ${names.join(', ')}`).join(' · ');
+}